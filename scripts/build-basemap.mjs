@@ -0,0 +1,106 @@
+// Builds public/assets/maps/world-110m.json, the offline basemap of the map
+// view, from the Natural Earth 1:110m countries of the world-atlas package:
+//
+//   npm pack world-atlas@2 && tar xzf world-atlas-*.tgz
+//   node scripts/build-basemap.mjs package/countries-110m.json
+//
+// Each country becomes { name, rings: [[lon, lat, lon, lat, …], …] } with
+// coordinates rounded to 0.1°. Rings crossing the antimeridian are unwrapped
+// (longitudes may run past 180) and the ring around the South Pole is closed
+// along it, so they draw as plain polygons.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const out = join(__dirname, '..', 'public', 'assets', 'maps', 'world-110m.json');
+
+const input = process.argv[2];
+if (!input) {
+  console.error('usage: node scripts/build-basemap.mjs path/to/countries-110m.json');
+  process.exit(1);
+}
+
+const topology = JSON.parse(await readFile(input, 'utf8'));
+const [sx, sy] = topology.transform.scale;
+const [tx, ty] = topology.transform.translate;
+
+const arcs = topology.arcs.map((arc) => {
+  let x = 0;
+  let y = 0;
+  return arc.map(([dx, dy]) => {
+    x += dx;
+    y += dy;
+    return [x * sx + tx, y * sy + ty];
+  });
+});
+
+function ringPoints(indexes) {
+  const points = [];
+  for (const i of indexes) {
+    const arc = i >= 0 ? arcs[i] : [...arcs[~i]].reverse();
+    points.push(...(points.length ? arc.slice(1) : arc));
+  }
+  return points;
+}
+
+const round = (v) => Math.round(v * 10) / 10;
+
+function fixAntimeridian(points) {
+  const jumps = [];
+  for (let i = 1; i < points.length; i++) {
+    if (Math.abs(points[i][0] - points[i - 1][0]) > 180) jumps.push(i);
+  }
+  if (jumps.length === 0) return points;
+
+  if (jumps.length % 2 === 1) {
+    // Around a pole: start after the jump and close along the pole
+    const start = jumps[0];
+    const rotated = [...points.slice(start), ...points.slice(1, start)];
+    const pole = rotated[0][1] < 0 ? -90 : 90;
+    const first = rotated[0][0];
+    const last = rotated[rotated.length - 1][0];
+    return [...rotated, [last, pole], [first, pole], rotated[0]];
+  }
+
+  let offset = 0;
+  const unwrapped = points.map(([lon, lat], i) => {
+    if (i > 0) {
+      const previous = points[i - 1][0];
+      if (lon - previous > 180) offset -= 360;
+      else if (previous - lon > 180) offset += 360;
+    }
+    return [lon + offset, lat];
+  });
+  const shift = Math.min(...unwrapped.map(([lon]) => lon)) < -180 ? 360 : 0;
+  return unwrapped.map(([lon, lat]) => [lon + shift, lat]);
+}
+
+const countries = [];
+for (const geometry of topology.objects.countries.geometries) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.arcs
+    : geometry.type === 'Polygon' ? [geometry.arcs] : [];
+  const rings = [];
+  for (const polygon of polygons) {
+    for (const indexes of polygon) {
+      const flat = [];
+      let previous = '';
+      for (const [lon, lat] of fixAntimeridian(ringPoints(indexes))) {
+        const key = `${round(lon)},${round(lat)}`;
+        if (key === previous) continue;
+        previous = key;
+        flat.push(round(lon), round(lat));
+      }
+      if (flat.length >= 6) rings.push(flat);
+    }
+  }
+  if (rings.length) countries.push({ name: geometry.properties.name, rings });
+}
+
+const basemap = {
+  source: 'Natural Earth 1:110m Admin 0 countries (public domain), via world-atlas',
+  countries
+};
+await writeFile(out, JSON.stringify(basemap));
+console.log(`✓ ${countries.length} countries → ${out}`);
@@ -0,0 +1,74 @@
+// camera.js - Pan and zoom camera of the canvas views.
+// A camera is { x, y, scale }: screen = world * scale + (x, y).
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 5;
+
+/**
+ * Zoom by `factor` around a screen point, which stays over the same world
+ * point. The scale is clamped to the limits.
+ * @param {{ x: number, y: number, scale: number }} camera - changed in place
+ * @param {number} factor
+ * @param {number} originX - screen x, relative to the canvas
+ * @param {number} originY - screen y, relative to the canvas
+ * @param {{ minScale?: number, maxScale?: number }} [limits]
+ * @returns {number} the factor actually applied
+ */
+export function zoomCameraAt(camera, factor, originX, originY, { minScale = MIN_ZOOM, maxScale = MAX_ZOOM } = {}) {
+  const newScale = Math.max(minScale, Math.min(maxScale, camera.scale * factor));
+  const applied = newScale / camera.scale;
+  camera.x = originX - (originX - camera.x) * applied;
+  camera.y = originY - (originY - camera.y) * applied;
+  camera.scale = newScale;
+  return applied;
+}
+
+/**
+ * World-space rect visible through the camera on a canvas of the given size.
+ * @param {{ x: number, y: number, scale: number }} camera
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ left: number, top: number, right: number, bottom: number }}
+ */
+export function visibleWorldRect(camera, width, height) {
+  const s = camera.scale;
+  return {
+    left: -camera.x / s,
+    top: -camera.y / s,
+    right: (width - camera.x) / s,
+    bottom: (height - camera.y) / s
+  };
+}
+
+/**
+ * Camera that centers a world-space rect on a canvas of the given size and
+ * fits it inside, zooming out as needed but never in beyond 100%.
+ * @param {{ x: number, y: number, width: number, height: number }} bounds
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [padding=0] - screen pixels kept free on each side
+ * @returns {{ x: number, y: number, scale: number }}
+ */
+export function fitCamera(bounds, width, height, padding = 0) {
+  const fit = Math.min(
+    (width - padding * 2) / Math.max(bounds.width, 1),
+    (height - padding * 2) / Math.max(bounds.height, 1)
+  );
+  const scale = Math.max(MIN_ZOOM, Math.min(1, fit));
+  return {
+    x: width / 2 - (bounds.x + bounds.width / 2) * scale,
+    y: height / 2 - (bounds.y + bounds.height / 2) * scale,
+    scale
+  };
+}
+
+/**
+ * Vertical wheel distance in pixels, whatever unit the browser reported.
+ * @param {WheelEvent} e
+ * @returns {number}
+ */
+export function wheelDeltaPixels(e) {
+  if (e.deltaMode === 1) return e.deltaY * 20;
+  if (e.deltaMode === 2) return e.deltaY * 400;
+  return e.deltaY;
+}
@@ -1,6 +1,7 @@
 // canvas-renderer.js - Enhanced with improved export functionality and double-tap detection
 
 import { formatLifespanShort, formatDateValue } from '../utils/date-value.js';
+import { zoomCameraAt, visibleWorldRect, wheelDeltaPixels, fitCamera } from './camera.js';
 
 export class CanvasRenderer {
   constructor(container) {
@@ -13,6 +14,8 @@ export class CanvasRenderer {
     this.nodes = new Map(); // personId -> node data
     this.connections = []; // array of connection objects
     this.selectedNodes = new Set();
+    this.highlightedPath = null; // { nodes: Set, edges: Set } from setHighlightedPath
+    this.personFilter = null; // { ids: Set, mode: 'dim'|'hide' } from setPersonFilter
     
     // Camera state (pan and zoom)
     this.camera = {
@@ -30,6 +33,7 @@ export class CanvasRenderer {
     this.mouseDownPos = null;
     this.hasDraggedSignificantly = false;
     this.hoveredNode = null;
+    this.readOnly = false; // nodes cannot be dragged; pressing one pans instead
     
     // Double-tap detection for mobile
     this.lastTapTime = 0;
@@ -83,7 +87,11 @@ export class CanvasRenderer {
       
       lineOnlyStyle: 'dash-dot',
       lineOnlyThickness: 2,
-      lineOnlyColor: '#9b59b6'
+      lineOnlyColor: '#9b59b6',
+
+      // Relationship path highlight
+      pathHighlightColor: '#f39c12',
+      pathDimAlpha: 0.25
     };
     
     // Display preferences
@@ -161,6 +169,7 @@ export class CanvasRenderer {
 
     // Check all nodes
     for (const [id, node] of this.nodes) {
+      if (this.isFilteredOut(id)) continue;
       if (this.settings.nodeStyle === 'rectangle') {
         const width = this.getNodeWidth(node);
         const height = this.getNodeHeight(node);
@@ -179,6 +188,10 @@ export class CanvasRenderer {
       }
     }
 
+    if (minX === Infinity) {
+      return null;
+    }
+
     return {
       x: minX,
       y: minY,
@@ -248,6 +261,8 @@ export class CanvasRenderer {
       const toNode = this.nodes.get(conn.to);
       
       if (!fromNode || !toNode) continue;
+      if (this.isFilteredOut(conn.from) || this.isFilteredOut(conn.to)) continue;
+      ctx.globalAlpha = this.connectionFilterAlpha(conn);
       
       // Set line properties based on connection type (matching browser display logic)
       if (conn.type === 'spouse') {
@@ -272,6 +287,7 @@ export class CanvasRenderer {
     }
     
     // Reset line dash after drawing connections
+    ctx.globalAlpha = 1;
     ctx.setLineDash([]);
   }
 
@@ -281,12 +297,15 @@ export class CanvasRenderer {
     const sortedNodes = this._getSortedNodes();
 
     for (const [id, node] of sortedNodes) {
+      if (this.isFilteredOut(id)) continue;
+      ctx.globalAlpha = this.nodeFilterAlpha(id);
       if (this.settings.nodeStyle === 'rectangle') {
         this.drawRectangleNodeExport(ctx, id, node);
       } else {
         this.drawCircleNodeExport(ctx, id, node);
       }
     }
+    ctx.globalAlpha = 1;
   }
 
   // Draw circle node for export (no selection states)
@@ -375,13 +394,7 @@ export class CanvasRenderer {
 
   // World-space rect currently visible through the camera.
   getVisibleWorldRect(width, height) {
-    const s = this.camera.scale;
-    return {
-      left: -this.camera.x / s,
-      top: -this.camera.y / s,
-      right: (width - this.camera.x) / s,
-      bottom: (height - this.camera.y) / s
-    };
+    return visibleWorldRect(this.camera, width, height);
   }
 
   static rectVisible(minX, minY, maxX, maxY, view) {
@@ -394,6 +407,7 @@ export class CanvasRenderer {
     const worldPos = this.screenToWorld(screenX, screenY);
     
     for (const [id, node] of this.nodes) {
+      if (this.isFilteredOut(id)) continue;
       if (this.settings.nodeStyle === 'rectangle') {
         // Rectangle hit testing
         const width = this.getNodeWidth(node);
@@ -643,7 +657,7 @@ export class CanvasRenderer {
     
     const hit = this.getNodeAt(pos.x, pos.y);
     
-    if (hit) {
+    if (hit && !this.readOnly) {
       this.draggedNode = hit;
       const worldPos = this.screenToWorld(pos.x, pos.y);
       this.dragOffset = {
@@ -751,8 +765,7 @@ export class CanvasRenderer {
 
   handleWheel(e) {
     e.preventDefault();
-    const normalized = e.deltaMode === 1 ? e.deltaY * 20 :
-                       e.deltaMode === 2 ? e.deltaY * 400 : e.deltaY;
+    const normalized = wheelDeltaPixels(e);
     this._zoomLogAccum = Math.max(-2, Math.min(2,
       this._zoomLogAccum - normalized * 0.005));
     const rect = this.canvas.getBoundingClientRect();
@@ -763,15 +776,8 @@ export class CanvasRenderer {
     if (Math.abs(this._zoomLogAccum) < 0.0005) { this._zoomLogAccum = 0; return; }
     const step = this._zoomLogAccum * 0.25;
     this._zoomLogAccum -= step;
-    const factor = Math.exp(step);
-    const newScale = Math.max(0.1, Math.min(5, this.camera.scale * factor));
-    const applied = newScale / this.camera.scale;
-    if (this._zoomOriginScreen) {
-      const { x, y } = this._zoomOriginScreen;
-      this.camera.x = x - (x - this.camera.x) * applied;
-      this.camera.y = y - (y - this.camera.y) * applied;
-    }
-    this.camera.scale = newScale;
+    const { x, y } = this._zoomOriginScreen || { x: 0, y: 0 };
+    zoomCameraAt(this.camera, Math.exp(step), x, y);
     this.needsRedraw = true;
   }
 
@@ -797,7 +803,7 @@ export class CanvasRenderer {
       
       const hit = this.getNodeAt(pos.x, pos.y);
       
-      if (hit) {
+      if (hit && !this.readOnly) {
         this.draggedNode = hit;
         const worldPos = this.screenToWorld(pos.x, pos.y);
         this.dragOffset = {
@@ -862,12 +868,7 @@ export class CanvasRenderer {
         const centerX = center.x - rect.left;
         const centerY = center.y - rect.top;
         
-        const newScale = Math.max(0.1, Math.min(5, this.camera.scale * scale));
-        const factor = newScale / this.camera.scale;
-        
-        this.camera.x = centerX - factor * (centerX - this.camera.x);
-        this.camera.y = centerY - factor * (centerY - this.camera.y);
-        this.camera.scale = newScale;
+        zoomCameraAt(this.camera, scale, centerX, centerY);
         
         this.lastTouchDistance = distance;
         this.needsRedraw = true;
@@ -1059,6 +1060,7 @@ export class CanvasRenderer {
       const toNode = this.nodes.get(conn.to);
 
       if (!fromNode || !toNode) continue;
+      if (this.isFilteredOut(conn.from) || this.isFilteredOut(conn.to)) continue;
 
       if (view && !CanvasRenderer.rectVisible(
         Math.min(fromNode.x, toNode.x), Math.min(fromNode.y, toNode.y),
@@ -1066,6 +1068,9 @@ export class CanvasRenderer {
         view
       )) continue;
 
+      const onPath = this.highlightedPath?.edges.has(CanvasRenderer.pathEdgeKey(conn.from, conn.to));
+      ctx.globalAlpha = this.highlightedPath && !onPath ? this.settings.pathDimAlpha : this.connectionFilterAlpha(conn);
+
       if (conn.type === 'spouse') {
         ctx.strokeStyle = this.settings.spouseLineColor;
         ctx.lineWidth = this.settings.spouseLineThickness;
@@ -1080,6 +1085,11 @@ export class CanvasRenderer {
         this.setLineDash(ctx, this.settings.familyLineStyle);
       }
 
+      if (onPath) {
+        ctx.strokeStyle = this.settings.pathHighlightColor;
+        ctx.lineWidth += 3;
+      }
+
       ctx.beginPath();
       ctx.moveTo(fromNode.x, fromNode.y);
       ctx.lineTo(toNode.x, toNode.y);
@@ -1108,9 +1118,63 @@ export class CanvasRenderer {
       }
     }
 
+    ctx.globalAlpha = 1;
     ctx.setLineDash([]);
   }
 
+  static pathEdgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Emphasize one or more person-id routes (e.g. a relationship path): nodes
+   * and the lines between consecutive ids stay opaque, the rest is dimmed.
+   * @param {string[][]|null} paths - null clears the highlight
+   */
+  setHighlightedPath(paths) {
+    if (!paths || !paths.length) {
+      this.highlightedPath = null;
+    } else {
+      const nodes = new Set();
+      const edges = new Set();
+      for (const path of paths) {
+        path.forEach((id, i) => {
+          nodes.add(id);
+          if (i > 0) edges.add(CanvasRenderer.pathEdgeKey(path[i - 1], id));
+        });
+      }
+      this.highlightedPath = { nodes, edges };
+    }
+    this.needsRedraw = true;
+  }
+
+  /**
+   * Dim or hide everyone outside a filtered set of persons.
+   * @param {Set<string>|null} ids - matching person ids; null shows everyone
+   * @param {'dim'|'hide'} [mode]
+   */
+  setPersonFilter(ids, mode = 'dim') {
+    this.personFilter = ids ? { ids, mode } : null;
+    if (this.personFilter && mode === 'hide') {
+      for (const id of [...this.selectedNodes]) {
+        if (!ids.has(id)) this.selectedNodes.delete(id);
+      }
+    }
+    this.needsRedraw = true;
+  }
+
+  isFilteredOut(id) {
+    return this.personFilter?.mode === 'hide' && !this.personFilter.ids.has(id);
+  }
+
+  nodeFilterAlpha(id) {
+    return this.personFilter && !this.personFilter.ids.has(id) ? this.settings.pathDimAlpha : 1;
+  }
+
+  connectionFilterAlpha(conn) {
+    return Math.min(this.nodeFilterAlpha(conn.from), this.nodeFilterAlpha(conn.to));
+  }
+
   getLocale() {
     return (window.i18n?.currentLocale || 'en').slice(0, 2);
   }
@@ -1150,6 +1214,7 @@ export class CanvasRenderer {
 
       const isSelected = this.selectedNodes.has(id);
       const isHovered = this.hoveredNode && this.hoveredNode.id === id;
+      ctx.globalAlpha = this.highlightedPath && !this.highlightedPath.nodes.has(id) ? this.settings.pathDimAlpha : this.nodeFilterAlpha(id);
 
       if (this.settings.nodeStyle === 'rectangle') {
         this.drawRectangleNode(ctx, id, node, isSelected, isHovered);
@@ -1157,6 +1222,7 @@ export class CanvasRenderer {
         this.drawCircleNode(ctx, id, node, isSelected, isHovered);
       }
     }
+    ctx.globalAlpha = 1;
   }
 
   drawCircleNode(ctx, id, node, isSelected, isHovered) {
@@ -1369,6 +1435,17 @@ export class CanvasRenderer {
     return { ...this.camera };
   }
 
+  /**
+   * Center the content and zoom out until all of it is on screen.
+   * @param {number} [padding=40] - screen pixels kept free around the content
+   */
+  fitToContent(padding = 40) {
+    const bounds = this.getContentBounds();
+    if (!bounds) return;
+    const { x, y, scale } = fitCamera(bounds, this.canvas.width / this.dpr, this.canvas.height / this.dpr, padding);
+    this.setCamera(x, y, scale);
+  }
+
   getSelectedNodes() {
     return new Set(this.selectedNodes);
   }
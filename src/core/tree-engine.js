@@ -2,6 +2,7 @@
 // Split from tree-core-canvas.js for better modularity
 
 import { CanvasRenderer } from './canvas-renderer.js';
+import { connectionKey, buildConnections, rendererNodeFromPerson, lineStyleSettingsFrom, applyRendererSettings } from './tree-view-state.js';
 import { openModalForEdit, closeModal, getSelectedGender } from '../ui/modals/modal.js';
 import { syncMarriages, makeMarriageId } from '../utils/marriage-sync.js';
 import { migrateToV22 } from '../data/migrations/v2.2-rich-events.js';
@@ -10,13 +11,17 @@ import { exportTree, exportGEDCOM, exportCanvasPDF } from '../features/export/ex
 import { notifications } from '../ui/components/notifications.js';
 import { UndoRedoManager } from '../data/cache/core-undoRedo.js';
 import { CacheManager } from '../data/cache/core-cache.js';
+import { TreeLibraryRepository } from '../data/repositories/tree-library-repository.js';
 import { setupButtons } from '../ui/components/ui-buttons.js';
 import { setupSettings } from '../ui/components/ui-settings.js';
 import { setupModals } from '../ui/components/ui-modals.js';
 import { setupExport } from '../data/core-export.js';
-import { appContext } from '../utils/event-bus.js';
+import { appContext, EVENTS } from '../utils/event-bus.js';
 import { GenerationCalculator } from '../utils/generation-calculator.js';
 import { syncEmptyState } from '../ui/components/empty-state.js';
+import { mergePersonRecords, remapPersonRefs } from '../features/merge/person-merge.js';
+import { showRelationship, hideRelationship } from '../features/relationship/relationship-panel.js';
+import { replacePlaceTexts } from '../features/places/place-model.js';
 
 /**
  * Core family tree engine responsible for managing the tree state,
@@ -47,6 +52,9 @@ export class TreeEngine {
     // UI elements
     this.addPersonBtn = null;
     this.connectBtn = null;
+    this.mergeBtn = null;
+    this.relationshipBtn = null;
+    this.relationshipPair = null; // [idA, idB] while a relationship path is shown
     this.editBtn = null;
     this.styleBtn = null;
     this.undoSidebarBtn = null;
@@ -65,6 +73,9 @@ export class TreeEngine {
     this.hiddenConnections = new Set();
     this.lineOnlyConnections = new Set();
     this.legacyRelations = [];
+
+    // Top-level GEDCOM records (sources, repositories, ...) kept verbatim from imports
+    this.gedcomRecords = [];
     
     // ID counter
     this.nextId = 1;
@@ -84,6 +95,10 @@ export class TreeEngine {
     this.undoRedoManager = null;
     this.cacheManager = null;
 
+    // Tree library: several independent trees, one of them open
+    this.treeLibrary = new TreeLibraryRepository();
+    this.activeTreeId = TreeLibraryRepository.getActiveTreeId();
+
     // Generation calculator
     this.generationCalculator = new GenerationCalculator();
     this.generationData = new Map(); // Map of person ID to generation number
@@ -148,7 +163,10 @@ export class TreeEngine {
     
     this.renderer.onNodeDragEnd = (nodeId) => {
       this.regenerateConnections();
-      this.undoRedoManager.pushUndoState();
+      const dragged = this.renderer.getSelectedNodes();
+      this.undoRedoManager.pushUndoState(dragged.size > 1 && dragged.has(nodeId)
+        ? { label: 'move_persons', labelParams: { count: String(dragged.size) } }
+        : { label: 'move_person', labelParams: { name: this.getPersonDisplayName(nodeId) } });
       this.autoSave();
     };
     
@@ -203,6 +221,7 @@ export class TreeEngine {
     setTimeout(() => this.undoRedoManager.updateButtonStates(), 100);
     
     this.cacheManager = new CacheManager(this);
+    this.cacheKey = this.cacheManager.cacheKey;
     this.cacheManager.setupCaching();
   }
 
@@ -229,6 +248,12 @@ export class TreeEngine {
     const hasSelection = this.selectedCircles.size > 0;
     const canConnect = this.selectedCircles.size === 2;
     const canEdit = this.selectedCircles.size === 1;
+
+    // The shown relationship belongs to the pair it was asked for
+    if (this.relationshipPair &&
+        !(canConnect && this.relationshipPair.every((id) => this.selectedCircles.has(id)))) {
+      hideRelationship(this);
+    }
     
     const floatingButtons = document.querySelector('.floating-buttons');
     if (!floatingButtons) return;
@@ -255,6 +280,22 @@ export class TreeEngine {
           this.connectBtn.classList.add('hidden');
         }
       }
+
+      if (this.mergeBtn) {
+        if (canConnect) {
+          this.mergeBtn.classList.remove('hidden');
+        } else {
+          this.mergeBtn.classList.add('hidden');
+        }
+      }
+
+      if (this.relationshipBtn) {
+        if (canConnect) {
+          this.relationshipBtn.classList.remove('hidden');
+        } else {
+          this.relationshipBtn.classList.add('hidden');
+        }
+      }
       
       // Style button should show when any nodes are selected
       if (this.styleBtn) {
@@ -274,6 +315,14 @@ export class TreeEngine {
       if (this.connectBtn) {
         this.connectBtn.classList.add('hidden');
       }
+
+      if (this.mergeBtn) {
+        this.mergeBtn.classList.add('hidden');
+      }
+
+      if (this.relationshipBtn) {
+        this.relationshipBtn.classList.add('hidden');
+      }
       
       if (this.styleBtn) {
         this.styleBtn.classList.add('hidden');
@@ -285,8 +334,7 @@ export class TreeEngine {
    * Get connection key for tracking relationships
    */
   getConnectionKey(id1, id2, type = null) {
-    const baseKey = id1 < id2 ? `${id1}-${id2}` : `${id2}-${id1}`;
-    return type ? `${baseKey}:${type}` : baseKey;
+    return connectionKey(id1, id2, type);
   }
 
   // Placeholder methods - to be implemented with full functionality
@@ -374,14 +422,14 @@ export class TreeEngine {
       this.hiddenConnections.clear();
       this.lineOnlyConnections.clear();
       this.legacyRelations = [];
+      this.gedcomRecords = [];
       
       // Reset ID counter
       this.nextId = 1;
       
-      // Clear undo/redo stacks
+      // Record the clearing so it can be undone from the history
       if (this.undoRedoManager) {
-        this.undoRedoManager.clearStacks();
-        this.undoRedoManager.updateButtonStates();
+        this.undoRedoManager.pushUndoState({ label: 'clear_tree' });
       }
       
       // Clear cache
@@ -449,95 +497,12 @@ export class TreeEngine {
     // Regenerate family connections based on relationship data
     if (!this.renderer) return;
     
-    this.renderer.connections = [];
-    
-    // Iterate through all persons and create connections based on relationships
-    for (const [id, personData] of this.personData) {
-      // Create parent connections
-      if (personData.fatherId && this.renderer.nodes.has(personData.fatherId)) {
-        const parentConnectionKey = this.getConnectionKey(personData.fatherId, id, 'parent');
-        
-        // Only add if not hidden
-        if (!this.hiddenConnections.has(parentConnectionKey)) {
-          this.renderer.connections.push({
-            from: personData.fatherId,
-            to: id,
-            type: 'parent'
-          });
-        }
-      }
-      
-      if (personData.motherId && this.renderer.nodes.has(personData.motherId)) {
-        const parentConnectionKey = this.getConnectionKey(personData.motherId, id, 'parent');
-        
-        // Only add if not hidden
-        if (!this.hiddenConnections.has(parentConnectionKey)) {
-          this.renderer.connections.push({
-            from: personData.motherId,
-            to: id,
-            type: 'parent'
-          });
-        }
-      }
-      
-      // Create spouse connections
-      if (personData.spouseId && this.renderer.nodes.has(personData.spouseId)) {
-        const spouseConnectionKey = this.getConnectionKey(id, personData.spouseId, 'spouse');
-        
-        // Avoid duplicate spouse connections
-        const existingSpouseConnection = this.renderer.connections.find(conn =>
-          (conn.from === id && conn.to === personData.spouseId) ||
-          (conn.from === personData.spouseId && conn.to === id)
-        );
-        
-        // Only add if not hidden and doesn't already exist
-        if (!existingSpouseConnection && !this.hiddenConnections.has(spouseConnectionKey)) {
-          this.renderer.connections.push({
-            from: id,
-            to: personData.spouseId,
-            type: 'spouse'
-          });
-        }
-      }
-    }
-    
-    // Restore line-only connections from saved set
-    for (const connectionKey of this.lineOnlyConnections) {
-      const [personAId, personBId] = connectionKey.split('-');
-      const lineOnlyConnectionKey = this.getConnectionKey(personAId, personBId, 'line-only');
-      
-      // Only add if both nodes exist and connection is not hidden
-      if (this.renderer.nodes.has(personAId) && this.renderer.nodes.has(personBId) && !this.hiddenConnections.has(lineOnlyConnectionKey)) {
-        // Check if line-only connection already exists (not family connections - they can coexist)
-        const existingLineOnlyConnection = this.renderer.connections.find(conn =>
-          conn.type === 'line-only' &&
-          ((conn.from === personAId && conn.to === personBId) ||
-           (conn.from === personBId && conn.to === personAId))
-        );
-        
-        // Only add if no line-only connection already exists
-        // Line-only connections can coexist with family relationships (parent/spouse)
-        if (!existingLineOnlyConnection) {
-          this.renderer.connections.push({
-            from: personAId,
-            to: personBId,
-            type: 'line-only'
-          });
-        }
-      }
-    }
-    
-    // Re-add legacy relations (from old-format imports) not encoded in person fields
-    for (const rel of this.legacyRelations) {
-      if (!this.renderer.nodes.has(rel.source) || !this.renderer.nodes.has(rel.target)) continue;
-      const already = this.renderer.connections.some(c =>
-        (c.from === rel.source && c.to === rel.target) ||
-        (c.from === rel.target && c.to === rel.source)
-      );
-      if (!already) {
-        this.renderer.connections.push({ from: rel.source, to: rel.target, type: 'parent' });
-      }
-    }
+    this.renderer.connections = buildConnections(this.personData, {
+      hasNode: (id) => this.renderer.nodes.has(id),
+      hiddenConnections: this.hiddenConnections,
+      lineOnlyConnections: this.lineOnlyConnections,
+      legacyRelations: this.legacyRelations
+    });
 
     console.log(`Generated ${this.renderer.connections.length} connections (including ${this.lineOnlyConnections.size} line-only)`);
 
@@ -620,12 +585,18 @@ export class TreeEngine {
     }).catch(() => {});
   }
 
-  pushUndoState() {
+  pushUndoState(options) {
     if (this.undoRedoManager) {
-      this.undoRedoManager.pushUndoState();
+      this.undoRedoManager.pushUndoState(options);
     }
   }
 
+  /** "Name Surname" of a person, for history labels and messages. */
+  getPersonDisplayName(id) {
+    const person = this.personData.get(id);
+    return `${person?.name ?? ''} ${person?.surname ?? ''}`.trim() || id;
+  }
+
   initializeEnhancedCacheIndicator() {
     // Enhanced cache indicator initialization
     if (window.enhancedCacheIndicator) {
@@ -747,18 +718,34 @@ export class TreeEngine {
       console.log(`${isEdit ? 'Editing' : 'Creating'} person with ID:`, personId);
       
       // Capture pre-edit marriages for diff
-      const previousMarriages = isEdit ? (this.personData.get(personId)?.marriages || []) : [];
+      const previous = isEdit ? this.personData.get(personId) : null;
+      const previousMarriages = previous?.marriages || [];
+      const previousMarriagesById = new Map(previousMarriages.map((m) => [m.id, m]));
 
-      // Normalise marriages: assign ids to anything missing one, drop fully-empty rows
+      // Normalise marriages: assign ids to anything missing one, drop fully-empty rows.
+      // Fields the form does not edit (family events, imported GEDCOM detail) carry over.
       const normalisedMarriages = (formData.marriages || [])
         .map((m) => ({
+          ...previousMarriagesById.get(m.id),
           id: m.id || makeMarriageId(),
           spouseId: m.spouseId || '',
           date: m.date || null,
           place: m.place || '',
           note: m.note || ''
         }))
-        .filter((m) => m.spouseId || m.date || m.place || m.note);
+        .filter((m) => m.spouseId || m.date || m.place || m.note || m.events?.length || m.unmapped?.length);
+
+      // Life events from the form, in date order. Empty new rows are dropped;
+      // rows that already existed keep their imported detail.
+      const previousEventsById = new Map((previous?.events || []).map((e) => [e.id, e]));
+      const events = formData.events === undefined
+        ? (previous?.events || [])
+        : formData.events
+          .filter((e) => previousEventsById.has(e.id) || e.date || e.place || e.note || e.description || e.label)
+          .map((e) => {
+            const { label, ...kept } = previousEventsById.get(e.id) || {};
+            return { ...kept, ...e };
+          });
 
       // Build personData (new shape)
       const personData = {
@@ -771,19 +758,24 @@ export class TreeEngine {
         motherId: formData.motherId || '',
         fatherId: formData.fatherId || '',
         birth: {
+          ...previous?.birth,
           date: formData.birth?.date || null,
           place: formData.birth?.place || '',
           note: formData.birth?.note || ''
         },
         death: {
+          ...previous?.death,
           date: formData.death?.date || null,
           place: formData.death?.place || '',
           note: formData.death?.note || ''
         },
+        events,
+        altNames: previous?.altNames || [],
         marriages: normalisedMarriages,
         notes: formData.notes || '',
         spouseId: normalisedMarriages[0]?.spouseId || '',
         photo: formData.photo || null,
+        unmapped: previous?.unmapped || [],
       };
 
       this.personData.set(personId, personData);
@@ -890,6 +882,11 @@ export class TreeEngine {
         }
       }
 
+      this.undoRedoManager?.pushUndoState({
+        label: isEdit ? 'edit_person' : 'add_person',
+        labelParams: { name: this.getPersonDisplayName(personId) }
+      });
+
       // Trigger auto-save
       if (this.cacheManager) {
         this.autoSave();
@@ -1237,43 +1234,17 @@ export class TreeEngine {
   updateRendererSettings() {
     if (!this.renderer) return;
     
-    // Update renderer settings
-    this.renderer.settings.nodeRadius = this.nodeRadius;
-    this.renderer.settings.nodeColor = this.defaultColor;
-    this.renderer.settings.fontFamily = this.fontFamily;
-    this.renderer.settings.nameFontSize = this.fontSize;
-    this.renderer.settings.nameColor = this.nameColor;
-    this.renderer.settings.dateColor = this.dateColor;
-    this.renderer.settings.nodeStyle = this.nodeStyle;
-    
-    // Update line style settings
-    if (this.lineStyleSettings) {
-      // Family line settings
-      if (this.lineStyleSettings.familyLineStyle !== undefined) this.renderer.settings.familyLineStyle = this.lineStyleSettings.familyLineStyle;
-      if (this.lineStyleSettings.familyLineThickness !== undefined) this.renderer.settings.familyLineThickness = this.lineStyleSettings.familyLineThickness;
-      if (this.lineStyleSettings.familyLineColor !== undefined) this.renderer.settings.familyLineColor = this.lineStyleSettings.familyLineColor;
-      
-      // Spouse line settings
-      if (this.lineStyleSettings.spouseLineStyle !== undefined) this.renderer.settings.spouseLineStyle = this.lineStyleSettings.spouseLineStyle;
-      if (this.lineStyleSettings.spouseLineThickness !== undefined) this.renderer.settings.spouseLineThickness = this.lineStyleSettings.spouseLineThickness;
-      if (this.lineStyleSettings.spouseLineColor !== undefined) this.renderer.settings.spouseLineColor = this.lineStyleSettings.spouseLineColor;
-      
-      // Line-only settings
-      if (this.lineStyleSettings.lineOnlyStyle !== undefined) this.renderer.settings.lineOnlyStyle = this.lineStyleSettings.lineOnlyStyle;
-      if (this.lineStyleSettings.lineOnlyThickness !== undefined) this.renderer.settings.lineOnlyThickness = this.lineStyleSettings.lineOnlyThickness;
-      if (this.lineStyleSettings.lineOnlyColor !== undefined) this.renderer.settings.lineOnlyColor = this.lineStyleSettings.lineOnlyColor;
-      
-      // Node outline settings
-      if (this.lineStyleSettings.showNodeOutline !== undefined) this.renderer.settings.showNodeOutline = this.lineStyleSettings.showNodeOutline;
-      if (this.lineStyleSettings.outlineColor !== undefined) this.renderer.settings.outlineColor = this.lineStyleSettings.outlineColor;
-      if (this.lineStyleSettings.outlineThickness !== undefined) this.renderer.settings.outlineThickness = this.lineStyleSettings.outlineThickness;
-    }
-    
-    // Update display preferences
-    this.renderer.updateDisplayPreferences(this.displayPreferences);
-    
-    // Trigger redraw
-    this.renderer.needsRedraw = true;
+    applyRendererSettings(this.renderer, {
+      nodeRadius: this.nodeRadius,
+      defaultColor: this.defaultColor,
+      fontFamily: this.fontFamily,
+      fontSize: this.fontSize,
+      nameColor: this.nameColor,
+      dateColor: this.dateColor,
+      nodeStyle: this.nodeStyle,
+      lineStyleSettings: this.lineStyleSettings,
+      displayPreferences: this.displayPreferences
+    });
   }
 
   /**
@@ -1336,6 +1307,180 @@ export class TreeEngine {
     this.openConnectionModal(personA, personB);
   }
 
+  /**
+   * Handle merging the two selected persons
+   */
+  handleMergeSelected() {
+    const selectedNodes = this.renderer.getSelectedNodes();
+
+    if (selectedNodes.size !== 2) {
+      console.warn('Merge requires exactly two selected persons');
+      return;
+    }
+
+    const [personA, personB] = Array.from(selectedNodes);
+    import('../features/merge/merge-persons-dialog.js').then(({ openMergePersonsDialog }) => {
+      openMergePersonsDialog(this, personA, personB);
+    }).catch(error => {
+      console.error('Failed to load merge dialog:', error);
+    });
+  }
+
+  handleShowRelationship() {
+    const selectedNodes = this.renderer.getSelectedNodes();
+
+    if (selectedNodes.size !== 2) {
+      console.warn('Relationship requires exactly two selected persons');
+      return;
+    }
+
+    // Selection order is kept, so the answer reads "second is first's …"
+    const [personA, personB] = Array.from(selectedNodes);
+    showRelationship(this, personA, personB);
+  }
+
+  /**
+   * Merge one person into another as a single undo step. Every reference to
+   * the merged person is re-pointed to the survivor and their documents and
+   * citations move over with them.
+   * @param {string} survivorId - record that stays
+   * @param {string} mergedId - record that is folded in and removed
+   * @param {Object<string, 'primary'|'secondary'>} [choices] - per-field pick, 'primary' = survivor
+   * @returns {Promise<boolean>} false when either person is missing
+   */
+  async mergePersons(survivorId, mergedId, choices) {
+    const survivor = this.personData.get(survivorId);
+    const merged = this.personData.get(mergedId);
+    if (!survivor || !merged || survivorId === mergedId) return false;
+
+    const repo = this.cacheManager?.getIdbRepo?.();
+    const documents = repo ? await repo.getDocumentsForPerson(mergedId).catch(() => []) : [];
+    const citations = repo ? await repo.getCitationsForPerson(mergedId).catch(() => []) : [];
+
+    const combined = mergePersonRecords(survivor, merged, choices);
+    const previousMarriages = [...(survivor.marriages || []), ...(merged.marriages || [])];
+    const idMap = new Map([[mergedId, survivorId]]);
+
+    this.personData.delete(mergedId);
+    for (const [id, person] of this.personData) {
+      if (id !== survivorId) this.personData.set(id, remapPersonRefs(person, idMap));
+    }
+    this.personData.set(survivorId, combined);
+
+    const spouseUpdates = syncMarriages(survivorId, combined.marriages, previousMarriages, this.personData);
+    for (const [spouseId, update] of spouseUpdates) {
+      const spouse = this.personData.get(spouseId);
+      if (!spouse) continue;
+      spouse.marriages = update.marriages;
+      spouse.spouseId = spouse.marriages[0]?.spouseId || '';
+    }
+
+    this.hiddenConnections = this.remapConnectionKeys(this.hiddenConnections, mergedId, survivorId);
+    this.lineOnlyConnections = this.remapConnectionKeys(this.lineOnlyConnections, mergedId, survivorId);
+
+    if (this.renderer) {
+      this.renderer.removeNode(mergedId);
+      for (const [id, person] of this.personData) {
+        const node = this.renderer.nodes.get(id);
+        if (!node) continue;
+        Object.assign(node, {
+          name: person.name,
+          fatherName: person.fatherName,
+          surname: person.surname,
+          maidenName: person.maidenName,
+          gender: person.gender,
+          birth: person.birth,
+          death: person.death,
+          marriages: person.marriages,
+          photo: person.photo || null,
+        });
+      }
+      this.clearSelection();
+      this.regenerateConnections();
+      this.renderer.needsRedraw = true;
+    }
+
+    const documentMoves = [
+      ...documents.map((doc) => ({ id: doc.id, from: mergedId, to: survivorId })),
+      ...citations.map((citation) => ({ type: 'citation', id: citation.id, from: mergedId, to: survivorId }))
+    ];
+    this.undoRedoManager?.pushUndoState({
+      label: 'merge_persons',
+      labelParams: { name: this.getPersonDisplayName(survivorId) },
+      documentMoves
+    });
+    if (repo && documents.length) {
+      await Promise.all(documents.map((doc) => repo.saveDocument({ ...doc, personId: survivorId })))
+        .catch((err) => console.warn('[merge] moving documents failed:', err));
+    }
+    if (repo && citations.length) {
+      await repo.saveSourceRecords(citations.map((citation) => ({ ...citation, personId: survivorId })))
+        .catch((err) => console.warn('[merge] moving citations failed:', err));
+    }
+
+    const eventBus = appContext.getEventBus();
+    if (eventBus) {
+      eventBus.emit('tree:person:updated', { id: survivorId, changes: combined });
+    }
+    return true;
+  }
+
+  /**
+   * Rewrite place texts across the tree, e.g. "Kiev" and "Kyiv, Ukr." to
+   * "Kyiv, Kyiv Oblast, Ukraine", as one undoable step.
+   * @param {Map<string, string>} replacements - old text → new text
+   * @returns {number} how many persons changed
+   */
+  renamePlaces(replacements) {
+    let changed = 0;
+    for (const [id, person] of this.personData) {
+      const updated = replacePlaceTexts(person, replacements);
+      if (updated === person) continue;
+      this.personData.set(id, updated);
+      const node = this.renderer?.nodes.get(id);
+      if (node) Object.assign(node, { birth: updated.birth, death: updated.death, marriages: updated.marriages });
+      changed++;
+    }
+    if (!changed) return 0;
+
+    if (this.renderer) this.renderer.needsRedraw = true;
+    rebuildTableView();
+    this.undoRedoManager?.pushUndoState({
+      label: 'normalize_places',
+      labelParams: { count: String(changed) }
+    });
+    return changed;
+  }
+
+  /**
+   * Rewrite connection keys that mention `fromId` so they point at `toId`.
+   * Keys that would connect a person to themselves are dropped.
+   */
+  remapConnectionKeys(keys, fromId, toId) {
+    const result = new Set();
+    for (const key of keys) {
+      const [pair, type] = key.split(':');
+      const ids = this.splitConnectionPair(pair, fromId, toId);
+      if (!ids) {
+        result.add(key);
+        continue;
+      }
+      const [a, b] = ids.map((id) => (id === fromId ? toId : id));
+      if (a === b) continue;
+      result.add(key.includes(':') ? this.getConnectionKey(a, b, type) : `${a}-${b}`);
+    }
+    return result;
+  }
+
+  /** Split an "a-b" key when one side is a known id (ids may contain dashes). */
+  splitConnectionPair(pair, ...knownIds) {
+    for (const id of knownIds) {
+      if (pair.startsWith(`${id}-`)) return [id, pair.slice(id.length + 1)];
+      if (pair.endsWith(`-${id}`)) return [pair.slice(0, -id.length - 1), id];
+    }
+    return null;
+  }
+
   /**
    * Create a basic connection between two persons
    */
@@ -1499,7 +1644,7 @@ export class TreeEngine {
 
     // Push undo state
     if (this.undoRedoManager) {
-      this.undoRedoManager.pushUndoState();
+      this.undoRedoManager.pushUndoState({ label: 'style_persons' });
     }
 
     console.log('Styles applied successfully to selected nodes');
@@ -1648,6 +1793,10 @@ export class TreeEngine {
     if (this.renderer) {
       this.renderer.needsRedraw = true;
     }
+    this.undoRedoManager?.pushUndoState({
+      label: 'connect_persons',
+      labelParams: { a: this.getPersonDisplayName(personA), b: this.getPersonDisplayName(personB) }
+    });
 
     // Auto-save
     if (this.cacheManager) {
@@ -1802,6 +1951,7 @@ export class TreeEngine {
 
     // Trigger redraw
     this.renderer.needsRedraw = true;
+    this.undoRedoManager?.pushUndoState({ label: 'bring_to_front' });
     
     // Auto-save the new ordering
     if (this.cacheManager) {
@@ -1838,7 +1988,15 @@ export class TreeEngine {
     return { ...data, persons, _legacyRelations: data.relations || [] };
   }
 
-  processLoadedData(data) {
+  /**
+   * Replace the tree with loaded data.
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {string} [options.historyLabel] - record the load as an undoable step with
+   *   this label (imports); without it the loaded tree starts the history (cache loads)
+   * @param {Object<string, string>} [options.historyLabelParams]
+   */
+  processLoadedData(data, options = {}) {
     console.log('Processing loaded data:', data);
     data = this._migrateOldFormat(data);
     data = migrateToV22(data);
@@ -1881,30 +2039,19 @@ export class TreeEngine {
           spouseId: person.spouseId || '',
           birth: person.birth || { date: null, place: '', note: '' },
           death: person.death || { date: null, place: '', note: '' },
+          events: Array.isArray(person.events) ? person.events : [],
+          altNames: Array.isArray(person.altNames) ? person.altNames : [],
           marriages: Array.isArray(person.marriages) ? person.marriages : [],
           notes: person.notes || '',
-          photo: person.photo || null
+          photo: person.photo || null,
+          unmapped: Array.isArray(person.unmapped) ? person.unmapped : []
         };
 
         this.personData.set(personId, personData);
 
         // Create renderer node if renderer exists
         if (this.renderer) {
-          const nodeData = {
-            id: personId,
-            name: person.name || '',
-            fatherName: person.fatherName || '',
-            surname: person.surname || '',
-            maidenName: person.maidenName || '',
-            gender: person.gender || '',
-            x: person.x || 300,
-            y: person.y || 300,
-            color: person.color || this.defaultColor,
-            radius: person.radius || this.nodeRadius,
-            birth: person.birth || { date: null, place: '', note: '' },
-            death: person.death || { date: null, place: '', note: '' },
-            photo: person.photo || null,
-          };
+          const nodeData = rendererNodeFromPerson({ ...person, id: personId }, this);
           
           this.renderer.setNode(personId, nodeData);
         }
@@ -1935,20 +2082,7 @@ export class TreeEngine {
         Object.assign(this, data.settings);
         
         // Store line style settings separately for renderer sync
-        this.lineStyleSettings = {
-          familyLineStyle: data.settings.familyLineStyle,
-          familyLineThickness: data.settings.familyLineThickness,
-          familyLineColor: data.settings.familyLineColor,
-          spouseLineStyle: data.settings.spouseLineStyle,
-          spouseLineThickness: data.settings.spouseLineThickness,
-          spouseLineColor: data.settings.spouseLineColor,
-          lineOnlyStyle: data.settings.lineOnlyStyle,
-          lineOnlyThickness: data.settings.lineOnlyThickness,
-          lineOnlyColor: data.settings.lineOnlyColor,
-          showNodeOutline: data.settings.showNodeOutline,
-          outlineColor: data.settings.outlineColor,
-          outlineThickness: data.settings.outlineThickness
-        };
+        this.lineStyleSettings = lineStyleSettingsFrom(data.settings);
         
         // Apply settings to renderer
         this.updateRendererSettings();
@@ -1984,6 +2118,8 @@ export class TreeEngine {
       // Restore legacy relations (old-format imports or previously saved)
       this.legacyRelations = data._legacyRelations || data.legacyRelations || [];
 
+      this.gedcomRecords = Array.isArray(data.gedcomRecords) ? data.gedcomRecords : [];
+
       // Regenerate connections based on relationship data (includes legacyRelations)
       this.regenerateConnections();
 
@@ -1994,8 +2130,11 @@ export class TreeEngine {
       
       // Update undo/redo state
       if (this.undoRedoManager) {
-        this.undoRedoManager.clearStacks();
-        this.undoRedoManager.pushUndoState();
+        if (options.historyLabel) {
+          this.undoRedoManager.pushUndoState({ label: options.historyLabel, labelParams: options.historyLabelParams });
+        } else {
+          this.undoRedoManager.resetHistory();
+        }
       }
       
       console.log(`Successfully loaded ${persons.length} people`);
@@ -2066,8 +2205,11 @@ export class TreeEngine {
         photo: personData.photo || null,
         birth: personData.birth || { date: null, place: '', note: '' },
         death: personData.death || { date: null, place: '', note: '' },
+        events: Array.isArray(personData.events) ? personData.events : [],
+        altNames: Array.isArray(personData.altNames) ? personData.altNames : [],
         marriages: Array.isArray(personData.marriages) ? personData.marriages : [],
         notes: personData.notes || '',
+        unmapped: Array.isArray(personData.unmapped) ? personData.unmapped : [],
       };
       
       persons.push(person);
@@ -2108,6 +2250,7 @@ export class TreeEngine {
       hiddenConnections: Array.from(this.hiddenConnections),
       lineOnlyConnections: Array.from(this.lineOnlyConnections),
       legacyRelations: this.legacyRelations,
+      gedcomRecords: this.gedcomRecords,
       nextId: this.nextId
     };
   }
@@ -2119,7 +2262,9 @@ export class TreeEngine {
     console.log('Loading initial state from cache...');
     
     if (this.cacheManager) {
+      await this.initializeTreeLibrary();
       const loaded = await this.cacheManager.loadCachedState();
+      await this.undoRedoManager?.loadHistory();
       
       if (loaded) {
         console.log('Successfully loaded cached state');
@@ -2160,6 +2305,120 @@ export class TreeEngine {
     }
   }
 
+  /**
+   * Register existing data as the default tree on first run and make sure
+   * the remembered open tree still exists.
+   */
+  async initializeTreeLibrary() {
+    try {
+      const trees = await this.treeLibrary.ensureDefaultTree();
+      let active = trees.find((tree) => tree.id === this.activeTreeId);
+      if (!active) {
+        active = trees[0];
+        await this.cacheManager.openTree(active.id);
+        this.activeTreeId = active.id;
+        this.cacheKey = this.cacheManager.cacheKey;
+      }
+      TreeLibraryRepository.setActiveTree(active);
+    } catch (error) {
+      console.warn('Tree library unavailable, staying on the open tree:', error);
+    }
+  }
+
+  /**
+   * Save the open tree and open another tree of the library, with its own
+   * undo history.
+   * @param {string} treeId
+   * @returns {Promise<boolean>}
+   */
+  async switchTree(treeId) {
+    if (treeId === this.activeTreeId) return true;
+    const tree = await this.treeLibrary.getTree(treeId);
+    if (!tree) return false;
+
+    hideRelationship(this);
+    this.renderer?.clearSelection();
+    await this.cacheManager.flush();
+    await this.treeLibrary.touchTree(this.activeTreeId, { personCount: this.personData.size });
+
+    await this.cacheManager.openTree(treeId);
+    this.activeTreeId = treeId;
+    this.cacheKey = this.cacheManager.cacheKey;
+    TreeLibraryRepository.setActiveTree(tree);
+
+    const loaded = await this.cacheManager.loadCachedState();
+    if (!loaded) {
+      // New tree: no persons yet; display settings carry over from the previous tree
+      this.processLoadedData({ persons: [], hiddenConnections: [], lineOnlyConnections: [] });
+      this.nextId = 1;
+    }
+
+    await this.undoRedoManager?.loadHistory();
+
+    this.updateRendererSettings();
+    this.updateUIControls();
+    this.updateActionButtons();
+    rebuildTableView();
+    syncEmptyState(this.personData.size);
+    const treeNameInput = document.getElementById('treeNameInput');
+    if (treeNameInput) treeNameInput.value = tree.name;
+    this.enhancedCacheIndicator?.updateStats();
+
+    const eventBus = appContext.getEventBus();
+    eventBus.emit(EVENTS.TREE_LOADED, { persons: Array.from(this.personData.values()) });
+    eventBus.emit(EVENTS.TREE_SWITCHED, { treeId, name: tree.name });
+    return true;
+  }
+
+  /**
+   * Add an empty tree to the library and open it.
+   * @param {string} name
+   * @returns {Promise<import('../data/repositories/tree-library-repository.js').TreeRecord>}
+   */
+  async createTree(name) {
+    const tree = await this.treeLibrary.createTree(name);
+    await this.switchTree(tree.id);
+    return tree;
+  }
+
+  /**
+   * @param {string} treeId
+   * @param {string} name
+   */
+  async renameTree(treeId, name) {
+    const tree = await this.treeLibrary.renameTree(treeId, name);
+    if (treeId === this.activeTreeId) {
+      const treeNameInput = document.getElementById('treeNameInput');
+      if (treeNameInput && treeNameInput.value !== tree.name) treeNameInput.value = tree.name;
+    }
+    return tree;
+  }
+
+  /**
+   * Copy a tree under a new name; the open tree is saved first so the copy
+   * has its latest changes. The copy is not opened.
+   * @param {string} treeId
+   * @param {string} name
+   */
+  async duplicateTree(treeId, name) {
+    if (treeId === this.activeTreeId) {
+      await this.cacheManager.flush();
+      await this.treeLibrary.touchTree(treeId, { personCount: this.personData.size });
+    }
+    return this.treeLibrary.duplicateTree(treeId, name);
+  }
+
+  /**
+   * Delete a tree that is not open, with all of its data.
+   * @param {string} treeId
+   * @returns {Promise<boolean>} false for the open tree
+   */
+  async deleteTree(treeId) {
+    if (treeId === this.activeTreeId) return false;
+    await this.treeLibrary.deleteTree(treeId);
+    return true;
+  }
+
   /**
    * Update UI form controls to reflect current renderer settings
    */
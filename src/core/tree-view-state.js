@@ -0,0 +1,136 @@
+// tree-view-state.js - How a saved tree turns into what the canvas draws:
+// connections from the relationship fields, renderer nodes and the style
+// settings. TreeEngine and the read-only shared-link viewer both use it, so a
+// shared tree looks the way its owner drew it.
+
+/** Style settings saved with a tree that are not plain TreeEngine fields. */
+export const LINE_STYLE_KEYS = [
+  'familyLineStyle', 'familyLineThickness', 'familyLineColor',
+  'spouseLineStyle', 'spouseLineThickness', 'spouseLineColor',
+  'lineOnlyStyle', 'lineOnlyThickness', 'lineOnlyColor',
+  'showNodeOutline', 'outlineColor', 'outlineThickness'
+];
+
+/**
+ * Key of a connection between two persons, the same whichever way round;
+ * hidden and line-only connections are stored by it.
+ * @param {string} id1
+ * @param {string} id2
+ * @param {string|null} [type] - 'parent', 'spouse' or 'line-only'
+ * @returns {string}
+ */
+export function connectionKey(id1, id2, type = null) {
+  const baseKey = id1 < id2 ? `${id1}-${id2}` : `${id2}-${id1}`;
+  return type ? `${baseKey}:${type}` : baseKey;
+}
+
+/**
+ * The line style part of saved settings.
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export function lineStyleSettingsFrom(settings) {
+  return Object.fromEntries(LINE_STYLE_KEYS.map((key) => [key, settings?.[key]]));
+}
+
+/**
+ * Canvas node of a saved person.
+ * @param {Object} person
+ * @param {{ defaultColor: string, nodeRadius: number }} defaults
+ * @returns {Object}
+ */
+export function rendererNodeFromPerson(person, { defaultColor, nodeRadius }) {
+  return {
+    id: person.id,
+    name: person.name || '',
+    fatherName: person.fatherName || '',
+    surname: person.surname || '',
+    maidenName: person.maidenName || '',
+    gender: person.gender || '',
+    x: person.x || 300,
+    y: person.y || 300,
+    color: person.color || defaultColor,
+    radius: person.radius || nodeRadius,
+    birth: person.birth || { date: null, place: '', note: '' },
+    death: person.death || { date: null, place: '', note: '' },
+    photo: person.photo || null,
+  };
+}
+
+/**
+ * Connections to draw: parent and spouse lines from the person fields,
+ * line-only connections and legacy relations, less the hidden ones.
+ * @param {Map<string, Object>} personData
+ * @param {Object} [options]
+ * @param {(id: string) => boolean} [options.hasNode] - whether a person is on the canvas
+ * @param {Set<string>} [options.hiddenConnections] - keys from connectionKey()
+ * @param {Set<string>|string[]} [options.lineOnlyConnections] - "a-b" keys
+ * @param {{ source: string, target: string }[]} [options.legacyRelations]
+ * @returns {{ from: string, to: string, type: string }[]}
+ */
+export function buildConnections(personData, options = {}) {
+  const {
+    hasNode = (id) => personData.has(id),
+    hiddenConnections = new Set(),
+    lineOnlyConnections = [],
+    legacyRelations = []
+  } = options;
+  const connections = [];
+  const linked = (a, b, type) => connections.some((conn) =>
+    (!type || conn.type === type) &&
+    ((conn.from === a && conn.to === b) || (conn.from === b && conn.to === a))
+  );
+
+  for (const [id, person] of personData) {
+    for (const parentId of [person.fatherId, person.motherId]) {
+      if (parentId && hasNode(parentId) && !hiddenConnections.has(connectionKey(parentId, id, 'parent'))) {
+        connections.push({ from: parentId, to: id, type: 'parent' });
+      }
+    }
+    const spouseId = person.spouseId;
+    if (spouseId && hasNode(spouseId) && !linked(id, spouseId) &&
+        !hiddenConnections.has(connectionKey(id, spouseId, 'spouse'))) {
+      connections.push({ from: id, to: spouseId, type: 'spouse' });
+    }
+  }
+
+  // Line-only connections may sit beside a parent or spouse line
+  for (const key of lineOnlyConnections) {
+    const [a, b] = key.split('-');
+    if (hasNode(a) && hasNode(b) && !hiddenConnections.has(connectionKey(a, b, 'line-only')) && !linked(a, b, 'line-only')) {
+      connections.push({ from: a, to: b, type: 'line-only' });
+    }
+  }
+
+  // Relations from old-format imports that the person fields do not hold
+  for (const rel of legacyRelations) {
+    if (hasNode(rel.source) && hasNode(rel.target) && !linked(rel.source, rel.target)) {
+      connections.push({ from: rel.source, to: rel.target, type: 'parent' });
+    }
+  }
+  return connections;
+}
+
+/**
+ * Apply a tree's style settings to a canvas renderer.
+ * @param {import('./canvas-renderer.js').CanvasRenderer} renderer
+ * @param {Object} settings - nodeRadius, defaultColor, fontFamily, fontSize,
+ *   nameColor, dateColor, nodeStyle, and optionally lineStyleSettings and displayPreferences
+ */
+export function applyRendererSettings(renderer, settings) {
+  renderer.settings.nodeRadius = settings.nodeRadius;
+  renderer.settings.nodeColor = settings.defaultColor;
+  renderer.settings.fontFamily = settings.fontFamily;
+  renderer.settings.nameFontSize = settings.fontSize;
+  renderer.settings.nameColor = settings.nameColor;
+  renderer.settings.dateColor = settings.dateColor;
+  renderer.settings.nodeStyle = settings.nodeStyle;
+
+  for (const key of LINE_STYLE_KEYS) {
+    const value = settings.lineStyleSettings?.[key];
+    if (value !== undefined) renderer.settings[key] = value;
+  }
+
+  if (settings.displayPreferences) renderer.updateDisplayPreferences(settings.displayPreferences);
+  renderer.needsRedraw = true;
+}
@@ -7,16 +7,21 @@
 // IndexedDBRepository is the active write path for all new saves.
 // LocalStorageRepository (core-cache backup key) is intentionally still
 // written as a safety net so the migration module can detect uncached state.
+//
+// Both are per tree: the open tree of the tree library decides which
+// database and which localStorage key are used.
 
 import { SecurityUtils } from '../../utils/security-utils.js';
 import { CONFIG } from '../../config/config.js';
 import { EVENTS } from '../../utils/event-bus.js';
 import { IndexedDBRepository } from '../repositories/indexed-db-repository.js';
+import { TreeLibraryRepository, treeCacheKey, treeDatabaseName } from '../repositories/tree-library-repository.js';
 
 export class CacheManager {
   constructor(treeCore) {
     this.treeCore = treeCore;
-    this.cacheKey = 'familyTreeCanvas_state';
+    this.treeId = TreeLibraryRepository.getActiveTreeId();
+    this.cacheKey = treeCacheKey(this.treeId);
     this.autoSaveInterval = 30000;
     this.autoSaveTimer = null;
     this.cacheVersion = '2.6';
@@ -24,9 +29,9 @@ export class CacheManager {
     this.dirty = false;
 
     // Primary write path: IndexedDB
-    this.#idb = new IndexedDBRepository();
+    this.#idb = new IndexedDBRepository(treeDatabaseName(this.treeId));
     this.#idbReady = false;
-    this.#initIdb();
+    this.#idbInit = this.#initIdb();
   }
 
   /** @type {IndexedDBRepository} */
@@ -35,6 +40,15 @@ export class CacheManager {
   /** @type {boolean} */
   #idbReady;
 
+  /** @type {Promise<void>} */
+  #idbInit;
+
+  /** @type {Promise<void>} last IndexedDB write, awaited before switching trees */
+  #pendingWrite = Promise.resolve();
+
+  /** @type {boolean} the next save may leave IndexedDB without persons */
+  #emptySaveAllowed = false;
+
   /** @returns {Promise<void>} */
   async #initIdb() {
     try {
@@ -66,6 +80,43 @@ export class CacheManager {
     this.dirty = true;
   }
 
+  /**
+   * Let the next save store a tree without persons. Called when the user
+   * deleted everyone; any other empty save is taken for a tree that failed
+   * to load and leaves IndexedDB as it is.
+   */
+  allowEmptySave() {
+    this.#emptySaveAllowed = true;
+  }
+
+  /**
+   * Save unsaved changes and wait until IndexedDB has them.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#idbInit;
+    if (this.dirty) this.saveToCache();
+    await this.#pendingWrite;
+  }
+
+  /**
+   * Point both storage layers at another tree of the library. Unsaved
+   * changes of the current tree are saved first; the caller loads the new
+   * tree with loadCachedState().
+   * @param {string} treeId
+   * @returns {Promise<void>}
+   */
+  async openTree(treeId) {
+    await this.flush();
+    this.#idb.close();
+    this.treeId = treeId;
+    this.cacheKey = treeCacheKey(treeId);
+    this.#idb = new IndexedDBRepository(treeDatabaseName(treeId));
+    this.#idbReady = false;
+    this.#idbInit = this.#initIdb();
+    await this.#idbInit;
+  }
+
   autoSave() {
     if (!this.dirty) return;
     try {
@@ -102,6 +153,16 @@ export class CacheManager {
       const stateString = JSON.stringify(state);
       const currentSize = new Blob([stateString]).size;
 
+      // ── Primary path: IndexedDB (fire-and-forget) ────────────────────────
+      // Started first so a full localStorage cannot keep the tree from being saved
+      const allowEmpty = this.#emptySaveAllowed;
+      this.#emptySaveAllowed = false;
+      if (this.#idbReady && Array.isArray(state?.persons)) {
+        this.#pendingWrite = this.#persistStateToIdb(state, allowEmpty).catch((err) => {
+          console.warn('[CacheManager] IndexedDB save failed (localStorage backup intact):', err);
+        });
+      }
+
       // ── localStorage backup (unchanged from original) ────────────────────
       if (currentSize > 5 * 1024 * 1024) {
         const compressedState = this.treeCore.getCompressedState();
@@ -113,13 +174,6 @@ export class CacheManager {
       localStorage.setItem(backupKey, stateString);
       this.treeCore.cleanOldBackups();
 
-      // ── Primary path: IndexedDB (fire-and-forget) ────────────────────────
-      if (this.#idbReady && Array.isArray(state?.persons)) {
-        this.#persistPersonsToIdb(state.persons).catch((err) => {
-          console.warn('[CacheManager] IndexedDB save failed (localStorage backup intact):', err);
-        });
-      }
-
       this.dirty = false;
       return true;
     } catch (error) {
@@ -129,16 +183,23 @@ export class CacheManager {
   }
 
   /**
-   * Write each person to IndexedDB.
-   * Uses savePersonsBatch for a single transaction when possible.
+   * Write the tree to IndexedDB: persons in one transaction, hidden
+   * connections in their store, everything else as metadata.
    *
-   * @param {Object[]} persons
+   * @param {Object} state - from treeCore.getCurrentState()
+   * @param {boolean} [allowEmpty] - see allowEmptySave()
    * @returns {Promise<void>}
    */
-  async #persistPersonsToIdb(persons) {
-    if (persons.length === 0) return;
-    await this.#idb.savePersonsBatch(persons);
-    await this.#idb.saveMetadata('lastUpdated', Date.now());
+  async #persistStateToIdb(state, allowEmpty = false) {
+    // Keep the repository of the tree being saved even if a switch happens meanwhile
+    const idb = this.#idb;
+    const { persons, gedcomRecords = [], hiddenConnections = [], ...treeState } = state;
+    if (persons.length === 0 && !allowEmpty) return;
+    await idb.replaceAllPersons(persons);
+    await idb.saveHiddenConnections(hiddenConnections);
+    await idb.saveMetadata('gedcomRecords', gedcomRecords);
+    await idb.saveMetadata('treeState', treeState);
+    await idb.saveMetadata('lastUpdated', Date.now());
   }
 
   /**
@@ -151,11 +212,25 @@ export class CacheManager {
    */
   async loadCachedState() {
     // ── Primary path: IndexedDB ──────────────────────────────────────────────
+    await this.#idbInit;
     if (this.#idbReady) {
       try {
         const persons = await this.#idb.getAllPersons();
         if (persons && persons.length > 0) {
-          const state = { version: '2.1.0', persons };
+          const gedcomRecords = await this.#idb.getMetadata('gedcomRecords');
+          const savedTreeState = await this.#idb.getMetadata('treeState');
+          // Databases saved before settings were kept in IndexedDB: take them from the backup blob
+          const treeState = savedTreeState ?? this.#readBackupState() ?? {};
+          const hiddenConnections = savedTreeState
+            ? await this.#idb.getHiddenConnections()
+            : treeState.hiddenConnections ?? [];
+          const state = {
+            version: '2.1.0',
+            ...treeState,
+            persons,
+            hiddenConnections,
+            gedcomRecords: gedcomRecords || []
+          };
           this.treeCore.processLoadedData(state);
           return true;
         }
@@ -184,6 +259,16 @@ export class CacheManager {
     }
   }
 
+  /** @returns {Object|null} the localStorage backup of the open tree */
+  #readBackupState() {
+    try {
+      const cachedState = localStorage.getItem(this.cacheKey);
+      return cachedState ? JSON.parse(cachedState) : null;
+    } catch {
+      return null;
+    }
+  }
+
   getIdbRepo() {
     return this.#idbReady ? this.#idb : null;
   }
@@ -1,25 +1,56 @@
 // core-undoRedo.js
 // Undo/Redo manager for family tree
+//
+// History is a list of steps, each holding only what changed (see
+// history-diff.js) and a label such as "Edited John Smith". Steps are kept in
+// the open tree's IndexedDB, so history survives reloads and has no depth
+// limit; in memory there is one serialized copy of the current state.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import {
+  captureState,
+  diffSnapshots,
+  applyChanges,
+  cloneSnapshot,
+  snapshotToState
+} from './history-diff.js';
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+/**
+ * Human-readable label of a history step in the current language.
+ * @param {{label?: string, labelParams?: Object<string, string>}} entry
+ * @returns {string}
+ */
+export function historyLabelText(entry) {
+  let text = t(`builder.history.labels.${entry.label || 'change'}`, entry.label || 'Changed the tree');
+  for (const [name, value] of Object.entries(entry.labelParams ?? {})) {
+    text = text.replace(`{{${name}}}`, value);
+  }
+  return text;
+}
 
 export class UndoRedoManager {
   constructor(treeCore, notifications) {
     this.treeCore = treeCore;
     this.notifications = notifications;
-    this.undoStack = [];
-    this.redoStack = [];
-    this.maxUndoSize = 50;
+    this.undoStack = [];   // applied steps, oldest first
+    this.redoStack = [];   // undone steps, the next one to redo last
+    this.head = null;      // snapshot of the state after the last applied step
+    this.lastSeq = 0;
   }
 
   undo() {
-    if (this.undoStack.length < 2) {
+    if (this.undoStack.length === 0) {
       this.notifications.info('Undo', 'Nothing to undo');
       return;
     }
-    const current = this.undoStack.pop();
-    this.redoStack.push(current);
-    const previous = this.undoStack[this.undoStack.length - 1];
-    this.restoreState(previous);
-    this.updateButtonStates();
+    this.#moveBack(1);
   }
 
   redo() {
@@ -27,59 +58,109 @@ export class UndoRedoManager {
       this.notifications.info('Redo', 'Nothing to redo');
       return;
     }
-    const next = this.redoStack.pop();
-    this.undoStack.push(next);
-    this.restoreState(next);
-    this.updateButtonStates();
+    this.#moveForward(1);
   }
 
-  pushUndoState() {
-    const tc = this.treeCore;
-    const state = {
-      nodes: new Map(),
-      personData: structuredClone(tc.personData),
-      camera: tc.renderer ? tc.renderer.getCamera() : { x: 0, y: 0, scale: 1 },
-      hiddenConnections: new Set(tc.hiddenConnections),
-      lineOnlyConnections: new Set(tc.lineOnlyConnections),
-      displayPreferences: { ...tc.displayPreferences },
-      nodeStyle: tc.nodeStyle,
-      settings: {
-        nodeRadius: tc.nodeRadius,
-        defaultColor: tc.defaultColor,
-        fontFamily: tc.fontFamily,
-        fontSize: tc.fontSize,
-        nameColor: tc.nameColor,
-        dateColor: tc.dateColor,
+  /**
+   * Go back or forward to the state right after the step `seq`; 0 is the
+   * state before the first step.
+   * @param {number} seq
+   */
+  goTo(seq) {
+    const back = this.undoStack.filter((entry) => entry.seq > seq).length;
+    if (back > 0) {
+      this.#moveBack(back);
+      return;
+    }
+    const forward = this.redoStack.findIndex((entry) => entry.seq === seq);
+    if (forward >= 0) this.#moveForward(this.redoStack.length - forward);
+  }
+
+  #moveBack(count) {
+    const moved = [];
+    for (let i = 0; i < count && this.undoStack.length; i++) {
+      const entry = this.undoStack.pop();
+      applyChanges(this.head, entry.changes, 'backward');
+      entry.undone = true;
+      this.redoStack.push(entry);
+      moved.push(entry);
+    }
+    this.restoreState(snapshotToState(this.head));
+    for (const entry of moved) this.applyDocumentMoves(entry.documentMoves, true);
+    this.#afterMove(moved);
+  }
 
-        // Node outline settings
-        showNodeOutline: tc.renderer?.settings.showNodeOutline ?? true,
-        outlineColor: tc.renderer?.settings.outlineColor ?? '#2c3e50',
-        outlineThickness: tc.renderer?.settings.outlineThickness ?? 2,
+  #moveForward(count) {
+    const moved = [];
+    for (let i = 0; i < count && this.redoStack.length; i++) {
+      const entry = this.redoStack.pop();
+      applyChanges(this.head, entry.changes, 'forward');
+      entry.undone = false;
+      this.undoStack.push(entry);
+      moved.push(entry);
+    }
+    this.restoreState(snapshotToState(this.head));
+    for (const entry of moved) this.applyDocumentMoves(entry.documentMoves, false);
+    this.#afterMove(moved);
+  }
 
-        // Line style settings
-        familyLineStyle: tc.renderer?.settings.familyLineStyle ?? 'solid',
-        familyLineThickness: tc.renderer?.settings.familyLineThickness ?? 2,
-        familyLineColor: tc.renderer?.settings.familyLineColor ?? '#7f8c8d',
+  #afterMove(moved) {
+    const repo = this.#repo();
+    if (repo) {
+      Promise.all(moved.map((entry) => repo.saveHistoryEntry(entry)))
+        .catch((err) => console.warn('[undo] saving history failed:', err));
+    }
+    this.updateButtonStates();
+    this.#emitChanged();
+    this.#allowEmptySave();
+    this.treeCore.autoSave?.();
+  }
 
-        spouseLineStyle: tc.renderer?.settings.spouseLineStyle ?? 'dashed',
-        spouseLineThickness: tc.renderer?.settings.spouseLineThickness ?? 2,
-        spouseLineColor: tc.renderer?.settings.spouseLineColor ?? '#e74c3c',
+  // A step the user took may leave the tree empty; let that be saved
+  #allowEmptySave() {
+    if (this.treeCore.personData?.size === 0) this.treeCore.cacheManager?.allowEmptySave?.();
+  }
 
-        lineOnlyStyle: tc.renderer?.settings.lineOnlyStyle ?? 'dash-dot',
-        lineOnlyThickness: tc.renderer?.settings.lineOnlyThickness ?? 2,
-        lineOnlyColor: tc.renderer?.settings.lineOnlyColor ?? '#9b59b6'
-      }
-    };
-    if (tc.renderer) {
-      for (const [id, node] of tc.renderer.nodes) {
-        state.nodes.set(id, structuredClone(node));
-      }
+  /**
+   * Record the changes made since the last step as a new step.
+   * @param {Object} [options]
+   * @param {string} [options.label] - key under builder.history.labels, e.g. 'edit_person'
+   * @param {Object<string, string>} [options.labelParams] - e.g. { name: 'John Smith' }
+   * @param {{ id: string, from: string, to: string, type?: 'citation' }[]} [options.documentMoves] - documents
+   *   (or, with type 'citation', citations) re-assigned to another person by this step;
+   *   undo/redo move them back and forth
+   */
+  pushUndoState(options = {}) {
+    const tc = this.treeCore;
+    const current = captureState(tc);
+    if (!this.head) {
+      this.head = current;
+      this.updateButtonStates();
+      return;
     }
-    this.undoStack.push(state);
-    if (this.undoStack.length > this.maxUndoSize) {
-      this.undoStack.shift();
+
+    const changes = diffSnapshots(this.head, current);
+    if (changes.length > 0 || options.documentMoves?.length) {
+      this.lastSeq = Math.max(Date.now(), this.lastSeq + 1);
+      const entry = {
+        seq: this.lastSeq,
+        label: options.label || 'change',
+        labelParams: options.labelParams || {},
+        timestamp: Date.now(),
+        changes
+      };
+      if (options.documentMoves?.length) {
+        entry.documentMoves = options.documentMoves;
+      }
+      this.head = current;
+      this.undoStack.push(entry);
+      this.#discardRedo();
+      const repo = this.#repo();
+      repo?.saveHistoryEntry(entry).catch((err) => console.warn('[undo] saving history failed:', err));
+      this.#emitChanged();
+      this.#allowEmptySave();
     }
-    this.redoStack = [];
+
     if (tc.enhancedCacheIndicator) {
       tc.enhancedCacheIndicator.updateStats();
     }
@@ -87,6 +168,112 @@ export class UndoRedoManager {
     setTimeout(() => tc.autoSave(), 100);
   }
 
+  #discardRedo() {
+    if (this.redoStack.length === 0) return;
+    const seqs = this.redoStack.map((entry) => entry.seq);
+    this.redoStack = [];
+    this.#repo()?.deleteHistoryEntries(seqs).catch((err) => console.warn('[undo] dropping redo steps failed:', err));
+  }
+
+  /**
+   * Take the current tree as the starting point without recording a step,
+   * e.g. after it was loaded from storage. Call loadHistory() to bring back
+   * the steps saved with it.
+   */
+  resetHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.head = captureState(this.treeCore);
+    this.updateButtonStates();
+    this.#emitChanged();
+  }
+
+  /**
+   * Bring back the steps saved with the open tree. Steps recorded since the
+   * last resetHistory() are kept after them.
+   * @returns {Promise<void>}
+   */
+  async loadHistory() {
+    const repo = this.#repo();
+    if (!repo) return;
+    try {
+      const saved = await repo.getHistoryEntries();
+      if (!this.head) this.head = captureState(this.treeCore);
+      const sessionSeqs = new Set([...this.undoStack, ...this.redoStack].map((entry) => entry.seq));
+      const earlier = saved.filter((entry) => !sessionSeqs.has(entry.seq));
+      this.undoStack = [...earlier.filter((entry) => !entry.undone), ...this.undoStack];
+      if (this.redoStack.length === 0) {
+        this.redoStack = earlier.filter((entry) => entry.undone).reverse();
+      }
+      this.lastSeq = Math.max(this.lastSeq, ...saved.map((entry) => entry.seq));
+      this.updateButtonStates();
+      this.#emitChanged();
+    } catch (err) {
+      console.warn('[undo] loading history failed:', err);
+    }
+  }
+
+  /**
+   * Save the current tree under a name, to come back to it later.
+   * @param {string} name
+   * @returns {Promise<{id: string, name: string, timestamp: number}|null>} null without storage
+   */
+  async createSnapshot(name) {
+    const repo = this.#repo();
+    if (!repo) return null;
+    const snapshot = {
+      id: `s_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      timestamp: Date.now(),
+      state: captureState(this.treeCore)
+    };
+    await repo.saveSnapshot(snapshot);
+    this.#emitChanged();
+    return { id: snapshot.id, name: snapshot.name, timestamp: snapshot.timestamp };
+  }
+
+  /** @returns {Promise<{id: string, name: string, timestamp: number}[]>} newest first */
+  async listSnapshots() {
+    const repo = this.#repo();
+    if (!repo) return [];
+    const snapshots = await repo.getSnapshots();
+    return snapshots.map(({ id, name, timestamp }) => ({ id, name, timestamp }));
+  }
+
+  /**
+   * Bring the tree back to a named snapshot. This is a step of its own, so
+   * it can be undone.
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async restoreSnapshot(id) {
+    const snapshot = await this.#repo()?.getSnapshot(id);
+    if (!snapshot) return false;
+    this.restoreState(snapshotToState(cloneSnapshot(snapshot.state)));
+    this.pushUndoState({ label: 'restore_snapshot', labelParams: { name: snapshot.name } });
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshot(id) {
+    await this.#repo()?.deleteSnapshot(id);
+    this.#emitChanged();
+  }
+
+  #repo() {
+    return this.treeCore.cacheManager?.getIdbRepo?.() ?? null;
+  }
+
+  #emitChanged() {
+    appContext.getEventBus().emit(EVENTS.HISTORY_CHANGED, {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+
   restoreState(state) {
     const tc = this.treeCore;
     tc.renderer.nodes.clear();
@@ -233,29 +420,51 @@ export class UndoRedoManager {
     tc.clearSelection();
   }
 
+  // Documents live in IndexedDB outside the snapshot, so their owner is swapped here
+  applyDocumentMoves(moves, reverse) {
+    if (!moves?.length) return;
+    const repo = this.treeCore.cacheManager?.getIdbRepo?.();
+    if (!repo) return;
+    Promise.all(moves.map(async ({ type, id, from, to }) => {
+      const owner = reverse ? from : to;
+      if (type === 'citation') {
+        const citation = await repo.getSourceRecord(id);
+        if (citation) await repo.saveSourceRecord({ ...citation, personId: owner });
+        return;
+      }
+      const docs = await repo.getDocumentsForPerson(reverse ? to : from);
+      const doc = docs.find((d) => d.id === id);
+      if (doc) await repo.saveDocument({ ...doc, personId: owner });
+    })).catch((err) => console.warn('[undo] moving documents failed:', err));
+  }
+
   // Update the state of undo/redo buttons based on available actions
   updateButtonStates() {
     const undoBtn = document.getElementById('undoSidebarBtn');
     const redoBtn = document.getElementById('redoSidebarBtn');
     
     if (undoBtn) {
-      const canUndo = this.undoStack.length >= 2;
+      const canUndo = this.canUndo();
       undoBtn.disabled = !canUndo;
       undoBtn.classList.toggle('available', canUndo);
-      undoBtn.title = canUndo ? 'Undo Last Action (Ctrl+Z)' : 'Nothing to undo';
+      undoBtn.title = canUndo
+        ? `${t('builder.history.undo', 'Undo')}: ${historyLabelText(this.undoStack[this.undoStack.length - 1])} (Ctrl+Z)`
+        : t('builder.history.nothing_to_undo', 'Nothing to undo');
     }
     
     if (redoBtn) {
-      const canRedo = this.redoStack.length > 0;
+      const canRedo = this.canRedo();
       redoBtn.disabled = !canRedo;
       redoBtn.classList.toggle('available', canRedo);
-      redoBtn.title = canRedo ? 'Redo Last Action (Ctrl+Y)' : 'Nothing to redo';
+      redoBtn.title = canRedo
+        ? `${t('builder.history.redo', 'Redo')}: ${historyLabelText(this.redoStack[this.redoStack.length - 1])} (Ctrl+Y)`
+        : t('builder.history.nothing_to_redo', 'Nothing to redo');
     }
   }
 
   // Check if undo is available
   canUndo() {
-    return this.undoStack.length >= 2;
+    return this.undoStack.length > 0;
   }
 
   // Check if redo is available
@@ -263,10 +472,16 @@ export class UndoRedoManager {
     return this.redoStack.length > 0;
   }
 
-  // Clear both undo and redo stacks
+  /**
+   * Forget the history of the open tree, in memory and in storage. The
+   * current tree becomes the new starting point.
+   */
   clearStacks() {
     this.undoStack = [];
     this.redoStack = [];
+    this.head = null;
+    this.#repo()?.clearHistory().catch((err) => console.warn('[undo] clearing history failed:', err));
     this.updateButtonStates();
+    this.#emitChanged();
   }
-} 
\ No newline at end of file
+}
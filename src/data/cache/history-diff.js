@@ -0,0 +1,158 @@
+// history-diff.js
+// Compact history steps: only what changed between two states of the tree.
+//
+// A tree state is captured as JSON per person, per canvas node and per
+// tree-wide field, so comparing two states is a string comparison and every
+// value read back is a fresh copy that later edits cannot reach.
+
+const TREE_FIELDS = ['hiddenConnections', 'lineOnlyConnections', 'displayPreferences', 'nodeStyle', 'settings', 'camera'];
+
+/**
+ * @typedef {Object} TreeSnapshot
+ * @property {Map<string, string>} persons - person id → JSON
+ * @property {Map<string, string>} nodes - node id → JSON
+ * @property {Object<string, string>} fields - tree-wide field → JSON
+ */
+
+/**
+ * @typedef {Object} Change
+ * @property {'persons'|'nodes'|'fields'} scope
+ * @property {string} key - person or node id, or field name
+ * @property {string|null} before - JSON; null when the item did not exist
+ * @property {string|null} after - JSON; null when the item was removed
+ */
+
+function rendererSettings(tc) {
+  return {
+    nodeRadius: tc.nodeRadius,
+    defaultColor: tc.defaultColor,
+    fontFamily: tc.fontFamily,
+    fontSize: tc.fontSize,
+    nameColor: tc.nameColor,
+    dateColor: tc.dateColor,
+
+    // Node outline settings
+    showNodeOutline: tc.renderer?.settings.showNodeOutline ?? true,
+    outlineColor: tc.renderer?.settings.outlineColor ?? '#2c3e50',
+    outlineThickness: tc.renderer?.settings.outlineThickness ?? 2,
+
+    // Line style settings
+    familyLineStyle: tc.renderer?.settings.familyLineStyle ?? 'solid',
+    familyLineThickness: tc.renderer?.settings.familyLineThickness ?? 2,
+    familyLineColor: tc.renderer?.settings.familyLineColor ?? '#7f8c8d',
+
+    spouseLineStyle: tc.renderer?.settings.spouseLineStyle ?? 'dashed',
+    spouseLineThickness: tc.renderer?.settings.spouseLineThickness ?? 2,
+    spouseLineColor: tc.renderer?.settings.spouseLineColor ?? '#e74c3c',
+
+    lineOnlyStyle: tc.renderer?.settings.lineOnlyStyle ?? 'dash-dot',
+    lineOnlyThickness: tc.renderer?.settings.lineOnlyThickness ?? 2,
+    lineOnlyColor: tc.renderer?.settings.lineOnlyColor ?? '#9b59b6'
+  };
+}
+
+/**
+ * Capture the parts of the tree that undo and redo restore.
+ * @param {import('../../core/tree-engine.js').TreeEngine} tc
+ * @returns {TreeSnapshot}
+ */
+export function captureState(tc) {
+  const persons = new Map();
+  for (const [id, person] of tc.personData) persons.set(id, JSON.stringify(person));
+  const nodes = new Map();
+  for (const [id, node] of tc.renderer?.nodes ?? []) nodes.set(id, JSON.stringify(node));
+
+  const values = {
+    hiddenConnections: [...tc.hiddenConnections].sort(),
+    lineOnlyConnections: [...tc.lineOnlyConnections].sort(),
+    displayPreferences: { ...tc.displayPreferences },
+    nodeStyle: tc.nodeStyle,
+    settings: rendererSettings(tc),
+    camera: tc.renderer ? tc.renderer.getCamera() : { x: 0, y: 0, scale: 1 }
+  };
+  const fields = {};
+  for (const field of TREE_FIELDS) fields[field] = JSON.stringify(values[field] ?? null);
+  return { persons, nodes, fields };
+}
+
+function diffMaps(scope, before, after, changes) {
+  for (const [key, value] of after) {
+    const old = before.get(key) ?? null;
+    if (old !== value) changes.push({ scope, key, before: old, after: value });
+  }
+  for (const [key, value] of before) {
+    if (!after.has(key)) changes.push({ scope, key, before: value, after: null });
+  }
+}
+
+/**
+ * Everything that differs between two snapshots.
+ * @param {TreeSnapshot} before
+ * @param {TreeSnapshot} after
+ * @returns {Change[]} empty when nothing changed
+ */
+export function diffSnapshots(before, after) {
+  const changes = [];
+  diffMaps('persons', before.persons, after.persons, changes);
+  diffMaps('nodes', before.nodes, after.nodes, changes);
+  for (const field of TREE_FIELDS) {
+    const old = before.fields[field] ?? null;
+    const value = after.fields[field] ?? null;
+    if (old !== value) changes.push({ scope: 'fields', key: field, before: old, after: value });
+  }
+  return changes;
+}
+
+/**
+ * Move a snapshot forward through changes (redo) or back (undo). Changes
+ * are applied item by item, so unrelated differences are left alone.
+ * @param {TreeSnapshot} snapshot - updated in place
+ * @param {Change[]} changes
+ * @param {'forward'|'backward'} [direction]
+ * @returns {TreeSnapshot}
+ */
+export function applyChanges(snapshot, changes, direction = 'forward') {
+  const ordered = direction === 'forward' ? changes : [...changes].reverse();
+  for (const change of ordered) {
+    const value = direction === 'forward' ? change.after : change.before;
+    if (change.scope === 'fields') {
+      snapshot.fields[change.key] = value;
+    } else if (value === null) {
+      snapshot[change.scope].delete(change.key);
+    } else {
+      snapshot[change.scope].set(change.key, value);
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * @param {TreeSnapshot} snapshot
+ * @returns {TreeSnapshot}
+ */
+export function cloneSnapshot(snapshot) {
+  return {
+    persons: new Map(snapshot.persons),
+    nodes: new Map(snapshot.nodes),
+    fields: { ...snapshot.fields }
+  };
+}
+
+/**
+ * Live objects for UndoRedoManager.restoreState().
+ * @param {TreeSnapshot} snapshot
+ */
+export function snapshotToState(snapshot) {
+  const parse = (json) => (json == null ? undefined : JSON.parse(json));
+  const fields = Object.fromEntries(TREE_FIELDS.map((field) => [field, parse(snapshot.fields[field])]));
+  return {
+    personData: new Map([...snapshot.persons].map(([id, json]) => [id, JSON.parse(json)])),
+    nodes: new Map([...snapshot.nodes].map(([id, json]) => [id, JSON.parse(json)])),
+    hiddenConnections: new Set(fields.hiddenConnections ?? []),
+    lineOnlyConnections: new Set(fields.lineOnlyConnections ?? []),
+    displayPreferences: fields.displayPreferences ?? undefined,
+    nodeStyle: fields.nodeStyle ?? undefined,
+    settings: fields.settings ?? undefined,
+    camera: fields.camera ?? undefined
+  };
+}
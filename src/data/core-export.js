@@ -1,6 +1,9 @@
 // core-export.js
 // Export and import manager for family tree
 
+import { resetPlaces } from '../features/places/place-store.js';
+import { createArchiveWriter, readTreeArchive, sha256Hex, isZipData, ARCHIVE_EXTENSION } from './tree-archive.js';
+
 export function setupExport(treeCore) {
   // Lazy-loaded UI helpers (not available in Node/test environments)
   const getNotifications = () => import('../ui/components/notifications.js').then(m => m.notifications);
@@ -66,6 +69,10 @@ export function setupExport(treeCore) {
     treeCore.saveToJSON();
   });
 
+  document.getElementById('saveArchive')?.addEventListener('click', () => {
+    treeCore.saveToArchive();
+  });
+
   document.getElementById('loadData')?.addEventListener('change', (e) => {
     treeCore.loadFromJSON(e);
   });
@@ -191,16 +198,7 @@ export function setupExport(treeCore) {
       // Bundle media blobs from IDB with in-memory persons so any unsaved
       // edits are exported alongside the photos.
       const repo = window.treeCore?.cacheManager?.getIdbRepo?.();
-      const data = repo
-        ? await buildExport(repo, persons, {
-            settings: state?.settings,
-            displayPreferences: state?.displayPreferences,
-            nodeStyle: state?.nodeStyle,
-            camera: state?.camera,
-            hiddenConnections: state?.hiddenConnections,
-            lineOnlyConnections: state?.lineOnlyConnections
-          })
-        : state;
+      const data = repo ? await buildExport(repo, persons, exportExtras(state)) : state;
 
       const dataStr = JSON.stringify(data, null, 2);
       const dataBlob = new Blob([dataStr], { type: 'application/json' });
@@ -229,6 +227,11 @@ export function setupExport(treeCore) {
       n.error('No File Selected', 'Please select a JSON file to load');
       return;
     }
+    if (file.name.toLowerCase().endsWith(ARCHIVE_EXTENSION) || isZipData(new Uint8Array(await file.slice(0, 4).arrayBuffer()))) {
+      await this.loadFromArchive(file);
+      event.target.value = '';
+      return;
+    }
 
     const reader = new FileReader();
     reader.onload = async (e) => {
@@ -242,17 +245,13 @@ export function setupExport(treeCore) {
           return;
         }
 
-        // Write media blobs + documents to IDB before updating in-memory state.
-        // Wait briefly if IDB isn't ready yet (e.g. import fired immediately on load).
-        if (data.media?.length) {
-          let repo = window.treeCore?.cacheManager?.getIdbRepo?.();
-          for (let i = 0; i < 10 && !repo; i++) {
-            await new Promise((r) => setTimeout(r, 200));
-            repo = window.treeCore?.cacheManager?.getIdbRepo?.();
-          }
+        // Write media blobs, documents, sources and places to IDB before updating in-memory state.
+        if (data.media?.length || data.sources?.length || data.places?.length) {
+          const repo = await waitForRepo();
           if (repo) {
             try {
               await applyImport(repo, data);
+              resetPlaces();
             } catch (impErr) {
               console.error('[loadFromJSON] applyImport failed:', impErr);
               const detail = impErr?.cause?.message || impErr?.message || 'Could not write media to storage';
@@ -265,7 +264,7 @@ export function setupExport(treeCore) {
         }
 
         // Update in-memory state and renderer
-        this.processLoadedData(data);
+        this.processLoadedData(data, { historyLabel: 'load_file', historyLabelParams: { name: file.name } });
         n.success('Load Complete', `Successfully loaded ${data.persons?.length || data.people?.length || 0} people`);
 
         // Clear the file input
@@ -283,6 +282,128 @@ export function setupExport(treeCore) {
 
     reader.readAsText(file);
   };
+
+  treeCore.saveToArchive = async function() {
+    const n = await getNotifications();
+    const state = this.getCurrentState?.();
+    const persons = state?.persons;
+    if (!persons?.length) {
+      n.warning('No Data to Export', 'Your family tree appears to be empty. Add some people first.');
+      return;
+    }
+    const repo = await waitForRepo();
+    if (!repo) {
+      n.error('Save Failed', 'The photo storage is not ready yet');
+      return;
+    }
+
+    let sink;
+    try {
+      sink = await archiveSink(`family-tree-${new Date().toISOString().split('T')[0]}${ARCHIVE_EXTENSION}`);
+    } catch (error) {
+      // The save dialog was closed
+      if (error?.name !== 'AbortError') n.error('Export Failed', `Could not open the file: ${error.message}`);
+      return;
+    }
+    const loadingId = n.loading('Saving archive...', 'Packing photos and documents');
+    try {
+      const tree = await buildArchive(repo, persons, exportExtras(state), sink.write);
+      await sink.close();
+      n.remove(loadingId);
+      const count = tree.media.length;
+      n.success('Save Complete', count > 0 ? `Archive saved with ${count} media file${count > 1 ? 's' : ''}` : 'Family tree saved as an archive');
+    } catch (error) {
+      console.error('Error in saveToArchive:', error);
+      await sink.abort?.();
+      n.remove(loadingId);
+      n.error('Export Failed', `Error writing the archive: ${error.message}`);
+    }
+  };
+
+  treeCore.loadFromArchive = async function(file) {
+    const n = await getNotifications();
+    const loadingId = n.loading('Loading archive...', `Reading ${file.name}`);
+    try {
+      const { data } = await readTreeArchive(file);
+      if (!data.persons) throw new Error('The archive does not contain family tree data');
+      const repo = await waitForRepo();
+      if (!repo) throw new Error('The photo storage is not ready yet');
+      const { corrupt } = await applyImport(repo, data);
+      resetPlaces();
+
+      this.processLoadedData(data, { historyLabel: 'load_file', historyLabelParams: { name: file.name } });
+      n.remove(loadingId);
+      n.success('Load Complete', `Successfully loaded ${data.persons.length} people`);
+      if (corrupt.length) {
+        n.warning('Damaged Files Skipped',
+          `Damaged or missing in the archive: ${corrupt.map((entry) => entry.path).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('[loadFromArchive] failed:', error);
+      n.remove(loadingId);
+      n.error('Import Failed', error.message);
+    }
+  };
+}
+
+// Settings and view state saved along with the persons
+function exportExtras(state) {
+  return {
+    settings: state?.settings,
+    displayPreferences: state?.displayPreferences,
+    nodeStyle: state?.nodeStyle,
+    camera: state?.camera,
+    hiddenConnections: state?.hiddenConnections,
+    lineOnlyConnections: state?.lineOnlyConnections,
+    gedcomRecords: state?.gedcomRecords
+  };
+}
+
+// Wait briefly if IDB isn't ready yet (e.g. import fired immediately on load)
+async function waitForRepo() {
+  let repo = window.treeCore?.cacheManager?.getIdbRepo?.();
+  for (let i = 0; i < 10 && !repo; i++) {
+    await new Promise((r) => setTimeout(r, 200));
+    repo = window.treeCore?.cacheManager?.getIdbRepo?.();
+  }
+  return repo || null;
+}
+
+/**
+ * Where zip chunks go: straight to a file the user picks where the browser
+ * allows it, otherwise collected into a download.
+ * @param {string} fileName
+ * @param {{ description?: string, extension?: string }} [fileType] - for the save dialog
+ * @returns {Promise<{ write: (chunk: Uint8Array) => (void|Promise<void>), close: () => Promise<void>|void, abort?: () => Promise<void> }>}
+ * @throws {DOMException} AbortError when the save dialog is closed
+ */
+export async function archiveSink(fileName, { description = 'Family tree archive', extension = ARCHIVE_EXTENSION } = {}) {
+  if (typeof window.showSaveFilePicker === 'function') {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: fileName,
+      types: [{ description, accept: { 'application/zip': [extension] } }]
+    });
+    const writable = await handle.createWritable();
+    return {
+      write: (chunk) => writable.write(chunk),
+      close: () => writable.close(),
+      abort: () => writable.abort().catch(() => {})
+    };
+  }
+  const parts = [];
+  return {
+    write: (chunk) => { parts.push(chunk); },
+    close: () => {
+      const url = URL.createObjectURL(new Blob(parts, { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }
+  };
 }
 
 // ── Pure data helpers (no DOM, testable in Node) ─────────────────────────────
@@ -290,37 +411,71 @@ export function setupExport(treeCore) {
 const EXPORT_VERSION = '2.2.0';
 
 export async function buildExport(repo, persons = null, extras = {}) {
+  return collectExport(repo, persons, extras, async (rec) => ({
+    id: rec.id,
+    mimeType: rec.mimeType,
+    width: rec.width,
+    height: rec.height,
+    byteLength: rec.byteLength,
+    base64: await blobToBase64(rec.blob)
+  }));
+}
+
+/**
+ * Write the tree as a .mmr archive (see tree-archive.js) to `write`, one
+ * media file at a time.
+ * @param {Object} repo
+ * @param {Object[]|null} persons - in-memory persons, or null for the stored ones
+ * @param {Object} extras - settings and view state, as for buildExport
+ * @param {(chunk: Uint8Array, final: boolean) => (void|Promise<void>)} write
+ * @returns {Promise<Object>} the tree.json that was written
+ */
+export async function buildArchive(repo, persons = null, extras = {}, write) {
+  const writer = createArchiveWriter(write);
+  const tree = await collectExport(repo, persons, extras, async (rec, folder) => ({
+    id: rec.id,
+    mimeType: rec.mimeType,
+    width: rec.width,
+    height: rec.height,
+    byteLength: rec.blob.size,
+    path: await writer.addMedia(rec, folder)
+  }));
+  await writer.finish(tree);
+  return tree;
+}
+
+// The export with each stored media record turned into a `media` entry by
+// `mediaEntry(record, folder)`
+async function collectExport(repo, persons, extras, mediaEntry) {
   if (!persons) persons = await repo.getAllPersons();
   const docs = await repo.getAllDocuments();
-  const allMediaIds = await listAllMediaIds(persons, docs);
   const media = [];
-  for (const id of allMediaIds) {
+  for (const [id, folder] of listAllMediaIds(persons, docs)) {
     const rec = await repo.getMedia(id);
     if (!rec) continue;
-    media.push({
-      id: rec.id,
-      mimeType: rec.mimeType,
-      width: rec.width,
-      height: rec.height,
-      byteLength: rec.byteLength,
-      base64: await blobToBase64(rec.blob)
-    });
+    media.push(await mediaEntry(rec, folder));
   }
-  const out = { version: EXPORT_VERSION, cacheFormat: 'enhanced', persons, media, documents: docs };
-  for (const key of ['settings', 'displayPreferences', 'nodeStyle', 'camera', 'hiddenConnections', 'lineOnlyConnections']) {
+  const sources = await repo.getSourceRecords();
+  const places = await repo.getPlaces();
+  const out = { version: EXPORT_VERSION, cacheFormat: 'enhanced', persons, media, documents: docs, sources, places };
+  for (const key of ['settings', 'displayPreferences', 'nodeStyle', 'camera', 'hiddenConnections', 'lineOnlyConnections', 'gedcomRecords']) {
     if (extras?.[key] !== undefined) out[key] = extras[key];
   }
   return out;
 }
 
+// Media ids in use, with the archive folder each belongs in
 function listAllMediaIds(persons, docs) {
-  const ids = new Set();
-  for (const p of persons) if (p?.photo?.mediaId) ids.add(p.photo.mediaId);
+  const ids = new Map();
+  const add = (id, folder) => {
+    if (id && !ids.has(id)) ids.set(id, folder);
+  };
+  for (const p of persons) add(p?.photo?.mediaId, 'photos');
   for (const d of docs) {
-    if (d.mediaId) ids.add(d.mediaId);
-    if (d.thumbnailMediaId) ids.add(d.thumbnailMediaId);
+    add(d.mediaId, 'documents');
+    add(d.thumbnailMediaId, 'thumbnails');
   }
-  return Array.from(ids);
+  return ids;
 }
 
 async function blobToBase64(blob) {
@@ -338,22 +493,50 @@ function base64ToBlob(b64, mimeType) {
   return new Blob([arr], { type: mimeType });
 }
 
+/**
+ * Write imported media, persons, documents, sources and places to the
+ * repository. Media from a .mmr archive are checked against the manifest's
+ * checksums; damaged or missing files are skipped like dangling ones, and
+ * reported.
+ * @returns {Promise<{ corrupt: { id: string, path: string, reason: 'missing'|'checksum' }[] }>}
+ */
 export async function applyImport(repo, data) {
   if (!data?.persons) throw new Error('Invalid import: missing persons');
   const mediaIdsInImport = new Set();
+  const corrupt = [];
   for (const m of data.media || []) {
-    if (!m.id || !m.base64 || !m.mimeType) continue;
+    if (!m.id || !m.mimeType) continue;
+    let blob;
+    if (m.path !== undefined) {
+      if (m.damaged) {
+        corrupt.push({ id: m.id, path: m.path, reason: 'checksum' });
+        continue;
+      }
+      if (!m.blob) {
+        corrupt.push({ id: m.id, path: m.path, reason: 'missing' });
+        continue;
+      }
+      if (m.sha256 && await sha256Hex(m.blob) !== m.sha256) {
+        corrupt.push({ id: m.id, path: m.path, reason: 'checksum' });
+        continue;
+      }
+      blob = m.blob;
+    } else {
+      if (!m.base64) continue;
+      blob = base64ToBlob(m.base64, m.mimeType);
+    }
     if ((m.byteLength ?? 0) > 10 * 1024 * 1024) continue;
     await repo.saveMedia({
       id: m.id,
-      blob: base64ToBlob(m.base64, m.mimeType),
+      blob,
       mimeType: m.mimeType,
-      byteLength: m.byteLength ?? Math.floor((m.base64.length * 3) / 4),
+      byteLength: m.byteLength ?? blob.size,
       width: m.width,
       height: m.height
     });
     mediaIdsInImport.add(m.id);
   }
+  for (const entry of corrupt) console.warn(`[import] skipping ${entry.reason === 'missing' ? 'missing' : 'damaged'} archive file ${entry.path}`);
   const personIdsInImport = new Set();
   for (const p of data.persons) {
     if (p.photo?.mediaId && !mediaIdsInImport.has(p.photo.mediaId)) {
@@ -377,4 +560,12 @@ export async function applyImport(repo, data) {
     }
     await repo.saveDocument(d);
   }
+  const sources = (data.sources || []).filter((record) => {
+    if (record.kind !== 'citation' || personIdsInImport.has(record.personId)) return true;
+    console.warn(`[import] dropping orphaned citation ${record.id} (person ${record.personId} missing)`);
+    return false;
+  });
+  if (sources.length) await repo.saveSourceRecords(sources);
+  if (data.places?.length) await repo.savePlaces(data.places);
+  return { corrupt };
 }
\ No newline at end of file
@@ -14,12 +14,16 @@
 import { ERROR_TYPES, ErrorHandler } from '../../utils/error-handling.js';
 
 const DB_NAME = 'FamilyTreeDB';
-const DB_VERSION = 5;            // v5: ensure documents store exists (v4 may have missed it)
+const DB_VERSION = 8;            // v8: places store
 const STORE_PERSONS = 'persons';
 const STORE_METADATA = 'metadata';
 const STORE_CONNECTIONS = 'connections';
 const STORE_MEDIA = 'media';
 const STORE_DOCUMENTS = 'documents';
+const STORE_HISTORY = 'history';
+const STORE_SNAPSHOTS = 'snapshots';
+const STORE_SOURCES = 'sources';
+const STORE_PLACES = 'places';
 
 export class IndexedDBRepository {
   #db;
@@ -101,6 +105,27 @@ export class IndexedDBRepository {
           const docStore = db.createObjectStore(STORE_DOCUMENTS, { keyPath: 'id' });
           docStore.createIndex('personId', 'personId', { unique: false });
         }
+
+        // Create history and snapshots stores (added in v6)
+        if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+          db.createObjectStore(STORE_HISTORY, { keyPath: 'seq' });
+        }
+        if (!db.objectStoreNames.contains(STORE_SNAPSHOTS)) {
+          db.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id' });
+        }
+
+        // Create sources store (added in v7): repositories, sources and citations
+        if (!db.objectStoreNames.contains(STORE_SOURCES)) {
+          const sourceStore = db.createObjectStore(STORE_SOURCES, { keyPath: 'id' });
+          sourceStore.createIndex('kind', 'kind', { unique: false });
+          sourceStore.createIndex('personId', 'personId', { unique: false });
+          sourceStore.createIndex('fact', 'fact', { unique: false });
+        }
+
+        // Create places store (added in v8): the place authority
+        if (!db.objectStoreNames.contains(STORE_PLACES)) {
+          db.createObjectStore(STORE_PLACES, { keyPath: 'id' });
+        }
       };
     });
   }
@@ -264,6 +289,28 @@ export class IndexedDBRepository {
     });
   }
 
+  /**
+   * Replace the whole persons store in one transaction, so persons deleted
+   * from the tree do not linger in the database.
+   * @param {Object[]} persons
+   * @returns {Promise<void>}
+   */
+  async replaceAllPersons(persons) {
+    await this.#ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([STORE_PERSONS], 'readwrite');
+      const store = transaction.objectStore(STORE_PERSONS);
+      store.clear();
+      for (const person of persons) {
+        store.put(person);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error('Failed to replace persons'));
+    });
+  }
+
   /**
    * Clear all persons
    * @returns {Promise<void>}
@@ -402,6 +449,54 @@ export class IndexedDBRepository {
     };
   }
 
+  /**
+   * Read every record of every store, keyed by store name. Together with
+   * importStores() this copies a whole tree, media and documents included.
+   * @returns {Promise<Object<string, Object[]>>}
+   */
+  async exportStores() {
+    await this.#ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const storeNames = Array.from(this.#db.objectStoreNames);
+      const transaction = this.#db.transaction(storeNames, 'readonly');
+      const stores = {};
+      for (const name of storeNames) {
+        const request = transaction.objectStore(name).getAll();
+        request.onsuccess = () => { stores[name] = request.result; };
+      }
+
+      transaction.oncomplete = () => resolve(stores);
+      transaction.onerror = () => reject(new Error('Failed to export stores'));
+    });
+  }
+
+  /**
+   * Write records produced by exportStores() into this database. Stores this
+   * database does not have are skipped.
+   * @param {Object<string, Object[]>} stores
+   * @returns {Promise<void>}
+   */
+  async importStores(stores) {
+    await this.#ensureInitialized();
+
+    const storeNames = Object.keys(stores).filter((name) => this.#db.objectStoreNames.contains(name));
+    if (storeNames.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(storeNames, 'readwrite');
+      for (const name of storeNames) {
+        const store = transaction.objectStore(name);
+        for (const record of stores[name]) {
+          store.put(record);
+        }
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error('Failed to import stores'));
+    });
+  }
+
   /**
    * Export all data
    * @returns {Promise<Object>}
@@ -670,6 +765,302 @@ export class IndexedDBRepository {
     return docs.map((d) => d.id);
   }
 
+  /**
+   * Save a history entry (one undoable step).
+   * @param {{seq: number, label: string, labelParams?: Object, timestamp: number, changes: Object[], undone?: boolean}} entry
+   * @returns {Promise<void>}
+   */
+  async saveHistoryEntry(entry) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_HISTORY], 'readwrite');
+      const req = tx.objectStore(STORE_HISTORY).put(entry);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(new Error(`Failed to save history entry ${entry.seq}`));
+    });
+  }
+
+  /**
+   * All history entries, oldest first.
+   * @returns {Promise<Object[]>}
+   */
+  async getHistoryEntries() {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_HISTORY], 'readonly');
+      const req = tx.objectStore(STORE_HISTORY).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(new Error('Failed to get history'));
+    });
+  }
+
+  /**
+   * @param {number[]} seqs
+   * @returns {Promise<void>}
+   */
+  async deleteHistoryEntries(seqs) {
+    if (!seqs.length) return;
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_HISTORY], 'readwrite');
+      const store = tx.objectStore(STORE_HISTORY);
+      for (const seq of seqs) store.delete(seq);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(new Error('Failed to delete history entries'));
+    });
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_HISTORY], 'readwrite');
+      const req = tx.objectStore(STORE_HISTORY).clear();
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(new Error('Failed to clear history'));
+    });
+  }
+
+  /**
+   * Save a named snapshot of the whole tree.
+   * @param {{id: string, name: string, timestamp: number, state: Object}} snapshot
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(snapshot) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SNAPSHOTS], 'readwrite');
+      const req = tx.objectStore(STORE_SNAPSHOTS).put(snapshot);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(new Error(`Failed to save snapshot ${snapshot.id}`));
+    });
+  }
+
+  /**
+   * All named snapshots, newest first.
+   * @returns {Promise<Object[]>}
+   */
+  async getSnapshots() {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SNAPSHOTS], 'readonly');
+      const req = tx.objectStore(STORE_SNAPSHOTS).getAll();
+      req.onsuccess = () => resolve((req.result || []).sort((a, b) => b.timestamp - a.timestamp));
+      req.onerror = () => reject(new Error('Failed to get snapshots'));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getSnapshot(id) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SNAPSHOTS], 'readonly');
+      const req = tx.objectStore(STORE_SNAPSHOTS).get(id);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(new Error('Failed to get snapshot'));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshot(id) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SNAPSHOTS], 'readwrite');
+      const req = tx.objectStore(STORE_SNAPSHOTS).delete(id);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(new Error('Failed to delete snapshot'));
+    });
+  }
+
+  /**
+   * Save a repository, source or citation record (see features/sources/source-model.js).
+   * @param {{id: string, kind: 'repository'|'source'|'citation'}} record
+   * @returns {Promise<string>} Record ID
+   */
+  async saveSourceRecord(record) {
+    if (!record?.id || !record.kind) throw new Error('saveSourceRecord: id and kind are required');
+    await this.#ensureInitialized();
+    const saved = { createdAt: Date.now(), ...record, updatedAt: Date.now() };
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SOURCES], 'readwrite');
+      const req = tx.objectStore(STORE_SOURCES).put(saved);
+      req.onsuccess = () => resolve(saved.id);
+      req.onerror = () => reject(new Error(`Failed to save ${record.kind} ${record.id}`));
+    });
+  }
+
+  /**
+   * Save many source records in one transaction (GEDCOM and file imports).
+   * @param {Object[]} records
+   * @returns {Promise<void>}
+   */
+  async saveSourceRecords(records) {
+    if (!records.length) return;
+    await this.#ensureInitialized();
+    const now = Date.now();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SOURCES], 'readwrite');
+      const store = tx.objectStore(STORE_SOURCES);
+      for (const record of records) store.put({ createdAt: now, updatedAt: now, ...record });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(new Error('Failed to save source records'));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getSourceRecord(id) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SOURCES], 'readonly');
+      const req = tx.objectStore(STORE_SOURCES).get(id);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(new Error('Failed to get source record'));
+    });
+  }
+
+  /**
+   * All records of one kind, or every record when no kind is given.
+   * @param {'repository'|'source'|'citation'} [kind]
+   * @returns {Promise<Object[]>}
+   */
+  async getSourceRecords(kind) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SOURCES], 'readonly');
+      const store = tx.objectStore(STORE_SOURCES);
+      const req = kind ? store.index('kind').getAll(kind) : store.getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(new Error('Failed to load source records'));
+    });
+  }
+
+  /**
+   * Citations attached to a person's facts.
+   * @param {string} personId
+   * @returns {Promise<Object[]>}
+   */
+  async getCitationsForPerson(personId) {
+    return this.#getCitationsBy('personId', personId);
+  }
+
+  /**
+   * Citations of one fact, e.g. `marriage:<id>`, whichever spouse they were added on.
+   * @param {string} fact
+   * @returns {Promise<Object[]>}
+   */
+  async getCitationsForFact(fact) {
+    return this.#getCitationsBy('fact', fact);
+  }
+
+  async #getCitationsBy(indexName, value) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SOURCES], 'readonly');
+      const req = tx.objectStore(STORE_SOURCES).index(indexName).getAll(value);
+      req.onsuccess = () => resolve((req.result || []).filter((r) => r.kind === 'citation'));
+      req.onerror = () => reject(new Error('Failed to query citations'));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deleteSourceRecord(id) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_SOURCES], 'readwrite');
+      const req = tx.objectStore(STORE_SOURCES).delete(id);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(new Error('Failed to delete source record'));
+    });
+  }
+
+  /**
+   * Delete all citations for a person. Sources and repositories stay.
+   * Returns the list of deleted citation ids.
+   * @param {string} personId
+   * @returns {Promise<string[]>}
+   */
+  async deleteCitationsForPerson(personId) {
+    const citations = await this.getCitationsForPerson(personId);
+    await Promise.all(citations.map((c) => this.deleteSourceRecord(c.id)));
+    return citations.map((c) => c.id);
+  }
+
+  /**
+   * Save a place of the place authority (see features/places/place-model.js).
+   * @param {{id: string}} place
+   * @returns {Promise<string>} Place ID
+   */
+  async savePlace(place) {
+    if (!place?.id) throw new Error('savePlace: id is required');
+    await this.#ensureInitialized();
+    const saved = { createdAt: Date.now(), ...place, updatedAt: Date.now() };
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_PLACES], 'readwrite');
+      const req = tx.objectStore(STORE_PLACES).put(saved);
+      req.onsuccess = () => resolve(saved.id);
+      req.onerror = () => reject(new Error(`Failed to save place ${place.id}`));
+    });
+  }
+
+  /**
+   * Save many places in one transaction (file imports).
+   * @param {Object[]} places
+   * @returns {Promise<void>}
+   */
+  async savePlaces(places) {
+    if (!places.length) return;
+    await this.#ensureInitialized();
+    const now = Date.now();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_PLACES], 'readwrite');
+      const store = tx.objectStore(STORE_PLACES);
+      for (const place of places) store.put({ createdAt: now, updatedAt: now, ...place });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(new Error('Failed to save places'));
+    });
+  }
+
+  /**
+   * @returns {Promise<Object[]>}
+   */
+  async getPlaces() {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_PLACES], 'readonly');
+      const req = tx.objectStore(STORE_PLACES).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(new Error('Failed to load places'));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deletePlace(id) {
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const tx = this.#db.transaction([STORE_PLACES], 'readwrite');
+      const req = tx.objectStore(STORE_PLACES).delete(id);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(new Error('Failed to delete place'));
+    });
+  }
+
   /**
    * Ensure database is initialized
    * @private
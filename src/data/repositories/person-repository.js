@@ -22,6 +22,9 @@ import { ERROR_TYPES, ErrorHandler } from '../../utils/error-handling.js';
  * @property {string} [fatherName] - Father's name
  * @property {Object} [birth] - Birth event { date, place, note }
  * @property {string} [dod] - Date of death
+ * @property {Object[]} [events] - Other life events { id, type, date, place, note, description }
+ * @property {Object[]} [altNames] - Additional names { given, surname, type }
+ * @property {Object[]} [unmapped] - GEDCOM substructures with no field in the model, kept for re-export
  * @property {string} gender - Gender (male/female)
  * @property {string} [motherId] - Mother's ID
  * @property {string} [fatherId] - Father's ID
@@ -312,7 +315,7 @@ export class PersonRepository {
 /**
  * PersonValidator - Validates person data
  */
-class PersonValidator {
+export class PersonValidator {
   /**
    * Validate person data
    * @param {Person} person
@@ -0,0 +1,306 @@
+/**
+ * TreeLibraryRepository - the family trees kept in this browser profile
+ *
+ * Each tree has its own IndexedDB database (persons, media, documents,
+ * hidden connections, settings) and its own localStorage backup blob. The
+ * library only records which trees exist and which one is open.
+ *
+ * The tree that existed before the library keeps the original `FamilyTreeDB`
+ * database and `familyTreeCanvas_state` key, so existing data becomes the
+ * default tree without being copied.
+ */
+
+import { ERROR_TYPES, ErrorHandler } from '../../utils/error-handling.js';
+import { IndexedDBRepository } from './indexed-db-repository.js';
+
+const DB_NAME = 'FamilyTreeLibrary';
+const DB_VERSION = 1;
+const STORE_TREES = 'trees';
+const ACTIVE_TREE_KEY = 'familyTree_activeTreeId';
+// Name of the open tree; also read by the exporters for file names
+const TREE_NAME_KEY = 'familyTree_treeName';
+
+export const DEFAULT_TREE_ID = 'default';
+export const DEFAULT_TREE_NAME = 'My Family Tree';
+
+/**
+ * @typedef {Object} TreeRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number} personCount - as of the last time the tree was closed
+ */
+
+/**
+ * IndexedDB database holding a tree's data.
+ * @param {string} treeId
+ * @returns {string}
+ */
+export function treeDatabaseName(treeId) {
+  return treeId === DEFAULT_TREE_ID ? 'FamilyTreeDB' : `FamilyTreeDB_${treeId}`;
+}
+
+/**
+ * localStorage key of a tree's backup blob; timestamped backups append `_backup_<time>`.
+ * @param {string} treeId
+ * @returns {string}
+ */
+export function treeCacheKey(treeId) {
+  return treeId === DEFAULT_TREE_ID ? 'familyTreeCanvas_state' : `familyTreeCanvas_state_${treeId}`;
+}
+
+export class TreeLibraryRepository {
+  #db;
+  #dbName;
+
+  constructor(dbName = DB_NAME) {
+    this.#db = null;
+    this.#dbName = dbName;
+  }
+
+  /**
+   * Id of the tree that was open last; the default tree on first run.
+   * @returns {string}
+   */
+  static getActiveTreeId() {
+    return localStorage.getItem(ACTIVE_TREE_KEY) || DEFAULT_TREE_ID;
+  }
+
+  /**
+   * Remember the open tree for the next visit.
+   * @param {TreeRecord} tree
+   */
+  static setActiveTree(tree) {
+    localStorage.setItem(ACTIVE_TREE_KEY, tree.id);
+    localStorage.setItem(TREE_NAME_KEY, tree.name);
+  }
+
+  /**
+   * Initialize the database
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.#db) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.#dbName, DB_VERSION);
+
+      request.onerror = () => {
+        const error = new Error('Failed to open tree library');
+        ErrorHandler.handleError(error, ERROR_TYPES.DATA_OPERATION_ERROR, {
+          operation: 'initialize',
+          dbName: this.#dbName
+        });
+        reject(error);
+      };
+
+      request.onsuccess = (event) => {
+        this.#db = event.target.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(STORE_TREES)) {
+          db.createObjectStore(STORE_TREES, { keyPath: 'id' });
+        }
+      };
+    });
+  }
+
+  /**
+   * All trees, oldest first. On first run the existing data is registered as
+   * the default tree, named after the tree name the builder already stored.
+   * @returns {Promise<TreeRecord[]>}
+   */
+  async ensureDefaultTree() {
+    const trees = await this.listTrees();
+    if (trees.length > 0) return trees;
+
+    const now = Date.now();
+    const tree = {
+      id: DEFAULT_TREE_ID,
+      name: localStorage.getItem(TREE_NAME_KEY) || DEFAULT_TREE_NAME,
+      createdAt: now,
+      updatedAt: now,
+      personCount: 0
+    };
+    await this.#putTree(tree);
+    return [tree];
+  }
+
+  /**
+   * @returns {Promise<TreeRecord[]>} oldest first
+   */
+  async listTrees() {
+    await this.#ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([STORE_TREES], 'readonly');
+      const request = transaction.objectStore(STORE_TREES).getAll();
+
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt - b.createdAt));
+      request.onerror = () => reject(new Error('Failed to list trees'));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<TreeRecord|null>}
+   */
+  async getTree(id) {
+    await this.#ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([STORE_TREES], 'readonly');
+      const request = transaction.objectStore(STORE_TREES).get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error('Failed to get tree'));
+    });
+  }
+
+  /**
+   * Register a new, empty tree.
+   * @param {string} name
+   * @returns {Promise<TreeRecord>}
+   */
+  async createTree(name) {
+    const now = Date.now();
+    const tree = {
+      id: `t_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      name: name.trim() || DEFAULT_TREE_NAME,
+      createdAt: now,
+      updatedAt: now,
+      personCount: 0
+    };
+    await this.#putTree(tree);
+    return tree;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   * @returns {Promise<TreeRecord>}
+   */
+  async renameTree(id, name) {
+    const tree = await this.#requireTree(id);
+    tree.name = name.trim() || tree.name;
+    tree.updatedAt = Date.now();
+    await this.#putTree(tree);
+    if (TreeLibraryRepository.getActiveTreeId() === id) {
+      TreeLibraryRepository.setActiveTree(tree);
+    }
+    return tree;
+  }
+
+  /**
+   * Record that a tree was just saved.
+   * @param {string} id
+   * @param {{ personCount?: number }} [fields]
+   * @returns {Promise<void>}
+   */
+  async touchTree(id, fields = {}) {
+    const tree = await this.getTree(id);
+    if (!tree) return;
+    await this.#putTree({ ...tree, ...fields, updatedAt: Date.now() });
+  }
+
+  /**
+   * Copy a tree with everything in it, media and documents included. Save
+   * the tree first if it is open.
+   * @param {string} id
+   * @param {string} name - name of the copy
+   * @returns {Promise<TreeRecord>}
+   */
+  async duplicateTree(id, name) {
+    const source = await this.#requireTree(id);
+    const copy = await this.createTree(name);
+
+    const sourceDb = new IndexedDBRepository(treeDatabaseName(source.id));
+    const copyDb = new IndexedDBRepository(treeDatabaseName(copy.id));
+    try {
+      await copyDb.importStores(await sourceDb.exportStores());
+    } finally {
+      sourceDb.close();
+      copyDb.close();
+    }
+
+    const backup = localStorage.getItem(treeCacheKey(source.id));
+    if (backup) {
+      try {
+        localStorage.setItem(treeCacheKey(copy.id), backup);
+      } catch (error) {
+        // The IndexedDB copy is complete; the backup blob is rewritten on the next save
+        console.warn('[TreeLibrary] Could not copy the localStorage backup:', error);
+      }
+    }
+
+    await this.#putTree({ ...copy, personCount: source.personCount });
+    return { ...copy, personCount: source.personCount };
+  }
+
+  /**
+   * Delete a tree and all of its data. The caller must not delete the open tree.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deleteTree(id) {
+    await this.#requireTree(id);
+    await new IndexedDBRepository(treeDatabaseName(id)).deleteDatabase();
+
+    const cacheKey = treeCacheKey(id);
+    const keysToRemove = [cacheKey];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(`${cacheKey}_backup_`)) keysToRemove.push(key);
+    }
+    keysToRemove.forEach((key) => localStorage.removeItem(key));
+
+    await this.#ensureInitialized();
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([STORE_TREES], 'readwrite');
+      const request = transaction.objectStore(STORE_TREES).delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete tree'));
+    });
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.#db) {
+      this.#db.close();
+      this.#db = null;
+    }
+  }
+
+  async #requireTree(id) {
+    const tree = await this.getTree(id);
+    if (!tree) throw new Error(`Tree ${id} not found`);
+    return tree;
+  }
+
+  async #putTree(tree) {
+    await this.#ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([STORE_TREES], 'readwrite');
+      const request = transaction.objectStore(STORE_TREES).put(tree);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to save tree ${tree.id}`));
+    });
+  }
+
+  async #ensureInitialized() {
+    if (!this.#db) {
+      await this.initialize();
+    }
+  }
+}
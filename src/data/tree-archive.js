@@ -0,0 +1,334 @@
+// tree-archive.js
+// The .mmr tree archive: a zip holding the photos and documents as raw
+// files in folders, tree.json with everything else, and manifest.json with
+// the schema version and a SHA-256 checksum of every file. It is written as
+// a stream and read one entry at a time, so a large archive is never held in
+// memory whole.
+
+import { Zip, ZipDeflate, ZipPassThrough, Inflate, strToU8, strFromU8 } from 'fflate';
+
+export const ARCHIVE_EXTENSION = '.mmr';
+export const ARCHIVE_FORMAT = 'mmr';
+export const ARCHIVE_SCHEMA_VERSION = 1;
+
+const MANIFEST_PATH = 'manifest.json';
+const TREE_PATH = 'tree.json';
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Hex SHA-256 of a blob or bytes.
+ * @param {Blob|Uint8Array|ArrayBuffer} data
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(data) {
+  const bytes = typeof Blob !== 'undefined' && data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether bytes start like a zip file, so a dropped .mmr is told apart from JSON.
+ * @param {Uint8Array} bytes
+ */
+export function isZipData(bytes) {
+  return bytes?.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+/** File extension for a media MIME type ('bin' when unknown). */
+export function mediaFileExtension(mimeType) {
+  return MEDIA_EXTENSIONS[mimeType] || 'bin';
+}
+
+/**
+ * A zip written as a stream of chunks to `write`, one file at a time.
+ * Deflated files are for text; media, which do not compress, are stored.
+ *
+ * @param {(chunk: Uint8Array, final: boolean) => (void|Promise<void>)} write - awaited before the next file
+ * @returns {{ addFile: (path: string, bytes: Uint8Array, compress: boolean) => Promise<void>, end: () => Promise<void> }}
+ */
+export function createZipStream(write) {
+  let writing = Promise.resolve();
+  let failure = null;
+  const zip = new Zip((err, chunk, final) => {
+    if (err) {
+      failure = err;
+      return;
+    }
+    writing = writing.then(() => write(chunk, final));
+  });
+  const flush = async () => {
+    await writing;
+    if (failure) throw failure;
+  };
+
+  return {
+    async addFile(path, bytes, compress) {
+      const file = compress ? new ZipDeflate(path, { level: 6 }) : new ZipPassThrough(path);
+      zip.add(file);
+      file.push(bytes, true);
+      await flush();
+    },
+    async end() {
+      zip.end();
+      await flush();
+    }
+  };
+}
+
+/**
+ * Writes an archive as zip chunks to `write`. Media are stored as they are
+ * (photos and PDFs do not compress); the JSON files are deflated.
+ *
+ * @param {(chunk: Uint8Array, final: boolean) => (void|Promise<void>)} write - awaited before the next media file
+ * @returns {{ addMedia: (record: { id: string, blob: Blob, mimeType: string }, folder: string) => Promise<string>, finish: (tree: Object) => Promise<void> }}
+ *   addMedia returns the path of the file in the archive
+ */
+export function createArchiveWriter(write) {
+  const entries = [];
+  const usedPaths = new Set();
+  const zip = createZipStream(write);
+
+  const addFile = async (path, bytes, compress) => {
+    entries.push({ path, size: bytes.length, sha256: await sha256Hex(bytes) });
+    await zip.addFile(path, bytes, compress);
+  };
+
+  const mediaPath = (record, folder) => {
+    const name = String(record.id).replace(/[^\w.-]/g, '_');
+    const extension = mediaFileExtension(record.mimeType);
+    let path = `media/${folder}/${name}.${extension}`;
+    for (let n = 2; usedPaths.has(path); n++) path = `media/${folder}/${name}-${n}.${extension}`;
+    usedPaths.add(path);
+    return path;
+  };
+
+  return {
+    async addMedia(record, folder) {
+      const path = mediaPath(record, folder);
+      await addFile(path, new Uint8Array(await record.blob.arrayBuffer()), false);
+      return path;
+    },
+    async finish(tree) {
+      await addFile(TREE_PATH, strToU8(JSON.stringify(tree)), true);
+      const manifest = {
+        format: ARCHIVE_FORMAT,
+        schemaVersion: ARCHIVE_SCHEMA_VERSION,
+        exportVersion: tree?.version,
+        createdAt: new Date().toISOString(),
+        entries
+      };
+      await zip.addFile(MANIFEST_PATH, strToU8(JSON.stringify(manifest, null, 2)), true);
+      await zip.end();
+    }
+  };
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+// CRC-32 of a blob's bytes, read as a stream
+async function crc32(blob) {
+  let crc = -1;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i++) crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// End of central directory record plus the longest comment
+const MAX_TAIL = 22 + 0xffff;
+
+async function readBytes(source, start, end) {
+  return new Uint8Array(await source.slice(start, end).arrayBuffer());
+}
+
+function view(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// 64-bit fields as numbers; archives stay far below 2^53 bytes
+function uint64(data, offset) {
+  return data.getUint32(offset, true) + data.getUint32(offset + 4, true) * 0x100000000;
+}
+
+// Where the central directory is and how long, from the end records
+async function findCentralDirectory(source) {
+  const tailStart = Math.max(0, source.size - MAX_TAIL);
+  const tail = await readBytes(source, tailStart, source.size);
+  const data = view(tail);
+  let at = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (data.getUint32(i, true) === EOCD_SIGNATURE) {
+      at = i;
+      break;
+    }
+  }
+  if (at < 0) throw new Error('Not a zip file');
+
+  let offset = data.getUint32(at + 16, true);
+  let size = data.getUint32(at + 12, true);
+  if ((offset === 0xffffffff || size === 0xffffffff) && at >= 20 && data.getUint32(at - 20, true) === ZIP64_LOCATOR_SIGNATURE) {
+    const recordAt = uint64(data, at - 12);
+    const record = view(await readBytes(source, recordAt, recordAt + 56));
+    size = uint64(record, 40);
+    offset = uint64(record, 48);
+  }
+  return { offset, size };
+}
+
+// Entries of the central directory: name, method and where the data lies
+function parseCentralDirectory(bytes) {
+  const data = view(bytes);
+  const entries = [];
+  for (let i = 0; i + 46 <= bytes.length && data.getUint32(i, true) === CENTRAL_SIGNATURE;) {
+    const flags = data.getUint16(i + 8, true);
+    const nameLength = data.getUint16(i + 28, true);
+    const extraLength = data.getUint16(i + 30, true);
+    const commentLength = data.getUint16(i + 32, true);
+    const entry = {
+      name: strFromU8(bytes.subarray(i + 46, i + 46 + nameLength), !(flags & 0x800)),
+      method: data.getUint16(i + 10, true),
+      crc: data.getUint32(i + 16, true),
+      compressedSize: data.getUint32(i + 20, true),
+      size: data.getUint32(i + 24, true),
+      localOffset: data.getUint32(i + 42, true)
+    };
+    // Zip64 extra field: the 32-bit fields set to all ones follow in order
+    for (let x = i + 46 + nameLength, end = x + extraLength; x + 4 <= end;) {
+      const id = data.getUint16(x, true);
+      const length = data.getUint16(x + 2, true);
+      if (id === 0x0001) {
+        let field = x + 4;
+        for (const key of ['size', 'compressedSize', 'localOffset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= x + 4 + length) {
+            entry[key] = uint64(data, field);
+            field += 8;
+          }
+        }
+      }
+      x += 4 + length;
+    }
+    entries.push(entry);
+    i += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function inflateBlob(blob) {
+  const parts = [];
+  const inflate = new Inflate((chunk) => parts.push(chunk));
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    inflate.push(value || new Uint8Array(0), done);
+    if (done) break;
+  }
+  return new Blob(parts);
+}
+
+/**
+ * Unpack a zip into a map of entry name to blob, one entry at a time. The
+ * entries are found through the central directory, so their lengths come
+ * from there: entries written as a stream, with a data descriptor, may hold
+ * any bytes. Entries that fail to read or whose CRC-32 does not match are
+ * left out, and their names added to `damaged`.
+ * @param {Blob} source
+ * @param {string[]} [damaged]
+ * @returns {Promise<Map<string, Blob>>}
+ * @throws {Error} when the source is not a zip file
+ */
+export async function readZipEntries(source, damaged = []) {
+  const files = new Map();
+  const directory = await findCentralDirectory(source);
+  const entries = parseCentralDirectory(await readBytes(source, directory.offset, directory.offset + directory.size));
+  for (const entry of entries) {
+    if (entry.name.endsWith('/')) continue;
+    try {
+      const header = view(await readBytes(source, entry.localOffset, entry.localOffset + 30));
+      if (header.byteLength < 30 || header.getUint32(0, true) !== LOCAL_SIGNATURE) throw new Error('bad local header');
+      const start = entry.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+      const stored = source.slice(start, start + entry.compressedSize);
+      let file;
+      if (entry.method === 0) file = stored;
+      else if (entry.method === 8) file = await inflateBlob(stored);
+      else throw new Error(`compression method ${entry.method}`);
+      if (file.size !== entry.size || await crc32(file) !== entry.crc) throw new Error('CRC-32 mismatch');
+      files.set(entry.name, file);
+    } catch (err) {
+      console.warn(`[archive] unreadable entry ${entry.name}:`, err);
+      damaged.push(entry.name);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read a .mmr archive into the shape `applyImport` takes. Each media entry
+ * of tree.json gets the `blob` of its file (null when the archive lacks
+ * it), the `sha256` the manifest lists for it, and `damaged: true` when the
+ * zip entry failed its CRC-32; checking them is left to `applyImport`, so
+ * one damaged scan does not stop the import.
+ *
+ * @param {Blob} source
+ * @returns {Promise<{ manifest: Object, data: Object, damaged: string[] }>}
+ *   `damaged` names the zip entries that could not be read back intact
+ * @throws {Error} when the archive has no readable manifest or tree, is of a newer schema, or tree.json fails its checksum
+ */
+export async function readTreeArchive(source) {
+  const damaged = [];
+  const files = await readZipEntries(source, damaged);
+
+  const readJSON = async (path) => {
+    const file = files.get(path);
+    if (damaged.includes(path)) throw new Error(`The archive's ${path} is damaged`);
+    if (!file) throw new Error(`Not a family tree archive: ${path} is missing`);
+    try {
+      return JSON.parse(strFromU8(new Uint8Array(await file.arrayBuffer())));
+    } catch (error) {
+      throw new Error(`The archive's ${path} is damaged`, { cause: error });
+    }
+  };
+
+  const manifest = await readJSON(MANIFEST_PATH);
+  if (manifest.format !== ARCHIVE_FORMAT) throw new Error('Not a family tree archive');
+  if (manifest.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+    throw new Error(`The archive was made by a newer version (schema ${manifest.schemaVersion}); please update the app`);
+  }
+  const checksums = new Map((manifest.entries || []).map((entry) => [entry.path, entry.sha256]));
+  const treeFile = files.get(TREE_PATH);
+  if (treeFile && checksums.has(TREE_PATH) && await sha256Hex(treeFile) !== checksums.get(TREE_PATH)) {
+    throw new Error(`The archive's ${TREE_PATH} is damaged (checksum mismatch)`);
+  }
+  const data = await readJSON(TREE_PATH);
+
+  data.media = (data.media || []).map((entry) => {
+    const file = files.get(entry.path);
+    return {
+      ...entry,
+      blob: file ? new Blob([file], { type: entry.mimeType }) : null,
+      sha256: checksums.get(entry.path) ?? null,
+      ...(damaged.includes(entry.path) ? { damaged: true } : {})
+    };
+  });
+  return { manifest, data, damaged };
+}
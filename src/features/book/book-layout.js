@@ -0,0 +1,271 @@
+// book-layout.js - Page layout of the family book (pure): the title page,
+// a chapter per person flowed over A4 pages with wrapped text, photos,
+// figures and pedigree charts, then the surname and place indexes with the
+// page numbers the chapters ended up on. Each page is standalone SVG
+// markup, so the PDF prints any script the browser can draw.
+
+import { escapeXml } from '../../utils/xml.js';
+
+/** A4 at 96 pixels per inch, in CSS pixels. */
+export const BOOK_PAGE = Object.freeze({ width: 794, height: 1123, margin: 72 });
+export const BOOK_FONT = 'Georgia, \'Times New Roman\', serif';
+
+const TEXT_COLOR = '#2c2c2a';
+const MUTED_COLOR = '#5f5e5a';
+const STYLES = {
+  title: { size: 34, bold: true, lineHeight: 1.25, after: 14 },
+  heading: { size: 24, bold: true, lineHeight: 1.25, after: 4 },
+  subheading: { size: 14, italic: true, color: MUTED_COLOR, lineHeight: 1.4, after: 16 },
+  section: { size: 15, bold: true, lineHeight: 1.4, before: 10, after: 6 },
+  paragraph: { size: 12.5, lineHeight: 1.55, after: 10 },
+  item: { size: 12, lineHeight: 1.5, after: 2 },
+  caption: { size: 11, italic: true, color: MUTED_COLOR, lineHeight: 1.4, after: 14 }
+};
+const PHOTO_MAX = { width: 150, height: 190 };
+const FIGURE_MAX_HEIGHT = 340;
+
+/**
+ * Rough text width for when no canvas is at hand.
+ * @param {string} text
+ * @param {number} size
+ * @returns {number}
+ */
+export function estimateTextWidth(text, size) {
+  return String(text).length * size * 0.5;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth`. Words longer than a line
+ * are cut.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {(text: string) => number} measure
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      while (measure(word) > maxWidth && word.length > 1) {
+        let cut = word.length - 1;
+        while (cut > 1 && measure(word.slice(0, cut)) > maxWidth) cut--;
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+      line = word;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function fit(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / Math.max(width, 1), maxHeight / Math.max(height, 1));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Pages being filled top to bottom.
+ */
+class PageFlow {
+  constructor(measure) {
+    this.measure = measure;
+    this.pages = [];
+    this.contentWidth = BOOK_PAGE.width - BOOK_PAGE.margin * 2;
+    this.bottom = BOOK_PAGE.height - BOOK_PAGE.margin;
+    this.newPage();
+  }
+
+  get pageNumber() {
+    return this.pages.length;
+  }
+
+  newPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = BOOK_PAGE.margin;
+  }
+
+  ensure(height) {
+    if (this.y + height > this.bottom && this.y > BOOK_PAGE.margin) this.newPage();
+  }
+
+  /**
+   * Wrapped text in one of STYLES; paragraphs continue on the next page.
+   * @param {string} text
+   * @param {string} style
+   * @param {{ width?: number, align?: 'start'|'middle' }} [options]
+   */
+  text(text, style, { width = this.contentWidth, align = 'start' } = {}) {
+    const s = STYLES[style];
+    const lineHeight = s.size * s.lineHeight;
+    const font = `${s.italic ? 'italic ' : ''}${s.bold ? 'bold ' : ''}${s.size}px ${BOOK_FONT}`;
+    const lines = wrapText(text, width, (t) => this.measure(t, font, s.size));
+    this.y += s.before || 0;
+    const x = align === 'middle' ? BOOK_PAGE.margin + width / 2 : BOOK_PAGE.margin;
+    for (const line of lines) {
+      this.ensure(lineHeight);
+      this.current.push(`<text x="${x}" y="${(this.y + s.size).toFixed(1)}" text-anchor="${align}" font-family="${escapeXml(BOOK_FONT)}" ` +
+        `font-size="${s.size}"${s.bold ? ' font-weight="700"' : ''}${s.italic ? ' font-style="italic"' : ''} ` +
+        `fill="${s.color || TEXT_COLOR}">${escapeXml(line)}</text>`);
+      this.y += lineHeight;
+    }
+    this.y += s.after || 0;
+  }
+
+  image(figure, width, height, x) {
+    this.current.push(`<image href="${escapeXml(figure.href)}" x="${x}" y="${this.y}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid meet"/>`);
+  }
+
+  /** An image with a caption, on one page. */
+  figure(figure, caption) {
+    const size = fit(figure.width, figure.height, this.contentWidth, FIGURE_MAX_HEIGHT);
+    this.ensure(size.height + 30);
+    this.image(figure, size.width, size.height, BOOK_PAGE.margin + (this.contentWidth - size.width) / 2);
+    this.y += size.height + 6;
+    this.text(caption, 'caption', { align: 'middle' });
+  }
+
+  /** SVG elements drawn in a `width` x `height` box, scaled down to fit the page width. */
+  chart({ content, width, height }) {
+    const size = fit(width, height, this.contentWidth, this.bottom - BOOK_PAGE.margin);
+    this.ensure(size.height + 14);
+    const x = BOOK_PAGE.margin + (this.contentWidth - size.width) / 2;
+    this.current.push(`<svg x="${x}" y="${this.y}" width="${size.width}" height="${size.height}" viewBox="0 0 ${width} ${height}">${content}</svg>`);
+    this.y += size.height + 14;
+  }
+
+  /** The chapter's heading beside the person's photo, on a new page. */
+  chapterStart(title, subtitle, photo) {
+    if (this.current.length) this.newPage();
+    const top = this.y;
+    let textWidth = this.contentWidth;
+    let photoBottom = top;
+    if (photo) {
+      const size = fit(photo.width, photo.height, PHOTO_MAX.width, PHOTO_MAX.height);
+      const x = BOOK_PAGE.margin + this.contentWidth - size.width;
+      this.image(photo, size.width, size.height, x);
+      this.current.push(`<rect x="${x}" y="${top}" width="${size.width}" height="${size.height}" fill="none" stroke="#d3d1c7"/>`);
+      textWidth -= size.width + 20;
+      photoBottom = top + size.height + 16;
+    }
+    this.text(title, 'heading', { width: textWidth });
+    if (subtitle) this.text(subtitle, 'subheading', { width: textWidth });
+    this.y = Math.max(this.y, photoBottom);
+  }
+
+  markup() {
+    return this.pages.map((elements, i) => [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${BOOK_PAGE.width}" height="${BOOK_PAGE.height}" viewBox="0 0 ${BOOK_PAGE.width} ${BOOK_PAGE.height}">`,
+      `<rect width="${BOOK_PAGE.width}" height="${BOOK_PAGE.height}" fill="#ffffff"/>`,
+      ...elements,
+      i > 0 ? `<text x="${BOOK_PAGE.width / 2}" y="${BOOK_PAGE.height - BOOK_PAGE.margin / 2}" text-anchor="middle" ` +
+        `font-family="${escapeXml(BOOK_FONT)}" font-size="11" fill="${MUTED_COLOR}">${i + 1}</text>` : '',
+      '</svg>'
+    ].join(''));
+  }
+}
+
+/**
+ * @typedef {Object} BookFigure
+ * @property {string} href - data URL of the image
+ * @property {number} width
+ * @property {number} height
+ * @property {string} [caption]
+ */
+
+/**
+ * @typedef {Object} BookChapter
+ * @property {string} title
+ * @property {string} [subtitle]
+ * @property {BookFigure} [photo]
+ * @property {string[]} paragraphs
+ * @property {string[]} [events]
+ * @property {string} [notes]
+ * @property {BookFigure[]} [figures]
+ * @property {{ content: string, width: number, height: number }|null} [pedigree]
+ * @property {string[]} [surnames] - index entries
+ * @property {string[]} [places] - index entries
+ */
+
+function indexEntries(chapters, key, startPages) {
+  const entries = new Map();
+  chapters.forEach((chapter, i) => {
+    for (const value of chapter[key] || []) {
+      const sortKey = value.toLocaleLowerCase();
+      if (!entries.has(sortKey)) entries.set(sortKey, { value, pages: new Set() });
+      entries.get(sortKey).pages.add(startPages[i]);
+    }
+  });
+  return [...entries.values()]
+    .sort((a, b) => a.value.localeCompare(b.value))
+    .map(({ value, pages }) => ({ value, pages: [...pages].sort((a, b) => a - b) }));
+}
+
+/**
+ * Lay the book out.
+ * @param {{ title: string, subtitle?: string, lines?: string[], chapters: BookChapter[] }} book
+ * @param {{ labels?: Object<string, string>, measure?: (text: string, font: string, size: number) => number }} [options]
+ *   labels: events, notes, documents, pedigree, figure ("Figure {{n}}"), index_surnames, index_places
+ * @returns {{ pages: string[], chapterPages: number[], surnameIndex: { value: string, pages: number[] }[], placeIndex: { value: string, pages: number[] }[] }}
+ */
+export function layoutBook(book, { labels = {}, measure = (text, font, size) => estimateTextWidth(text, size) } = {}) {
+  const label = (key, fallback) => labels[key] || fallback;
+  const flow = new PageFlow(measure);
+
+  // Title page
+  flow.y = BOOK_PAGE.height * 0.33;
+  flow.text(book.title, 'title', { align: 'middle' });
+  if (book.subtitle) flow.text(book.subtitle, 'subheading', { align: 'middle' });
+  for (const line of book.lines || []) flow.text(line, 'caption', { align: 'middle' });
+
+  const chapterPages = [];
+  let figureNumber = 0;
+  for (const chapter of book.chapters) {
+    flow.chapterStart(chapter.title, chapter.subtitle, chapter.photo);
+    chapterPages.push(flow.pageNumber);
+    for (const paragraph of chapter.paragraphs) flow.text(paragraph, 'paragraph');
+    if (chapter.events?.length) {
+      flow.text(label('events', 'Life events'), 'section');
+      for (const event of chapter.events) flow.text(`•  ${event}`, 'item');
+    }
+    if (chapter.notes) {
+      flow.text(label('notes', 'Notes'), 'section');
+      flow.text(chapter.notes, 'paragraph');
+    }
+    if (chapter.figures?.length) {
+      flow.text(label('documents', 'Documents'), 'section');
+      for (const figure of chapter.figures) {
+        figureNumber++;
+        const number = label('figure', 'Figure {{n}}').replace('{{n}}', String(figureNumber));
+        flow.figure(figure, figure.caption ? `${number}: ${figure.caption}` : number);
+      }
+    }
+    if (chapter.pedigree) {
+      flow.text(label('pedigree', 'Ancestors'), 'section');
+      flow.chart(chapter.pedigree);
+    }
+  }
+
+  const surnameIndex = indexEntries(book.chapters, 'surnames', chapterPages);
+  const placeIndex = indexEntries(book.chapters, 'places', chapterPages);
+  for (const [key, fallback, entries] of [
+    ['index_surnames', 'Index of surnames', surnameIndex],
+    ['index_places', 'Index of places', placeIndex]
+  ]) {
+    if (entries.length === 0) continue;
+    flow.newPage();
+    flow.text(label(key, fallback), 'heading');
+    flow.y += 12;
+    for (const { value, pages } of entries) flow.text(`${value} · ${pages.join(', ')}`, 'item');
+  }
+
+  return { pages: flow.markup(), chapterPages, surnameIndex, placeIndex };
+}
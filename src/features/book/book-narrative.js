@@ -0,0 +1,159 @@
+// book-narrative.js - The sentences of a person's chapter in the family book
+// (pure): birth, parents, marriages, children and death written out as
+// prose in the reader's language, plus the surnames and places the chapter
+// is listed under in the book's indexes.
+//
+// Templates come from `builder.book.*` in the locale files and use
+// {{name}} placeholders. Sentences about a person have a `_male` and a
+// `_female` variant where the language needs one ("родился"/"родилась").
+
+import { formatDateValue, formatLifespanShort } from '../../utils/date-value.js';
+import { summarizeLifeEvents, sortEventsChronologically } from '../../utils/life-events.js';
+import { dateToYear } from '../timeline/timeline-layout.js';
+
+const TEMPLATES = {
+  born: '{{name}} was born{{when}}{{where}}.',
+  died: '{{name}} died{{when}}{{where}}{{age}}.',
+  married: '{{name}} married {{spouse}}{{when}}{{where}}.',
+  parents_both_male: 'He was the son of {{father}} and {{mother}}.',
+  parents_both_female: 'She was the daughter of {{father}} and {{mother}}.',
+  parents_both: 'They were the child of {{father}} and {{mother}}.',
+  parents_father_male: 'He was the son of {{father}}.',
+  parents_father_female: 'She was the daughter of {{father}}.',
+  parents_father: 'They were the child of {{father}}.',
+  parents_mother_male: 'He was the son of {{mother}}.',
+  parents_mother_female: 'She was the daughter of {{mother}}.',
+  parents_mother: 'They were the child of {{mother}}.',
+  children_one: 'Child: {{names}}.',
+  children_many: 'Children: {{names}}.',
+  when_day: ' on {{date}}',
+  when_month: ' in {{date}}',
+  when_year: ' in {{date}}',
+  when_qualified: ' {{date}}',
+  where: ' in {{place}}',
+  age: ' at the age of {{age}}'
+};
+
+/**
+ * @typedef {Object} ChapterText
+ * @property {string} title - full name
+ * @property {string} lifespan - e.g. "1880 – 1952"
+ * @property {string[]} paragraphs
+ * @property {string[]} events - one line per life event, chronological
+ * @property {string} notes
+ * @property {string[]} surnames - index entries
+ * @property {string[]} places - index entries, as written in the records
+ */
+
+function fill(text, params) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (params[key] !== undefined ? params[key] : match));
+}
+
+/** Full name of a person as the book prints it. */
+export function bookPersonName(person) {
+  return [person?.name, person?.surname].map((part) => String(part ?? '').trim()).filter(Boolean).join(' ');
+}
+
+function givenName(person) {
+  return String(person?.name ?? '').trim() || bookPersonName(person);
+}
+
+/**
+ * Phrases of the narrative in one language.
+ * @param {(key: string, fallback: string) => string} t - looks up builder.book.<key>
+ * @param {string} locale - for dates
+ */
+function phrasebook(t, locale) {
+  const template = (key, gender) => {
+    const gendered = gender === 'male' || gender === 'female' ? `${key}_${gender}` : null;
+    const text = gendered ? t(`builder.book.${gendered}`, TEMPLATES[gendered] || '') : '';
+    return text || t(`builder.book.${key}`, TEMPLATES[key]);
+  };
+  const say = (key, params, gender) => fill(template(key, gender), params);
+
+  const when = (date) => {
+    const text = formatDateValue(date, locale);
+    if (!text) return '';
+    let key = 'when_year';
+    if (date.qualifier || date.estimated || date.phrase) key = 'when_qualified';
+    else if (typeof date.day === 'number') key = 'when_day';
+    else if (typeof date.month === 'number') key = 'when_month';
+    return say(key, { date: text });
+  };
+  const where = (place) => (String(place ?? '').trim() ? say('where', { place: place.trim() }) : '');
+
+  return { say, when, where };
+}
+
+/**
+ * The text of a person's chapter.
+ * @param {Object} person
+ * @param {Map<string, Object>} personData
+ * @param {{ t?: (key: string, fallback: string) => string, locale?: string }} [options]
+ * @returns {ChapterText}
+ */
+export function personChapterText(person, personData, { t = (_, fallback) => fallback, locale = 'en' } = {}) {
+  const { say, when, where } = phrasebook(t, locale);
+  const gender = person.gender;
+  const full = bookPersonName(person) || t('builder.notifications.unknown_person', 'Unknown');
+  const given = givenName(person) || full;
+  const nameOf = (id) => bookPersonName(personData.get(id));
+  const places = [];
+  const addPlace = (place) => {
+    if (String(place ?? '').trim()) places.push(place.trim());
+  };
+
+  // Birth and parents
+  const opening = [];
+  if (person.birth?.date || person.birth?.place) {
+    opening.push(say('born', { name: full, when: when(person.birth.date), where: where(person.birth.place) }, gender));
+    addPlace(person.birth.place);
+  }
+  const father = nameOf(person.fatherId);
+  const mother = nameOf(person.motherId);
+  const parentsKey = father && mother ? 'parents_both' : father ? 'parents_father' : mother ? 'parents_mother' : null;
+  if (parentsKey) opening.push(say(parentsKey, { name: given, father, mother }, gender));
+
+  // Marriages and children
+  const family = [];
+  for (const marriage of person.marriages || []) {
+    const spouse = nameOf(marriage.spouseId);
+    if (!spouse) continue;
+    family.push(say('married', { name: given, spouse, when: when(marriage.date), where: where(marriage.place) }, gender));
+    addPlace(marriage.place);
+  }
+  const children = sortEventsChronologically([...personData.values()]
+    .filter((p) => p.fatherId === person.id || p.motherId === person.id)
+    .map((child) => ({ date: child.birth?.date, child })))
+    .map(({ child }) => child);
+  if (children.length) {
+    family.push(say(children.length === 1 ? 'children_one' : 'children_many', {
+      name: given,
+      count: children.length,
+      names: children.map((child) => bookPersonName(child)).filter(Boolean).join(', ')
+    }, gender));
+  }
+
+  // Death
+  const closing = [];
+  if (person.death?.date || person.death?.place) {
+    const born = dateToYear(person.birth?.date);
+    const died = dateToYear(person.death?.date);
+    const age = born !== null && died !== null && died >= born ? say('age', { age: Math.floor(died - born) }) : '';
+    closing.push(say('died', { name: given, when: when(person.death.date), where: where(person.death.place), age }, gender));
+    addPlace(person.death.place);
+  }
+
+  const events = sortEventsChronologically(person.events || []);
+  events.forEach((event) => addPlace(event.place));
+
+  return {
+    title: full,
+    lifespan: formatLifespanShort(person.birth?.date, person.death?.date, locale),
+    paragraphs: [opening, family, closing].filter((sentences) => sentences.length).map((sentences) => sentences.join(' ')),
+    events: summarizeLifeEvents(events, t, locale),
+    notes: String(person.notes ?? '').trim(),
+    surnames: [...new Set([person.surname, person.maidenName].map((s) => String(s ?? '').trim()).filter(Boolean))],
+    places: [...new Set(places)]
+  };
+}
@@ -0,0 +1,71 @@
+// book-pedigree.js - The small pedigree chart closing a chapter of the
+// family book (pure): the person, their parents and grandparents as boxes
+// from left to right, as SVG markup for the page.
+
+import { formatLifespanShort } from '../../utils/date-value.js';
+import { escapeXml } from '../../utils/xml.js';
+import { BOOK_FONT } from './book-layout.js';
+import { bookPersonName } from './book-narrative.js';
+
+const BOX_WIDTH = 190;
+const BOX_HEIGHT = 42;
+const COLUMN_GAP = 28;
+const ROW_GAP = 10;
+const NAME_CHARS = 26;
+
+/**
+ * Pedigree of `personId` over `generations` columns, or null when none of
+ * their parents is in the tree.
+ * @param {string} personId
+ * @param {Map<string, Object>} personData
+ * @param {{ generations?: number, locale?: string }} [options]
+ * @returns {{ content: string, width: number, height: number }|null} content is SVG elements
+ */
+export function pedigreeChart(personId, personData, { generations = 3, locale = 'en' } = {}) {
+  const person = personData.get(personId);
+  if (!person || !(personData.has(person.fatherId) || personData.has(person.motherId))) return null;
+
+  const slots = 2 ** (generations - 1);
+  const width = generations * BOX_WIDTH + (generations - 1) * COLUMN_GAP;
+  const height = slots * (BOX_HEIGHT + ROW_GAP) - ROW_GAP;
+  const parts = [];
+
+  // Ahnentafel numbering: the parents of n are 2n and 2n + 1
+  const ids = new Map([[1, personId]]);
+  for (let n = 1; n < 2 ** generations / 2; n++) {
+    const p = personData.get(ids.get(n));
+    if (!p) continue;
+    if (personData.has(p.fatherId)) ids.set(2 * n, p.fatherId);
+    if (personData.has(p.motherId)) ids.set(2 * n + 1, p.motherId);
+  }
+
+  const boxAt = (n) => {
+    const column = Math.floor(Math.log2(n));
+    const span = slots / 2 ** column;
+    const index = n - 2 ** column;
+    const center = (index + 0.5) * span * (BOX_HEIGHT + ROW_GAP) - ROW_GAP / 2;
+    return { x: column * (BOX_WIDTH + COLUMN_GAP), y: center - BOX_HEIGHT / 2 };
+  };
+
+  for (const [n, id] of ids) {
+    const p = personData.get(id);
+    const { x, y } = boxAt(n);
+    if (n > 1) {
+      const child = boxAt(Math.floor(n / 2));
+      const fromX = child.x + BOX_WIDTH;
+      const fromY = child.y + BOX_HEIGHT / 2;
+      const midX = fromX + COLUMN_GAP / 2;
+      parts.push(`<path d="M${fromX} ${fromY}H${midX}V${y + BOX_HEIGHT / 2}H${x}" fill="none" stroke="#b4b2a9" stroke-width="1"/>`);
+    }
+    const fill = n === 1 ? '#eeedfe' : '#ffffff';
+    const stroke = p.gender === 'female' ? '#d4537e' : p.gender === 'male' ? '#534ab7' : '#888780';
+    let name = bookPersonName(p);
+    if (name.length > NAME_CHARS) name = `${name.slice(0, NAME_CHARS - 1)}…`;
+    parts.push(
+      `<rect x="${x}" y="${y}" width="${BOX_WIDTH}" height="${BOX_HEIGHT}" rx="4" fill="${fill}" stroke="${stroke}" stroke-width="1.2"/>`,
+      `<text x="${x + 8}" y="${y + 17}" font-family="${BOOK_FONT}" font-size="12" font-weight="700" fill="#2c2c2a">${escapeXml(name)}</text>`,
+      `<text x="${x + 8}" y="${y + 33}" font-family="${BOOK_FONT}" font-size="11" fill="#5f5e5a">${escapeXml(formatLifespanShort(p.birth?.date, p.death?.date, locale))}</text>`
+    );
+  }
+  return { content: parts.join(''), width, height };
+}
@@ -0,0 +1,166 @@
+// family-book.js - Family book PDF: gathers each person's narrative,
+// photo, attached documents and pedigree, lays the book out and saves it
+// through the exporter's jsPDF path.
+
+import { notifications } from '../../ui/components/notifications.js';
+import { GenerationCalculator } from '../../utils/generation-calculator.js';
+import { dateSortKey } from '../../utils/date-value.js';
+import { getActivePersonFilter } from '../filters/person-filter.js';
+import { loadPlaces } from '../places/place-store.js';
+import { placeNameResolver } from '../places/place-model.js';
+import { savePagesAsPDF } from '../export/exporter.js';
+import { personChapterText, bookPersonName } from './book-narrative.js';
+import { layoutBook, BOOK_PAGE, estimateTextWidth } from './book-layout.js';
+import { pedigreeChart } from './book-pedigree.js';
+
+// Images are scaled down to this many pixels on their long side
+const FIGURE_MAX_PIXELS = 900;
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{{${key}}}`, String(value)), text);
+}
+
+// Text widths as the browser will draw them
+function canvasMeasure() {
+  const ctx = document.createElement('canvas').getContext('2d');
+  if (!ctx?.measureText) return (text, font, size) => estimateTextWidth(text, size);
+  return (text, font) => {
+    ctx.font = font;
+    return ctx.measureText(text).width;
+  };
+}
+
+/**
+ * A stored image as a JPEG data URL no larger than FIGURE_MAX_PIXELS.
+ * @returns {Promise<{ href: string, width: number, height: number }|null>} null for missing or non-image media
+ */
+async function loadFigure(repo, mediaId) {
+  if (!repo || !mediaId) return null;
+  const record = await repo.getMedia(mediaId).catch(() => null);
+  if (!record?.blob || !String(record.mimeType || record.blob.type).startsWith('image/')) return null;
+  const url = URL.createObjectURL(record.blob);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Image decode failed'));
+      img.src = url;
+    });
+    const scale = Math.min(1, FIGURE_MAX_PIXELS / Math.max(image.width, image.height, 1));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return { href: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height };
+  } catch (error) {
+    console.warn('[book] image skipped:', error);
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Oldest generation first, then by birth
+function chapterOrder(personData, generations) {
+  return [...personData.values()].sort((a, b) => {
+    const generation = (generations.get(a.id) ?? 0) - (generations.get(b.id) ?? 0);
+    if (generation) return generation;
+    const keyA = dateSortKey(a.birth?.date);
+    const keyB = dateSortKey(b.birth?.date);
+    if (keyA !== keyB) return keyA === null ? 1 : keyB === null ? -1 : keyA - keyB;
+    return bookPersonName(a).localeCompare(bookPersonName(b));
+  });
+}
+
+/**
+ * Make the family book of the open tree, or of the persons matching the
+ * active person filter, and download it as a PDF.
+ * @param {import('../../core/tree-engine.js').TreeEngine} [treeCore]
+ */
+export async function exportFamilyBook(treeCore = window.treeCore) {
+  let personData = treeCore?.personData;
+  if (!personData?.size) {
+    notifications.warning(t('builder.book.empty_title', 'No Data'), t('builder.book.empty', 'The tree has no people to write about yet'));
+    return;
+  }
+  const loadingId = notifications.loading(t('builder.book.working', 'Writing the family book...'), t('builder.book.collecting', 'Collecting photos and documents'));
+
+  try {
+    const filter = getActivePersonFilter();
+    if (filter?.ids) personData = new Map([...personData].filter(([id]) => filter.ids.has(id)));
+    const known = treeCore.generationData;
+    const generations = known instanceof Map && known.size ? known : new GenerationCalculator().calculateGenerations(personData);
+    const repo = treeCore.cacheManager?.getIdbRepo?.();
+    const placeName = placeNameResolver(await loadPlaces(repo).catch(() => []));
+    const locale = window.i18n?.getLocale?.() || 'en';
+
+    const chapters = [];
+    for (const person of chapterOrder(personData, generations)) {
+      const text = personChapterText(person, personData, { t, locale });
+      const documents = repo ? await repo.getDocumentsForPerson(person.id).catch(() => []) : [];
+      const figures = [];
+      for (const doc of documents) {
+        // PDF documents are shown by the thumbnail of their first page
+        const figure = await loadFigure(repo, doc.mediaId) || await loadFigure(repo, doc.thumbnailMediaId);
+        if (figure) figures.push({ ...figure, caption: [doc.title, doc.description].filter(Boolean).join(' — ') });
+      }
+      chapters.push({
+        title: text.title,
+        subtitle: text.lifespan,
+        photo: await loadFigure(repo, person.photo?.mediaId),
+        paragraphs: text.paragraphs,
+        events: text.events,
+        notes: text.notes,
+        figures,
+        pedigree: pedigreeChart(person.id, personData, { locale }),
+        surnames: text.surnames,
+        places: [...new Set(text.places.map(placeName))]
+      });
+    }
+
+    const treeName = localStorage.getItem('familyTree_treeName') || t('builder.book.default_title', 'Family History');
+    const { pages } = layoutBook({
+      title: treeName,
+      subtitle: t('builder.book.subtitle', 'A family history'),
+      lines: [
+        fill(t('builder.book.people_count', '{{count}} people'), { count: chapters.length }),
+        fill(t('builder.book.compiled', 'Compiled on {{date}}'), { date: new Date().toLocaleDateString(locale) })
+      ],
+      chapters
+    }, {
+      measure: canvasMeasure(),
+      labels: {
+        events: t('builder.book.events', 'Life events'),
+        notes: t('builder.book.notes', 'Notes'),
+        documents: t('builder.book.documents', 'Documents'),
+        pedigree: t('builder.book.pedigree', 'Ancestors'),
+        figure: t('builder.book.figure', 'Figure {{n}}'),
+        index_surnames: t('builder.book.index_surnames', 'Index of surnames'),
+        index_places: t('builder.book.index_places', 'Index of places')
+      }
+    });
+
+    const fileName = `${treeName.replace(/[^a-z0-9_-]/gi, '_').toLowerCase()}-family-book.pdf`;
+    await savePagesAsPDF(pages, BOOK_PAGE, fileName, (done, total) => {
+      notifications.update(loadingId, {
+        showSpinner: true,
+        message: fill(t('builder.book.progress', 'Page {{done}} of {{total}}'), { done, total })
+      });
+    });
+    notifications.remove(loadingId);
+    notifications.success(t('builder.book.done_title', 'Family Book Ready'),
+      fill(t('builder.book.done', '{{pages}} pages have been downloaded'), { pages: pages.length }));
+  } catch (error) {
+    console.error('Family book export error:', error);
+    notifications.remove(loadingId);
+    notifications.error(t('builder.book.failed', 'Family Book Failed'), error.message);
+  }
+}
@@ -0,0 +1,375 @@
+// chart-views.js — The fan chart and hourglass chart views: one person in
+// focus, N generations around them, click a person to recenter. Both share
+// the lifecycle, toolbar and EventBus glue of createChartView below.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { getActivePersonFilter } from '../filters/person-filter.js';
+import { loadPlaces, getLoadedPlaces } from '../places/place-store.js';
+import { PAPER_SIZES } from '../export/print-sizing.js';
+import { serializeChartSVG } from '../tree-chart/tree-chart-export.js';
+import { attachViewport } from '../tree-chart/tree-chart-viewport.js';
+import { TreeChartRenderer } from '../tree-chart/tree-chart-renderer.js';
+import { layoutHourglass } from '../tree-chart/tree-chart-focus-layout.js';
+import { detectClans, assignClanColors } from '../tree-chart/tree-chart-clans.js';
+import { DEBOUNCE_MS, FOCUS_DEFAULT_GENERATIONS, FOCUS_MAX_GENERATIONS } from '../tree-chart/tree-chart-config.js';
+import { FanChartRenderer } from './fan-chart-renderer.js';
+import { layoutFan, FAN_MIN_GENERATIONS, FAN_MAX_GENERATIONS, FAN_DEFAULT_GENERATIONS } from './fan-chart-layout.js';
+import { sectorColors, COLOR_SCHEMES } from './fan-chart-colors.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DEFAULT_PAPER = 'a3';
+const SCHEME_LABELS = { clan: 'Clan', country: 'Birth country', completeness: 'Data completeness' };
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function labeledSelect(className, labelText, options, value) {
+  const label = document.createElement('label');
+  label.className = className;
+  label.textContent = labelText;
+  const select = document.createElement('select');
+  for (const [optionValue, optionLabel] of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    select.appendChild(option);
+  }
+  select.value = value;
+  label.appendChild(select);
+  return { label, select };
+}
+
+/**
+ * Lifecycle shared by the focused chart views.
+ *
+ * @param {HTMLElement} containerEl
+ * @param {Object} spec
+ * @param {string} spec.viewName — name passed to setView in builder.astro
+ * @param {string} spec.personSelector — elements carrying data-person-id
+ * @param {{ min: number, max: number, initial: number }} spec.generations
+ * @param {(svg: SVGSVGElement) => Object} spec.createRenderer
+ * @param {(chart: Object) => void} spec.draw — renders chart.state with chart.renderer
+ * @param {(chart: Object, toolbar: HTMLElement) => void} [spec.extendToolbar]
+ * @param {(chart: Object, ev: MouseEvent) => boolean} [spec.onClick] — true when handled
+ */
+function createChartView(containerEl, spec) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  containerEl.appendChild(svg);
+  const renderer = spec.createRenderer(svg);
+  const { zoom, getZoomPercent, resetZoomBase } = attachViewport(svg, { ignoreSelector: spec.personSelector });
+
+  const state = {
+    dirty: true,
+    visible: !containerEl.classList.contains('hidden'),
+    debounceTimer: null,
+    focusId: null,
+    generations: spec.generations.initial,
+    paper: DEFAULT_PAPER
+  };
+
+  function getPersonData() {
+    return window.treeCore?.personData || new Map();
+  }
+
+  function personName(personId) {
+    const p = getPersonData().get(personId);
+    return [p?.name, p?.surname].filter(Boolean).join(' ').trim() || personId || '';
+  }
+
+  // The canvas selection, else the first person
+  function pickFocusPerson(personData) {
+    for (const id of window.treeCore?.renderer?.selectedNodes || []) {
+      if (personData.has(id)) return id;
+    }
+    return personData.keys().next().value ?? null;
+  }
+
+  const chart = { svg, renderer, state, getPersonData, rebuild };
+
+  function rebuild() {
+    state.dirty = false;
+    const personData = getPersonData();
+    if (!personData.has(state.focusId)) state.focusId = pickFocusPerson(personData);
+    spec.draw(chart);
+    resetZoomBase();
+    focusName.textContent = personName(state.focusId);
+    const filter = getActivePersonFilter();
+    renderer.applyPersonFilter(filter?.ids ?? null, filter?.mode);
+  }
+
+  function scheduleRebuild() {
+    if (!state.visible) {
+      state.dirty = true;
+      return;
+    }
+    if (state.debounceTimer) clearTimeout(state.debounceTimer);
+    state.debounceTimer = setTimeout(rebuild, DEBOUNCE_MS);
+  }
+
+  const bus = appContext.getEventBus();
+  for (const e of [
+    EVENTS.TREE_PERSON_ADDED,
+    EVENTS.TREE_PERSON_UPDATED,
+    EVENTS.TREE_PERSON_DELETED,
+    EVENTS.TREE_RELATIONSHIP_ADDED,
+    EVENTS.TREE_RELATIONSHIP_REMOVED,
+    EVENTS.TREE_LOADED,
+    EVENTS.HISTORY_CHANGED
+  ].filter(Boolean)) {
+    bus.on(e, scheduleRebuild);
+  }
+  bus.on(EVENTS.PERSON_FILTER_CHANGED, ({ ids, mode } = {}) => {
+    renderer.applyPersonFilter(ids ?? null, mode);
+  });
+
+  document.addEventListener('view:changed', (ev) => {
+    const { name } = ev.detail || {};
+    state.visible = name === spec.viewName;
+    if (state.visible && state.dirty) rebuild();
+  });
+
+  // Toolbar
+  const toolbar = document.createElement('div');
+  toolbar.className = 'tc-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+  spec.extendToolbar?.(chart, toolbar);
+
+  const generationsLabel = document.createElement('label');
+  generationsLabel.className = 'tc-toolbar-generations';
+  generationsLabel.textContent = t('builder.tree_chart.generations', 'Generations');
+  const generationsInput = document.createElement('input');
+  generationsInput.type = 'number';
+  generationsInput.min = String(spec.generations.min);
+  generationsInput.max = String(spec.generations.max);
+  generationsInput.value = String(state.generations);
+  generationsLabel.appendChild(generationsInput);
+  generationsInput.addEventListener('change', () => {
+    const value = Number.parseInt(generationsInput.value, 10);
+    state.generations = Math.min(spec.generations.max,
+      Math.max(spec.generations.min, Number.isFinite(value) ? value : spec.generations.initial));
+    generationsInput.value = String(state.generations);
+    rebuild();
+  });
+
+  const paper = labeledSelect(
+    'tc-toolbar-select',
+    t('builder.charts.print_size', 'Print size'),
+    Object.entries(PAPER_SIZES).map(([key, size]) => [key, size.label]),
+    state.paper
+  );
+  paper.select.addEventListener('change', () => { state.paper = paper.select.value; });
+
+  const focusName = document.createElement('span');
+  focusName.className = 'tc-toolbar-focus';
+  focusName.title = t('builder.charts.recenter_hint', 'Click a person to put them in the center');
+  toolbar.append(generationsLabel, paper.label, focusName);
+  containerEl.appendChild(toolbar);
+
+  // ARIA-live announcer
+  const liveRegion = document.createElement('div');
+  liveRegion.setAttribute('aria-live', 'polite');
+  liveRegion.setAttribute('class', 'tc-live-region');
+  containerEl.appendChild(liveRegion);
+
+  function recenter(personId) {
+    if (!personId || personId === state.focusId) return;
+    state.focusId = personId;
+    rebuild();
+    liveRegion.textContent = t('builder.tree_chart.rerooted', 'Chart centered on {name}').replace('{name}', personName(personId));
+  }
+
+  // The first click of a double-click recenters and redraws the chart, so
+  // the double-click edits the person clicked, not whoever is there now
+  let clickedId = null;
+  svg.addEventListener('click', (ev) => {
+    if (spec.onClick?.(chart, ev)) return;
+    const el = ev.target.closest(spec.personSelector);
+    clickedId = el?.dataset.personId ?? null;
+    if (el) recenter(el.dataset.personId);
+  });
+
+  svg.addEventListener('dblclick', (ev) => {
+    const personId = clickedId ?? ev.target.closest(spec.personSelector)?.dataset.personId;
+    if (!personId) return;
+    bus.emit(EVENTS.TREE_NODE_EDIT_REQUESTED, { personId });
+  });
+
+  svg.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' && ev.key !== ' ') return;
+    const el = ev.target.closest && ev.target.closest(spec.personSelector);
+    if (el) {
+      ev.preventDefault();
+      recenter(el.dataset.personId);
+    }
+  });
+
+  if (state.visible) rebuild();
+
+  return {
+    rebuild,
+    zoom,
+    getZoomPercent,
+    isVisible: () => state.visible,
+    getPaper: () => state.paper,
+    /**
+     * Put a person in the center of the chart.
+     * @param {string} personId
+     */
+    setFocus(personId) {
+      state.focusId = personId;
+      if (state.visible) rebuild();
+      else state.dirty = true;
+    },
+    /**
+     * The whole chart as a standalone SVG document, for the chart exports.
+     * @param {{ paper?: string, transparent?: boolean }} [options]
+     * @returns {{ markup: string, width: number, height: number }}
+     */
+    exportSVG(options) {
+      if (state.dirty) rebuild();
+      return serializeChartSVG(svg, renderer.bounds, options);
+    }
+  };
+}
+
+/**
+ * Radial fan of the focus person's ancestors, as a half or full circle, with
+ * sectors colored by clan, birth country or data completeness.
+ * @param {HTMLElement} containerEl
+ */
+export function initFanChartView(containerEl) {
+  if (!containerEl) {
+    console.error('[charts] fan chart container element missing');
+    return null;
+  }
+
+  const options = { shape: 'half', scheme: 'clan' };
+  const legend = document.createElement('div');
+  legend.className = 'fc-legend';
+
+  function renderLegend(entries) {
+    legend.replaceChildren();
+    legend.hidden = entries.length === 0;
+    for (const entry of entries) {
+      const item = document.createElement('span');
+      item.className = 'fc-legend-item';
+      const swatch = document.createElement('span');
+      swatch.className = 'fc-legend-swatch';
+      swatch.style.background = entry.fill;
+      item.append(swatch, document.createTextNode(entry.key ? t(`builder.charts.legend_${entry.key}`, entry.label) : entry.label));
+      legend.appendChild(item);
+    }
+  }
+
+  let placesRequested = false;
+  function placesForCountries(chart) {
+    if (!placesRequested) {
+      placesRequested = true;
+      const repo = window.treeCore?.cacheManager?.getIdbRepo?.();
+      loadPlaces(repo)
+        .then(() => { if (chart.state.visible) chart.rebuild(); })
+        .catch((e) => console.warn('[charts] failed to load places:', e));
+    }
+    return getLoadedPlaces();
+  }
+
+  const api = createChartView(containerEl, {
+    viewName: 'fanChart',
+    personSelector: '.fc-sector[data-person-id]',
+    generations: { min: FAN_MIN_GENERATIONS, max: FAN_MAX_GENERATIONS, initial: FAN_DEFAULT_GENERATIONS },
+    createRenderer: (svg) => new FanChartRenderer(svg),
+    draw(chart) {
+      const personData = chart.getPersonData();
+      const layout = layoutFan(personData, chart.state.focusId, { generations: chart.state.generations, shape: options.shape });
+      const ids = layout.sectors.map((s) => s.id).filter(Boolean);
+      const places = options.scheme === 'country' ? placesForCountries(chart) : [];
+      const { colors, legend: entries } = sectorColors(personData, ids, options.scheme, { places });
+      chart.renderer.render(layout, personData, colors);
+      renderLegend(entries);
+    },
+    extendToolbar(chart, toolbar) {
+      const shapes = document.createElement('div');
+      shapes.className = 'tc-toolbar-modes';
+      for (const [shape, label] of [
+        ['half', t('builder.charts.shape_half', 'Half circle')],
+        ['full', t('builder.charts.shape_full', 'Full circle')]
+      ]) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.shape = shape;
+        button.textContent = label;
+        button.setAttribute('aria-pressed', String(shape === options.shape));
+        shapes.appendChild(button);
+      }
+      shapes.addEventListener('click', (ev) => {
+        const button = ev.target.closest('button[data-shape]');
+        if (!button) return;
+        options.shape = button.dataset.shape;
+        for (const b of shapes.children) b.setAttribute('aria-pressed', String(b === button));
+        chart.rebuild();
+      });
+
+      const scheme = labeledSelect(
+        'tc-toolbar-select',
+        t('builder.charts.colors', 'Colors'),
+        COLOR_SCHEMES.map((key) => [key, t(`builder.charts.color_${key}`, SCHEME_LABELS[key])]),
+        options.scheme
+      );
+      scheme.select.addEventListener('change', () => {
+        options.scheme = scheme.select.value;
+        chart.rebuild();
+      });
+      toolbar.append(shapes, scheme.label);
+    }
+  });
+  containerEl.appendChild(legend);
+  renderLegend([]);
+
+  window._fanChartView = api;
+  return api;
+}
+
+/**
+ * Hourglass chart: the focus person's ancestors above them and their
+ * descendants with spouses below, drawn by the tree chart renderer.
+ * @param {HTMLElement} containerEl
+ */
+export function initHourglassView(containerEl) {
+  if (!containerEl) {
+    console.error('[charts] hourglass container element missing');
+    return null;
+  }
+
+  const branchOverrides = new Map(); // personId -> expanded (true) / collapsed (false)
+  let lastFocusId = null;
+
+  const api = createChartView(containerEl, {
+    viewName: 'hourglass',
+    personSelector: '.tc-node',
+    generations: { min: 1, max: FOCUS_MAX_GENERATIONS, initial: FOCUS_DEFAULT_GENERATIONS - 1 },
+    createRenderer: (svg) => new TreeChartRenderer(svg),
+    draw(chart) {
+      const { focusId, generations } = chart.state;
+      if (focusId !== lastFocusId) {
+        branchOverrides.clear();
+        lastFocusId = focusId;
+      }
+      const personData = chart.getPersonData();
+      const clans = detectClans(personData);
+      const layout = layoutHourglass(personData, focusId, { generations, overrides: branchOverrides, clanData: clans });
+      chart.renderer.render(layout, personData, assignClanColors(clans.clanSizes), '');
+    },
+    onClick(chart, ev) {
+      const toggleEl = ev.target.closest('.tc-node-toggle');
+      if (!toggleEl) return false;
+      branchOverrides.set(toggleEl.closest('.tc-node').dataset.personId, toggleEl.dataset.action === 'expand');
+      chart.rebuild();
+      return true;
+    }
+  });
+
+  window._hourglassView = api;
+  return api;
+}
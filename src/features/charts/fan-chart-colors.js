@@ -0,0 +1,93 @@
+// fan-chart-colors.js — Sector colors of the fan chart (pure): by clan, as
+// in the tree chart, by birth country, or by how complete each record is.
+import { detectClans, assignClanColors } from '../tree-chart/tree-chart-clans.js';
+import { placeCountryResolver } from '../places/place-model.js';
+import { isPresumedLiving } from '../../utils/life-events.js';
+
+export const COLOR_SCHEMES = ['clan', 'country', 'completeness'];
+
+const COUNTRY_PALETTE = [
+  '#F6C9A8', '#B9DDF0', '#C9E7B8', '#F2B8C6', '#D9CCF0',
+  '#F7E3A1', '#A9DCD2', '#E8C7A0', '#C3CDEB'
+];
+const UNKNOWN_FILL = '#E6E4DE';
+const OTHER_FILL = '#D4D2CB';
+// From red (little known) to green (complete), one per fifth
+const COMPLETENESS_FILLS = ['#F4B6A8', '#F7CFA0', '#F5E6A3', '#CFE6A8', '#A8D8A0'];
+
+/**
+ * Share of the main facts known about a person, from 0 to 1: names, gender,
+ * birth date and place, both parents, and for the deceased the death date
+ * and place.
+ * @param {Object} person
+ * @param {number} [currentYear]
+ * @returns {number}
+ */
+export function dataCompleteness(person, currentYear) {
+  const checks = [
+    person.name,
+    person.surname,
+    person.gender,
+    person.birth?.date,
+    person.birth?.place,
+    person.fatherId,
+    person.motherId
+  ];
+  if (!isPresumedLiving(person, currentYear)) {
+    checks.push(person.death?.date, person.death?.place);
+  }
+  return checks.filter(Boolean).length / checks.length;
+}
+
+/**
+ * Colors for the persons drawn in a fan chart. Clan colors are the tree
+ * chart's CSS classes; the other schemes give fills and a legend.
+ *
+ * @param {Map<string, Person>} personData
+ * @param {Iterable<string>} ids — persons in the chart
+ * @param {'clan'|'country'|'completeness'} scheme
+ * @param {{ places?: Object[], currentYear?: number }} [context]
+ * @returns {{ colors: Map<string, { className?: string, fill?: string }>, legend: Array<{ label: string, fill: string, key?: string }> }}
+ */
+export function sectorColors(personData, ids, scheme, context = {}) {
+  const colors = new Map();
+  const unique = [...new Set(ids)].filter((id) => personData.has(id));
+
+  if (scheme === 'country') {
+    const countryOf = placeCountryResolver(context.places || []);
+    const countries = new Map(unique.map((id) => [id, countryOf(personData.get(id).birth?.place)]));
+    const counts = new Map();
+    for (const country of countries.values()) {
+      if (country) counts.set(country, (counts.get(country) || 0) + 1);
+    }
+    const ranked = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    const fills = new Map(ranked.slice(0, COUNTRY_PALETTE.length).map((c, i) => [c, COUNTRY_PALETTE[i]]));
+    for (const [id, country] of countries) {
+      colors.set(id, { fill: !country ? UNKNOWN_FILL : fills.get(country) || OTHER_FILL });
+    }
+    const legend = [...fills].map(([label, fill]) => ({ label, fill }));
+    if (ranked.length > fills.size) legend.push({ key: 'other', label: 'Other', fill: OTHER_FILL });
+    if ([...countries.values()].some((c) => !c)) legend.push({ key: 'unknown', label: 'Unknown', fill: UNKNOWN_FILL });
+    return { colors, legend };
+  }
+
+  if (scheme === 'completeness') {
+    for (const id of unique) {
+      const score = dataCompleteness(personData.get(id), context.currentYear);
+      colors.set(id, { fill: COMPLETENESS_FILLS[Math.min(4, Math.floor(score * 5))] });
+    }
+    const legend = COMPLETENESS_FILLS.map((fill, i) => ({ label: `${i * 20}–${(i + 1) * 20}%`, fill }));
+    return { colors, legend };
+  }
+
+  // Clans are detected on the whole tree so the colors match the tree chart
+  const clans = detectClans(personData);
+  const clanClasses = assignClanColors(clans.clanSizes);
+  for (const id of unique) {
+    const p = personData.get(id);
+    const className = clanClasses.get(clans.clanByPerson.get(id))
+      || (p.gender === 'male' ? 'c-purple' : p.gender === 'female' ? 'c-teal' : 'c-gray');
+    colors.set(id, { className });
+  }
+  return { colors, legend: [] };
+}
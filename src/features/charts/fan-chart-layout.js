@@ -0,0 +1,166 @@
+// fan-chart-layout.js — Radial ancestor chart geometry (pure). The focus
+// person sits in the middle, each generation of ancestors takes the next
+// ring, fathers on the left half of their child's sector, mothers on the right.
+
+export const FAN_SHAPES = Object.freeze({ half: 180, full: 360 });
+export const FAN_MIN_GENERATIONS = 3;
+export const FAN_MAX_GENERATIONS = 10;
+export const FAN_DEFAULT_GENERATIONS = 5;
+
+export const CENTER_RADIUS = 70;
+// Inner rings hold names written along the arc; the outer ones are narrow
+// sectors with names written outwards, so they need more depth.
+export const INNER_RING_WIDTH = 70;
+export const OUTER_RING_WIDTH = 130;
+const INNER_RINGS = 4;
+
+const LINE_HEIGHT = 14;
+const LABEL_PADDING = 8;
+
+/**
+ * Inner and outer radius of a generation's ring.
+ * @param {number} generation — 0 for the focus person
+ * @returns {{ innerRadius: number, outerRadius: number }}
+ */
+export function ringRadii(generation) {
+  if (generation === 0) return { innerRadius: 0, outerRadius: CENTER_RADIUS };
+  const inner = Math.min(generation - 1, INNER_RINGS);
+  const outer = Math.max(generation - 1 - INNER_RINGS, 0);
+  const innerRadius = CENTER_RADIUS + inner * INNER_RING_WIDTH + outer * OUTER_RING_WIDTH;
+  const width = generation <= INNER_RINGS ? INNER_RING_WIDTH : OUTER_RING_WIDTH;
+  return { innerRadius, outerRadius: innerRadius + width };
+}
+
+/**
+ * Sectors of a fan chart. Angles are in degrees, clockwise from straight up;
+ * the half fan spans -90..90, the full circle -180..180. A parent missing from
+ * the tree gets an empty sector (id null) so gaps in the research show.
+ *
+ * @param {Map<string, Person>} personData
+ * @param {string} rootId
+ * @param {{ generations?: number, shape?: 'half'|'full' }} [options]
+ * @returns {{ sectors: Array<{ id: string|null, childId: string|null, generation: number, slot: number, startAngle: number, endAngle: number, innerRadius: number, outerRadius: number }>, shape: string, radius: number, bounds: { minX: number, minY: number, maxX: number, maxY: number } }}
+ */
+export function layoutFan(personData, rootId, options = {}) {
+  const shape = FAN_SHAPES[options.shape] ? options.shape : 'half';
+  const generations = Math.min(FAN_MAX_GENERATIONS, Math.max(FAN_MIN_GENERATIONS, options.generations || FAN_DEFAULT_GENERATIONS));
+  const span = FAN_SHAPES[shape];
+  const start = -span / 2;
+  const sectors = [];
+  if (!personData.has(rootId)) return { sectors, shape, radius: 0, bounds: { minX: 0, minY: 0, maxX: 0, maxY: 0 } };
+
+  sectors.push({ id: rootId, childId: null, generation: 0, slot: 0, startAngle: start, endAngle: start + span, ...ringRadii(0) });
+  let row = [{ id: rootId, slot: 0 }];
+  for (let generation = 1; generation < generations && row.length; generation++) {
+    const width = span / 2 ** generation;
+    const next = [];
+    for (const { id, slot } of row) {
+      const p = personData.get(id);
+      [p.fatherId, p.motherId].forEach((parentId, side) => {
+        const parentSlot = slot * 2 + side;
+        const known = parentId && parentId !== id && personData.has(parentId);
+        sectors.push({
+          id: known ? parentId : null,
+          childId: id,
+          generation,
+          slot: parentSlot,
+          startAngle: start + parentSlot * width,
+          endAngle: start + (parentSlot + 1) * width,
+          ...ringRadii(generation)
+        });
+        if (known) next.push({ id: parentId, slot: parentSlot });
+      });
+    }
+    row = next;
+  }
+
+  const radius = Math.max(...sectors.map((s) => s.outerRadius));
+  const bounds = shape === 'full'
+    ? { minX: -radius, minY: -radius, maxX: radius, maxY: radius }
+    : { minX: -radius, minY: -radius, maxX: radius, maxY: 0 };
+  return { sectors, shape, radius, bounds };
+}
+
+function polar(radius, angle) {
+  const rad = (angle - 90) * Math.PI / 180;
+  return [radius * Math.cos(rad), radius * Math.sin(rad)];
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * SVG path of a sector: a ring segment, a pie wedge around the center, or a
+ * whole disc for the focus person of a full circle.
+ * @param {{ startAngle: number, endAngle: number, innerRadius: number, outerRadius: number }} sector
+ * @returns {string}
+ */
+export function sectorPath({ startAngle, endAngle, innerRadius, outerRadius }) {
+  const R = outerRadius;
+  if (endAngle - startAngle >= 360) {
+    return `M 0 ${-R} A ${R} ${R} 0 1 1 0 ${R} A ${R} ${R} 0 1 1 0 ${-R} Z`;
+  }
+  const large = endAngle - startAngle > 180 ? 1 : 0;
+  const [x1, y1] = polar(R, startAngle).map(round);
+  const [x2, y2] = polar(R, endAngle).map(round);
+  if (innerRadius <= 0) {
+    return `M 0 0 L ${x1} ${y1} A ${R} ${R} 0 ${large} 1 ${x2} ${y2} Z`;
+  }
+  const r = innerRadius;
+  const [x3, y3] = polar(r, endAngle).map(round);
+  const [x4, y4] = polar(r, startAngle).map(round);
+  return `M ${x1} ${y1} A ${R} ${R} 0 ${large} 1 ${x2} ${y2} L ${x3} ${y3} A ${r} ${r} 0 ${large} 0 ${x4} ${y4} Z`;
+}
+
+/**
+ * Where and how to write a sector's label. Wide sectors get text along the
+ * arc, narrow ones text pointing outwards; both are turned so they never read
+ * upside down.
+ * @param {Object} sector — from layoutFan
+ * @returns {{ x: number, y: number, rotate: number, maxWidth: number, lines: number, fontSize: number }}
+ */
+export function sectorLabel(sector) {
+  const { startAngle, endAngle, innerRadius, outerRadius, generation } = sector;
+  const fontSize = generation <= 2 ? 13 : generation <= 5 ? 11 : 9;
+  if (generation === 0) {
+    const [x, y] = endAngle - startAngle >= 360 ? [0, 0] : polar(outerRadius * 0.45, 0);
+    return { x: round(x), y: round(y), rotate: 0, maxWidth: outerRadius * 1.6, lines: 2, fontSize };
+  }
+
+  const mid = (startAngle + endAngle) / 2;
+  const ring = outerRadius - innerRadius;
+  const arc = (innerRadius + ring / 2) * (endAngle - startAngle) * Math.PI / 180;
+  const [x, y] = polar(innerRadius + ring / 2, mid).map(round);
+  if (arc >= ring) {
+    const upright = Math.abs(mid) > 90 ? mid + 180 : mid;
+    return {
+      x,
+      y,
+      rotate: round(upright),
+      maxWidth: arc - LABEL_PADDING,
+      lines: Math.min(2, Math.max(1, Math.floor(ring / (LINE_HEIGHT + 8)))),
+      fontSize
+    };
+  }
+  return {
+    x,
+    y,
+    rotate: round(mid < 0 ? mid + 90 : mid - 90),
+    maxWidth: ring - LABEL_PADDING,
+    lines: Math.min(2, Math.max(1, Math.floor(arc / LINE_HEIGHT))),
+    fontSize
+  };
+}
+
+/**
+ * Shorten text to roughly fit `maxWidth` pixels at `fontSize`.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} fontSize
+ * @returns {string}
+ */
+export function fitLabel(text, maxWidth, fontSize) {
+  const maxChars = Math.floor(maxWidth / (fontSize * 0.58));
+  if (text.length <= maxChars) return text;
+  if (maxChars < 2) return '';
+  return `${text.slice(0, maxChars - 1).trimEnd()}…`;
+}
@@ -0,0 +1,108 @@
+// fan-chart-renderer.js — SVG DOM of the fan chart, rebuilt on each render
+
+import { SecurityUtils } from '../../utils/security-utils.js';
+import { formatLifespanShort } from '../../utils/date-value.js';
+import { sectorPath, sectorLabel, fitLabel } from './fan-chart-layout.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const VIEW_PADDING = 24;
+
+export class FanChartRenderer {
+  constructor(svgElement) {
+    this.svg = svgElement;
+    this.svg.setAttribute('xmlns', SVG_NS);
+    this.svg.setAttribute('class', 'fc-svg');
+    this.sectorLayer = document.createElementNS(SVG_NS, 'g');
+    this.sectorLayer.setAttribute('class', 'fc-sectors');
+    this.svg.appendChild(this.sectorLayer);
+    this.bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+
+  /**
+   * @param {ReturnType<import('./fan-chart-layout.js').layoutFan>} layout
+   * @param {Map<string, Person>} personData
+   * @param {Map<string, { className?: string, fill?: string }>} colors
+   */
+  render(layout, personData, colors) {
+    this.bounds = layout.bounds;
+    const { minX, minY, maxX, maxY } = layout.bounds;
+    const w = Math.max(maxX - minX, 1) + VIEW_PADDING * 2;
+    const h = Math.max(maxY - minY, 1) + VIEW_PADDING * 2;
+    this.svg.setAttribute('viewBox', `${minX - VIEW_PADDING} ${minY - VIEW_PADDING} ${w} ${h}`);
+    this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+    this.sectorLayer.replaceChildren();
+    const locale = (window.i18n?.currentLocale || 'en').slice(0, 2);
+    for (const sector of layout.sectors) {
+      this.sectorLayer.appendChild(this._buildSector(sector, personData, colors, locale));
+    }
+  }
+
+  _buildSector(sector, personData, colors, locale) {
+    const g = document.createElementNS(SVG_NS, 'g');
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('class', 'fc-sector-shape');
+    path.setAttribute('d', sectorPath(sector));
+    g.appendChild(path);
+
+    if (!sector.id) {
+      g.setAttribute('class', 'fc-sector fc-sector--empty');
+      return g;
+    }
+
+    const p = personData.get(sector.id) || {};
+    const color = colors.get(sector.id) || {};
+    g.setAttribute('class', [
+      'fc-sector',
+      sector.generation === 0 ? 'fc-sector--root' : '',
+      color.fill ? 'fc-sector--filled' : '',
+      color.className || ''
+    ].filter(Boolean).join(' '));
+    if (color.fill) path.style.fill = color.fill;
+    g.setAttribute('tabindex', '0');
+    g.setAttribute('role', 'button');
+    g.dataset.personId = sector.id;
+
+    const fullName = [p.name, p.surname].filter(Boolean).join(' ').trim() || sector.id;
+    const lifespan = formatLifespanShort(p.birth?.date, p.death?.date, locale);
+    g.setAttribute('aria-label', lifespan ? `${fullName}, ${lifespan}` : fullName);
+    const title = document.createElementNS(SVG_NS, 'title');
+    SecurityUtils.setTextContent(title, lifespan ? `${fullName} (${lifespan})` : fullName);
+    g.appendChild(title);
+
+    const label = sectorLabel(sector);
+    const lines = [fullName, lifespan].slice(0, label.lines)
+      .map((line) => fitLabel(line || '', label.maxWidth, label.fontSize))
+      .filter(Boolean);
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('class', 'fc-sector-label');
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('font-size', label.fontSize);
+    text.setAttribute('transform', `translate(${label.x}, ${label.y}) rotate(${label.rotate})`);
+    const lineHeight = label.fontSize * 1.25;
+    lines.forEach((line, i) => {
+      const tspan = document.createElementNS(SVG_NS, 'tspan');
+      tspan.setAttribute('x', '0');
+      // Center the block of lines on the label point
+      tspan.setAttribute('y', ((i - (lines.length - 1) / 2) * lineHeight + label.fontSize * 0.35).toFixed(1));
+      if (i > 0) tspan.setAttribute('class', 'fc-sector-sublabel');
+      SecurityUtils.setTextContent(tspan, line);
+      text.appendChild(tspan);
+    });
+    g.appendChild(text);
+    return g;
+  }
+
+  /**
+   * Dim or hide persons outside the active person filter.
+   * @param {Set<string>|null} ids
+   * @param {'dim'|'hide'} [mode]
+   */
+  applyPersonFilter(ids, mode = 'dim') {
+    this.svg.classList.toggle('fc-filter-dim', !!ids && mode !== 'hide');
+    this.svg.classList.toggle('fc-filter-hide', !!ids && mode === 'hide');
+    for (const el of this.sectorLayer.querySelectorAll('.fc-sector[data-person-id]')) {
+      el.classList.toggle('fc-filtered-out', !!ids && !ids.has(el.dataset.personId));
+    }
+  }
+}
@@ -0,0 +1,220 @@
+// doctor-panel.js - Floating report of the tree doctor: the problems found
+// in the open tree by severity, with a button to go to each person and a
+// per-issue ignore that is kept with the tree.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { notifications } from '../../ui/components/notifications.js';
+import { diagnoseTree, SEVERITIES } from './tree-doctor.js';
+import { loadIgnoredIssues, setIssueIgnored } from './ignored-issues.js';
+
+const RECHECK_DEBOUNCE_MS = 400;
+
+const MESSAGES = {
+  death_before_birth: '{{a}} died before they were born',
+  child_before_parent: '{{a}} was born before their parent {{b}}',
+  child_after_parent_death: '{{a}} was born after the death of their parent {{b}}',
+  mother_too_young: '{{b}} was {{age}} when her child {{a}} was born',
+  mother_too_old: '{{b}} was {{age}} when her child {{a}} was born',
+  marriage_too_young: '{{a}} married at {{age}}',
+  own_ancestor: '{{a}} is their own ancestor: {{names}}',
+  same_gender_parents: 'The parents of {{a}}, {{b}} and {{c}}, have the same gender',
+  father_not_male: 'The father of {{a}}, {{b}}, is recorded as female',
+  mother_not_female: 'The mother of {{a}}, {{b}}, is recorded as male',
+  possible_duplicate: '{{a}} and {{b}} may be the same person',
+  marriage_missing_spouse: 'A marriage of {{a}} names a spouse who is not in the tree',
+  marriage_mirror_missing: 'The marriage of {{a}} to {{b}} is missing on {{b}}\'s record'
+};
+const SEVERITY_LABELS = { error: 'Error', warning: 'Warning', info: 'Note' };
+
+let currentTreeCore = null;
+let issues = [];
+let ignored = new Set();
+let recheckTimer = null;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    const text = window.i18n.t(key);
+    if (text && text !== key) return text;
+  }
+  return fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{{${key}}}`, value), text);
+}
+
+function repo() {
+  return currentTreeCore?.cacheManager?.getIdbRepo?.();
+}
+
+function personName(personId) {
+  const person = currentTreeCore?.personData?.get(personId);
+  return `${person?.name ?? ''} ${person?.surname ?? ''}`.trim() || t('builder.notifications.unknown_person', 'Unknown');
+}
+
+/**
+ * Check the open tree and show the report.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ */
+export async function openTreeDoctor(treeCore) {
+  const panel = document.getElementById('doctorPanel');
+  if (!panel || !treeCore) return;
+
+  currentTreeCore = treeCore;
+  wirePanel(panel);
+  panel.classList.remove('hidden');
+  try {
+    ignored = await loadIgnoredIssues(repo());
+  } catch (error) {
+    console.warn('Ignored issues unavailable:', error);
+    ignored = new Set();
+  }
+  runCheck();
+  document.getElementById('doctorRecheckBtn')?.focus();
+}
+
+/** Close the report. */
+export function hideTreeDoctor() {
+  clearTimeout(recheckTimer);
+  document.getElementById('doctorPanel')?.classList.add('hidden');
+}
+
+function isOpen() {
+  return !document.getElementById('doctorPanel')?.classList.contains('hidden');
+}
+
+function wirePanel(panel) {
+  if (panel.dataset.wired) return;
+  panel.dataset.wired = 'true';
+
+  document.getElementById('doctorPanelClose')?.addEventListener('click', hideTreeDoctor);
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideTreeDoctor();
+  });
+  document.getElementById('doctorRecheckBtn')?.addEventListener('click', runCheck);
+  document.getElementById('doctorSeverity')?.addEventListener('change', renderIssues);
+  document.getElementById('doctorShowIgnored')?.addEventListener('change', renderIssues);
+
+  const list = document.getElementById('doctorIssues');
+  list?.addEventListener('click', (e) => {
+    const person = e.target.closest('button[data-person-id]');
+    if (person) {
+      goToPerson(person.dataset.personId);
+      return;
+    }
+    const toggle = e.target.closest('button[data-issue-key]');
+    if (toggle) toggleIgnored(toggle.dataset.issueKey);
+  });
+  list?.addEventListener('dblclick', (e) => {
+    const person = e.target.closest('button[data-person-id]');
+    if (person) appContext.getEventBus().emit(EVENTS.TREE_NODE_EDIT_REQUESTED, { personId: person.dataset.personId });
+  });
+
+  // Keep the report current while it is open
+  const bus = appContext.getEventBus();
+  bus.on(EVENTS.HISTORY_CHANGED, () => {
+    if (!isOpen()) return;
+    clearTimeout(recheckTimer);
+    recheckTimer = setTimeout(runCheck, RECHECK_DEBOUNCE_MS);
+  });
+  bus.on(EVENTS.TREE_SWITCHED, hideTreeDoctor);
+}
+
+// The canvas is where a person can be centered and selected
+function goToPerson(personId) {
+  const graphicView = document.getElementById('graphicView');
+  if (graphicView?.classList.contains('hidden')) document.getElementById('viewGraphicBtn')?.click();
+  window.familyTreeSearchUtils?.centerOnPerson(personId);
+}
+
+function runCheck() {
+  issues = diagnoseTree(currentTreeCore?.personData ?? new Map());
+  renderIssues();
+}
+
+async function toggleIgnored(key) {
+  const target = repo();
+  if (!target) return;
+  try {
+    ignored = await setIssueIgnored(target, key, !ignored.has(key));
+    renderIssues();
+  } catch (error) {
+    console.error('Saving ignored issue failed:', error);
+    notifications.error(t('builder.doctor.ignore_failed', 'Could not save the change'), error.message);
+  }
+}
+
+function renderIssues() {
+  const list = document.getElementById('doctorIssues');
+  const summary = document.getElementById('doctorSummary');
+  if (!list || !summary) return;
+  const severity = document.getElementById('doctorSeverity')?.value || '';
+  const showIgnored = document.getElementById('doctorShowIgnored')?.checked;
+
+  const active = issues.filter((issue) => !ignored.has(issue.key));
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, active.filter((i) => i.severity === s).length]));
+  summary.textContent = active.length === 0
+    ? t('builder.doctor.clean', 'No problems found.')
+    : fill(t('builder.doctor.summary', '{{errors}} errors, {{warnings}} warnings, {{notes}} notes'), {
+      errors: counts.error,
+      warnings: counts.warning,
+      notes: counts.info
+    });
+  const ignoredCount = issues.length - active.length;
+  if (ignoredCount) {
+    summary.textContent += ` ${fill(t('builder.doctor.ignored_count', '({{count}} ignored)'), { count: ignoredCount })}`;
+  }
+
+  list.replaceChildren();
+  for (const issue of issues) {
+    const isIgnored = ignored.has(issue.key);
+    if (isIgnored && !showIgnored) continue;
+    if (severity && issue.severity !== severity) continue;
+    list.appendChild(renderIssue(issue, isIgnored));
+  }
+}
+
+// Person names in the message become buttons that go to the person
+function renderIssue(issue, isIgnored) {
+  const item = document.createElement('li');
+  item.className = `doctor-issue doctor-issue--${issue.severity}${isIgnored ? ' doctor-issue--ignored' : ''}`;
+
+  const badge = document.createElement('span');
+  badge.className = 'doctor-severity';
+  badge.textContent = t(`builder.doctor.severity_${issue.severity}`, SEVERITY_LABELS[issue.severity]);
+
+  const message = document.createElement('p');
+  message.className = 'doctor-message';
+  const template = t(`builder.doctor.issues.${issue.code}`, MESSAGES[issue.code] ?? issue.code);
+  const slots = { a: 0, b: 1, c: 2 };
+  const values = {
+    ...issue.params,
+    names: issue.personIds.map(personName).join(' → ')
+  };
+  for (const part of template.split(/(\{\{\w+\}\})/)) {
+    const name = part.match(/^\{\{(\w+)\}\}$/)?.[1];
+    if (name && name in slots && issue.personIds[slots[name]]) {
+      const personId = issue.personIds[slots[name]];
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'doctor-person';
+      button.dataset.personId = personId;
+      button.textContent = personName(personId);
+      button.title = t('builder.doctor.go_to_hint', 'Go to this person; double-click to edit');
+      message.appendChild(button);
+    } else if (name !== undefined) {
+      message.appendChild(document.createTextNode(String(values[name] ?? '')));
+    } else if (part) {
+      message.appendChild(document.createTextNode(part));
+    }
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'doctor-ignore';
+  toggle.dataset.issueKey = issue.key;
+  toggle.textContent = isIgnored ? t('builder.doctor.restore', 'Restore') : t('builder.doctor.ignore', 'Ignore');
+
+  item.append(badge, message, toggle);
+  return item;
+}
@@ -0,0 +1,30 @@
+// ignored-issues.js - Tree doctor issues the user has dismissed, kept by
+// issue key in the tree's metadata store so they stay dismissed.
+
+const METADATA_KEY = 'ignoredIssues';
+
+/**
+ * Keys of the ignored issues of the tree behind `repo`.
+ * @param {Object} repo - the tree's IndexedDB repository
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadIgnoredIssues(repo) {
+  if (!repo) return new Set();
+  const stored = await repo.getMetadata(METADATA_KEY);
+  return new Set((Array.isArray(stored) ? stored : []).filter((key) => typeof key === 'string'));
+}
+
+/**
+ * Ignore an issue, or stop ignoring it.
+ * @param {Object} repo
+ * @param {string} key - TreeIssue.key
+ * @param {boolean} ignored
+ * @returns {Promise<Set<string>>} the ignored keys afterwards
+ */
+export async function setIssueIgnored(repo, key, ignored) {
+  const keys = await loadIgnoredIssues(repo);
+  if (ignored) keys.add(key);
+  else keys.delete(key);
+  await repo.saveMetadata(METADATA_KEY, [...keys].sort());
+  return keys;
+}
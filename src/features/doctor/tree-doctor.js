@@ -0,0 +1,233 @@
+// tree-doctor.js - Tree-wide data-quality checks (pure): impossible or
+// unlikely dates between relatives, ancestry loops, same-gender parents,
+// look-alike persons and marriages missing on the spouse's side.
+
+import { dateToYear } from '../timeline/timeline-layout.js';
+import { scorePersonMatch, normalizeName, MATCH_THRESHOLD } from '../merge/person-matcher.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/** Ages at a child's birth or at marriage outside these limits are flagged. */
+export const MOTHER_MIN_AGE = 12;
+export const MOTHER_MAX_AGE = 60;
+export const MARRIAGE_MIN_AGE = 14;
+/** A child may be born this long (in years, about ten months) after the father's death. */
+export const POSTHUMOUS_BIRTH_YEARS = 0.85;
+
+/**
+ * @typedef {Object} TreeIssue
+ * @property {string} key - stable across runs, used to ignore the issue
+ * @property {string} code - kind of problem, e.g. 'death_before_birth'
+ * @property {'error'|'warning'|'info'} severity
+ * @property {string[]} personIds - the person the issue is about first, then those involved
+ * @property {Object} [params] - numbers for the message, e.g. { age: 8 }
+ */
+
+// A date known only roughly: a problem found with it may be a rounding artifact
+function isUncertain(date) {
+  return Boolean(date?.estimated || date?.qualifier);
+}
+
+function makeIssue(code, severity, personIds, params = {}, keyParts = personIds) {
+  return { key: `${code}:${keyParts.join(',')}`, code, severity, personIds, params };
+}
+
+// Errors found with an uncertain date are only warnings
+function softened(severity, ...dates) {
+  return severity === 'error' && dates.some(isUncertain) ? 'warning' : severity;
+}
+
+// The first and last day a date can mean, as fractional years: "1850" runs
+// through all of 1850, "Mar 1850" through March
+function dateRange(date) {
+  const earliest = dateToYear(date);
+  if (earliest === null) return null;
+  if (typeof date.day === 'number' && typeof date.month === 'number') return { earliest, latest: earliest };
+  const lastDay = 30 / 31 / 12;
+  const latest = typeof date.month === 'number' ? earliest + lastDay : earliest + 11 / 12 + lastDay;
+  return { earliest, latest };
+}
+
+// An issue true however the dates are read is an error (a warning with an
+// uncertain date); one that only shows when imprecise dates are read as
+// their first day may not be wrong at all and is only mentioned
+function rangeSeverity(always, atFirstDay, ...dates) {
+  if (always) return softened('error', ...dates);
+  return atFirstDay ? 'info' : null;
+}
+
+function checkLifespan(person, issues) {
+  const birth = dateRange(person.birth?.date);
+  const death = dateRange(person.death?.date);
+  if (!birth || !death) return;
+  const severity = rangeSeverity(death.latest < birth.earliest, death.earliest < birth.earliest,
+    person.birth.date, person.death.date);
+  if (severity) issues.push(makeIssue('death_before_birth', severity, [person.id]));
+}
+
+function checkParent(child, parent, role, issues) {
+  const childDate = child.birth?.date;
+  const childBirth = dateRange(childDate);
+  if (!childBirth) return;
+  const parentBirth = dateRange(parent.birth?.date);
+  const parentDeath = dateRange(parent.death?.date);
+
+  if (parentBirth) {
+    const age = childBirth.earliest - parentBirth.earliest;
+    const severity = rangeSeverity(childBirth.latest <= parentBirth.earliest, age <= 0, childDate, parent.birth.date);
+    if (severity) {
+      issues.push(makeIssue('child_before_parent', severity, [child.id, parent.id]));
+      return;
+    }
+    if (role === 'mother' && age < MOTHER_MIN_AGE) {
+      issues.push(makeIssue('mother_too_young', 'warning', [child.id, parent.id], { age: Math.floor(age) }));
+    } else if (role === 'mother' && age > MOTHER_MAX_AGE) {
+      issues.push(makeIssue('mother_too_old', 'warning', [child.id, parent.id], { age: Math.floor(age) }));
+    }
+  }
+
+  if (parentDeath) {
+    const grace = role === 'father' ? POSTHUMOUS_BIRTH_YEARS : 0;
+    const severity = rangeSeverity(childBirth.earliest - parentDeath.latest > grace,
+      childBirth.earliest - parentDeath.earliest > grace, childDate, parent.death.date);
+    if (severity) issues.push(makeIssue('child_after_parent_death', severity, [child.id, parent.id]));
+  }
+}
+
+function checkParentGenders(child, father, mother, issues) {
+  if (father && mother && father.gender && father.gender === mother.gender) {
+    issues.push(makeIssue('same_gender_parents', 'warning', [child.id, father.id, mother.id]));
+    return;
+  }
+  if (father?.gender === 'female') {
+    issues.push(makeIssue('father_not_male', 'warning', [child.id, father.id]));
+  }
+  if (mother?.gender === 'male') {
+    issues.push(makeIssue('mother_not_female', 'warning', [child.id, mother.id]));
+  }
+}
+
+function checkMarriages(person, personData, issues) {
+  const birth = dateToYear(person.birth?.date);
+  for (const marriage of person.marriages || []) {
+    const married = dateToYear(marriage.date);
+    if (birth !== null && married !== null && married - birth < MARRIAGE_MIN_AGE) {
+      const ids = marriage.spouseId ? [person.id, marriage.spouseId] : [person.id];
+      issues.push(makeIssue('marriage_too_young', 'warning', ids, { age: Math.max(0, Math.floor(married - birth)) },
+        [person.id, marriage.id]));
+    }
+
+    if (!marriage.spouseId) continue;
+    const spouse = personData.get(marriage.spouseId);
+    if (!spouse) {
+      issues.push(makeIssue('marriage_missing_spouse', 'error', [person.id], {}, [person.id, marriage.id]));
+      continue;
+    }
+    const mirror = (spouse.marriages || []).find((m) => m.id === marriage.id);
+    if (!mirror || mirror.spouseId !== person.id) {
+      issues.push(makeIssue('marriage_mirror_missing', 'warning', [person.id, spouse.id], {}, [person.id, marriage.id]));
+    }
+  }
+}
+
+/**
+ * Persons who are their own ancestor: one issue per loop in the parent
+ * links, naming everyone on it.
+ * @param {Map<string, Object>} personData
+ * @returns {TreeIssue[]}
+ */
+export function findAncestryLoops(personData) {
+  const issues = [];
+  const state = new Map(); // id -> 'active' while on the walk, 'done' after
+  const seen = new Set();
+
+  for (const startId of personData.keys()) {
+    if (state.has(startId)) continue;
+    // Iterative depth-first walk up the parent links
+    const path = [];
+    const stack = [{ id: startId, parents: null }];
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      if (!frame.parents) {
+        state.set(frame.id, 'active');
+        path.push(frame.id);
+        const person = personData.get(frame.id);
+        frame.parents = [person?.fatherId, person?.motherId].filter((id) => id && personData.has(id));
+      }
+      const next = frame.parents.shift();
+      if (next === undefined) {
+        state.set(frame.id, 'done');
+        path.pop();
+        stack.pop();
+      } else if (state.get(next) === 'active') {
+        const loop = path.slice(path.indexOf(next));
+        const key = [...loop].sort().join(',');
+        if (!seen.has(key)) {
+          seen.add(key);
+          issues.push(makeIssue('own_ancestor', 'error', loop, {}, [...loop].sort()));
+        }
+      } else if (!state.has(next)) {
+        stack.push({ id: next, parents: null });
+      }
+    }
+  }
+  return issues;
+}
+
+function areLinked(a, b) {
+  return a.fatherId === b.id || a.motherId === b.id || b.fatherId === a.id || b.motherId === a.id ||
+    (a.marriages || []).some((m) => m.spouseId === b.id);
+}
+
+/**
+ * Pairs of persons in the tree that look like the same person entered twice.
+ * @param {Map<string, Object>} personData
+ * @param {{ threshold?: number }} [options]
+ * @returns {TreeIssue[]}
+ */
+export function findLookAlikes(personData, { threshold = MATCH_THRESHOLD } = {}) {
+  const blocks = new Map();
+  for (const person of personData.values()) {
+    const key = normalizeName(person.name).slice(0, 2);
+    if (!key) continue;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(person);
+  }
+  const lookup = (id) => personData.get(id);
+  const issues = [];
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]].sort((x, y) => (x.id < y.id ? -1 : 1));
+        if (areLinked(a, b)) continue;
+        const { score } = scorePersonMatch(a, b, { lookupA: lookup, lookupB: lookup });
+        if (score >= threshold) issues.push(makeIssue('possible_duplicate', 'info', [a.id, b.id], { score }));
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Check the whole tree.
+ * @param {Map<string, Object>} personData
+ * @param {{ duplicateThreshold?: number }} [options]
+ * @returns {TreeIssue[]} errors first, then warnings, then notes
+ */
+export function diagnoseTree(personData, { duplicateThreshold } = {}) {
+  const issues = [];
+  for (const person of personData.values()) {
+    checkLifespan(person, issues);
+    const father = personData.get(person.fatherId);
+    const mother = personData.get(person.motherId);
+    if (father) checkParent(person, father, 'father', issues);
+    if (mother) checkParent(person, mother, 'mother', issues);
+    checkParentGenders(person, father, mother, issues);
+    checkMarriages(person, personData, issues);
+  }
+  issues.push(...findAncestryLoops(personData));
+  issues.push(...findLookAlikes(personData, { threshold: duplicateThreshold }));
+
+  const rank = (issue) => SEVERITIES.indexOf(issue.severity);
+  return issues.sort((a, b) => rank(a) - rank(b));
+}
@@ -2,7 +2,19 @@
 // FIXED: PDF export issues resolved
 
 import { notifications } from '../../ui/components/notifications.js';
-import { formatLifespanShort } from '../../utils/date-value.js';
+import { formatLifespanShort, isComplexDateValue } from '../../utils/date-value.js';
+import { formatDelimited } from '../../utils/csv.js';
+import {
+  tagForEventType, EVEN_TYPE_LABELS, GEDCOM_CALENDARS, GEDCOM_DATE_QUALIFIERS, GEDCOM7_NAME_TYPES, APP_EXID_TYPE
+} from '../../utils/gedcom-tags.js';
+import { mediaFileExtension } from '../../data/tree-archive.js';
+import { archiveSink } from '../../data/core-export.js';
+import { writeGedzip, gedzipMediaPath, GEDZIP_EXTENSION } from './gedzip.js';
+import { getActivePersonFilter, personFilterState } from '../filters/person-filter.js';
+import { collectTableRows } from '../../ui/components/table.js';
+import { visibleChartView } from '../tree-chart/tree-chart-export.js';
+import { fitToPaper, printPixelSize, PAPER_SIZES, MM_PER_CSS_PX } from './print-sizing.js';
+import { posterTileSVG, posterMapSVG } from './poster-tiling.js';
 
 export function exportTree(format) {
   const original = document.getElementById('svgArea');
@@ -387,6 +399,478 @@ window.testJsPDFLoading = async function() {
   }
 };
 
+// Draw serialized SVG markup onto a canvas at the given scale
+function rasterizeSVG(markup, width, height, scale = 2, transparent = false) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      if (!transparent) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the chart image'));
+    };
+    image.src = url;
+  });
+}
+
+function chartFileName() {
+  const treeName = localStorage.getItem('familyTree_treeName') || 'family-tree';
+  return { treeName, sanitizedTreeName: treeName.replace(/[^a-z0-9_-]/gi, '_').toLowerCase() };
+}
+
+// PNG or JPEG of the chart view on screen, at print resolution for its paper size
+export async function exportChartImage(format = 'png') {
+  const chart = visibleChartView();
+  if (!chart) return;
+  const transparent = format === 'png-transparent';
+  const isJpeg = format === 'jpeg';
+  const label = isJpeg ? 'JPEG' : 'PNG';
+  const loadingId = notifications.loading(`Exporting ${label}...`, 'Rendering the chart at print resolution');
+
+  try {
+    const { sanitizedTreeName } = chartFileName();
+    const paper = chart.getPaper?.() || 'a4';
+    // Transparent images keep the view's background out
+    const { markup, width, height } = chart.exportSVG({ transparent });
+    const { scale, dpi } = printPixelSize(width, height, paper);
+    const canvas = await rasterizeSVG(markup, width, height, scale, transparent && !isJpeg);
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, isJpeg ? 'image/jpeg' : 'image/png', isJpeg ? 0.92 : undefined));
+    if (!blob) throw new Error('Could not encode the image');
+    const suffix = transparent ? '-transparent' : '';
+    downloadBlob(blob, `${sanitizedTreeName}${suffix}.${isJpeg ? 'jpg' : 'png'}`);
+    notifications.remove(loadingId);
+    notifications.success(`${label} Export Complete`, `${canvas.width} × ${canvas.height} px, ${dpi} dpi on ${paper.toUpperCase()}`);
+  } catch (error) {
+    console.error('Chart image export error:', error);
+    notifications.remove(loadingId);
+    notifications.error(`${label} Export Failed`, 'Error rendering the chart');
+  }
+}
+
+// PDF page of the chart view on screen, sized to its paper
+async function exportChartPDF(chart, loadingId) {
+  const { treeName, sanitizedTreeName } = chartFileName();
+  const paper = chart.getPaper?.() || 'a4';
+  const { markup, width, height } = chart.exportSVG();
+  const fit = fitToPaper(width, height, paper, { header: 14 });
+  // 200 dpi keeps text sharp without making the file huge
+  const { scale } = printPixelSize(width, height, paper, 200);
+  const canvas = await rasterizeSVG(markup, width, height, scale);
+
+  const jsPDF = await loadJsPDF();
+  const pdf = new jsPDF({
+    orientation: fit.orientation,
+    unit: 'mm',
+    format: [fit.pageWidth, fit.pageHeight].sort((a, b) => a - b),
+    compress: true
+  });
+  pdf.setFontSize(16);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text(treeName || 'Family Tree', fit.pageWidth / 2, 14, { align: 'center' });
+  pdf.setFontSize(9);
+  pdf.setFont('helvetica', 'normal');
+  pdf.text(`Generated on: ${new Date().toLocaleDateString()}`, fit.pageWidth / 2, 19, { align: 'center' });
+  pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', fit.x, fit.y, fit.drawWidth, fit.drawHeight, undefined, 'FAST');
+  pdf.save(`${sanitizedTreeName}.pdf`);
+
+  notifications.remove(loadingId);
+  notifications.success('PDF Export Complete', `PDF file sized for ${paper.toUpperCase()} has been downloaded`);
+}
+
+// One line of text as an image, so any script prints, not only what the
+// PDF's built-in fonts cover
+function textLineSVG(content, width, fontSize, { bold = false, align = 'start' } = {}) {
+  const height = Math.ceil(fontSize * 1.5);
+  const x = align === 'middle' ? width / 2 : 0;
+  const escaped = String(content).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return {
+    markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      `<text x="${x}" y="${fontSize * 1.1}" text-anchor="${align}" font-family="system-ui, -apple-system, 'Segoe UI', sans-serif" ` +
+      `font-size="${fontSize}" font-weight="${bold ? 700 : 400}" fill="#1f2937">${escaped}</text></svg>`,
+    width,
+    height
+  };
+}
+
+/**
+ * PDF report of charts on A4 pages, one below the other, each under its
+ * heading and at most the page width.
+ * @param {string} title - heading of the first page
+ * @param {{ heading: string, markup: string, width: number, height: number }[]} charts - serialized SVG
+ * @param {string} [fileSuffix] - appended to the tree's name in the file name
+ */
+export async function exportReportPDF(title, charts, fileSuffix = 'report') {
+  const loadingId = notifications.loading('Exporting PDF...', 'Rendering the report');
+  try {
+    const { treeName, sanitizedTreeName } = chartFileName();
+    const jsPDF = await loadJsPDF();
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4', compress: true });
+    const { width: pageWidth, height: pageHeight } = PAPER_SIZES.a4;
+    const margin = 15;
+    const contentWidth = pageWidth - margin * 2;
+    const contentPixels = Math.round(contentWidth / MM_PER_CSS_PX);
+    let y = margin;
+
+    // Draw serialized SVG at y, at most the content width; returns its height in mm
+    const place = async ({ markup, width, height }) => {
+      const scale = Math.min(1, contentWidth / (width * MM_PER_CSS_PX));
+      const drawWidth = width * MM_PER_CSS_PX * scale;
+      const drawHeight = height * MM_PER_CSS_PX * scale;
+      // 3x keeps small chart text sharp in print
+      const canvas = await rasterizeSVG(markup, width, height, 3);
+      pdf.addImage(canvas.toDataURL('image/png'), 'PNG', margin, y, drawWidth, drawHeight, undefined, 'FAST');
+      return drawHeight;
+    };
+
+    y += await place(textLineSVG(`${treeName} — ${title}`, contentPixels, 20, { bold: true, align: 'middle' }));
+    y += await place(textLineSVG(new Date().toLocaleDateString(), contentPixels, 11, { align: 'middle' })) + 6;
+
+    for (const chart of charts) {
+      const heading = textLineSVG(chart.heading, contentPixels, 14, { bold: true });
+      const scale = Math.min(1, contentWidth / (chart.width * MM_PER_CSS_PX));
+      const needed = (heading.height + chart.height * scale) * MM_PER_CSS_PX;
+      if (y + needed > pageHeight - margin && y > margin) {
+        pdf.addPage();
+        y = margin;
+      }
+      y += await place(heading) + 1;
+      y += await place(chart) + 8;
+    }
+
+    pdf.save(`${sanitizedTreeName}-${fileSuffix}.pdf`);
+    notifications.remove(loadingId);
+    notifications.success('PDF Export Complete', `${title} has been downloaded`);
+  } catch (error) {
+    console.error('Report PDF export error:', error);
+    notifications.remove(loadingId);
+    notifications.error('PDF Export Failed', 'Error generating the report');
+  }
+}
+
+/**
+ * Save SVG pages as an A4 PDF, each page drawn as one image.
+ * @param {string[]} pages - standalone SVG markup of `width` x `height` CSS pixels
+ * @param {{ width: number, height: number }} size
+ * @param {string} fileName
+ * @param {(done: number, total: number) => void} [onProgress]
+ */
+export async function savePagesAsPDF(pages, { width, height }, fileName, onProgress) {
+  const jsPDF = await loadJsPDF();
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4', compress: true });
+  const { width: pageWidth, height: pageHeight } = PAPER_SIZES.a4;
+  // 150 dpi reads well in print and keeps a long book to a sensible size
+  const scale = 150 / 96;
+  for (let i = 0; i < pages.length; i++) {
+    if (i > 0) pdf.addPage();
+    const canvas = await rasterizeSVG(pages[i], width, height, scale);
+    pdf.addImage(canvas.toDataURL('image/jpeg', 0.85), 'JPEG', 0, 0, pageWidth, pageHeight, undefined, 'FAST');
+    onProgress?.(i + 1, pages.length);
+  }
+  pdf.save(fileName);
+}
+
+/**
+ * The canvas tree as standalone SVG markup: every node and connection the
+ * active person filter leaves, on a white background.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @returns {{ markup: string, width: number, height: number }|null} null when nothing is drawn
+ */
+export function canvasTreeSVG(treeCore) {
+  // Calculate precise bounds including text overflow
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  const settings = treeCore.renderer.settings;
+  const displayPrefs = treeCore.renderer.displayPreferences;
+
+  // Iterate through all nodes to find true bounds including text
+  for (const [id, node] of treeCore.renderer.nodes) {
+    // The active person filter applies to exports as well
+    if (treeCore.renderer.isFilteredOut(id)) continue;
+    // Account for node shape
+    if (settings.nodeStyle === 'rectangle') {
+      const width = treeCore.renderer.getNodeWidth(node);
+      const height = treeCore.renderer.getNodeHeight(node);
+      minX = Math.min(minX, node.x - width/2);
+      minY = Math.min(minY, node.y - height/2);
+      maxX = Math.max(maxX, node.x + width/2);
+      maxY = Math.max(maxY, node.y + height/2);
+    } else {
+      const radius = node.radius || settings.nodeRadius;
+      minX = Math.min(minX, node.x - radius);
+      minY = Math.min(minY, node.y - radius);
+      maxX = Math.max(maxX, node.x + radius);
+      maxY = Math.max(maxY, node.y + radius);
+
+      // Account for text that extends beyond circular nodes
+      // Estimate text width (conservative approximation)
+      let fullName = node.name || '';
+      if (displayPrefs.showFatherName && node.fatherName) fullName += ' ' + node.fatherName;
+      if (node.surname) fullName += ' ' + node.surname;
+
+      const estimatedTextWidth = fullName.length * settings.nameFontSize * 0.6;
+      minX = Math.min(minX, node.x - estimatedTextWidth/2);
+      maxX = Math.max(maxX, node.x + estimatedTextWidth/2);
+
+      // Account for vertical text spacing
+      let textLines = 1; // name
+      if (displayPrefs.showMaidenName && node.maidenName) textLines++;
+      if (displayPrefs.showDateOfBirth && node.birth?.date?.year) textLines++;
+      const textHeight = textLines * 15;
+      minY = Math.min(minY, node.y - textHeight/2);
+      maxY = Math.max(maxY, node.y + textHeight/2);
+    }
+  }
+
+  if (!isFinite(minX)) return null;
+
+  // Add consistent padding
+  const padding = 10;
+  const boundsWidth = maxX - minX;
+  const boundsHeight = maxY - minY;
+  const width = boundsWidth + (padding * 2);
+  const height = boundsHeight + (padding * 2);
+
+  // Calculate offset to translate content to (0, 0) based viewBox
+  const offsetX = minX - padding;
+  const offsetY = minY - padding;
+
+  // Create SVG document with viewBox starting at (0, 0) for better compatibility
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  // Add background
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('x', 0);
+  background.setAttribute('y', 0);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', '#ffffff');
+  svg.appendChild(background);
+
+  // Add CSS styles
+  const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.textContent = `
+    .connection-line { stroke-width: 2px; fill: none; }
+    .family-line { stroke: ${settings.familyLineColor}; stroke-width: ${settings.familyLineThickness}px; }
+    .spouse-line { stroke: ${settings.spouseLineColor}; stroke-width: ${settings.spouseLineThickness}px; stroke-dasharray: 8,4; }
+    .line-only { stroke: ${settings.lineOnlyColor}; stroke-width: ${settings.lineOnlyThickness}px; stroke-dasharray: 8,4,2,4; }
+    .node { ${settings.showNodeOutline ? `stroke: ${settings.outlineColor}; stroke-width: ${settings.outlineThickness}px;` : 'stroke: none;'} }
+    .node-text { font-family: ${settings.fontFamily}; font-size: ${settings.nameFontSize}px; fill: ${settings.nameColor}; text-anchor: middle; font-weight: 600; }
+    .node-dob { font-family: ${settings.fontFamily}; font-size: ${settings.dobFontSize}px; fill: ${settings.dobColor}; text-anchor: middle; }
+  `;
+  svg.appendChild(style);
+
+  // Draw connections (with translated coordinates)
+  for (const conn of treeCore.renderer.connections) {
+    const fromNode = treeCore.renderer.nodes.get(conn.from);
+    const toNode = treeCore.renderer.nodes.get(conn.to);
+
+    if (!fromNode || !toNode) continue;
+    if (treeCore.renderer.isFilteredOut(conn.from) || treeCore.renderer.isFilteredOut(conn.to)) continue;
+
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('x1', fromNode.x - offsetX);
+    line.setAttribute('y1', fromNode.y - offsetY);
+    line.setAttribute('x2', toNode.x - offsetX);
+    line.setAttribute('y2', toNode.y - offsetY);
+    line.setAttribute('class', `connection-line ${conn.type === 'spouse' ? 'spouse-line' : conn.type === 'line-only' ? 'line-only' : 'family-line'}`);
+    const lineAlpha = treeCore.renderer.connectionFilterAlpha(conn);
+    if (lineAlpha < 1) line.setAttribute('opacity', lineAlpha);
+    svg.appendChild(line);
+  }
+
+  // Draw nodes (with translated coordinates)
+  for (const [id, node] of treeCore.renderer.nodes) {
+    if (treeCore.renderer.isFilteredOut(id)) continue;
+    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    const nodeAlpha = treeCore.renderer.nodeFilterAlpha(id);
+    if (nodeAlpha < 1) g.setAttribute('opacity', nodeAlpha);
+
+    // Translate node coordinates
+    const translatedX = node.x - offsetX;
+    const translatedY = node.y - offsetY;
+
+    // Draw circle or rectangle
+    if (settings.nodeStyle === 'rectangle') {
+      const nodeWidth = treeCore.renderer.getNodeWidth(node);
+      const nodeHeight = treeCore.renderer.getNodeHeight(node);
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('x', translatedX - nodeWidth/2);
+      rect.setAttribute('y', translatedY - nodeHeight/2);
+      rect.setAttribute('width', nodeWidth);
+      rect.setAttribute('height', nodeHeight);
+      rect.setAttribute('fill', node.color || settings.nodeColor);
+      rect.setAttribute('class', 'node');
+      g.appendChild(rect);
+    } else {
+      const radius = node.radius || settings.nodeRadius;
+      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      circle.setAttribute('cx', translatedX);
+      circle.setAttribute('cy', translatedY);
+      circle.setAttribute('r', radius);
+      circle.setAttribute('fill', node.color || settings.nodeColor);
+      circle.setAttribute('class', 'node');
+      g.appendChild(circle);
+    }
+
+    // Add text
+    let textY = translatedY;
+
+    // Build full name
+    let fullName = node.name || '';
+    if (displayPrefs.showFatherName && node.fatherName) {
+      fullName += ' ' + node.fatherName;
+    }
+    if (node.surname) {
+      fullName += ' ' + node.surname;
+    }
+
+    if (fullName) {
+      const nameText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      nameText.setAttribute('x', translatedX);
+      nameText.setAttribute('y', textY);
+      nameText.setAttribute('class', 'node-text');
+      nameText.textContent = fullName.trim();
+      g.appendChild(nameText);
+      textY += 12;
+    }
+
+    // Add maiden name
+    if (displayPrefs.showMaidenName && node.maidenName && node.maidenName !== node.surname) {
+      const maidenText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      maidenText.setAttribute('x', translatedX);
+      maidenText.setAttribute('y', textY);
+      maidenText.setAttribute('class', 'node-dob');
+      maidenText.textContent = `(${node.maidenName})`;
+      g.appendChild(maidenText);
+      textY += 10;
+    }
+
+    // Add DOB
+    if (displayPrefs.showDateOfBirth && node.birth?.date?.year) {
+      const lifespan = formatLifespanShort(node.birth?.date, node.death?.date);
+      if (lifespan) {
+        const dobText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        dobText.setAttribute('x', translatedX);
+        dobText.setAttribute('y', textY + 5);
+        dobText.setAttribute('class', 'node-dob');
+        dobText.textContent = lifespan;
+        g.appendChild(dobText);
+      }
+    }
+
+    svg.appendChild(g);
+  }
+
+  return { markup: new XMLSerializer().serializeToString(svg), width, height };
+}
+
+/**
+ * What a poster shows: the chart view on screen, or else the canvas tree.
+ * @param {import('../../core/tree-engine.js').TreeEngine} [treeCore]
+ * @returns {{ markup: string, width: number, height: number }|null}
+ */
+export function posterPicture(treeCore = window.treeCore) {
+  const chart = visibleChartView();
+  if (chart) return chart.exportSVG();
+  return treeCore?.renderer ? canvasTreeSVG(treeCore) : null;
+}
+
+// Crop marks in the blank edge at the corners of the printed area, and
+// dashed lines where the next sheets' edges go
+function drawSheetGuides(pdf, plan, tile) {
+  const { margin, print, overlap } = plan;
+  const right = margin + print.width;
+  const bottom = margin + print.height;
+  const gap = 1.5;
+  const length = Math.max(1, margin - gap - 1);
+  pdf.setDrawColor(0);
+  pdf.setLineWidth(0.2);
+  for (const x of [margin, right]) {
+    for (const y of [margin, bottom]) {
+      const outX = x === margin ? -1 : 1;
+      const outY = y === margin ? -1 : 1;
+      pdf.line(x + outX * gap, y, x + outX * (gap + length), y);
+      pdf.line(x, y + outY * gap, x, y + outY * (gap + length));
+    }
+  }
+  if (overlap > 0) {
+    pdf.setDrawColor(120);
+    pdf.setLineDashPattern([1.5, 1.5], 0);
+    if (tile.column < plan.columns - 1) pdf.line(right - overlap, margin, right - overlap, bottom);
+    if (tile.row < plan.rows - 1) pdf.line(margin, bottom - overlap, right, bottom - overlap);
+    pdf.setLineDashPattern([], 0);
+  }
+  pdf.setFontSize(9);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setTextColor(60);
+  pdf.text(`${tile.label}  (${tile.row + 1}/${plan.rows}, ${tile.column + 1}/${plan.columns})`, margin + gap + length, bottom + margin / 2 + 1.5);
+}
+
+/**
+ * Poster PDF: the assembly map, then one page per sheet with the sheet's
+ * part of the poster drawn at the plan's resolution.
+ * @param {{ markup: string, width: number, height: number }} picture — from posterPicture()
+ * @param {import('./poster-tiling.js').PosterPlan} plan — from planPosterTiles() for the picture
+ * @param {{ title?: string, lines?: string[] }} [mapText] — heading and instructions of the map page
+ * @param {(done: number, total: number) => void} [onProgress]
+ */
+export async function exportPosterPDF(picture, plan, mapText = {}, onProgress) {
+  const loadingId = notifications.loading('Exporting poster...', `Drawing ${plan.tiles.length} sheets at ${plan.dpi} dpi`);
+  try {
+    const { sanitizedTreeName } = chartFileName();
+    const jsPDF = await loadJsPDF();
+    const pdf = new jsPDF({
+      orientation: plan.orientation,
+      unit: 'mm',
+      format: [plan.sheet.width, plan.sheet.height].sort((a, b) => a - b),
+      compress: true
+    });
+
+    const map = posterMapSVG(picture.markup, plan, mapText);
+    const mapCanvas = await rasterizeSVG(map.markup, map.width, map.height, 150 / 96);
+    pdf.addImage(mapCanvas.toDataURL('image/jpeg', 0.9), 'JPEG', 0, 0, plan.sheet.width, plan.sheet.height, undefined, 'FAST');
+
+    for (let i = 0; i < plan.tiles.length; i++) {
+      const tile = plan.tiles[i];
+      const sheet = posterTileSVG(picture.markup, plan, tile);
+      const canvas = await rasterizeSVG(sheet.markup, sheet.width, sheet.height, plan.dpi / 96);
+      pdf.addPage();
+      pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', plan.margin, plan.margin, plan.print.width, plan.print.height, undefined, 'FAST');
+      // Let the browser free the pixels before the next sheet
+      canvas.width = 0;
+      canvas.height = 0;
+      drawSheetGuides(pdf, plan, tile);
+      onProgress?.(i + 1, plan.tiles.length);
+      notifications.update(loadingId, { showSpinner: true, message: `Sheet ${i + 1} of ${plan.tiles.length}` });
+    }
+
+    pdf.save(`${sanitizedTreeName}-poster-${plan.poster.key}.pdf`);
+    notifications.remove(loadingId);
+    notifications.success('Poster Export Complete',
+      `${plan.poster.label} poster on ${plan.tiles.length} ${plan.sheet.label} sheets has been downloaded`);
+  } catch (error) {
+    console.error('Poster export error:', error);
+    notifications.remove(loadingId);
+    notifications.error('Poster Export Failed', 'Error drawing the poster sheets');
+  }
+}
+
 // Enhanced SVG export from canvas
 export async function exportCanvasSVG() {
   const loadingId = notifications.loading('Exporting SVG...', 'Generating SVG from canvas');
@@ -405,194 +889,22 @@ export async function exportCanvasSVG() {
     const treeName = localStorage.getItem('familyTree_treeName') || 'family-tree';
     const sanitizedTreeName = treeName.replace(/[^a-z0-9_-]/gi, '_').toLowerCase();
 
-    // Calculate precise bounds including text overflow
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-
-    const settings = treeCore.renderer.settings;
-    const displayPrefs = treeCore.renderer.displayPreferences;
-
-    // Iterate through all nodes to find true bounds including text
-    for (const [id, node] of treeCore.renderer.nodes) {
-      // Account for node shape
-      if (settings.nodeStyle === 'rectangle') {
-        const width = treeCore.renderer.getNodeWidth(node);
-        const height = treeCore.renderer.getNodeHeight(node);
-        minX = Math.min(minX, node.x - width/2);
-        minY = Math.min(minY, node.y - height/2);
-        maxX = Math.max(maxX, node.x + width/2);
-        maxY = Math.max(maxY, node.y + height/2);
-      } else {
-        const radius = node.radius || settings.nodeRadius;
-        minX = Math.min(minX, node.x - radius);
-        minY = Math.min(minY, node.y - radius);
-        maxX = Math.max(maxX, node.x + radius);
-        maxY = Math.max(maxY, node.y + radius);
-
-        // Account for text that extends beyond circular nodes
-        // Estimate text width (conservative approximation)
-        let fullName = node.name || '';
-        if (displayPrefs.showFatherName && node.fatherName) fullName += ' ' + node.fatherName;
-        if (node.surname) fullName += ' ' + node.surname;
-
-        const estimatedTextWidth = fullName.length * settings.nameFontSize * 0.6;
-        minX = Math.min(minX, node.x - estimatedTextWidth/2);
-        maxX = Math.max(maxX, node.x + estimatedTextWidth/2);
-
-        // Account for vertical text spacing
-        let textLines = 1; // name
-        if (displayPrefs.showMaidenName && node.maidenName) textLines++;
-        if (displayPrefs.showDateOfBirth && node.birth?.date?.year) textLines++;
-        const textHeight = textLines * 15;
-        minY = Math.min(minY, node.y - textHeight/2);
-        maxY = Math.max(maxY, node.y + textHeight/2);
-      }
+    const chart = visibleChartView();
+    if (chart) {
+      const { markup } = chart.exportSVG({ paper: chart.getPaper?.() || 'a4' });
+      downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), `${sanitizedTreeName}.svg`);
+      notifications.remove(loadingId);
+      notifications.success('SVG Export Complete', 'SVG file has been downloaded successfully');
+      return;
     }
 
-    if (!isFinite(minX)) {
+    const tree = canvasTreeSVG(treeCore);
+    if (!tree) {
       notifications.remove(loadingId);
       notifications.warning('No Data', 'No family tree content to export');
       return;
     }
-
-    // Add consistent padding
-    const padding = 10;
-    const boundsWidth = maxX - minX;
-    const boundsHeight = maxY - minY;
-    const width = boundsWidth + (padding * 2);
-    const height = boundsHeight + (padding * 2);
-
-    // Calculate offset to translate content to (0, 0) based viewBox
-    const offsetX = minX - padding;
-    const offsetY = minY - padding;
-
-    // Create SVG document with viewBox starting at (0, 0) for better compatibility
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-
-    // Add background
-    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    background.setAttribute('x', 0);
-    background.setAttribute('y', 0);
-    background.setAttribute('width', width);
-    background.setAttribute('height', height);
-    background.setAttribute('fill', '#ffffff');
-    svg.appendChild(background);
-
-    // Add CSS styles
-    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
-    style.textContent = `
-      .connection-line { stroke-width: 2px; fill: none; }
-      .family-line { stroke: ${settings.familyLineColor}; stroke-width: ${settings.familyLineThickness}px; }
-      .spouse-line { stroke: ${settings.spouseLineColor}; stroke-width: ${settings.spouseLineThickness}px; stroke-dasharray: 8,4; }
-      .line-only { stroke: ${settings.lineOnlyColor}; stroke-width: ${settings.lineOnlyThickness}px; stroke-dasharray: 8,4,2,4; }
-      .node { ${settings.showNodeOutline ? `stroke: ${settings.outlineColor}; stroke-width: ${settings.outlineThickness}px;` : 'stroke: none;'} }
-      .node-text { font-family: ${settings.fontFamily}; font-size: ${settings.nameFontSize}px; fill: ${settings.nameColor}; text-anchor: middle; font-weight: 600; }
-      .node-dob { font-family: ${settings.fontFamily}; font-size: ${settings.dobFontSize}px; fill: ${settings.dobColor}; text-anchor: middle; }
-    `;
-    svg.appendChild(style);
-
-    // Draw connections (with translated coordinates)
-    for (const conn of treeCore.renderer.connections) {
-      const fromNode = treeCore.renderer.nodes.get(conn.from);
-      const toNode = treeCore.renderer.nodes.get(conn.to);
-
-      if (!fromNode || !toNode) continue;
-
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      line.setAttribute('x1', fromNode.x - offsetX);
-      line.setAttribute('y1', fromNode.y - offsetY);
-      line.setAttribute('x2', toNode.x - offsetX);
-      line.setAttribute('y2', toNode.y - offsetY);
-      line.setAttribute('class', `connection-line ${conn.type === 'spouse' ? 'spouse-line' : conn.type === 'line-only' ? 'line-only' : 'family-line'}`);
-      svg.appendChild(line);
-    }
-
-    // Draw nodes (with translated coordinates)
-    for (const [id, node] of treeCore.renderer.nodes) {
-      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-
-      // Translate node coordinates
-      const translatedX = node.x - offsetX;
-      const translatedY = node.y - offsetY;
-
-      // Draw circle or rectangle
-      if (settings.nodeStyle === 'rectangle') {
-        const nodeWidth = treeCore.renderer.getNodeWidth(node);
-        const nodeHeight = treeCore.renderer.getNodeHeight(node);
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', translatedX - nodeWidth/2);
-        rect.setAttribute('y', translatedY - nodeHeight/2);
-        rect.setAttribute('width', nodeWidth);
-        rect.setAttribute('height', nodeHeight);
-        rect.setAttribute('fill', node.color || settings.nodeColor);
-        rect.setAttribute('class', 'node');
-        g.appendChild(rect);
-      } else {
-        const radius = node.radius || settings.nodeRadius;
-        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        circle.setAttribute('cx', translatedX);
-        circle.setAttribute('cy', translatedY);
-        circle.setAttribute('r', radius);
-        circle.setAttribute('fill', node.color || settings.nodeColor);
-        circle.setAttribute('class', 'node');
-        g.appendChild(circle);
-      }
-
-      // Add text
-      let textY = translatedY;
-
-      // Build full name
-      let fullName = node.name || '';
-      if (displayPrefs.showFatherName && node.fatherName) {
-        fullName += ' ' + node.fatherName;
-      }
-      if (node.surname) {
-        fullName += ' ' + node.surname;
-      }
-
-      if (fullName) {
-        const nameText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        nameText.setAttribute('x', translatedX);
-        nameText.setAttribute('y', textY);
-        nameText.setAttribute('class', 'node-text');
-        nameText.textContent = fullName.trim();
-        g.appendChild(nameText);
-        textY += 12;
-      }
-
-      // Add maiden name
-      if (displayPrefs.showMaidenName && node.maidenName && node.maidenName !== node.surname) {
-        const maidenText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        maidenText.setAttribute('x', translatedX);
-        maidenText.setAttribute('y', textY);
-        maidenText.setAttribute('class', 'node-dob');
-        maidenText.textContent = `(${node.maidenName})`;
-        g.appendChild(maidenText);
-        textY += 10;
-      }
-
-      // Add DOB
-      if (displayPrefs.showDateOfBirth && node.birth?.date?.year) {
-        const lifespan = formatLifespanShort(node.birth?.date, node.death?.date);
-        if (lifespan) {
-          const dobText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          dobText.setAttribute('x', translatedX);
-          dobText.setAttribute('y', textY + 5);
-          dobText.setAttribute('class', 'node-dob');
-          dobText.textContent = lifespan;
-          g.appendChild(dobText);
-        }
-      }
-
-      svg.appendChild(g);
-    }
-
-    // Serialize SVG
-    const svgData = new XMLSerializer().serializeToString(svg);
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+    const svgBlob = new Blob([tree.markup], { type: 'image/svg+xml;charset=utf-8' });
 
     // Download
     const link = document.createElement('a');
@@ -631,6 +943,12 @@ export async function exportCanvasPDF() {
     const treeName = localStorage.getItem('familyTree_treeName') || 'family-tree';
     const sanitizedTreeName = treeName.replace(/[^a-z0-9_-]/gi, '_').toLowerCase();
 
+    const chart = visibleChartView();
+    if (chart) {
+      await exportChartPDF(chart, loadingId);
+      return;
+    }
+
     // Get canvas image with optimized resolution
     const exportCanvas = treeCore.renderer.exportAsImage('png');
 
@@ -740,13 +1058,19 @@ export async function exportGEDCOM() {
       return;
     }
     
-    const gedcomData = generateGEDCOM(treeCore);
+    const repo = treeCore.cacheManager?.getIdbRepo?.();
+    const sources = repo ? await repo.getSourceRecords() : [];
+    // With a person filter active, only the matching persons are exported
+    const filter = getActivePersonFilter();
+    const gedcomData = generateGEDCOM(treeCore, sources, filter?.ids ?? null);
     const blob = new Blob([gedcomData], { type: 'text/plain;charset=utf-8' });
     
     downloadBlob(blob, `family-tree-${new Date().toISOString().split('T')[0]}.ged`);
     
     notifications.remove(loadingId);
-    notifications.success('GEDCOM Export Complete', 'Genealogy file has been downloaded successfully');
+    notifications.success('GEDCOM Export Complete', filter
+      ? `Genealogy file with the ${filter.ids.size} persons matching "${filter.query}" has been downloaded`
+      : 'Genealogy file has been downloaded successfully');
     
   } catch (error) {
     console.error('GEDCOM export error:', error);
@@ -755,31 +1079,222 @@ export async function exportGEDCOM() {
   }
 }
 
+// GEDZIP export: GEDCOM 7 with the persons' photos and documents in one zip
+export async function exportGEDZIP() {
+  const treeCore = window.treeCore;
+  if (!treeCore?.renderer?.nodes?.size) {
+    notifications.warning('No Data', 'No family tree data available to export');
+    return;
+  }
+
+  let sink;
+  try {
+    sink = await archiveSink(`family-tree-${new Date().toISOString().split('T')[0]}${GEDZIP_EXTENSION}`, {
+      description: 'GEDZIP family tree',
+      extension: GEDZIP_EXTENSION
+    });
+  } catch (error) {
+    // The save dialog was closed
+    if (error?.name !== 'AbortError') notifications.error('GEDZIP Export Failed', `Could not open the file: ${error.message}`);
+    return;
+  }
+  const loadingId = notifications.loading('Exporting GEDZIP...', 'Collecting photos and documents');
+
+  try {
+    const repo = treeCore.cacheManager?.getIdbRepo?.();
+    const sources = repo ? await repo.getSourceRecords() : [];
+    const filter = getActivePersonFilter();
+    const persons = gedcomPersons(treeCore, filter?.ids ?? null);
+    const { media, files } = repo ? await gedzipMedia(repo, treeCore, persons) : { media: [], files: [] };
+    const text = generateGEDCOMText(persons, { records: treeCore.gedcomRecords || [], sources, media, version: '7.0' });
+    await writeGedzip(text, files, sink.write);
+    await sink.close();
+
+    notifications.remove(loadingId);
+    notifications.success('GEDZIP Export Complete', `GEDCOM 7 file with ${persons.length} persons and ${files.length} media files has been downloaded`);
+  } catch (error) {
+    console.error('GEDZIP export error:', error);
+    await sink.abort?.();
+    notifications.remove(loadingId);
+    notifications.error('GEDZIP Export Failed', 'Error generating GEDZIP file');
+  }
+}
 
-// Pure GEDCOM generator — takes a flat array of person objects
-export function generateGEDCOMText(persons) {
+// CSV export of the table view: its columns for the persons it lists
+export function exportCSV() {
+  const treeCore = window.treeCore;
+  if (!treeCore?.renderer?.nodes?.size) {
+    notifications.warning('No Data', 'No family tree data available to export');
+    return;
+  }
+  try {
+    const t = (key, fallback) => {
+      const text = window.i18n?.t?.(key);
+      return text && text !== key ? text : fallback;
+    };
+    const rows = collectTableRows(treeCore).filter((row) => personFilterState(row.id) !== 'hidden');
+    const csv = generateTableCSV(rows, {
+      generationOf: (id) => treeCore.getGeneration(id),
+      header: (column, fallback) => t(`builder.table.header_${column}`, fallback)
+    });
+    // The byte order mark makes Excel read the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), `family-tree-${new Date().toISOString().split('T')[0]}.csv`);
+    notifications.success('CSV Export Complete', `Table with ${rows.length} persons has been downloaded`);
+  } catch (error) {
+    console.error('CSV export error:', error);
+    notifications.error('CSV Export Failed', 'Error generating CSV file');
+  }
+}
+
+/**
+ * CSV text of table rows (see `collectTableRows`), with an ID column first.
+ * Mother, father and spouse are written as "Name Surname", or as the id when
+ * two persons share that name, and dates in the form the date field takes
+ * or as GEDCOM dates, so the CSV import reads the file back.
+ * @param {Object[]} rows
+ * @param {{ generationOf?: (id: string) => (number|null), header?: (column: string, fallback: string) => string }} [options]
+ * @returns {string}
+ */
+export function generateTableCSV(rows, { generationOf = () => null, header = (column, fallback) => fallback } = {}) {
+  const displayName = (row) => `${row.name} ${row.surname}`.trim();
+  const nameCounts = new Map();
+  for (const row of rows) nameCounts.set(displayName(row), (nameCounts.get(displayName(row)) ?? 0) + 1);
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const reference = (id) => {
+    const row = byId.get(id);
+    if (!row) return '';
+    return nameCounts.get(displayName(row)) === 1 && displayName(row) ? displayName(row) : id;
+  };
+
+  const lines = [[
+    'ID',
+    header('name', 'Name'),
+    header('father_name', "Father's Name"),
+    header('surname', 'Surname'),
+    header('maiden_name', 'Maiden Name'),
+    header('dob', 'Date of Birth'),
+    header('gender', 'Gender'),
+    header('generation', 'Generation'),
+    header('mother', 'Mother'),
+    header('father', 'Father'),
+    header('spouse', 'Spouse'),
+    header('events', 'Life Events')
+  ]];
+  for (const row of rows) {
+    lines.push([
+      row.id,
+      row.name,
+      row.fatherName,
+      row.surname,
+      row.maidenName,
+      formatCSVDate(row.birthDate),
+      row.gender,
+      generationOf(row.id) ?? '',
+      reference(row.motherId),
+      reference(row.fatherId),
+      reference(row.spouseId),
+      row.events
+    ]);
+  }
+  return formatDelimited(lines);
+}
+
+// 05.03.1890 as typed in the date field; dates it cannot take are written as
+// GEDCOM dates (BET 1890 AND 1895, BEF MAR 1900), which the CSV import also reads
+function formatCSVDate(dv) {
+  if (!dv || dv.error) return '';
+  if (isComplexDateValue(dv)) return formatDateValueToGEDCOM(dv);
+  const pad = (n) => String(n).padStart(2, '0');
+  let text = String(dv.year);
+  if (typeof dv.month === 'number') text = `${pad(dv.month)}.${text}`;
+  if (typeof dv.day === 'number') text = `${pad(dv.day)}.${text}`;
+  return dv.estimated ? `est. ${text}` : text;
+}
+
+
+// Pure GEDCOM generator — takes a flat array of person objects.
+// `options.records` carries top-level records kept verbatim from an import
+// (OBJE, NOTE, ...); they are written back with fresh xrefs.
+// `options.sources` carries repositories, sources and citations
+// (features/sources/source-model.js); they become REPO and SOUR records and
+// SOUR citations under the facts they support.
+// `options.media` lists photos and documents as OBJE records linked from
+// their person: { id, personId, path, mimeType, type, title, note, photo }.
+// `options.version` '7.0' writes GEDCOM 7 instead of 5.5.1.
+export function generateGEDCOMText(persons, options = {}) {
+  const gedcom7 = String(options.version ?? '').startsWith('7');
+  const records = Array.isArray(options.records) ? options.records : [];
+  const media = Array.isArray(options.media) ? options.media : [];
+  const sourceRecords = Array.isArray(options.sources) ? options.sources : [];
+  const repositories = sourceRecords.filter((r) => r.kind === 'repository');
+  const sources = sourceRecords.filter((r) => r.kind === 'source');
+  const citations = citationIndex(sourceRecords.filter((r) => r.kind === 'citation'));
   const lines = [];
   const currentDate = new Date().toISOString().split('T')[0].replace(/-/g, '');
 
   lines.push('0 HEAD');
+  if (gedcom7) {
+    lines.push('1 GEDC');
+    lines.push('2 VERS 7.0');
+  }
   lines.push('1 SOUR MapMyRoots');
   lines.push('2 VERS 2.5');
   lines.push('2 NAME MapMyRoots Family Tree Builder');
   lines.push('1 DEST GENERIC');
-  lines.push('1 DATE ' + currentDate);
-  lines.push('1 CHAR UTF-8');
-  lines.push('1 GEDC');
-  lines.push('2 VERS 5.5.1');
-  lines.push('2 FORM LINEAGE-LINKED');
+  if (gedcom7) {
+    const today = new Date();
+    lines.push('1 DATE ' + formatGEDCOMDatePoint({ year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate() }));
+  } else {
+    lines.push('1 DATE ' + currentDate);
+    lines.push('1 CHAR UTF-8');
+    lines.push('1 GEDC');
+    lines.push('2 VERS 5.5.1');
+    lines.push('2 FORM LINEAGE-LINKED');
+  }
 
   let indiCounter = 1;
-  let famCounter = 1;
   const idToGedId = new Map();
   for (const p of persons) idToGedId.set(p.id, `@I${indiCounter++}@`);
 
+  const families = collectFamilies(persons, idToGedId);
+  const famIdByMarriageId = new Map();
+  for (const fam of families) {
+    if (fam.marriage) famIdByMarriageId.set(fam.marriage.id, fam.famId);
+  }
+
+  const recordCounters = new Map();
+  const nextRecordXref = (tag) => {
+    const prefix = RECORD_XREF_PREFIX[tag] || 'X';
+    const n = (recordCounters.get(prefix) || 0) + 1;
+    recordCounters.set(prefix, n);
+    return `@${prefix}${n}@`;
+  };
+  const repositoryGedIds = new Map(repositories.map((r) => [r.id, nextRecordXref('REPO')]));
+  const sourceGedIds = new Map(sources.map((r) => [r.id, nextRecordXref('SOUR')]));
+  const recordGedIds = new Map(records.map((r) => [r.id, nextRecordXref(r.tag)]));
+  const mediaGedIds = new Map(media.map((m) => [m.id, nextRecordXref('OBJE')]));
+  const mediaOf = new Map();
+  // A person's photo is linked first
+  for (const item of [...media].sort((a, b) => Number(Boolean(b.photo)) - Number(Boolean(a.photo)))) {
+    if (!mediaOf.has(item.personId)) mediaOf.set(item.personId, []);
+    mediaOf.get(item.personId).push(item);
+  }
+
+  const resolveRef = (ref) => {
+    if (ref.type === 'person') return idToGedId.get(ref.id) || null;
+    if (ref.type === 'family') return famIdByMarriageId.get(ref.id) || null;
+    if (ref.type === 'record') return recordGedIds.get(ref.id) || null;
+    if (ref.type === 'source') return sourceGedIds.get(ref.id) || null;
+    if (ref.type === 'repository') return repositoryGedIds.get(ref.id) || null;
+    return null;
+  };
+  const writer = { resolveRef, gedcom7 };
+  const citationsOf = (personId, fact) => citations.get(personId ? `${personId}|${fact}` : fact) || [];
+
   // INDI records
   for (const p of persons) {
     const gedId = idToGedId.get(p.id);
+    const unmapped = p.unmapped || [];
     lines.push(`0 ${gedId} INDI`);
 
     const givenName = p.name || '';
@@ -787,100 +1302,234 @@ export function generateGEDCOMText(persons) {
     lines.push(`1 NAME ${givenName} /${surname}/`.trim());
     if (givenName) lines.push(`2 GIVN ${givenName}`);
     if (surname) lines.push(`2 SURN ${surname}`);
+    pushUnmapped(lines, 2, unmapped, 'NAME', writer);
+    pushCitations(lines, 2, citationsOf(p.id, 'name'), writer);
 
     if (p.gender === 'female' && p.maidenName) {
       lines.push(`1 NAME ${givenName} /${p.maidenName}/`);
       lines.push(`2 GIVN ${givenName}`);
       lines.push(`2 SURN ${p.maidenName}`);
-      lines.push(`2 TYPE maiden`);
+      lines.push(`2 TYPE ${gedcom7 ? 'MAIDEN' : 'maiden'}`);
+    }
+
+    for (const alt of (p.altNames || [])) {
+      lines.push(`1 NAME ${alt.given || ''} /${alt.surname || ''}/`.trim());
+      if (alt.given) lines.push(`2 GIVN ${alt.given}`);
+      if (alt.surname) lines.push(`2 SURN ${alt.surname}`);
+      if (alt.type) pushNameType(lines, 2, alt.type, gedcom7);
+      pushUnmapped(lines, 2, alt.unmapped, '', writer);
     }
 
     if (p.gender === 'male') lines.push('1 SEX M');
     else if (p.gender === 'female') lines.push('1 SEX F');
 
-    const birth = p.birth || {};
-    if (birth.date?.year || birth.place || birth.note) {
-      lines.push('1 BIRT');
-      if (birth.date?.year) lines.push(`2 DATE ${formatDateValueToGEDCOM(birth.date)}`);
-      if (birth.place) lines.push(`2 PLAC ${birth.place}`);
-      if (birth.note) lines.push(`2 NOTE ${birth.note}`);
-    }
+    pushEvent(lines, 1, 'BIRT', p.birth || {}, p.birth?.unmapped, '', writer, false, citationsOf(p.id, 'birth'));
+    pushEvent(lines, 1, 'DEAT', p.death || {}, p.death?.unmapped, '', writer, false, citationsOf(p.id, 'death'));
 
-    const death = p.death || {};
-    if (death.date?.year || death.place || death.note) {
-      lines.push('1 DEAT');
-      if (death.date?.year) lines.push(`2 DATE ${formatDateValueToGEDCOM(death.date)}`);
-      if (death.place) lines.push(`2 PLAC ${death.place}`);
-      if (death.note) lines.push(`2 NOTE ${death.note}`);
+    for (const event of (p.events || [])) {
+      const tag = tagForEventType(event.type, 'individual');
+      pushEvent(lines, 1, tag, withEvenLabel(event, tag), event.unmapped, '', writer, true,
+        citationsOf(p.id, `event:${event.id}`));
     }
 
+    if (p.notes) pushText(lines, 1, 'NOTE', p.notes);
+    pushCitations(lines, 1, citationsOf(p.id, 'person'), writer);
+
     if (p.fatherName) {
       lines.push('1 NOTE');
       lines.push(`2 CONT Father's name: ${p.fatherName}`);
     }
+
+    const keptLinks = new Set(unmapped
+      .filter((n) => !n.within && (n.tag === 'FAMC' || n.tag === 'FAMS') && n.ref)
+      .map((n) => `${n.tag} ${resolveRef(n.ref)}`));
+    for (const fam of families) {
+      const link = fam.childIds.includes(p.id) ? 'FAMC'
+        : (fam.husbandId === p.id || fam.wifeId === p.id) ? 'FAMS' : null;
+      if (link && !keptLinks.has(`${link} ${fam.famId}`)) lines.push(`1 ${link} ${fam.famId}`);
+    }
+
+    for (const item of (mediaOf.get(p.id) || [])) {
+      lines.push(`1 OBJE ${mediaGedIds.get(item.id)}`);
+      if (item.photo) lines.push('2 _PRIM Y');
+    }
+    if (gedcom7) {
+      lines.push(`1 EXID ${p.id}`);
+      lines.push(`2 TYPE ${APP_EXID_TYPE}`);
+    }
+
+    pushUnmapped(lines, 1, unmapped, '', writer);
   }
 
   // FAM records
-  const processedFamilies = new Set();
+  for (const fam of families) {
+    lines.push(`0 ${fam.famId} FAM`);
+    if (fam.wifeFirst) {
+      lines.push(`1 WIFE ${idToGedId.get(fam.wifeId)}`);
+      lines.push(`1 HUSB ${idToGedId.get(fam.husbandId)}`);
+    } else {
+      if (fam.husbandId) lines.push(`1 HUSB ${idToGedId.get(fam.husbandId)}`);
+      if (fam.wifeId) lines.push(`1 WIFE ${idToGedId.get(fam.wifeId)}`);
+    }
 
-  for (const p of persons) {
-    const pGedId = idToGedId.get(p.id);
+    const marriage = fam.marriage;
+    if (marriage) {
+      pushEvent(lines, 1, 'MARR', marriage, marriage.unmapped, 'MARR', writer, false,
+        citationsOf(null, `marriage:${marriage.id}`));
+      for (const event of (marriage.events || [])) {
+        const tag = tagForEventType(event.type, 'family');
+        pushEvent(lines, 1, tag, withEvenLabel(event, tag), event.unmapped, '', writer, true,
+          citationsOf(null, `event:${event.id}`));
+      }
+    }
 
-    // Marriage-based FAM
-    for (const marriage of (p.marriages || [])) {
-      if (processedFamilies.has(marriage.id)) continue;
-      processedFamilies.add(marriage.id);
+    for (const childId of fam.childIds) lines.push(`1 CHIL ${idToGedId.get(childId)}`);
 
-      const spouseGedId = idToGedId.get(marriage.spouseId);
-      if (!spouseGedId) continue;
+    if (marriage) pushUnmapped(lines, 1, marriage.unmapped, '', writer);
+  }
 
-      const famId = `@F${famCounter++}@`;
-      lines.push(`0 ${famId} FAM`);
+  for (const repository of repositories) {
+    lines.push(`0 ${repositoryGedIds.get(repository.id)} REPO`);
+    if (repository.name) lines.push(`1 NAME ${repository.name}`);
+    if (repository.address) {
+      pushText(lines, 1, 'ADDR', repository.address);
+      pushUnmapped(lines, 2, repository.unmapped, 'ADDR', writer);
+    }
+    if (repository.note) pushText(lines, 1, 'NOTE', repository.note);
+    pushUnmapped(lines, 1, repository.unmapped, '', writer);
+  }
 
-      if (p.gender === 'female') {
-        lines.push(`1 WIFE ${pGedId}`);
-        lines.push(`1 HUSB ${spouseGedId}`);
-      } else {
-        lines.push(`1 HUSB ${pGedId}`);
-        lines.push(`1 WIFE ${spouseGedId}`);
-      }
+  for (const source of sources) {
+    lines.push(`0 ${sourceGedIds.get(source.id)} SOUR`);
+    if (source.title) pushText(lines, 1, 'TITL', source.title);
+    if (source.author) pushText(lines, 1, 'AUTH', source.author);
+    if (source.publication) pushText(lines, 1, 'PUBL', source.publication);
+    if (source.abbreviation) lines.push(`1 ABBR ${source.abbreviation}`);
+    if (source.text) pushText(lines, 1, 'TEXT', source.text);
+    const repositoryXref = repositoryGedIds.get(source.repositoryId);
+    if (repositoryXref) {
+      lines.push(`1 REPO ${repositoryXref}`);
+      if (source.callNumber) lines.push(`2 CALN ${source.callNumber}`);
+      pushUnmapped(lines, 2, source.unmapped, 'REPO', writer);
+    }
+    if (source.note) pushText(lines, 1, 'NOTE', source.note);
+    pushUnmapped(lines, 1, source.unmapped, '', writer);
+  }
+
+  for (const record of records) {
+    pushNode(lines, 0, { ...record, xref: recordGedIds.get(record.id) }, writer);
+  }
+
+  for (const item of media) {
+    if (!idToGedId.has(item.personId)) continue;
+    lines.push(`0 ${mediaGedIds.get(item.id)} OBJE`);
+    lines.push(`1 FILE ${item.path}`);
+    lines.push(`2 FORM ${gedcom7 ? item.mimeType : mediaFileExtension(item.mimeType)}`);
+    if (gedcom7) {
+      // MEDI only knows PHOTO of the document types; the rest are OTHER with a PHRASE
+      lines.push(`3 MEDI ${item.type === 'photo' ? 'PHOTO' : 'OTHER'}`);
+      if (item.type && item.type !== 'photo') lines.push(`4 PHRASE ${item.type}`);
+    } else if (item.type === 'photo') {
+      lines.push('3 TYPE photo');
+    }
+    if (item.title) lines.push(`2 TITL ${item.title}`);
+    if (item.note) pushText(lines, 1, 'NOTE', item.note);
+  }
+
+  lines.push('0 TRLR');
+  return lines.join('\n');
+}
+
+const RECORD_XREF_PREFIX = { SOUR: 'S', REPO: 'R', NOTE: 'N', OBJE: 'O', SUBM: 'U', SUBN: 'U' };
 
-      if (marriage.date?.year || marriage.place || marriage.note) {
-        lines.push('1 MARR');
-        if (marriage.date?.year) lines.push(`2 DATE ${formatDateValueToGEDCOM(marriage.date)}`);
-        if (marriage.place) lines.push(`2 PLAC ${marriage.place}`);
-        if (marriage.note) lines.push(`2 NOTE ${marriage.note}`);
+/**
+ * Work out every FAM record up front so INDI records can carry FAMC/FAMS
+ * links and unmapped pointers can resolve to family xrefs.
+ */
+function collectFamilies(persons, idToGedId) {
+  const families = [];
+  const processedFamilies = new Set();
+  let famCounter = 1;
+  const nextFamId = () => `@F${famCounter++}@`;
+  const childrenOf = (aId, bId) => persons
+    .filter((c) => (c.fatherId === aId && c.motherId === bId) || (c.motherId === aId && c.fatherId === bId))
+    .map((c) => c.id)
+    .filter((id) => idToGedId.has(id));
+
+  // A marriage with no spouse is a one-parent family; the parent is the
+  // mother when she is a woman or her children name her so
+  const asMother = (p) => p.gender === 'female'
+    || (p.gender !== 'male' && persons.some((c) => c.motherId === p.id));
+  const singleParentKey = (p) => (asMother(p) ? `none-${p.id}` : `${p.id}-none`);
+  // The first such marriage of a person takes the children that have no other parent
+  const singleParentMarriage = new Map();
+
+  // Children of a married couple are listed on the marriage FAM, never in a
+  // separate parent-child FAM — even when the child comes first in `persons`.
+  for (const p of persons) {
+    for (const marriage of (p.marriages || [])) {
+      if (!marriage.spouseId) {
+        const key = singleParentKey(p);
+        if (!singleParentMarriage.has(key)) singleParentMarriage.set(key, marriage.id);
+        processedFamilies.add(key);
+        continue;
       }
+      if (!idToGedId.has(marriage.spouseId)) continue;
+      processedFamilies.add(`${p.id}-${marriage.spouseId}`);
+      processedFamilies.add(`${marriage.spouseId}-${p.id}`);
+    }
+  }
+
+  for (const p of persons) {
+    // Marriage-based FAM
+    for (const marriage of (p.marriages || [])) {
+      if (processedFamilies.has(marriage.id)) continue;
+      processedFamilies.add(marriage.id);
 
       const spouseId = marriage.spouseId;
-      for (const child of persons) {
-        const bothParents =
-          (child.fatherId === p.id && child.motherId === spouseId) ||
-          (child.motherId === p.id && child.fatherId === spouseId);
-        if (bothParents) {
-          const cGedId = idToGedId.get(child.id);
-          if (cGedId) lines.push(`1 CHIL ${cGedId}`);
-        }
+      if (!spouseId) {
+        const key = singleParentKey(p);
+        const mother = asMother(p);
+        const childIds = singleParentMarriage.get(key) !== marriage.id ? [] : persons
+          .filter((c) => (mother ? c.motherId === p.id && !c.fatherId : c.fatherId === p.id && !c.motherId))
+          .map((c) => c.id);
+        families.push({
+          famId: nextFamId(),
+          husbandId: mother ? '' : p.id,
+          wifeId: mother ? p.id : '',
+          wifeFirst: false,
+          marriage,
+          childIds
+        });
+        continue;
       }
+      if (!idToGedId.has(spouseId)) continue;
+
+      const wifeFirst = p.gender === 'female';
+      families.push({
+        famId: nextFamId(),
+        husbandId: wifeFirst ? spouseId : p.id,
+        wifeId: wifeFirst ? p.id : spouseId,
+        wifeFirst,
+        marriage,
+        childIds: childrenOf(p.id, spouseId)
+      });
     }
 
     // Fallback: spouseId with no marriages (legacy data)
     if ((!p.marriages || p.marriages.length === 0) && p.spouseId) {
       const famKey = [p.id, p.spouseId].sort().join('-');
-      if (!processedFamilies.has(famKey)) {
+      if (!processedFamilies.has(famKey) && idToGedId.has(p.spouseId)) {
         processedFamilies.add(famKey);
-        const spouseGedId = idToGedId.get(p.spouseId);
-        if (spouseGedId) {
-          const famId = `@F${famCounter++}@`;
-          lines.push(`0 ${famId} FAM`);
-          if (p.gender === 'female') {
-            lines.push(`1 WIFE ${pGedId}`);
-            lines.push(`1 HUSB ${spouseGedId}`);
-          } else {
-            lines.push(`1 HUSB ${pGedId}`);
-            lines.push(`1 WIFE ${spouseGedId}`);
-          }
-        }
+        const wifeFirst = p.gender === 'female';
+        families.push({
+          famId: nextFamId(),
+          husbandId: wifeFirst ? p.spouseId : p.id,
+          wifeId: wifeFirst ? p.id : p.spouseId,
+          wifeFirst,
+          marriage: null,
+          childIds: []
+        });
       }
     }
 
@@ -889,33 +1538,192 @@ export function generateGEDCOMText(persons) {
       const familyKey = `${p.fatherId || 'none'}-${p.motherId || 'none'}`;
       if (!processedFamilies.has(familyKey)) {
         processedFamilies.add(familyKey);
-        const fatherGedId = p.fatherId ? idToGedId.get(p.fatherId) : null;
-        const motherGedId = p.motherId ? idToGedId.get(p.motherId) : null;
-        if (fatherGedId || motherGedId) {
-          const famId = `@F${famCounter++}@`;
-          lines.push(`0 ${famId} FAM`);
-          if (fatherGedId) lines.push(`1 HUSB ${fatherGedId}`);
-          if (motherGedId) lines.push(`1 WIFE ${motherGedId}`);
-          lines.push(`1 CHIL ${pGedId}`);
+        const fatherKnown = p.fatherId && idToGedId.has(p.fatherId);
+        const motherKnown = p.motherId && idToGedId.has(p.motherId);
+        if (fatherKnown || motherKnown) {
+          const childIds = [p.id];
           for (const sibling of persons) {
             if (sibling.id !== p.id && sibling.fatherId === p.fatherId && sibling.motherId === p.motherId) {
-              const sibGedId = idToGedId.get(sibling.id);
-              if (sibGedId) lines.push(`1 CHIL ${sibGedId}`);
+              childIds.push(sibling.id);
             }
           }
+          families.push({
+            famId: nextFamId(),
+            husbandId: fatherKnown ? p.fatherId : '',
+            wifeId: motherKnown ? p.motherId : '',
+            wifeFirst: false,
+            marriage: null,
+            childIds
+          });
         }
       }
     }
   }
 
-  lines.push('0 TRLR');
-  return lines.join('\n');
+  // Children that also belong to a family other than their parents' keep a
+  // FAMC link to it (see the GEDCOM importer)
+  const familyByMarriageId = new Map(families.filter((f) => f.marriage).map((f) => [f.marriage.id, f]));
+  for (const p of persons) {
+    for (const node of (p.unmapped || [])) {
+      if (node.tag !== 'FAMC' || node.within || node.ref?.type !== 'family') continue;
+      const family = familyByMarriageId.get(node.ref.id);
+      if (family && !family.childIds.includes(p.id)) family.childIds.push(p.id);
+    }
+  }
+
+  return families;
+}
+
+/**
+ * Citations keyed by `personId|fact` for the facts of one person and by
+ * `fact` alone for marriages and family events, which both spouses share.
+ */
+function citationIndex(citations) {
+  const index = new Map();
+  const add = (key, citation) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(citation);
+  };
+  for (const citation of citations) {
+    add(`${citation.personId}|${citation.fact}`, citation);
+    if (citation.fact.startsWith('marriage:') || citation.fact.startsWith('event:')) add(citation.fact, citation);
+  }
+  return index;
+}
+
+function pushCitations(lines, level, citations, writer) {
+  for (const citation of citations) {
+    const pointer = writer.resolveRef({ type: 'source', id: citation.sourceId });
+    if (!pointer) continue; // source is no longer in the tree
+    const sub = level + 1;
+    lines.push(`${level} SOUR ${pointer}`);
+    if (citation.page) lines.push(`${sub} PAGE ${citation.page}`);
+    const data = (citation.unmapped || []).filter((n) => n.within === 'DATA');
+    if (citation.text || data.length) {
+      lines.push(`${sub} DATA`);
+      pushUnmapped(lines, sub + 1, data, 'DATA', writer);
+      if (citation.text) pushText(lines, sub + 1, 'TEXT', citation.text);
+    }
+    if (Number.isInteger(citation.quality)) lines.push(`${sub} QUAY ${citation.quality}`);
+    if (citation.note) pushText(lines, sub, 'NOTE', citation.note);
+    pushUnmapped(lines, sub, citation.unmapped, '', writer);
+  }
+}
+
+function withEvenLabel(event, tag) {
+  if (tag !== 'EVEN' || event.label) return event;
+  const label = EVEN_TYPE_LABELS[event.type];
+  return label ? { ...event, label } : event;
+}
+
+/**
+ * Write an event structure. `prefix` is the `within` path its unmapped
+ * substructures were stored under ('' for standalone events, 'MARR' for the
+ * marriage fields that live directly on a marriage record).
+ */
+function pushEvent(lines, level, tag, event, unmapped = [], prefix, writer, always = false, citations = []) {
+  const own = (unmapped || []).filter((n) => (n.within || '').startsWith(prefix));
+  const hasContent = event.date?.year || event.place || event.note || event.description || own.length || citations.length;
+  if (!always && !hasContent) return;
+
+  pushText(lines, level, tag, event.description || '');
+  const sub = level + 1;
+  const path = (t) => (prefix ? `${prefix}.${t}` : t);
+  if (event.label) lines.push(`${sub} TYPE ${event.label}`);
+  if (event.date?.year) {
+    lines.push(`${sub} DATE ${formatDateValueToGEDCOM(event.date, writer.gedcom7)}`);
+    const phrase = writer.gedcom7 ? gedcom7DatePhrase(event.date) : '';
+    if (phrase) lines.push(`${sub + 1} PHRASE ${phrase}`);
+    pushUnmapped(lines, sub + 1, own, path('DATE'), writer);
+  }
+  if (event.place) {
+    lines.push(`${sub} PLAC ${event.place}`);
+    pushUnmapped(lines, sub + 1, own, path('PLAC'), writer);
+  }
+  if (event.note) pushText(lines, sub, 'NOTE', event.note);
+  pushCitations(lines, sub, citations, writer);
+  pushUnmapped(lines, sub, own, prefix, writer);
+}
+
+function pushUnmapped(lines, level, nodes, within, writer) {
+  for (const node of (nodes || [])) {
+    if ((node.within || '') === within) pushNode(lines, level, node, writer);
+  }
+}
+
+function pushNode(lines, level, node, writer) {
+  // GEDCOM 7 calls shared note records and pointers to them SNOTE
+  const shared = writer.gedcom7 && node.tag === 'NOTE' && (node.xref || node.ref || node.pointer);
+  const name = shared ? 'SNOTE' : node.tag;
+  const tag = node.xref ? `${node.xref} ${name}` : name;
+  const children = node.children || [];
+  if (node.ref) {
+    const pointer = writer.resolveRef(node.ref);
+    if (!pointer) return; // target is no longer in the tree
+    lines.push(`${level} ${tag} ${pointer}`);
+  } else if (node.pointer) {
+    lines.push(`${level} ${tag} ${node.pointer}`);
+  } else if (node.tag === 'AGE' && node.value) {
+    const age = formatGEDCOMAge(node.value, writer.gedcom7);
+    lines.push(`${level} ${tag} ${age.value}`);
+    if (age.phrase && !children.some((c) => c.tag === 'PHRASE')) lines.push(`${level + 1} PHRASE ${age.phrase}`);
+  } else {
+    pushText(lines, level, tag, node.value ?? '');
+  }
+  for (const child of children) pushNode(lines, level + 1, child, writer);
 }
 
-// Collect persons from treeCore and delegate to pure generator
-function generateGEDCOM(treeCore) {
+// GEDCOM 7 NAME.TYPE is an enumeration; other types become OTHER with a PHRASE
+function pushNameType(lines, level, type, gedcom7) {
+  const keyword = String(type).toUpperCase();
+  if (!gedcom7) {
+    lines.push(`${level} TYPE ${type}`);
+  } else if (GEDCOM7_NAME_TYPES.includes(keyword)) {
+    lines.push(`${level} TYPE ${keyword}`);
+  } else {
+    lines.push(`${level} TYPE OTHER`);
+    lines.push(`${level + 1} PHRASE ${type}`);
+  }
+}
+
+const AGE_KEYWORDS = { CHILD: ['< 8y', 'Child'], INFANT: ['< 1y', 'Infant'], STILLBORN: ['0y', 'Stillborn'] };
+
+/**
+ * An AGE payload in the syntax of the version written. GEDCOM 7 dropped the
+ * CHILD/INFANT/STILLBORN keywords (kept as a PHRASE) and wants a unit and a
+ * space after < and >; 5.5.1 has no weeks.
+ * @returns {{ value: string, phrase?: string }}
+ */
+function formatGEDCOMAge(value, gedcom7) {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  if (gedcom7) {
+    const keyword = AGE_KEYWORDS[text.toUpperCase()];
+    if (keyword) return { value: keyword[0], phrase: keyword[1] };
+    const spaced = text.replace(/^([<>]) ?/, '$1 ').replace(/([ymwd])(?=\d)/gi, '$1 ');
+    return { value: /^(?:[<>] )?\d+$/.test(spaced) ? `${spaced}y` : spaced };
+  }
+  if (!/\dw/i.test(text)) return { value: String(value) };
+  return { value: text.replace(/(\d+)w(?: ?(\d+)d)?/i, (m, weeks, days) => `${Number(weeks) * 7 + Number(days || 0)}d`) };
+}
+
+// Multi-line text is continued with CONT lines one level down
+function pushText(lines, level, tag, text) {
+  const [first, ...rest] = String(text).split('\n');
+  lines.push(first ? `${level} ${tag} ${first}` : `${level} ${tag}`);
+  for (const line of rest) lines.push(line ? `${level + 1} CONT ${line}` : `${level + 1} CONT`);
+}
+
+// Collect persons from treeCore and delegate to pure generator. `onlyIds`
+// restricts the export to those persons; links to anyone else are dropped.
+function generateGEDCOM(treeCore, sources = [], onlyIds = null) {
+  const persons = gedcomPersons(treeCore, onlyIds);
+  return generateGEDCOMText(persons, { records: treeCore.gedcomRecords || [], sources });
+}
+
+function gedcomPersons(treeCore, onlyIds = null) {
   const persons = [];
   for (const [id, node] of treeCore.renderer.nodes) {
+    if (onlyIds && !onlyIds.has(id)) continue;
     const pd = treeCore.getPersonData(id) || {};
     persons.push({
       id,
@@ -929,25 +1737,96 @@ function generateGEDCOM(treeCore) {
       spouseId: pd.spouseId || '',
       birth: pd.birth || { date: null, place: '', note: '' },
       death: pd.death || { date: null, place: '', note: '' },
+      events: pd.events || [],
+      altNames: pd.altNames || [],
       marriages: pd.marriages || [],
       notes: pd.notes || '',
+      unmapped: pd.unmapped || [],
     });
   }
-  return generateGEDCOMText(persons);
+  return persons;
+}
+
+/**
+ * The photos and attached documents of `persons` as `generateGEDCOMText`
+ * media entries, with the blobs to put in the GEDZIP at their paths.
+ */
+async function gedzipMedia(repo, treeCore, persons) {
+  const media = [];
+  const files = [];
+  const add = async (entry, mediaId, folder) => {
+    const record = await repo.getMedia(mediaId).catch(() => null);
+    if (!record?.blob) return;
+    const mimeType = record.mimeType || record.blob.type;
+    const path = gedzipMediaPath(mediaId, mimeType, folder);
+    media.push({ ...entry, path, mimeType });
+    files.push({ path, blob: record.blob });
+  };
+
+  for (const person of persons) {
+    const mediaId = treeCore.getPersonData(person.id)?.photo?.mediaId;
+    if (mediaId) await add({ id: `photo_${person.id}`, personId: person.id, type: 'photo', photo: true }, mediaId, 'photos');
+  }
+  const ids = new Set(persons.map((p) => p.id));
+  const documents = (await repo.getAllDocuments().catch(() => []))
+    .filter((doc) => ids.has(doc.personId) && doc.mediaId)
+    .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+  for (const doc of documents) {
+    await add({ id: doc.id, personId: doc.personId, type: doc.type, title: doc.title, note: doc.description }, doc.mediaId, 'documents');
+  }
+  return { media, files };
 }
 
-function formatDateValueToGEDCOM(dv) {
+const GEDCOM_KEYWORD_FOR_QUALIFIER = Object.fromEntries(
+  Object.entries(GEDCOM_DATE_QUALIFIERS).map(([keyword, qualifier]) => [qualifier, keyword])
+);
+
+function formatDateValueToGEDCOM(dv, gedcom7 = false) {
   if (!dv || !dv.year) return '';
-  const MONTHS = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
+  const start = formatGEDCOMDatePoint(dv, gedcom7);
+  const end = dv.end?.year ? formatGEDCOMDatePoint(dv.end, gedcom7) : '';
+
+  switch (dv.qualifier) {
+    case 'between':
+      return end ? `BET ${start} AND ${end}` : `AFT ${start}`;
+    case 'from':
+      return end ? `FROM ${start} TO ${end}` : `FROM ${start}`;
+    case 'to':
+      return `TO ${start}`;
+    case 'interpreted':
+      if (gedcom7) return start;
+      return dv.phrase ? `INT ${start} (${dv.phrase})` : `INT ${start}`;
+    case undefined:
+      return dv.estimated ? `ABT ${start}` : start;
+    default:
+      return `${GEDCOM_KEYWORD_FOR_QUALIFIER[dv.qualifier] ?? 'ABT'} ${start}`;
+  }
+}
+
+function formatGEDCOMDatePoint(point, gedcom7 = false) {
+  const calendar = GEDCOM_CALENDARS[point.calendar];
+  const months = (calendar ?? GEDCOM_CALENDARS.gregorian).months;
+  let year = `${point.year}`;
+  if (point.dualYear && !gedcom7) year += `/${String(point.dualYear).slice(-2)}`;
+  if (point.bc) year += gedcom7 ? ' BCE' : ' B.C.';
+
   let date;
-  if (dv.day && dv.month) {
-    date = `${dv.day} ${MONTHS[dv.month - 1]} ${dv.year}`;
-  } else if (dv.month) {
-    date = `${MONTHS[dv.month - 1]} ${dv.year}`;
+  if (point.day && point.month) {
+    date = `${point.day} ${months[point.month - 1]} ${year}`;
+  } else if (point.month) {
+    date = `${months[point.month - 1]} ${year}`;
   } else {
-    date = `${dv.year}`;
+    date = year;
   }
-  return dv.estimated ? `ABT ${date}` : date;
+  const marker = calendar && (gedcom7 ? calendar.keyword : calendar.escape);
+  return marker ? `${marker} ${date}` : date;
+}
+
+// GEDCOM 7 has neither INT nor dual years: the interpretation, or the date as
+// 5.5.1 wrote it, goes in a PHRASE under the DATE
+function gedcom7DatePhrase(dv) {
+  if (dv.qualifier === 'interpreted') return dv.phrase || '';
+  return dv.dualYear || dv.end?.dualYear ? formatDateValueToGEDCOM(dv) : '';
 }
 
 // Format date for GEDCOM
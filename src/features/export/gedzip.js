@@ -0,0 +1,88 @@
+// gedzip.js
+// GEDZIP: a zip holding a GEDCOM 7 file named gedcom.ged and the media
+// files its OBJE records point at, each FILE giving the path in the zip.
+
+import { strToU8, strFromU8 } from 'fflate';
+import { createZipStream, readZipEntries, mediaFileExtension } from '../../data/tree-archive.js';
+import { generateImageThumbnail, generatePdfThumbnail } from '../photos/document-utils.js';
+
+export const GEDZIP_EXTENSION = '.gdz';
+
+const GEDCOM_PATH = 'gedcom.ged';
+
+/**
+ * Path of a media file in a GEDZIP, e.g. "media/photos/m_1_abc.jpg".
+ * @param {string} id
+ * @param {string} mimeType
+ * @param {string} folder
+ */
+export function gedzipMediaPath(id, mimeType, folder) {
+  return `media/${folder}/${String(id).replace(/[^\w.-]/g, '_')}.${mediaFileExtension(mimeType)}`;
+}
+
+/**
+ * Zip GEDCOM text and media files into a GEDZIP, written as a stream of
+ * chunks to `write`. The text is deflated; the media, which do not
+ * compress, are stored one file at a time.
+ * @param {string} text
+ * @param {{ path: string, blob: Blob }[]} files
+ * @param {(chunk: Uint8Array, final: boolean) => (void|Promise<void>)} write - awaited before the next file
+ * @returns {Promise<void>}
+ */
+export async function writeGedzip(text, files, write) {
+  const zip = createZipStream(write);
+  await zip.addFile(GEDCOM_PATH, strToU8(text), true);
+  const written = new Set();
+  for (const { path, blob } of files) {
+    if (written.has(path)) continue;
+    written.add(path);
+    await zip.addFile(path, new Uint8Array(await blob.arrayBuffer()), false);
+  }
+  await zip.end();
+}
+
+/**
+ * Unpack a GEDZIP into its GEDCOM text and the other files by path. Zips
+ * whose GEDCOM file has another name are read too. Files that are damaged
+ * (failed their CRC-32) are left out of `files` and listed in `damaged`.
+ * @param {Blob} source
+ * @returns {Promise<{ text: string, files: Map<string, Blob>, damaged: string[] }>}
+ * @throws {Error} when the zip holds no readable .ged file
+ */
+export async function readGedzip(source) {
+  const damaged = [];
+  const files = await readZipEntries(source, damaged);
+  const name = files.has(GEDCOM_PATH) ? GEDCOM_PATH : [...files.keys()].find((path) => /\.ged$/i.test(path));
+  if (!name) {
+    const broken = damaged.find((path) => /\.ged$/i.test(path));
+    throw new Error(broken ? `The GEDZIP's ${broken} is damaged` : `Not a GEDZIP file: ${GEDCOM_PATH} is missing`);
+  }
+  const text = strFromU8(new Uint8Array(await files.get(name).arrayBuffer())).replace(/^\uFEFF/, '');
+  files.delete(name);
+  return { text, files, damaged };
+}
+
+/**
+ * Save the photos and documents `importFromGedcom` took from a GEDZIP,
+ * with the thumbnails the document list shows.
+ * @param {Object} repo - IndexedDBRepository
+ * @param {{ media?: Object[], documents?: Object[] }} imported
+ */
+export async function storeImportedMedia(repo, { media = [], documents = [] }) {
+  const blobs = new Map();
+  for (const record of media) {
+    await repo.saveMedia(record);
+    blobs.set(record.id, record.blob);
+  }
+  for (const doc of documents) {
+    const blob = blobs.get(doc.mediaId);
+    if (!blob) continue;
+    const thumbnail = await (doc.kind === 'pdf' ? generatePdfThumbnail(blob) : generateImageThumbnail(blob)).catch(() => null);
+    let thumbnailMediaId = null;
+    if (thumbnail) {
+      thumbnailMediaId = `m_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      await repo.saveMedia({ id: thumbnailMediaId, blob: thumbnail, mimeType: 'image/jpeg', byteLength: thumbnail.size });
+    }
+    await repo.saveDocument({ ...doc, thumbnailMediaId });
+  }
+}
@@ -0,0 +1,96 @@
+import { notifications } from '../../ui/components/notifications.js';
+import { planPosterTiles } from './poster-tiling.js';
+import { posterPicture, exportPosterPDF } from './exporter.js';
+
+let picture = null;
+let wired = false;
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{{${key}}}`, String(value)), text);
+}
+
+function chosenOptions() {
+  return {
+    poster: document.getElementById('posterSize')?.value || 'a0',
+    sheet: document.getElementById('posterSheet')?.value || 'a4',
+    dpi: Number(document.getElementById('posterDpi')?.value) || 300,
+    overlap: Number(document.getElementById('posterOverlap')?.value) || 0
+  };
+}
+
+function renderSummary() {
+  const summary = document.getElementById('posterSummary');
+  if (!summary || !picture) return;
+  const plan = planPosterTiles(picture.width, picture.height, chosenOptions());
+  summary.textContent = fill(t('builder.poster.summary', '{{columns}} × {{rows}} = {{count}} sheets of {{sheet}} at {{dpi}} dpi'), {
+    columns: plan.columns,
+    rows: plan.rows,
+    count: plan.tiles.length,
+    sheet: plan.sheet.label,
+    dpi: plan.dpi
+  });
+}
+
+/**
+ * Open the poster dialog for the chart view on screen, or the canvas tree.
+ * @param {import('../../core/tree-engine.js').TreeEngine} [treeCore]
+ */
+export function openPosterDialog(treeCore = window.treeCore) {
+  const modal = document.getElementById('posterModal');
+  if (!modal) return;
+  picture = posterPicture(treeCore);
+  if (!picture) {
+    notifications.warning(t('builder.poster.empty_title', 'No Data'), t('builder.poster.empty', 'There is nothing to print yet'));
+    return;
+  }
+  wireDialog(modal);
+  renderSummary();
+  modal.classList.remove('hidden');
+}
+
+function closeDialog() {
+  document.getElementById('posterModal')?.classList.add('hidden');
+  picture = null;
+}
+
+function wireDialog(modal) {
+  if (wired) return;
+  wired = true;
+
+  document.getElementById('posterClose')?.addEventListener('click', closeDialog);
+  document.getElementById('posterCancel')?.addEventListener('click', closeDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeDialog(); });
+  for (const id of ['posterSize', 'posterSheet', 'posterDpi', 'posterOverlap']) {
+    document.getElementById(id)?.addEventListener('input', renderSummary);
+  }
+
+  document.getElementById('posterCreate')?.addEventListener('click', () => {
+    if (!picture) return;
+    const source = picture;
+    const plan = planPosterTiles(source.width, source.height, chosenOptions());
+    closeDialog();
+
+    const treeName = localStorage.getItem('familyTree_treeName') || t('builder.poster.default_title', 'Family Tree');
+    exportPosterPDF(source, plan, {
+      title: fill(t('builder.poster.map_title', '{{name}} — assembly map'), { name: treeName }),
+      lines: [
+        fill(t('builder.poster.map_size', '{{poster}} poster ({{width}} × {{height}} mm) on {{count}} {{sheet}} sheets, {{overlap}} mm overlap, {{dpi}} dpi'), {
+          poster: plan.poster.label,
+          width: Math.round(plan.poster.width),
+          height: Math.round(plan.poster.height),
+          count: plan.tiles.length,
+          sheet: plan.sheet.label,
+          overlap: Math.round(plan.overlap),
+          dpi: plan.dpi
+        }),
+        t('builder.poster.map_trim', 'Trim every sheet along the crop marks on its top and left edges.'),
+        t('builder.poster.map_align', 'Lay it over its neighbours so the cut edges meet the dashed lines, then tape from behind.')
+      ]
+    });
+  });
+}
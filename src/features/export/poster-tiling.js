@@ -0,0 +1,188 @@
+// poster-tiling.js — Large-format posters printed on ordinary paper (pure).
+// The picture is fitted to the poster size and cut into sheet-sized tiles
+// that overlap, so each tile is drawn on its own canvas and no canvas ever
+// holds the whole poster. A first page maps where every sheet goes.
+
+import { escapeXml } from '../../utils/xml.js';
+import { PAPER_SIZES, PRINT_DPI, MM_PER_CSS_PX, fitToPaper, clampPrintDpi } from './print-sizing.js';
+
+/** Printers leave this much of each sheet's edge blank, in millimetres. */
+export const SHEET_MARGIN_MM = 8;
+/** Picture repeated on neighbouring sheets, so they can be taped together. */
+export const POSTER_OVERLAP_MM = 10;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// A, B, ... Z, AA, AB, ...
+function rowLetters(row) {
+  let letters = '';
+  for (let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  return letters;
+}
+
+/**
+ * @typedef {Object} PosterTile
+ * @property {string} label — e.g. "B3": row letter and column number
+ * @property {number} row
+ * @property {number} column
+ * @property {number} x — left of the tile on the poster, mm
+ * @property {number} y — top of the tile on the poster, mm
+ */
+
+/**
+ * @typedef {Object} PosterPlan
+ * @property {{ key: string, label: string, width: number, height: number }} poster — turned to suit the picture, mm
+ * @property {{ x: number, y: number, width: number, height: number, scale: number }} picture — where the picture sits on the poster, mm; scale is mm per picture unit
+ * @property {{ key: string, label: string, width: number, height: number }} sheet — turned to need the fewest sheets, mm
+ * @property {'portrait'|'landscape'} orientation — of the sheets
+ * @property {{ width: number, height: number }} print — printed area of a sheet, mm
+ * @property {number} margin — blank edge of a sheet, mm
+ * @property {number} overlap — mm
+ * @property {number} dpi — lowered when a tile would not fit on a canvas
+ * @property {number} columns
+ * @property {number} rows
+ * @property {PosterTile[]} tiles — row by row
+ */
+
+/**
+ * How a `width` x `height` picture is printed as a poster of `poster` size
+ * on sheets of `sheet` size.
+ *
+ * @param {number} width — picture width in any unit
+ * @param {number} height — picture height in the same unit
+ * @param {{ poster?: string, sheet?: string, dpi?: number, overlap?: number, margin?: number }} [options] — keys of PAPER_SIZES; mm
+ * @returns {PosterPlan}
+ */
+export function planPosterTiles(width, height, {
+  poster = 'a0',
+  sheet = 'a4',
+  dpi = PRINT_DPI,
+  overlap = POSTER_OVERLAP_MM,
+  margin = SHEET_MARGIN_MM
+} = {}) {
+  const posterKey = PAPER_SIZES[poster] ? poster : 'a0';
+  const sheetKey = PAPER_SIZES[sheet] ? sheet : 'a4';
+  const fit = fitToPaper(width, height, posterKey);
+  const sheetSize = PAPER_SIZES[sheetKey];
+  const shortSide = Math.min(sheetSize.width, sheetSize.height) - margin * 2;
+  // Sheets must still move on by at least half their printed width
+  const shared = Math.min(Math.max(Number(overlap) || 0, 0), shortSide / 2);
+
+  const layout = (sheetWidth, sheetHeight) => {
+    const print = { width: sheetWidth - margin * 2, height: sheetHeight - margin * 2 };
+    const columns = Math.max(1, Math.ceil((fit.pageWidth - shared) / (print.width - shared)));
+    const rows = Math.max(1, Math.ceil((fit.pageHeight - shared) / (print.height - shared)));
+    return { sheetWidth, sheetHeight, print, columns, rows };
+  };
+  const portrait = layout(sheetSize.width, sheetSize.height);
+  const landscape = layout(sheetSize.height, sheetSize.width);
+  const best = landscape.columns * landscape.rows < portrait.columns * portrait.rows ? landscape : portrait;
+
+  const tiles = [];
+  for (let row = 0; row < best.rows; row++) {
+    for (let column = 0; column < best.columns; column++) {
+      tiles.push({
+        label: `${rowLetters(row)}${column + 1}`,
+        row,
+        column,
+        x: round(column * (best.print.width - shared)),
+        y: round(row * (best.print.height - shared))
+      });
+    }
+  }
+
+  return {
+    poster: { key: posterKey, label: PAPER_SIZES[posterKey].label, width: fit.pageWidth, height: fit.pageHeight },
+    picture: { x: fit.x, y: fit.y, width: fit.drawWidth, height: fit.drawHeight, scale: fit.drawWidth / Math.max(width, 1) },
+    sheet: { key: sheetKey, label: sheetSize.label, width: best.sheetWidth, height: best.sheetHeight },
+    orientation: best === landscape ? 'landscape' : 'portrait',
+    print: best.print,
+    margin,
+    overlap: shared,
+    dpi: clampPrintDpi(best.print.width, best.print.height, dpi),
+    columns: best.columns,
+    rows: best.rows,
+    tiles
+  };
+}
+
+// The picture placed on the poster, in poster millimetres
+function pictureOnPoster(markup, plan) {
+  const { x, y, scale } = plan.picture;
+  const inner = String(markup).replace(/^\s*<\?xml[^>]*\?>\s*/, '');
+  return `<g transform="translate(${x} ${y}) scale(${scale})">${inner}</g>`;
+}
+
+/**
+ * The printed area of one sheet as standalone SVG markup.
+ * @param {string} markup — standalone SVG of the whole picture
+ * @param {PosterPlan} plan
+ * @param {PosterTile} tile
+ * @returns {{ markup: string, width: number, height: number }} size in CSS pixels
+ */
+export function posterTileSVG(markup, plan, tile) {
+  const { width, height } = plan.print;
+  const pixelWidth = round(width / MM_PER_CSS_PX);
+  const pixelHeight = round(height / MM_PER_CSS_PX);
+  return {
+    markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth}" height="${pixelHeight}" viewBox="${tile.x} ${tile.y} ${width} ${height}">` +
+      `<rect x="${tile.x}" y="${tile.y}" width="${width}" height="${height}" fill="#ffffff"/>` +
+      `${pictureOnPoster(markup, plan)}</svg>`,
+    width: pixelWidth,
+    height: pixelHeight
+  };
+}
+
+/**
+ * The assembly map: a sheet-sized page showing the poster with the place
+ * and label of every sheet, under a title and lines of instructions.
+ * @param {string} markup — standalone SVG of the whole picture
+ * @param {PosterPlan} plan
+ * @param {{ title?: string, lines?: string[] }} [text]
+ * @returns {{ markup: string, width: number, height: number }} size in CSS pixels
+ */
+export function posterMapSVG(markup, plan, { title = '', lines = [] } = {}) {
+  const { width: pageWidth, height: pageHeight } = plan.sheet;
+  const edge = 15;
+  const font = 'system-ui, -apple-system, \'Segoe UI\', sans-serif';
+  const parts = [`<rect width="${pageWidth}" height="${pageHeight}" fill="#ffffff"/>`];
+  let y = edge + 6;
+  if (title) {
+    parts.push(`<text x="${pageWidth / 2}" y="${y}" text-anchor="middle" font-family="${font}" font-size="6" font-weight="700" fill="#1f2937">${escapeXml(title)}</text>`);
+    y += 9;
+  }
+  for (const line of lines) {
+    parts.push(`<text x="${pageWidth / 2}" y="${y}" text-anchor="middle" font-family="${font}" font-size="3.4" fill="#4b5563">${escapeXml(line)}</text>`);
+    y += 5.5;
+  }
+
+  // The poster, scaled into the rest of the page
+  const top = y + 4;
+  const boxWidth = pageWidth - edge * 2;
+  const boxHeight = pageHeight - edge - top;
+  const scale = Math.min(boxWidth / plan.poster.width, boxHeight / plan.poster.height);
+  const left = edge + (boxWidth - plan.poster.width * scale) / 2;
+  const step = { x: plan.print.width - plan.overlap, y: plan.print.height - plan.overlap };
+  const stroke = 0.35 / scale;
+  parts.push(`<g transform="translate(${round(left)} ${round(top)}) scale(${scale})">`,
+    `<rect width="${plan.poster.width}" height="${plan.poster.height}" fill="#ffffff" stroke="#9ca3af" stroke-width="${stroke}"/>`,
+    pictureOnPoster(markup, plan));
+  for (const tile of plan.tiles) {
+    // The part of the poster the sheet shows that is not under the next sheets
+    const width = Math.min(tile.column < plan.columns - 1 ? step.x : Infinity, plan.poster.width - tile.x);
+    const height = Math.min(tile.row < plan.rows - 1 ? step.y : Infinity, plan.poster.height - tile.y);
+    const size = Math.min(width, height) / 3;
+    parts.push(`<rect x="${tile.x}" y="${tile.y}" width="${round(width)}" height="${round(height)}" fill="#ffffff" fill-opacity="0.35" stroke="#2563eb" stroke-width="${stroke}"/>`,
+      `<text x="${round(tile.x + width / 2)}" y="${round(tile.y + height / 2 + size * 0.35)}" text-anchor="middle" font-family="${font}" ` +
+      `font-size="${round(size)}" font-weight="700" fill="#2563eb" fill-opacity="0.8">${tile.label}</text>`);
+  }
+  parts.push('</g>');
+
+  const pixelWidth = round(pageWidth / MM_PER_CSS_PX);
+  const pixelHeight = round(pageHeight / MM_PER_CSS_PX);
+  return {
+    markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth}" height="${pixelHeight}" viewBox="0 0 ${pageWidth} ${pageHeight}">${parts.join('')}</svg>`,
+    width: pixelWidth,
+    height: pixelHeight
+  };
+}
@@ -0,0 +1,102 @@
+// print-sizing.js — Paper sizes and how a chart fits on a page (pure).
+// Used by the chart exports so a file prints at the chosen paper size.
+
+/** Paper sizes in millimetres, portrait. */
+export const PAPER_SIZES = Object.freeze({
+  a4: { width: 210, height: 297, label: 'A4' },
+  a3: { width: 297, height: 420, label: 'A3' },
+  a2: { width: 420, height: 594, label: 'A2' },
+  a1: { width: 594, height: 841, label: 'A1' },
+  a0: { width: 841, height: 1189, label: 'A0' },
+  letter: { width: 215.9, height: 279.4, label: 'Letter' },
+  tabloid: { width: 279.4, height: 431.8, label: 'Tabloid' }
+});
+
+export const PRINT_MARGIN_MM = 10;
+export const PRINT_DPI = 300;
+// Browsers refuse to draw canvases much larger than this
+const MAX_CANVAS_PIXELS = 16_000_000;
+const MAX_CANVAS_SIDE = 16_000;
+const MM_PER_INCH = 25.4;
+/** Size of a CSS pixel on paper, at the 96 pixels per inch of CSS. */
+export const MM_PER_CSS_PX = MM_PER_INCH / 96;
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Page orientation and the box a chart of `width` x `height` takes on it,
+ * as large as the margins allow, centered below an optional header band.
+ *
+ * @param {number} width — chart width in any unit
+ * @param {number} height — chart height in the same unit
+ * @param {string} [paper] — key of PAPER_SIZES
+ * @param {{ margin?: number, header?: number }} [options] — in millimetres
+ * @returns {{ orientation: 'portrait'|'landscape', pageWidth: number, pageHeight: number, x: number, y: number, drawWidth: number, drawHeight: number }}
+ */
+export function fitToPaper(width, height, paper = 'a4', { margin = PRINT_MARGIN_MM, header = 0 } = {}) {
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.a4;
+  const w = Math.max(width, 1);
+  const h = Math.max(height, 1);
+  const fit = (pageWidth, pageHeight) => {
+    const boxWidth = pageWidth - margin * 2;
+    const boxHeight = pageHeight - margin * 2 - header;
+    return { pageWidth, pageHeight, boxWidth, boxHeight, scale: Math.min(boxWidth / w, boxHeight / h) };
+  };
+  const portrait = fit(size.width, size.height);
+  const landscape = fit(size.height, size.width);
+  const best = landscape.scale > portrait.scale ? landscape : portrait;
+  const drawWidth = w * best.scale;
+  const drawHeight = h * best.scale;
+  return {
+    orientation: best === landscape ? 'landscape' : 'portrait',
+    pageWidth: best.pageWidth,
+    pageHeight: best.pageHeight,
+    x: round(margin + (best.boxWidth - drawWidth) / 2),
+    y: round(margin + header + (best.boxHeight - drawHeight) / 2),
+    drawWidth: round(drawWidth),
+    drawHeight: round(drawHeight)
+  };
+}
+
+/**
+ * Pixel size of an image of the chart filling the paper at `dpi`, lowered
+ * when the browser could not draw a canvas that large.
+ *
+ * @param {number} width — chart width in SVG units
+ * @param {number} height — chart height in SVG units
+ * @param {string} [paper]
+ * @param {number} [dpi]
+ * @returns {{ pixelWidth: number, pixelHeight: number, scale: number, dpi: number }} — scale from SVG units to pixels
+ */
+export function printPixelSize(width, height, paper = 'a4', dpi = PRINT_DPI) {
+  const { drawWidth } = fitToPaper(width, height, paper);
+  const w = Math.max(width, 1);
+  const h = Math.max(height, 1);
+  let scale = (drawWidth / MM_PER_INCH) * dpi / w;
+  scale = Math.min(scale, Math.sqrt(MAX_CANVAS_PIXELS / (w * h)), MAX_CANVAS_SIDE / Math.max(w, h));
+  return {
+    pixelWidth: Math.round(w * scale),
+    pixelHeight: Math.round(h * scale),
+    scale,
+    dpi: Math.round(scale * w / (drawWidth / MM_PER_INCH))
+  };
+}
+
+/**
+ * The highest resolution up to `dpi` at which a `width` x `height` mm
+ * area can still be drawn on one canvas.
+ *
+ * @param {number} width — in millimetres
+ * @param {number} height — in millimetres
+ * @param {number} [dpi]
+ * @returns {number} whole dots per inch
+ */
+export function clampPrintDpi(width, height, dpi = PRINT_DPI) {
+  const inchesWide = Math.max(width, 1) / MM_PER_INCH;
+  const inchesHigh = Math.max(height, 1) / MM_PER_INCH;
+  return Math.max(1, Math.floor(Math.min(
+    dpi,
+    Math.sqrt(MAX_CANVAS_PIXELS / (inchesWide * inchesHigh)),
+    MAX_CANVAS_SIDE / Math.max(inchesWide, inchesHigh)
+  )));
+}
@@ -0,0 +1,188 @@
+// filter-bar.js - Floating panel to type a filter query, dim or hide everyone
+// else in all views, and keep queries as named saved filters.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { notifications } from '../../ui/components/notifications.js';
+import { FilterSyntaxError } from './filter-query.js';
+import { applyPersonFilter, clearPersonFilter, getActivePersonFilter } from './person-filter.js';
+import { loadSavedFilters, saveFilter, deleteSavedFilter } from './saved-filters.js';
+
+let currentTreeCore = null;
+let savedFilters = [];
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{{${key}}}`, value), text);
+}
+
+/**
+ * Open the filter panel for the open tree.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ */
+export async function openFilterBar(treeCore) {
+  const panel = document.getElementById('filterBar');
+  const form = document.getElementById('filterBarForm');
+  if (!panel || !form || !treeCore) return;
+
+  currentTreeCore = treeCore;
+  wirePanel(panel, form);
+  const active = getActivePersonFilter();
+  form.elements.query.value = active?.query ?? form.elements.query.value;
+  form.elements.mode.value = active?.mode ?? form.elements.mode.value;
+  showStatus(active);
+  panel.classList.remove('hidden');
+  await refreshSavedFilters();
+  form.elements.query.focus();
+}
+
+/** Close the filter panel; the filter itself stays in effect. */
+export function hideFilterBar() {
+  document.getElementById('filterBar')?.classList.add('hidden');
+}
+
+function wirePanel(panel, form) {
+  if (panel.dataset.wired) return;
+  panel.dataset.wired = 'true';
+
+  document.getElementById('filterBarClose')?.addEventListener('click', hideFilterBar);
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideFilterBar();
+  });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runFilter(form.elements.query.value, form.elements.mode.value);
+  });
+  form.elements.mode.addEventListener('change', () => {
+    if (getActivePersonFilter()) runFilter(form.elements.query.value, form.elements.mode.value);
+  });
+  document.getElementById('filterClearBtn')?.addEventListener('click', () => {
+    form.elements.query.value = '';
+    form.elements.saved.value = '';
+    clearPersonFilter(currentTreeCore);
+  });
+
+  form.elements.saved.addEventListener('change', () => {
+    const filter = savedFilters.find((f) => f.name === form.elements.saved.value);
+    if (!filter) return;
+    form.elements.query.value = filter.query;
+    form.elements.mode.value = filter.mode;
+    form.elements.saveName.value = filter.name;
+    runFilter(filter.query, filter.mode);
+  });
+  document.getElementById('filterSaveBtn')?.addEventListener('click', () => storeCurrent(form));
+  document.getElementById('filterDeleteBtn')?.addEventListener('click', () => removeSelected(form));
+
+  const bus = appContext.getEventBus();
+  bus.on(EVENTS.PERSON_FILTER_CHANGED, ({ query, mode, ids } = {}) => {
+    showStatus(ids ? { query, mode, ids } : null);
+  });
+  bus.on(EVENTS.TREE_SWITCHED, () => {
+    form.elements.query.value = '';
+    if (!panel.classList.contains('hidden')) refreshSavedFilters();
+  });
+}
+
+async function runFilter(query, mode) {
+  try {
+    await applyPersonFilter(currentTreeCore, { query, mode });
+  } catch (error) {
+    if (error instanceof FilterSyntaxError) {
+      showError(error);
+      return;
+    }
+    console.error('Filter failed:', error);
+    notifications.error(t('builder.filters.failed', 'Filter failed'), error.message);
+  }
+}
+
+function showError(error) {
+  const status = document.getElementById('filterBarStatus');
+  if (!status) return;
+  const template = t(`builder.filters.errors.${error.code}`, error.message);
+  status.textContent = fill(template, error.params);
+  status.classList.add('filter-bar-error');
+  const input = document.getElementById('filterBarForm')?.elements.query;
+  if (input) {
+    input.focus();
+    input.setSelectionRange(error.position, input.value.length);
+  }
+}
+
+function showStatus(active) {
+  const status = document.getElementById('filterBarStatus');
+  if (!status) return;
+  status.classList.remove('filter-bar-error');
+  if (!active) {
+    status.textContent = '';
+    return;
+  }
+  const total = currentTreeCore?.personData?.size ?? 0;
+  status.textContent = fill(t('builder.filters.match_count', '{{count}} of {{total}} people match'), {
+    count: active.ids.size,
+    total
+  });
+}
+
+async function refreshSavedFilters() {
+  const form = document.getElementById('filterBarForm');
+  const select = form?.elements.saved;
+  if (!select) return;
+  try {
+    savedFilters = await loadSavedFilters(currentTreeCore?.cacheManager?.getIdbRepo?.());
+  } catch (error) {
+    console.warn('Saved filters unavailable:', error);
+    savedFilters = [];
+  }
+  const selected = select.value;
+  while (select.options.length > 1) select.remove(1);
+  for (const filter of savedFilters) {
+    const option = document.createElement('option');
+    option.value = filter.name;
+    option.textContent = filter.name;
+    select.appendChild(option);
+  }
+  select.value = savedFilters.some((f) => f.name === selected) ? selected : '';
+}
+
+async function storeCurrent(form) {
+  const repo = currentTreeCore?.cacheManager?.getIdbRepo?.();
+  const name = form.elements.saveName.value.trim();
+  const query = form.elements.query.value.trim();
+  if (!repo) return;
+  if (!name || !query) {
+    notifications.warning(
+      t('builder.filters.save_title', 'Save filter'),
+      t('builder.filters.save_needs_name', 'Enter a query and a name for the filter')
+    );
+    return;
+  }
+  try {
+    await saveFilter(repo, { name, query, mode: form.elements.mode.value });
+    await refreshSavedFilters();
+    form.elements.saved.value = name;
+    notifications.success(t('builder.filters.saved', 'Filter saved'), name);
+  } catch (error) {
+    console.error('Saving filter failed:', error);
+    notifications.error(t('builder.filters.save_failed', 'Could not save the filter'), error.message);
+  }
+}
+
+async function removeSelected(form) {
+  const repo = currentTreeCore?.cacheManager?.getIdbRepo?.();
+  const name = form.elements.saved.value;
+  if (!repo || !name) return;
+  try {
+    await deleteSavedFilter(repo, name);
+    await refreshSavedFilters();
+    form.elements.saveName.value = '';
+  } catch (error) {
+    console.error('Deleting filter failed:', error);
+    notifications.error(t('builder.filters.delete_failed', 'Could not delete the filter'), error.message);
+  }
+}
@@ -0,0 +1,383 @@
+// filter-query.js - The person filter language, e.g.
+//   surname:Ivanov born:<1900 place:"Odessa" has:documents
+//   (surname:Petrov OR surname:~Petroff) -is:living gen:2..4
+// Words are ANDed; OR, NOT / a leading "-" and parentheses combine them.
+// Text matches are spelling- and transliteration-tolerant (see search/transliteration.js).
+
+import { searchKeys } from '../search/transliteration.js';
+import { phoneticCodes, phoneticMatch } from '../search/phonetics.js';
+import { computeBloodLine } from '../tree-chart/tree-chart-highlight.js';
+import { isPresumedLiving, lifeEventSearchFields } from '../../utils/life-events.js';
+
+/** A query that cannot be parsed. `code` names the problem for translated messages. */
+export class FilterSyntaxError extends Error {
+  constructor(message, code, position = 0, params = {}) {
+    super(message);
+    this.name = 'FilterSyntaxError';
+    this.code = code;
+    this.position = position;
+    this.params = params;
+  }
+}
+
+const words = (text) => String(text ?? '').split(/[\s,.;:()/-]+/).filter(Boolean);
+
+function placesOf(p) {
+  return [
+    p.birth?.place,
+    p.death?.place,
+    ...(p.marriages || []).map((m) => m.place),
+    ...(p.events || []).map((e) => e.place)
+  ].filter(Boolean);
+}
+
+// kind: text fields read strings, year and number fields compare, enum fields take a fixed value.
+const FIELDS = {
+  name: { kind: 'text', phonetic: true, read: (p) => [p.name, p.fatherName, p.surname, p.maidenName] },
+  given: { kind: 'text', read: (p) => [p.name] },
+  patronymic: { kind: 'text', read: (p) => [p.fatherName] },
+  surname: { kind: 'text', phonetic: true, read: (p) => [p.surname, p.maidenName] },
+  place: { kind: 'text', read: placesOf },
+  birthplace: { kind: 'text', read: (p) => [p.birth?.place] },
+  deathplace: { kind: 'text', read: (p) => [p.death?.place] },
+  event: { kind: 'text', read: (p, ctx) => lifeEventSearchFields(p, ctx.t) },
+  born: { kind: 'year', read: (p) => p.birth?.date?.year },
+  died: { kind: 'year', read: (p) => p.death?.date?.year },
+  gen: { kind: 'number', read: (p, ctx) => ctx.getGeneration(p.id) },
+  gender: { kind: 'enum', values: ['male', 'female', 'unknown'] },
+  is: { kind: 'enum', values: ['living', 'deceased'] },
+  has: { kind: 'enum', values: ['photo', 'documents', 'birth', 'death', 'events', 'parents', 'children', 'spouse'] },
+  line: { kind: 'person' },
+  id: { kind: 'id' }
+};
+
+const FIELD_ALIASES = {
+  first: 'given',
+  firstname: 'given',
+  lastname: 'surname',
+  generation: 'gen',
+  sex: 'gender',
+  birth: 'born',
+  death: 'died'
+};
+
+const ENUM_ALIASES = { m: 'male', f: 'female', alive: 'living', dead: 'deceased', docs: 'documents', document: 'documents' };
+
+/** Field names of the language, for help text. */
+export const FILTER_FIELDS = Object.keys(FIELDS);
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const OPERATORS = ['<=', '>=', '<', '>', '=', '~'];
+
+function readValue(text, start) {
+  if (text[start] === '"') {
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        value += text[++i];
+      } else if (text[i] === '"') {
+        return { value, end: i + 1, quoted: true };
+      } else {
+        value += text[i];
+      }
+    }
+    throw new FilterSyntaxError('Missing closing quote', 'unclosed_quote', start);
+  }
+  let end = start;
+  while (end < text.length && !/[\s()]/.test(text[end])) end++;
+  return { value: text.slice(start, end), end, quoted: false };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else {
+      const position = i;
+      let negate = false;
+      if (char === '-' && i + 1 < text.length && !/[\s()]/.test(text[i + 1])) {
+        negate = true;
+        i++;
+      }
+      const fieldMatch = /^([a-z]+):/i.exec(text.slice(i));
+      let field = null;
+      let op = '';
+      if (fieldMatch) {
+        field = fieldMatch[1].toLowerCase();
+        i += fieldMatch[0].length;
+        op = OPERATORS.find((o) => text.startsWith(o, i)) || '';
+        i += op.length;
+      }
+      const { value, end, quoted } = readValue(text, i);
+      i = end;
+      if (!field && !quoted && !negate && (value === 'OR' || value === 'AND' || value === 'NOT')) {
+        tokens.push({ type: value, position });
+      } else {
+        tokens.push({ type: 'term', negate, field, op, value, position });
+      }
+    }
+  }
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+function parseNumberValue(value, position, field) {
+  const range = /^(-?\d+)\.\.(-?\d+)$/.exec(value);
+  if (range) return { from: Number(range[1]), to: Number(range[2]) };
+  if (/^-?\d+$/.test(value)) return { number: Number(value) };
+  throw new FilterSyntaxError(`"${value}" is not a number for ${field}:`, 'bad_number', position, { field, value });
+}
+
+function buildTerm(token) {
+  const { negate, op, value, position } = token;
+  let term;
+  if (!token.field) {
+    if (!value) throw new FilterSyntaxError('Empty search word', 'missing_value', position);
+    term = { type: 'term', field: 'name', op: '', value };
+  } else {
+    const field = FIELD_ALIASES[token.field] || token.field;
+    const spec = FIELDS[field];
+    if (!spec) {
+      throw new FilterSyntaxError(`Unknown field "${token.field}:"`, 'unknown_field', position, { field: token.field });
+    }
+    if (!value) throw new FilterSyntaxError(`Missing value after ${token.field}:`, 'missing_value', position, { field: token.field });
+
+    if (spec.kind === 'year' || spec.kind === 'number') {
+      term = { type: 'term', field, op: op || '=', ...parseNumberValue(value, position, token.field) };
+      if (op === '~') throw new FilterSyntaxError(`"~" does not apply to ${token.field}:`, 'bad_operator', position, { field: token.field, op });
+      if (term.from !== undefined && op && op !== '=') {
+        throw new FilterSyntaxError(`A range takes no "${op}"`, 'bad_operator', position, { field: token.field, op });
+      }
+    } else if (spec.kind === 'enum') {
+      const normalized = ENUM_ALIASES[value.toLowerCase()] || value.toLowerCase();
+      if (!spec.values.includes(normalized) || (op && op !== '=')) {
+        throw new FilterSyntaxError(`${token.field}: takes ${spec.values.join(', ')}`, 'bad_value', position,
+          { field: token.field, value, values: spec.values.join(', ') });
+      }
+      term = { type: 'term', field, op: '=', value: normalized };
+    } else {
+      if (op && op !== '=' && !(op === '~' && spec.phonetic)) {
+        throw new FilterSyntaxError(`"${op}" does not apply to ${token.field}:`, 'bad_operator', position, { field: token.field, op });
+      }
+      term = { type: 'term', field, op, value };
+    }
+  }
+  return negate ? { type: 'not', item: term } : term;
+}
+
+/**
+ * Parse a filter query.
+ * @param {string} text
+ * @returns {Object|null} the expression tree; null for an empty query
+ * @throws {FilterSyntaxError}
+ */
+export function parseFilterQuery(text) {
+  const tokens = tokenize(String(text ?? ''));
+  if (!tokens.length) return null;
+  let index = 0;
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (tokens[index]?.type === 'OR') {
+      index++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [];
+    while (index < tokens.length && tokens[index].type !== 'OR' && tokens[index].type !== ')') {
+      if (tokens[index].type === 'AND') {
+        index++;
+        continue;
+      }
+      items.push(parseUnary());
+    }
+    if (!items.length) {
+      const position = tokens[index]?.position ?? tokens[tokens.length - 1].position;
+      throw new FilterSyntaxError('Expected a condition', 'missing_value', position);
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[index];
+    if (token.type === 'NOT') {
+      index++;
+      if (index >= tokens.length) throw new FilterSyntaxError('Expected a condition after NOT', 'missing_value', token.position);
+      return { type: 'not', item: parseUnary() };
+    }
+    if (token.type === '(') {
+      index++;
+      const inner = parseOr();
+      if (tokens[index]?.type !== ')') throw new FilterSyntaxError('Missing ")"', 'unbalanced_paren', token.position);
+      index++;
+      return inner;
+    }
+    index++;
+    return buildTerm(token);
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new FilterSyntaxError('Unexpected ")"', 'unbalanced_paren', tokens[index].position);
+  }
+  return tree;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function someTerm(tree, predicate) {
+  if (!tree) return false;
+  if (tree.type === 'term') return predicate(tree);
+  if (tree.type === 'not') return someTerm(tree.item, predicate);
+  return tree.items.some((item) => someTerm(item, predicate));
+}
+
+/**
+ * Whether evaluating a query needs the documents attached to persons.
+ * @param {Object|null} tree - from parseFilterQuery
+ * @returns {boolean}
+ */
+export function filterNeedsDocuments(tree) {
+  return someTerm(tree, (term) => term.field === 'has' && term.value === 'documents');
+}
+
+function compareNumber(actual, term) {
+  if (typeof actual !== 'number') return false;
+  if (term.from !== undefined) return actual >= Math.min(term.from, term.to) && actual <= Math.max(term.from, term.to);
+  switch (term.op) {
+    case '<': return actual < term.number;
+    case '<=': return actual <= term.number;
+    case '>': return actual > term.number;
+    case '>=': return actual >= term.number;
+    default: return actual === term.number;
+  }
+}
+
+function resolveLine(term, personData) {
+  if (personData.has(term.value)) return computeBloodLine(term.value, personData);
+  const [key] = searchKeys(term.value);
+  const line = new Set();
+  for (const [id, p] of personData) {
+    const names = [[p.name, p.surname], [p.name, p.fatherName, p.surname]]
+      .map((parts) => searchKeys(parts.filter(Boolean).join(' '))[0]);
+    if (key && names.includes(key)) {
+      for (const member of computeBloodLine(id, personData)) line.add(member);
+    }
+  }
+  return line;
+}
+
+/**
+ * Ids of the persons matching a query.
+ * @param {string|Object|null} query - text or a tree from parseFilterQuery; empty matches everyone
+ * @param {Map<string, Object>} personData
+ * @param {Object} [context]
+ * @param {(id: string) => number|null} [context.getGeneration]
+ * @param {Set<string>} [context.documentPersonIds] - persons with attached documents
+ * @param {(key: string, fallback: string) => string} [context.t]
+ * @param {number} [context.currentYear]
+ * @returns {Set<string>}
+ * @throws {FilterSyntaxError} for query text that does not parse
+ */
+export function matchPersons(query, personData, context = {}) {
+  const tree = typeof query === 'string' ? parseFilterQuery(query) : query;
+  if (!tree) return new Set(personData.keys());
+
+  const ctx = {
+    getGeneration: () => null,
+    documentPersonIds: new Set(),
+    currentYear: new Date().getFullYear(),
+    ...context
+  };
+  const parents = new Set();
+  for (const p of personData.values()) {
+    if (p.fatherId) parents.add(p.fatherId);
+    if (p.motherId) parents.add(p.motherId);
+  }
+  const lines = new Map();
+  const termCache = new Map();
+  const keysOf = (person, field) => {
+    const cacheKey = `${field}\u0000${person.id}`;
+    if (!termCache.has(cacheKey)) {
+      const texts = FIELDS[field].read(person, ctx).filter(Boolean);
+      termCache.set(cacheKey, { texts, keys: texts.flatMap((text) => searchKeys(text)) });
+    }
+    return termCache.get(cacheKey);
+  };
+
+  const testTerm = (term, person) => {
+    const spec = FIELDS[term.field];
+    switch (spec.kind) {
+      case 'text': {
+        const { texts, keys } = keysOf(person, term.field);
+        if (term.op === '~') {
+          const codes = phoneticCodes(term.value);
+          return texts.some((text) => words(text).some((word) => phoneticMatch(codes, phoneticCodes(word))));
+        }
+        const wanted = searchKeys(term.value);
+        if (term.op === '=') return wanted.some((w) => keys.includes(w));
+        return wanted.some((w) => keys.some((key) => key.includes(w)));
+      }
+      case 'year':
+      case 'number':
+        return compareNumber(spec.read(person, ctx), term);
+      case 'enum':
+        if (term.field === 'gender') {
+          return term.value === 'unknown' ? !person.gender : person.gender === term.value;
+        }
+        if (term.field === 'is') {
+          return isPresumedLiving(person, ctx.currentYear) === (term.value === 'living');
+        }
+        switch (term.value) {
+          case 'photo': return Boolean(person.photo?.mediaId || (typeof person.photo === 'string' && person.photo));
+          case 'documents': return ctx.documentPersonIds.has(person.id);
+          case 'birth': return Boolean(person.birth?.date || person.birth?.place);
+          case 'death': return Boolean(person.death?.date || person.death?.place);
+          case 'events': return (person.events || []).length > 0;
+          case 'parents': return Boolean(person.fatherId || person.motherId);
+          case 'children': return parents.has(person.id);
+          case 'spouse': return Boolean(person.spouseId || (person.marriages || []).some((m) => m.spouseId));
+          default: return false;
+        }
+      case 'person':
+        if (!lines.has(term.value)) lines.set(term.value, resolveLine(term, personData));
+        return lines.get(term.value).has(person.id);
+      case 'id':
+        return person.id === term.value;
+      default:
+        return false;
+    }
+  };
+
+  const test = (node, person) => {
+    switch (node.type) {
+      case 'and': return node.items.every((item) => test(item, person));
+      case 'or': return node.items.some((item) => test(item, person));
+      case 'not': return !test(node.item, person);
+      default: return testTerm(node, person);
+    }
+  };
+
+  const ids = new Set();
+  for (const [id, person] of personData) {
+    if (test(tree, person.id ? person : { ...person, id })) ids.add(id);
+  }
+  return ids;
+}
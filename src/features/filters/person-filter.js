@@ -0,0 +1,107 @@
+// person-filter.js - The active person filter of the open tree. The canvas,
+// the tree chart, the table and the exports all read it from here, so a
+// filter dims or hides the same people everywhere.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { parseFilterQuery, matchPersons, filterNeedsDocuments } from './filter-query.js';
+
+export const FILTER_MODES = ['dim', 'hide'];
+
+let active = null; // { query, mode, ids: Set<string> }
+let activeTreeCore = null;
+let subscribed = false;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+async function documentPersonIds(treeCore, tree) {
+  const ids = new Set();
+  if (!filterNeedsDocuments(tree)) return ids;
+  try {
+    const documents = await treeCore?.cacheManager?.getIdbRepo?.()?.getAllDocuments();
+    for (const doc of documents || []) {
+      if (doc.personId) ids.add(doc.personId);
+    }
+  } catch (error) {
+    console.warn('Filter: documents unavailable:', error);
+  }
+  return ids;
+}
+
+function publish(treeCore) {
+  treeCore?.renderer?.setPersonFilter?.(active ? active.ids : null, active?.mode);
+  appContext.getEventBus().emit(EVENTS.PERSON_FILTER_CHANGED, {
+    query: active?.query ?? null,
+    mode: active?.mode ?? null,
+    ids: active?.ids ?? null
+  });
+}
+
+function subscribe() {
+  if (subscribed) return;
+  subscribed = true;
+  const bus = appContext.getEventBus();
+  // Edits and undo can change who matches
+  bus.on(EVENTS.HISTORY_CHANGED, () => {
+    if (active && activeTreeCore) {
+      applyPersonFilter(activeTreeCore, active).catch((error) => console.warn('Filter refresh failed:', error));
+    }
+  });
+  bus.on(EVENTS.TREE_SWITCHED, () => clearPersonFilter(activeTreeCore));
+}
+
+/**
+ * Filter the tree to the persons matching a query.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @param {{query: string, mode?: 'dim'|'hide'}} filter
+ * @returns {Promise<Set<string>|null>} matching ids; null when the query is empty
+ * @throws {import('./filter-query.js').FilterSyntaxError} when the query does not parse
+ */
+export async function applyPersonFilter(treeCore, { query, mode = 'dim' }) {
+  subscribe();
+  const tree = parseFilterQuery(query);
+  if (!tree) {
+    clearPersonFilter(treeCore);
+    return null;
+  }
+  const personData = treeCore?.personData || new Map();
+  const ids = matchPersons(tree, personData, {
+    getGeneration: (id) => treeCore.getGeneration?.(id) ?? null,
+    documentPersonIds: await documentPersonIds(treeCore, tree),
+    t
+  });
+  active = { query: String(query).trim(), mode: FILTER_MODES.includes(mode) ? mode : 'dim', ids };
+  activeTreeCore = treeCore;
+  publish(treeCore);
+  return ids;
+}
+
+/** Show everyone again. */
+export function clearPersonFilter(treeCore) {
+  const hadFilter = active !== null;
+  active = null;
+  activeTreeCore = null;
+  if (hadFilter) publish(treeCore);
+}
+
+/**
+ * The filter in effect, if any.
+ * @returns {{query: string, mode: 'dim'|'hide', ids: Set<string>}|null}
+ */
+export function getActivePersonFilter() {
+  return active;
+}
+
+/**
+ * How a person shows under the active filter.
+ * @param {string} personId
+ * @returns {'normal'|'dimmed'|'hidden'}
+ */
+export function personFilterState(personId) {
+  if (!active || active.ids.has(personId)) return 'normal';
+  return active.mode === 'hide' ? 'hidden' : 'dimmed';
+}
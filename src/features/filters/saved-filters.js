@@ -0,0 +1,52 @@
+// saved-filters.js - Named filter queries of a tree, kept in the tree's
+// metadata store so they travel with the tree rather than the browser.
+
+const METADATA_KEY = 'savedFilters';
+
+/**
+ * @typedef {Object} SavedFilter
+ * @property {string} name
+ * @property {string} query
+ * @property {'dim'|'hide'} mode
+ */
+
+/**
+ * Saved filters of the tree behind `repo`, sorted by name.
+ * @param {Object} repo - the tree's IndexedDB repository
+ * @returns {Promise<SavedFilter[]>}
+ */
+export async function loadSavedFilters(repo) {
+  if (!repo) return [];
+  const stored = await repo.getMetadata(METADATA_KEY);
+  return (Array.isArray(stored) ? stored : [])
+    .filter((f) => f && typeof f.name === 'string' && typeof f.query === 'string')
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a filter, replacing any saved filter of the same name.
+ * @param {Object} repo
+ * @param {SavedFilter} filter
+ * @returns {Promise<SavedFilter[]>} the saved filters afterwards
+ */
+export async function saveFilter(repo, { name, query, mode = 'dim' }) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw new Error('A saved filter needs a name');
+  const others = (await loadSavedFilters(repo)).filter((f) => f.name !== trimmed);
+  const filters = [...others, { name: trimmed, query: String(query ?? '').trim(), mode }]
+    .sort((a, b) => a.name.localeCompare(b.name));
+  await repo.saveMetadata(METADATA_KEY, filters);
+  return filters;
+}
+
+/**
+ * Delete a saved filter by name.
+ * @param {Object} repo
+ * @param {string} name
+ * @returns {Promise<SavedFilter[]>} the saved filters afterwards
+ */
+export async function deleteSavedFilter(repo, name) {
+  const filters = (await loadSavedFilters(repo)).filter((f) => f.name !== name);
+  await repo.saveMetadata(METADATA_KEY, filters);
+  return filters;
+}
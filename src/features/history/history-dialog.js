@@ -0,0 +1,222 @@
+import { notifications } from '../../ui/components/notifications.js';
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { historyLabelText } from '../../data/cache/core-undoRedo.js';
+
+let currentTreeCore = null;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+function formatTime(timestamp) {
+  const locale = window.i18n?.currentLocale || 'en';
+  return new Date(timestamp).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Open the history: named snapshots of the open tree and the timeline of
+ * every step, newest first, with a way back to any point of it.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ */
+export async function openHistoryDialog(treeCore) {
+  const modal = document.getElementById('historyModal');
+  if (!modal || !treeCore?.undoRedoManager) return;
+
+  currentTreeCore = treeCore;
+  wireDialog(modal);
+  modal.classList.remove('hidden');
+  await renderHistory();
+}
+
+function isOpen() {
+  const modal = document.getElementById('historyModal');
+  return Boolean(modal && !modal.classList.contains('hidden'));
+}
+
+function closeDialog() {
+  document.getElementById('historyModal')?.classList.add('hidden');
+}
+
+async function renderHistory() {
+  if (!currentTreeCore) return;
+  renderTimeline(currentTreeCore.undoRedoManager);
+  await renderSnapshots(currentTreeCore.undoRedoManager);
+}
+
+function renderTimeline(manager) {
+  const list = document.getElementById('historyTimeline');
+  if (!list) return;
+  list.innerHTML = '';
+
+  // Undone steps are the newest; redoStack[0] is the furthest one
+  for (const entry of manager.redoStack) {
+    list.appendChild(timelineItem(historyLabelText(entry), entry.timestamp, entry.seq, 'history-undone'));
+  }
+  const applied = [...manager.undoStack].reverse();
+  applied.forEach((entry, index) => {
+    list.appendChild(timelineItem(historyLabelText(entry), entry.timestamp, entry.seq, index === 0 ? 'history-current' : ''));
+  });
+  list.appendChild(timelineItem(
+    t('builder.history.start', 'Start of history'),
+    null,
+    0,
+    applied.length === 0 ? 'history-current' : 'history-start'
+  ));
+}
+
+function timelineItem(label, timestamp, seq, className) {
+  const item = document.createElement('li');
+  item.className = `history-item ${className}`.trim();
+  item.dataset.seq = String(seq);
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  const text = document.createElement('span');
+  text.className = 'history-label';
+  // textContent, not SecurityUtils.setTextContent: labels carry names with apostrophes
+  text.textContent = label;
+  info.appendChild(text);
+  if (timestamp) {
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = formatTime(timestamp);
+    info.appendChild(time);
+  }
+  item.appendChild(info);
+
+  if (className.includes('history-current')) {
+    const badge = document.createElement('span');
+    badge.className = 'history-badge';
+    badge.textContent = t('builder.history.current', 'Now');
+    item.appendChild(badge);
+  } else {
+    item.appendChild(actionButton('goto', t('builder.history.go_to', 'Go back here')));
+  }
+  return item;
+}
+
+async function renderSnapshots(manager) {
+  const list = document.getElementById('historySnapshotList');
+  if (!list) return;
+  let snapshots = [];
+  try {
+    snapshots = await manager.listSnapshots();
+  } catch (error) {
+    console.warn('[history] listing snapshots failed:', error);
+  }
+
+  list.innerHTML = '';
+  if (!snapshots.length) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = t('builder.history.no_snapshots', 'No snapshots yet');
+    list.appendChild(empty);
+    return;
+  }
+  for (const snapshot of snapshots) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.dataset.snapshotId = snapshot.id;
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+    const name = document.createElement('span');
+    name.className = 'history-label';
+    name.textContent = snapshot.name;
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = formatTime(snapshot.timestamp);
+    info.appendChild(name);
+    info.appendChild(time);
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.appendChild(actionButton('restore', t('builder.history.restore', 'Restore'), 'btn-primary'));
+    actions.appendChild(actionButton('delete', t('builder.history.delete', 'Delete')));
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    list.appendChild(item);
+  }
+}
+
+function actionButton(action, label, className = 'btn-secondary') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+function handleTimelineClick(event) {
+  const button = event.target.closest('button[data-action="goto"]');
+  const item = button?.closest('.history-item');
+  if (!item || !currentTreeCore) return;
+  currentTreeCore.undoRedoManager.goTo(Number(item.dataset.seq));
+}
+
+async function handleSnapshotClick(event) {
+  const button = event.target.closest('button[data-action]');
+  const item = button?.closest('.history-item');
+  if (!item || !currentTreeCore) return;
+  const manager = currentTreeCore.undoRedoManager;
+  const name = item.querySelector('.history-label')?.textContent ?? '';
+
+  try {
+    if (button.dataset.action === 'restore') {
+      if (await manager.restoreSnapshot(item.dataset.snapshotId)) {
+        notifications.success(t('builder.history.snapshot_restored', 'Snapshot restored'), name);
+      }
+    } else if (button.dataset.action === 'delete') {
+      const message = t('builder.history.delete_confirm', 'Delete the snapshot "{{name}}"?').replace('{{name}}', name);
+      if (!window.confirm(message)) return;
+      await manager.deleteSnapshot(item.dataset.snapshotId);
+    }
+  } catch (error) {
+    console.error('Snapshot action failed:', error);
+    notifications.error(
+      t('builder.history.failed', 'History'),
+      t('builder.history.failed_message', 'The snapshot could not be read or saved')
+    );
+  }
+}
+
+async function handleCreateSnapshot(event) {
+  event.preventDefault();
+  const input = document.getElementById('historySnapshotName');
+  if (!currentTreeCore) return;
+  const name = input?.value.trim() || formatTime(Date.now());
+  try {
+    const snapshot = await currentTreeCore.undoRedoManager.createSnapshot(name);
+    if (!snapshot) throw new Error('Storage is not ready');
+    if (input) input.value = '';
+    notifications.success(t('builder.history.snapshot_created', 'Snapshot saved'), snapshot.name);
+  } catch (error) {
+    console.error('Creating snapshot failed:', error);
+    notifications.error(
+      t('builder.history.failed', 'History'),
+      t('builder.history.failed_message', 'The snapshot could not be read or saved')
+    );
+  }
+}
+
+function wireDialog(modal) {
+  if (modal.dataset.wired) return;
+  modal.dataset.wired = 'true';
+
+  document.getElementById('historyClose')?.addEventListener('click', closeDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeDialog(); });
+  modal.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeDialog(); });
+  document.getElementById('historyTimeline')?.addEventListener('click', handleTimelineClick);
+  document.getElementById('historySnapshotList')?.addEventListener('click', handleSnapshotClick);
+  document.getElementById('historySnapshotForm')?.addEventListener('submit', handleCreateSnapshot);
+
+  // Steps recorded, undone or restored while the dialog is open show up right away
+  appContext.getEventBus().on(EVENTS.HISTORY_CHANGED, () => {
+    if (isOpen()) renderHistory();
+  });
+}
@@ -0,0 +1,260 @@
+import { parseDelimited, isBlankRow } from '../../utils/csv.js';
+import { CSV_FIELDS, guessColumnMapping, importFromCsv } from './csv-importer.js';
+import { applyImportMerge } from '../merge/person-merge.js';
+
+// Rows shown in the preview grid; the rest are imported all the same
+const PREVIEW_LIMIT = 200;
+
+// Table view headers that name a CSV field, so an exported table maps itself
+const TABLE_HEADERS = {
+  name: 'header_name',
+  fatherName: 'header_father_name',
+  surname: 'header_surname',
+  maidenName: 'header_maiden_name',
+  birthDate: 'header_dob',
+  gender: 'header_gender',
+  mother: 'header_mother',
+  father: 'header_father',
+  spouse: 'header_spouse'
+};
+
+const FIELD_LABELS = {
+  id: 'ID',
+  name: 'Name',
+  surname: 'Surname',
+  fatherName: "Father's name",
+  maidenName: 'Maiden name',
+  gender: 'Gender',
+  birthDate: 'Birth date',
+  birthPlace: 'Birth place',
+  deathDate: 'Death date',
+  deathPlace: 'Death place',
+  notes: 'Notes',
+  mother: 'Mother',
+  father: 'Father',
+  spouse: 'Spouse'
+};
+
+let rows = [];
+let mapping = [];
+let result = null;
+let wired = false;
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{{${key}}}`, String(value)), text);
+}
+
+function fieldLabel(field) {
+  return t(`builder.csv.fields.${field}`, FIELD_LABELS[field]);
+}
+
+function localizedAliases() {
+  const aliases = {};
+  for (const field of CSV_FIELDS) {
+    aliases[field] = [fieldLabel(field)];
+    if (TABLE_HEADERS[field]) {
+      const header = t(`builder.table.${TABLE_HEADERS[field]}`, '');
+      if (header) aliases[field].push(header);
+    }
+  }
+  return aliases;
+}
+
+function hasHeader() {
+  return Boolean(document.getElementById('csvHasHeader')?.checked);
+}
+
+function addMode() {
+  return document.querySelector('input[name="csvConflictMode"]:checked')?.value === 'add';
+}
+
+function existingPersons() {
+  return Array.from(window.treeCore?.personData?.values() ?? []);
+}
+
+function errorText(error) {
+  return error.key ? fill(t(`builder.csv.errors.${error.key}`, error.message), error.params) : error.message;
+}
+
+/** Open the spreadsheet import dialog. */
+export function openCsvImportDialog() {
+  const modal = document.getElementById('csvImportModal');
+  if (!modal) return;
+  wireDialog(modal);
+  reset();
+  const fileInput = document.getElementById('csvFileInput');
+  if (fileInput) fileInput.value = '';
+  document.getElementById('csvConflicts')?.classList.toggle('hidden', !(window.treeCore?.renderer?.nodes?.size > 0));
+  modal.classList.remove('hidden');
+}
+
+function reset() {
+  rows = [];
+  mapping = [];
+  result = null;
+  document.getElementById('csvMapping')?.replaceChildren();
+  document.getElementById('csvPreview')?.replaceChildren();
+  document.getElementById('csvSetup')?.classList.add('hidden');
+  const summary = document.getElementById('csvSummary');
+  if (summary) summary.textContent = '';
+  const importBtn = document.getElementById('csvImportBtn');
+  if (importBtn) importBtn.disabled = true;
+}
+
+function closeDialog() {
+  document.getElementById('csvImportModal')?.classList.add('hidden');
+  reset();
+}
+
+async function loadFile(file) {
+  reset();
+  const summary = document.getElementById('csvSummary');
+  rows = parseDelimited(await file.text());
+  if (rows.every(isBlankRow)) {
+    summary.textContent = t('builder.csv.empty', 'The file holds no rows.');
+    return;
+  }
+  mapping = guessColumnMapping(rows[0], localizedAliases());
+  // Without a single known column name the first row is most likely data
+  document.getElementById('csvHasHeader').checked = mapping.some(Boolean);
+  document.getElementById('csvSetup')?.classList.remove('hidden');
+  renderMapping();
+  update();
+}
+
+function columnCount() {
+  return rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+}
+
+function columnName(index) {
+  const header = hasHeader() ? String(rows[0][index] ?? '').trim() : '';
+  return header || fill(t('builder.csv.column', 'Column {{n}}'), { n: index + 1 });
+}
+
+function renderMapping() {
+  const container = document.getElementById('csvMapping');
+  if (!container) return;
+  container.replaceChildren();
+  for (let index = 0; index < columnCount(); index++) {
+    const label = document.createElement('label');
+    label.className = 'csv-mapping-item';
+    const name = document.createElement('span');
+    name.textContent = columnName(index);
+    const select = document.createElement('select');
+    select.dataset.column = String(index);
+    const skip = new Option(t('builder.csv.skip', '— skip —'), '');
+    select.add(skip);
+    for (const field of CSV_FIELDS) select.add(new Option(fieldLabel(field), field));
+    select.value = mapping[index] ?? '';
+    label.append(name, select);
+    container.appendChild(label);
+  }
+}
+
+function update() {
+  if (!rows.length) return;
+  result = importFromCsv(rows, mapping, { hasHeader: hasHeader(), existing: addMode() ? existingPersons() : [] });
+  const failed = result.rows.filter((row) => row.errors.length).length;
+  const summary = document.getElementById('csvSummary');
+  summary.textContent = failed
+    ? fill(t('builder.csv.summary_errors', '{{count}} people ready to import. {{failed}} rows with errors will be skipped.'), { count: result.persons.length, failed })
+    : fill(t('builder.csv.summary', '{{count}} people ready to import.'), { count: result.persons.length });
+  document.getElementById('csvImportBtn').disabled = result.persons.length === 0;
+  renderPreview();
+}
+
+function renderPreview() {
+  const container = document.getElementById('csvPreview');
+  if (!container || !result) return;
+  const count = columnCount();
+  const table = document.createElement('table');
+  table.className = 'csv-preview-table';
+
+  const headRow = table.createTHead().insertRow();
+  const headCell = (text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  };
+  headCell(t('builder.csv.row', 'Row'));
+  for (let index = 0; index < count; index++) {
+    headCell(mapping[index] ? fieldLabel(mapping[index]) : columnName(index));
+  }
+  headCell(t('builder.csv.problems', 'Problems'));
+
+  const body = table.createTBody();
+  for (const row of result.rows.slice(0, PREVIEW_LIMIT)) {
+    const tr = body.insertRow();
+    if (row.errors.length) tr.classList.add('csv-row-error');
+    const faulty = new Set(row.errors.map((error) => error.column).filter(Boolean));
+    tr.insertCell().textContent = String(row.line);
+    for (let index = 0; index < count; index++) {
+      const td = tr.insertCell();
+      td.textContent = row.cells[index] ?? '';
+      if (mapping[index] && faulty.has(mapping[index])) td.classList.add('csv-cell-error');
+      else if (!mapping[index]) td.classList.add('csv-cell-skipped');
+    }
+    tr.insertCell().textContent = row.errors.map(errorText).join('; ');
+  }
+  container.replaceChildren(table);
+  if (result.rows.length > PREVIEW_LIMIT) {
+    const more = document.createElement('p');
+    more.className = 'csv-preview-more';
+    more.textContent = fill(t('builder.csv.more_rows', 'and {{count}} more rows'), { count: result.rows.length - PREVIEW_LIMIT });
+    container.appendChild(more);
+  }
+}
+
+function runImport() {
+  if (!result?.persons.length || !window.treeCore?.processLoadedData) return;
+  const imported = result.persons;
+  const keep = addMode() && window.treeCore.renderer?.nodes?.size > 0;
+  const persons = keep ? applyImportMerge(existingPersons(), imported, []) : imported;
+  window.treeCore.processLoadedData({ persons, gedcomRecords: keep ? (window.treeCore.gedcomRecords ?? []) : [] }, {
+    historyLabel: 'import_csv',
+    historyLabelParams: { count: String(imported.length) }
+  });
+  closeDialog();
+}
+
+function wireDialog(modal) {
+  if (wired) return;
+  wired = true;
+
+  document.getElementById('csvImportClose')?.addEventListener('click', closeDialog);
+  document.getElementById('csvCancelBtn')?.addEventListener('click', closeDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeDialog(); });
+
+  document.getElementById('csvFileInput')?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    loadFile(file).catch((err) => {
+      console.error('[CSV import] parse error:', err);
+      reset();
+      document.getElementById('csvSummary').textContent = t('builder.csv.parse_error', 'Error reading file. Is this a CSV or TSV file?');
+    });
+  });
+  document.getElementById('csvHasHeader')?.addEventListener('change', () => {
+    renderMapping();
+    update();
+  });
+  document.getElementById('csvMapping')?.addEventListener('change', (e) => {
+    const select = e.target.closest('select[data-column]');
+    if (!select) return;
+    const field = select.value || null;
+    // A field goes to one column; the column that had it is skipped
+    mapping = mapping.map((current) => (field && current === field ? null : current));
+    mapping[Number(select.dataset.column)] = field;
+    renderMapping();
+    update();
+  });
+  for (const radio of document.querySelectorAll('input[name="csvConflictMode"]')) {
+    radio.addEventListener('change', update);
+  }
+  document.getElementById('csvImportBtn')?.addEventListener('click', runImport);
+}
@@ -0,0 +1,260 @@
+import { parseDateValue, isComplexDateValue } from '../../utils/date-value.js';
+import { isBlankRow } from '../../utils/csv.js';
+import { parseGedcomDate } from './gedcom-importer.js';
+import { PersonValidator } from '../../data/repositories/person-repository.js';
+
+/**
+ * Person fields a spreadsheet column can be mapped to. `mother`, `father`
+ * and `spouse` hold a reference to another person: a row number, a value
+ * of the `id` column, or "Name Surname".
+ */
+export const CSV_FIELDS = [
+  'id', 'name', 'surname', 'fatherName', 'maidenName', 'gender',
+  'birthDate', 'birthPlace', 'deathDate', 'deathPlace', 'notes',
+  'mother', 'father', 'spouse'
+];
+
+// Header spellings recognised without help, compared lowercased with
+// everything but letters and digits removed
+const FIELD_ALIASES = {
+  id: ['id', 'personid', 'ref', 'refid', 'reference', 'key'],
+  name: ['name', 'givenname', 'givennames', 'firstname', 'forename', 'given', 'first', 'vorname', 'nombre', 'имя'],
+  surname: ['surname', 'lastname', 'familyname', 'last', 'nachname', 'familienname', 'apellido', 'apellidos', 'фамилия'],
+  fatherName: ['fathersname', 'patronymic', 'middlename', 'vatersname', 'patronimico', 'отчество'],
+  maidenName: ['maidenname', 'birthname', 'nee', 'geburtsname', 'mädchenname', 'apellidodesoltera', 'девичьяфамилия'],
+  gender: ['gender', 'sex', 'geschlecht', 'sexo', 'género', 'genero', 'пол'],
+  birthDate: ['birthdate', 'dateofbirth', 'dob', 'born', 'birth', 'birthday', 'geburtsdatum', 'geboren', 'fechadenacimiento', 'nacimiento', 'датарождения'],
+  birthPlace: ['birthplace', 'placeofbirth', 'geburtsort', 'lugardenacimiento', 'месторождения'],
+  deathDate: ['deathdate', 'dateofdeath', 'dod', 'died', 'death', 'sterbedatum', 'gestorben', 'fechadedefunción', 'fechadedefuncion', 'defunción', 'датасмерти'],
+  deathPlace: ['deathplace', 'placeofdeath', 'sterbeort', 'lugardedefunción', 'lugardedefuncion', 'местосмерти'],
+  notes: ['notes', 'note', 'comments', 'comment', 'remarks', 'notizen', 'notas', 'заметки', 'примечания'],
+  mother: ['mother', 'motherid', 'mothername', 'mutter', 'madre', 'мать'],
+  father: ['father', 'fatherid', 'fathername', 'vater', 'padre', 'отец'],
+  spouse: ['spouse', 'spouseid', 'husband', 'wife', 'partner', 'ehepartner', 'cónyuge', 'conyuge', 'супруг', 'супруга']
+};
+
+const GENDER_VALUES = {
+  male: ['male', 'm', 'man', 'boy', 'männlich', 'mann', 'masculino', 'hombre', 'h', 'мужской', 'муж', 'м'],
+  female: ['female', 'f', 'woman', 'girl', 'w', 'weiblich', 'frau', 'femenino', 'mujer', 'женский', 'жен', 'ж']
+};
+
+// Prefixes read as "estimated": the ones formatDateValue writes and common others
+const ESTIMATED_DATE_RE = /^(?:~|est\.?|abt\.?|about|circa|ca?\.|aprox\.|ок\.|около)\s*(.+)$/i;
+
+function headerKey(text) {
+  return String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Guess which field each column holds from the header row. Each field is
+ * given to at most one column; unknown columns map to null.
+ * @param {string[]} headers
+ * @param {Object<string, string[]>} [extraAliases] - more header texts per field, e.g. localized table headers
+ * @returns {(string|null)[]}
+ */
+export function guessColumnMapping(headers, extraAliases = {}) {
+  const aliases = new Map();
+  for (const field of CSV_FIELDS) {
+    for (const alias of [...FIELD_ALIASES[field], ...(extraAliases[field] ?? [])]) {
+      const key = headerKey(alias);
+      if (key && !aliases.has(key)) aliases.set(key, field);
+    }
+  }
+  const taken = new Set();
+  return headers.map((header) => {
+    const field = aliases.get(headerKey(header));
+    if (!field || taken.has(field)) return null;
+    taken.add(field);
+    return field;
+  });
+}
+
+/**
+ * Read a gender cell: male/female in English, German, Spanish or Russian,
+ * or their first letter. Blank and unknown values give ''.
+ * @param {string} value
+ * @returns {'male'|'female'|''}
+ */
+export function readGender(value) {
+  const key = String(value ?? '').trim().toLowerCase().replace(/\.$/, '');
+  if (GENDER_VALUES.male.includes(key)) return 'male';
+  if (GENDER_VALUES.female.includes(key)) return 'female';
+  return '';
+}
+
+/**
+ * Read a date cell with `parseDateValue`, also taking an "est." style prefix,
+ * or as a GEDCOM date (BET 1890 AND 1895, BEF MAR 1900) as the table CSV
+ * export writes the dates the date field cannot take.
+ * @param {string} value
+ * @returns {Object|null} a DateValue, `{ error: true, raw }` or null when blank
+ */
+export function readDate(value) {
+  const text = String(value ?? '').trim();
+  // Plain GEDCOM dates such as "99" are left to the date field's rules
+  const gedcom = parseGedcomDate(text);
+  if (isComplexDateValue(gedcom)) return gedcom;
+  const estimated = text.match(ESTIMATED_DATE_RE);
+  return estimated ? parseDateValue(estimated[1], { estimated: true }) : parseDateValue(text);
+}
+
+function nameKey(...parts) {
+  return parts.filter(Boolean).join(' ').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function rowError(column, key, message, params = {}) {
+  return { column, key, message, params };
+}
+
+/**
+ * Turn spreadsheet rows into persons. Every data row gets its validation
+ * errors from `PersonValidator` and `parseDateValue` and from references that
+ * do not resolve; rows with errors carry no person.
+ *
+ * Row numbers count rows of the file from 1, the header row and blank rows
+ * included, as a spreadsheet shows them; blank rows are skipped. References resolve against the rows first and then
+ * against `options.existing` (by id or "Name Surname").
+ *
+ * @param {string[][]} rows - as parsed by `parseDelimited`
+ * @param {(string|null)[]} mapping - field of each column (see CSV_FIELDS)
+ * @param {{ hasHeader?: boolean, existing?: Object[] }} [options]
+ * @returns {{ rows: { line: number, cells: string[], person: Object|null, errors: Object[] }[], persons: Object[] }}
+ *   errors are { column, key, message, params }: `column` is the field at
+ *   fault or null, `key` an i18n key under builder.csv.errors (null for
+ *   PersonValidator messages) and `message` its English text
+ */
+export function importFromCsv(rows, mapping, options = {}) {
+  const { hasHeader = true, existing = [] } = options;
+  const salt = Date.now().toString(36);
+  const columnOf = new Map();
+  mapping.forEach((field, index) => {
+    if (field && !columnOf.has(field)) columnOf.set(field, index);
+  });
+  const cell = (cells, field) => (columnOf.has(field) ? String(cells[columnOf.get(field)] ?? '').trim() : '');
+
+  const firstLine = hasHeader ? 2 : 1;
+  const entries = rows.slice(hasHeader ? 1 : 0).flatMap((cells, index) => {
+    if (isBlankRow(cells)) return [];
+    const line = firstLine + index;
+    const person = {
+      id: `csv_${salt}_${line}`,
+      name: cell(cells, 'name'),
+      surname: cell(cells, 'surname'),
+      fatherName: cell(cells, 'fatherName'),
+      maidenName: cell(cells, 'maidenName'),
+      gender: readGender(cell(cells, 'gender')),
+      motherId: '',
+      fatherId: '',
+      spouseId: '',
+      birth: { date: null, place: cell(cells, 'birthPlace'), note: '' },
+      death: { date: null, place: cell(cells, 'deathPlace'), note: '' },
+      events: [],
+      altNames: [],
+      marriages: [],
+      notes: cell(cells, 'notes'),
+      unmapped: []
+    };
+    return [{ line, cells, person, errors: [] }];
+  });
+
+  // Lookups for references
+  const byLine = new Map(entries.map((entry) => [String(entry.line), entry.person]));
+  const byRef = new Map();
+  for (const entry of entries) {
+    const ref = cell(entry.cells, 'id');
+    if (ref && !byRef.has(ref)) byRef.set(ref, entry.person);
+  }
+  const byName = new Map();
+  const addName = (key, person) => {
+    if (!key) return;
+    const list = byName.get(key) ?? [];
+    if (!list.includes(person)) list.push(person);
+    byName.set(key, list);
+  };
+  for (const { person } of entries) {
+    addName(nameKey(person.name, person.surname), person);
+    addName(nameKey(person.name, person.fatherName, person.surname), person);
+  }
+  const existingById = new Map(existing.map((p) => [p.id, p]));
+  const existingByName = new Map();
+  for (const p of existing) {
+    const key = nameKey(p.name, p.surname);
+    existingByName.set(key, [...(existingByName.get(key) ?? []), p]);
+  }
+
+  const resolve = (value) => {
+    if (/^\d+$/.test(value) && !byRef.has(value)) {
+      const person = byLine.get(String(Number(value)));
+      return person ? { person } : { error: 'row_missing' };
+    }
+    if (byRef.has(value)) return { person: byRef.get(value) };
+    if (existingById.has(value)) return { person: existingById.get(value) };
+    const key = nameKey(value);
+    const matches = byName.get(key) ?? existingByName.get(key) ?? [];
+    if (matches.length === 1) return { person: matches[0] };
+    return { error: matches.length ? 'ambiguous' : 'not_found', count: matches.length };
+  };
+
+  for (const entry of entries) {
+    const { person, errors } = entry;
+    for (const [field, key] of [['mother', 'motherId'], ['father', 'fatherId'], ['spouse', 'spouseId']]) {
+      const value = cell(entry.cells, field);
+      if (!value) continue;
+      const found = resolve(value);
+      if (found.person) {
+        person[key] = found.person.id;
+      } else if (found.error === 'row_missing') {
+        errors.push(rowError(field, 'row_missing', `There is no person in row ${value}`, { ref: value }));
+      } else if (found.error === 'ambiguous') {
+        errors.push(rowError(field, 'ambiguous', `"${value}" matches ${found.count} people`, { ref: value, count: found.count }));
+      } else {
+        errors.push(rowError(field, 'not_found', `Nobody is called "${value}"`, { ref: value }));
+      }
+    }
+  }
+
+  // A person named as somebody's mother or father needs no gender column
+  const byId = new Map(entries.map((entry) => [entry.person.id, entry]));
+  for (const { person } of entries) {
+    for (const [key, gender] of [['motherId', 'female'], ['fatherId', 'male']]) {
+      const parent = byId.get(person[key])?.person;
+      if (parent && !parent.gender) parent.gender = gender;
+    }
+  }
+
+  const validator = new PersonValidator();
+  for (const entry of entries) {
+    const { person, errors } = entry;
+    for (const [field, event] of [['birthDate', 'birth'], ['deathDate', 'death']]) {
+      const value = cell(entry.cells, field);
+      const date = readDate(value);
+      if (date?.error) errors.push(rowError(field, 'date', `"${value}" is not a date`, { value }));
+      else person[event].date = date;
+    }
+    for (const message of validator.validate(person).errors) {
+      errors.push(rowError(null, null, message));
+    }
+  }
+
+  // Spouses name each other even when only one row says so
+  for (const { person, errors } of entries) {
+    const spouse = byId.get(person.spouseId);
+    if (!errors.length && spouse && !spouse.person.spouseId) spouse.person.spouseId = person.id;
+  }
+
+  // References to rows that are not imported are dropped
+  const importedIds = new Set(entries.filter((entry) => !entry.errors.length).map((entry) => entry.person.id));
+  const persons = [];
+  for (const entry of entries) {
+    if (entry.errors.length) {
+      entry.person = null;
+      continue;
+    }
+    for (const key of ['motherId', 'fatherId', 'spouseId']) {
+      const id = entry.person[key];
+      if (id && byId.has(id) && !importedIds.has(id)) entry.person[key] = '';
+    }
+    persons.push(entry.person);
+  }
+  return { rows: entries, persons };
+}
@@ -1,143 +1,865 @@
 import { parse as parseGedcom } from 'parse-gedcom';
-import { parseDateValue } from '../../utils/date-value.js';
+import { parseDateValue, makeDateValue } from '../../utils/date-value.js';
 import { makeMarriageId } from '../../utils/marriage-sync.js';
+import {
+  eventTypeForTag, makeEventId, GEDCOM_CALENDARS, GEDCOM_DATE_QUALIFIERS, GEDCOM7_NAME_TYPES, APP_EXID_TYPE
+} from '../../utils/gedcom-tags.js';
+import { makeRepository, makeSource, makeCitation } from '../sources/source-model.js';
+import { DEFAULT_TRANSFORM } from '../photos/avatar-cropper.js';
+import { DOCUMENT_TYPES } from '../photos/document-utils.js';
 
-export function importFromGedcom(gedcomText) {
+/**
+ * Anything the person model has no field for is kept as a tree of
+ * UnmappedNode objects so `generateGEDCOMText` can write it back out.
+ *
+ * @typedef {Object} UnmappedNode
+ * @property {string} tag
+ * @property {string} [value]
+ * @property {string} [pointer]  - raw xref that did not resolve to a known record
+ * @property {{type: 'person'|'family'|'record'|'source'|'repository', id: string}} [ref] - resolved xref
+ * @property {string} [within]   - dotted path of the mapped tag this node sat under (e.g. 'PLAC', 'MARR.DATE')
+ * @property {UnmappedNode[]} [children]
+ */
+
+const TOP_LEVEL_SKIP = new Set(['HEAD', 'TRLR']);
+const MAIDEN_NAME_TYPES = new Set(['maiden', 'birth']);
+const FATHER_NAME_NOTE_RE = /^Father's name: (.+)$/;
+const MEDIA_TYPES_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Reads GEDCOM 5.5.1 and 7.0. With `options.files` (the other files of a
+ * GEDZIP, by path) OBJE records whose FILE is among them become photos and
+ * documents of the persons linking to them. Persons exported as GEDCOM 7 by
+ * this app get back the id their EXID carries.
+ *
+ * @param {string} gedcomText
+ * @param {{ files?: Map<string, Blob> }} [options]
+ * @returns {{persons: Object[], records: Object[], sources: Object[], media: Object[], documents: Object[], warnings: string[]}}
+ *   `sources` holds the repositories, sources and citations (see source-model.js);
+ *   `media` are { id, blob, mimeType, byteLength } for the `media` store and
+ *   `documents` are records for the `documents` store
+ */
+export function importFromGedcom(gedcomText, options = {}) {
   const sessionSalt = Date.now().toString(36);
   const root = parseGedcom(gedcomText);
   const nodes = root.children ?? [];
-  const personMap = new Map();
   const warnings = [];
+  const head = nodes.find((n) => n.type === 'HEAD');
+  const headValue = (...path) => path.reduce((node, tag) => node?.children?.find((c) => c.type === tag), head)?.value ?? '';
+
+  const ctx = {
+    personIds: new Map(),
+    familyIds: new Map(),
+    recordIds: new Map(),
+    sourceIds: new Map(),
+    repositoryIds: new Map(),
+    noteTexts: new Map(),
+    consumedNotes: new Set(),
+    citations: [],
+    gedcom7: headValue('GEDC', 'VERS').startsWith('7'),
+    // Files this app writes mark the photo with _PRIM; others get their first image as the photo
+    ownFile: headValue('SOUR') === 'MapMyRoots',
+    files: options.files ?? new Map(),
+    mediaObjects: new Map(),
+    consumedObjects: new Set(),
+    mediaLinks: [],
+    warnings
+  };
 
+  const appIds = new Map();
   for (const node of nodes) {
+    const xref = node.data?.xref_id;
+    if (!xref) continue;
     if (node.type === 'INDI') {
-      personMap.set(node.data.xref_id, indiToPersonStub(node, sessionSalt));
+      ctx.personIds.set(xref, pointerToId(xref, sessionSalt));
+      const appId = appExidOf(node);
+      if (appId) appIds.set(xref, appId);
+    } else if (node.type === 'FAM') {
+      if (hasParent(node)) ctx.familyIds.set(xref, makeMarriageId());
+    } else if (node.type === 'SOUR') {
+      ctx.sourceIds.set(xref, pointerToId(xref, sessionSalt));
+    } else if (node.type === 'REPO') {
+      ctx.repositoryIds.set(xref, pointerToId(xref, sessionSalt));
+    } else if (!TOP_LEVEL_SKIP.has(node.type)) {
+      ctx.recordIds.set(xref, pointerToId(xref, sessionSalt));
+      if (isNote(node) && (node.children ?? []).length === 0) {
+        ctx.noteTexts.set(xref, node.value || '');
+      }
     }
   }
 
+  // Persons keep the id this app exported them with, unless two claim the same one
+  const claims = new Map();
+  for (const appId of appIds.values()) claims.set(appId, (claims.get(appId) ?? 0) + 1);
+  for (const [xref, appId] of appIds) {
+    if (claims.get(appId) === 1) ctx.personIds.set(xref, appId);
+  }
+
   for (const node of nodes) {
-    if (node.type === 'FAM') {
-      linkFamily(node, personMap, warnings);
+    if (node.type === 'OBJE' && node.data?.xref_id) {
+      const object = readMediaObject(node, ctx);
+      if (object) ctx.mediaObjects.set(node.data.xref_id, object);
     }
   }
 
-  return { persons: Array.from(personMap.values()), warnings };
-}
+  const sourceRecords = [];
+  for (const node of nodes) {
+    if (node.type === 'REPO' && node.data?.xref_id) sourceRecords.push(repoToRepository(node, ctx));
+    if (node.type === 'SOUR' && node.data?.xref_id) sourceRecords.push(sourToSource(node, ctx));
+  }
 
-function indiToPersonStub(indi, sessionSalt) {
-  const children = indi.children ?? [];
+  const personMap = new Map();
+  for (const node of nodes) {
+    if (node.type === 'INDI') {
+      personMap.set(node.data.xref_id, indiToPerson(node, ctx));
+    }
+  }
 
-  const nameNode = children.find((n) => n.type === 'NAME');
-  const rawName = nameNode?.value ?? '';
-  const { given, surname } = parseName(rawName);
+  for (const node of nodes) {
+    if (node.type === 'FAM') {
+      linkFamily(node, personMap, ctx, warnings);
+    }
+  }
 
-  const sexNode = children.find((n) => n.type === 'SEX');
-  const gender = sexNode?.value === 'M' ? 'male' : sexNode?.value === 'F' ? 'female' : '';
+  const persons = Array.from(personMap.values());
+  const records = collectRecords(nodes, persons, ctx, [...sourceRecords, ...ctx.citations]);
+  const { media, documents } = attachMedia(personMap, ctx);
 
-  return {
-    id: pointerToId(indi.data.xref_id, sessionSalt),
-    name: given,
-    surname,
+  return { persons, records, sources: [...sourceRecords, ...ctx.citations], media, documents, warnings };
+}
+
+function hasParent(fam) {
+  return (fam.children ?? []).some((n) => n.type === 'HUSB' || n.type === 'WIFE');
+}
+
+function indiToPerson(indi, ctx) {
+  const person = {
+    id: ctx.personIds.get(indi.data.xref_id),
+    name: '',
+    surname: '',
     fatherName: '',
     maidenName: '',
-    gender,
+    gender: '',
     motherId: '',
     fatherId: '',
     spouseId: '',
-    birth: extractEvent(children, 'BIRT'),
-    death: extractEvent(children, 'DEAT'),
+    birth: { date: null, place: '', note: '' },
+    death: { date: null, place: '', note: '' },
+    events: [],
+    altNames: [],
     marriages: [],
-    notes: ''
+    notes: '',
+    unmapped: []
   };
+  const notes = [];
+  const secondaryNames = [];
+  const mediaLinks = [];
+  let seenName = false;
+  let seenSex = false;
+  let seenBirth = false;
+  let seenDeath = false;
+
+  for (const child of indi.children ?? []) {
+    switch (child.type) {
+      case 'NAME': {
+        if (!seenName) {
+          seenName = true;
+          const citations = [];
+          const name = readName(child, ctx, 'NAME', citations);
+          person.name = name.given;
+          person.surname = name.surname;
+          person.unmapped.push(...name.unmapped);
+          addCitations(ctx, citations, person.id, 'name');
+        } else {
+          secondaryNames.push(child);
+        }
+        break;
+      }
+      case 'SEX': {
+        if (!seenSex && (child.value === 'M' || child.value === 'F') && !child.children?.length) {
+          seenSex = true;
+          person.gender = child.value === 'M' ? 'male' : 'female';
+        } else {
+          person.unmapped.push(toUnmapped(child, ctx));
+        }
+        break;
+      }
+      case 'BIRT':
+      case 'DEAT': {
+        const seen = child.type === 'BIRT' ? seenBirth : seenDeath;
+        if (seen) {
+          person.unmapped.push(toUnmapped(child, ctx));
+          break;
+        }
+        const citations = [];
+        if (child.type === 'BIRT') {
+          seenBirth = true;
+          person.birth = readEvent(child, ctx, '', citations);
+          addCitations(ctx, citations, person.id, 'birth');
+        } else {
+          seenDeath = true;
+          person.death = readEvent(child, ctx, '', citations);
+          addCitations(ctx, citations, person.id, 'death');
+        }
+        break;
+      }
+      case 'SOUR': {
+        const citation = readCitation(child, ctx);
+        if (citation) addCitations(ctx, [citation], person.id, 'person');
+        else person.unmapped.push(toUnmapped(child, ctx));
+        break;
+      }
+      case 'NOTE':
+      case 'SNOTE': {
+        const text = readNote(child, ctx);
+        if (text === null) {
+          person.unmapped.push(toUnmapped(child, ctx));
+        } else {
+          const fatherName = text.trim().match(FATHER_NAME_NOTE_RE);
+          if (fatherName && !person.fatherName) person.fatherName = fatherName[1].trim();
+          else if (text) notes.push(text);
+        }
+        break;
+      }
+      case 'FAMC':
+      case 'FAMS':
+        // Family links are rebuilt from FAM records; only keep them if they carry extra detail (e.g. PEDI).
+        if (child.children?.length) person.unmapped.push(toUnmapped(child, ctx));
+        break;
+      case 'EXID':
+        // Our own id became the person's id; it is written afresh on export
+        if (typeValueOf(child) !== APP_EXID_TYPE) person.unmapped.push(toUnmapped(child, ctx));
+        break;
+      case 'OBJE': {
+        const pointer = child.data?.pointer;
+        const object = pointer ? ctx.mediaObjects.get(pointer) : readMediaObject(child, ctx);
+        if (object) {
+          if (pointer) ctx.consumedObjects.add(pointer);
+          const primary = (child.children ?? []).find((c) => c.type === '_PRIM')?.value;
+          mediaLinks.push({ object, primary: String(primary ?? '').toUpperCase() === 'Y' });
+        } else {
+          person.unmapped.push(toUnmapped(child, ctx));
+        }
+        break;
+      }
+      default: {
+        const type = eventTypeForTag(child.type, 'individual', typeValueOf(child));
+        if (type) {
+          const citations = [];
+          const event = readLifeEvent(child, type, ctx, citations);
+          person.events.push(event);
+          addCitations(ctx, citations, person.id, `event:${event.id}`);
+        } else {
+          person.unmapped.push(toUnmapped(child, ctx));
+        }
+      }
+    }
+  }
+
+  for (const node of secondaryNames) {
+    const name = readName(node, ctx, '');
+    const isMaiden = MAIDEN_NAME_TYPES.has(name.type.toLowerCase());
+    if (isMaiden && !person.maidenName && person.gender !== 'male' && name.unmapped.length === 0) {
+      person.maidenName = name.surname;
+      continue;
+    }
+    const alt = { given: name.given, surname: name.surname, type: name.type };
+    if (name.unmapped.length) alt.unmapped = name.unmapped;
+    person.altNames.push(alt);
+  }
+
+  person.notes = notes.join('\n\n');
+
+  const images = mediaLinks.filter((link) => link.object.mimeType.startsWith('image/'));
+  const photo = images.find((link) => link.primary) || (ctx.ownFile ? null : images[0]);
+  for (const link of mediaLinks) {
+    ctx.mediaLinks.push({ personId: person.id, object: link.object, photo: link === photo });
+  }
+  return person;
 }
 
-function extractEvent(siblings, type) {
-  const node = siblings.find((n) => n.type === type);
-  if (!node) return { date: null, place: '', note: '' };
-  const dateNode = node.children?.find((c) => c.type === 'DATE');
-  const placeNode = node.children?.find((c) => c.type === 'PLAC');
-  const noteNodes = (node.children || []).filter((c) => c.type === 'NOTE');
-  return {
-    date: parseGedcomDate(dateNode?.value || ''),
-    place: placeNode?.value || '',
-    note: noteNodes.map((n) => n.value || '').filter(Boolean).join('\n')
-  };
+function readName(node, ctx, within, citations = null) {
+  const { given, surname, suffix } = parseName(node.value ?? '');
+  const unmapped = [];
+  let type = '';
+  const subs = node.children ?? [];
+  for (const sub of subs) {
+    if (sub.type === 'GIVN' || sub.type === 'SURN') continue;
+    if (sub.type === 'SOUR' && citations) {
+      const citation = readCitation(sub, ctx);
+      if (citation) {
+        citations.push(citation);
+        continue;
+      }
+    }
+    if (sub.type === 'TYPE' && !within && !type) {
+      type = nameTypeOf(sub, ctx);
+      continue;
+    }
+    unmapped.push(toUnmapped(sub, ctx, within));
+  }
+  if (suffix && !subs.some((s) => s.type === 'NSFX')) {
+    unmapped.push(withinPath({ tag: 'NSFX', value: suffix }, within));
+  }
+  return { given, surname, type, unmapped };
+}
+
+// GEDCOM 7 name types are upper-case keywords, OTHER carrying its own in a PHRASE
+function nameTypeOf(node, ctx) {
+  const value = node.value || '';
+  if (!ctx.gedcom7) return value;
+  const phrase = (node.children ?? []).find((c) => c.type === 'PHRASE')?.value;
+  if (value.toUpperCase() === 'OTHER' && phrase) return phrase;
+  return GEDCOM7_NAME_TYPES.includes(value.toUpperCase()) ? value.toLowerCase() : value;
+}
+
+/**
+ * Map an event structure (BIRT, DEAT, MARR, ...) to { date, place, note }.
+ * Substructures the model has no field for land in `unmapped`, tagged with
+ * `within` relative to `prefix` so the exporter can nest them back. Source
+ * citations go to `citations` when the caller collects them.
+ */
+function readEvent(node, ctx, prefix = '', citations = null) {
+  const event = { date: null, place: '', note: '' };
+  const unmapped = [];
+  const notes = [];
+  let seenDate = false;
+  let seenPlace = false;
+
+  for (const sub of node.children ?? []) {
+    if (sub.type === 'DATE' && !seenDate) {
+      const parsed = parseGedcomDate(sub.value || '');
+      if (parsed) {
+        seenDate = true;
+        const phraseNode = (sub.children ?? []).find((c) => c.type === 'PHRASE' && !c.children?.length);
+        const phrased = phraseNode ? withDatePhrase(parsed, phraseNode.value || '') : null;
+        event.date = phrased ?? parsed;
+        for (const c of sub.children ?? []) {
+          if (c !== phraseNode || !phrased) unmapped.push(toUnmapped(c, ctx, joinPath(prefix, 'DATE')));
+        }
+        continue;
+      }
+    } else if (sub.type === 'PLAC' && !seenPlace) {
+      seenPlace = true;
+      event.place = sub.value || '';
+      for (const c of sub.children ?? []) unmapped.push(toUnmapped(c, ctx, joinPath(prefix, 'PLAC')));
+      continue;
+    } else if (isNote(sub)) {
+      const text = readNote(sub, ctx);
+      if (text !== null) {
+        if (text) notes.push(text);
+        continue;
+      }
+    } else if (sub.type === 'SOUR' && citations) {
+      const citation = readCitation(sub, ctx);
+      if (citation) {
+        citations.push(citation);
+        continue;
+      }
+    }
+    unmapped.push(toUnmapped(sub, ctx, prefix));
+  }
+
+  event.note = notes.join('\n');
+  if (node.value) event.description = node.value;
+  if (unmapped.length) event.unmapped = unmapped;
+  return event;
+}
+
+function readLifeEvent(node, type, ctx, citations = null) {
+  const takesLabel = node.type === 'EVEN' || node.type === 'FACT';
+  const typeNode = takesLabel ? (node.children ?? []).find((c) => c.type === 'TYPE') : null;
+  const stripped = typeNode ? { ...node, children: node.children.filter((c) => c !== typeNode) } : node;
+  const { date, place, note, description, unmapped } = readEvent(stripped, ctx, '', citations);
+
+  const event = { id: makeEventId(), type, date, place, note, description: description || '' };
+  if (typeNode && type !== 'military') event.label = typeNode.value || '';
+  if (unmapped) event.unmapped = unmapped;
+  return event;
+}
+
+function typeValueOf(node) {
+  return (node.children ?? []).find((c) => c.type === 'TYPE')?.value || '';
+}
+
+// The person id a GEDCOM 7 export of this app wrote as an EXID, or ''
+function appExidOf(indi) {
+  const exid = (indi.children ?? []).find((c) => c.type === 'EXID' && typeValueOf(c) === APP_EXID_TYPE);
+  return exid?.value?.trim() || '';
 }
 
-function parseGedcomDate(raw) {
+/**
+ * A GEDCOM 7 DATE PHRASE folded into the date: a 5.5.1 date with a dual year
+ * the exporter kept there, or the wording of an exact date (5.5.1 INT).
+ * Returns null when the phrase stays an unmapped substructure.
+ */
+function withDatePhrase(date, phrase) {
+  const original = parseGedcomDate(phrase);
+  if (original && (original.dualYear || original.end?.dualYear) && original.year === date.year) return original;
+  if (date.qualifier || date.estimated || !phrase) return null;
+  return makeDateValue('interpreted', date, null, phrase);
+}
+
+function isNote(node) {
+  return node.type === 'NOTE' || node.type === 'SNOTE';
+}
+
+/** Returns the note text, or null when the note must be kept verbatim. */
+function readNote(node, ctx) {
+  if (node.children?.length) return null;
+  const pointer = node.data?.pointer;
+  if (pointer) {
+    if (!ctx.noteTexts.has(pointer)) return null;
+    ctx.consumedNotes.add(pointer);
+    return ctx.noteTexts.get(pointer);
+  }
+  return node.value || '';
+}
+
+function toUnmapped(node, ctx, within = '') {
+  // Shared notes are kept under their 5.5.1 tag and written back as SNOTE to GEDCOM 7
+  const out = withinPath({ tag: node.type === 'SNOTE' ? 'NOTE' : node.type }, within);
+  const pointer = node.data?.pointer;
+  if (pointer) {
+    const ref = resolveRef(pointer, ctx);
+    if (ref) out.ref = ref;
+    else out.pointer = pointer;
+  } else if (node.value !== undefined && node.value !== '') {
+    out.value = node.value;
+  }
+  const children = (node.children ?? []).map((c) => toUnmapped(c, ctx));
+  if (children.length) out.children = children;
+  return out;
+}
+
+function withinPath(node, within) {
+  return within ? { ...node, within } : node;
+}
+
+function joinPath(prefix, tag) {
+  return prefix ? `${prefix}.${tag}` : tag;
+}
+
+function resolveRef(pointer, ctx) {
+  if (ctx.personIds.has(pointer)) return { type: 'person', id: ctx.personIds.get(pointer) };
+  if (ctx.familyIds.has(pointer)) return { type: 'family', id: ctx.familyIds.get(pointer) };
+  if (ctx.recordIds.has(pointer)) return { type: 'record', id: ctx.recordIds.get(pointer) };
+  if (ctx.sourceIds.has(pointer)) return { type: 'source', id: ctx.sourceIds.get(pointer) };
+  if (ctx.repositoryIds.has(pointer)) return { type: 'repository', id: ctx.repositoryIds.get(pointer) };
+  return null;
+}
+
+/**
+ * A source citation (`SOUR @S1@` with PAGE, QUAY, DATA.TEXT, NOTE) pointing
+ * at a SOUR record of the file, or null for citations kept verbatim
+ * (inline source descriptions, unknown pointers).
+ */
+function readCitation(node, ctx) {
+  const sourceId = ctx.sourceIds.get(node.data?.pointer);
+  if (!sourceId) return null;
+  const citation = { sourceId, page: '', quality: null, text: '', note: '', unmapped: [] };
+  const texts = [];
+  const notes = [];
+  for (const sub of node.children ?? []) {
+    if (sub.type === 'PAGE' && !citation.page && !sub.children?.length) {
+      citation.page = sub.value || '';
+    } else if (sub.type === 'QUAY' && citation.quality === null && /^[0-3]$/.test(sub.value ?? '')) {
+      citation.quality = Number(sub.value);
+    } else if (sub.type === 'DATA') {
+      for (const data of sub.children ?? []) {
+        if (data.type === 'TEXT' && !data.children?.length) texts.push(data.value || '');
+        else citation.unmapped.push(toUnmapped(data, ctx, 'DATA'));
+      }
+    } else if (isNote(sub)) {
+      const text = readNote(sub, ctx);
+      if (text === null) citation.unmapped.push(toUnmapped(sub, ctx));
+      else notes.push(text);
+    } else {
+      citation.unmapped.push(toUnmapped(sub, ctx));
+    }
+  }
+  citation.text = texts.join('\n');
+  citation.note = notes.filter(Boolean).join('\n');
+  return citation;
+}
+
+function addCitations(ctx, citations, personId, fact) {
+  for (const citation of citations) ctx.citations.push(makeCitation({ ...citation, personId, fact }));
+}
+
+function repoToRepository(node, ctx) {
+  const fields = { id: ctx.repositoryIds.get(node.data.xref_id), unmapped: [] };
+  const notes = [];
+  for (const sub of node.children ?? []) {
+    if (sub.type === 'NAME' && fields.name === undefined && !sub.children?.length) {
+      fields.name = sub.value || '';
+    } else if (sub.type === 'ADDR' && fields.address === undefined) {
+      fields.address = sub.value || '';
+      for (const c of sub.children ?? []) fields.unmapped.push(toUnmapped(c, ctx, 'ADDR'));
+    } else if (isNote(sub)) {
+      const text = readNote(sub, ctx);
+      if (text === null) fields.unmapped.push(toUnmapped(sub, ctx));
+      else notes.push(text);
+    } else {
+      fields.unmapped.push(toUnmapped(sub, ctx));
+    }
+  }
+  fields.note = notes.filter(Boolean).join('\n\n');
+  return makeRepository(fields);
+}
+
+const SOURCE_FIELDS = { TITL: 'title', AUTH: 'author', PUBL: 'publication', ABBR: 'abbreviation', TEXT: 'text' };
+
+function sourToSource(node, ctx) {
+  const fields = { id: ctx.sourceIds.get(node.data.xref_id), unmapped: [] };
+  const notes = [];
+  for (const sub of node.children ?? []) {
+    const field = SOURCE_FIELDS[sub.type];
+    if (field && fields[field] === undefined && !sub.children?.length) {
+      fields[field] = sub.value || '';
+    } else if (sub.type === 'REPO' && fields.repositoryId === undefined && ctx.repositoryIds.has(sub.data?.pointer)) {
+      fields.repositoryId = ctx.repositoryIds.get(sub.data.pointer);
+      for (const c of sub.children ?? []) {
+        if (c.type === 'CALN' && fields.callNumber === undefined && !c.children?.length) fields.callNumber = c.value || '';
+        else fields.unmapped.push(toUnmapped(c, ctx, 'REPO'));
+      }
+    } else if (isNote(sub)) {
+      const text = readNote(sub, ctx);
+      if (text === null) fields.unmapped.push(toUnmapped(sub, ctx));
+      else notes.push(text);
+    } else {
+      fields.unmapped.push(toUnmapped(sub, ctx));
+    }
+  }
+  fields.note = notes.filter(Boolean).join('\n\n');
+  return makeSource(fields);
+}
+
+/**
+ * Parse a GEDCOM 5.5.1 or 7.0 DATE value into a DateValue. Covers exact dates,
+ * ABT/EST/CAL/BEF/AFT, BET … AND …, FROM … TO …, INT … (phrase), month-year
+ * and year-only precision, dual years (1700/01), B.C./BCE and calendar
+ * escapes or keywords.
+ * Returns null when the value cannot be represented (e.g. a bare phrase).
+ */
+export function parseGedcomDate(raw) {
   if (!raw) return null;
-  const trimmed = raw.trim();
-  const estPrefixes = ['ABT', 'EST', 'CAL', 'BEF', 'AFT'];
-  let estimated = false;
-  let body = trimmed;
-  for (const p of estPrefixes) {
-    if (body.toUpperCase().startsWith(`${p} `)) {
-      estimated = true;
-      body = body.slice(p.length + 1);
-      break;
-    }
-  }
-  const monthShort = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
-  const m = body.match(/^(\d{1,2})\s+([A-Z]{3})\s+(\d{4})$/);
+  const body = raw.trim().replace(/\s+/g, ' ');
+  if (body === '') return null;
+
+  let m = body.match(/^BET (.+) AND (.+)$/i);
+  if (m) {
+    const start = parseGedcomDatePoint(m[1]);
+    const end = parseGedcomDatePoint(m[2]);
+    return start && end ? makeDateValue('between', start, end) : null;
+  }
+
+  m = body.match(/^FROM (.+?)(?: TO (.+))?$/i);
+  if (m) {
+    const start = parseGedcomDatePoint(m[1]);
+    const end = m[2] ? parseGedcomDatePoint(m[2]) : null;
+    if (!start || (m[2] && !end)) return null;
+    return makeDateValue('from', start, end);
+  }
+
+  m = body.match(/^INT (.+?)\s*\((.*)\)$/i);
   if (m) {
-    const month = monthShort.indexOf(m[2].toUpperCase()) + 1;
-    if (month > 0) return { year: parseInt(m[3], 10), month, day: parseInt(m[1], 10), estimated };
+    const point = parseGedcomDatePoint(m[1]);
+    return point ? makeDateValue('interpreted', point, null, m[2].trim()) : null;
   }
-  const yMatch = body.match(/^(\d{4})$/);
-  if (yMatch) return { year: parseInt(yMatch[1], 10), estimated };
-  const parsed = parseDateValue(body, { estimated });
+
+  m = body.match(/^(TO|ABT|EST|CAL|BEF|AFT|INT) (.+)$/i);
+  if (m) {
+    const keyword = m[1].toUpperCase();
+    const point = parseGedcomDatePoint(m[2]);
+    if (!point) return null;
+    return makeDateValue(keyword === 'TO' ? 'to' : GEDCOM_DATE_QUALIFIERS[keyword], point);
+  }
+
+  const point = parseGedcomDatePoint(body);
+  if (point) return makeDateValue(undefined, point);
+
+  const parsed = parseDateValue(body);
   if (parsed && !parsed.error) return parsed;
   return null;
 }
 
-function linkFamily(fam, personMap, warnings) {
+const CALENDAR_BY_ESCAPE = Object.fromEntries(
+  Object.entries(GEDCOM_CALENDARS).flatMap(([key, { escape, keyword }]) => [[escape, key], [keyword, key]])
+);
+
+/** Parse one date point: [calendar escape or 7.0 keyword] [[day] month] year[/yy] [B.C.] */
+function parseGedcomDatePoint(text) {
+  let rest = text.trim();
+  let calendar;
+  const escape = rest.match(/^(@#D[^@]+@)\s*/i) || rest.match(/^(_?[A-Z]+(?:_R)?) (?=\S)/i);
+  if (escape && (escape[1].startsWith('@') || CALENDAR_BY_ESCAPE[escape[1].toUpperCase()])) {
+    calendar = CALENDAR_BY_ESCAPE[escape[1].toUpperCase()];
+    if (!calendar) return null;
+    rest = rest.slice(escape[0].length);
+  }
+
+  const m = rest.match(/^(?:(?:(\d{1,2}) )?([A-Z]{3,4}) )?(\d{1,4})(?:\/(\d{2}))?(?: ?(B\.C\.|BC|BCE))?$/i);
+  if (!m) return null;
+
+  const point = { year: parseInt(m[3], 10) };
+  if (m[2]) {
+    const months = GEDCOM_CALENDARS[calendar ?? 'gregorian'].months;
+    const month = months.indexOf(m[2].toUpperCase()) + 1;
+    if (month === 0) return null;
+    point.month = month;
+    if (m[1]) point.day = parseInt(m[1], 10);
+  } else if (m[1]) {
+    return null;
+  }
+  if (m[4]) {
+    const yearText = String(point.year);
+    let dual = parseInt(yearText.slice(0, -2) + m[4], 10);
+    if (dual <= point.year) dual += 100;
+    point.dualYear = dual;
+  }
+  if (m[5]) point.bc = true;
+  if (calendar) point.calendar = calendar;
+  if (point.day !== undefined && (point.day < 1 || point.day > longestMonth(point))) return null;
+  return point;
+}
+
+const GREGORIAN_MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Days the point's month can have. 29 February is taken in any year that may
+// be a leap year: either year of a dual date, and every fourth year for Julian
+// and B.C. dates.
+function longestMonth(point) {
+  if (point.calendar === 'hebrew') return 30;
+  if (point.calendar === 'french_r') return point.month === 13 ? 6 : 30;
+  if (point.month !== 2) return GREGORIAN_MONTH_DAYS[point.month - 1];
+  const leap = (year) => year % 4 === 0
+    && (point.calendar === 'julian' || point.bc || year % 100 !== 0 || year % 400 === 0);
+  return leap(point.year) || (point.dualYear && leap(point.dualYear)) ? 29 : 28;
+}
+
+function linkFamily(fam, personMap, ctx, warnings) {
+  const xref = fam.data.xref_id;
   const children = fam.children ?? [];
   const husbNode = children.find((n) => n.type === 'HUSB');
   const wifeNode = children.find((n) => n.type === 'WIFE');
   const childNodes = children.filter((n) => n.type === 'CHIL');
-  const marrNode = children.find((n) => n.type === 'MARR');
 
   const husb = husbNode ? personMap.get(husbNode.data.pointer) : null;
   const wife = wifeNode ? personMap.get(wifeNode.data.pointer) : null;
+  const parent = husb || wife;
+
+  const details = children.filter((n) => !['HUSB', 'WIFE', 'CHIL'].includes(n.type));
+
+  // A child already linked to its parents by an earlier FAM keeps those
+  // parents; its place in this family is kept as a FAMC link instead of
+  // taking a father from one family and a mother from the other
+  const members = [];
+  const otherFamily = [];
+  for (const childNode of childNodes) {
+    const child = personMap.get(childNode.data.pointer);
+    if (!child) {
+      warnings.push(`Unknown child pointer: ${childNode.data.pointer}`);
+      continue;
+    }
+    if (!parent) continue;
+    if (child.fatherId || child.motherId) otherFamily.push(child);
+    else members.push(child);
+  }
 
-  if (husb && wife) {
-    if (!husb.spouseId) husb.spouseId = wife.id;
-    if (!wife.spouseId) wife.spouseId = husb.id;
+  // A one-parent family is kept as a marriage with no spouse when it carries
+  // detail, another family's child or a link (e.g. FAMC with PEDI) to it
+  const id = ctx.familyIds.get(xref);
+  const linksHere = (person) => person?.unmapped.some((n) => n.ref?.type === 'family' && n.ref.id === id);
+  const keep = parent && ((husb && wife) || details.length || otherFamily.length
+    || [husb, wife, ...members].some(linksHere));
+
+  if (keep) {
+    if (husb && wife) {
+      if (!husb.spouseId) husb.spouseId = wife.id;
+      if (!wife.spouseId) wife.spouseId = husb.id;
+    }
 
     const marriage = {
-      id: makeMarriageId(),
+      id,
       date: null,
       place: '',
-      note: ''
+      note: '',
+      events: [],
+      unmapped: []
     };
-    if (marrNode) {
-      const dateNode = marrNode.children?.find((c) => c.type === 'DATE');
-      const placeNode = marrNode.children?.find((c) => c.type === 'PLAC');
-      const noteNodes = (marrNode.children || []).filter((c) => c.type === 'NOTE');
-      marriage.date = parseGedcomDate(dateNode?.value || '');
-      marriage.place = placeNode?.value || '';
-      marriage.note = noteNodes.map((n) => n.value || '').filter(Boolean).join('\n');
+    let seenMarr = false;
+    for (const node of details) {
+      if (node.type === 'MARR' && !seenMarr) {
+        seenMarr = true;
+        const citations = [];
+        const { date, place, note, description, unmapped } = readEvent(node, ctx, 'MARR', citations);
+        Object.assign(marriage, { date, place, note });
+        if (description) marriage.description = description;
+        if (unmapped) marriage.unmapped.push(...unmapped);
+        addCitations(ctx, citations, parent.id, `marriage:${marriage.id}`);
+        continue;
+      }
+      const type = eventTypeForTag(node.type, 'family', typeValueOf(node));
+      if (type) {
+        const citations = [];
+        const event = readLifeEvent(node, type, ctx, citations);
+        marriage.events.push(event);
+        addCitations(ctx, citations, parent.id, `event:${event.id}`);
+      } else {
+        marriage.unmapped.push(toUnmapped(node, ctx));
+      }
     }
 
-    husb.marriages.push({ ...marriage, spouseId: wife.id });
-    wife.marriages.push({ ...marriage, spouseId: husb.id });
+    if (husb && wife) {
+      husb.marriages.push({ ...marriage, spouseId: wife.id });
+      wife.marriages.push({ ...structuredClone(marriage), spouseId: husb.id });
+    } else {
+      parent.marriages.push({ ...marriage, spouseId: '' });
+    }
+
+    for (const child of otherFamily) {
+      const linked = child.unmapped.some((n) => n.tag === 'FAMC' && !n.within && n.ref?.id === marriage.id);
+      if (!linked) child.unmapped.push({ tag: 'FAMC', ref: { type: 'family', id: marriage.id } });
+    }
+  } else if (details.length) {
+    warnings.push(`Family ${xref} has no parents; ${details.length} family record(s) were not kept`);
   }
 
-  for (const childNode of childNodes) {
-    const child = personMap.get(childNode.data.pointer);
-    if (!child) {
-      warnings.push(`Unknown child pointer: ${childNode.data.pointer}`);
+  for (const child of members) {
+    if (husb) child.fatherId = husb.id;
+    if (wife) child.motherId = wife.id;
+  }
+}
+
+/**
+ * Top-level records other than INDI/FAM/SOUR/REPO (OBJE, SUBM, NOTE, custom).
+ * NOTE records whose text was folded into a person's notes are dropped unless
+ * something unmapped still points at them.
+ */
+function collectRecords(nodes, persons, ctx, sourceRecords) {
+  const records = nodes
+    .filter((n) => n.data?.xref_id && ctx.recordIds.has(n.data.xref_id))
+    .map((n) => ({ id: ctx.recordIds.get(n.data.xref_id), ...toUnmapped(n, ctx) }));
+
+  const referenced = new Set();
+  const walk = (list) => {
+    for (const node of list || []) {
+      if (node.ref?.type === 'record') referenced.add(node.ref.id);
+      walk(node.children);
+    }
+  };
+  for (const p of persons) {
+    walk(p.unmapped);
+    walk(p.birth.unmapped);
+    walk(p.death.unmapped);
+    for (const a of p.altNames) walk(a.unmapped);
+    for (const e of p.events) walk(e.unmapped);
+    for (const m of p.marriages) {
+      walk(m.unmapped);
+      for (const e of m.events) walk(e.unmapped);
+    }
+  }
+  for (const r of sourceRecords) walk(r.unmapped);
+  walk(records);
+
+  const consumedIds = new Set([...ctx.consumedNotes, ...ctx.consumedObjects].map((xref) => ctx.recordIds.get(xref)));
+  return records.filter((r) => !consumedIds.has(r.id) || referenced.has(r.id));
+}
+
+/**
+ * An OBJE record or link whose first FILE is among the GEDZIP files, as
+ * { blob, mimeType, path, type, title, note }; null otherwise.
+ */
+function readMediaObject(node, ctx) {
+  const file = (node.children ?? []).find((c) => c.type === 'FILE');
+  if (!file?.value || !ctx.files.size) return null;
+  const path = file.value.trim().replace(/^\.\//, '');
+  let blob = ctx.files.get(path);
+  if (!blob) {
+    try {
+      blob = ctx.files.get(decodeURIComponent(path));
+    } catch { /* not percent-encoded */ }
+  }
+  if (!blob) {
+    ctx.warnings.push(`Media file ${path} is not in the archive`);
+    return null;
+  }
+
+  const sub = (parent, tag) => (parent?.children ?? []).find((c) => c.type === tag);
+  const form = sub(file, 'FORM');
+  const formValue = String(form?.value ?? '').toLowerCase();
+  const extension = path.split('.').pop().toLowerCase();
+  const mimeType = formValue.includes('/') ? formValue
+    : MEDIA_TYPES_BY_EXTENSION[formValue] || MEDIA_TYPES_BY_EXTENSION[extension] || blob.type;
+  if (!mimeType?.startsWith('image/') && mimeType !== 'application/pdf') {
+    ctx.warnings.push(`Media file ${path} is not an image or PDF and was not kept as a document`);
+    return null;
+  }
+
+  // GEDCOM 7 FORM.MEDI with a PHRASE for OTHER, 5.5.1 FORM.TYPE
+  const medium = sub(form, 'MEDI') || sub(form, 'TYPE');
+  const phrase = sub(medium, 'PHRASE')?.value;
+  const type = [phrase, medium?.value].map((v) => String(v ?? '').toLowerCase()).find((v) => DOCUMENT_TYPES.includes(v)) || 'other';
+  const notes = (node.children ?? []).filter(isNote).map((n) => readNote(n, ctx)).filter(Boolean);
+  return {
+    blob,
+    mimeType,
+    path,
+    type,
+    title: sub(file, 'TITL')?.value || sub(node, 'TITL')?.value || '',
+    note: notes.join('\n\n')
+  };
+}
+
+/**
+ * Turn the media links gathered from INDI records into media and document
+ * records, one media record per link so each can be deleted on its own, and
+ * give the persons their photos.
+ */
+function attachMedia(personMap, ctx) {
+  const media = [];
+  const documents = [];
+  const persons = new Map([...personMap.values()].map((p) => [p.id, p]));
+  const now = Date.now();
+  const newId = (prefix) => `${prefix}_${now}_${Math.random().toString(36).slice(2, 8)}`;
+
+  for (const { personId, object, photo } of ctx.mediaLinks) {
+    const mediaId = newId('m');
+    media.push({ id: mediaId, blob: object.blob, mimeType: object.mimeType, byteLength: object.blob.size });
+    if (photo) {
+      persons.get(personId).photo = { mediaId, transform: { ...DEFAULT_TRANSFORM } };
       continue;
     }
-    if (husb && !child.fatherId) child.fatherId = husb.id;
-    if (wife && !child.motherId) child.motherId = wife.id;
+    documents.push({
+      id: newId('d'),
+      personId,
+      mediaId,
+      thumbnailMediaId: null,
+      kind: object.mimeType === 'application/pdf' ? 'pdf' : 'image',
+      title: object.title || object.path.split('/').pop().replace(/\.[^.]+$/, ''),
+      type: object.type,
+      description: object.note,
+      eventDate: null,
+      place: '',
+      createdAt: now,
+      updatedAt: now
+    });
   }
+  return { media, documents };
 }
 
 function parseName(raw) {
-  const match = raw.match(/^(.*?)\s*\/([^/]*)\//);
-  if (match) return { given: match[1].trim(), surname: match[2].trim() };
-  return { given: raw.trim(), surname: '' };
+  const match = raw.match(/^(.*?)\s*\/([^/]*)\/\s*(.*)$/);
+  if (match) return { given: match[1].trim(), surname: match[2].trim(), suffix: match[3].trim() };
+  return { given: raw.trim(), surname: '', suffix: '' };
 }
 
 function pointerToId(pointer, salt) {
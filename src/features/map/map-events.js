@@ -0,0 +1,233 @@
+// map-events.js — Located life events, pins and migration paths of the map
+// view (pure).
+
+import { normalizePlaceText, placeCoordinatesResolver, placeCountryResolver } from '../places/place-model.js';
+import { dateToYear } from '../timeline/timeline-layout.js';
+
+export const MAP_EVENT_KINDS = ['birth', 'residence', 'marriage', 'death'];
+export const MIGRATION_MODES = ['none', 'person', 'lineage', 'all'];
+
+/**
+ * @typedef {Object} MapEvent
+ * @property {string} id
+ * @property {string} personId
+ * @property {'birth'|'residence'|'marriage'|'death'} kind
+ * @property {number|null} year - fractional year, null when undated
+ * @property {string} place - the place text of the record
+ * @property {number} lat
+ * @property {number} lon
+ * @property {'place'|'region'|'country'} precision - how closely the pin matches the place
+ */
+
+/**
+ * A function locating a place text: the registry coordinates of the place
+ * or of an enclosing place, else the center of its country on the basemap.
+ * @param {import('../places/place-model.js').Place[]} places
+ * @param {Map<string, { lat: number, lon: number }>} gazetteer — from basemapGazetteer
+ * @returns {(text: string) => { lat: number, lon: number, precision: string }|null}
+ */
+export function placeLocator(places, gazetteer) {
+  const coordinates = placeCoordinatesResolver(places);
+  const country = placeCountryResolver(places);
+  const cache = new Map();
+  return (text) => {
+    const key = String(text ?? '').trim();
+    if (!key) return null;
+    if (cache.has(key)) return cache.get(key);
+    let located = null;
+    const registry = coordinates(key);
+    if (registry) {
+      located = { lat: registry.latitude, lon: registry.longitude, precision: registry.exact ? 'place' : 'region' };
+    } else {
+      const centroid = gazetteer.get(normalizePlaceText(country(key)));
+      if (centroid) located = { lat: centroid.lat, lon: centroid.lon, precision: 'country' };
+    }
+    cache.set(key, located);
+    return located;
+  };
+}
+
+/**
+ * Birth, residence, marriage and death places of everyone, located.
+ * @param {Map<string, Object>} personData
+ * @param {(text: string) => Object|null} locate — from placeLocator
+ * @returns {{ events: MapEvent[], unlocated: Map<string, number> }} unlocated
+ *   counts the records of each place text that could not be placed
+ */
+export function collectMapEvents(personData, locate) {
+  const events = [];
+  const unlocated = new Map();
+
+  const add = (personId, kind, id, record) => {
+    const place = String(record?.place ?? '').trim();
+    if (!place) return;
+    const located = locate(place);
+    if (!located) {
+      unlocated.set(place, (unlocated.get(place) || 0) + 1);
+      return;
+    }
+    events.push({ id, personId, kind, year: dateToYear(record.date), place, ...located });
+  };
+
+  for (const [personId, person] of personData) {
+    add(personId, 'birth', `${personId}:birth`, person.birth);
+    for (const marriage of person.marriages || []) {
+      add(personId, 'marriage', `${personId}:${marriage.id}`, marriage);
+    }
+    for (const event of person.events || []) {
+      if (event.type === 'residence') add(personId, 'residence', `${personId}:${event.id}`, event);
+    }
+    add(personId, 'death', `${personId}:death`, person.death);
+  }
+  return { events, unlocated };
+}
+
+/**
+ * Events visible at a year of the time slider: those dated up to it, or
+ * all of them when `year` is null.
+ * @param {MapEvent[]} events
+ * @param {number|null} year
+ * @returns {MapEvent[]}
+ */
+export function eventsUntil(events, year) {
+  if (year === null) return events;
+  return events.filter((e) => e.year !== null && e.year < year + 1);
+}
+
+/**
+ * Events gathered into one pin per location. A marriage is stored on both
+ * spouses; both stay in the pin so each spouse can be picked from it.
+ * @param {MapEvent[]} events
+ * @returns {{ key: string, lat: number, lon: number, precision: string, events: MapEvent[] }[]}
+ */
+export function groupPins(events) {
+  const pins = new Map();
+  for (const event of events) {
+    const key = `${event.lat},${event.lon}`;
+    if (!pins.has(key)) pins.set(key, { key, lat: event.lat, lon: event.lon, precision: event.precision, events: [] });
+    pins.get(key).events.push(event);
+  }
+  return [...pins.values()];
+}
+
+// Life order of a person's events: birth first, death last, dated events
+// in between by date. Undated events other than birth and death have no
+// place in the order and are left out.
+function lifeOrder(events) {
+  const rank = (e) => {
+    if (e.kind === 'birth') return e.year ?? -Infinity;
+    if (e.kind === 'death') return e.year ?? Infinity;
+    return e.year;
+  };
+  return events
+    .filter((e) => rank(e) !== null)
+    .sort((a, b) => rank(a) - rank(b) || (a.kind === 'birth' ? -1 : b.kind === 'birth' ? 1 : 0));
+}
+
+/**
+ * Migration path of each person: their located events in life order,
+ * repeated places merged.
+ * @param {MapEvent[]} events
+ * @param {Iterable<string>} personIds
+ * @returns {{ personId: string, kind: 'person', points: MapEvent[] }[]} only paths that move
+ */
+export function personPaths(events, personIds) {
+  const byPerson = new Map();
+  for (const event of events) {
+    if (!byPerson.has(event.personId)) byPerson.set(event.personId, []);
+    byPerson.get(event.personId).push(event);
+  }
+  const paths = [];
+  for (const personId of personIds) {
+    const points = [];
+    for (const event of lifeOrder(byPerson.get(personId) || [])) {
+      const last = points[points.length - 1];
+      if (!last || last.lat !== event.lat || last.lon !== event.lon) points.push(event);
+    }
+    if (points.length > 1) paths.push({ personId, kind: 'person', points });
+  }
+  return paths;
+}
+
+/**
+ * The person and their ancestors.
+ * @param {Map<string, Object>} personData
+ * @param {string} rootId
+ * @param {number} [maxGenerations]
+ * @returns {Set<string>}
+ */
+export function lineageIds(personData, rootId, maxGenerations = 12) {
+  const ids = new Set();
+  let generation = [rootId];
+  for (let depth = 0; depth < maxGenerations && generation.length; depth++) {
+    const next = [];
+    for (const id of generation) {
+      const person = personData.get(id);
+      if (!person || ids.has(id)) continue;
+      ids.add(id);
+      for (const parentId of [person.fatherId, person.motherId]) {
+        if (parentId && personData.has(parentId)) next.push(parentId);
+      }
+    }
+    generation = next;
+  }
+  return ids;
+}
+
+/**
+ * Moves from one generation to the next within a lineage: from each
+ * parent's birth place to the child's.
+ * @param {Map<string, Object>} personData
+ * @param {MapEvent[]} events
+ * @param {Set<string>} ids — from lineageIds
+ * @returns {{ personId: string, kind: 'lineage', points: MapEvent[] }[]}
+ */
+export function lineagePaths(personData, events, ids) {
+  const births = new Map(events.filter((e) => e.kind === 'birth').map((e) => [e.personId, e]));
+  const paths = [];
+  for (const id of ids) {
+    const child = births.get(id);
+    if (!child) continue;
+    const person = personData.get(id);
+    for (const parentId of [person?.fatherId, person?.motherId]) {
+      const parent = ids.has(parentId) ? births.get(parentId) : null;
+      if (parent && (parent.lat !== child.lat || parent.lon !== child.lon)) {
+        paths.push({ personId: id, kind: 'lineage', points: [parent, child] });
+      }
+    }
+  }
+  return paths;
+}
+
+/**
+ * Paths cut at a year of the time slider: only the moves made by then.
+ * @param {{ points: MapEvent[] }[]} paths
+ * @param {number|null} year
+ * @returns {{ points: MapEvent[] }[]}
+ */
+export function pathsUntil(paths, year) {
+  if (year === null) return paths;
+  const result = [];
+  for (const path of paths) {
+    const end = path.points.findIndex((p, i) => i > 0 && !(p.year !== null && p.year < year + 1));
+    const points = end === -1 ? path.points : path.points.slice(0, end);
+    if (points.length > 1) result.push({ ...path, points });
+  }
+  return result;
+}
+
+/**
+ * First and last whole year of the dated events.
+ * @param {MapEvent[]} events
+ * @returns {{ min: number, max: number }|null}
+ */
+export function eventYearRange(events) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const event of events) {
+    if (event.year === null) continue;
+    min = Math.min(min, Math.floor(event.year));
+    max = Math.max(max, Math.floor(event.year));
+  }
+  return Number.isFinite(min) ? { min, max } : null;
+}
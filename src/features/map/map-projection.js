@@ -0,0 +1,115 @@
+// map-projection.js — Equirectangular projection and basemap geometry of
+// the map view (pure). Longitude -180…180 runs left to right over
+// MAP_WIDTH, latitude 90…-90 top to bottom over MAP_HEIGHT.
+
+import { normalizePlaceText } from '../places/place-model.js';
+
+/** Map units per degree. */
+export const DEGREE = 4;
+export const MAP_WIDTH = 360 * DEGREE;
+export const MAP_HEIGHT = 180 * DEGREE;
+
+const round = (v) => Math.round(v * 10) / 10;
+
+/**
+ * @param {number} lon
+ * @param {number} lat
+ * @returns {{ x: number, y: number }}
+ */
+export function project(lon, lat) {
+  return { x: round((lon + 180) * DEGREE), y: round((90 - lat) * DEGREE) };
+}
+
+/**
+ * SVG path of a basemap ring, a flat [lon, lat, lon, lat, …] list.
+ * @param {number[]} ring
+ * @param {number} [lonShift] — degrees added to every longitude
+ * @returns {string}
+ */
+export function ringPath(ring, lonShift = 0) {
+  const parts = [];
+  for (let i = 0; i < ring.length; i += 2) {
+    const { x, y } = project(ring[i] + lonShift, ring[i + 1]);
+    parts.push(`${i === 0 ? 'M' : 'L'}${x} ${y}`);
+  }
+  return `${parts.join(' ')}Z`;
+}
+
+/**
+ * SVG path of a country. Rings unwrapped past the antimeridian are drawn a
+ * second time one turn to the west, so both halves show.
+ * @param {{ rings: number[][] }} country
+ * @returns {string}
+ */
+export function countryPath(country) {
+  const parts = [];
+  for (const ring of country.rings) {
+    parts.push(ringPath(ring));
+    let maxLon = -Infinity;
+    for (let i = 0; i < ring.length; i += 2) maxLon = Math.max(maxLon, ring[i]);
+    if (maxLon > 180) parts.push(ringPath(ring, -360));
+  }
+  return parts.join(' ');
+}
+
+// Area-weighted centroid of a ring in degrees, with its signed area
+function ringCentroid(ring) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  const n = ring.length / 2;
+  for (let i = 0; i < n; i++) {
+    const x0 = ring[2 * i];
+    const y0 = ring[2 * i + 1];
+    const x1 = ring[(2 * i + 2) % ring.length];
+    const y1 = ring[(2 * i + 3) % ring.length];
+    const cross = x0 * y1 - x1 * y0;
+    area += cross;
+    cx += (x0 + x1) * cross;
+    cy += (y0 + y1) * cross;
+  }
+  area /= 2;
+  if (area === 0) return { area: 0, lon: ring[0], lat: ring[1] };
+  return { area, lon: cx / (6 * area), lat: cy / (6 * area) };
+}
+
+/**
+ * A point inside the country's largest landmass, for pins placed by
+ * country only.
+ * @param {{ rings: number[][] }} country
+ * @returns {{ lat: number, lon: number }}
+ */
+export function countryCentroid(country) {
+  let best = null;
+  for (const ring of country.rings) {
+    const c = ringCentroid(ring);
+    if (!best || Math.abs(c.area) > Math.abs(best.area)) best = c;
+  }
+  const lon = best.lon > 180 ? best.lon - 360 : best.lon;
+  return { lat: Math.round(best.lat * 100) / 100, lon: Math.round(lon * 100) / 100 };
+}
+
+// Names common in records for basemap countries named otherwise
+const COUNTRY_ALIASES = {
+  'united states of america': ['usa', 'united states', 'us'],
+  'united kingdom': ['uk', 'great britain', 'england', 'scotland', 'wales'],
+  'czechia': ['czech republic'],
+  'bosnia and herz': ['bosnia and herzegovina']
+};
+
+/**
+ * Country centroids by normalized country name: the built-in gazetteer
+ * used when the place registry has no coordinates for a place.
+ * @param {{ countries: { name: string, rings: number[][] }[] }} basemap
+ * @returns {Map<string, { lat: number, lon: number, name: string }>}
+ */
+export function basemapGazetteer(basemap) {
+  const gazetteer = new Map();
+  for (const country of basemap?.countries || []) {
+    const entry = { ...countryCentroid(country), name: country.name };
+    const key = normalizePlaceText(country.name);
+    gazetteer.set(key, entry);
+    for (const alias of COUNTRY_ALIASES[key] || []) gazetteer.set(alias, entry);
+  }
+  return gazetteer;
+}
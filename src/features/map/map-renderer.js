@@ -0,0 +1,203 @@
+// map-renderer.js — SVG DOM of the map view: the basemap, drawn once, with
+// migration paths and place pins redrawn on each render
+
+import { SecurityUtils } from '../../utils/security-utils.js';
+import { DEGREE, MAP_WIDTH, MAP_HEIGHT, project, countryPath } from './map-projection.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PIN_RADIUS = 6;
+const FIT_PADDING = 0.25; // of the pins' extent, on each side
+const FIT_MIN_SPAN = 30 * DEGREE; // don't zoom in closer than 30°
+const KIND_LABELS = { birth: 'Birth', residence: 'Residence', marriage: 'Marriage', death: 'Death' };
+
+function svgEl(name, attributes = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) el.setAttribute(key, value);
+  return el;
+}
+
+export class MapRenderer {
+  constructor(svgElement) {
+    this.svg = svgElement;
+    this.svg.setAttribute('xmlns', SVG_NS);
+    this.svg.setAttribute('class', 'map-svg');
+    this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    this.bounds = { minX: 0, minY: 0, maxX: MAP_WIDTH, maxY: MAP_HEIGHT };
+    this.pinScale = 1;
+    this.kindLabels = KIND_LABELS;
+
+    const defs = svgEl('defs');
+    const clip = svgEl('clipPath', { id: 'map-world-clip' });
+    clip.appendChild(svgEl('rect', { x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT }));
+    defs.appendChild(clip);
+    for (const kind of ['person', 'lineage']) {
+      const arrow = svgEl('marker', {
+        id: `map-path-arrow-${kind}`,
+        viewBox: '0 0 10 10',
+        refX: 9,
+        refY: 5,
+        markerWidth: 5,
+        markerHeight: 5,
+        orient: 'auto'
+      });
+      arrow.appendChild(svgEl('path', { d: 'M0 0L10 5L0 10z', class: `map-path-arrow map-path-arrow--${kind}` }));
+      defs.appendChild(arrow);
+    }
+
+    this.oceanLayer = svgEl('rect', { class: 'map-ocean', x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT });
+    this.countryLayer = svgEl('g', { class: 'map-countries', 'clip-path': 'url(#map-world-clip)' });
+    this.pathLayer = svgEl('g', { class: 'map-paths' });
+    this.pinLayer = svgEl('g', { class: 'map-pins' });
+    this.svg.append(defs, this.oceanLayer, this.countryLayer, this.pathLayer, this.pinLayer);
+    this.showWorld();
+    this._applyStrokeWidths();
+  }
+
+  /**
+   * Draw the country outlines.
+   * @param {{ countries: { name: string, rings: number[][] }[] }} basemap
+   */
+  setBasemap(basemap) {
+    this.countryLayer.replaceChildren();
+    for (const country of basemap?.countries || []) {
+      const path = svgEl('path', { class: 'map-country', d: countryPath(country) });
+      const title = svgEl('title');
+      SecurityUtils.setTextContent(title, country.name);
+      path.appendChild(title);
+      this.countryLayer.appendChild(path);
+    }
+  }
+
+  /**
+   * @param {Object} data
+   * @param {ReturnType<import('./map-events.js').groupPins>} data.pins
+   * @param {{ personId: string, kind: string, points: Object[] }[]} data.paths
+   * @param {(personId: string) => string} data.personName
+   */
+  render({ pins, paths, personName }) {
+    this.pathLayer.replaceChildren();
+    for (const path of paths) this.pathLayer.appendChild(this._buildPath(path, personName));
+    this.pinLayer.replaceChildren();
+    for (const pin of pins) this.pinLayer.appendChild(this._buildPin(pin, personName));
+  }
+
+  _buildPath(path, personName) {
+    const points = path.points.map((p) => project(p.lon, p.lat));
+    const polyline = svgEl('polyline', {
+      class: `map-path map-path--${path.kind}`,
+      points: points.map(({ x, y }) => `${x},${y}`).join(' '),
+      'marker-end': `url(#map-path-arrow-${path.kind})`
+    });
+    polyline.dataset.personId = path.personId;
+    const title = svgEl('title');
+    SecurityUtils.setTextContent(title, `${personName(path.personId)}: ${path.points.map((p) => p.place).join(' → ')}`);
+    polyline.appendChild(title);
+    return polyline;
+  }
+
+  _buildPin(pin, personName) {
+    const { x, y } = project(pin.lon, pin.lat);
+    const kinds = new Set(pin.events.map((e) => e.kind));
+    const g = svgEl('g', {
+      class: [
+        'map-pin',
+        kinds.size === 1 ? `map-pin--${pin.events[0].kind}` : 'map-pin--mixed',
+        pin.precision === 'place' ? '' : 'map-pin--approx'
+      ].filter(Boolean).join(' '),
+      tabindex: '0',
+      role: 'button'
+    });
+    g.dataset.pinKey = pin.key;
+    g.dataset.x = String(x);
+    g.dataset.y = String(y);
+    g.setAttribute('transform', this._pinTransform(x, y));
+    g.dataset.personIds = [...new Set(pin.events.map((e) => e.personId))].join(' ');
+
+    const places = [...new Set(pin.events.map((e) => e.place))];
+    g.setAttribute('aria-label', `${places.join('; ')} (${pin.events.length})`);
+    const title = svgEl('title');
+    const lines = pin.events.slice(0, 12).map((e) =>
+      `${personName(e.personId)} — ${this.kindLabels[e.kind]}${e.year === null ? '' : ` ${Math.floor(e.year)}`}`);
+    if (pin.events.length > lines.length) lines.push('…');
+    SecurityUtils.setTextContent(title, [places.join('; '), ...lines].join('\n'));
+    g.appendChild(title);
+
+    g.appendChild(svgEl('circle', { class: 'map-pin-dot', r: PIN_RADIUS }));
+    if (pin.events.length > 1) {
+      const count = svgEl('text', { class: 'map-pin-count', 'text-anchor': 'middle', y: '3' });
+      SecurityUtils.setTextContent(count, pin.events.length > 99 ? '99+' : String(pin.events.length));
+      g.appendChild(count);
+    }
+    return g;
+  }
+
+  _pinTransform(x, y) {
+    return `translate(${x}, ${y}) scale(${Number(this.pinScale.toFixed(3))})`;
+  }
+
+  // Borders and paths are drawn with widths in screen pixels
+  _applyStrokeWidths() {
+    this.countryLayer.setAttribute('stroke-width', String(0.6 * this.pinScale));
+    this.pathLayer.setAttribute('stroke-width', String(1.8 * this.pinScale));
+  }
+
+  /**
+   * Keep pins, borders and paths the same size on screen at any zoom.
+   * @param {number} unitsPerPixel — map units per screen pixel
+   */
+  setPinScale(unitsPerPixel) {
+    if (!(unitsPerPixel > 0) || unitsPerPixel === this.pinScale) return;
+    this.pinScale = unitsPerPixel;
+    for (const g of this.pinLayer.children) {
+      g.setAttribute('transform', this._pinTransform(Number(g.dataset.x), Number(g.dataset.y)));
+    }
+    this._applyStrokeWidths();
+  }
+
+  /** Show the whole world. */
+  showWorld() {
+    this.svg.setAttribute('viewBox', `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`);
+  }
+
+  /**
+   * Frame the pins, or the whole world when there are none.
+   * @param {{ lat: number, lon: number }[]} pins
+   */
+  fitTo(pins) {
+    if (pins.length === 0) {
+      this.showWorld();
+      return;
+    }
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const pin of pins) {
+      const { x, y } = project(pin.lon, pin.lat);
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+    const width = Math.min(MAP_WIDTH, Math.max(maxX - minX, FIT_MIN_SPAN) * (1 + FIT_PADDING * 2));
+    const height = Math.min(MAP_HEIGHT, Math.max(maxY - minY, FIT_MIN_SPAN / 2) * (1 + FIT_PADDING * 2));
+    const x = Math.min(MAP_WIDTH - width, Math.max(0, (minX + maxX - width) / 2));
+    const y = Math.min(MAP_HEIGHT - height, Math.max(0, (minY + maxY - height) / 2));
+    this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+  }
+
+  /**
+   * Dim or hide pins and paths of persons outside the active person filter.
+   * A pin stays when any of its persons matches.
+   * @param {Set<string>|null} ids
+   * @param {'dim'|'hide'} [mode]
+   */
+  applyPersonFilter(ids, mode = 'dim') {
+    this.svg.classList.toggle('map-filter-dim', !!ids && mode !== 'hide');
+    this.svg.classList.toggle('map-filter-hide', !!ids && mode === 'hide');
+    for (const el of this.pathLayer.children) {
+      el.classList.toggle('map-filtered-out', !!ids && !ids.has(el.dataset.personId));
+    }
+    for (const el of this.pinLayer.children) {
+      const out = !!ids && !el.dataset.personIds.split(' ').some((id) => ids.has(id));
+      el.classList.toggle('map-filtered-out', out);
+    }
+  }
+}
@@ -0,0 +1,471 @@
+// map-view.js — Map view: birth, marriage, residence and death places as
+// pins on the bundled world basemap, with migration paths and a time
+// slider. Works offline: coordinates come from the place registry, else
+// from the basemap's own country outlines.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { getActivePersonFilter } from '../filters/person-filter.js';
+import { loadPlaces, getLoadedPlaces } from '../places/place-store.js';
+import { openPlacesDialog } from '../places/places-dialog.js';
+import { PAPER_SIZES } from '../export/print-sizing.js';
+import { serializeChartSVG } from '../tree-chart/tree-chart-export.js';
+import { attachViewport } from '../tree-chart/tree-chart-viewport.js';
+import { DEBOUNCE_MS } from '../tree-chart/tree-chart-config.js';
+import { basemapGazetteer } from './map-projection.js';
+import {
+  placeLocator,
+  collectMapEvents,
+  eventsUntil,
+  groupPins,
+  personPaths,
+  lineageIds,
+  lineagePaths,
+  pathsUntil,
+  eventYearRange,
+  MIGRATION_MODES
+} from './map-events.js';
+import { MapRenderer } from './map-renderer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const BASEMAP_URL = '/assets/maps/world-110m.json';
+const DEFAULT_PAPER = 'a3';
+const PLAY_FRAME_MS = 120;
+const PLAY_FRAMES = 80;
+const MODE_LABELS = { none: 'No paths', person: 'Person', lineage: 'Lineage', all: 'Everyone' };
+const KIND_LABELS = { birth: 'Birth', residence: 'Residence', marriage: 'Marriage', death: 'Death' };
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+let basemapPromise = null;
+
+// The basemap ships with the app (and is precached), so it loads offline
+function loadBasemap() {
+  if (!basemapPromise) {
+    basemapPromise = fetch(BASEMAP_URL)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .catch((e) => {
+        basemapPromise = null;
+        throw e;
+      });
+  }
+  return basemapPromise;
+}
+
+/**
+ * @param {HTMLElement} containerEl
+ */
+export function initMapView(containerEl) {
+  if (!containerEl) {
+    console.error('[map] container element missing');
+    return null;
+  }
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', t('builder.map.svg_label', 'Map of life event places'));
+  containerEl.appendChild(svg);
+  const renderer = new MapRenderer(svg);
+  const { zoom, getZoomPercent, resetZoomBase } = attachViewport(svg, { ignoreSelector: '.map-pin' });
+
+  const state = {
+    dirty: true,
+    visible: !containerEl.classList.contains('hidden'),
+    fitted: false,
+    debounceTimer: null,
+    playTimer: null,
+    basemap: null,
+    gazetteer: new Map(),
+    placesLoaded: false,
+    mode: 'person',
+    focusId: null,
+    year: null, // null: everything, else the time slider year
+    yearRange: null,
+    events: [],
+    paper: DEFAULT_PAPER
+  };
+
+  function getPersonData() {
+    return window.treeCore?.personData || new Map();
+  }
+
+  function personName(personId) {
+    const p = getPersonData().get(personId);
+    return [p?.name, p?.surname].filter(Boolean).join(' ').trim() || personId || '';
+  }
+
+  // The canvas selection, else the first person
+  function pickFocusPerson(personData) {
+    for (const id of window.treeCore?.renderer?.selectedNodes || []) {
+      if (personData.has(id)) return id;
+    }
+    return personData.keys().next().value ?? null;
+  }
+
+  function updateLabels() {
+    renderer.kindLabels = Object.fromEntries(Object.entries(KIND_LABELS)
+      .map(([kind, label]) => [kind, t(`builder.map.kind_${kind}`, label)]));
+  }
+
+  function visiblePaths(personData) {
+    if (state.mode === 'none' || (!state.focusId && state.mode !== 'all')) return [];
+    if (state.mode === 'all') return personPaths(state.events, personData.keys());
+    if (state.mode === 'person') return personPaths(state.events, [state.focusId]);
+    const ids = lineageIds(personData, state.focusId);
+    return [...personPaths(state.events, ids), ...lineagePaths(personData, state.events, ids)];
+  }
+
+  function rebuild() {
+    state.dirty = false;
+    const personData = getPersonData();
+    if (!personData.has(state.focusId)) state.focusId = pickFocusPerson(personData);
+
+    const locate = placeLocator(getLoadedPlaces(), state.gazetteer);
+    const { events, unlocated } = collectMapEvents(personData, locate);
+    state.events = events;
+    state.yearRange = eventYearRange(events);
+    if (state.year !== null && state.yearRange) {
+      state.year = Math.min(state.yearRange.max, Math.max(state.yearRange.min, state.year));
+    }
+
+    updateLabels();
+    const pins = groupPins(eventsUntil(events, state.year));
+    renderer.render({ pins, paths: pathsUntil(visiblePaths(personData), state.year), personName });
+    const filter = getActivePersonFilter();
+    renderer.applyPersonFilter(filter?.ids ?? null, filter?.mode);
+    if (!state.fitted && state.basemap) {
+      renderer.fitTo(groupPins(events));
+      resetZoomBase();
+      updatePinScale();
+      state.fitted = true;
+    }
+
+    focusName.textContent = state.mode === 'none' || state.mode === 'all' ? '' : personName(state.focusId);
+    updateSlider();
+    const unlocatedCount = unlocated.size;
+    unlocatedBtn.hidden = unlocatedCount === 0;
+    unlocatedBtn.textContent = t('builder.map.unlocated', '{count} places not on the map')
+      .replace('{count}', String(unlocatedCount));
+    unlocatedBtn.title = [...unlocated.keys()].slice(0, 20).join('\n');
+  }
+
+  function scheduleRebuild() {
+    if (!state.visible) {
+      state.dirty = true;
+      return;
+    }
+    if (state.debounceTimer) clearTimeout(state.debounceTimer);
+    state.debounceTimer = setTimeout(rebuild, DEBOUNCE_MS);
+  }
+
+  // Basemap and place registry load once per tree; the map draws without
+  // them and redraws when they arrive
+  async function loadSources() {
+    if (!state.basemap) {
+      try {
+        state.basemap = await loadBasemap();
+        state.gazetteer = basemapGazetteer(state.basemap);
+        renderer.setBasemap(state.basemap);
+      } catch (e) {
+        console.warn('[map] failed to load the basemap:', e);
+      }
+    }
+    if (!state.placesLoaded) {
+      state.placesLoaded = true;
+      try {
+        await loadPlaces(window.treeCore?.cacheManager?.getIdbRepo?.());
+      } catch (e) {
+        console.warn('[map] failed to load places:', e);
+      }
+    }
+    if (state.visible) rebuild();
+  }
+
+  // Pins, borders and paths keep their screen size as the viewBox zooms
+  function updatePinScale() {
+    const rect = svg.getBoundingClientRect();
+    const vb = svg.viewBox.baseVal;
+    if (!rect.width || !rect.height || !vb?.width) return;
+    renderer.setPinScale(Math.max(vb.width / rect.width, vb.height / rect.height));
+  }
+
+  if (typeof MutationObserver === 'function') {
+    new MutationObserver(updatePinScale).observe(svg, { attributes: true, attributeFilter: ['viewBox'] });
+  }
+  if (typeof ResizeObserver === 'function') {
+    new ResizeObserver(() => { if (state.visible) updatePinScale(); }).observe(containerEl);
+  }
+
+  const bus = appContext.getEventBus();
+  for (const e of [
+    EVENTS.TREE_PERSON_ADDED,
+    EVENTS.TREE_PERSON_UPDATED,
+    EVENTS.TREE_PERSON_DELETED,
+    EVENTS.TREE_RELATIONSHIP_ADDED,
+    EVENTS.TREE_RELATIONSHIP_REMOVED,
+    EVENTS.HISTORY_CHANGED
+  ].filter(Boolean)) {
+    bus.on(e, scheduleRebuild);
+  }
+  bus.on(EVENTS.TREE_LOADED, () => {
+    state.fitted = false;
+    state.placesLoaded = false;
+    state.year = null;
+    panel.hidden = true;
+    stopPlaying();
+    if (state.visible) loadSources();
+    else state.dirty = true;
+  });
+  bus.on(EVENTS.PERSON_FILTER_CHANGED, ({ ids, mode } = {}) => {
+    renderer.applyPersonFilter(ids ?? null, mode);
+  });
+
+  document.addEventListener('view:changed', (ev) => {
+    const { name } = ev.detail || {};
+    state.visible = name === 'map';
+    if (!state.visible) {
+      stopPlaying();
+      return;
+    }
+    if (!state.basemap || !state.placesLoaded) loadSources();
+    else if (state.dirty) rebuild();
+    updatePinScale();
+  });
+
+  // Coordinates entered in the place registry show up when it closes
+  document.addEventListener('places:closed', () => {
+    if (state.visible) rebuild();
+    else state.dirty = true;
+  });
+
+  // Toolbar
+  const toolbar = document.createElement('div');
+  toolbar.className = 'tc-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+
+  const modeLabel = document.createElement('label');
+  modeLabel.className = 'tc-toolbar-select';
+  modeLabel.textContent = t('builder.map.paths', 'Paths');
+  const modeSelect = document.createElement('select');
+  for (const mode of MIGRATION_MODES) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = t(`builder.map.paths_${mode}`, MODE_LABELS[mode]);
+    modeSelect.appendChild(option);
+  }
+  modeSelect.value = state.mode;
+  modeLabel.appendChild(modeSelect);
+  modeSelect.addEventListener('change', () => {
+    state.mode = modeSelect.value;
+    rebuild();
+  });
+
+  const focusName = document.createElement('span');
+  focusName.className = 'tc-toolbar-focus';
+  focusName.title = t('builder.map.focus_hint', 'Pick a person from a pin to follow their paths');
+
+  const timeGroup = document.createElement('div');
+  timeGroup.className = 'map-time';
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.className = 'tl-toolbar-btn';
+  playBtn.textContent = '▶';
+  playBtn.setAttribute('aria-label', t('builder.map.play', 'Play through time'));
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.setAttribute('aria-label', t('builder.map.year', 'Year'));
+  const yearLabel = document.createElement('span');
+  yearLabel.className = 'map-time-year';
+  timeGroup.append(playBtn, slider, yearLabel);
+
+  // The slider's last stop, one past the last year, shows everything
+  function updateSlider() {
+    const range = state.yearRange;
+    timeGroup.hidden = !range;
+    if (!range) return;
+    slider.min = String(range.min);
+    slider.max = String(range.max + 1);
+    slider.value = String(state.year ?? range.max + 1);
+    yearLabel.textContent = state.year === null ? t('builder.map.all_years', 'All years') : String(state.year);
+  }
+
+  function setYear(year) {
+    state.year = year;
+    rebuild();
+  }
+
+  slider.addEventListener('input', () => {
+    stopPlaying();
+    const value = Number(slider.value);
+    setYear(value > state.yearRange.max ? null : value);
+  });
+
+  function stopPlaying() {
+    if (!state.playTimer) return;
+    clearInterval(state.playTimer);
+    state.playTimer = null;
+    playBtn.textContent = '▶';
+    playBtn.setAttribute('aria-pressed', 'false');
+  }
+
+  playBtn.addEventListener('click', () => {
+    if (state.playTimer) {
+      stopPlaying();
+      return;
+    }
+    const range = state.yearRange;
+    if (!range) return;
+    const step = Math.max(1, Math.ceil((range.max - range.min) / PLAY_FRAMES));
+    setYear(state.year === null ? range.min : state.year);
+    playBtn.textContent = '❚❚';
+    playBtn.setAttribute('aria-pressed', 'true');
+    state.playTimer = setInterval(() => {
+      const next = state.year + step;
+      if (next > range.max) {
+        stopPlaying();
+        setYear(null);
+      } else {
+        setYear(next);
+      }
+    }, PLAY_FRAME_MS);
+  });
+
+  const paperLabel = document.createElement('label');
+  paperLabel.className = 'tc-toolbar-select';
+  paperLabel.textContent = t('builder.charts.print_size', 'Print size');
+  const paperSelect = document.createElement('select');
+  for (const [key, size] of Object.entries(PAPER_SIZES)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = size.label;
+    paperSelect.appendChild(option);
+  }
+  paperSelect.value = state.paper;
+  paperLabel.appendChild(paperSelect);
+  paperSelect.addEventListener('change', () => { state.paper = paperSelect.value; });
+
+  const fitBtn = document.createElement('button');
+  fitBtn.type = 'button';
+  fitBtn.className = 'tl-toolbar-btn';
+  fitBtn.textContent = t('builder.map.fit', 'Fit');
+  fitBtn.addEventListener('click', () => {
+    renderer.fitTo(groupPins(state.events));
+    resetZoomBase();
+  });
+
+  const unlocatedBtn = document.createElement('button');
+  unlocatedBtn.type = 'button';
+  unlocatedBtn.className = 'tl-toolbar-btn map-unlocated';
+  unlocatedBtn.hidden = true;
+  unlocatedBtn.addEventListener('click', () => openPlacesDialog(window.treeCore));
+
+  toolbar.append(modeLabel, focusName, timeGroup, paperLabel, fitBtn, unlocatedBtn);
+  containerEl.appendChild(toolbar);
+
+  // Pin details
+  const panel = document.createElement('div');
+  panel.className = 'map-pin-panel';
+  panel.hidden = true;
+  containerEl.appendChild(panel);
+
+  function showPin(pinEl) {
+    const pin = groupPins(eventsUntil(state.events, state.year)).find((p) => p.key === pinEl.dataset.pinKey);
+    if (!pin) return;
+    panel.replaceChildren();
+    const heading = document.createElement('h3');
+    heading.textContent = [...new Set(pin.events.map((e) => e.place))].join('; ');
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'map-pin-panel-close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', t('builder.map.close', 'Close'));
+    close.addEventListener('click', () => { panel.hidden = true; });
+    const list = document.createElement('ul');
+    const sorted = [...pin.events].sort((a, b) => (a.year ?? Infinity) - (b.year ?? Infinity));
+    for (const event of sorted) {
+      const item = document.createElement('li');
+      const person = document.createElement('button');
+      person.type = 'button';
+      person.dataset.personId = event.personId;
+      person.textContent = personName(event.personId);
+      person.title = t('builder.map.person_hint', 'Click to follow their paths, double-click to edit');
+      const detail = document.createElement('span');
+      detail.textContent = `${renderer.kindLabels[event.kind]}${event.year === null ? '' : ` ${Math.floor(event.year)}`}`;
+      item.append(person, detail);
+      list.appendChild(item);
+    }
+    panel.append(close, heading, list);
+    if (pin.precision !== 'place') {
+      const note = document.createElement('p');
+      note.className = 'map-pin-panel-note';
+      note.textContent = pin.precision === 'country'
+        ? t('builder.map.approx_country', 'Placed at the center of the country; add coordinates in the place registry.')
+        : t('builder.map.approx_region', 'Placed at an enclosing place; add coordinates in the place registry.');
+      panel.appendChild(note);
+    }
+    panel.hidden = false;
+  }
+
+  panel.addEventListener('click', (ev) => {
+    const button = ev.target.closest('button[data-person-id]');
+    if (!button) return;
+    state.focusId = button.dataset.personId;
+    if (state.mode === 'none' || state.mode === 'all') {
+      state.mode = 'person';
+      modeSelect.value = state.mode;
+    }
+    rebuild();
+  });
+
+  panel.addEventListener('dblclick', (ev) => {
+    const button = ev.target.closest('button[data-person-id]');
+    if (button) bus.emit(EVENTS.TREE_NODE_EDIT_REQUESTED, { personId: button.dataset.personId });
+  });
+
+  svg.addEventListener('click', (ev) => {
+    const pinEl = ev.target.closest('.map-pin');
+    if (pinEl) showPin(pinEl);
+  });
+
+  svg.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' && ev.key !== ' ') return;
+    const pinEl = ev.target.closest && ev.target.closest('.map-pin');
+    if (pinEl) {
+      ev.preventDefault();
+      showPin(pinEl);
+    }
+  });
+
+  if (state.visible) loadSources();
+
+  const api = {
+    rebuild,
+    zoom,
+    getZoomPercent,
+    isVisible: () => state.visible,
+    getPaper: () => state.paper,
+    /**
+     * The whole world map as a standalone SVG document, for the chart
+     * exports. Pins are sized for the exported page rather than the screen.
+     * @param {{ paper?: string, transparent?: boolean }} [options]
+     * @returns {{ markup: string, width: number, height: number }}
+     */
+    exportSVG(options) {
+      if (state.dirty) rebuild();
+      const screenScale = renderer.pinScale;
+      renderer.setPinScale(1);
+      try {
+        return serializeChartSVG(svg, renderer.bounds, options);
+      } finally {
+        renderer.setPinScale(screenScale);
+      }
+    }
+  };
+  window._mapView = api;
+  return api;
+}
@@ -0,0 +1,112 @@
+import { SecurityUtils } from '../../utils/security-utils.js';
+import { formatDateValue } from '../../utils/date-value.js';
+import { MERGE_FIELDS, isEmptyFieldValue, defaultFieldChoices } from './person-merge.js';
+
+const FIELD_LABELS = {
+  name: ['builder.form.given_name', 'Given Name'],
+  surname: ['builder.form.surname', 'Surname'],
+  maidenName: ['builder.form.maiden_name', 'Maiden Name'],
+  fatherName: ['builder.form.father_name', "Father's Name"],
+  gender: ['builder.form.gender', 'Gender'],
+  birth: ['builder.modals.merge.birth', 'Birth'],
+  death: ['builder.modals.merge.death', 'Death'],
+  fatherId: ['builder.form.father', 'Father'],
+  motherId: ['builder.form.mother', 'Mother'],
+  spouseId: ['builder.form.spouse', 'Spouse'],
+  notes: ['builder.form.general_notes', 'General notes'],
+  photo: ['builder.modals.person.photo.label', 'Photo']
+};
+
+/**
+ * Side-by-side table of two person records with a radio pair per field.
+ * Rows where both sides are empty are left out.
+ * @param {{
+ *   primary: Object,
+ *   secondary: Object,
+ *   primaryLabel: string,
+ *   secondaryLabel: string,
+ *   lookup: (id: string) => Object|undefined,
+ *   name: string,
+ *   locale?: string,
+ *   t?: (key: string, fallback: string) => string
+ * }} opts - `name` must be unique per chooser on the page (radio group prefix)
+ * @returns {{ element: HTMLTableElement, getChoices: () => Object<string, 'primary'|'secondary'> }}
+ */
+export function createMergeFieldChooser(opts) {
+  const { primary, secondary, lookup, name } = opts;
+  const t = opts.t ?? ((_, f) => f);
+  const locale = opts.locale ?? 'en';
+  const choices = defaultFieldChoices(primary, secondary);
+
+  const table = document.createElement('table');
+  table.className = 'merge-fields';
+
+  const head = document.createElement('tr');
+  for (const text of ['', opts.primaryLabel, opts.secondaryLabel]) {
+    const th = document.createElement('th');
+    SecurityUtils.setTextContent(th, text);
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+
+  for (const field of MERGE_FIELDS) {
+    if (isEmptyFieldValue(primary[field]) && isEmptyFieldValue(secondary[field])) continue;
+    const row = document.createElement('tr');
+    const same = JSON.stringify(primary[field] ?? '') === JSON.stringify(secondary[field] ?? '');
+    if (!same) row.classList.add('merge-fields-differs');
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    SecurityUtils.setTextContent(label, t(...FIELD_LABELS[field]));
+    row.appendChild(label);
+
+    for (const side of ['primary', 'secondary']) {
+      const person = side === 'primary' ? primary : secondary;
+      const cell = document.createElement('td');
+      const option = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `${name}-${field}`;
+      radio.value = side;
+      radio.checked = choices[field] === side;
+      radio.disabled = same;
+      radio.addEventListener('change', () => { choices[field] = side; });
+      const text = document.createElement('span');
+      SecurityUtils.setTextContent(text, describeField(field, person, lookup, locale, t));
+      option.appendChild(radio);
+      option.appendChild(text);
+      cell.appendChild(option);
+      row.appendChild(cell);
+    }
+    table.appendChild(row);
+  }
+
+  return {
+    element: table,
+    getChoices: () => ({ ...choices })
+  };
+}
+
+function describeField(field, person, lookup, locale, t) {
+  const value = person[field];
+  if (isEmptyFieldValue(value)) return '—';
+  switch (field) {
+    case 'birth':
+    case 'death':
+      return [formatDateValue(value.date, locale), value.place].filter(Boolean).join(', ') || value.note;
+    case 'fatherId':
+    case 'motherId':
+    case 'spouseId': {
+      const relative = lookup(value);
+      return relative ? `${relative.name ?? ''} ${relative.surname ?? ''}`.trim() : '—';
+    }
+    case 'gender':
+      return t(`builder.form.gender_${value}`, value);
+    case 'photo':
+      return '✓';
+    case 'notes':
+      return value.length > 80 ? `${value.slice(0, 80)}…` : value;
+    default:
+      return String(value);
+  }
+}
@@ -0,0 +1,124 @@
+import { SecurityUtils } from '../../utils/security-utils.js';
+import { formatLifespanShort } from '../../utils/date-value.js';
+import { notifications } from '../../ui/components/notifications.js';
+import { createMergeFieldChooser } from './merge-field-chooser.js';
+import { MERGE_FIELDS, isEmptyFieldValue } from './person-merge.js';
+
+let session = null;
+let wired = false;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+function fullName(person) {
+  return `${person.name ?? ''} ${person.surname ?? ''}`.trim() || t('builder.notifications.unknown_person', 'Unknown');
+}
+
+function filledFieldCount(person) {
+  return MERGE_FIELDS.filter((field) => !isEmptyFieldValue(person[field])).length;
+}
+
+/**
+ * Open the "merge two persons" dialog for two persons of the tree.
+ * The more complete record is offered as the survivor.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @param {string} idA
+ * @param {string} idB
+ */
+export function openMergePersonsDialog(treeCore, idA, idB) {
+  const modal = document.getElementById('mergePersonsModal');
+  const a = treeCore.personData.get(idA);
+  const b = treeCore.personData.get(idB);
+  if (!modal || !a || !b) return;
+
+  wireDialog(modal);
+  const survivorId = filledFieldCount(b) > filledFieldCount(a) ? idB : idA;
+  session = { treeCore, ids: [idA, idB], survivorId, chooser: null };
+
+  renderSurvivorChoice();
+  renderFields();
+  modal.classList.remove('hidden');
+}
+
+function renderSurvivorChoice() {
+  const container = document.getElementById('mergePersonsSurvivor');
+  if (!container) return;
+  container.innerHTML = '';
+  const locale = (window.i18n?.currentLocale || 'en').slice(0, 2);
+
+  for (const id of session.ids) {
+    const person = session.treeCore.personData.get(id);
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'mergePersonsSurvivor';
+    input.value = id;
+    input.checked = id === session.survivorId;
+    input.addEventListener('change', () => {
+      session.survivorId = id;
+      renderFields();
+    });
+    const text = document.createElement('span');
+    const lifespan = formatLifespanShort(person.birth?.date, person.death?.date, locale);
+    SecurityUtils.setTextContent(text, lifespan ? `${fullName(person)} (${lifespan})` : fullName(person));
+    label.appendChild(input);
+    label.appendChild(text);
+    container.appendChild(label);
+  }
+}
+
+function renderFields() {
+  const container = document.getElementById('mergePersonsFields');
+  if (!container) return;
+  const { treeCore, ids, survivorId } = session;
+  const otherId = ids.find((id) => id !== survivorId);
+  const primary = treeCore.personData.get(survivorId);
+  const secondary = treeCore.personData.get(otherId);
+
+  session.chooser = createMergeFieldChooser({
+    primary,
+    secondary,
+    primaryLabel: fullName(primary),
+    secondaryLabel: fullName(secondary),
+    lookup: (id) => treeCore.personData.get(id),
+    name: 'mergePersonsField',
+    locale: (window.i18n?.currentLocale || 'en').slice(0, 2),
+    t
+  });
+  container.innerHTML = '';
+  container.appendChild(session.chooser.element);
+}
+
+function closeDialog() {
+  document.getElementById('mergePersonsModal')?.classList.add('hidden');
+  session = null;
+}
+
+function wireDialog(modal) {
+  if (wired) return;
+  wired = true;
+
+  document.getElementById('mergePersonsClose')?.addEventListener('click', closeDialog);
+  document.getElementById('mergePersonsCancel')?.addEventListener('click', closeDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeDialog(); });
+
+  document.getElementById('mergePersonsConfirm')?.addEventListener('click', async () => {
+    if (!session) return;
+    const { treeCore, ids, survivorId, chooser } = session;
+    const mergedId = ids.find((id) => id !== survivorId);
+    const name = fullName(treeCore.personData.get(survivorId));
+    closeDialog();
+
+    const ok = await treeCore.mergePersons(survivorId, mergedId, chooser.getChoices());
+    if (ok) {
+      notifications.success(
+        t('builder.notifications.persons_merged', 'Persons merged'),
+        t('builder.notifications.persons_merged_message', '{{name}} now holds both records').replace('{{name}}', name)
+      );
+    }
+  });
+}
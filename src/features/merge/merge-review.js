@@ -0,0 +1,180 @@
+import { SecurityUtils } from '../../utils/security-utils.js';
+import { formatLifespanShort } from '../../utils/date-value.js';
+import { STRONG_MATCH_SCORE } from './person-matcher.js';
+import { createMergeFieldChooser } from './merge-field-chooser.js';
+
+const REASON_LABELS = {
+  name: ['builder.modals.merge.reasons.name', 'given name'],
+  surname: ['builder.modals.merge.reasons.surname', 'surname'],
+  birth_date: ['builder.modals.merge.reasons.birth_date', 'birth date'],
+  birth_place: ['builder.modals.merge.reasons.birth_place', 'birth place'],
+  death_date: ['builder.modals.merge.reasons.death_date', 'death date'],
+  death_place: ['builder.modals.merge.reasons.death_place', 'death place'],
+  father: ['builder.modals.merge.reasons.father', 'father'],
+  mother: ['builder.modals.merge.reasons.mother', 'mother']
+};
+
+/**
+ * Review list for likely duplicates found during a merge import. Each pair can
+ * be merged (optionally field by field) or kept as two persons.
+ * @param {{
+ *   container: HTMLElement,
+ *   candidates: { incomingId: string, existingId: string, score: number, reasons: string[] }[],
+ *   existingById: Map<string, Object>,
+ *   incomingById: Map<string, Object>,
+ *   locale?: string,
+ *   t?: (key: string, fallback: string) => string
+ * }} opts
+ * @returns {{ getDecisions: () => { incomingId: string, existingId: string, action: 'accept'|'reject', choices?: Object }[] }}
+ */
+export function mountMergeReview(opts) {
+  const { container, candidates, existingById, incomingById } = opts;
+  const t = opts.t ?? ((_, f) => f);
+  const locale = opts.locale ?? 'en';
+  const lookup = (id) => existingById.get(id) ?? incomingById.get(id);
+
+  container.innerHTML = '';
+  const root = document.createElement('div');
+  root.className = 'merge-review';
+
+  const intro = document.createElement('p');
+  intro.className = 'merge-review-intro';
+  SecurityUtils.setTextContent(intro, t('builder.modals.merge.intro', '{{count}} imported person(s) look like people already in your tree. Review each pair before importing.')
+    .replace('{{count}}', String(candidates.length)));
+  root.appendChild(intro);
+
+  const bulk = document.createElement('div');
+  bulk.className = 'merge-review-bulk';
+  root.appendChild(bulk);
+
+  const list = document.createElement('ol');
+  list.className = 'merge-review-list';
+  root.appendChild(list);
+
+  const entries = candidates.map((candidate, index) => {
+    const existing = existingById.get(candidate.existingId);
+    const incoming = incomingById.get(candidate.incomingId);
+    const item = document.createElement('li');
+    item.className = 'merge-review-pair';
+    const strong = candidate.score >= STRONG_MATCH_SCORE;
+    item.classList.add(strong ? 'merge-review-strong' : 'merge-review-possible');
+
+    const summary = document.createElement('div');
+    summary.className = 'merge-review-summary';
+    summary.appendChild(personCard(existing, t('builder.modals.merge.in_tree', 'In your tree'), locale));
+    summary.appendChild(personCard(incoming, t('builder.modals.merge.in_file', 'In the file'), locale));
+    item.appendChild(summary);
+
+    const why = document.createElement('p');
+    why.className = 'merge-review-reasons';
+    const confidence = strong
+      ? t('builder.modals.merge.strong', 'Strong match')
+      : t('builder.modals.merge.possible', 'Possible match');
+    const reasons = candidate.reasons.map((r) => t(...REASON_LABELS[r])).join(', ');
+    SecurityUtils.setTextContent(why, `${confidence} · ${t('builder.modals.merge.matches_on', 'matches on')}: ${reasons}`);
+    item.appendChild(why);
+
+    const actions = document.createElement('div');
+    actions.className = 'merge-review-actions';
+    const acceptRadio = radio(`mergeReview-${index}`, 'accept', strong, t('builder.modals.merge.accept', 'Same person — merge'));
+    const rejectRadio = radio(`mergeReview-${index}`, 'reject', !strong, t('builder.modals.merge.reject', 'Different people — keep both'));
+    actions.appendChild(acceptRadio.label);
+    actions.appendChild(rejectRadio.label);
+
+    const chooser = createMergeFieldChooser({
+      primary: existing,
+      secondary: incoming,
+      primaryLabel: t('builder.modals.merge.in_tree', 'In your tree'),
+      secondaryLabel: t('builder.modals.merge.in_file', 'In the file'),
+      lookup,
+      name: `mergeReviewField-${index}`,
+      locale,
+      t
+    });
+    const fields = document.createElement('div');
+    fields.className = 'merge-review-fields';
+    fields.hidden = true;
+    fields.appendChild(chooser.element);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'merge-review-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    SecurityUtils.setTextContent(toggle, t('builder.modals.merge.choose_fields', 'Choose fields'));
+    toggle.addEventListener('click', () => {
+      fields.hidden = !fields.hidden;
+      toggle.setAttribute('aria-expanded', String(!fields.hidden));
+      if (!fields.hidden) acceptRadio.input.checked = true;
+    });
+    actions.appendChild(toggle);
+
+    item.appendChild(actions);
+    item.appendChild(fields);
+    list.appendChild(item);
+
+    return { candidate, acceptRadio, rejectRadio, chooser };
+  });
+
+  bulk.appendChild(bulkButton(t('builder.modals.merge.accept_all', 'Merge all'), () => {
+    entries.forEach((e) => { e.acceptRadio.input.checked = true; });
+  }));
+  bulk.appendChild(bulkButton(t('builder.modals.merge.reject_all', 'Keep all separate'), () => {
+    entries.forEach((e) => { e.rejectRadio.input.checked = true; });
+  }));
+
+  container.appendChild(root);
+
+  return {
+    getDecisions() {
+      return entries.map(({ candidate, acceptRadio, chooser }) => {
+        const decision = {
+          incomingId: candidate.incomingId,
+          existingId: candidate.existingId,
+          action: acceptRadio.input.checked ? 'accept' : 'reject'
+        };
+        if (decision.action === 'accept') decision.choices = chooser.getChoices();
+        return decision;
+      });
+    }
+  };
+}
+
+function personCard(person, heading, locale) {
+  const card = document.createElement('div');
+  card.className = 'merge-review-person';
+  const label = document.createElement('span');
+  label.className = 'merge-review-person-source';
+  SecurityUtils.setTextContent(label, heading);
+  const name = document.createElement('strong');
+  SecurityUtils.setTextContent(name, [person.name, person.maidenName ? `(${person.maidenName})` : '', person.surname].filter(Boolean).join(' '));
+  const dates = document.createElement('span');
+  dates.className = 'merge-review-person-dates';
+  SecurityUtils.setTextContent(dates, formatLifespanShort(person.birth?.date, person.death?.date, locale));
+  card.appendChild(label);
+  card.appendChild(name);
+  card.appendChild(dates);
+  return card;
+}
+
+function radio(name, value, checked, text) {
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'radio';
+  input.name = name;
+  input.value = value;
+  input.checked = checked;
+  const span = document.createElement('span');
+  SecurityUtils.setTextContent(span, text);
+  label.appendChild(input);
+  label.appendChild(span);
+  return { label, input };
+}
+
+function bulkButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn-secondary';
+  SecurityUtils.setTextContent(button, text);
+  button.addEventListener('click', onClick);
+  return button;
+}
@@ -0,0 +1,197 @@
+// person-matcher.js - scores how likely two person records describe the same individual.
+// Used by the GEDCOM merge import to pair incoming persons with the current tree.
+
+/** Pairs scoring below this are not offered for review. */
+export const MATCH_THRESHOLD = 55;
+
+/** Pairs scoring at or above this are shown as strong matches. */
+export const STRONG_MATCH_SCORE = 75;
+
+const WEIGHTS = {
+  name: 30,
+  namePartial: 18,
+  surname: 20,
+  surnameMismatch: -10,
+  birthDay: 20,
+  birthMonth: 15,
+  birthYear: 12,
+  birthNear: 6,
+  birthMismatch: -20,
+  deathDay: 15,
+  deathMonth: 11,
+  deathYear: 9,
+  deathNear: 4,
+  deathMismatch: -15,
+  birthPlace: 8,
+  deathPlace: 6,
+  parent: 10,
+  parentMismatch: -10
+};
+
+/** Lowercase, strip accents and collapse whitespace so "José " matches "jose". */
+export function normalizeName(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function compareGivenNames(a, b) {
+  const na = normalizeName(a);
+  const nb = normalizeName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return WEIGHTS.name;
+  const firstA = na.split(' ')[0];
+  const firstB = nb.split(' ')[0];
+  if (firstA === firstB) return WEIGHTS.namePartial;
+  if (firstA.length >= 3 && firstB.length >= 3 && (firstA.startsWith(firstB) || firstB.startsWith(firstA))) {
+    return WEIGHTS.namePartial;
+  }
+  return null;
+}
+
+function familyNames(person) {
+  return new Set([person.surname, person.maidenName].map(normalizeName).filter(Boolean));
+}
+
+function compareFamilyNames(a, b) {
+  const namesA = familyNames(a);
+  const namesB = familyNames(b);
+  if (!namesA.size || !namesB.size) return 0;
+  for (const name of namesA) {
+    if (namesB.has(name)) return WEIGHTS.surname;
+  }
+  return WEIGHTS.surnameMismatch;
+}
+
+function compareDates(a, b, kind) {
+  if (!a?.year || !b?.year) return 0;
+  const fuzzy = a.estimated || b.estimated || a.qualifier || b.qualifier;
+  if (a.year === b.year) {
+    if (a.month && a.month === b.month) {
+      if (a.day && a.day === b.day) return WEIGHTS[`${kind}Day`];
+      if (a.day && b.day) return fuzzy ? WEIGHTS[`${kind}Year`] : WEIGHTS[`${kind}Mismatch`];
+      return WEIGHTS[`${kind}Month`];
+    }
+    return WEIGHTS[`${kind}Year`];
+  }
+  const gap = Math.abs(a.year - b.year);
+  if (gap <= 2 && fuzzy) return WEIGHTS[`${kind}Near`];
+  if (gap <= 1) return 0;
+  return WEIGHTS[`${kind}Mismatch`];
+}
+
+function comparePlaces(a, b, weight) {
+  const pa = normalizeName(a);
+  const pb = normalizeName(b);
+  if (!pa || !pb) return 0;
+  if (pa === pb) return weight;
+  // "Berlin" vs "Berlin, Prussia, Germany"
+  const headA = normalizeName(String(a).split(',')[0]);
+  const headB = normalizeName(String(b).split(',')[0]);
+  return headA === headB ? Math.round(weight / 2) : 0;
+}
+
+function parentLabel(person) {
+  if (!person) return '';
+  return normalizeName(`${person.name ?? ''} ${person.surname ?? ''}`);
+}
+
+function compareParents(a, b, lookupA, lookupB, field) {
+  const pa = parentLabel(a[field] ? lookupA(a[field]) : null);
+  const pb = parentLabel(b[field] ? lookupB(b[field]) : null);
+  if (!pa || !pb) return 0;
+  if (pa === pb) return WEIGHTS.parent;
+  const firstA = pa.split(' ')[0];
+  const firstB = pb.split(' ')[0];
+  return firstA === firstB ? Math.round(WEIGHTS.parent / 2) : WEIGHTS.parentMismatch;
+}
+
+/**
+ * Score a pair of persons.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {{ lookupA?: (id: string) => Object|undefined, lookupB?: (id: string) => Object|undefined }} [options]
+ *   resolve parent ids on each side; parents are skipped without them
+ * @returns {{ score: number, reasons: string[] }} reasons lists the fields that agreed
+ */
+export function scorePersonMatch(a, b, options = {}) {
+  const lookupA = options.lookupA ?? (() => undefined);
+  const lookupB = options.lookupB ?? (() => undefined);
+
+  if (a.gender && b.gender && a.gender !== b.gender) return { score: 0, reasons: [] };
+  const nameScore = compareGivenNames(a.name, b.name);
+  if (!nameScore) return { score: 0, reasons: [] };
+
+  const parts = {
+    name: nameScore,
+    surname: compareFamilyNames(a, b),
+    birth_date: compareDates(a.birth?.date, b.birth?.date, 'birth'),
+    birth_place: comparePlaces(a.birth?.place, b.birth?.place, WEIGHTS.birthPlace),
+    death_date: compareDates(a.death?.date, b.death?.date, 'death'),
+    death_place: comparePlaces(a.death?.place, b.death?.place, WEIGHTS.deathPlace),
+    father: compareParents(a, b, lookupA, lookupB, 'fatherId'),
+    mother: compareParents(a, b, lookupA, lookupB, 'motherId')
+  };
+
+  let score = 0;
+  const reasons = [];
+  for (const [key, value] of Object.entries(parts)) {
+    score += value;
+    if (value > 0) reasons.push(key);
+  }
+  return { score: Math.max(0, score), reasons };
+}
+
+function blockingKey(person) {
+  return normalizeName(person.name).slice(0, 2);
+}
+
+/**
+ * Pair incoming persons with likely duplicates already in the tree. Each person
+ * appears in at most one pair; the highest-scoring pairs win.
+ * @param {Object[]} incoming
+ * @param {Object[]} existing
+ * @param {{ threshold?: number }} [options]
+ * @returns {{ incomingId: string, existingId: string, score: number, reasons: string[] }[]}
+ *   sorted by descending score
+ */
+export function findDuplicateCandidates(incoming, existing, options = {}) {
+  const threshold = options.threshold ?? MATCH_THRESHOLD;
+  const incomingById = new Map(incoming.map((p) => [p.id, p]));
+  const existingById = new Map(existing.map((p) => [p.id, p]));
+  const lookupA = (id) => incomingById.get(id);
+  const lookupB = (id) => existingById.get(id);
+
+  const blocks = new Map();
+  for (const person of existing) {
+    const key = blockingKey(person);
+    if (!key) continue;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(person);
+  }
+
+  const pairs = [];
+  for (const person of incoming) {
+    for (const candidate of blocks.get(blockingKey(person)) ?? []) {
+      const { score, reasons } = scorePersonMatch(person, candidate, { lookupA, lookupB });
+      if (score >= threshold) {
+        pairs.push({ incomingId: person.id, existingId: candidate.id, score, reasons });
+      }
+    }
+  }
+
+  pairs.sort((x, y) => y.score - x.score);
+  const usedIncoming = new Set();
+  const usedExisting = new Set();
+  return pairs.filter((pair) => {
+    if (usedIncoming.has(pair.incomingId) || usedExisting.has(pair.existingId)) return false;
+    usedIncoming.add(pair.incomingId);
+    usedExisting.add(pair.existingId);
+    return true;
+  });
+}
@@ -0,0 +1,205 @@
+// person-merge.js - combine two person records into one.
+// The GEDCOM merge import and the in-tree "merge persons" action share these rules.
+
+/**
+ * Fields the user picks a side for. Everything list-shaped (marriages, events,
+ * alternate names, unmapped GEDCOM data) is combined instead.
+ */
+export const MERGE_FIELDS = [
+  'name',
+  'surname',
+  'maidenName',
+  'fatherName',
+  'gender',
+  'birth',
+  'death',
+  'fatherId',
+  'motherId',
+  'spouseId',
+  'notes',
+  'photo'
+];
+
+export function isEmptyFieldValue(value) {
+  if (value == null || value === '') return true;
+  if (typeof value === 'object') {
+    if ('date' in value || 'place' in value) return !value.date && !value.place && !value.note;
+    return Object.keys(value).length === 0;
+  }
+  return false;
+}
+
+/**
+ * Default side for every field: keep the primary value unless it is empty and
+ * the other record has one.
+ * @returns {Object<string, 'primary'|'secondary'>}
+ */
+export function defaultFieldChoices(primary, secondary) {
+  const choices = {};
+  for (const field of MERGE_FIELDS) {
+    choices[field] = isEmptyFieldValue(primary[field]) && !isEmptyFieldValue(secondary[field])
+      ? 'secondary'
+      : 'primary';
+  }
+  return choices;
+}
+
+/** Fields where both records hold a value and the values differ. */
+export function conflictingFields(primary, secondary) {
+  return MERGE_FIELDS.filter((field) =>
+    !isEmptyFieldValue(primary[field]) &&
+    !isEmptyFieldValue(secondary[field]) &&
+    JSON.stringify(primary[field]) !== JSON.stringify(secondary[field]));
+}
+
+function unionBy(first, second, keyOf) {
+  const seen = new Set(first.map(keyOf));
+  return [...first, ...second.filter((item) => !seen.has(keyOf(item)))];
+}
+
+function mergeMarriages(primary, secondary, ownIds) {
+  const result = primary.map((m) => ({ ...m }));
+  for (const marriage of secondary) {
+    if (ownIds.includes(marriage.spouseId)) continue;
+    // A marriage with no spouse (a one-parent family) has nothing to match on
+    const match = marriage.spouseId
+      ? result.find((m) => m.spouseId === marriage.spouseId)
+      : result.find((m) => m.id === marriage.id);
+    if (!match) {
+      result.push({ ...marriage });
+      continue;
+    }
+    for (const key of ['date', 'place', 'note']) {
+      if (isEmptyFieldValue(match[key]) && !isEmptyFieldValue(marriage[key])) match[key] = marriage[key];
+    }
+    match.events = unionBy(match.events ?? [], marriage.events ?? [], (e) => e.id);
+    match.unmapped = unionBy(match.unmapped ?? [], marriage.unmapped ?? [], unmappedKey);
+  }
+  return result.filter((m) => !ownIds.includes(m.spouseId));
+}
+
+// The same GEDCOM line imported into both records is kept once
+const unmappedKey = (node) => JSON.stringify(node);
+const eventKey = (e) => `${e.type}|${JSON.stringify(e.date ?? null)}|${e.place ?? ''}|${e.description ?? ''}`;
+const altNameKey = (n) => `${n.given ?? ''}|${n.surname ?? ''}|${n.type ?? ''}`;
+
+/**
+ * Merge `secondary` into `primary`. The result keeps the primary id.
+ * @param {Object} primary
+ * @param {Object} secondary
+ * @param {Object<string, 'primary'|'secondary'>} [choices] - per MERGE_FIELDS key; defaults via defaultFieldChoices
+ * @returns {Object} merged person
+ */
+export function mergePersonRecords(primary, secondary, choices = defaultFieldChoices(primary, secondary)) {
+  const merged = { ...primary };
+  for (const field of MERGE_FIELDS) {
+    if (choices[field] === 'secondary') merged[field] = secondary[field];
+  }
+
+  // A person can't be their own parent or spouse after the two records collapse
+  for (const field of ['fatherId', 'motherId', 'spouseId']) {
+    if (merged[field] === primary.id || merged[field] === secondary.id) merged[field] = '';
+  }
+
+  merged.marriages = mergeMarriages(primary.marriages ?? [], secondary.marriages ?? [], [primary.id, secondary.id]);
+  if (!merged.spouseId) merged.spouseId = merged.marriages.find((m) => m.spouseId)?.spouseId ?? '';
+
+  merged.events = unionBy(primary.events ?? [], secondary.events ?? [], eventKey);
+  merged.altNames = unionBy(primary.altNames ?? [], secondary.altNames ?? [], altNameKey);
+  merged.unmapped = unionBy(primary.unmapped ?? [], secondary.unmapped ?? [], unmappedKey);
+
+  // Keep the name the user did not pick as an alternate name
+  const dropped = choices.name === 'secondary' ? primary : secondary;
+  if ((dropped.name !== merged.name || dropped.surname !== merged.surname) && dropped.name) {
+    merged.altNames = unionBy(merged.altNames, [{ given: dropped.name, surname: dropped.surname ?? '', type: 'aka' }], altNameKey);
+  }
+  for (const key of ['events', 'altNames', 'unmapped']) {
+    if (!merged[key].length && !(key in primary) && !(key in secondary)) delete merged[key];
+  }
+  return merged;
+}
+
+/**
+ * Rewrite person references through `idMap` (old id → new id): parents,
+ * spouse, marriages and person pointers kept in unmapped GEDCOM data.
+ */
+export function remapPersonRefs(person, idMap) {
+  const map = (id) => (id && idMap.has(id) ? idMap.get(id) : id);
+  const remapNodes = (nodes) => nodes?.map((node) => ({
+    ...node,
+    ...(node.ref?.type === 'person' ? { ref: { ...node.ref, id: map(node.ref.id) } } : {}),
+    ...(node.children ? { children: remapNodes(node.children) } : {})
+  }));
+
+  const result = {
+    ...person,
+    fatherId: map(person.fatherId),
+    motherId: map(person.motherId),
+    spouseId: map(person.spouseId),
+    marriages: (person.marriages ?? []).map((m) => ({ ...m, spouseId: map(m.spouseId) }))
+  };
+  if (person.unmapped) result.unmapped = remapNodes(person.unmapped);
+  return result;
+}
+
+/**
+ * Make both sides of every marriage agree: one entry per spouse pair, with the
+ * same marriage id on each side. Mutates the persons in `byId`.
+ * @param {Map<string, Object>} byId
+ */
+export function reconcileMarriages(byId) {
+  for (const person of byId.values()) {
+    const seen = new Set();
+    person.marriages = (person.marriages ?? []).filter((m) => {
+      if (!m.spouseId) return true;
+      if (m.spouseId === person.id || seen.has(m.spouseId)) return false;
+      seen.add(m.spouseId);
+      return true;
+    });
+  }
+
+  for (const person of byId.values()) {
+    for (const marriage of person.marriages) {
+      const spouse = byId.get(marriage.spouseId);
+      if (!spouse) continue;
+      const mirror = spouse.marriages.find((m) => m.spouseId === person.id);
+      if (!mirror) {
+        spouse.marriages.push({ ...marriage, spouseId: person.id });
+      } else if (mirror.id !== marriage.id) {
+        mirror.id = marriage.id;
+      }
+    }
+  }
+}
+
+/**
+ * Fold reviewed import pairs into the existing tree.
+ * @param {Object[]} existing - persons already in the tree
+ * @param {Object[]} incoming - persons from the imported file
+ * @param {{ incomingId: string, existingId: string, action: 'accept'|'reject', choices?: Object }[]} decisions
+ *   `choices` use 'primary' for the existing record and 'secondary' for the imported one
+ * @returns {Object[]} persons to load
+ */
+export function applyImportMerge(existing, incoming, decisions) {
+  const idMap = new Map(
+    decisions.filter((d) => d.action === 'accept').map((d) => [d.incomingId, d.existingId])
+  );
+  const incomingById = new Map(incoming.map((p) => [p.id, remapPersonRefs(p, idMap)]));
+  const existingIds = new Set(existing.map((p) => p.id));
+
+  const byId = new Map(existing.map((p) => [p.id, { ...p, marriages: (p.marriages ?? []).map((m) => ({ ...m })) }]));
+  for (const decision of decisions) {
+    if (decision.action !== 'accept') continue;
+    const primary = byId.get(decision.existingId);
+    const secondary = incomingById.get(decision.incomingId);
+    if (!primary || !secondary) continue;
+    byId.set(primary.id, mergePersonRecords(primary, secondary, decision.choices));
+  }
+  for (const person of incomingById.values()) {
+    if (idMap.has(person.id) || existingIds.has(person.id)) continue;
+    byId.set(person.id, person);
+  }
+
+  reconcileMarriages(byId);
+  return Array.from(byId.values());
+}
@@ -0,0 +1,402 @@
+// place-model.js
+// The place authority: each place once, in a hierarchy (city → county →
+// country), with alternate names per language, historical names with the
+// years they were in use, and optional coordinates entered by hand.
+//
+// Persons keep places as text (`birth.place`, `marriages[].place`,
+// `events[].place`). The registry supplies the canonical text, e.g.
+// "Kyiv, Kyiv Oblast, Ukraine", to autocomplete, and the normalize tool
+// rewrites the variants found in the tree to it.
+
+export const PLACE_TYPES = Object.freeze([
+  'city',
+  'town',
+  'village',
+  'parish',
+  'district',
+  'county',
+  'region',
+  'country',
+  'other'
+]);
+
+/**
+ * @typedef {Object} Place
+ * @property {string} id
+ * @property {string} name - current name in the tree's main language
+ * @property {string} type - one of PLACE_TYPES
+ * @property {string} parentId - '' for a top-level place
+ * @property {{name: string, lang: string}[]} altNames - e.g. { name: 'Київ', lang: 'uk' }
+ * @property {{name: string, from: number|null, to: number|null}[]} historicalNames - years, both ends inclusive
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {string} note
+ */
+
+export function makePlaceId() {
+  return `place_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function parseYear(value) {
+  const year = Number.parseInt(value, 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+function parseCoordinate(value, limit) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+/**
+ * @param {Object} [fields]
+ * @returns {Place}
+ */
+export function makePlace(fields = {}) {
+  return {
+    id: fields.id || makePlaceId(),
+    name: fields.name?.trim() || '',
+    type: PLACE_TYPES.includes(fields.type) ? fields.type : 'other',
+    parentId: fields.parentId || '',
+    altNames: (fields.altNames || [])
+      .map((alt) => ({ name: alt.name?.trim() || '', lang: alt.lang?.trim() || '' }))
+      .filter((alt) => alt.name),
+    historicalNames: (fields.historicalNames || [])
+      .map((old) => ({ name: old.name?.trim() || '', from: parseYear(old.from), to: parseYear(old.to) }))
+      .filter((old) => old.name),
+    latitude: parseCoordinate(fields.latitude, 90),
+    longitude: parseCoordinate(fields.longitude, 180),
+    note: fields.note?.trim() || ''
+  };
+}
+
+/**
+ * Whether a coordinate typed by the user is empty or usable.
+ * @param {string} value
+ * @param {'latitude'|'longitude'} axis
+ * @returns {boolean}
+ */
+export function isValidCoordinate(value, axis) {
+  if (String(value ?? '').trim() === '') return true;
+  return parseCoordinate(value, axis === 'latitude' ? 90 : 180) !== null;
+}
+
+/**
+ * The place and its ancestors, innermost first. Stops at a missing parent
+ * or a loop.
+ * @param {Place} place
+ * @param {Map<string, Place>} byId
+ * @returns {Place[]}
+ */
+export function placeChain(place, byId) {
+  const chain = [];
+  const seen = new Set();
+  let current = place;
+  while (current && !seen.has(current.id)) {
+    chain.push(current);
+    seen.add(current.id);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return chain;
+}
+
+/**
+ * Text written into person records, e.g. "Kyiv, Kyiv Oblast, Ukraine".
+ * @param {Place} place
+ * @param {Map<string, Place>} byId
+ * @returns {string}
+ */
+export function placeFullName(place, byId) {
+  return placeChain(place, byId).map((p) => p.name).filter(Boolean).join(', ');
+}
+
+/**
+ * Whether making `parentId` the parent of `placeId` would put the place
+ * inside itself.
+ * @param {string} placeId
+ * @param {string} parentId
+ * @param {Map<string, Place>} byId
+ * @returns {boolean}
+ */
+export function wouldCreateCycle(placeId, parentId, byId) {
+  if (!parentId) return false;
+  const parent = byId.get(parentId);
+  return parentId === placeId || Boolean(parent && placeChain(parent, byId).some((p) => p.id === placeId));
+}
+
+/**
+ * Every name a place is known by: current, alternate and historical.
+ * @param {Place} place
+ * @returns {{name: string, lang?: string, from?: number|null, to?: number|null}[]}
+ */
+export function placeNames(place) {
+  return [
+    { name: place.name },
+    ...(place.altNames || []),
+    ...(place.historicalNames || [])
+  ].filter((entry) => entry.name);
+}
+
+/**
+ * Lowercase, without accents, punctuation or repeated spaces, so that
+ * "Köln" and "koln" or "St. Petersburg" and "St Petersburg" compare equal.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizePlaceText(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function firstPart(text) {
+  return normalizePlaceText(String(text ?? '').split(',')[0]);
+}
+
+/**
+ * Registry places matching what a user typed, best first. A place matches
+ * when one of its names, or its full name, starts with the query or has a
+ * word that does.
+ * @param {string} query
+ * @param {Place[]} places
+ * @param {number} [limit]
+ * @returns {{place: Place, fullName: string, alias: Object|null}[]} alias is
+ *   the alternate or historical name that matched, null for the current name
+ */
+export function suggestPlaces(query, places, limit = 8) {
+  const needle = normalizePlaceText(query);
+  if (!needle) return [];
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const results = [];
+
+  for (const place of places) {
+    const fullName = placeFullName(place, byId);
+    let best = null;
+    for (const [index, entry] of placeNames(place).entries()) {
+      const name = normalizePlaceText(entry.name);
+      const rank = name === needle ? 0
+        : name.startsWith(needle) ? 1
+          : name.split(' ').some((word) => word.startsWith(needle)) ? 2
+            : null;
+      if (rank !== null && (!best || rank < best.rank)) best = { rank, length: name.length, alias: index === 0 ? null : entry };
+    }
+    if (!best && normalizePlaceText(fullName).startsWith(needle)) best = { rank: 1, length: fullName.length, alias: null };
+    if (best) results.push({ place, fullName, ...best });
+  }
+
+  // Among equal matches the closest name wins: "kyi" suggests Kyiv before Kyiv Oblast
+  return results
+    .sort((a, b) => a.rank - b.rank || a.length - b.length || a.fullName.localeCompare(b.fullName))
+    .slice(0, limit)
+    .map(({ place, fullName, alias }) => ({ place, fullName, alias }));
+}
+
+/**
+ * The registry place a free-text place refers to: one whose full name is
+ * the text, or one of whose names is the text's first part.
+ * @param {string} text
+ * @param {Place[]} places
+ * @returns {Place|null}
+ */
+export function findPlaceForText(text, places) {
+  return placeMatcher(places)(text);
+}
+
+/**
+ * A function giving the canonical text of a free-text place: the full name
+ * of its registry place, else the text itself, trimmed.
+ * @param {Place[]} places
+ * @returns {(text: string) => string}
+ */
+export function placeNameResolver(places) {
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const match = placeMatcher(places);
+  return (text) => {
+    const place = match(text);
+    return place ? placeFullName(place, byId) : String(text ?? '').trim();
+  };
+}
+
+/**
+ * A function naming the country of a free-text place: the country of its
+ * registry place, else the text's last part ("Odessa, Ukraine" → "Ukraine").
+ * Returns '' for an empty place.
+ * @param {Place[]} places
+ * @returns {(text: string) => string}
+ */
+export function placeCountryResolver(places) {
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const match = placeMatcher(places);
+  return (text) => {
+    if (!String(text ?? '').trim()) return '';
+    const place = match(text);
+    if (place) {
+      const chain = placeChain(place, byId);
+      return (chain.find((p) => p.type === 'country') || chain[chain.length - 1]).name;
+    }
+    return String(text).split(',').pop().trim();
+  };
+}
+
+/**
+ * A function locating a free-text place: the coordinates of its registry
+ * place, else of the nearest enclosing place that has them (`exact` false).
+ * Returns null for a place without a located registry match.
+ * @param {Place[]} places
+ * @returns {(text: string) => {latitude: number, longitude: number, place: Place, exact: boolean}|null}
+ */
+export function placeCoordinatesResolver(places) {
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const match = placeMatcher(places);
+  return (text) => {
+    if (!String(text ?? '').trim()) return null;
+    const place = match(text);
+    if (!place) return null;
+    const located = placeChain(place, byId)
+      .find((p) => Number.isFinite(p.latitude) && Number.isFinite(p.longitude));
+    if (!located) return null;
+    return { latitude: located.latitude, longitude: located.longitude, place: located, exact: located === place };
+  };
+}
+
+function placeMatcher(places) {
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const byFullName = new Map();
+  const byName = new Map();
+  for (const place of places) {
+    byFullName.set(normalizePlaceText(placeFullName(place, byId)), place);
+    for (const entry of placeNames(place)) {
+      const key = normalizePlaceText(entry.name);
+      if (!byName.has(key)) byName.set(key, new Set());
+      byName.get(key).add(place);
+    }
+  }
+  return (text) => {
+    const exact = byFullName.get(normalizePlaceText(text));
+    if (exact) return exact;
+    const candidates = byName.get(firstPart(text));
+    return candidates?.size === 1 ? [...candidates][0] : null;
+  };
+}
+
+/**
+ * How often each place text is used in the tree. A marriage is stored on
+ * both spouses but counted once.
+ * @param {Object[]} persons
+ * @returns {Map<string, number>}
+ */
+export function collectPlaceUsage(persons) {
+  const usage = new Map();
+  const seenMarriages = new Set();
+  const add = (place) => {
+    const text = place?.trim();
+    if (text) usage.set(text, (usage.get(text) || 0) + 1);
+  };
+  for (const person of persons) {
+    add(person.birth?.place);
+    add(person.death?.place);
+    for (const marriage of person.marriages || []) {
+      if (marriage.id && seenMarriages.has(marriage.id)) continue;
+      if (marriage.id) seenMarriages.add(marriage.id);
+      add(marriage.place);
+    }
+    for (const event of person.events || []) add(event.place);
+  }
+  return usage;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Group place texts that probably name the same place: texts that belong to
+ * the same registry place, that start with the same name ("Kyiv" and "Kyiv,
+ * Ukraine"), or whose names differ by one typo ("Hamburg" and "Hamberg").
+ * Only groups with something to merge are returned, largest first.
+ * @param {Map<string, number>} usage - from collectPlaceUsage()
+ * @param {Place[]} places
+ * @returns {{variants: {text: string, count: number}[], place: Place|null, target: string}[]}
+ */
+export function clusterPlaces(usage, places) {
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const texts = [...usage.keys()];
+  const parent = texts.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  const linked = texts.map(placeMatcher(places));
+  const heads = texts.map(firstPart);
+  const firstByKey = new Map();
+  texts.forEach((_, i) => {
+    const key = linked[i] ? `place:${linked[i].id}` : `name:${heads[i]}`;
+    if (firstByKey.has(key)) union(i, firstByKey.get(key));
+    else firstByKey.set(key, i);
+  });
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      if (linked[i] && linked[j] && linked[i] !== linked[j]) continue;
+      if (heads[i].length >= 5 && heads[j].length >= 5 && editDistance(heads[i], heads[j]) === 1) union(i, j);
+    }
+  }
+
+  const groups = new Map();
+  texts.forEach((text, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    const variants = members
+      .map((i) => ({ text: texts[i], count: usage.get(texts[i]) }))
+      .sort((a, b) => b.count - a.count || b.text.length - a.text.length || a.text.localeCompare(b.text));
+    const placeIds = new Set(members.map((i) => linked[i]?.id).filter(Boolean));
+    const place = placeIds.size === 1 ? byId.get([...placeIds][0]) : null;
+    const target = place ? placeFullName(place, byId) : variants[0].text;
+    if (variants.length < 2 && variants[0].text === target) continue;
+    clusters.push({ variants, place, target });
+  }
+  return clusters.sort((a, b) => total(b) - total(a) || a.target.localeCompare(b.target));
+}
+
+function total(cluster) {
+  return cluster.variants.reduce((sum, v) => sum + v.count, 0);
+}
+
+/**
+ * A person with place texts replaced, or the same object when nothing
+ * changed.
+ * @param {Object} person
+ * @param {Map<string, string>} replacements - old text → new text
+ * @returns {Object}
+ */
+export function replacePlaceTexts(person, replacements) {
+  let changed = false;
+  const swap = (event) => {
+    const next = event?.place ? replacements.get(event.place.trim()) : undefined;
+    if (next === undefined || next === event.place) return event;
+    changed = true;
+    return { ...event, place: next };
+  };
+  const updated = {
+    ...person,
+    birth: person.birth ? swap(person.birth) : person.birth,
+    death: person.death ? swap(person.death) : person.death,
+    marriages: Array.isArray(person.marriages) ? person.marriages.map(swap) : person.marriages,
+    events: Array.isArray(person.events) ? person.events.map(swap) : person.events
+  };
+  return changed ? updated : person;
+}
@@ -0,0 +1,65 @@
+// place-store.js
+// In-memory copy of the open tree's place registry, so place inputs can
+// autocomplete without waiting on IndexedDB. Every tree has its own
+// repository instance, so a repository change means a tree switch.
+
+let cachedRepo = null;
+let cached = [];
+
+/**
+ * Load the registry of the tree behind `repo`, reusing what is loaded.
+ * @param {import('../../data/repositories/indexed-db-repository.js').IndexedDBRepository} repo
+ * @returns {Promise<import('./place-model.js').Place[]>}
+ */
+export async function loadPlaces(repo) {
+  if (!repo) return [];
+  if (cachedRepo === repo) return cached;
+  const places = await repo.getPlaces();
+  cachedRepo = repo;
+  cached = places;
+  return cached;
+}
+
+/**
+ * Places loaded by the last loadPlaces(); empty before that.
+ * @returns {import('./place-model.js').Place[]}
+ */
+export function getLoadedPlaces() {
+  return cached;
+}
+
+/**
+ * @param {Object} repo
+ * @param {import('./place-model.js').Place} place
+ */
+export async function storePlace(repo, place) {
+  await loadPlaces(repo);
+  await repo.savePlace(place);
+  cached = [...cached.filter((p) => p.id !== place.id), place];
+}
+
+/**
+ * Delete a place. Places inside it move up to its parent.
+ * @param {Object} repo
+ * @param {string} id
+ */
+export async function removePlace(repo, id) {
+  await loadPlaces(repo);
+  const place = cached.find((p) => p.id === id);
+  if (!place) return;
+  const children = cached
+    .filter((p) => p.parentId === id)
+    .map((p) => ({ ...p, parentId: place.parentId || '' }));
+  await repo.savePlaces(children);
+  await repo.deletePlace(id);
+  const moved = new Map(children.map((p) => [p.id, p]));
+  cached = cached.filter((p) => p.id !== id).map((p) => moved.get(p.id) || p);
+}
+
+/**
+ * Forget the loaded registry, e.g. after a file import wrote new places.
+ */
+export function resetPlaces() {
+  cachedRepo = null;
+  cached = [];
+}
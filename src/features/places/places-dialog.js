@@ -0,0 +1,479 @@
+import { notifications } from '../../ui/components/notifications.js';
+import {
+  PLACE_TYPES,
+  makePlace,
+  isValidCoordinate,
+  placeFullName,
+  wouldCreateCycle,
+  normalizePlaceText,
+  collectPlaceUsage,
+  clusterPlaces
+} from './place-model.js';
+import { loadPlaces, storePlace, removePlace } from './place-store.js';
+
+let currentTreeCore = null;
+let places = [];
+let selectedId = null;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+/**
+ * Open the place registry of the open tree, or its normalize tool.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @param {'registry'|'normalize'} [view]
+ */
+export async function openPlacesDialog(treeCore, view = 'registry') {
+  const modal = document.getElementById('placesModal');
+  const repo = treeCore?.cacheManager?.getIdbRepo?.();
+  if (!modal || !repo) return;
+
+  currentTreeCore = treeCore;
+  wireDialog(modal);
+  try {
+    places = await loadPlaces(repo);
+  } catch (error) {
+    console.error('Loading places failed:', error);
+    places = [];
+  }
+  selectedId = null;
+  modal.classList.remove('hidden');
+  showView(view);
+}
+
+function closeDialog() {
+  document.getElementById('placesModal')?.classList.add('hidden');
+  // Views placing events by the registry (the map) pick up edited coordinates
+  document.dispatchEvent(new CustomEvent('places:closed'));
+}
+
+function repo() {
+  return currentTreeCore?.cacheManager?.getIdbRepo?.();
+}
+
+function byId() {
+  return new Map(places.map((p) => [p.id, p]));
+}
+
+function typeLabel(type) {
+  return t(`builder.places.types.${type}`, type.charAt(0).toUpperCase() + type.slice(1));
+}
+
+function showView(view) {
+  document.querySelectorAll('#placesModal .places-tab').forEach((tab) => {
+    const active = tab.dataset.view === view;
+    tab.classList.toggle('active', active);
+    tab.setAttribute('aria-selected', String(active));
+  });
+  document.getElementById('placesRegistryView').hidden = view !== 'registry';
+  document.getElementById('placesNormalizeView').hidden = view !== 'normalize';
+  if (view === 'normalize') {
+    renderClusters();
+  } else {
+    renderList();
+    renderForm();
+  }
+}
+
+// ── Registry ─────────────────────────────────────────────────────────────────
+
+/** Places depth-first under their parents, each with its depth. */
+function placeOutline() {
+  const index = byId();
+  const children = new Map();
+  for (const place of places) {
+    // Places whose parent is gone, or that sit in a loop, are listed at the top
+    const parentId = place.parentId && index.has(place.parentId) && !wouldCreateCycle(place.id, place.parentId, index)
+      ? place.parentId
+      : '';
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(place);
+  }
+  const outline = [];
+  const visit = (parentId, depth) => {
+    const level = (children.get(parentId) || []).sort((a, b) => a.name.localeCompare(b.name));
+    for (const place of level) {
+      outline.push({ place, depth });
+      visit(place.id, depth + 1);
+    }
+  };
+  visit('', 0);
+  return outline;
+}
+
+function renderList() {
+  const list = document.getElementById('placesList');
+  if (!list) return;
+  const filter = normalizePlaceText(document.getElementById('placesFilter')?.value);
+  const index = byId();
+
+  list.innerHTML = '';
+  for (const { place, depth } of placeOutline()) {
+    const fullName = placeFullName(place, index);
+    if (filter && !normalizePlaceText(fullName).includes(filter)) continue;
+
+    const item = document.createElement('li');
+    item.className = 'places-item';
+    if (place.id === selectedId) item.classList.add('selected');
+    item.dataset.placeId = place.id;
+    // Filtered lists show full names, so the indentation would only mislead
+    item.style.paddingLeft = `${0.6 + (filter ? 0 : depth) * 1.1}rem`;
+
+    const name = document.createElement('span');
+    name.className = 'places-item-name';
+    name.textContent = filter ? fullName : place.name;
+    const type = document.createElement('span');
+    type.className = 'places-item-type';
+    type.textContent = typeLabel(place.type);
+    item.appendChild(name);
+    item.appendChild(type);
+    list.appendChild(item);
+  }
+
+  if (!list.children.length) {
+    const empty = document.createElement('li');
+    empty.className = 'places-empty';
+    empty.textContent = places.length
+      ? t('builder.places.no_match', 'No place matches the filter')
+      : t('builder.places.empty', 'No places yet. Add the first one.');
+    list.appendChild(empty);
+  }
+}
+
+function renderForm() {
+  const form = document.getElementById('placeForm');
+  if (!form) return;
+  const place = selectedId === 'new' ? makePlace() : places.find((p) => p.id === selectedId);
+  form.hidden = !place;
+  if (!place) return;
+
+  form.dataset.placeId = selectedId === 'new' ? '' : place.id;
+  form.elements.name.value = place.name;
+  fillTypeSelect(form.elements.type, place.type);
+  fillParentSelect(form.elements.parentId, place);
+  form.elements.latitude.value = place.latitude ?? '';
+  form.elements.longitude.value = place.longitude ?? '';
+  form.elements.note.value = place.note;
+
+  const altNames = document.getElementById('placeAltNames');
+  altNames.innerHTML = '';
+  for (const alt of place.altNames) altNames.appendChild(altNameRow(alt));
+  const historicalNames = document.getElementById('placeHistoricalNames');
+  historicalNames.innerHTML = '';
+  for (const old of place.historicalNames) historicalNames.appendChild(historicalNameRow(old));
+
+  document.getElementById('placeDelete').hidden = selectedId === 'new';
+  showFormError('');
+}
+
+function fillTypeSelect(select, value) {
+  select.innerHTML = '';
+  for (const type of PLACE_TYPES) {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = typeLabel(type);
+    select.appendChild(option);
+  }
+  select.value = value;
+}
+
+function fillParentSelect(select, place) {
+  const index = byId();
+  select.innerHTML = '';
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = t('builder.places.no_parent', '— none —');
+  select.appendChild(none);
+  for (const { place: candidate } of placeOutline()) {
+    if (wouldCreateCycle(place.id, candidate.id, index)) continue;
+    const option = document.createElement('option');
+    option.value = candidate.id;
+    option.textContent = placeFullName(candidate, index);
+    select.appendChild(option);
+  }
+  select.value = place.parentId && index.has(place.parentId) ? place.parentId : '';
+}
+
+function removableRow(className, fields) {
+  const row = document.createElement('div');
+  row.className = className;
+  for (const { name, value, placeholder, type = 'text', size } of fields) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = value ?? '';
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    if (size) input.size = size;
+    row.appendChild(input);
+  }
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'place-name-remove';
+  remove.setAttribute('aria-label', t('builder.places.remove_name', 'Remove name'));
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => row.remove());
+  row.appendChild(remove);
+  return row;
+}
+
+function altNameRow(alt = {}) {
+  return removableRow('place-alt-name', [
+    { name: 'altName', value: alt.name, placeholder: t('builder.places.alt_name', 'Name') },
+    { name: 'altLang', value: alt.lang, placeholder: t('builder.places.alt_lang', 'Language, e.g. uk'), size: 6 }
+  ]);
+}
+
+function historicalNameRow(old = {}) {
+  return removableRow('place-historical-name', [
+    { name: 'historicalName', value: old.name, placeholder: t('builder.places.historical_name', 'Name') },
+    { name: 'historicalFrom', value: old.from, placeholder: t('builder.places.from_year', 'From year'), type: 'number', size: 6 },
+    { name: 'historicalTo', value: old.to, placeholder: t('builder.places.to_year', 'To year'), type: 'number', size: 6 }
+  ]);
+}
+
+function showFormError(message) {
+  const error = document.getElementById('placeFormError');
+  if (!error) return;
+  error.textContent = message;
+  error.hidden = !message;
+}
+
+function readForm(form) {
+  const rows = (selector, read) => Array.from(form.querySelectorAll(selector), read);
+  return {
+    id: form.dataset.placeId || undefined,
+    name: form.elements.name.value,
+    type: form.elements.type.value,
+    parentId: form.elements.parentId.value,
+    altNames: rows('.place-alt-name', (row) => ({
+      name: row.querySelector('[name="altName"]').value,
+      lang: row.querySelector('[name="altLang"]').value
+    })),
+    historicalNames: rows('.place-historical-name', (row) => ({
+      name: row.querySelector('[name="historicalName"]').value,
+      from: row.querySelector('[name="historicalFrom"]').value,
+      to: row.querySelector('[name="historicalTo"]').value
+    })),
+    latitude: form.elements.latitude.value,
+    longitude: form.elements.longitude.value,
+    note: form.elements.note.value
+  };
+}
+
+async function handleSave(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const fields = readForm(form);
+
+  if (!fields.name.trim()) {
+    showFormError(t('builder.places.name_required', 'Enter the name of the place'));
+    return;
+  }
+  if (!isValidCoordinate(fields.latitude, 'latitude') || !isValidCoordinate(fields.longitude, 'longitude')) {
+    showFormError(t('builder.places.invalid_coordinates', 'Latitude must be between -90 and 90, longitude between -180 and 180'));
+    return;
+  }
+  const invalidYears = fields.historicalNames.some((old) => old.from && old.to && Number(old.from) > Number(old.to));
+  if (invalidYears) {
+    showFormError(t('builder.places.invalid_years', 'A historical name cannot end before it starts'));
+    return;
+  }
+
+  const place = makePlace(fields);
+  const before = fullNames();
+  try {
+    await storePlace(repo(), place);
+  } catch (error) {
+    console.error('Saving place failed:', error);
+    showFormError(t('builder.places.save_failed', 'The place could not be saved'));
+    return;
+  }
+  places = await loadPlaces(repo());
+  selectedId = place.id;
+  renderList();
+  renderForm();
+  notifications.success(t('builder.places.saved', 'Place saved'), placeFullName(place, byId()));
+  renameUsedPlaces(before);
+}
+
+function fullNames() {
+  const index = byId();
+  return new Map(places.map((p) => [p.id, placeFullName(p, index)]));
+}
+
+// A renamed or moved place changes the full names of the place and of every
+// place inside it; persons using the old full names follow along.
+function renameUsedPlaces(before) {
+  if (!currentTreeCore) return;
+  const after = fullNames();
+  const usage = collectPlaceUsage(Array.from(currentTreeCore.personData.values()));
+  const replacements = new Map();
+  for (const [id, oldName] of before) {
+    const newName = after.get(id);
+    if (newName && newName !== oldName && usage.has(oldName)) replacements.set(oldName, newName);
+  }
+  if (!replacements.size) return;
+  const count = currentTreeCore.renamePlaces(replacements);
+  if (count) {
+    notifications.info(
+      t('builder.places.persons_updated_title', 'Places updated'),
+      t('builder.places.persons_updated', '{{count}} people now use the new place name').replace('{{count}}', String(count))
+    );
+  }
+}
+
+async function handleDelete() {
+  const place = places.find((p) => p.id === selectedId);
+  if (!place) return;
+  const message = t('builder.places.delete_confirm', 'Delete the place "{{name}}"? Places inside it move up one level.')
+    .replace('{{name}}', place.name);
+  if (!window.confirm(message)) return;
+  try {
+    await removePlace(repo(), place.id);
+  } catch (error) {
+    console.error('Deleting place failed:', error);
+    showFormError(t('builder.places.save_failed', 'The place could not be saved'));
+    return;
+  }
+  places = await loadPlaces(repo());
+  selectedId = null;
+  renderList();
+  renderForm();
+}
+
+function handleListClick(event) {
+  const item = event.target.closest('.places-item');
+  if (!item) return;
+  selectedId = item.dataset.placeId;
+  renderList();
+  renderForm();
+  document.getElementById('placeName')?.focus();
+}
+
+function handleAdd() {
+  selectedId = 'new';
+  renderList();
+  renderForm();
+  document.getElementById('placeName')?.focus();
+}
+
+// ── Normalize ────────────────────────────────────────────────────────────────
+
+function renderClusters() {
+  const list = document.getElementById('placeClusters');
+  if (!list || !currentTreeCore) return;
+  const usage = collectPlaceUsage(Array.from(currentTreeCore.personData.values()));
+  const clusters = clusterPlaces(usage, places);
+
+  list.innerHTML = '';
+  if (!clusters.length) {
+    const empty = document.createElement('li');
+    empty.className = 'places-empty';
+    empty.textContent = t('builder.places.nothing_to_normalize', 'Every place is written one way only. Nothing to merge.');
+    list.appendChild(empty);
+    return;
+  }
+
+  const index = byId();
+  for (const cluster of clusters) {
+    const item = document.createElement('li');
+    item.className = 'place-cluster';
+
+    const variants = document.createElement('div');
+    variants.className = 'place-cluster-variants';
+    for (const variant of cluster.variants) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = variant.text;
+      checkbox.checked = true;
+      const text = document.createElement('span');
+      text.className = 'place-cluster-text';
+      text.textContent = variant.text;
+      const count = document.createElement('span');
+      count.className = 'place-cluster-count';
+      count.textContent = t('builder.places.uses', '{{count}}×').replace('{{count}}', String(variant.count));
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      label.appendChild(count);
+      variants.appendChild(label);
+    }
+    item.appendChild(variants);
+
+    if (cluster.place) {
+      const registry = document.createElement('p');
+      registry.className = 'place-cluster-registry';
+      registry.textContent = t('builder.places.in_registry', 'In the registry as {{name}}')
+        .replace('{{name}}', placeFullName(cluster.place, index));
+      item.appendChild(registry);
+    }
+
+    const merge = document.createElement('div');
+    merge.className = 'place-cluster-merge';
+    const target = document.createElement('input');
+    target.type = 'text';
+    target.className = 'place-cluster-target';
+    target.value = cluster.target;
+    target.setAttribute('aria-label', t('builder.places.merge_into', 'Merge into'));
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-primary';
+    button.dataset.action = 'merge';
+    button.textContent = t('builder.places.merge', 'Merge');
+    merge.appendChild(target);
+    merge.appendChild(button);
+    item.appendChild(merge);
+
+    list.appendChild(item);
+  }
+}
+
+function handleClusterClick(event) {
+  const button = event.target.closest('button[data-action="merge"]');
+  const item = button?.closest('.place-cluster');
+  if (!item || !currentTreeCore) return;
+
+  const target = item.querySelector('.place-cluster-target').value.trim();
+  if (!target) return;
+  const replacements = new Map();
+  item.querySelectorAll('.place-cluster-variants input:checked').forEach((checkbox) => {
+    if (checkbox.value !== target) replacements.set(checkbox.value, target);
+  });
+  if (!replacements.size) return;
+
+  const count = currentTreeCore.renamePlaces(replacements);
+  notifications.success(
+    t('builder.places.merged', 'Places merged'),
+    t('builder.places.persons_updated', '{{count}} people now use the new place name').replace('{{count}}', String(count))
+  );
+  renderClusters();
+}
+
+function wireDialog(modal) {
+  if (modal.dataset.wired) return;
+  modal.dataset.wired = 'true';
+
+  document.getElementById('placesClose')?.addEventListener('click', closeDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeDialog(); });
+  modal.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeDialog(); });
+  modal.querySelectorAll('.places-tab').forEach((tab) => {
+    tab.addEventListener('click', () => showView(tab.dataset.view));
+  });
+  document.getElementById('placesFilter')?.addEventListener('input', renderList);
+  document.getElementById('placesList')?.addEventListener('click', handleListClick);
+  document.getElementById('placesAdd')?.addEventListener('click', handleAdd);
+  document.getElementById('placeForm')?.addEventListener('submit', handleSave);
+  document.getElementById('placeDelete')?.addEventListener('click', handleDelete);
+  document.getElementById('placeAddAltName')?.addEventListener('click', () => {
+    document.getElementById('placeAltNames')?.appendChild(altNameRow());
+  });
+  document.getElementById('placeAddHistoricalName')?.addEventListener('click', () => {
+    document.getElementById('placeHistoricalNames')?.appendChild(historicalNameRow());
+  });
+  document.getElementById('placeClusters')?.addEventListener('click', handleClusterClick);
+}
@@ -0,0 +1,208 @@
+// relationship-calculator.js - how two persons of the tree are related.
+// Pure: works on the personData map and knows nothing about the UI or i18n.
+
+/**
+ * @typedef {Object} Relation
+ * @property {'self'|'blood'|'spouse'|'step'|'in_law'} type
+ * @property {number} up - generations from the first person up to the common ancestor
+ * @property {number} down - generations from the common ancestor down to the second person
+ * @property {boolean} half - blood relation through one parent only
+ * @property {boolean} double - blood relation through two separate ancestor couples
+ * @property {'spouse'|'relative'} [side] - in-law only: relative of the spouse, or spouse of a relative
+ * @property {string[]} commonAncestors
+ * @property {string[][]} paths - person ids from the first person to the second, one per route
+ */
+
+function relation(type, fields = {}) {
+  return { type, up: 0, down: 0, half: false, double: false, commonAncestors: [], paths: [], ...fields };
+}
+
+/**
+ * Parent, child and spouse lookups for the whole tree. Spouse links are read
+ * from `spouseId` and `marriages` on either side.
+ * @param {Map<string, Object>} personData
+ */
+export function buildKinshipIndex(personData) {
+  const parents = new Map();
+  const children = new Map();
+  const spouses = new Map();
+  const link = (map, from, to) => {
+    if (!map.has(from)) map.set(from, new Set());
+    map.get(from).add(to);
+  };
+
+  for (const [id, person] of personData) {
+    const own = [person.fatherId, person.motherId].filter((pid) => pid && pid !== id && personData.has(pid));
+    parents.set(id, own);
+    for (const pid of own) link(children, pid, id);
+
+    const spouseIds = [person.spouseId, ...(person.marriages ?? []).map((m) => m.spouseId)];
+    for (const sid of spouseIds) {
+      if (!sid || sid === id || !personData.has(sid)) continue;
+      link(spouses, id, sid);
+      link(spouses, sid, id);
+    }
+  }
+
+  return {
+    parentsOf: (id) => parents.get(id) ?? [],
+    childrenOf: (id) => [...(children.get(id) ?? [])],
+    spousesOf: (id) => [...(spouses.get(id) ?? [])]
+  };
+}
+
+/** Breadth-first walk up the tree: ancestor id → { depth, from } (from = the child it was reached through). */
+function ancestorDepths(index, id) {
+  const depths = new Map([[id, { depth: 0, from: null }]]);
+  const queue = [id];
+  while (queue.length) {
+    const current = queue.shift();
+    const { depth } = depths.get(current);
+    for (const parentId of index.parentsOf(current)) {
+      if (depths.has(parentId)) continue;
+      depths.set(parentId, { depth: depth + 1, from: current });
+      queue.push(parentId);
+    }
+  }
+  return depths;
+}
+
+/** Ids from `ancestorId` down to the person the depths were computed for. */
+function chainDown(depths, ancestorId) {
+  const chain = [ancestorId];
+  let current = depths.get(ancestorId).from;
+  while (current) {
+    chain.push(current);
+    current = depths.get(current).from;
+  }
+  return chain;
+}
+
+function hasOtherParentThan(index, childId, parentId, otherChildId) {
+  const own = index.parentsOf(childId);
+  const other = index.parentsOf(otherChildId);
+  if (own.length < 2 || other.length < 2) return false;
+  const ownOther = own.find((p) => p !== parentId);
+  const otherOther = other.find((p) => p !== parentId);
+  return ownOther !== otherOther;
+}
+
+/**
+ * Blood relations between two persons, nearest first. Each distinct pair of
+ * generation distances is a separate entry, so pedigree collapse and
+ * intermarried families show up as several relations.
+ * @returns {Relation[]}
+ */
+export function findBloodRelations(index, idA, idB) {
+  if (idA === idB) return [relation('self', { paths: [[idA]] })];
+
+  const upA = ancestorDepths(index, idA);
+  const upB = ancestorDepths(index, idB);
+  const common = new Set([...upA.keys()].filter((id) => upB.has(id)));
+  // Nearest common ancestors: none of their children is a common ancestor too
+  const nearest = [...common].filter((id) => !index.childrenOf(id).some((child) => common.has(child)));
+
+  const groups = new Map();
+  for (const ancestorId of nearest) {
+    const up = upA.get(ancestorId).depth;
+    const down = upB.get(ancestorId).depth;
+    const key = `${up}:${down}`;
+    if (!groups.has(key)) groups.set(key, { up, down, ancestors: [] });
+    groups.get(key).ancestors.push(ancestorId);
+  }
+
+  const relations = [];
+  for (const { up, down, ancestors } of groups.values()) {
+    const paths = ancestors.map((ancestorId) => {
+      const fromA = chainDown(upA, ancestorId).reverse();
+      const toB = chainDown(upB, ancestorId);
+      return [...fromA, ...toB.slice(1)];
+    });
+    const collateral = up > 0 && down > 0;
+    let half = false;
+    if (collateral && ancestors.length === 1) {
+      // The two lines split below a single ancestor; they are half relations
+      // only when the other parent is known on both sides and differs.
+      const path = paths[0];
+      half = hasOtherParentThan(index, path[up - 1], ancestors[0], path[up + 1]);
+    }
+    relations.push(relation('blood', {
+      up,
+      down,
+      half,
+      double: collateral && Math.min(up, down) >= 2 && ancestors.length >= 3,
+      commonAncestors: ancestors,
+      paths
+    }));
+  }
+
+  return relations.sort((x, y) => (x.up + x.down) - (y.up + y.down) || x.up - y.up);
+}
+
+function findStepRelation(index, idA, idB) {
+  const parentsA = index.parentsOf(idA);
+  const parentsB = index.parentsOf(idB);
+
+  for (const parentId of parentsA) {
+    if (index.spousesOf(parentId).includes(idB) && !parentsA.includes(idB)) {
+      return relation('step', { up: 1, down: 0, paths: [[idA, parentId, idB]] });
+    }
+  }
+  for (const parentId of parentsB) {
+    if (index.spousesOf(parentId).includes(idA) && !parentsB.includes(idA)) {
+      return relation('step', { up: 0, down: 1, paths: [[idA, parentId, idB]] });
+    }
+  }
+  if (parentsA.some((p) => parentsB.includes(p))) return null;
+  for (const parentA of parentsA) {
+    for (const parentB of parentsB) {
+      if (index.spousesOf(parentA).includes(parentB)) {
+        return relation('step', { up: 1, down: 1, paths: [[idA, parentA, parentB, idB]] });
+      }
+    }
+  }
+  return null;
+}
+
+function findInLawRelation(index, idA, idB) {
+  // B is a blood relative of A's spouse
+  for (const spouseId of index.spousesOf(idA)) {
+    const [nearest] = findBloodRelations(index, spouseId, idB);
+    if (nearest && nearest.type === 'blood') {
+      return { ...nearest, type: 'in_law', side: 'spouse', paths: nearest.paths.map((p) => [idA, ...p]) };
+    }
+  }
+  // B is the spouse of a blood relative of A
+  for (const spouseId of index.spousesOf(idB)) {
+    const [nearest] = findBloodRelations(index, idA, spouseId);
+    if (nearest && nearest.type === 'blood') {
+      return { ...nearest, type: 'in_law', side: 'relative', paths: nearest.paths.map((p) => [...p, idB]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Every way `idB` is related to `idA`, nearest first. Blood relations and a
+ * marriage between the two are listed together; step and in-law relations are
+ * only looked for when there is neither.
+ * @param {Map<string, Object>} personData
+ * @param {string} idA
+ * @param {string} idB
+ * @param {ReturnType<typeof buildKinshipIndex>} [index] - reuse across many lookups
+ * @returns {Relation[]} empty when the two are not connected
+ */
+export function findRelationships(personData, idA, idB, index = buildKinshipIndex(personData)) {
+  if (!personData.has(idA) || !personData.has(idB)) return [];
+
+  const relations = findBloodRelations(index, idA, idB);
+  if (idA !== idB && index.spousesOf(idA).includes(idB)) {
+    relations.unshift(relation('spouse', { paths: [[idA, idB]] }));
+  }
+  if (relations.length) return relations;
+
+  const step = findStepRelation(index, idA, idB);
+  if (step) return [step];
+  const inLaw = findInLawRelation(index, idA, idB);
+  return inLaw ? [inLaw] : [];
+}
@@ -0,0 +1,134 @@
+// relationship-names.js - turn a Relation into a localized kinship term.
+// The vocabulary lives in the locale files under builder.relationship; this
+// module only knows how the pieces combine.
+
+/**
+ * @typedef {(key: string) => any} TermLookup
+ * Returns the value under `builder.relationship.<key>` for the current locale
+ * (string, object or array), or undefined when it is missing.
+ */
+
+function genderKey(gender) {
+  return gender === 'male' || gender === 'female' ? gender : 'neutral';
+}
+
+function fill(template, params) {
+  return String(template).replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Prefix for `greats` extra generations. `great_forms` may be a list or, where
+ * the prefix depends on the word (Spanish tatar-abuelo but tatara-nieto), a
+ * map of term key → list with a `default` entry.
+ */
+function greatPrefix(lookup, greats, key) {
+  if (greats <= 0) return '';
+  const named = lookup('great_forms');
+  const forms = Array.isArray(named) ? named : named?.[key] ?? named?.default;
+  if (Array.isArray(forms) && forms[greats - 1]) return forms[greats - 1];
+  // Past the named forms (Spanish bis-/tatara-) fall back to a counted prefix
+  const many = lookup('great_many');
+  if (many) return fill(many, { n: greats });
+  return (lookup('great') ?? '').repeat(greats);
+}
+
+/**
+ * A gendered term. Keys may have an ego-specific variant `<key>@male` /
+ * `<key>@female` for languages that name a relative differently depending on
+ * who is asking (Russian in-laws).
+ */
+function term(lookup, key, gender, egoGender, greats = 0) {
+  const variant = egoGender === 'male' || egoGender === 'female' ? lookup(`terms.${key}@${egoGender}`) : undefined;
+  const entry = variant ?? lookup(`terms.${key}`);
+  if (entry === undefined) return key;
+  const text = fill(typeof entry === 'string' ? entry : (entry[genderKey(gender)] ?? entry.neutral), {
+    great: greatPrefix(lookup, greats, key)
+  });
+  // German nouns: "{{great}}großvater" → "Urgroßvater"
+  return lookup('capitalize') ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+function ordinal(lookup, n, gender) {
+  const list = lookup('ordinals');
+  const forms = Array.isArray(list) ? list : list?.[genderKey(gender)] ?? list?.neutral;
+  if (Array.isArray(forms) && forms[n - 1]) return forms[n - 1];
+  return fill(lookup('ordinal_n') ?? '{{n}}', { n });
+}
+
+/** Blood term for B seen from A, `up` / `down` generations via the common ancestor. */
+function bloodTerm(lookup, rel, gender, egoGender) {
+  const { up, down } = rel;
+  if (up === 0) {
+    return down === 1 ? term(lookup, 'child', gender, egoGender) : term(lookup, 'grandchild', gender, egoGender, down - 2);
+  }
+  if (down === 0) {
+    return up === 1 ? term(lookup, 'parent', gender, egoGender) : term(lookup, 'grandparent', gender, egoGender, up - 2);
+  }
+  if (up === 1 && down === 1) {
+    if (!rel.half) return term(lookup, 'sibling', gender, egoGender);
+    // Some languages name half-siblings by the shared parent (Russian единокровный / единоутробный)
+    const side = { male: 'half_sibling_paternal', female: 'half_sibling_maternal' }[rel.sharedParentGender];
+    return term(lookup, side && lookup(`terms.${side}`) ? side : 'half_sibling', gender, egoGender);
+  }
+
+  let text;
+  if (up === 1) {
+    text = down === 2 ? term(lookup, 'nibling', gender, egoGender) : term(lookup, 'grand_nibling', gender, egoGender, down - 3);
+  } else if (down === 1) {
+    text = up === 2 ? term(lookup, 'pibling', gender, egoGender) : term(lookup, 'grand_pibling', gender, egoGender, up - 3);
+  } else {
+    const degree = Math.min(up, down) - 1;
+    const removed = Math.abs(up - down);
+    text = fill(lookup('cousin_degree') ?? '{{ordinal}} {{term}}', {
+      ordinal: ordinal(lookup, degree, gender),
+      term: term(lookup, 'cousin', gender, egoGender)
+    });
+    if (removed) {
+      const forms = lookup('removed') ?? {};
+      const template = (removed === 1 && forms.one) || (removed === 2 && forms.two) || forms.other || '{{term}} ({{n}})';
+      text = fill(template, { term: text, n: removed });
+    }
+  }
+  if (rel.half) text = fill(lookup('half') ?? '{{term}}', { term: text });
+  if (rel.double) text = fill(lookup('double') ?? '{{term}}', { term: text });
+  return text;
+}
+
+function inLawTerm(lookup, rel, gender, egoGender) {
+  if (rel.side === 'spouse') {
+    if (rel.up === 1 && rel.down === 0) return term(lookup, 'parent_in_law', gender, egoGender);
+    if (rel.up === 1 && rel.down === 1 && !rel.half) return term(lookup, 'spouse_sibling', gender, egoGender);
+    if (rel.up === 0 && rel.down === 1) return term(lookup, 'step_child', gender, egoGender);
+  } else {
+    if (rel.up === 0 && rel.down === 1) return term(lookup, 'child_in_law', gender, egoGender);
+    if (rel.up === 1 && rel.down === 1 && !rel.half) return term(lookup, 'sibling_spouse', gender, egoGender);
+  }
+  return fill(lookup('in_law') ?? '{{term}}', { term: bloodTerm(lookup, rel, gender, egoGender) });
+}
+
+/**
+ * Localized name of what the last person on the relation's path is to the first.
+ * @param {import('./relationship-calculator.js').Relation} rel
+ * @param {{ lookup: TermLookup, genderOf: (id: string) => string|undefined }} opts
+ * @returns {string}
+ */
+export function describeRelation(rel, { lookup, genderOf }) {
+  const path = rel.paths[0] ?? [];
+  const gender = genderOf(path[path.length - 1]);
+  const egoGender = genderOf(path[0]);
+  if (rel.half) rel = { ...rel, sharedParentGender: genderOf(rel.commonAncestors[0]) };
+  switch (rel.type) {
+    case 'self':
+      return lookup('self') ?? 'self';
+    case 'spouse':
+      return term(lookup, 'spouse', gender, egoGender);
+    case 'step':
+      if (rel.up === 1 && rel.down === 0) return term(lookup, 'step_parent', gender, egoGender);
+      return term(lookup, rel.up === 0 ? 'step_child' : 'step_sibling', gender, egoGender);
+    case 'in_law':
+      return inLawTerm(lookup, rel, gender, egoGender);
+    default:
+      return bloodTerm(lookup, rel, gender, egoGender);
+  }
+}
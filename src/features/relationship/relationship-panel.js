@@ -0,0 +1,110 @@
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { findRelationships } from './relationship-calculator.js';
+import { describeRelation } from './relationship-names.js';
+
+let currentTreeCore = null;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+// Kinship vocabulary is structured (gendered objects, ordinal lists), so read
+// it straight from the loaded translations instead of through t().
+function lookupTerm(key) {
+  const i18n = window.i18n;
+  if (!i18n || typeof i18n.getNestedValue !== 'function') return undefined;
+  const path = `builder.relationship.${key}`;
+  return i18n.getNestedValue(i18n.translations[i18n.currentLocale], path)
+    ?? i18n.getNestedValue(i18n.translations[i18n.defaultLocale], path);
+}
+
+function fullName(person) {
+  return `${person?.name ?? ''} ${person?.surname ?? ''}`.trim() || t('builder.notifications.unknown_person', 'Unknown');
+}
+
+/**
+ * Work out how two persons are related, show it in the relationship panel and
+ * highlight the connecting path on the canvas and (via the event bus) the tree chart.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @param {string} idA
+ * @param {string} idB
+ */
+export function showRelationship(treeCore, idA, idB) {
+  const panel = document.getElementById('relationshipPanel');
+  const body = document.getElementById('relationshipPanelBody');
+  const { personData } = treeCore;
+  const relations = findRelationships(personData, idA, idB);
+  const genderOf = (id) => personData.get(id)?.gender;
+  const nameA = fullName(personData.get(idA));
+  const nameB = fullName(personData.get(idB));
+
+  if (panel && body) {
+    currentTreeCore = treeCore;
+    wirePanel(panel);
+    body.innerHTML = '';
+
+    const result = document.createElement('p');
+    result.className = 'relationship-result';
+    if (!relations.length) {
+      // textContent, not SecurityUtils.setTextContent: the sentences carry apostrophes
+      result.textContent = t('builder.relationship.none', '{{a}} and {{b}} are not related in this tree.')
+        .replace('{{a}}', nameA).replace('{{b}}', nameB);
+    } else {
+      const term = describeRelation(relations[0], { lookup: lookupTerm, genderOf });
+      result.textContent = t('builder.relationship.sentence', "{{b}} is {{a}}'s {{term}}.")
+        .replace('{{a}}', nameA).replace('{{b}}', nameB).replace('{{term}}', term);
+    }
+    body.appendChild(result);
+
+    const ancestors = relations[0]?.commonAncestors ?? [];
+    if (ancestors.length) {
+      const line = document.createElement('p');
+      line.className = 'relationship-ancestors';
+      line.textContent = t('builder.relationship.common_ancestors', 'Nearest common ancestors: {{names}}')
+        .replace('{{names}}', ancestors.map((id) => fullName(personData.get(id))).join(' & '));
+      body.appendChild(line);
+    }
+
+    if (relations.length > 1) {
+      const heading = document.createElement('p');
+      heading.className = 'relationship-also-heading';
+      heading.textContent = t('builder.relationship.also', 'Also related as');
+      const list = document.createElement('ul');
+      list.className = 'relationship-also';
+      for (const rel of relations.slice(1)) {
+        const item = document.createElement('li');
+        item.textContent = describeRelation(rel, { lookup: lookupTerm, genderOf });
+        list.appendChild(item);
+      }
+      body.appendChild(heading);
+      body.appendChild(list);
+    }
+    panel.classList.remove('hidden');
+  }
+
+  const paths = relations.flatMap((rel) => rel.paths);
+  treeCore.relationshipPair = [idA, idB];
+  treeCore.renderer?.setHighlightedPath(paths.length ? paths : null);
+  appContext.getEventBus().emit(EVENTS.RELATIONSHIP_PATH_CHANGED, { paths: paths.length ? paths : null });
+  return relations;
+}
+
+/** Hide the panel and drop the path highlight everywhere. */
+export function hideRelationship(treeCore) {
+  document.getElementById('relationshipPanel')?.classList.add('hidden');
+  treeCore.relationshipPair = null;
+  treeCore.renderer?.setHighlightedPath(null);
+  appContext.getEventBus().emit(EVENTS.RELATIONSHIP_PATH_CHANGED, { paths: null });
+}
+
+function wirePanel(panel) {
+  if (panel.dataset.wired) return;
+  panel.dataset.wired = 'true';
+  document.getElementById('relationshipPanelClose')?.addEventListener('click', () => hideRelationship(currentTreeCore));
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideRelationship(currentTreeCore);
+  });
+}
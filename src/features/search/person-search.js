@@ -0,0 +1,232 @@
+// person-search.js - Person search over the whole tree: free text with
+// transliteration-tolerant and phonetic surname matching, structured filters
+// and paging. Pure functions; the UI lives in search.js and search-panel.js.
+
+import { searchKeys } from './transliteration.js';
+import { phoneticCodes, phoneticMatch } from './phonetics.js';
+import { isPresumedLiving, lifeEventSearchFields } from '../../utils/life-events.js';
+
+export const PAGE_SIZE = 20;
+
+export const EMPTY_FILTERS = Object.freeze({
+  bornFrom: null,
+  bornTo: null,
+  place: '',
+  gender: '',
+  status: '',
+  hasPhoto: false,
+  hasDocuments: false,
+  generation: null
+});
+
+const NAME_FIELDS = ['name', 'fatherName', 'surname', 'maidenName'];
+const SURNAME_FIELDS = new Set(['surname', 'maidenName']);
+const OTHER_FIELD_WEIGHT = 0.5;
+const MIN_PHONETIC_LENGTH = 3;
+
+const SCORES = { exact: 100, prefix: 60, contains: 30, phonetic: 20 };
+// Literal matches rank above the same match through another spelling
+const SPELLING_FACTOR = 0.9;
+
+function words(text) {
+  return String(text ?? '').toLowerCase().split(/[\s,.;:()/-]+/).filter(Boolean);
+}
+
+function placesOf(person) {
+  return [
+    person.birth?.place,
+    person.death?.place,
+    ...(person.marriages || []).map((m) => m.place),
+    ...(person.events || []).map((e) => e.place)
+  ].filter(Boolean);
+}
+
+/**
+ * Display name: given name, patronymic and surname.
+ * @param {Object} person
+ * @returns {string}
+ */
+export function personDisplayName(person) {
+  return [person?.name, person?.fatherName, person?.surname].filter(Boolean).join(' ');
+}
+
+/**
+ * Precompute what searching needs from every person, so typing does not
+ * re-run transliteration and phonetic coding over the whole tree.
+ * @param {Iterable<Object>} persons
+ * @param {Object} [options]
+ * @param {(id: string) => number|null} [options.getGeneration]
+ * @param {Set<string>} [options.documentPersonIds] - persons with attached documents
+ * @param {(key: string, fallback: string) => string} [options.t] - names event types
+ * @param {number} [options.currentYear]
+ * @returns {Object[]} index entries
+ */
+export function buildSearchIndex(persons, options = {}) {
+  const {
+    getGeneration = () => null,
+    documentPersonIds = new Set(),
+    t,
+    currentYear = new Date().getFullYear()
+  } = options;
+  const entries = [];
+
+  for (const person of persons) {
+    if (!person?.id) continue;
+    const terms = [];
+    const addTerms = (field, text, weight) => {
+      for (const word of words(text)) {
+        terms.push({ field, raw: word, keys: searchKeys(word), weight });
+      }
+    };
+    for (const field of NAME_FIELDS) addTerms(field, person[field], 1);
+    for (const text of lifeEventSearchFields(person, t)) addTerms('events', text, OTHER_FIELD_WEIGHT);
+    for (const text of placesOf(person)) addTerms('place', text, OTHER_FIELD_WEIGHT);
+
+    const phonetic = [];
+    for (const field of SURNAME_FIELDS) {
+      for (const word of words(person[field])) {
+        if (word.length >= MIN_PHONETIC_LENGTH) phonetic.push({ field, codes: phoneticCodes(word) });
+      }
+    }
+
+    const photo = person.photo;
+    entries.push({
+      id: person.id,
+      person,
+      displayName: personDisplayName(person),
+      sortKey: `${person.surname ?? ''} ${person.name ?? ''}`.toLowerCase(),
+      birthYear: person.birth?.date?.year ?? null,
+      gender: person.gender || '',
+      living: isPresumedLiving(person, currentYear),
+      hasPhoto: Boolean(photo?.mediaId || (typeof photo === 'string' && photo)),
+      hasDocuments: documentPersonIds.has(person.id),
+      generation: getGeneration(person.id),
+      terms,
+      phonetic,
+      placeKeys: placesOf(person).flatMap((place) => searchKeys(place))
+    });
+  }
+  return entries;
+}
+
+/**
+ * Whether any filter narrows the results.
+ * @param {Object} [filters]
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters = {}) {
+  return Object.entries(EMPTY_FILTERS).some(([key, empty]) => {
+    const value = filters[key];
+    return value !== undefined && value !== empty && value !== '' && value !== null;
+  });
+}
+
+function passesFilters(entry, filters, placeQueryKeys) {
+  const { bornFrom, bornTo, gender, status, hasPhoto, hasDocuments, generation } = filters;
+  if (bornFrom != null || bornTo != null) {
+    if (entry.birthYear === null) return false;
+    if (bornFrom != null && entry.birthYear < bornFrom) return false;
+    if (bornTo != null && entry.birthYear > bornTo) return false;
+  }
+  if (placeQueryKeys.length
+    && !placeQueryKeys.some((key) => entry.placeKeys.some((place) => place.includes(key)))) return false;
+  if (gender && entry.gender !== gender) return false;
+  if (status === 'living' && !entry.living) return false;
+  if (status === 'deceased' && entry.living) return false;
+  if (hasPhoto && !entry.hasPhoto) return false;
+  if (hasDocuments && !entry.hasDocuments) return false;
+  if (generation != null && entry.generation !== generation) return false;
+  return true;
+}
+
+// Best match of one query word against a person: a score and how it matched.
+function matchToken(entry, token) {
+  let best = null;
+  const consider = (score, field, kind) => {
+    if (!best || score > best.score) best = { score, field, kind };
+  };
+
+  for (const term of entry.terms) {
+    for (const key of token.keys) {
+      for (const termKey of term.keys) {
+        let score = 0;
+        if (termKey === key) score = SCORES.exact;
+        else if (termKey.startsWith(key)) score = SCORES.prefix;
+        else if (termKey.includes(key)) score = SCORES.contains;
+        if (score) {
+          const kind = term.raw.includes(token.raw) ? 'text' : 'spelling';
+          consider(score * term.weight * (kind === 'text' ? 1 : SPELLING_FACTOR), term.field, kind);
+        }
+      }
+    }
+  }
+
+  if (token.codes) {
+    for (const { field, codes } of entry.phonetic) {
+      if (phoneticMatch(token.codes, codes)) consider(SCORES.phonetic, field, 'phonetic');
+    }
+  }
+  return best;
+}
+
+/**
+ * Search persons. Every word of the query has to match a name, event or place
+ * of the person: literally, through a transliteration or spelling variant, or,
+ * for surnames, phonetically. Results are sorted by score, then by name.
+ * An empty query lists every person passing the filters.
+ * @param {Object[]} index - from buildSearchIndex
+ * @param {string} query
+ * @param {Object} [filters] - see EMPTY_FILTERS
+ * @returns {Array<{id: string, person: Object, displayName: string, score: number, matches: Object[]}>}
+ */
+export function searchPersons(index, query, filters = {}) {
+  const tokens = words(query).map((raw) => ({
+    raw,
+    keys: searchKeys(raw),
+    codes: raw.length >= MIN_PHONETIC_LENGTH ? phoneticCodes(raw) : null
+  })).filter((token) => token.keys.length);
+  const effective = { ...EMPTY_FILTERS, ...filters };
+  const placeQueryKeys = searchKeys(effective.place);
+  const results = [];
+
+  for (const entry of index) {
+    if (!passesFilters(entry, effective, placeQueryKeys)) continue;
+    let score = 0;
+    const matches = [];
+    let matchedAll = true;
+    for (const token of tokens) {
+      const match = matchToken(entry, token);
+      if (!match) {
+        matchedAll = false;
+        break;
+      }
+      score += match.score;
+      matches.push({ token: token.raw, field: match.field, kind: match.kind });
+    }
+    if (!matchedAll) continue;
+    results.push({ id: entry.id, person: entry.person, displayName: entry.displayName, sortKey: entry.sortKey, score, matches });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.sortKey.localeCompare(b.sortKey))
+    .map(({ sortKey, ...result }) => result);
+}
+
+/**
+ * One page of results.
+ * @param {Object[]} results
+ * @param {number} page - zero-based, clamped to the available pages
+ * @param {number} [pageSize]
+ * @returns {{items: Object[], page: number, pageCount: number, total: number}}
+ */
+export function paginate(results, page, pageSize = PAGE_SIZE) {
+  const total = results.length;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const current = Math.min(Math.max(0, page | 0), pageCount - 1);
+  return {
+    items: results.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    pageCount,
+    total
+  };
+}
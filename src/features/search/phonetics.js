@@ -0,0 +1,208 @@
+// phonetics.js - Phonetic codes for matching surnames that sound alike but are
+// spelled differently: American Soundex, Daitch-Mokotoff Soundex and a reduced
+// Beider-Morse approximation. Cyrillic names are transliterated first.
+
+import { transliterate } from './transliteration.js';
+
+function lettersOnly(name) {
+  return transliterate(String(name ?? ''))
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[^a-z]/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// American Soundex
+// ---------------------------------------------------------------------------
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * American Soundex, e.g. "Robert" → "R163".
+ * @param {string} name
+ * @returns {string} empty when the name has no letters
+ */
+export function soundex(name) {
+  const letters = lettersOnly(name);
+  if (!letters) return '';
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]] ?? '';
+  for (const letter of letters.slice(1)) {
+    // H and W do not separate letters with the same code; vowels do.
+    if (letter === 'h' || letter === 'w') continue;
+    const digit = SOUNDEX_CODES[letter] ?? '';
+    if (digit && digit !== previous) code += digit;
+    previous = digit;
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, '0');
+}
+
+// ---------------------------------------------------------------------------
+// Daitch-Mokotoff Soundex
+// ---------------------------------------------------------------------------
+
+// [patterns, at start of name, before a vowel, anywhere else]. "|" separates
+// alternative codings, each of which starts a branch.
+const DM_TABLE = [
+  ['schtsch|schtsh|schtch|shtch|shtsh|stsch|szcz|shch|stch|strz|strs|stsh|szcs', '2', '4', '4'],
+  ['zhdzh|zdzh|zdz', '2', '4', '4'],
+  ['schd|scht|sht|szt|shd|szd|sd|st', '2', '43', '43'],
+  ['zhd|zd', '2', '43', '43'],
+  ['ttsch|ttsz|tsch|ttch|tch|tsh|trz|trs|ttz|ttsz|tzs|tsz|tts|tc|tz|ts', '4', '4', '4'],
+  ['drz|drs|dsh|dsz|dzh|dzs|dz|ds', '4', '4', '4'],
+  ['zsch|zsh|zh|zs|z', '4', '4', '4'],
+  ['csz|czs|cz|cs', '4', '4', '4'],
+  ['chs', '5', '54', '54'],
+  ['ch', '5|4', '5|4', '5|4'],
+  ['ck', '5|45', '5|45', '5|45'],
+  ['c', '5|4', '5|4', '5|4'],
+  ['sch|sh|sz|s', '4', '4', '4'],
+  ['sc', '2', '4', '4'],
+  ['rz|rs', '94|4', '94|4', '94|4'],
+  ['ks|x', '5', '54', '54'],
+  ['kh|k|g|q', '5', '5', '5'],
+  ['h', '5', '5', ''],
+  ['j', '1|4', '|4', '|4'],
+  ['dt|th|d|t', '3', '3', '3'],
+  ['fb|f|b|pf|ph|p|v|w', '7', '7', '7'],
+  ['mn|nm', '66', '66', '66'],
+  ['m|n', '6', '6', '6'],
+  ['l', '8', '8', '8'],
+  ['r', '9', '9', '9'],
+  ['ai|aj|ay|ei|ej|ey|oi|oj|oy|ui|uj|uy', '0', '1', ''],
+  ['au', '0', '7', ''],
+  ['eu', '1', '1', ''],
+  ['ia|ie|io|iu', '1', '', ''],
+  ['ue', '0', '', ''],
+  ['a|e|i|o|u', '0', '', ''],
+  ['y', '1', '', '']
+];
+
+// Longest pattern first, so "schtsch" wins over "sch" and "s".
+const DM_RULES = DM_TABLE
+  .flatMap(([patterns, start, beforeVowel, other]) => patterns.split('|').map((pattern) => ({
+    pattern,
+    start: start.split('|'),
+    beforeVowel: beforeVowel.split('|'),
+    other: other.split('|')
+  })))
+  .sort((a, b) => b.pattern.length - a.pattern.length);
+
+const DM_VOWELS = new Set(['a', 'e', 'i', 'o', 'u']);
+const DM_LENGTH = 6;
+const MAX_BRANCHES = 32;
+
+/**
+ * Daitch-Mokotoff Soundex. Ambiguous letters (C, CH, CK, J, RS, RZ) give
+ * several codes, e.g. "Peters" → ["739400", "734000"].
+ * @param {string} name
+ * @returns {string[]} six-digit codes; empty when the name has no letters
+ */
+export function daitchMokotoff(name) {
+  const letters = lettersOnly(name);
+  if (!letters) return [];
+  let branches = [{ code: '', last: null }];
+  let lastChar = '';
+
+  for (let index = 0; index < letters.length;) {
+    const rule = DM_RULES.find((r) => letters.startsWith(r.pattern, index));
+    const next = letters[index + rule.pattern.length];
+    const codings = index === 0 ? rule.start : DM_VOWELS.has(next) ? rule.beforeVowel : rule.other;
+    // M next to N is coded twice even though both are 6.
+    const force = (lastChar === 'm' && letters[index] === 'n') || (lastChar === 'n' && letters[index] === 'm');
+
+    const nextBranches = [];
+    for (const branch of branches) {
+      for (const coding of codings) {
+        const append = branch.last === null || !branch.last.endsWith(coding) || force;
+        const code = append ? (branch.code + coding).slice(0, DM_LENGTH) : branch.code;
+        nextBranches.push({ code, last: coding });
+      }
+    }
+    branches = nextBranches.slice(0, MAX_BRANCHES);
+    lastChar = letters[index + rule.pattern.length - 1];
+    index += rule.pattern.length;
+  }
+
+  return [...new Set(branches.map((b) => b.code.padEnd(DM_LENGTH, '0')))];
+}
+
+// ---------------------------------------------------------------------------
+// Beider-Morse (approximate)
+// ---------------------------------------------------------------------------
+
+// Letter groups read differently across the languages of our users, each with
+// its possible sounds. Capital letters are phonemes: S = sh, Z = zh, C = ch,
+// X = kh.
+const BM_RULES = [
+  ['tzsch', ['C']], ['tsch', ['C']], ['szcz', ['SC']], ['shch', ['SC']],
+  ['sch', ['S']], ['dzh', ['dZ']], ['zh', ['Z']], ['sh', ['S']], ['sz', ['S', 's']],
+  ['cz', ['C']], ['cs', ['C']], ['ch', ['X', 'C']], ['kh', ['X']], ['ck', ['k']],
+  ['ts', ['ts']], ['tz', ['ts']], ['th', ['t']], ['dt', ['t']], ['ph', ['f']], ['gh', ['g']],
+  ['qu', ['kv', 'k']], ['ks', ['ks']], ['x', ['ks']], ['q', ['k']], ['w', ['v']],
+  ['ce', ['tse', 'se']], ['ci', ['tsi', 'si']], ['cy', ['tsi', 'si']], ['c', ['k']],
+  ['g', ['g', 'h']], ['j', ['i', 'dZ']], ['y', ['i']], ['z', ['z', 'ts']]
+];
+
+const BM_VOWEL_CLASSES = { a: 'o', o: 'o', u: 'u', e: 'i', i: 'i' };
+const BM_FINAL_DEVOICING = { b: 'p', d: 't', g: 'k', v: 'f', z: 's', Z: 'S' };
+
+function bmApproximate(phonemes) {
+  const folded = phonemes
+    .replace(/[aeiou]/g, (vowel) => BM_VOWEL_CLASSES[vowel])
+    .replace(/(.)\1+/g, '$1');
+  const last = folded.slice(-1);
+  return BM_FINAL_DEVOICING[last] ? folded.slice(0, -1) + BM_FINAL_DEVOICING[last] : folded;
+}
+
+/**
+ * A reduced Beider-Morse phonetic match in "approximate" mode: the name is
+ * read with every sound its spelling may carry in German, Slavic, English and
+ * Hungarian usage (no language detection), then vowels and final devoicing are
+ * folded. Two names match when their sets share a code.
+ * @param {string} name
+ * @returns {string[]} phonetic codes; empty when the name has no letters
+ */
+export function beiderMorse(name) {
+  const letters = lettersOnly(name);
+  if (!letters) return [];
+  let variants = [''];
+  for (let index = 0; index < letters.length;) {
+    const rule = BM_RULES.find(([pattern]) => letters.startsWith(pattern, index));
+    const [pattern, sounds] = rule ?? [letters[index], [letters[index]]];
+    variants = variants.flatMap((variant) => sounds.map((sound) => variant + sound)).slice(0, MAX_BRANCHES);
+    index += pattern.length;
+  }
+  return [...new Set(variants.map(bmApproximate))];
+}
+
+/**
+ * All phonetic codes of a surname, tagged by algorithm.
+ * @param {string} name
+ * @returns {{soundex: string, dm: string[], bm: string[]}}
+ */
+export function phoneticCodes(name) {
+  return { soundex: soundex(name), dm: daitchMokotoff(name), bm: beiderMorse(name) };
+}
+
+/**
+ * Which algorithm, if any, considers two sets of codes the same name.
+ * @param {{soundex: string, dm: string[], bm: string[]}} a
+ * @param {{soundex: string, dm: string[], bm: string[]}} b
+ * @returns {'dm'|'bm'|'soundex'|null}
+ */
+export function phoneticMatch(a, b) {
+  if (a.dm.some((code) => b.dm.includes(code))) return 'dm';
+  if (a.bm.some((code) => b.bm.includes(code))) return 'bm';
+  if (a.soundex && a.soundex === b.soundex) return 'soundex';
+  return null;
+}
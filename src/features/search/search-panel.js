@@ -0,0 +1,236 @@
+// search-panel.js - Floating results panel of the person search: the full,
+// paged result list with structured filters.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { formatLifespanShort } from '../../utils/date-value.js';
+import {
+  EMPTY_FILTERS,
+  PAGE_SIZE,
+  buildSearchIndex,
+  hasActiveFilters,
+  searchPersons,
+  paginate
+} from './person-search.js';
+
+const QUERY_DEBOUNCE_MS = 250;
+
+let currentTreeCore = null;
+let cachedIndex = null;
+let cachedFor = null;
+let subscribed = false;
+let results = [];
+let page = 0;
+let queryTimer = null;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+/**
+ * The search index of the open tree, rebuilt after any edit, undo or tree switch.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @returns {Promise<Object[]>}
+ */
+export async function loadSearchIndex(treeCore) {
+  if (!subscribed) {
+    subscribed = true;
+    const bus = appContext.getEventBus();
+    const invalidate = () => { cachedIndex = null; };
+    bus.on(EVENTS.HISTORY_CHANGED, invalidate);
+    bus.on(EVENTS.TREE_SWITCHED, invalidate);
+    bus.on(EVENTS.TREE_LOADED, invalidate);
+  }
+  const persons = treeCore?.personData;
+  if (cachedIndex && cachedFor === treeCore && cachedIndex.length === (persons?.size ?? 0)) {
+    return cachedIndex;
+  }
+
+  const documentPersonIds = new Set();
+  try {
+    const documents = await treeCore?.cacheManager?.getIdbRepo?.()?.getAllDocuments();
+    for (const doc of documents || []) {
+      if (doc.personId) documentPersonIds.add(doc.personId);
+    }
+  } catch (error) {
+    console.warn('Search: documents unavailable:', error);
+  }
+
+  cachedIndex = buildSearchIndex(persons?.values() ?? [], {
+    getGeneration: (id) => treeCore.getGeneration?.(id) ?? null,
+    documentPersonIds,
+    t
+  });
+  cachedFor = treeCore;
+  return cachedIndex;
+}
+
+/**
+ * Open the results panel, optionally with a query and filters already set.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ * @param {Object} [options]
+ * @param {string} [options.query]
+ * @param {Object} [options.filters] - see EMPTY_FILTERS
+ */
+export async function openSearchPanel(treeCore, { query = '', filters = {} } = {}) {
+  const panel = document.getElementById('searchPanel');
+  const form = document.getElementById('searchPanelForm');
+  if (!panel || !form || !treeCore) return;
+
+  currentTreeCore = treeCore;
+  wirePanel(panel, form);
+  form.elements.query.value = query;
+  writeFilters(form, filters);
+  panel.classList.remove('hidden');
+  await runSearch();
+  form.elements.query.focus();
+}
+
+/** Close the results panel. */
+export function hideSearchPanel() {
+  clearTimeout(queryTimer);
+  document.getElementById('searchPanel')?.classList.add('hidden');
+}
+
+function wirePanel(panel, form) {
+  if (panel.dataset.wired) return;
+  panel.dataset.wired = 'true';
+
+  document.getElementById('searchPanelClose')?.addEventListener('click', hideSearchPanel);
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideSearchPanel();
+  });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runSearch();
+  });
+  form.addEventListener('input', (e) => {
+    clearTimeout(queryTimer);
+    if (e.target.name === 'query' || e.target.name === 'place') {
+      queryTimer = setTimeout(runSearch, QUERY_DEBOUNCE_MS);
+    } else {
+      runSearch();
+    }
+  });
+  // The reset event fires before the fields are cleared
+  form.addEventListener('reset', () => setTimeout(() => {
+    if (!panel.classList.contains('hidden')) runSearch();
+  }, 0));
+
+  document.getElementById('searchPrevPage')?.addEventListener('click', () => showPage(page - 1));
+  document.getElementById('searchNextPage')?.addEventListener('click', () => showPage(page + 1));
+  document.getElementById('searchPanelResults')?.addEventListener('click', (e) => {
+    const item = e.target.closest('.search-result');
+    if (item) window.familyTreeSearchUtils?.centerOnPerson(item.dataset.personId);
+  });
+}
+
+function readNumber(form, name) {
+  const value = Number.parseInt(form.elements[name].value, 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function readFilters(form) {
+  return {
+    bornFrom: readNumber(form, 'bornFrom'),
+    bornTo: readNumber(form, 'bornTo'),
+    place: form.elements.place.value.trim(),
+    gender: form.elements.gender.value,
+    status: form.elements.status.value,
+    hasPhoto: form.elements.hasPhoto.checked,
+    hasDocuments: form.elements.hasDocuments.checked,
+    generation: readNumber(form, 'generation')
+  };
+}
+
+function writeFilters(form, filters) {
+  const values = { ...EMPTY_FILTERS, ...filters };
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.elements[name];
+    if (!field) continue;
+    if (field.type === 'checkbox') field.checked = Boolean(value);
+    else field.value = value ?? '';
+  }
+}
+
+async function runSearch() {
+  const form = document.getElementById('searchPanelForm');
+  if (!form || !currentTreeCore) return;
+  const index = await loadSearchIndex(currentTreeCore);
+  const filters = readFilters(form);
+  results = searchPersons(index, form.elements.query.value, filters);
+  const reset = form.querySelector('.search-filters-reset');
+  if (reset) reset.disabled = !hasActiveFilters(filters);
+  showPage(0);
+}
+
+function matchNote(result) {
+  if (result.matches.some((m) => m.kind === 'phonetic')) return t('builder.search.sounds_like', 'sounds like');
+  if (result.matches.some((m) => m.kind === 'spelling')) return t('builder.search.spelling_variant', 'spelling variant');
+  return '';
+}
+
+function showPage(requested) {
+  const { items, page: current, pageCount, total } = paginate(results, requested, PAGE_SIZE);
+  page = current;
+  const list = document.getElementById('searchPanelResults');
+  const summary = document.getElementById('searchPanelSummary');
+  const locale = window.i18n?.currentLocale || 'en';
+
+  if (summary) {
+    summary.textContent = total
+      ? t('builder.search.results_count', '{{count}} results found').replace('{{count}}', total)
+      : t('builder.search.no_results', 'No family members found');
+  }
+  if (list) {
+    list.innerHTML = '';
+    for (const result of items) {
+      const { person } = result;
+      const item = document.createElement('li');
+      item.className = 'search-result';
+      item.dataset.personId = result.id;
+      item.tabIndex = 0;
+
+      const name = document.createElement('span');
+      name.className = 'search-result-name';
+      name.textContent = result.displayName || t('builder.notifications.unknown_person', 'Unknown');
+      item.appendChild(name);
+
+      const details = [
+        formatLifespanShort(person.birth?.date, person.death?.date, locale),
+        person.birth?.place,
+        person.maidenName ? `${t('builder.search.maiden', 'née')} ${person.maidenName}` : ''
+      ].filter(Boolean).join(' • ');
+      if (details) {
+        const line = document.createElement('span');
+        line.className = 'search-result-details';
+        line.textContent = details;
+        item.appendChild(line);
+      }
+
+      const note = matchNote(result);
+      if (note) {
+        const badge = document.createElement('span');
+        badge.className = 'search-result-match';
+        badge.textContent = note;
+        item.appendChild(badge);
+      }
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') window.familyTreeSearchUtils?.centerOnPerson(result.id);
+      });
+      list.appendChild(item);
+    }
+  }
+
+  const info = document.getElementById('searchPageInfo');
+  if (info) {
+    info.textContent = t('builder.search.page_of', 'Page {{page}} of {{pages}}')
+      .replace('{{page}}', page + 1).replace('{{pages}}', pageCount);
+  }
+  const prev = document.getElementById('searchPrevPage');
+  const next = document.getElementById('searchNextPage');
+  if (prev) prev.disabled = page === 0;
+  if (next) next.disabled = page >= pageCount - 1;
+}
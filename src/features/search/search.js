@@ -1,6 +1,24 @@
 // search.js - Family Tree Search Functionality with improved centering
 
 import { notifications } from '../../ui/components/notifications.js';
+import { searchPersons } from './person-search.js';
+import { loadSearchIndex, openSearchPanel } from './search-panel.js';
+
+// The dropdown shows the best few; the results panel pages through the rest
+const MAX_SUGGESTIONS = 8;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text ?? '');
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
 
 class FamilyTreeSearch {
   constructor() {
@@ -11,6 +29,7 @@ class FamilyTreeSearch {
     this.suggestions = null;
     this.isExpanded = false;
     this.currentSuggestions = [];
+    this.totalResults = 0;
     this.selectedIndex = -1;
     this.searchTimeout = null;
     
@@ -95,7 +114,9 @@ class FamilyTreeSearch {
     if (this.suggestions) {
       this.suggestions.addEventListener('click', (e) => {
         const suggestion = e.target.closest('.search-suggestion');
-        if (suggestion) {
+        if (suggestion?.dataset.action === 'show-all') {
+          this.openResultsPanel();
+        } else if (suggestion) {
           const personId = suggestion.dataset.personId;
           this.selectPerson(personId);
         }
@@ -154,6 +175,8 @@ class FamilyTreeSearch {
     
     if (!query || query.trim().length < 2) {
       this.currentSuggestions = [];
+      this.totalResults = 0;
+      this.hideSuggestions();
       return;
     }
     
@@ -181,50 +204,16 @@ class FamilyTreeSearch {
         return;
       }
       
-      // Search through all persons
-      const matches = [];
-      const queryLower = query.toLowerCase();
-      
-      for (const [id, node] of treeCore.renderer.nodes) {
-        const personData = treeCore.getPersonData(id) || {};
-        
-        // Build searchable text
-        const searchableFields = [
-          node.name || '',
-          node.fatherName || '',
-          node.surname || '',
-          node.maidenName || '',
-          personData.name || '',
-          personData.fatherName || '',
-          personData.surname || '',
-          personData.maidenName || ''
-        ];
-        
-        const searchableText = searchableFields.join(' ').toLowerCase();
-        
-        if (searchableText.includes(queryLower)) {
-          matches.push({
-            id,
-            node,
-            personData,
-            // Calculate relevance score
-            relevance: this.calculateRelevance(queryLower, searchableFields)
-          });
-        }
-      }
-      
-      // Sort by relevance
-      matches.sort((a, b) => b.relevance - a.relevance);
-      
-      // Limit to top 8 results
-      this.currentSuggestions = matches.slice(0, 8);
+      const index = await loadSearchIndex(treeCore);
+      const results = searchPersons(index, query);
+      this.totalResults = results.length;
+      this.currentSuggestions = results.slice(0, MAX_SUGGESTIONS).map((result) => ({
+        ...result,
+        node: treeCore.renderer.nodes.get(result.id) || {},
+        personData: result.person
+      }));
       this.selectedIndex = -1;
-      
-      if (this.currentSuggestions.length > 0) {
-        this.showSuggestions();
-      } else {
-        this.hideSuggestions();
-      }
+      this.showSuggestions();
       
     } catch (error) {
       devError('Search error:', error);
@@ -232,36 +221,8 @@ class FamilyTreeSearch {
     }
   }
 
-  calculateRelevance(query, fields) {
-    let score = 0;
-    
-    fields.forEach((field, index) => {
-      const fieldLower = field.toLowerCase();
-      
-      // Exact match gets highest score
-      if (fieldLower === query) {
-        score += 100;
-      }
-      // Starts with query gets high score
-      else if (fieldLower.startsWith(query)) {
-        score += 50;
-      }
-      // Contains query gets medium score
-      else if (fieldLower.includes(query)) {
-        score += 25;
-      }
-      
-      // Name field gets higher weight
-      if (index === 0) { // name field
-        score *= 1.5;
-      }
-    });
-    
-    return score;
-  }
-
   showSuggestions() {
-    if (!this.suggestions || this.currentSuggestions.length === 0) return;
+    if (!this.suggestions || this.searchField.value.trim().length < 2) return;
     
     // Build suggestions HTML
     const suggestionsHTML = this.currentSuggestions.map((match, index) => {
@@ -288,19 +249,34 @@ class FamilyTreeSearch {
       if (node.gender || personData.gender) {
         details.push(node.gender || personData.gender);
       }
+      if (match.matches?.some((m) => m.kind === 'phonetic')) {
+        details.push(t('builder.search.sounds_like', 'sounds like'));
+      }
       
-      const detailsText = details.join(' • ');
+      const detailsText = escapeHtml(details.join(' • '));
       
       return `
         <div class="search-suggestion ${index === this.selectedIndex ? 'selected' : ''}" 
-             data-person-id="${id}" data-index="${index}">
+             data-person-id="${escapeHtml(id)}" data-index="${index}">
           <div class="suggestion-name">${this.highlightMatch(displayName)}</div>
           ${detailsText ? `<div class="suggestion-details">${detailsText}</div>` : ''}
         </div>
       `;
     }).join('');
     
-    this.suggestions.innerHTML = suggestionsHTML;
+    // Last row opens the results panel with every match and the filters
+    const showAllIndex = this.currentSuggestions.length;
+    const showAllText = this.totalResults
+      ? t('builder.search.show_all', 'Show all {{count}} results and filters').replace('{{count}}', this.totalResults)
+      : t('builder.search.no_results_filters', 'No family members found. Search with filters…');
+    const showAllHTML = `
+        <div class="search-suggestion search-show-all ${showAllIndex === this.selectedIndex ? 'selected' : ''}" 
+             data-action="show-all" data-index="${showAllIndex}">
+          <div class="suggestion-details">${escapeHtml(showAllText)}</div>
+        </div>
+      `;
+    
+    this.suggestions.innerHTML = suggestionsHTML + showAllHTML;
     this.suggestions.classList.add('visible');
   }
 
@@ -312,20 +288,28 @@ class FamilyTreeSearch {
   }
 
   highlightMatch(text) {
-    const query = this.searchField.value.trim();
-    if (!query) return text;
-    
-    const regex = new RegExp(`(${query})`, 'gi');
-    return text.replace(regex, '<strong>$1</strong>');
+    const tokens = this.searchField.value.trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return escapeHtml(text);
+    
+    const pattern = tokens.map((token) => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return text
+      .split(new RegExp(`(${pattern})`, 'gi'))
+      .map((part, index) => (index % 2 ? `<strong>${escapeHtml(part)}</strong>` : escapeHtml(part)))
+      .join('');
   }
 
   handleKeyDown(e) {
-    if (!this.currentSuggestions.length) return;
+    if (e.key === 'Escape') {
+      this.hideSearch();
+      return;
+    }
+    if (!this.suggestions?.classList.contains('visible')) return;
     
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        this.selectedIndex = Math.min(this.selectedIndex + 1, this.currentSuggestions.length - 1);
+        // The "show all" row sits after the suggestions
+        this.selectedIndex = Math.min(this.selectedIndex + 1, this.currentSuggestions.length);
         this.updateSelectedSuggestion();
         break;
         
@@ -337,18 +321,23 @@ class FamilyTreeSearch {
         
       case 'Enter':
         e.preventDefault();
-        if (this.selectedIndex >= 0) {
+        if (this.selectedIndex >= 0 && this.selectedIndex < this.currentSuggestions.length) {
           const selected = this.currentSuggestions[this.selectedIndex];
           this.selectPerson(selected.id);
+        } else {
+          this.openResultsPanel();
         }
         break;
-        
-      case 'Escape':
-        this.hideSearch();
-        break;
     }
   }
 
+  // Open the paged results panel with the current query
+  openResultsPanel() {
+    const query = this.searchField.value.trim();
+    this.hideSearch();
+    openSearchPanel(window.treeCore, { query });
+  }
+
   updateSelectedSuggestion() {
     const suggestions = this.suggestions.querySelectorAll('.search-suggestion');
     suggestions.forEach((suggestion, index) => {
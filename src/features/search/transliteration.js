@@ -0,0 +1,100 @@
+// transliteration.js - Cyrillic to Latin transliteration and spelling-tolerant
+// search keys, so "Шевченко", "Shevchenko", "Schewtschenko" and "Szewczenko"
+// all find the same person.
+
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye',
+  ж: 'zh', з: 'z', и: 'i', і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm',
+  н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ў: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e',
+  ю: 'yu', я: 'ya', "'": '', 'ʼ': ''
+};
+
+// Latin letters that do not decompose into a base letter plus an accent.
+const LATIN_SPECIALS = {
+  š: 'sh', č: 'ch', ž: 'zh', ß: 'ss', ł: 'l', ø: 'o', æ: 'ae', œ: 'oe',
+  đ: 'd', ð: 'd', þ: 'th', ı: 'i', ħ: 'h'
+};
+
+// Spelling conventions of German, Polish, Czech, English and French folded
+// onto one skeleton. Order matters: longer sequences first.
+const SKELETON_RULES = [
+  [/szcz/g, 'shch'],
+  [/tsch/g, 'ch'],
+  [/sch/g, 'sh'],
+  [/cz/g, 'ch'],
+  [/sz/g, 'sh'],
+  [/kh/g, 'h'],
+  [/ph/g, 'f'],
+  [/ck/g, 'k'],
+  [/tz/g, 'ts'],
+  [/q/g, 'k'],
+  [/x/g, 'ks'],
+  [/w/g, 'v'],
+  [/[jy]/g, 'i'],
+  [/ou/g, 'u'],
+  [/([a-z])\1+/g, '$1']
+];
+
+/**
+ * Transliterate Cyrillic (Russian, Ukrainian, Belarusian) to Latin letters.
+ * Other characters pass through; capitalisation of the first letter of each
+ * transliterated letter group follows the source.
+ * @param {string} text
+ * @returns {string}
+ */
+export function transliterate(text) {
+  let result = '';
+  for (const char of String(text ?? '')) {
+    const lower = char.toLowerCase();
+    const latin = CYRILLIC_TO_LATIN[lower];
+    if (latin === undefined) {
+      result += char;
+    } else if (lower !== char && latin) {
+      result += latin.charAt(0).toUpperCase() + latin.slice(1);
+    } else {
+      result += latin;
+    }
+  }
+  return result;
+}
+
+function foldLatin(text) {
+  let result = '';
+  for (const char of text.toLowerCase()) {
+    result += LATIN_SPECIALS[char] ?? char;
+  }
+  return result.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function skeleton(text) {
+  let key = foldLatin(transliterate(text.toLowerCase()));
+  for (const [pattern, replacement] of SKELETON_RULES) {
+    key = key.replace(pattern, replacement);
+  }
+  return key.replace(/[^\p{L}\p{N}\s]+/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Spelling-tolerant keys for a text: lowercase Latin with accents, Cyrillic
+ * and national spelling conventions folded away. Cyrillic "г" is read as "g"
+ * in Russian and "h" in Ukrainian, so a text containing it gets both keys.
+ * @param {string} text
+ * @returns {string[]} one or two keys; empty for blank text
+ */
+export function searchKeys(text) {
+  const value = String(text ?? '').trim();
+  if (!value) return [];
+  const keys = [skeleton(value)];
+  if (/[гГ]/.test(value)) keys.push(skeleton(value.replace(/г/g, 'х').replace(/Г/g, 'Х')));
+  return [...new Set(keys)].filter(Boolean);
+}
+
+/**
+ * The first spelling-tolerant key of a text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function searchKey(text) {
+  return searchKeys(text)[0] ?? '';
+}
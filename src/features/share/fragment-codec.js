@@ -0,0 +1,386 @@
+// fragment-codec.js - A compact binary codec for share links that carry the
+// tree in the URL fragment (#). Object keys come from a fixed dictionary,
+// every string is stored once in a string table, and persons are written as
+// records with a field bitmask instead of JSON objects. The result is
+// deflated and base64url-encoded.
+//
+// Layout: version byte | deflated (string table | person count | person
+// records | everything else in the tree as a generic value).
+
+import { deflateSync, Inflate, strToU8, strFromU8 } from 'fflate';
+import { shareableTree, toBase64Url, fromBase64Url } from './url-codec.js';
+
+export const FRAGMENT_CODEC_VERSION = 1;
+
+/**
+ * Most bytes a fragment may inflate to. Eight full links of thumbnails come
+ * to a few megabytes; a link that inflates past this is refused rather than
+ * allowed to fill the viewer's memory.
+ */
+export const MAX_INFLATED_BYTES = 16 * 1024 * 1024;
+
+// Deflate expands at most ~1032 times, so one slice inflates to about 1 MB
+const INFLATE_SLICE = 1024;
+
+// Person fields with a slot in the record bitmask, in bit order. Append only:
+// links already shared are decoded with this list.
+const PERSON_FIELDS = [
+  ['id', 'string'],
+  ['name', 'string'],
+  ['fatherName', 'string'],
+  ['surname', 'string'],
+  ['maidenName', 'string'],
+  ['gender', 'string'],
+  ['motherId', 'string'],
+  ['fatherId', 'string'],
+  ['spouseId', 'string'],
+  ['x', 'int'],
+  ['y', 'int'],
+  ['color', 'string'],
+  ['radius', 'int'],
+  ['zIndex', 'int'],
+  ['birth', 'value'],
+  ['death', 'value'],
+  ['events', 'value'],
+  ['marriages', 'value'],
+  ['altNames', 'value'],
+  ['notes', 'string'],
+  ['photo', 'value']
+];
+const REST_BIT = PERSON_FIELDS.length;
+
+// Object keys written as one small number. Append only, like PERSON_FIELDS.
+const KEY_DICT = [
+  // dates, events, marriages
+  'date', 'place', 'note', 'year', 'month', 'day', 'estimated', 'qualifier', 'end',
+  'dualYear', 'bc', 'calendar', 'phrase', 'type', 'description', 'label', 'spouseId',
+  'name', 'lang', 'mediaId', 'transform', 'x', 'y', 'scale',
+  // tree
+  'version', 'persons', 'settings', 'displayPreferences', 'nodeStyle',
+  'hiddenConnections', 'lineOnlyConnections', 'legacyRelations', 'thumbnails',
+  // settings
+  'nodeRadius', 'defaultColor', 'fontFamily', 'fontSize', 'nameColor', 'dateColor',
+  'showNodeOutline', 'outlineColor', 'outlineThickness',
+  'familyLineStyle', 'familyLineThickness', 'familyLineColor',
+  'spouseLineStyle', 'spouseLineThickness', 'spouseLineColor',
+  'lineOnlyStyle', 'lineOnlyThickness', 'lineOnlyColor',
+  'showMaidenName', 'showDateOfBirth', 'showFatherName', 'showPhotos'
+];
+const KEY_INDEX = new Map(KEY_DICT.map((key, i) => [key, i]));
+
+const TAG = { NULL: 0, FALSE: 1, TRUE: 2, INT: 3, FLOAT: 4, STRING: 5, ARRAY: 6, OBJECT: 7 };
+
+// The viewer fits the tree to the screen and numbers generations itself, and
+// event and marriage ids are never shown, so none of them travel.
+const DROPPED_TREE_KEYS = ['camera', 'nextId'];
+const DROPPED_PERSON_KEYS = ['generation'];
+
+class Writer {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0;
+    this.strings = new Map();
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  raw(bytes) {
+    for (const value of bytes) this.byte(value);
+  }
+
+  // Unsigned LEB128; arithmetic rather than bit operators so values above 2^31 work
+  varint(value) {
+    let rest = value;
+    while (rest >= 0x80) {
+      this.byte((rest % 0x80) | 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    this.byte(rest);
+  }
+
+  zigzag(value) {
+    this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  string(value) {
+    let index = this.strings.get(value);
+    if (index === undefined) {
+      index = this.strings.size;
+      this.strings.set(value, index);
+    }
+    this.varint(index);
+  }
+
+  float(value) {
+    const buffer = new DataView(new ArrayBuffer(8));
+    buffer.setFloat64(0, value);
+    this.raw(new Uint8Array(buffer.buffer));
+  }
+
+  value(value) {
+    if (value === null || value === undefined) {
+      this.byte(TAG.NULL);
+    } else if (typeof value === 'boolean') {
+      this.byte(value ? TAG.TRUE : TAG.FALSE);
+    } else if (typeof value === 'number') {
+      if (Number.isSafeInteger(value)) {
+        this.byte(TAG.INT);
+        this.zigzag(value);
+      } else {
+        this.byte(TAG.FLOAT);
+        this.float(value);
+      }
+    } else if (typeof value === 'string') {
+      this.byte(TAG.STRING);
+      this.string(value);
+    } else if (Array.isArray(value)) {
+      this.byte(TAG.ARRAY);
+      this.varint(value.length);
+      for (const item of value) this.value(item);
+    } else {
+      this.byte(TAG.OBJECT);
+      this.object(value);
+    }
+  }
+
+  object(value) {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined && typeof v !== 'function');
+    this.varint(entries.length);
+    for (const [key, v] of entries) {
+      const known = KEY_INDEX.get(key);
+      if (known !== undefined) {
+        this.varint(known);
+      } else {
+        this.varint(KEY_DICT.length);
+        this.string(key);
+      }
+      this.value(v);
+    }
+  }
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+    this.strings = [];
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) throw new Error('Share data is truncated');
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let factor = 1;
+    for (;;) {
+      const b = this.byte();
+      value += (b & 0x7f) * factor;
+      if (b < 0x80) return value;
+      factor *= 0x80;
+      if (factor > Number.MAX_SAFE_INTEGER) throw new Error('Share data has a bad number');
+    }
+  }
+
+  zigzag() {
+    const value = this.varint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  string() {
+    const index = this.varint();
+    if (index >= this.strings.length) throw new Error('Share data has a bad string reference');
+    return this.strings[index];
+  }
+
+  float() {
+    if (this.offset + 8 > this.bytes.length) throw new Error('Share data is truncated');
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.offset, 8);
+    this.offset += 8;
+    return view.getFloat64(0);
+  }
+
+  value() {
+    const tag = this.byte();
+    switch (tag) {
+      case TAG.NULL: return null;
+      case TAG.FALSE: return false;
+      case TAG.TRUE: return true;
+      case TAG.INT: return this.zigzag();
+      case TAG.FLOAT: return this.float();
+      case TAG.STRING: return this.string();
+      case TAG.ARRAY: {
+        const length = this.varint();
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(this.value());
+        return items;
+      }
+      case TAG.OBJECT: return this.object();
+      default: throw new Error(`Share data has an unknown value tag ${tag}`);
+    }
+  }
+
+  object() {
+    const count = this.varint();
+    const result = {};
+    for (let i = 0; i < count; i++) {
+      const keyIndex = this.varint();
+      const key = keyIndex < KEY_DICT.length ? KEY_DICT[keyIndex] : this.string();
+      result[key] = this.value();
+    }
+    return result;
+  }
+}
+
+function withoutIds(records) {
+  if (!Array.isArray(records)) return records;
+  return records.map((record) => {
+    if (!record || typeof record !== 'object') return record;
+    const { id: _id, ...rest } = record;
+    return rest;
+  });
+}
+
+function hasField(value, kind) {
+  if (kind === 'string') return typeof value === 'string' && value !== '';
+  if (kind === 'int') return typeof value === 'number' && Number.isFinite(value);
+  return value !== undefined && value !== null;
+}
+
+function writePerson(writer, person) {
+  const rest = { ...person };
+  for (const key of DROPPED_PERSON_KEYS) delete rest[key];
+  const record = { ...rest, events: withoutIds(rest.events), marriages: withoutIds(rest.marriages) };
+
+  let mask = 0;
+  PERSON_FIELDS.forEach(([key, kind], bit) => {
+    if (hasField(record[key], kind)) mask += 2 ** bit;
+    delete rest[key];
+  });
+  const extra = Object.keys(rest).length > 0;
+  if (extra) mask += 2 ** REST_BIT;
+
+  writer.varint(mask);
+  PERSON_FIELDS.forEach(([key, kind], bit) => {
+    if (Math.floor(mask / 2 ** bit) % 2 === 0) return;
+    if (kind === 'string') writer.string(record[key]);
+    else if (kind === 'int') writer.zigzag(Math.round(record[key]));
+    else writer.value(record[key]);
+  });
+  if (extra) writer.object(rest);
+}
+
+function readPerson(reader) {
+  const mask = reader.varint();
+  const person = {};
+  PERSON_FIELDS.forEach(([key, kind], bit) => {
+    if (Math.floor(mask / 2 ** bit) % 2 === 0) return;
+    if (kind === 'string') person[key] = reader.string();
+    else if (kind === 'int') person[key] = reader.zigzag();
+    else person[key] = reader.value();
+  });
+  if (Math.floor(mask / 2 ** REST_BIT) % 2 === 1) Object.assign(person, reader.object());
+  return person;
+}
+
+// Inflate a slice at a time, so the limit is checked before the output grows past it
+function inflateCapped(data, limit) {
+  const chunks = [];
+  let size = 0;
+  const inflater = new Inflate((chunk) => {
+    size += chunk.length;
+    if (size > limit) throw new Error('Share data is too large');
+    chunks.push(chunk);
+  });
+  for (let i = 0; i < data.length; i += INFLATE_SLICE) {
+    inflater.push(data.subarray(i, i + INFLATE_SLICE), i + INFLATE_SLICE >= data.length);
+  }
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * The binary form of a tree, before deflate.
+ * @param {Object} tree - a shareable tree (see url-codec.js)
+ * @returns {Uint8Array}
+ */
+export function packTree(tree) {
+  const { persons = [], ...rest } = tree;
+  for (const key of DROPPED_TREE_KEYS) delete rest[key];
+
+  const body = new Writer();
+  body.varint(persons.length);
+  for (const person of persons) writePerson(body, person);
+  body.object(rest);
+
+  const out = new Writer();
+  out.varint(body.strings.size);
+  for (const text of body.strings.keys()) {
+    const utf8 = strToU8(text);
+    out.varint(utf8.length);
+    out.raw(utf8);
+  }
+  out.raw(body.bytes.subarray(0, body.length));
+  return out.bytes.slice(0, out.length);
+}
+
+/**
+ * @param {Uint8Array} bytes - from packTree
+ * @returns {Object}
+ */
+export function unpackTree(bytes) {
+  const reader = new Reader(bytes);
+  const count = reader.varint();
+  for (let i = 0; i < count; i++) {
+    const length = reader.varint();
+    if (reader.offset + length > bytes.length) throw new Error('Share data is truncated');
+    reader.strings.push(strFromU8(bytes.subarray(reader.offset, reader.offset + length)));
+    reader.offset += length;
+  }
+  const personCount = reader.varint();
+  const persons = [];
+  for (let i = 0; i < personCount; i++) persons.push(readPerson(reader));
+  return { ...reader.object(), persons };
+}
+
+/**
+ * Encode a tree for the URL fragment.
+ * @param {Object} tree
+ * @param {{ thumbnails?: Object<string, string> }} [options] - as for encodeTreeToParam
+ * @returns {Promise<string>} base64url
+ */
+export async function encodeTreeToFragment(tree, { thumbnails = {} } = {}) {
+  const packed = deflateSync(packTree(shareableTree(tree, thumbnails)), { level: 9 });
+  const bytes = new Uint8Array(packed.length + 1);
+  bytes[0] = FRAGMENT_CODEC_VERSION;
+  bytes.set(packed, 1);
+  return toBase64Url(bytes);
+}
+
+/**
+ * Decode the fragment payload back to a tree state object.
+ * @param {string} text - from encodeTreeToFragment
+ * @returns {Promise<Object>}
+ * @throws {Error} when the version is unknown, the data is damaged or it
+ *   inflates past MAX_INFLATED_BYTES
+ */
+export async function decodeTreeFromFragment(text) {
+  const bytes = fromBase64Url(text);
+  if (bytes[0] !== FRAGMENT_CODEC_VERSION) {
+    throw new Error(`Unsupported share data version ${bytes[0]}`);
+  }
+  return unpackTree(inflateCapped(bytes.subarray(1), MAX_INFLATED_BYTES));
+}
@@ -0,0 +1,191 @@
+// share-package.js - A share as one HTML file: the /view page with its
+// stylesheets, its scripts and the tree inside, so it opens from a disk or a
+// mail attachment without the site.
+//
+// Scripts are ES modules that import each other by relative path, which a
+// data: URL cannot resolve. Each module is given a bare name instead
+// ("share-package/_astro/x.js") and an import map points every name at the
+// module's code as a data: URL.
+
+import { shareableTree } from './url-codec.js';
+
+/** Id of the script element that carries the tree. */
+export const SHARE_PACKAGE_TREE_ID = 'sharedTreeData';
+
+/** Id of the script element that carries the viewer's translations. */
+export const SHARE_PACKAGE_LOCALE_ID = 'sharedTranslations';
+
+/** Parts of builder.* the viewer shows; only these are packed. */
+export const SHARE_PACKAGE_LOCALE_SECTIONS = ['buttons', 'sidebar', 'table', 'tree_chart', 'events', 'share'];
+
+const MODULE_PREFIX = 'share-package';
+
+// import "x", import { a } from "x", export * from "x", import("x")
+const IMPORT_RE = /(\bimport\s*\(\s*|\bimport\s*|\bfrom\s*)(["'])([^"'\n]+)\2/g;
+const SOURCE_MAP_RE = /\n?\/[/*]# sourceMappingURL=[^\n]*/g;
+const CSS_URL_RE = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+async function defaultFetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+  return response.text();
+}
+
+function isRelative(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || specifier.startsWith('/');
+}
+
+function moduleName(url) {
+  return MODULE_PREFIX + new URL(url).pathname;
+}
+
+// Points relative imports at bare names and adds their URLs to `found`
+function rewriteImports(code, base, found) {
+  return code.replace(SOURCE_MAP_RE, '').replace(IMPORT_RE, (match, head, quote, specifier) => {
+    if (!isRelative(specifier)) return match;
+    const target = new URL(specifier, base).href;
+    found.push(target);
+    return `${head}${quote}${moduleName(target)}${quote}`;
+  });
+}
+
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// JSON that cannot end the <script> element it sits in
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Every module reachable from the entry modules, with its relative imports
+ * rewritten to bare names.
+ * @param {string[]} entries - absolute module URLs
+ * @param {(url: string) => Promise<string>} fetchText
+ * @returns {Promise<Map<string, string>>} code by bare name
+ */
+export async function collectModules(entries, fetchText) {
+  const modules = new Map();
+  const queue = [...entries];
+  while (queue.length) {
+    const url = queue.shift();
+    const name = moduleName(url);
+    if (modules.has(name)) continue;
+    // Claimed before the fetch, so import cycles end here
+    modules.set(name, '');
+    modules.set(name, rewriteImports(await fetchText(url), url, queue));
+  }
+  return modules;
+}
+
+function absoluteCssUrls(css, base) {
+  return css.replace(CSS_URL_RE, (match, quote, url) => {
+    if (/^(data:|#)/.test(url)) return match;
+    return `url(${quote}${new URL(url, base).href}${quote})`;
+  });
+}
+
+/**
+ * Build a share package.
+ * @param {Object} tree - a tree state as saved by the builder
+ * @param {Object} [options]
+ * @param {string} [options.origin] - the site the viewer is taken from
+ * @param {(url: string) => Promise<string>} [options.fetchText]
+ * @param {Object<string, string>} [options.thumbnails] - as for encodeTreeToParam
+ * @param {string} [options.locale] - language of the package
+ * @param {Object<string, Object>} [options.translations] - i18n translations by locale
+ * @returns {Promise<string>} the HTML document
+ */
+export async function buildSharePackage(tree, options = {}) {
+  const {
+    origin = window.location.origin,
+    fetchText = defaultFetchText,
+    thumbnails = {},
+    locale = 'en',
+    translations = {}
+  } = options;
+  const pageUrl = `${origin}/view`;
+  const doc = new DOMParser().parseFromString(await fetchText(pageUrl), 'text/html');
+
+  for (const link of doc.querySelectorAll('link[rel="stylesheet"][href]')) {
+    const href = new URL(link.getAttribute('href'), pageUrl).href;
+    const style = doc.createElement('style');
+    style.textContent = absoluteCssUrls(await fetchText(href), href);
+    link.replaceWith(style);
+  }
+  // Nothing is preloaded, and there is no site to install or read a manifest from
+  doc.querySelectorAll('link[rel="modulepreload"], link[rel="preload"], link[rel="manifest"]').forEach((link) => link.remove());
+  for (const script of doc.querySelectorAll('script:not([src]):not([type])')) {
+    if (script.textContent.includes('serviceWorker')) script.remove();
+  }
+
+  const entries = [];
+  for (const script of doc.querySelectorAll('script[type="module"]')) {
+    const src = script.getAttribute('src');
+    if (src) {
+      const url = new URL(src, pageUrl).href;
+      entries.push(url);
+      script.removeAttribute('src');
+      script.removeAttribute('crossorigin');
+      script.textContent = `import ${JSON.stringify(moduleName(url))};`;
+    } else {
+      script.textContent = rewriteImports(script.textContent, pageUrl, entries);
+    }
+  }
+  const modules = await collectModules(entries, fetchText);
+
+  for (const element of doc.querySelectorAll('[href^="/"], [src^="/"]')) {
+    for (const attr of ['href', 'src']) {
+      const value = element.getAttribute(attr);
+      if (value?.startsWith('/') && !value.startsWith('//')) element.setAttribute(attr, origin + value);
+    }
+  }
+
+  const importMap = doc.createElement('script');
+  importMap.type = 'importmap';
+  const imports = {};
+  for (const [name, code] of modules) imports[name] = `data:text/javascript;base64,${toBase64(code)}`;
+  importMap.textContent = JSON.stringify({ imports });
+
+  // Dynamic imports first try to preload their chunks from the site; offline
+  // that fails, and the modules are in the import map anyway
+  const preloadGuard = doc.createElement('script');
+  preloadGuard.textContent = "window.addEventListener('vite:preloadError', (e) => e.preventDefault());";
+  doc.head.prepend(preloadGuard, importMap);
+
+  const data = doc.createElement('script');
+  data.type = 'application/json';
+  data.id = SHARE_PACKAGE_TREE_ID;
+  data.textContent = scriptJson(shareableTree(tree, thumbnails));
+
+  const packed = {};
+  for (const language of new Set([locale, 'en'])) {
+    const builder = translations[language]?.builder;
+    if (!builder) continue;
+    const sections = SHARE_PACKAGE_LOCALE_SECTIONS.filter((key) => builder[key]);
+    packed[language] = { builder: Object.fromEntries(sections.map((key) => [key, builder[key]])) };
+  }
+  const strings = doc.createElement('script');
+  strings.type = 'application/json';
+  strings.id = SHARE_PACKAGE_LOCALE_ID;
+  strings.textContent = scriptJson({ locale, translations: packed });
+  doc.body.prepend(data, strings);
+
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
+
+/**
+ * File name of a share package, e.g. "Smith family.html".
+ * @param {string} [treeName]
+ * @returns {string}
+ */
+export function sharePackageFileName(treeName) {
+  const safe = String(treeName || '').replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim();
+  return `${safe || 'family-tree'}.html`;
+}
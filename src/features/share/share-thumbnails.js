@@ -0,0 +1,57 @@
+// share-thumbnails.js - Small JPEG thumbnails of the tree's photos, read from
+// the media store, for share links. They keep the photo's proportions, so the
+// crop saved in person.photo.transform applies to them unchanged.
+
+/** Length in pixels of a thumbnail's shorter side. */
+export const SHARE_THUMBNAIL_SIZE = 64;
+
+const THUMBNAIL_QUALITY = 0.7;
+
+/**
+ * Scale an image down to a JPEG data URL.
+ * @param {Blob} blob
+ * @param {number} [size] - length of the shorter side; images are never enlarged
+ * @returns {Promise<string>}
+ */
+export async function imageToThumbnailDataUrl(blob, size = SHARE_THUMBNAIL_SIZE) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const i = new Image();
+      i.onload = () => resolve(i);
+      i.onerror = () => reject(new Error('Image decode failed'));
+      i.src = url;
+    });
+    const ratio = Math.min(1, size / Math.min(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * ratio));
+    canvas.height = Math.max(1, Math.round(img.height * ratio));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Thumbnails of the persons' photos. Photos missing from the store or that
+ * fail to decode are left out.
+ * @param {Object[]} persons
+ * @param {{ getMedia: (id: string) => Promise<{ blob?: Blob }|null> }} repo
+ * @param {{ size?: number, toDataUrl?: (blob: Blob, size: number) => Promise<string> }} [options]
+ * @returns {Promise<Object<string, string>>} data URLs by media id
+ */
+export async function collectShareThumbnails(persons, repo, options = {}) {
+  const { size = SHARE_THUMBNAIL_SIZE, toDataUrl = imageToThumbnailDataUrl } = options;
+  const mediaIds = new Set(persons.map((person) => person.photo?.mediaId).filter(Boolean));
+  const thumbnails = {};
+  for (const mediaId of mediaIds) {
+    try {
+      const record = await repo.getMedia(mediaId);
+      if (record?.blob) thumbnails[mediaId] = await toDataUrl(record.blob, size);
+    } catch (err) {
+      console.warn('[share] thumbnail failed for', mediaId, err);
+    }
+  }
+  return thumbnails;
+}
@@ -1,5 +1,30 @@
 export const MAX_URL_BYTES = 8000;
 
+/**
+ * Longest fragment link offered. Browsers keep far longer fragments, but
+ * chat apps and mail clients cut links of this size.
+ */
+export const MAX_FRAGMENT_BYTES = 32000;
+
+/** Most links a tree may be split into; bigger trees go as a share package. */
+export const MAX_FRAGMENT_PARTS = 8;
+
+export const FRAGMENT_VERSION = '2';
+
+const THUMBNAIL_DATA_URL = /^data:image\/(?:jpeg|png|webp);base64,[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Whether a value from a shared tree may go into an image's src: only
+ * base64 JPEG, PNG and WebP data URLs, never a link to elsewhere.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isThumbnailDataUrl(value) {
+  return typeof value === 'string' && THUMBNAIL_DATA_URL.test(value);
+}
+
+const PART_STORAGE_PREFIX = 'mapmyroots_share_parts:';
+
 /**
  * @param {string} origin - e.g. 'https://mapmyroots.com'
  * @param {string} encoded - base64url string from encodeTreeToParam
@@ -8,3 +33,93 @@ export const MAX_URL_BYTES = 8000;
 export function buildShareUrl(origin, encoded) {
   return `${origin}/view?d=${encoded}`;
 }
+
+// FNV-1a, so the parts of one share find each other and not a different share's
+function payloadId(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Links that carry the tree in the URL fragment, which never reaches a
+ * server. A payload too long for one link is split over several; the viewer
+ * puts them back together once each has been opened.
+ * @param {string} origin
+ * @param {string} encoded - base64url string from encodeTreeToFragment
+ * @param {{ maxBytes?: number }} [options] - longest link
+ * @returns {string[]}
+ */
+export function buildFragmentShareUrls(origin, encoded, { maxBytes = MAX_FRAGMENT_BYTES } = {}) {
+  const single = `${origin}/view#v=${FRAGMENT_VERSION}&d=${encoded}`;
+  if (single.length <= maxBytes) return [single];
+
+  const id = payloadId(encoded);
+  const head = (part, total) => `${origin}/view#v=${FRAGMENT_VERSION}&id=${id}&part=${part}/${total}&d=`;
+  // Sized for the longest part numbers, which grow with the number of parts
+  let total = 2;
+  let size;
+  for (;;) {
+    size = maxBytes - head(total, total).length;
+    if (size <= 0) throw new Error('Share link limit is shorter than the link itself');
+    const needed = Math.ceil(encoded.length / size);
+    const fits = needed <= total;
+    total = needed;
+    if (fits) break;
+  }
+
+  const urls = [];
+  for (let i = 0; i < total; i++) {
+    const chunk = encoded.slice(i * size, (i + 1) * size);
+    urls.push(head(i + 1, total) + chunk);
+  }
+  return urls;
+}
+
+/**
+ * Read a fragment share link's hash.
+ * @param {string} hash - location.hash, with or without '#'
+ * @returns {{ data: string, id?: string, part?: number, total?: number }|null}
+ *   null when the hash is not a fragment share
+ */
+export function parseShareFragment(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const data = params.get('d');
+  if (params.get('v') !== FRAGMENT_VERSION || !data) return null;
+  const partMatch = /^(\d+)\/(\d+)$/.exec(params.get('part') || '');
+  if (!partMatch) return { data };
+  const part = Number(partMatch[1]);
+  const total = Number(partMatch[2]);
+  if (!params.get('id') || part < 1 || part > total) return null;
+  return { data, id: params.get('id'), part, total };
+}
+
+/**
+ * Keep one part of a split share until the others arrive.
+ * @param {Storage} storage - e.g. localStorage
+ * @param {{ data: string, id: string, part: number, total: number }} fragment
+ * @returns {{ received: number, total: number, data: string|null }}
+ *   the joined payload once every part is in, otherwise null
+ */
+export function storeFragmentPart(storage, { data, id, part, total }) {
+  const key = PART_STORAGE_PREFIX + id;
+  let saved = null;
+  try {
+    saved = JSON.parse(storage.getItem(key) || 'null');
+  } catch {}
+  const parts = saved?.total === total && saved.parts ? saved.parts : {};
+  parts[part] = data;
+
+  const received = Object.keys(parts).length;
+  if (received < total) {
+    storage.setItem(key, JSON.stringify({ total, parts }));
+    return { received, total, data: null };
+  }
+  storage.removeItem(key);
+  let joined = '';
+  for (let i = 1; i <= total; i++) joined += parts[i];
+  return { received, total, data: joined };
+}
@@ -0,0 +1,348 @@
+// share-viewer.js - The read-only viewer of a shared link (/view) or share
+// package. It draws the tree with the builder's canvas renderer and settings,
+// offers the tree chart and a table, and shows a person's details on click.
+// Nothing can be edited.
+
+import { CanvasRenderer } from '../../core/canvas-renderer.js';
+import { buildConnections, rendererNodeFromPerson, applyRendererSettings } from '../../core/tree-view-state.js';
+import { GenerationCalculator } from '../../utils/generation-calculator.js';
+import { initTreeChartView } from '../tree-chart/tree-chart-view.js';
+import { collectTableRows } from '../../ui/components/table.js';
+import { decodeTreeFromParam } from './url-codec.js';
+import { decodeTreeFromFragment } from './fragment-codec.js';
+import { parseShareFragment, storeFragmentPart } from './share-utils.js';
+import { SHARE_PACKAGE_TREE_ID, SHARE_PACKAGE_LOCALE_ID } from './share-package.js';
+import { readSharedPersons, readSharedSettings, readSharedThumbnails, describePerson } from './shared-tree.js';
+
+const VIEWS = ['graphic', 'treeChart', 'table'];
+const VIEW_BUTTONS = { graphic: 'viewGraphicBtn', treeChart: 'viewTreeChartBtn', table: 'viewTableBtn' };
+
+let core = null;
+let thumbnails = {};
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{{${key}}}`, value), text);
+}
+
+function locale() {
+  return window.i18n?.currentLocale || 'en';
+}
+
+function showStatus(text) {
+  const status = document.getElementById('viewStatus');
+  if (!status) return;
+  status.textContent = text;
+  status.classList.remove('hidden');
+}
+
+function readEmbeddedJson(id) {
+  const element = document.getElementById(id);
+  if (!element) return null;
+  try {
+    return JSON.parse(element.textContent);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Use the translations a share package carries; offline the locale files
+ * cannot be fetched.
+ * @returns {boolean} whether the page had them
+ */
+export function loadEmbeddedTranslations() {
+  const embedded = readEmbeddedJson(SHARE_PACKAGE_LOCALE_ID);
+  if (!embedded?.translations || !window.i18n) return false;
+  for (const [language, strings] of Object.entries(embedded.translations)) {
+    window.i18n.translations[language] = { ...window.i18n.translations[language], ...strings };
+  }
+  if (embedded.translations[embedded.locale]) window.i18n.currentLocale = embedded.locale;
+  window.i18n.updatePageContent();
+  return true;
+}
+
+// The tree of a share package, a fragment link or a ?d= link, in that order.
+// Resolves to null while parts of a split fragment link are still missing.
+async function readSharedTree() {
+  const embedded = document.getElementById(SHARE_PACKAGE_TREE_ID);
+  if (embedded) return JSON.parse(embedded.textContent);
+
+  const fragment = parseShareFragment(window.location.hash);
+  if (fragment) {
+    let data = fragment.data;
+    if (fragment.id) {
+      const progress = storeFragmentPart(window.localStorage, fragment);
+      if (!progress.data) {
+        showStatus(fill(
+          t('builder.share.viewer.parts_waiting', 'Received part {{received}} of {{total}}. Open the other links of this share in this browser.'),
+          { received: progress.received, total: progress.total }
+        ));
+        // The next part may be opened in this tab, which changes only the hash
+        window.addEventListener('hashchange', startShareViewer);
+        return null;
+      }
+      data = progress.data;
+    }
+    return decodeTreeFromFragment(data);
+  }
+
+  const param = new URLSearchParams(window.location.search).get('d');
+  return param ? decodeTreeFromParam(param) : undefined;
+}
+
+/**
+ * Read the tree from the page and show it, or say why it cannot be shown.
+ */
+export async function startShareViewer() {
+  let tree;
+  try {
+    tree = await readSharedTree();
+  } catch {
+    showStatus(t('builder.share.viewer.invalid', 'Invalid share link.'));
+    return;
+  }
+  if (tree === null) return;
+  if (tree === undefined) {
+    showStatus(t('builder.share.viewer.no_data', 'No tree data in URL.'));
+    return;
+  }
+  if (!Array.isArray(tree?.persons) || tree.persons.length === 0) {
+    showStatus(t('builder.share.viewer.empty', 'Share link contains an empty tree.'));
+    return;
+  }
+  window.removeEventListener('hashchange', startShareViewer);
+  document.getElementById('viewStatus')?.classList.add('hidden');
+  mountShareViewer(tree);
+}
+
+/**
+ * Show a decoded tree in the viewer's markup.
+ * @param {Object} tree - a tree state as saved by the builder
+ */
+export function mountShareViewer(tree) {
+  const personData = readSharedPersons(tree);
+  const settings = readSharedSettings(tree);
+  thumbnails = readSharedThumbnails(tree);
+  document.getElementById('viewerApp')?.classList.remove('hidden');
+
+  const renderer = new CanvasRenderer(document.getElementById('graphicView'));
+  renderer.readOnly = true;
+  applyRendererSettings(renderer, settings);
+  for (const person of personData.values()) {
+    renderer.setNode(person.id, rendererNodeFromPerson(person, settings));
+  }
+  renderer.connections = buildConnections(personData, {
+    hiddenConnections: new Set(tree.hiddenConnections ?? []),
+    lineOnlyConnections: tree.lineOnlyConnections ?? [],
+    legacyRelations: tree.legacyRelations ?? []
+  });
+  for (const [mediaId, dataUrl] of Object.entries(thumbnails)) {
+    const img = new Image();
+    img.onload = () => renderer.setMediaImage(mediaId, img);
+    img.src = dataUrl;
+  }
+  renderer.fitToContent();
+  renderer.onNodeClick = (id) => showPerson(id);
+  renderer.onSelectionCleared = () => closePerson();
+
+  // The tree chart and the table read the tree from window.treeCore
+  const generations = new GenerationCalculator().calculateGenerations(personData);
+  core = {
+    personData,
+    renderer,
+    getPersonData: (id) => personData.get(id),
+    getGeneration: (id) => generations.get(id) ?? null
+  };
+  window.treeCore = core;
+
+  const chartEl = document.getElementById('treeChartView');
+  initTreeChartView(chartEl);
+  chartEl?.addEventListener('click', (e) => {
+    if (e.target.closest('.tc-node-toggle')) return;
+    const nodeEl = e.target.closest('.tc-node');
+    if (nodeEl) showPerson(nodeEl.dataset.personId);
+  });
+
+  wireViewSwitcher();
+  wireTable();
+  wirePersonPanel();
+}
+
+function setView(name) {
+  if (!VIEWS.includes(name)) return;
+  const containers = { graphic: 'graphicView', treeChart: 'treeChartView', table: 'tableView' };
+  for (const view of VIEWS) {
+    document.getElementById(containers[view])?.classList.toggle('hidden', view !== name);
+    const button = document.getElementById(VIEW_BUTTONS[view]);
+    button?.classList.toggle('active', view === name);
+    button?.setAttribute('aria-selected', String(view === name));
+  }
+  document.dispatchEvent(new CustomEvent('view:changed', { detail: { name } }));
+  // The canvas has no size while hidden
+  if (name === 'graphic') core?.renderer.resize();
+  if (name === 'table') renderTable();
+}
+
+function wireViewSwitcher() {
+  for (const [view, id] of Object.entries(VIEW_BUTTONS)) {
+    document.getElementById(id)?.addEventListener('click', () => setView(view));
+  }
+}
+
+function wireTable() {
+  document.getElementById('viewTableSearch')?.addEventListener('input', renderTable);
+  document.getElementById('viewTableSort')?.addEventListener('change', renderTable);
+  document.getElementById('viewTableBody')?.addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-person-id]');
+    if (row) showPerson(row.dataset.personId);
+  });
+}
+
+function renderTable() {
+  const tbody = document.getElementById('viewTableBody');
+  if (!tbody || !core) return;
+  const query = (document.getElementById('viewTableSearch')?.value ?? '').trim().toLowerCase();
+  const sortKey = document.getElementById('viewTableSort')?.value || 'name';
+  const nameOf = (id) => {
+    const person = core.personData.get(id);
+    return person ? `${person.name} ${person.surname}`.trim() : '';
+  };
+
+  let rows = collectTableRows(core);
+  if (query) {
+    rows = rows.filter((r) => [r.name, r.fatherName, r.surname, r.maidenName, r.dob, r.events]
+      .some((value) => value.toLowerCase().includes(query)));
+  }
+  rows.sort((a, b) => {
+    if (sortKey === 'dob') {
+      const yearA = a.birthDate?.year ?? Infinity;
+      const yearB = b.birthDate?.year ?? Infinity;
+      if (yearA !== yearB) return yearA - yearB;
+    }
+    return String(a[sortKey] || '').localeCompare(String(b[sortKey] || ''));
+  });
+
+  tbody.replaceChildren();
+  for (const r of rows) {
+    const tr = tbody.insertRow();
+    tr.dataset.personId = r.id;
+    tr.tabIndex = 0;
+    const generation = core.getGeneration(r.id);
+    const cells = [
+      r.name, r.fatherName, r.surname, r.maidenName, r.dob, r.gender,
+      generation !== null ? String(generation) : '-',
+      nameOf(r.motherId), nameOf(r.fatherId), nameOf(r.spouseId), r.events
+    ];
+    for (const text of cells) tr.insertCell().textContent = text;
+    tr.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') showPerson(r.id);
+    });
+  }
+}
+
+function wirePersonPanel() {
+  document.getElementById('personPanelClose')?.addEventListener('click', closePerson);
+  document.getElementById('personPanelBody')?.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-person-id]');
+    if (link) showPerson(link.dataset.personId);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closePerson();
+  });
+}
+
+function closePerson() {
+  document.getElementById('personPanel')?.classList.add('hidden');
+}
+
+function section(title, content) {
+  const wrapper = document.createElement('section');
+  wrapper.className = 'person-panel-section';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  wrapper.append(heading, content);
+  return wrapper;
+}
+
+function personList(people) {
+  const list = document.createElement('ul');
+  for (const person of people) {
+    const item = document.createElement('li');
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'person-panel-link';
+    link.dataset.personId = person.id;
+    link.textContent = person.name;
+    item.appendChild(link);
+    if (person.details) item.append(` (${person.details})`);
+    list.appendChild(item);
+  }
+  return list;
+}
+
+/**
+ * Open the person panel on one person.
+ * @param {string} id
+ */
+function showPerson(id) {
+  const panel = document.getElementById('personPanel');
+  const body = document.getElementById('personPanelBody');
+  const details = core && describePerson(core.personData, id, { t, locale: locale() });
+  if (!panel || !body || !details) return;
+
+  document.getElementById('personPanelName').textContent = details.name;
+  body.replaceChildren();
+
+  const summary = document.createElement('div');
+  summary.className = 'person-panel-summary';
+  if (details.mediaId && thumbnails[details.mediaId]) {
+    const photo = document.createElement('img');
+    photo.className = 'person-panel-photo';
+    photo.src = thumbnails[details.mediaId];
+    photo.alt = details.name;
+    summary.appendChild(photo);
+  }
+  const lines = document.createElement('div');
+  if (details.maidenName) {
+    const maiden = document.createElement('p');
+    maiden.textContent = `${t('builder.share.viewer.maiden_name', 'Maiden name')}: ${details.maidenName}`;
+    lines.appendChild(maiden);
+  }
+  for (const [key, fallback, value] of [['born', 'Born', details.birth], ['died', 'Died', details.death]]) {
+    if (!value) continue;
+    const line = document.createElement('p');
+    line.textContent = `${t(`builder.share.viewer.${key}`, fallback)}: ${value}`;
+    lines.appendChild(line);
+  }
+  summary.appendChild(lines);
+  body.appendChild(summary);
+
+  const relatives = [
+    ['parents', 'Parents', details.parents],
+    ['spouses', 'Spouses', details.spouses],
+    ['children', 'Children', details.children]
+  ];
+  for (const [key, fallback, people] of relatives) {
+    if (people.length) body.appendChild(section(t(`builder.share.viewer.${key}`, fallback), personList(people)));
+  }
+  if (details.events.length) {
+    const list = document.createElement('ul');
+    for (const text of details.events) list.appendChild(document.createElement('li')).textContent = text;
+    body.appendChild(section(t('builder.share.viewer.events', 'Life events'), list));
+  }
+  if (details.notes) {
+    const notes = document.createElement('p');
+    notes.className = 'person-panel-notes';
+    notes.textContent = details.notes;
+    body.appendChild(section(t('builder.share.viewer.notes', 'Notes'), notes));
+  }
+
+  core.renderer.selectedNodes = new Set([id]);
+  core.renderer.needsRedraw = true;
+  panel.classList.remove('hidden');
+}
@@ -0,0 +1,135 @@
+// shared-tree.js - A tree decoded from a share link, read the way the builder
+// reads a loaded file, and the facts the viewer's person panel shows.
+
+import { migrateToV22 } from '../../data/migrations/v2.2-rich-events.js';
+import { formatDateValue, formatLifespanShort } from '../../utils/date-value.js';
+import { summarizeLifeEvents } from '../../utils/life-events.js';
+import { lineStyleSettingsFrom } from '../../core/tree-view-state.js';
+import { isThumbnailDataUrl } from './share-utils.js';
+
+/** TreeEngine's settings before a tree overrides them. */
+export const VIEW_DEFAULTS = Object.freeze({
+  nodeRadius: 50,
+  defaultColor: '#3498db',
+  fontFamily: 'Inter',
+  fontSize: 11,
+  nameColor: '#ffffff',
+  dateColor: '#f0f0f0',
+  nodeStyle: 'circle'
+});
+
+/**
+ * Persons of a shared tree by id, old links migrated to birth/death objects
+ * and marriages, with every field the builder fills in.
+ * @param {Object} tree
+ * @returns {Map<string, Object>}
+ */
+export function readSharedPersons(tree) {
+  const { persons = [] } = migrateToV22(tree) ?? {};
+  const personData = new Map();
+  for (const person of persons) {
+    if (!person?.id) continue;
+    personData.set(person.id, {
+      ...person,
+      name: person.name || '',
+      fatherName: person.fatherName || '',
+      surname: person.surname || '',
+      maidenName: person.maidenName || '',
+      gender: person.gender || '',
+      motherId: person.motherId || '',
+      fatherId: person.fatherId || '',
+      spouseId: person.spouseId || '',
+      birth: person.birth || { date: null, place: '', note: '' },
+      death: person.death || { date: null, place: '', note: '' },
+      events: Array.isArray(person.events) ? person.events : [],
+      marriages: Array.isArray(person.marriages) ? person.marriages : [],
+      notes: person.notes || '',
+      photo: person.photo || null
+    });
+  }
+  return personData;
+}
+
+/**
+ * Photo thumbnails of a shared tree by media id. Values that are not image
+ * data URLs are dropped: the link is not ours, and they go into img.src.
+ * @param {Object} tree
+ * @returns {Object<string, string>}
+ */
+export function readSharedThumbnails(tree) {
+  const thumbnails = {};
+  for (const [mediaId, dataUrl] of Object.entries(tree.thumbnails ?? {})) {
+    if (isThumbnailDataUrl(dataUrl)) thumbnails[mediaId] = dataUrl;
+  }
+  return thumbnails;
+}
+
+/**
+ * The tree's style settings in the form `applyRendererSettings` takes.
+ * @param {Object} tree
+ * @returns {Object}
+ */
+export function readSharedSettings(tree) {
+  return {
+    ...VIEW_DEFAULTS,
+    ...(tree.settings ?? {}),
+    nodeStyle: tree.nodeStyle || VIEW_DEFAULTS.nodeStyle,
+    lineStyleSettings: lineStyleSettingsFrom(tree.settings),
+    displayPreferences: tree.displayPreferences
+  };
+}
+
+/**
+ * @param {Object} [person]
+ * @returns {string} given name, father's name and surname
+ */
+export function fullName(person) {
+  return [person?.name, person?.fatherName, person?.surname].filter(Boolean).join(' ').trim();
+}
+
+/**
+ * What the person panel shows about one person. Relatives missing from the
+ * tree are left out.
+ * @param {Map<string, Object>} personData
+ * @param {string} id
+ * @param {{ t?: (key: string, fallback: string) => string, locale?: string }} [options]
+ * @returns {Object|null}
+ */
+export function describePerson(personData, id, { t, locale = 'en' } = {}) {
+  const person = personData.get(id);
+  if (!person) return null;
+  const relative = (relativeId) => {
+    const other = personData.get(relativeId);
+    return other ? { id: relativeId, name: fullName(other) || relativeId } : null;
+  };
+  const fact = (event) => [formatDateValue(event?.date, locale), event?.place].filter(Boolean).join(', ');
+
+  const spouses = [];
+  for (const marriage of person.marriages) {
+    const spouse = relative(marriage.spouseId);
+    if (spouse && !spouses.some((s) => s.id === spouse.id)) spouses.push({ ...spouse, details: fact(marriage) });
+  }
+  const partner = relative(person.spouseId);
+  if (partner && !spouses.some((s) => s.id === partner.id)) spouses.push({ ...partner, details: '' });
+
+  const children = [];
+  for (const [childId, child] of personData) {
+    if (child.fatherId === id || child.motherId === id) children.push(relative(childId));
+  }
+
+  return {
+    id,
+    name: fullName(person) || id,
+    maidenName: person.maidenName,
+    gender: person.gender,
+    lifespan: formatLifespanShort(person.birth.date, person.death.date, locale),
+    birth: fact(person.birth),
+    death: fact(person.death),
+    parents: [relative(person.fatherId), relative(person.motherId)].filter(Boolean),
+    spouses,
+    children,
+    events: summarizeLifeEvents(person.events, t, locale),
+    notes: person.notes,
+    mediaId: person.photo?.mediaId ?? null
+  };
+}
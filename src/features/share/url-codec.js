@@ -1,23 +1,59 @@
 import { strToU8, strFromU8, gzipSync, gunzipSync } from 'fflate';
+import { isThumbnailDataUrl } from './share-utils.js';
 
-function stripPhotos(tree) {
-  return {
-    ...tree,
-    persons: (tree.persons ?? []).map(({ photoBase64: _pb, photo: _p, ...rest }) => rest)
-  };
+/**
+ * What a share carries: what the viewer draws. Photos go only as the given
+ * thumbnails, and only those that are image data URLs; GEDCOM passthrough
+ * records are left out.
+ * @param {object} tree
+ * @param {Object<string, string>} [thumbnails] - data URLs by media id
+ * @returns {object}
+ */
+export function shareableTree(tree, thumbnails = {}) {
+  const { gedcomRecords: _g, thumbnails: _t, ...rest } = tree;
+  const kept = {};
+  const persons = (tree.persons ?? []).map(({ photoBase64: _pb, photo, unmapped: _u, ...person }) => {
+    const thumbnail = photo?.mediaId ? thumbnails[photo.mediaId] : null;
+    if (!isThumbnailDataUrl(thumbnail)) return person;
+    kept[photo.mediaId] = thumbnail;
+    return { ...person, photo };
+  });
+  return Object.keys(kept).length ? { ...rest, persons, thumbnails: kept } : { ...rest, persons };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} base64url, unpadded
+ */
+export function toBase64Url(bytes) {
+  // In slices: spreading a large array into fromCharCode overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - base64url, padded or not
+ * @returns {Uint8Array}
+ */
+export function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
 }
 
 /**
  * Encode a tree state object to a URL-safe base64url string (gzip + base64url).
  * @param {object} tree
+ * @param {{ thumbnails?: Object<string, string> }} [options] - photo thumbnails
+ *   as data URLs by media id; persons whose photo has none lose the photo
  * @returns {Promise<string>}
  */
-export async function encodeTreeToParam(tree) {
-  const clean = stripPhotos(tree);
+export async function encodeTreeToParam(tree, { thumbnails = {} } = {}) {
+  const clean = shareableTree(tree, thumbnails);
   const json = JSON.stringify(clean);
-  const compressed = gzipSync(strToU8(json), { level: 6 });
-  return btoa(String.fromCharCode(...compressed))
-    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return toBase64Url(gzipSync(strToU8(json), { level: 6 }));
 }
 
 /**
@@ -26,9 +62,6 @@ export async function encodeTreeToParam(tree) {
  * @returns {Promise<object>}
  */
 export async function decodeTreeFromParam(param) {
-  const b64 = param.replace(/-/g, '+').replace(/_/g, '/');
-  const binary = atob(b64);
-  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
-  const json = strFromU8(gunzipSync(bytes));
+  const json = strFromU8(gunzipSync(fromBase64Url(param)));
   return JSON.parse(json);
 }
@@ -0,0 +1,390 @@
+import { CITATION_QUALITY, makeCitation, makeRepository, makeSource, personFacts, formatCitation } from './source-model.js';
+import { lifeEventLabel } from '../../utils/life-events.js';
+
+const NEW = '__new';
+
+/**
+ * Citations of one person, grouped by the fact they support, with a form to
+ * add or edit a citation and the source (and repository) it points to.
+ * Everything is saved to IndexedDB right away, like documents.
+ * @param {{
+ *   container: HTMLElement,
+ *   personId: string,
+ *   person: Object,
+ *   repo: any,
+ *   t?: (key: string, fallback: string) => string,
+ *   getPersonName?: (id: string) => string
+ * }} opts
+ */
+export function mountSourceEditor(opts) {
+  const { container, personId, person, repo } = opts;
+  const t = opts.t ?? ((_, fallback) => fallback);
+  const facts = personFacts(person);
+  let citations = [];
+  let sources = new Map();
+  let repositories = new Map();
+  let documents = [];
+  let editing = null;
+
+  container.innerHTML = '';
+  const root = document.createElement('div');
+  root.className = 'source-editor';
+  container.appendChild(root);
+
+  render();
+
+  async function refresh() {
+    try {
+      const shared = facts.filter((f) => f.type === 'marriage').map((f) => repo.getCitationsForFact(f.fact));
+      const [own, sharedLists, sourceList, repositoryList, docs] = await Promise.all([
+        repo.getCitationsForPerson(personId),
+        Promise.all(shared),
+        repo.getSourceRecords('source'),
+        repo.getSourceRecords('repository'),
+        repo.getDocumentsForPerson(personId)
+      ]);
+      // Marriage citations are stored under one spouse; show them for both
+      const byId = new Map();
+      for (const citation of [...own, ...sharedLists.flat()]) byId.set(citation.id, citation);
+      citations = [...byId.values()];
+      sources = new Map(sourceList.map((s) => [s.id, s]));
+      repositories = new Map(repositoryList.map((r) => [r.id, r]));
+      documents = docs;
+    } catch (e) {
+      console.warn('[source-editor] failed to load sources:', e);
+      citations = [];
+    }
+    render();
+  }
+
+  function factLabel(fact) {
+    const info = facts.find((f) => f.fact === fact);
+    const type = info?.type ?? fact.split(':')[0];
+    const label = t(`builder.modals.person.sources.facts.${type}`, type);
+    if (info?.type === 'marriage') {
+      const spouse = info.spouseId ? opts.getPersonName?.(info.spouseId) : '';
+      return spouse ? `${label}: ${spouse}` : label;
+    }
+    if (info?.type === 'event') {
+      const event = person?.events?.find((e) => `event:${e.id}` === fact);
+      if (!event) return label;
+      const name = lifeEventLabel(event, t);
+      return event.description ? `${name}: ${event.description}` : name;
+    }
+    return label;
+  }
+
+  function render() {
+    root.innerHTML = '';
+    if (editing) {
+      root.appendChild(renderForm(editing));
+      return;
+    }
+
+    if (citations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'source-editor-empty';
+      empty.textContent = t('builder.modals.person.sources.empty', 'No sources cited yet.');
+      root.appendChild(empty);
+    }
+
+    const known = new Set(facts.map((f) => f.fact));
+    const order = [...facts.map((f) => f.fact), ...new Set(citations.map((c) => c.fact).filter((f) => !known.has(f)))];
+    for (const fact of order) {
+      const group = citations.filter((c) => c.fact === fact);
+      if (group.length === 0) continue;
+      const section = document.createElement('section');
+      section.className = 'source-fact-group';
+      section.dataset.fact = fact;
+      const heading = document.createElement('h4');
+      heading.textContent = factLabel(fact);
+      section.appendChild(heading);
+      const list = document.createElement('ul');
+      list.className = 'source-citation-list';
+      for (const citation of group) list.appendChild(renderCitation(citation));
+      section.appendChild(list);
+      root.appendChild(section);
+    }
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'btn-secondary source-add';
+    add.textContent = t('builder.modals.person.sources.add', 'Cite a source');
+    add.addEventListener('click', () => openForm(makeCitation({ personId })));
+    root.appendChild(add);
+  }
+
+  function renderCitation(citation) {
+    const item = document.createElement('li');
+    item.className = 'source-citation';
+    item.dataset.citationId = citation.id;
+
+    const info = document.createElement('div');
+    info.className = 'source-citation-info';
+    const title = document.createElement('span');
+    title.className = 'source-citation-title';
+    title.textContent = formatCitation(citation, sources.get(citation.sourceId) ?? null)
+      || t('builder.modals.person.sources.unknown_source', 'Unknown source');
+    info.appendChild(title);
+    if (citation.quality !== null) {
+      const quality = document.createElement('span');
+      quality.className = `source-quality source-quality-${citation.quality}`;
+      quality.textContent = t(`builder.modals.person.sources.quality_levels.${citation.quality}`, String(citation.quality));
+      info.appendChild(quality);
+    }
+    if (citation.text) {
+      const text = document.createElement('q');
+      text.className = 'source-citation-text';
+      text.textContent = citation.text;
+      info.appendChild(text);
+    }
+    if (citation.documentIds.length) {
+      const docs = document.createElement('span');
+      docs.className = 'source-citation-docs';
+      docs.textContent = documents.filter((d) => citation.documentIds.includes(d.id)).map((d) => d.title || d.id).join(', ');
+      info.appendChild(docs);
+    }
+    item.appendChild(info);
+
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'btn-secondary source-edit';
+    edit.textContent = t('builder.modals.person.sources.edit', 'Edit');
+    edit.addEventListener('click', () => openForm(citation));
+    item.appendChild(edit);
+    return item;
+  }
+
+  function openForm(citation) {
+    editing = citation;
+    render();
+  }
+
+  function closeForm() {
+    editing = null;
+    render();
+  }
+
+  function renderForm(citation) {
+    // A div, not a form: the editor sits inside the person form
+    const form = document.createElement('div');
+    form.className = 'source-citation-form';
+    const isNew = !citations.some((c) => c.id === citation.id);
+    const source = sources.get(citation.sourceId) ?? null;
+
+    const factSelect = select('fact', facts.map((f) => [f.fact, factLabel(f.fact)]), citation.fact);
+    if (!facts.some((f) => f.fact === citation.fact)) factSelect.prepend(option(citation.fact, factLabel(citation.fact)));
+    factSelect.value = citation.fact;
+    form.appendChild(field(t('builder.modals.person.sources.fact', 'Supports'), factSelect));
+
+    const sourceOptions = [...sources.values()]
+      .sort((a, b) => (a.title || a.abbreviation).localeCompare(b.title || b.abbreviation))
+      .map((s) => [s.id, s.title || s.abbreviation || s.id]);
+    sourceOptions.push([NEW, t('builder.modals.person.sources.new_source', 'New source…')]);
+    const sourceSelect = select('sourceId', sourceOptions, source ? source.id : NEW);
+    form.appendChild(field(t('builder.modals.person.sources.source', 'Source'), sourceSelect));
+
+    const sourceFields = document.createElement('fieldset');
+    sourceFields.className = 'source-fields';
+    const legend = document.createElement('legend');
+    legend.textContent = t('builder.modals.person.sources.source_details', 'Source details');
+    sourceFields.appendChild(legend);
+    const titleInput = input('title');
+    const authorInput = input('author');
+    const publicationInput = input('publication');
+    sourceFields.appendChild(field(t('builder.modals.person.sources.title', 'Title'), titleInput));
+    sourceFields.appendChild(field(t('builder.modals.person.sources.author', 'Author'), authorInput));
+    sourceFields.appendChild(field(t('builder.modals.person.sources.publication', 'Publication'), publicationInput));
+
+    const repositoryOptions = [['', t('builder.modals.person.sources.no_repository', 'None')]];
+    for (const r of [...repositories.values()].sort((a, b) => a.name.localeCompare(b.name))) repositoryOptions.push([r.id, r.name || r.id]);
+    repositoryOptions.push([NEW, t('builder.modals.person.sources.new_repository', 'New repository…')]);
+    const repositorySelect = select('repositoryId', repositoryOptions, '');
+    const repositoryName = input('repositoryName');
+    const repositoryNameField = field(t('builder.modals.person.sources.repository_name', 'Repository name'), repositoryName);
+    const callNumberInput = input('callNumber');
+    sourceFields.appendChild(field(t('builder.modals.person.sources.repository', 'Repository'), repositorySelect));
+    sourceFields.appendChild(repositoryNameField);
+    sourceFields.appendChild(field(t('builder.modals.person.sources.call_number', 'Call number'), callNumberInput));
+    form.appendChild(sourceFields);
+
+    const fillSource = () => {
+      const chosen = sources.get(sourceSelect.value) ?? null;
+      titleInput.value = chosen?.title ?? '';
+      authorInput.value = chosen?.author ?? '';
+      publicationInput.value = chosen?.publication ?? '';
+      repositorySelect.value = chosen?.repositoryId && repositories.has(chosen.repositoryId) ? chosen.repositoryId : '';
+      callNumberInput.value = chosen?.callNumber ?? '';
+      repositoryName.value = '';
+      repositoryNameField.hidden = true;
+    };
+    sourceSelect.addEventListener('change', fillSource);
+    repositorySelect.addEventListener('change', () => { repositoryNameField.hidden = repositorySelect.value !== NEW; });
+    fillSource();
+
+    const pageInput = input('page', citation.page);
+    form.appendChild(field(t('builder.modals.person.sources.page', 'Where in the source'), pageInput));
+    const qualityOptions = [['', t('builder.modals.person.sources.quality_unset', 'Not assessed')]];
+    for (const q of CITATION_QUALITY) qualityOptions.push([String(q), t(`builder.modals.person.sources.quality_levels.${q}`, String(q))]);
+    const qualitySelect = select('quality', qualityOptions, citation.quality === null ? '' : String(citation.quality));
+    form.appendChild(field(t('builder.modals.person.sources.quality', 'Reliability'), qualitySelect));
+    const textArea = textarea('text', citation.text);
+    form.appendChild(field(t('builder.modals.person.sources.transcription', 'Transcription'), textArea));
+    const noteArea = textarea('note', citation.note);
+    form.appendChild(field(t('builder.modals.person.sources.note', 'Note'), noteArea));
+
+    const docChecks = [];
+    if (documents.length) {
+      const docsField = document.createElement('fieldset');
+      docsField.className = 'source-documents';
+      const docsLegend = document.createElement('legend');
+      docsLegend.textContent = t('builder.modals.person.sources.documents', 'Linked documents');
+      docsField.appendChild(docsLegend);
+      for (const doc of documents) {
+        const label = document.createElement('label');
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.value = doc.id;
+        check.checked = citation.documentIds.includes(doc.id);
+        docChecks.push(check);
+        const name = document.createElement('span');
+        name.textContent = doc.title || doc.id;
+        label.appendChild(check);
+        label.appendChild(name);
+        docsField.appendChild(label);
+      }
+      form.appendChild(docsField);
+    }
+
+    const error = document.createElement('div');
+    error.className = 'source-form-error';
+    error.hidden = true;
+    form.appendChild(error);
+
+    const actions = document.createElement('div');
+    actions.className = 'source-form-actions';
+    if (!isNew) {
+      actions.appendChild(button('source-delete btn-danger', t('builder.modals.person.sources.delete', 'Delete'), async () => {
+        if (!window.confirm(t('builder.modals.person.sources.delete_confirm', 'Remove this citation?'))) return;
+        await repo.deleteSourceRecord(citation.id);
+        editing = null;
+        await refresh();
+      }));
+    }
+    actions.appendChild(button('source-cancel btn-secondary', t('builder.modals.person.sources.cancel', 'Cancel'), closeForm));
+    actions.appendChild(button('source-save btn-primary', t('builder.modals.person.sources.save', 'Save citation'), async () => {
+      if (sourceSelect.value === NEW && !titleInput.value.trim()) {
+        error.textContent = t('builder.modals.person.sources.title_required', 'Give the new source a title.');
+        error.hidden = false;
+        titleInput.focus();
+        return;
+      }
+
+      const records = [];
+      let repositoryId = repositorySelect.value;
+      if (repositoryId === NEW) {
+        repositoryId = '';
+        if (repositoryName.value.trim()) {
+          const repository = makeRepository({ name: repositoryName.value });
+          records.push(repository);
+          repositoryId = repository.id;
+        }
+      }
+      const existing = sources.get(sourceSelect.value) ?? null;
+      const sourceRecord = makeSource({
+        ...existing,
+        title: titleInput.value,
+        author: authorInput.value,
+        publication: publicationInput.value,
+        repositoryId,
+        callNumber: callNumberInput.value
+      });
+      if (!existing || sourceChanged(existing, sourceRecord)) records.push({ ...existing, ...sourceRecord });
+      records.push({
+        ...citation,
+        ...makeCitation({
+          ...citation,
+          sourceId: sourceRecord.id,
+          fact: factSelect.value,
+          page: pageInput.value,
+          quality: qualitySelect.value,
+          text: textArea.value,
+          note: noteArea.value,
+          documentIds: docChecks.filter((c) => c.checked).map((c) => c.value)
+        })
+      });
+
+      try {
+        await repo.saveSourceRecords(records);
+      } catch (e) {
+        console.error('[source-editor] saving failed:', e);
+        error.textContent = t('builder.modals.person.sources.save_failed', 'The citation could not be saved.');
+        error.hidden = false;
+        return;
+      }
+      editing = null;
+      await refresh();
+    }));
+    form.appendChild(actions);
+    return form;
+  }
+
+  return {
+    refresh,
+    destroy: () => root.remove()
+  };
+}
+
+function sourceChanged(before, after) {
+  return ['title', 'author', 'publication', 'repositoryId', 'callNumber'].some((key) => (before[key] ?? '') !== after[key]);
+}
+
+function field(label, control) {
+  const wrap = document.createElement('label');
+  wrap.className = 'source-field';
+  const text = document.createElement('span');
+  text.textContent = label;
+  wrap.appendChild(text);
+  wrap.appendChild(control);
+  return wrap;
+}
+
+function input(name, value = '') {
+  const el = document.createElement('input');
+  el.type = 'text';
+  el.name = name;
+  el.value = value;
+  return el;
+}
+
+function textarea(name, value = '') {
+  const el = document.createElement('textarea');
+  el.name = name;
+  el.rows = 3;
+  el.value = value;
+  return el;
+}
+
+function option(value, label) {
+  const el = document.createElement('option');
+  el.value = value;
+  el.textContent = label;
+  return el;
+}
+
+function select(name, options, value) {
+  const el = document.createElement('select');
+  el.name = name;
+  for (const [v, label] of options) el.appendChild(option(v, label));
+  el.value = value;
+  return el;
+}
+
+function button(className, label, onClick) {
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.className = className;
+  el.textContent = label;
+  el.addEventListener('click', onClick);
+  return el;
+}
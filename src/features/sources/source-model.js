@@ -0,0 +1,159 @@
+// source-model.js
+// Repositories, sources and citations. All three live in the `sources`
+// IndexedDB store and are told apart by `kind`:
+//
+//   repository  where a source is kept ("The National Archives, Kew")
+//   source      the record itself ("1881 England Census"), optionally in a repository
+//   citation    one use of a source as evidence for a fact of a person
+//               ("RG11/1234, folio 5"), with a confidence level and a transcription
+
+export const SOURCE_KINDS = Object.freeze({
+  REPOSITORY: 'repository',
+  SOURCE: 'source',
+  CITATION: 'citation'
+});
+
+// GEDCOM QUAY: 0 unreliable, 1 questionable, 2 secondary evidence, 3 primary evidence
+export const CITATION_QUALITY = Object.freeze([0, 1, 2, 3]);
+
+const ID_PREFIX = { repository: 'repo', source: 'src', citation: 'cit' };
+
+/**
+ * @typedef {Object} Repository
+ * @property {string} id
+ * @property {'repository'} kind
+ * @property {string} name
+ * @property {string} address
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} id
+ * @property {'source'} kind
+ * @property {string} title
+ * @property {string} author
+ * @property {string} publication
+ * @property {string} abbreviation
+ * @property {string} text
+ * @property {string} repositoryId - '' when the repository is unknown
+ * @property {string} callNumber - the source's reference within its repository
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {string} id
+ * @property {'citation'} kind
+ * @property {string} sourceId
+ * @property {string} personId
+ * @property {string} fact - see personFacts()
+ * @property {string} page - where in the source, e.g. "RG11/1234, folio 5"
+ * @property {number|null} quality - one of CITATION_QUALITY, null when not assessed
+ * @property {string} text - transcription of the cited passage
+ * @property {string} note
+ * @property {string[]} documentIds - uploaded documents showing the cited passage
+ */
+
+/**
+ * @param {'repository'|'source'|'citation'} kind
+ * @returns {string}
+ */
+export function makeSourceRecordId(kind) {
+  return `${ID_PREFIX[kind]}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** @returns {Repository} */
+export function makeRepository(fields = {}) {
+  return {
+    id: fields.id || makeSourceRecordId('repository'),
+    kind: SOURCE_KINDS.REPOSITORY,
+    name: fields.name?.trim() || '',
+    address: fields.address?.trim() || '',
+    note: fields.note?.trim() || '',
+    ...(fields.unmapped?.length ? { unmapped: fields.unmapped } : {})
+  };
+}
+
+/** @returns {Source} */
+export function makeSource(fields = {}) {
+  return {
+    id: fields.id || makeSourceRecordId('source'),
+    kind: SOURCE_KINDS.SOURCE,
+    title: fields.title?.trim() || '',
+    author: fields.author?.trim() || '',
+    publication: fields.publication?.trim() || '',
+    abbreviation: fields.abbreviation?.trim() || '',
+    text: fields.text?.trim() || '',
+    repositoryId: fields.repositoryId || '',
+    callNumber: fields.callNumber?.trim() || '',
+    note: fields.note?.trim() || '',
+    ...(fields.unmapped?.length ? { unmapped: fields.unmapped } : {})
+  };
+}
+
+/** @returns {Citation} */
+export function makeCitation(fields = {}) {
+  const quality = Number.parseInt(fields.quality, 10);
+  return {
+    id: fields.id || makeSourceRecordId('citation'),
+    kind: SOURCE_KINDS.CITATION,
+    sourceId: fields.sourceId || '',
+    personId: fields.personId || '',
+    fact: fields.fact || 'person',
+    page: fields.page?.trim() || '',
+    quality: CITATION_QUALITY.includes(quality) ? quality : null,
+    text: fields.text?.trim() || '',
+    note: fields.note?.trim() || '',
+    documentIds: Array.isArray(fields.documentIds) ? [...fields.documentIds] : [],
+    ...(fields.unmapped?.length ? { unmapped: fields.unmapped } : {})
+  };
+}
+
+/**
+ * The facts of a person a citation can support: the person as a whole, the
+ * name, birth, death, each marriage and each life event. Marriage facts are
+ * shared by both spouses.
+ * @param {Object} person
+ * @returns {{fact: string, type: 'person'|'name'|'birth'|'death'|'marriage'|'event', spouseId?: string, eventType?: string}[]}
+ */
+export function personFacts(person) {
+  const facts = [
+    { fact: 'person', type: 'person' },
+    { fact: 'name', type: 'name' },
+    { fact: 'birth', type: 'birth' },
+    { fact: 'death', type: 'death' }
+  ];
+  for (const marriage of person?.marriages ?? []) {
+    if (marriage?.id) facts.push({ fact: `marriage:${marriage.id}`, type: 'marriage', spouseId: marriage.spouseId });
+  }
+  for (const event of person?.events ?? []) {
+    if (event?.id) facts.push({ fact: `event:${event.id}`, type: 'event', eventType: event.type });
+  }
+  return facts;
+}
+
+/**
+ * Short reference such as "1881 England Census, RG11/1234, folio 5".
+ * @param {Citation} citation
+ * @param {Source|null} source
+ * @returns {string}
+ */
+export function formatCitation(citation, source) {
+  return [source?.title || source?.abbreviation, citation.page].filter(Boolean).join(', ');
+}
+
+/**
+ * Point citations of imported persons that were merged into existing ones
+ * at the person they were merged into.
+ * @param {Object[]} records - repositories, sources and citations
+ * @param {Map<string, string>} idMap - imported person id → existing person id
+ * @returns {Object[]}
+ */
+export function remapCitationPersons(records, idMap) {
+  return records.map((record) => (
+    record.kind === SOURCE_KINDS.CITATION && idMap.has(record.personId)
+      ? { ...record, personId: idMap.get(record.personId) }
+      : record
+  ));
+}
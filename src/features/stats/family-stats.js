@@ -0,0 +1,296 @@
+// family-stats.js - Figures about the whole tree for the statistics view
+// (pure): people per generation, common names and places, lifespans, ages
+// at marriage and first child, family sizes, gender ratio, how complete
+// the records are and the earliest ancestor at the top of each line.
+
+import { dateToYear } from '../timeline/timeline-layout.js';
+import { isPresumedLiving, MAX_LIFESPAN_YEARS } from '../../utils/life-events.js';
+
+/** How many names and places the top lists keep. */
+export const TOP_LIMIT = 10;
+
+/** Fields whose completeness is reported, in display order. */
+export const COMPLETENESS_FIELDS = [
+  'name',
+  'surname',
+  'gender',
+  'birth_date',
+  'birth_place',
+  'death_date',
+  'death_place',
+  'parents',
+  'photo'
+];
+
+/**
+ * @typedef {Object} CountedValue
+ * @property {string} value
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} Average
+ * @property {number|null} average - years, one decimal; null without data
+ * @property {number} count - how many values it is taken over
+ */
+
+function averageOf(values) {
+  if (values.length === 0) return { average: null, count: 0 };
+  const sum = values.reduce((total, value) => total + value, 0);
+  return { average: Math.round((sum / values.length) * 10) / 10, count: values.length };
+}
+
+function wholeYear(date) {
+  const year = dateToYear(date);
+  return year === null ? null : Math.floor(year);
+}
+
+// Values counted case-insensitively, shown in their most frequent spelling
+function topValues(values, limit = TOP_LIMIT) {
+  const groups = new Map();
+  for (const raw of values) {
+    const value = String(raw ?? '').trim().replace(/\s+/g, ' ');
+    if (!value) continue;
+    const key = value.toLocaleLowerCase();
+    if (!groups.has(key)) groups.set(key, { count: 0, spellings: new Map() });
+    const group = groups.get(key);
+    group.count++;
+    group.spellings.set(value, (group.spellings.get(value) || 0) + 1);
+  }
+  return [...groups.values()]
+    .map((group) => ({
+      value: [...group.spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0],
+      count: group.count
+    }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}
+
+// The surname a person was born with
+function birthSurname(person) {
+  return person.maidenName || person.surname;
+}
+
+function givenName(person) {
+  return String(person.name ?? '').trim().split(/\s+/)[0];
+}
+
+/**
+ * People per generation, oldest generation first.
+ * @param {Map<string, number>} generations - person id → generation
+ * @returns {{ generation: number, count: number }[]}
+ */
+export function countGenerations(generations) {
+  const counts = new Map();
+  for (const generation of generations.values()) {
+    counts.set(generation, (counts.get(generation) || 0) + 1);
+  }
+  return [...counts].map(([generation, count]) => ({ generation, count })).sort((a, b) => a.generation - b.generation);
+}
+
+/**
+ * Average age at death of those born in each decade. Lifespans below zero
+ * or above MAX_LIFESPAN_YEARS are data errors and left out.
+ * @param {Map<string, Object>} personData
+ * @returns {{ decade: number, average: number, count: number }[]}
+ */
+export function lifespanByDecade(personData) {
+  const byDecade = new Map();
+  for (const person of personData.values()) {
+    const birth = dateToYear(person.birth?.date);
+    const death = dateToYear(person.death?.date);
+    if (birth === null || death === null) continue;
+    const age = death - birth;
+    if (age < 0 || age > MAX_LIFESPAN_YEARS) continue;
+    const decade = Math.floor(birth / 10) * 10;
+    if (!byDecade.has(decade)) byDecade.set(decade, []);
+    byDecade.get(decade).push(age);
+  }
+  return [...byDecade]
+    .map(([decade, ages]) => ({ decade, ...averageOf(ages) }))
+    .sort((a, b) => a.decade - b.decade);
+}
+
+/**
+ * Average age at the first dated marriage, by gender.
+ * @param {Map<string, Object>} personData
+ * @returns {{ male: Average, female: Average, all: Average }}
+ */
+export function ageAtMarriage(personData) {
+  const ages = { male: [], female: [], all: [] };
+  for (const person of personData.values()) {
+    const birth = dateToYear(person.birth?.date);
+    if (birth === null) continue;
+    const married = (person.marriages || [])
+      .map((marriage) => dateToYear(marriage.date))
+      .filter((year) => year !== null && year >= birth);
+    if (married.length === 0) continue;
+    const age = Math.min(...married) - birth;
+    ages.all.push(age);
+    if (ages[person.gender]) ages[person.gender].push(age);
+  }
+  return { male: averageOf(ages.male), female: averageOf(ages.female), all: averageOf(ages.all) };
+}
+
+/**
+ * Average age of fathers and mothers at the birth of their first dated child.
+ * @param {Map<string, Object>} personData
+ * @returns {{ father: Average, mother: Average }}
+ */
+export function ageAtFirstChild(personData) {
+  const firstChild = { father: new Map(), mother: new Map() };
+  for (const child of personData.values()) {
+    const born = dateToYear(child.birth?.date);
+    if (born === null) continue;
+    for (const [role, parentId] of [['father', child.fatherId], ['mother', child.motherId]]) {
+      if (!parentId || !personData.has(parentId)) continue;
+      const earliest = firstChild[role].get(parentId);
+      if (earliest === undefined || born < earliest) firstChild[role].set(parentId, born);
+    }
+  }
+  const ages = (role) => [...firstChild[role]]
+    .map(([parentId, born]) => born - dateToYear(personData.get(parentId).birth?.date))
+    .filter((age) => Number.isFinite(age) && age > 0);
+  return { father: averageOf(ages('father')), mother: averageOf(ages('mother')) };
+}
+
+/**
+ * Children per couple. A couple is two persons married to each other or
+ * both parents of a child; children with one parent recorded are not counted.
+ * @param {Map<string, Object>} personData
+ * @returns {{ average: number|null, couples: number, distribution: { children: number, couples: number }[] }}
+ */
+export function childrenPerCouple(personData) {
+  const children = new Map(); // couple key -> child count
+  const coupleKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+  for (const person of personData.values()) {
+    for (const marriage of person.marriages || []) {
+      if (marriage.spouseId && personData.has(marriage.spouseId)) {
+        const key = coupleKey(person.id, marriage.spouseId);
+        if (!children.has(key)) children.set(key, 0);
+      }
+    }
+  }
+  for (const child of personData.values()) {
+    if (!child.fatherId || !child.motherId) continue;
+    if (!personData.has(child.fatherId) || !personData.has(child.motherId)) continue;
+    const key = coupleKey(child.fatherId, child.motherId);
+    children.set(key, (children.get(key) || 0) + 1);
+  }
+
+  const counts = [...children.values()];
+  const distribution = new Map();
+  for (const count of counts) distribution.set(count, (distribution.get(count) || 0) + 1);
+  return {
+    average: averageOf(counts).average,
+    couples: counts.length,
+    distribution: [...distribution]
+      .map(([childCount, couples]) => ({ children: childCount, couples }))
+      .sort((a, b) => a.children - b.children)
+  };
+}
+
+/**
+ * @param {Map<string, Object>} personData
+ * @returns {{ male: number, female: number, unknown: number }}
+ */
+export function genderRatio(personData) {
+  const ratio = { male: 0, female: 0, unknown: 0 };
+  for (const person of personData.values()) {
+    if (person.gender === 'male' || person.gender === 'female') ratio[person.gender]++;
+    else ratio.unknown++;
+  }
+  return ratio;
+}
+
+/**
+ * Share of persons with each of COMPLETENESS_FIELDS filled in. Death date
+ * and place are only expected of those who are no longer living.
+ * @param {Map<string, Object>} personData
+ * @param {number} [currentYear]
+ * @returns {{ field: string, filled: number, total: number, percent: number }[]}
+ */
+export function dataCompleteness(personData, currentYear = new Date().getFullYear()) {
+  const checks = {
+    name: (p) => Boolean(String(p.name ?? '').trim()),
+    surname: (p) => Boolean(String(p.surname ?? '').trim()),
+    gender: (p) => p.gender === 'male' || p.gender === 'female',
+    birth_date: (p) => dateToYear(p.birth?.date) !== null,
+    birth_place: (p) => Boolean(String(p.birth?.place ?? '').trim()),
+    death_date: (p) => dateToYear(p.death?.date) !== null,
+    death_place: (p) => Boolean(String(p.death?.place ?? '').trim()),
+    parents: (p) => Boolean(p.fatherId && p.motherId),
+    photo: (p) => Boolean(p.photo?.mediaId)
+  };
+  const persons = [...personData.values()];
+  const deceased = persons.filter((p) => !isPresumedLiving(p, currentYear));
+  return COMPLETENESS_FIELDS.map((field) => {
+    const pool = field === 'death_date' || field === 'death_place' ? deceased : persons;
+    const filled = pool.filter(checks[field]).length;
+    return { field, filled, total: pool.length, percent: pool.length ? Math.round((filled / pool.length) * 100) : 0 };
+  });
+}
+
+/**
+ * The person at the top of each paternal and maternal line: someone with
+ * no father (or mother) in the tree who is the father (or mother) of
+ * someone. Lines are followed through fathers, or through mothers, only.
+ * @param {Map<string, Object>} personData
+ * @returns {{ personId: string, line: 'paternal'|'maternal', birthYear: number|null, generations: number }[]}
+ *   earliest born first; generations counts the founder
+ */
+export function earliestAncestors(personData) {
+  const lines = [];
+  for (const [line, parentKey] of [['paternal', 'fatherId'], ['maternal', 'motherId']]) {
+    const childrenOf = new Map();
+    for (const person of personData.values()) {
+      const parentId = person[parentKey];
+      if (!parentId || !personData.has(parentId)) continue;
+      if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+      childrenOf.get(parentId).push(person.id);
+    }
+    for (const founderId of childrenOf.keys()) {
+      const founder = personData.get(founderId);
+      if (founder[parentKey] && personData.has(founder[parentKey])) continue;
+      // Breadth-first down the line; `seen` guards against loops in bad data
+      let generations = 1;
+      let level = [founderId];
+      const seen = new Set(level);
+      while (level.length) {
+        const next = level.flatMap((id) => childrenOf.get(id) || []).filter((id) => !seen.has(id));
+        next.forEach((id) => seen.add(id));
+        if (next.length) generations++;
+        level = next;
+      }
+      lines.push({ personId: founderId, line, birthYear: wholeYear(founder.birth?.date), generations });
+    }
+  }
+  const undated = Number.POSITIVE_INFINITY;
+  return lines.sort((a, b) => (a.birthYear ?? undated) - (b.birthYear ?? undated) ||
+    b.generations - a.generations || a.personId.localeCompare(b.personId));
+}
+
+/**
+ * Every figure of the statistics view.
+ * @param {Map<string, Object>} personData
+ * @param {{ generations?: Map<string, number>, placeName?: (text: string) => string, currentYear?: number }} [options]
+ *   placeName gives the name a birth place is counted under, e.g. its registry name
+ * @returns {Object}
+ */
+export function computeFamilyStats(personData, { generations = new Map(), placeName = (text) => text, currentYear } = {}) {
+  const persons = [...personData.values()];
+  return {
+    total: personData.size,
+    generations: countGenerations(generations),
+    surnames: topValues(persons.map(birthSurname)),
+    givenNames: topValues(persons.map(givenName)),
+    lifespans: lifespanByDecade(personData),
+    marriageAge: ageAtMarriage(personData),
+    firstChildAge: ageAtFirstChild(personData),
+    children: childrenPerCouple(personData),
+    gender: genderRatio(personData),
+    birthPlaces: topValues(persons.map((p) => (String(p.birth?.place ?? '').trim() ? placeName(p.birth.place) : ''))),
+    completeness: dataCompleteness(personData, currentYear),
+    ancestors: earliestAncestors(personData)
+  };
+}
@@ -0,0 +1,185 @@
+// stats-charts.js — Small SVG charts of the statistics view. Colors and
+// fonts are set on the elements themselves so a chart serializes to a
+// standalone image for the PDF report as it looks on screen.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+const TEXT_COLOR = '#444441';
+const MUTED_COLOR = '#888780';
+const GRID_COLOR = '#e5e7eb';
+const FONT_SIZE = 12;
+const ROW_HEIGHT = 22;
+const BAR_GAP = 6;
+const PADDING = 8;
+
+/** Fill colors of the chart series, in order. */
+export const CHART_COLORS = ['#534AB7', '#1D9E75', '#D85A30', '#BA7517', '#D4537E', '#888780'];
+
+function svgEl(name, attributes = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) el.setAttribute(key, value);
+  return el;
+}
+
+function text(content, attributes) {
+  const el = svgEl('text', { 'font-family': FONT, 'font-size': FONT_SIZE, fill: TEXT_COLOR, ...attributes });
+  el.textContent = content;
+  return el;
+}
+
+function chartSvg(width, height, label) {
+  const svg = svgEl('svg', {
+    class: 'stats-chart-svg',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img'
+  });
+  if (label) svg.setAttribute('aria-label', label);
+  return svg;
+}
+
+// Labels are cut to fit a column of `maxChars` characters
+function fitLabel(label, maxChars) {
+  const value = String(label);
+  return value.length > maxChars ? `${value.slice(0, Math.max(maxChars - 1, 1))}…` : value;
+}
+
+function emptyChart(width, emptyLabel) {
+  const svg = chartSvg(width, ROW_HEIGHT * 2, emptyLabel);
+  svg.appendChild(text(emptyLabel, { x: width / 2, y: ROW_HEIGHT + 4, 'text-anchor': 'middle', fill: MUTED_COLOR }));
+  return svg;
+}
+
+/**
+ * @typedef {Object} ChartItem
+ * @property {string} label
+ * @property {number} value
+ * @property {string} [valueLabel] - shown instead of the value
+ * @property {string} [personId] - set on the bar as data-person-id
+ * @property {string} [color] - of this bar, instead of the chart's color
+ */
+
+/**
+ * Bar chart: one row per item with horizontal bars, or one column per item
+ * with vertical bars.
+ * @param {ChartItem[]} items
+ * @param {{ orientation?: 'horizontal'|'vertical', width?: number, height?: number, max?: number,
+ *   color?: string, label?: string, emptyLabel?: string }} [options] — max fixes the scale, e.g. 100 for percentages
+ * @returns {SVGSVGElement}
+ */
+export function barChart(items, {
+  orientation = 'horizontal',
+  width = 420,
+  height = 200,
+  max,
+  color = CHART_COLORS[0],
+  label = '',
+  emptyLabel = 'No data'
+} = {}) {
+  if (items.length === 0) return emptyChart(width, emptyLabel);
+  const top = Math.max(max ?? 0, ...items.map((item) => item.value), 1);
+  const valueText = (item) => item.valueLabel ?? String(item.value);
+
+  if (orientation === 'vertical') {
+    const plotTop = PADDING + FONT_SIZE + 4;
+    const plotBottom = height - PADDING - FONT_SIZE - 6;
+    const slot = (width - PADDING * 2) / items.length;
+    const barWidth = Math.max(slot - BAR_GAP, 2);
+    const svg = chartSvg(width, height, label);
+    svg.appendChild(svgEl('line', { x1: PADDING, y1: plotBottom, x2: width - PADDING, y2: plotBottom, stroke: GRID_COLOR }));
+    // Label every column while they fit, else every few
+    const labelEvery = Math.ceil((FONT_SIZE * 3) / slot);
+    items.forEach((item, i) => {
+      const x = PADDING + i * slot + (slot - barWidth) / 2;
+      const barHeight = ((plotBottom - plotTop) * item.value) / top;
+      const bar = svgEl('rect', { class: 'stats-bar', x, y: plotBottom - barHeight, width: barWidth, height: barHeight, fill: item.color || color, rx: 2 });
+      if (item.personId) bar.dataset.personId = item.personId;
+      bar.appendChild(Object.assign(svgEl('title'), { textContent: `${item.label}: ${valueText(item)}` }));
+      svg.appendChild(bar);
+      if (item.value > 0 && barWidth >= FONT_SIZE * 1.6) {
+        svg.appendChild(text(valueText(item), { x: x + barWidth / 2, y: plotBottom - barHeight - 3, 'text-anchor': 'middle', 'font-size': FONT_SIZE - 1 }));
+      }
+      if (i % labelEvery === 0) {
+        svg.appendChild(text(fitLabel(item.label, Math.max(Math.floor((slot * labelEvery) / 7), 3)), {
+          x: x + barWidth / 2,
+          y: height - PADDING,
+          'text-anchor': 'middle',
+          fill: MUTED_COLOR
+        }));
+      }
+    });
+    return svg;
+  }
+
+  const labelWidth = Math.min(width * 0.4, 160);
+  const valueWidth = 44;
+  const barLeft = PADDING + labelWidth;
+  const barSpace = width - barLeft - valueWidth - PADDING;
+  const svg = chartSvg(width, items.length * ROW_HEIGHT + PADDING * 2, label);
+  items.forEach((item, i) => {
+    const y = PADDING + i * ROW_HEIGHT;
+    const barWidth = Math.max((barSpace * item.value) / top, item.value > 0 ? 1 : 0);
+    svg.appendChild(text(fitLabel(item.label, Math.floor(labelWidth / 7)), { x: barLeft - 6, y: y + ROW_HEIGHT / 2 + 4, 'text-anchor': 'end' }));
+    const bar = svgEl('rect', { class: 'stats-bar', x: barLeft, y: y + 3, width: barWidth, height: ROW_HEIGHT - BAR_GAP, fill: item.color || color, rx: 2 });
+    if (item.personId) bar.dataset.personId = item.personId;
+    bar.appendChild(Object.assign(svgEl('title'), { textContent: `${item.label}: ${valueText(item)}` }));
+    svg.appendChild(bar);
+    svg.appendChild(text(valueText(item), { x: barLeft + barWidth + 4, y: y + ROW_HEIGHT / 2 + 4, fill: MUTED_COLOR }));
+  });
+  return svg;
+}
+
+/**
+ * Donut chart with a legend of labels, counts and shares.
+ * @param {ChartItem[]} items
+ * @param {{ width?: number, colors?: string[], label?: string, emptyLabel?: string }} [options]
+ * @returns {SVGSVGElement}
+ */
+export function donutChart(items, { width = 420, colors = CHART_COLORS, label = '', emptyLabel = 'No data' } = {}) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0) return emptyChart(width, emptyLabel);
+
+  const radius = 64;
+  const thickness = 22;
+  const height = Math.max(radius * 2 + PADDING * 2, items.length * ROW_HEIGHT + PADDING * 2);
+  const cx = PADDING + radius;
+  const cy = height / 2;
+  const svg = chartSvg(width, height, label);
+
+  let angle = -Math.PI / 2;
+  items.forEach((item, i) => {
+    if (item.value === 0) return;
+    const sweep = (item.value / total) * Math.PI * 2;
+    const fill = colors[i % colors.length];
+    let slice;
+    if (sweep >= Math.PI * 2 - 1e-9) {
+      slice = svgEl('circle', { cx, cy, r: radius - thickness / 2, fill: 'none', stroke: fill, 'stroke-width': thickness });
+    } else {
+      const outer = radius;
+      const inner = radius - thickness;
+      const point = (r, a) => `${(cx + r * Math.cos(a)).toFixed(2)} ${(cy + r * Math.sin(a)).toFixed(2)}`;
+      const large = sweep > Math.PI ? 1 : 0;
+      const end = angle + sweep;
+      slice = svgEl('path', {
+        d: `M${point(outer, angle)}A${outer} ${outer} 0 ${large} 1 ${point(outer, end)}` +
+          `L${point(inner, end)}A${inner} ${inner} 0 ${large} 0 ${point(inner, angle)}Z`,
+        fill
+      });
+    }
+    slice.setAttribute('class', 'stats-slice');
+    slice.appendChild(Object.assign(svgEl('title'), { textContent: `${item.label}: ${item.value}` }));
+    svg.appendChild(slice);
+    angle += sweep;
+  });
+
+  const legendX = cx + radius + PADDING * 3;
+  const legendTop = cy - (items.length * ROW_HEIGHT) / 2;
+  items.forEach((item, i) => {
+    const y = legendTop + i * ROW_HEIGHT;
+    svg.appendChild(svgEl('rect', { x: legendX, y: y + 5, width: 12, height: 12, rx: 2, fill: colors[i % colors.length] }));
+    const share = Math.round((item.value / total) * 100);
+    svg.appendChild(text(`${item.label}: ${item.value} (${share}%)`, { x: legendX + 18, y: y + 15 }));
+  });
+  return svg;
+}
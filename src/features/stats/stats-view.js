@@ -0,0 +1,287 @@
+// stats-view.js — Statistics view: charts of the figures computed from the
+// tree by family-stats.js, redrawn as the tree changes and exportable as a
+// PDF report. Click an ancestor's bar to edit the person.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { currentGenerations } from '../../utils/generation-calculator.js';
+import { getActivePersonFilter } from '../filters/person-filter.js';
+import { loadPlaces, getLoadedPlaces } from '../places/place-store.js';
+import { placeNameResolver } from '../places/place-model.js';
+import { DEBOUNCE_MS } from '../tree-chart/tree-chart-config.js';
+import { exportReportPDF } from '../export/exporter.js';
+import { computeFamilyStats, TOP_LIMIT } from './family-stats.js';
+import { barChart, donutChart, CHART_COLORS } from './stats-charts.js';
+
+const FIELD_LABELS = {
+  name: 'Given name',
+  surname: 'Surname',
+  gender: 'Gender',
+  birth_date: 'Birth date',
+  birth_place: 'Birth place',
+  death_date: 'Death date',
+  death_place: 'Death place',
+  parents: 'Both parents',
+  photo: 'Photo'
+};
+const LINE_COLORS = { paternal: CHART_COLORS[0], maternal: CHART_COLORS[1] };
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function fill(text, params) {
+  return Object.entries(params).reduce((out, [key, value]) => out.replaceAll(`{${key}}`, String(value)), text);
+}
+
+/**
+ * @param {HTMLElement} containerEl
+ */
+export function initStatsView(containerEl) {
+  if (!containerEl) {
+    console.error('[stats] container element missing');
+    return null;
+  }
+
+  const state = {
+    dirty: true,
+    visible: !containerEl.classList.contains('hidden'),
+    debounceTimer: null,
+    placesLoaded: false
+  };
+
+  function getPersonData() {
+    return window.treeCore?.personData || new Map();
+  }
+
+  function personName(person) {
+    return [person?.name, person?.surname].filter(Boolean).join(' ').trim() || t('builder.notifications.unknown_person', 'Unknown');
+  }
+
+  // Toolbar
+  const toolbar = document.createElement('div');
+  toolbar.className = 'tc-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+  const summary = document.createElement('span');
+  summary.className = 'tc-toolbar-focus';
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'tl-toolbar-btn';
+  exportBtn.textContent = t('builder.stats.export_pdf', 'Export PDF report');
+  toolbar.append(summary, exportBtn);
+
+  const grid = document.createElement('div');
+  grid.className = 'stats-grid';
+  containerEl.append(toolbar, grid);
+
+  function card(heading, chart, note = '') {
+    const section = document.createElement('section');
+    section.className = 'stats-card';
+    const title = document.createElement('h3');
+    title.textContent = heading;
+    section.appendChild(title);
+    if (note) {
+      const p = document.createElement('p');
+      p.className = 'stats-note';
+      p.textContent = note;
+      section.appendChild(p);
+    }
+    chart.setAttribute('aria-label', heading);
+    section.appendChild(chart);
+    grid.appendChild(section);
+  }
+
+  function rebuild() {
+    state.dirty = false;
+    let personData = getPersonData();
+    const filter = getActivePersonFilter();
+    if (filter?.ids && filter.mode === 'hide') {
+      personData = new Map([...personData].filter(([id]) => filter.ids.has(id)));
+    }
+    const allGenerations = currentGenerations(getPersonData(), window.treeCore?.generationData);
+    const generations = new Map([...allGenerations].filter(([id]) => personData.has(id)));
+    const stats = computeFamilyStats(personData, { generations, placeName: placeNameResolver(getLoadedPlaces()) });
+
+    const emptyLabel = t('builder.stats.no_data', 'Not enough data');
+    const years = (value) => fill(t('builder.stats.years', '{n} yrs'), { n: value });
+    summary.textContent = fill(t('builder.stats.summary', '{count} people'), { count: stats.total });
+    grid.replaceChildren();
+
+    card(t('builder.stats.generations', 'People per generation'), barChart(
+      stats.generations.map(({ generation, count }) => ({
+        label: fill(t('builder.stats.generation', 'Gen {n}'), { n: generation }),
+        value: count
+      })),
+      { orientation: 'vertical', emptyLabel }
+    ));
+
+    card(t('builder.stats.surnames', 'Top surnames'), barChart(
+      stats.surnames.map(({ value, count }) => ({ label: value, value: count })),
+      { emptyLabel }
+    ), t('builder.stats.surnames_note', 'By the surname at birth'));
+
+    card(t('builder.stats.given_names', 'Top given names'), barChart(
+      stats.givenNames.map(({ value, count }) => ({ label: value, value: count })),
+      { color: CHART_COLORS[1], emptyLabel }
+    ));
+
+    card(t('builder.stats.lifespans', 'Average lifespan by birth decade'), barChart(
+      stats.lifespans.map(({ decade, average }) => ({
+        label: `${decade}s`,
+        value: average,
+        valueLabel: String(Math.round(average))
+      })),
+      { orientation: 'vertical', color: CHART_COLORS[3], emptyLabel }
+    ));
+
+    const ages = [
+      ['married_men', 'Men at marriage', stats.marriageAge.male],
+      ['married_women', 'Women at marriage', stats.marriageAge.female],
+      ['first_child_fathers', 'Fathers at first child', stats.firstChildAge.father],
+      ['first_child_mothers', 'Mothers at first child', stats.firstChildAge.mother]
+    ].filter(([, , { average }]) => average !== null);
+    card(t('builder.stats.ages', 'Average age at marriage and first child'), barChart(
+      ages.map(([key, label, { average }], i) => ({
+        label: t(`builder.stats.${key}`, label),
+        value: average,
+        valueLabel: years(average),
+        color: CHART_COLORS[i < 2 ? 0 : 1]
+      })),
+      { emptyLabel }
+    ));
+
+    card(t('builder.stats.children', 'Children per couple'), barChart(
+      stats.children.distribution.map(({ children, couples }) => ({ label: String(children), value: couples })),
+      { orientation: 'vertical', color: CHART_COLORS[2], emptyLabel }
+    ), stats.children.couples
+      ? fill(t('builder.stats.children_note', 'Average {average} over {couples} couples'), {
+        average: stats.children.average,
+        couples: stats.children.couples
+      })
+      : '');
+
+    card(t('builder.stats.gender', 'Gender ratio'), donutChart([
+      { label: t('builder.stats.male', 'Male'), value: stats.gender.male },
+      { label: t('builder.stats.female', 'Female'), value: stats.gender.female },
+      { label: t('builder.stats.unknown', 'Unknown'), value: stats.gender.unknown }
+    ], { colors: [CHART_COLORS[0], CHART_COLORS[4], CHART_COLORS[5]], emptyLabel }));
+
+    card(t('builder.stats.birth_places', 'Most common birth places'), barChart(
+      stats.birthPlaces.map(({ value, count }) => ({ label: value, value: count })),
+      { color: CHART_COLORS[1], emptyLabel }
+    ));
+
+    card(t('builder.stats.completeness', 'Data completeness'), barChart(
+      stats.completeness.map(({ field, percent }) => ({
+        label: t(`builder.stats.field_${field}`, FIELD_LABELS[field]),
+        value: percent,
+        valueLabel: `${percent}%`
+      })),
+      { max: 100, color: CHART_COLORS[3], emptyLabel }
+    ), t('builder.stats.completeness_note', 'Death date and place are counted among those no longer living'));
+
+    const ancestors = stats.ancestors.slice(0, TOP_LIMIT);
+    card(t('builder.stats.ancestors', 'Earliest known ancestor per line'), barChart(
+      ancestors.map(({ personId, line, birthYear, generations: depth }) => {
+        const name = personName(personData.get(personId));
+        return {
+          label: birthYear === null ? name : `${name} (${birthYear})`,
+          value: depth,
+          valueLabel: fill(t('builder.stats.generations_count', '{n} gen.'), { n: depth }),
+          color: LINE_COLORS[line],
+          personId
+        };
+      }),
+      { emptyLabel }
+    ), stats.ancestors.length
+      ? fill(t('builder.stats.ancestors_note', '{count} lines; bars show the generations descended, purple through fathers, green through mothers'),
+        { count: stats.ancestors.length })
+      : '');
+  }
+
+  async function loadSources() {
+    if (!state.placesLoaded) {
+      state.placesLoaded = true;
+      try {
+        await loadPlaces(window.treeCore?.cacheManager?.getIdbRepo?.());
+      } catch (e) {
+        console.warn('[stats] failed to load places:', e);
+      }
+    }
+    if (state.visible) rebuild();
+  }
+
+  function scheduleRebuild() {
+    if (!state.visible) {
+      state.dirty = true;
+      return;
+    }
+    if (state.debounceTimer) clearTimeout(state.debounceTimer);
+    state.debounceTimer = setTimeout(rebuild, DEBOUNCE_MS);
+  }
+
+  const bus = appContext.getEventBus();
+  for (const e of [
+    EVENTS.TREE_PERSON_ADDED,
+    EVENTS.TREE_PERSON_UPDATED,
+    EVENTS.TREE_PERSON_DELETED,
+    EVENTS.TREE_RELATIONSHIP_ADDED,
+    EVENTS.TREE_RELATIONSHIP_REMOVED,
+    EVENTS.HISTORY_CHANGED,
+    EVENTS.PERSON_FILTER_CHANGED
+  ].filter(Boolean)) {
+    bus.on(e, scheduleRebuild);
+  }
+  bus.on(EVENTS.TREE_LOADED, () => {
+    state.placesLoaded = false;
+    if (state.visible) loadSources();
+    else state.dirty = true;
+  });
+
+  document.addEventListener('view:changed', (ev) => {
+    const { name } = ev.detail || {};
+    state.visible = name === 'stats';
+    if (!state.visible) return;
+    if (!state.placesLoaded) loadSources();
+    else if (state.dirty) rebuild();
+  });
+
+  // Registry names of birth places show up when the registry closes
+  document.addEventListener('places:closed', () => {
+    if (state.visible) rebuild();
+    else state.dirty = true;
+  });
+
+  grid.addEventListener('click', (ev) => {
+    const bar = ev.target.closest?.('[data-person-id]');
+    if (bar) bus.emit(EVENTS.TREE_NODE_EDIT_REQUESTED, { personId: bar.dataset.personId });
+  });
+
+  function exportReport() {
+    if (state.dirty) rebuild();
+    const serializer = new XMLSerializer();
+    const charts = [...grid.querySelectorAll('.stats-card')].map((section) => {
+      const svg = section.querySelector('svg');
+      const note = section.querySelector('.stats-note')?.textContent;
+      const heading = section.querySelector('h3').textContent;
+      return {
+        heading: note ? `${heading} — ${note}` : heading,
+        markup: serializer.serializeToString(svg),
+        width: Number(svg.getAttribute('width')),
+        height: Number(svg.getAttribute('height'))
+      };
+    });
+    return exportReportPDF(t('builder.stats.report_title', 'Family statistics'), charts, 'statistics');
+  }
+  exportBtn.addEventListener('click', exportReport);
+
+  if (state.visible) loadSources();
+
+  const api = {
+    rebuild,
+    exportReport,
+    isVisible: () => state.visible
+  };
+  window._statsView = api;
+  return api;
+}
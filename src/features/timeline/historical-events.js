@@ -0,0 +1,76 @@
+// historical-events.js - User-defined historical events (wars, emigration
+// waves) drawn over the timeline, kept in the tree's metadata store.
+
+const METADATA_KEY = 'historicalEvents';
+
+/**
+ * @typedef {Object} HistoricalEvent
+ * @property {string} id
+ * @property {string} label
+ * @property {number} startYear
+ * @property {number} endYear - equal to startYear for a single year
+ */
+
+function makeHistoricalEventId() {
+  return `hist_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Check and tidy a historical event from the editor.
+ * @param {{ id?: string, label: string, startYear: number|string, endYear?: number|string }} input
+ * @returns {HistoricalEvent}
+ * @throws {Error} without a label or a valid start year
+ */
+export function normalizeHistoricalEvent({ id, label, startYear, endYear } = {}) {
+  const trimmed = String(label ?? '').trim();
+  if (!trimmed) throw new Error('A historical event needs a label');
+  const start = Number.parseInt(startYear, 10);
+  if (!Number.isFinite(start)) throw new Error('A historical event needs a start year');
+  const parsedEnd = Number.parseInt(endYear, 10);
+  const end = Number.isFinite(parsedEnd) ? parsedEnd : start;
+  return {
+    id: id || makeHistoricalEventId(),
+    label: trimmed,
+    startYear: Math.min(start, end),
+    endYear: Math.max(start, end)
+  };
+}
+
+/**
+ * Historical events of the tree behind `repo`, in date order.
+ * @param {Object} repo - the tree's IndexedDB repository
+ * @returns {Promise<HistoricalEvent[]>}
+ */
+export async function loadHistoricalEvents(repo) {
+  if (!repo) return [];
+  const stored = await repo.getMetadata(METADATA_KEY);
+  return (Array.isArray(stored) ? stored : [])
+    .filter((e) => e && typeof e.label === 'string' && Number.isFinite(e.startYear) && Number.isFinite(e.endYear))
+    .sort((a, b) => a.startYear - b.startYear || a.label.localeCompare(b.label));
+}
+
+/**
+ * Add a historical event, or replace the one with the same id.
+ * @param {Object} repo
+ * @param {Object} input - see normalizeHistoricalEvent
+ * @returns {Promise<HistoricalEvent[]>} the events afterwards
+ */
+export async function saveHistoricalEvent(repo, input) {
+  const event = normalizeHistoricalEvent(input);
+  const others = (await loadHistoricalEvents(repo)).filter((e) => e.id !== event.id);
+  const events = [...others, event].sort((a, b) => a.startYear - b.startYear || a.label.localeCompare(b.label));
+  await repo.saveMetadata(METADATA_KEY, events);
+  return events;
+}
+
+/**
+ * Delete a historical event by id.
+ * @param {Object} repo
+ * @param {string} id
+ * @returns {Promise<HistoricalEvent[]>} the events afterwards
+ */
+export async function deleteHistoricalEvent(repo, id) {
+  const events = (await loadHistoricalEvents(repo)).filter((e) => e.id !== id);
+  await repo.saveMetadata(METADATA_KEY, events);
+  return events;
+}
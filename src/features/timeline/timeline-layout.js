@@ -0,0 +1,155 @@
+// timeline-layout.js — Lifespan bars of the timeline view (pure)
+//
+// World coordinates: x is in years (scaled to pixels by the renderer's
+// camera), y in pixels. Rows are grouped by generation or by clan, each
+// group under a header row.
+
+import { isPresumedLiving } from '../../utils/life-events.js';
+
+export const ROW_HEIGHT = 24;
+export const BAR_HEIGHT = 14;
+export const GROUP_HEADER_HEIGHT = 28;
+/** Length of the faded end drawn where a birth or death date is missing. */
+export const UNKNOWN_END_YEARS = 15;
+export const GROUP_MODES = ['generation', 'clan'];
+
+/**
+ * A DateValue as a fractional year, e.g. 1 July 1900 → 1900.5.
+ * @param {Object|null} value - DateValue
+ * @returns {number|null} null when there is no usable year
+ */
+export function dateToYear(value) {
+  if (!value || value.error || typeof value.year !== 'number') return null;
+  const year = value.bc ? -value.year : value.year;
+  const month = typeof value.month === 'number' ? value.month - 1 : 0;
+  const day = typeof value.day === 'number' ? value.day - 1 : 0;
+  return year + (month + day / 31) / 12;
+}
+
+/**
+ * Start and end of a person's bar. Estimated dates and missing ends are
+ * fuzzy; a living person's bar runs to `now`.
+ * @param {Object} person
+ * @param {number} now - fractional current year
+ * @returns {{ start: number, end: number, startFuzzy: boolean, endFuzzy: boolean, living: boolean }|null}
+ *   null when neither birth nor death is dated
+ */
+export function lifespanOf(person, now) {
+  const birthDate = person?.birth?.date;
+  const deathDate = person?.death?.date;
+  const birth = dateToYear(birthDate);
+  const death = dateToYear(deathDate);
+  if (birth === null && death === null) return null;
+
+  const living = death === null && isPresumedLiving(person, Math.floor(now));
+  let end = death;
+  if (end === null) end = living ? now : Math.min(now, birth + UNKNOWN_END_YEARS);
+  const start = birth ?? end - UNKNOWN_END_YEARS;
+
+  return {
+    start,
+    end: Math.max(start, end),
+    startFuzzy: birth === null || Boolean(birthDate.estimated),
+    endFuzzy: death === null ? !living : Boolean(deathDate.estimated),
+    living
+  };
+}
+
+/**
+ * Marriage and life event markers on a person's bar.
+ * @param {Object} person
+ * @returns {{ year: number, kind: 'marriage'|'event', fuzzy: boolean, spouseId?: string, event?: Object }[]}
+ */
+export function personMarkers(person) {
+  const markers = [];
+  for (const marriage of person?.marriages || []) {
+    const year = dateToYear(marriage.date);
+    if (year !== null) markers.push({ year, kind: 'marriage', fuzzy: Boolean(marriage.date.estimated), spouseId: marriage.spouseId });
+  }
+  for (const event of person?.events || []) {
+    const year = dateToYear(event.date);
+    if (year !== null) markers.push({ year, kind: 'event', fuzzy: Boolean(event.date.estimated), event });
+  }
+  return markers.sort((a, b) => a.year - b.year);
+}
+
+// The most common surname of a clan names its group
+function clanSurname(memberIds, personData) {
+  const counts = new Map();
+  for (const id of memberIds) {
+    const surname = personData.get(id)?.surname?.trim();
+    if (surname) counts.set(surname, (counts.get(surname) || 0) + 1);
+  }
+  let best = '';
+  for (const [surname, count] of counts) {
+    if (!best || count > counts.get(best) || (count === counts.get(best) && surname < best)) best = surname;
+  }
+  return best;
+}
+
+/**
+ * Lay out the timeline.
+ * @param {Map<string, Object>} personData
+ * @param {Object} options
+ * @param {'generation'|'clan'} [options.groupBy]
+ * @param {Map<string, number>} [options.generations] — personId -> generation, from GenerationCalculator
+ * @param {{ clanByPerson: Map<string, number> }} [options.clans] — from detectClans
+ * @param {number} [options.now] — fractional current year
+ * @returns {{
+ *   groups: { key: string, kind: 'generation'|'clan', value: number, surname?: string, y: number }[],
+ *   rows: { id: string, y: number, start: number, end: number, startFuzzy: boolean, endFuzzy: boolean, living: boolean, markers: Object[] }[],
+ *   undated: string[],
+ *   minYear: number, maxYear: number, height: number, now: number
+ * }}
+ */
+export function layoutTimeline(personData, { groupBy = 'generation', generations = new Map(), clans = null, now = new Date().getFullYear() } = {}) {
+  const buckets = new Map(); // group value -> rows
+  const undated = [];
+
+  for (const [id, person] of personData) {
+    const span = lifespanOf(person, now);
+    if (!span) {
+      undated.push(id);
+      continue;
+    }
+    const value = groupBy === 'clan' ? (clans?.clanByPerson.get(id) ?? -1) : (generations.get(id) ?? -1);
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push({ id, y: 0, ...span, markers: personMarkers(person) });
+  }
+
+  // Generations top-down; clans by size, then by their earliest member
+  const earliest = (rows) => Math.min(...rows.map((r) => r.start));
+  const order = [...buckets.entries()].sort(([a, rowsA], [b, rowsB]) => {
+    if (a === -1 || b === -1) return a === -1 ? 1 : -1;
+    if (groupBy === 'clan') return rowsB.length - rowsA.length || earliest(rowsA) - earliest(rowsB);
+    return a - b;
+  });
+
+  const groups = [];
+  const rows = [];
+  let y = 0;
+  let minYear = Infinity;
+  let maxYear = -Infinity;
+  for (const [value, bucket] of order) {
+    const group = { key: `${groupBy}:${value}`, kind: groupBy, value, y };
+    if (groupBy === 'clan') group.surname = clanSurname(bucket.map((r) => r.id), personData);
+    groups.push(group);
+    y += GROUP_HEADER_HEIGHT;
+
+    bucket.sort((a, b) => a.start - b.start || a.end - b.end);
+    for (const row of bucket) {
+      row.y = y;
+      y += ROW_HEIGHT;
+      rows.push(row);
+      minYear = Math.min(minYear, row.start);
+      maxYear = Math.max(maxYear, row.end);
+    }
+  }
+
+  if (rows.length === 0) {
+    minYear = now - 100;
+    maxYear = now;
+  }
+  return { groups, rows, undated, minYear, maxYear, height: y, now };
+}
+
@@ -0,0 +1,325 @@
+// timeline-renderer.js — Draws the timeline layout on a canvas.
+//
+// Uses the canvas view camera (src/core/camera.js) with the scale applied
+// to the time axis only: rows keep their height so names stay readable.
+// Screen x = year * PX_PER_YEAR * scale + camera.x,
+// screen y = row.y + camera.y + CONTENT_TOP.
+
+import { zoomCameraAt } from '../../core/camera.js';
+import { formatLifespanShort } from '../../utils/date-value.js';
+import { ROW_HEIGHT, BAR_HEIGHT, GROUP_HEADER_HEIGHT } from './timeline-layout.js';
+
+export const PX_PER_YEAR = 8;
+export const TIMELINE_ZOOM_LIMITS = { minScale: 0.05, maxScale: 20 };
+/** Space above the axis for the view toolbar. */
+const TOOLBAR_SPACE = 56;
+const AXIS_HEIGHT = 24;
+const CONTENT_TOP = TOOLBAR_SPACE + AXIS_HEIGHT;
+/** Years over which an estimated or missing end fades out. */
+const FUZZY_YEARS = 10;
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+const MIN_TICK_SPACING = 64;
+const FONT = 'system-ui, sans-serif';
+
+const THEMES = {
+  light: {
+    background: '#ffffff',
+    axis: '#f6f5f1',
+    grid: 'rgba(0, 0, 0, 0.06)',
+    text: '#2c2c2a',
+    muted: '#73726c',
+    today: '#c0392b',
+    history: [186, 117, 23],
+    male: [83, 74, 183],
+    female: [15, 110, 86],
+    unknown: [95, 94, 90],
+    marriage: '#d4537e',
+    event: '#2c2c2a'
+  },
+  dark: {
+    background: '#1e1e1c',
+    axis: '#2a2a27',
+    grid: 'rgba(255, 255, 255, 0.07)',
+    text: '#e8e6de',
+    muted: '#9c9a92',
+    today: '#f0997b',
+    history: [239, 159, 39],
+    male: [175, 169, 236],
+    female: [93, 202, 165],
+    unknown: [180, 178, 169],
+    marriage: '#ed93b1',
+    event: '#e8e6de'
+  }
+};
+
+function currentTheme() {
+  const dark = typeof window.matchMedia === 'function' && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  return dark ? THEMES.dark : THEMES.light;
+}
+
+function rgba([r, g, b], alpha) {
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Distance in years between axis ticks at a zoom level.
+ * @param {number} pxPerYear
+ * @returns {number}
+ */
+export function tickStep(pxPerYear) {
+  return TICK_STEPS.find((step) => step * pxPerYear >= MIN_TICK_SPACING) ?? TICK_STEPS[TICK_STEPS.length - 1];
+}
+
+export class TimelineRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.canvas.classList.add('tl-canvas');
+    this.ctx = canvas.getContext?.('2d') ?? null;
+    this.dpr = window.devicePixelRatio || 1;
+    this.width = 0;
+    this.height = 0;
+
+    this.camera = { x: 0, y: 0, scale: 1 };
+    this.layout = null;
+    this.personData = new Map();
+    this.historicalEvents = [];
+    this.showHistory = true;
+    this.personFilter = null; // { ids: Set, mode } — only 'dim' is drawn here; hidden people are left out of the layout
+    this.hoveredId = null;
+    this.labels = {
+      generation: (n) => `Generation ${n}`,
+      clan: (n) => `Clan ${n}`,
+      ungrouped: 'Unknown'
+    };
+    this._hitBoxes = new Map(); // personId -> { x1, x2, y1, y2 } in screen space
+  }
+
+  resize() {
+    const rect = this.canvas.getBoundingClientRect();
+    this.width = rect.width;
+    this.height = rect.height;
+    this.dpr = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(rect.width * this.dpr);
+    this.canvas.height = Math.round(rect.height * this.dpr);
+  }
+
+  yearToScreen(year) {
+    return year * PX_PER_YEAR * this.camera.scale + this.camera.x;
+  }
+
+  screenToYear(x) {
+    return (x - this.camera.x) / (PX_PER_YEAR * this.camera.scale);
+  }
+
+  /** Fit the whole time span into the width and scroll back to the top. */
+  fitAll() {
+    if (!this.layout) return;
+    const span = Math.max(10, this.layout.maxYear - this.layout.minYear);
+    const padding = 40;
+    const available = Math.max(100, this.width - 2 * padding - 160); // room for the last names
+    const scale = available / (span * PX_PER_YEAR);
+    this.camera.scale = Math.max(TIMELINE_ZOOM_LIMITS.minScale, Math.min(TIMELINE_ZOOM_LIMITS.maxScale, scale));
+    this.camera.x = padding - this.layout.minYear * PX_PER_YEAR * this.camera.scale;
+    this.camera.y = 0;
+  }
+
+  /**
+   * Zoom the time axis around a screen x.
+   * @param {number} factor
+   * @param {number} [originX] — defaults to the middle of the canvas
+   */
+  zoomAt(factor, originX = this.width / 2) {
+    // originY = camera.y leaves the vertical offset alone
+    zoomCameraAt(this.camera, factor, originX, this.camera.y, TIMELINE_ZOOM_LIMITS);
+  }
+
+  pan(dx, dy) {
+    this.camera.x += dx;
+    const contentHeight = this.layout?.height ?? 0;
+    const minY = Math.min(0, this.height - CONTENT_TOP - contentHeight - 20);
+    this.camera.y = Math.max(minY, Math.min(0, this.camera.y + dy));
+  }
+
+  /**
+   * Person whose bar or name is under a screen point.
+   * @param {number} x — relative to the canvas
+   * @param {number} y
+   * @returns {string|null}
+   */
+  hitTest(x, y) {
+    for (const [id, box] of this._hitBoxes) {
+      if (x >= box.x1 && x <= box.x2 && y >= box.y1 && y <= box.y2) return id;
+    }
+    return null;
+  }
+
+  groupLabel(group) {
+    if (group.value === -1) return this.labels.ungrouped;
+    if (group.kind === 'clan') return group.surname || this.labels.clan(group.value + 1);
+    return this.labels.generation(group.value);
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    const theme = currentTheme();
+    const { width, height } = this;
+
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, height);
+    this._hitBoxes.clear();
+    if (!this.layout) return;
+
+    const pxPerYear = PX_PER_YEAR * this.camera.scale;
+    const step = tickStep(pxPerYear);
+    const firstTick = Math.ceil(this.screenToYear(0) / step) * step;
+    const lastYear = this.screenToYear(width);
+
+    // Grid
+    ctx.strokeStyle = theme.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let year = firstTick; year <= lastYear; year += step) {
+      const x = Math.round(this.yearToScreen(year)) + 0.5;
+      ctx.moveTo(x, CONTENT_TOP);
+      ctx.lineTo(x, height);
+    }
+    ctx.stroke();
+
+    if (this.showHistory) this._drawHistory(theme);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, CONTENT_TOP, width, height - CONTENT_TOP);
+    ctx.clip();
+
+    for (const group of this.layout.groups) {
+      const y = group.y + this.camera.y + CONTENT_TOP;
+      if (y > height || y + GROUP_HEADER_HEIGHT < CONTENT_TOP) continue;
+      ctx.fillStyle = theme.muted;
+      ctx.font = `600 12px ${FONT}`;
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left';
+      ctx.fillText(this.groupLabel(group), 12, y + GROUP_HEADER_HEIGHT / 2 + 2);
+      ctx.strokeStyle = theme.grid;
+      ctx.beginPath();
+      ctx.moveTo(0, Math.round(y) + 0.5);
+      ctx.lineTo(width, Math.round(y) + 0.5);
+      ctx.stroke();
+    }
+
+    for (const row of this.layout.rows) {
+      const y = row.y + this.camera.y + CONTENT_TOP;
+      if (y > height || y + ROW_HEIGHT < CONTENT_TOP) continue;
+      this._drawRow(row, y, theme, pxPerYear);
+    }
+    ctx.restore();
+
+    this._drawAxis(theme, firstTick, lastYear, step);
+  }
+
+  _drawHistory(theme) {
+    const ctx = this.ctx;
+    for (const event of this.historicalEvents) {
+      const x1 = this.yearToScreen(event.startYear);
+      const x2 = Math.max(x1 + 2, this.yearToScreen(event.endYear + 1));
+      if (x2 < 0 || x1 > this.width) continue;
+      ctx.fillStyle = rgba(theme.history, 0.12);
+      ctx.fillRect(x1, CONTENT_TOP, x2 - x1, this.height - CONTENT_TOP);
+      ctx.fillStyle = rgba(theme.history, 0.9);
+      ctx.font = `11px ${FONT}`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText(event.label, Math.max(x1, 0) + 4, CONTENT_TOP + 4, Math.max(40, x2 - Math.max(x1, 0) - 8));
+    }
+  }
+
+  _drawRow(row, rowTop, theme, pxPerYear) {
+    const ctx = this.ctx;
+    const person = this.personData.get(row.id);
+    const color = theme[person?.gender === 'male' ? 'male' : person?.gender === 'female' ? 'female' : 'unknown'];
+    const dimmed = this.personFilter?.ids && !this.personFilter.ids.has(row.id);
+    const hovered = row.id === this.hoveredId;
+    const barTop = rowTop + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const cy = barTop + BAR_HEIGHT / 2;
+
+    const x1 = this.yearToScreen(row.start);
+    const x2 = Math.max(x1 + 2, this.yearToScreen(row.end));
+    const length = x2 - x1;
+    const fade = Math.min(FUZZY_YEARS * pxPerYear, length / 2) / length;
+
+    ctx.globalAlpha = dimmed ? 0.25 : 1;
+    const alpha = hovered ? 1 : 0.8;
+    const gradient = ctx.createLinearGradient(x1, 0, x2, 0);
+    gradient.addColorStop(0, rgba(color, row.startFuzzy ? 0 : alpha));
+    gradient.addColorStop(row.startFuzzy ? fade : 0, rgba(color, alpha));
+    gradient.addColorStop(row.endFuzzy ? 1 - fade : 1, rgba(color, alpha));
+    gradient.addColorStop(1, rgba(color, row.endFuzzy ? 0 : alpha));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x1, barTop, length, BAR_HEIGHT);
+
+    for (const marker of row.markers) {
+      const x = this.yearToScreen(marker.year);
+      ctx.beginPath();
+      if (marker.kind === 'marriage') {
+        ctx.moveTo(x, cy - 5);
+        ctx.lineTo(x + 5, cy);
+        ctx.lineTo(x, cy + 5);
+        ctx.lineTo(x - 5, cy);
+        ctx.closePath();
+      } else {
+        ctx.arc(x, cy, 3, 0, Math.PI * 2);
+      }
+      const markerColor = marker.kind === 'marriage' ? theme.marriage : theme.event;
+      if (marker.fuzzy) {
+        ctx.strokeStyle = markerColor;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = markerColor;
+        ctx.fill();
+      }
+    }
+
+    const name = [person?.name, person?.surname].filter(Boolean).join(' ') || row.id;
+    const locale = (window.i18n?.currentLocale || 'en').slice(0, 2);
+    const years = formatLifespanShort(person?.birth?.date, person?.death?.date, locale);
+    const label = years ? `${name} (${years})` : name;
+    ctx.font = `${hovered ? '600 ' : ''}12px ${FONT}`;
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const labelX = Math.max(x2 + 6, 6);
+    ctx.fillText(label, labelX, cy);
+    ctx.globalAlpha = 1;
+
+    const labelWidth = ctx.measureText(label).width;
+    this._hitBoxes.set(row.id, { x1, x2: labelX + labelWidth, y1: rowTop, y2: rowTop + ROW_HEIGHT });
+  }
+
+  _drawAxis(theme, firstTick, lastYear, step) {
+    const ctx = this.ctx;
+    ctx.fillStyle = theme.axis;
+    ctx.fillRect(0, TOOLBAR_SPACE, this.width, AXIS_HEIGHT);
+    ctx.fillStyle = theme.muted;
+    ctx.font = `11px ${FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let year = firstTick; year <= lastYear; year += step) {
+      ctx.fillText(String(year), this.yearToScreen(year), TOOLBAR_SPACE + AXIS_HEIGHT / 2);
+    }
+
+    const now = this.layout.now;
+    if (Number.isFinite(now)) {
+      const x = Math.round(this.yearToScreen(now)) + 0.5;
+      ctx.strokeStyle = theme.today;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, TOOLBAR_SPACE);
+      ctx.lineTo(x, this.height);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+}
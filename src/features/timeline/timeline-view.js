@@ -0,0 +1,382 @@
+// timeline-view.js — Timeline view: one lifespan bar per person on a
+// horizontal time axis, grouped by generation or clan, with an overlay of
+// the tree's historical events. Click a bar to edit the person.
+
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { currentGenerations } from '../../utils/generation-calculator.js';
+import { wheelDeltaPixels } from '../../core/camera.js';
+import { getActivePersonFilter } from '../filters/person-filter.js';
+import { detectClans } from '../tree-chart/tree-chart-clans.js';
+import { DEBOUNCE_MS } from '../tree-chart/tree-chart-config.js';
+import { layoutTimeline, GROUP_MODES } from './timeline-layout.js';
+import { TimelineRenderer } from './timeline-renderer.js';
+import { loadHistoricalEvents, saveHistoricalEvent, deleteHistoricalEvent } from './historical-events.js';
+
+const ZOOM_STEP = 1.25;
+const CLICK_TOLERANCE = 5;
+const GROUP_LABELS = { generation: 'Generation', clan: 'Clan' };
+
+function t(key, fallback) {
+  const text = window.i18n?.t?.(key);
+  return text && text !== key ? text : fallback;
+}
+
+function fractionalYear(date = new Date()) {
+  const start = new Date(date.getFullYear(), 0, 1);
+  const end = new Date(date.getFullYear() + 1, 0, 1);
+  return date.getFullYear() + (date - start) / (end - start);
+}
+
+/**
+ * @param {HTMLElement} containerEl
+ */
+export function initTimelineView(containerEl) {
+  if (!containerEl) {
+    console.error('[timeline] container element missing');
+    return null;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', t('builder.timeline.canvas_label', 'Timeline of lifespans'));
+  containerEl.appendChild(canvas);
+  const renderer = new TimelineRenderer(canvas);
+
+  const state = {
+    dirty: true,
+    visible: !containerEl.classList.contains('hidden'),
+    fitted: false,
+    debounceTimer: null,
+    drawFrame: null,
+    groupBy: GROUP_MODES[0],
+    historyLoaded: false
+  };
+
+  function getPersonData() {
+    return window.treeCore?.personData || new Map();
+  }
+
+  function requestDraw() {
+    if (state.drawFrame) return;
+    state.drawFrame = requestAnimationFrame(() => {
+      state.drawFrame = null;
+      renderer.draw();
+    });
+  }
+
+  function updateLabels() {
+    renderer.labels = {
+      generation: (n) => t('builder.timeline.generation', 'Generation {n}').replace('{n}', String(n)),
+      clan: (n) => t('builder.timeline.clan', 'Clan {n}').replace('{n}', String(n)),
+      ungrouped: t('builder.timeline.ungrouped', 'Not connected')
+    };
+  }
+
+  function rebuild() {
+    state.dirty = false;
+    let personData = getPersonData();
+    const filter = getActivePersonFilter();
+    if (filter?.ids && filter.mode === 'hide') {
+      personData = new Map([...personData].filter(([id]) => filter.ids.has(id)));
+    }
+    const options = { groupBy: state.groupBy, now: fractionalYear() };
+    if (state.groupBy === 'clan') options.clans = detectClans(personData);
+    else options.generations = currentGenerations(getPersonData(), window.treeCore?.generationData);
+
+    updateLabels();
+    renderer.personData = personData;
+    renderer.personFilter = filter?.ids ? { ids: filter.ids, mode: filter.mode } : null;
+    renderer.layout = layoutTimeline(personData, options);
+    renderer.resize();
+    if (!state.fitted && renderer.layout.rows.length > 0 && renderer.width > 0) {
+      renderer.fitAll();
+      state.fitted = true;
+    }
+    undatedNote.textContent = renderer.layout.undated.length
+      ? t('builder.timeline.undated', '{count} without dates').replace('{count}', String(renderer.layout.undated.length))
+      : '';
+    requestDraw();
+  }
+
+  function scheduleRebuild() {
+    if (!state.visible) {
+      state.dirty = true;
+      return;
+    }
+    if (state.debounceTimer) clearTimeout(state.debounceTimer);
+    state.debounceTimer = setTimeout(rebuild, DEBOUNCE_MS);
+  }
+
+  async function reloadHistory() {
+    state.historyLoaded = true;
+    try {
+      renderer.historicalEvents = await loadHistoricalEvents(window.treeCore?.cacheManager?.getIdbRepo?.());
+    } catch (e) {
+      console.warn('[timeline] failed to load historical events:', e);
+      renderer.historicalEvents = [];
+    }
+    renderHistoryList();
+    requestDraw();
+  }
+
+  const bus = appContext.getEventBus();
+  for (const e of [
+    EVENTS.TREE_PERSON_ADDED,
+    EVENTS.TREE_PERSON_UPDATED,
+    EVENTS.TREE_PERSON_DELETED,
+    EVENTS.TREE_RELATIONSHIP_ADDED,
+    EVENTS.TREE_RELATIONSHIP_REMOVED,
+    EVENTS.HISTORY_CHANGED
+  ].filter(Boolean)) {
+    bus.on(e, scheduleRebuild);
+  }
+  bus.on(EVENTS.TREE_LOADED, () => {
+    state.fitted = false;
+    state.historyLoaded = false;
+    if (state.visible) reloadHistory();
+    scheduleRebuild();
+  });
+  bus.on(EVENTS.PERSON_FILTER_CHANGED, scheduleRebuild);
+
+  document.addEventListener('view:changed', (ev) => {
+    const { name } = ev.detail || {};
+    state.visible = name === 'timeline';
+    if (!state.visible) return;
+    if (!state.historyLoaded) reloadHistory();
+    if (state.dirty || !state.fitted) rebuild();
+    else {
+      renderer.resize();
+      requestDraw();
+    }
+  });
+
+  if (typeof ResizeObserver === 'function') {
+    new ResizeObserver(() => {
+      if (!state.visible) return;
+      renderer.resize();
+      requestDraw();
+    }).observe(containerEl);
+  }
+
+  // Toolbar
+  const toolbar = document.createElement('div');
+  toolbar.className = 'tc-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+
+  const groupLabel = document.createElement('label');
+  groupLabel.className = 'tc-toolbar-select';
+  groupLabel.textContent = t('builder.timeline.group_by', 'Group by');
+  const groupSelect = document.createElement('select');
+  for (const mode of GROUP_MODES) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = t(`builder.timeline.group_${mode}`, GROUP_LABELS[mode]);
+    groupSelect.appendChild(option);
+  }
+  groupSelect.value = state.groupBy;
+  groupLabel.appendChild(groupSelect);
+  groupSelect.addEventListener('change', () => {
+    state.groupBy = groupSelect.value;
+    rebuild();
+  });
+
+  const historyToggle = document.createElement('label');
+  historyToggle.className = 'tl-toolbar-check';
+  const historyCheckbox = document.createElement('input');
+  historyCheckbox.type = 'checkbox';
+  historyCheckbox.checked = renderer.showHistory;
+  historyToggle.append(historyCheckbox, document.createTextNode(t('builder.timeline.history', 'Historical events')));
+  historyCheckbox.addEventListener('change', () => {
+    renderer.showHistory = historyCheckbox.checked;
+    requestDraw();
+  });
+
+  const editHistoryBtn = document.createElement('button');
+  editHistoryBtn.type = 'button';
+  editHistoryBtn.className = 'tl-toolbar-btn';
+  editHistoryBtn.textContent = t('builder.timeline.history_edit', 'Edit events…');
+  editHistoryBtn.setAttribute('aria-expanded', 'false');
+
+  const fitBtn = document.createElement('button');
+  fitBtn.type = 'button';
+  fitBtn.className = 'tl-toolbar-btn';
+  fitBtn.textContent = t('builder.timeline.fit', 'Fit');
+  fitBtn.addEventListener('click', () => {
+    renderer.fitAll();
+    requestDraw();
+  });
+
+  const undatedNote = document.createElement('span');
+  undatedNote.className = 'tc-toolbar-focus';
+
+  toolbar.append(groupLabel, historyToggle, editHistoryBtn, fitBtn, undatedNote);
+  containerEl.appendChild(toolbar);
+
+  // Historical events editor
+  const historyPanel = document.createElement('div');
+  historyPanel.className = 'tl-history-panel';
+  historyPanel.hidden = true;
+  const historyList = document.createElement('ul');
+  historyList.className = 'tl-history-list';
+  const historyForm = document.createElement('form');
+  historyForm.className = 'tl-history-form';
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.required = true;
+  labelInput.placeholder = t('builder.timeline.history_label', 'Event, e.g. First World War');
+  labelInput.setAttribute('aria-label', labelInput.placeholder);
+  const fromInput = document.createElement('input');
+  fromInput.type = 'number';
+  fromInput.required = true;
+  fromInput.placeholder = t('builder.timeline.history_from', 'From');
+  fromInput.setAttribute('aria-label', fromInput.placeholder);
+  const toInput = document.createElement('input');
+  toInput.type = 'number';
+  toInput.placeholder = t('builder.timeline.history_to', 'To');
+  toInput.setAttribute('aria-label', toInput.placeholder);
+  const addBtn = document.createElement('button');
+  addBtn.type = 'submit';
+  addBtn.textContent = t('builder.timeline.history_add', 'Add');
+  historyForm.append(labelInput, fromInput, toInput, addBtn);
+  historyPanel.append(historyList, historyForm);
+  containerEl.appendChild(historyPanel);
+
+  function renderHistoryList() {
+    historyList.replaceChildren();
+    if (renderer.historicalEvents.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'tl-history-empty';
+      empty.textContent = t('builder.timeline.history_empty', 'No historical events yet.');
+      historyList.appendChild(empty);
+      return;
+    }
+    for (const event of renderer.historicalEvents) {
+      const item = document.createElement('li');
+      const years = event.startYear === event.endYear ? String(event.startYear) : `${event.startYear}–${event.endYear}`;
+      item.append(document.createTextNode(`${event.label} (${years})`));
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.eventId = event.id;
+      remove.textContent = '×';
+      remove.title = t('builder.timeline.history_delete', 'Delete');
+      remove.setAttribute('aria-label', `${remove.title}: ${event.label}`);
+      item.appendChild(remove);
+      historyList.appendChild(item);
+    }
+  }
+
+  editHistoryBtn.addEventListener('click', () => {
+    historyPanel.hidden = !historyPanel.hidden;
+    editHistoryBtn.setAttribute('aria-expanded', String(!historyPanel.hidden));
+    if (!historyPanel.hidden) labelInput.focus();
+  });
+
+  historyForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const repo = window.treeCore?.cacheManager?.getIdbRepo?.();
+    if (!repo) return;
+    try {
+      renderer.historicalEvents = await saveHistoricalEvent(repo, {
+        label: labelInput.value,
+        startYear: fromInput.value,
+        endYear: toInput.value
+      });
+      historyForm.reset();
+      renderHistoryList();
+      requestDraw();
+    } catch (e) {
+      console.warn('[timeline] failed to save historical event:', e);
+    }
+  });
+
+  historyList.addEventListener('click', async (ev) => {
+    const button = ev.target.closest('button[data-event-id]');
+    const repo = window.treeCore?.cacheManager?.getIdbRepo?.();
+    if (!button || !repo) return;
+    try {
+      renderer.historicalEvents = await deleteHistoricalEvent(repo, button.dataset.eventId);
+      renderHistoryList();
+      requestDraw();
+    } catch (e) {
+      console.warn('[timeline] failed to delete historical event:', e);
+    }
+  });
+
+  // Pan, zoom and click
+  let pointerStart = null;
+  let lastPointer = null;
+
+  function canvasPoint(ev) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: ev.clientX - rect.left, y: ev.clientY - rect.top };
+  }
+
+  canvas.addEventListener('pointerdown', (ev) => {
+    if (ev.button !== 0) return;
+    pointerStart = { x: ev.clientX, y: ev.clientY, moved: false };
+    lastPointer = { x: ev.clientX, y: ev.clientY };
+    canvas.setPointerCapture?.(ev.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (ev) => {
+    if (!pointerStart) {
+      const { x, y } = canvasPoint(ev);
+      const hovered = renderer.hitTest(x, y);
+      if (hovered !== renderer.hoveredId) {
+        renderer.hoveredId = hovered;
+        canvas.style.cursor = hovered ? 'pointer' : '';
+        requestDraw();
+      }
+      return;
+    }
+    if (Math.hypot(ev.clientX - pointerStart.x, ev.clientY - pointerStart.y) > CLICK_TOLERANCE) pointerStart.moved = true;
+    if (pointerStart.moved) {
+      renderer.pan(ev.clientX - lastPointer.x, ev.clientY - lastPointer.y);
+      requestDraw();
+    }
+    lastPointer = { x: ev.clientX, y: ev.clientY };
+  });
+
+  canvas.addEventListener('pointerup', (ev) => {
+    const wasClick = pointerStart && !pointerStart.moved;
+    pointerStart = null;
+    if (!wasClick) return;
+    const { x, y } = canvasPoint(ev);
+    const personId = renderer.hitTest(x, y);
+    if (personId) bus.emit(EVENTS.TREE_NODE_EDIT_REQUESTED, { personId });
+  });
+
+  canvas.addEventListener('pointercancel', () => { pointerStart = null; });
+
+  canvas.addEventListener('wheel', (ev) => {
+    ev.preventDefault();
+    if (ev.deltaX && Math.abs(ev.deltaX) > Math.abs(ev.deltaY)) {
+      renderer.pan(-ev.deltaX, 0);
+    } else {
+      renderer.zoomAt(Math.exp(-wheelDeltaPixels(ev) * 0.002), canvasPoint(ev).x);
+    }
+    requestDraw();
+  }, { passive: false });
+
+  renderHistoryList();
+  if (state.visible) {
+    reloadHistory();
+    rebuild();
+  }
+
+  const api = {
+    rebuild,
+    /**
+     * Zoom the time axis one step.
+     * @param {number} direction — negative zooms in, positive zooms out
+     */
+    zoom(direction) {
+      renderer.zoomAt(direction < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+      requestDraw();
+    },
+    getZoomPercent: () => Math.round(renderer.camera.scale * 100),
+    isVisible: () => state.visible
+  };
+  window._timelineView = api;
+  return api;
+}
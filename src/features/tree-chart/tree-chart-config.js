@@ -10,6 +10,12 @@ export const PARKING_GAP = 100;
 export const PARKING_NODE_GAP_X = 24;
 export const PARKING_NODE_GAP_Y = 24;
 
+// Pedigree and descendant charts
+export const FOCUS_DEFAULT_GENERATIONS = 4;
+export const FOCUS_MAX_GENERATIONS = 12;
+export const PEDIGREE_COLUMN_GAP = 64;
+export const PEDIGREE_ROW_GAP = 16;
+
 export const HIGHLIGHT_FADE_OPACITY = 0.25;
 export const HIGHLIGHT_EDGE_FADE_OPACITY = 0.15;
 
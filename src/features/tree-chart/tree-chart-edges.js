@@ -81,7 +81,7 @@ export function generateEdges(personData, nodes, lineOnlyConnections = []) {
   return edges;
 }
 
-function elbowPath(parent, child) {
+export function elbowPath(parent, child) {
   const px = parent.x + parent.width / 2;
   const py = parent.y + parent.height;
   const cx = child.x + child.width / 2;
@@ -90,20 +90,33 @@ function elbowPath(parent, child) {
   return `M ${px} ${py} L ${px} ${busY} L ${cx} ${busY} L ${cx} ${cy}`;
 }
 
-function coupleDropPath(mx, my, child) {
+export function coupleDropPath(mx, my, child) {
   const cx = child.x + child.width / 2;
   const cy = child.y;
   const busY = my + (cy - my) / 2;
   return `M ${mx} ${my} L ${mx} ${busY} L ${cx} ${busY} L ${cx} ${cy}`;
 }
 
-function spousePath(a, b) {
+export function spousePath(a, b) {
   const ay = a.y + a.height / 2;
   const ax = a.x + (a.x < b.x ? a.width : 0);
   const bx = b.x + (b.x < a.x ? b.width : 0);
   return `M ${ax} ${ay} L ${bx} ${ay}`;
 }
 
+/**
+ * Left-to-right elbow from a child to one of its parents, for charts that
+ * grow sideways (the pedigree chart).
+ */
+export function sidewaysElbowPath(child, parent) {
+  const cx = child.x + child.width;
+  const cy = child.y + child.height / 2;
+  const px = parent.x;
+  const py = parent.y + parent.height / 2;
+  const busX = cx + (px - cx) / 2;
+  return `M ${cx} ${cy} L ${busX} ${cy} L ${busX} ${py} L ${px} ${py}`;
+}
+
 function directPath(a, b) {
   const ax = a.x + a.width / 2;
   const ay = a.y + a.height / 2;
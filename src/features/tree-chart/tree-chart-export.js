@@ -0,0 +1,92 @@
+// tree-chart-export.js — Standalone SVG of a chart view for the exporters.
+// The chart is styled by tree-chart.css, so the computed styles are copied
+// onto the copy to keep it looking the same outside the page.
+
+import { fitToPaper } from '../export/print-sizing.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const EXPORT_PADDING = 20;
+const INLINED_PROPERTIES = [
+  'fill',
+  'stroke',
+  'stroke-width',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style'
+];
+
+/**
+ * Serialize the chart as shown, cropped to the whole layout rather than the
+ * current pan and zoom. Expand/collapse buttons and persons hidden by the
+ * person filter are left out.
+ *
+ * @param {SVGSVGElement} svg — the chart element of TreeChartRenderer or FanChartRenderer
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} bounds — layout bounds
+ * @param {{ paper?: string, transparent?: boolean }} [options] — with a paper
+ *   size the document is sized in millimetres to print on it; transparent
+ *   leaves out the background
+ * @returns {{ markup: string, width: number, height: number }}
+ */
+export function serializeChartSVG(svg, bounds, { paper, transparent = false } = {}) {
+  const clone = svg.cloneNode(true);
+  const sources = [svg, ...svg.querySelectorAll('*')];
+  const copies = [clone, ...clone.querySelectorAll('*')];
+  sources.forEach((source, i) => {
+    const copy = copies[i];
+    const computed = window.getComputedStyle(source);
+    copy.removeAttribute('style');
+    for (const property of INLINED_PROPERTIES) {
+      const value = computed.getPropertyValue(property);
+      if (value) copy.style.setProperty(property, value);
+    }
+    if (computed.getPropertyValue('display') === 'none') copy.remove();
+  });
+  clone.querySelectorAll('.tc-node-toggle').forEach((el) => el.remove());
+  clone.removeAttribute('class');
+  clone.removeAttribute('style');
+  // The serializer declares the namespace itself; a copy would be written twice
+  clone.removeAttribute('xmlns');
+
+  const width = Math.max(bounds.maxX - bounds.minX, 1) + EXPORT_PADDING * 2;
+  const height = Math.max(bounds.maxY - bounds.minY, 1) + EXPORT_PADDING * 2;
+  const x = bounds.minX - EXPORT_PADDING;
+  const y = bounds.minY - EXPORT_PADDING;
+  clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+  if (paper) {
+    const fit = fitToPaper(width, height, paper);
+    clone.setAttribute('width', `${fit.drawWidth}mm`);
+    clone.setAttribute('height', `${fit.drawHeight}mm`);
+  } else {
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+  }
+
+  if (!transparent) clone.insertBefore(backgroundRect(svg, x, y, width, height), clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+function backgroundRect(svg, x, y, width, height) {
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('x', x);
+  background.setAttribute('y', y);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  // Matches the view, which is dark under a dark color scheme
+  const viewBackground = svg.parentElement && window.getComputedStyle(svg.parentElement).backgroundColor;
+  background.setAttribute('fill', viewBackground && !/^(transparent|rgba\(0, 0, 0, 0\))$/.test(viewBackground) ? viewBackground : '#ffffff');
+  return background;
+}
+
+/**
+ * The chart view on screen (tree, fan or hourglass chart, or the map), or
+ * null while the canvas, the timeline or the table is shown.
+ * @returns {{ exportSVG: Function, isVisible: Function, getPaper?: Function }|null}
+ */
+export function visibleChartView() {
+  const views = [window._treeChartView, window._fanChartView, window._hourglassView, window._mapView];
+  return views.find((view) => view?.isVisible?.()) || null;
+}
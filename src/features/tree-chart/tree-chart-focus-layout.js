@@ -0,0 +1,296 @@
+// tree-chart-focus-layout.js — Charts focused on one person (pure): a sideways
+// pedigree of their ancestors and a top-down chart of their descendants with
+// spouses. Both return the same shape as runLayout, so TreeChartRenderer draws
+// them unchanged.
+import { elbowPath, coupleDropPath, spousePath, sidewaysElbowPath } from './tree-chart-edges.js';
+import {
+  NODE_WIDTH,
+  NODE_HEIGHT,
+  NODE_GAP_X,
+  COUPLE_GAP,
+  ROW_HEIGHT,
+  FOCUS_DEFAULT_GENERATIONS,
+  PEDIGREE_COLUMN_GAP,
+  PEDIGREE_ROW_GAP
+} from './tree-chart-config.js';
+
+/**
+ * Whether the branch above (pedigree) or below (descendants) a person is shown.
+ * Branches are open up to the generation limit; `overrides` holds the ones
+ * the user expanded (true) or collapsed (false).
+ *
+ * @param {string} id
+ * @param {number} depth — 0 for the focus person
+ * @param {number} generations — generations shown, the focus person included
+ * @param {Map<string, boolean>} overrides
+ * @returns {boolean}
+ */
+export function isBranchOpen(id, depth, generations, overrides) {
+  return overrides.get(id) ?? depth < generations - 1;
+}
+
+function boundsOf(nodes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [, n] of nodes) {
+    if (n.x < minX) minX = n.x;
+    if (n.y < minY) minY = n.y;
+    if (n.x + n.width > maxX) maxX = n.x + n.width;
+    if (n.y + n.height > maxY) maxY = n.y + n.height;
+  }
+  if (!Number.isFinite(minX)) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  return { minX, minY, maxX, maxY };
+}
+
+function nodeData(x, y, depth, id, clanData, toggle, toggleSide) {
+  return {
+    x,
+    y,
+    width: NODE_WIDTH,
+    height: NODE_HEIGHT,
+    generation: depth,
+    clusterId: null,
+    clanId: clanData?.clanByPerson.get(id) ?? null,
+    isParked: false,
+    isRoot: depth === 0,
+    toggle,
+    toggleSide
+  };
+}
+
+// Lay out the ancestors of rootId along one axis: leaves take successive
+// slots of `size + gap`, every other person is centered over their parents.
+// Returns each person's depth and center plus the child -> parent links.
+function placeAncestors(personData, rootId, { generations, overrides, size, gap, skip = new Set() }) {
+  const placed = new Map(); // id -> { depth, center, toggle }
+  const links = [];
+  let next = 0;
+
+  function place(id, depth) {
+    const p = personData.get(id);
+    const parents = [p.fatherId, p.motherId]
+      .filter((pid) => pid && pid !== id && personData.has(pid) && !skip.has(pid));
+    const open = parents.length > 0 && isBranchOpen(id, depth, generations, overrides);
+    placed.set(id, null); // claimed, so cyclic data cannot recurse forever
+
+    const centers = [];
+    if (open) {
+      for (const pid of parents) {
+        if (!placed.has(pid)) centers.push(place(pid, depth + 1));
+        links.push([id, pid]);
+      }
+    }
+
+    let center;
+    if (centers.length) {
+      center = (Math.min(...centers) + Math.max(...centers)) / 2;
+    } else {
+      center = next + size / 2;
+      next += size + gap;
+    }
+    const toggle = parents.length ? (open ? 'collapse' : 'expand') : null;
+    placed.set(id, { depth, center, toggle });
+    return center;
+  }
+
+  if (personData.has(rootId)) place(rootId, 0);
+  return { placed, links };
+}
+
+/**
+ * Horizontal pedigree chart: the focus person on the left, each generation of
+ * ancestors one column further right, fathers above mothers. An ancestor
+ * reached twice (pedigree collapse) is drawn once and linked from both sides.
+ *
+ * @param {Map<string, Person>} personData
+ * @param {string} rootId
+ * @param {{ generations?: number, overrides?: Map<string, boolean>, clanData?: { clanByPerson: Map<string, number> } }} [options]
+ * @returns {{ nodes: Map<string, NodeData>, edges: Array, parking: null, bounds: Object }}
+ */
+export function layoutPedigree(personData, rootId, options = {}) {
+  const { generations = FOCUS_DEFAULT_GENERATIONS, overrides = new Map(), clanData } = options;
+  const { placed, links } = placeAncestors(personData, rootId, {
+    generations,
+    overrides,
+    size: NODE_HEIGHT,
+    gap: PEDIGREE_ROW_GAP
+  });
+
+  const nodes = new Map();
+  for (const [id, { depth, center, toggle }] of placed) {
+    nodes.set(id, nodeData(depth * (NODE_WIDTH + PEDIGREE_COLUMN_GAP), center - NODE_HEIGHT / 2, depth, id, clanData, toggle, 'right'));
+  }
+  const edges = links.map(([childId, parentId]) => ({
+    fromId: parentId,
+    toId: childId,
+    type: 'parent',
+    path: sidewaysElbowPath(nodes.get(childId), nodes.get(parentId))
+  }));
+
+  return { nodes, edges, parking: null, bounds: boundsOf(nodes) };
+}
+
+/**
+ * Hourglass chart: the descendant chart of the focus person with their
+ * ancestors stacked above them, one row per generation.
+ *
+ * @param {Map<string, Person>} personData
+ * @param {string} rootId
+ * @param {{ generations?: number, overrides?: Map<string, boolean>, clanData?: { clanByPerson: Map<string, number> } }} [options]
+ * @returns {{ nodes: Map<string, NodeData>, edges: Array, parking: null, bounds: Object }}
+ */
+export function layoutHourglass(personData, rootId, options = {}) {
+  const { generations = FOCUS_DEFAULT_GENERATIONS, overrides = new Map(), clanData } = options;
+  const below = layoutDescendants(personData, rootId, options);
+  const root = below.nodes.get(rootId);
+  if (!root) return below;
+
+  // Someone who is both an ancestor and a descendant stays in the lower half
+  const skip = new Set(below.nodes.keys());
+  skip.delete(rootId);
+  const { placed, links } = placeAncestors(personData, rootId, {
+    generations,
+    overrides: new Map([...overrides].filter(([id]) => id !== rootId)),
+    size: NODE_WIDTH,
+    gap: NODE_GAP_X,
+    skip
+  });
+
+  const shift = root.x + NODE_WIDTH / 2 - placed.get(rootId).center;
+  const nodes = new Map(below.nodes);
+  for (const [id, { depth, center, toggle }] of placed) {
+    if (id === rootId) continue;
+    nodes.set(id, {
+      ...nodeData(center + shift - NODE_WIDTH / 2, -depth * ROW_HEIGHT, depth, id, clanData, toggle, 'top'),
+      generation: -depth
+    });
+  }
+  const edges = [
+    ...links.map(([childId, parentId]) => ({
+      fromId: parentId,
+      toId: childId,
+      type: 'parent',
+      path: elbowPath(nodes.get(parentId), nodes.get(childId))
+    })),
+    ...below.edges
+  ];
+
+  return { nodes, edges, parking: null, bounds: boundsOf(nodes) };
+}
+
+function byBirth(personData) {
+  return (a, b) => {
+    const pa = personData.get(a);
+    const pb = personData.get(b);
+    const ya = pa.birth?.date?.year ?? Infinity;
+    const yb = pb.birth?.date?.year ?? Infinity;
+    return ya - yb || (pa.name || '').localeCompare(pb.name || '');
+  };
+}
+
+function spousesOf(p, personData) {
+  const ids = [...(p.marriages || []).map((m) => m.spouseId), p.spouseId];
+  return [...new Set(ids)].filter((sid) => sid && sid !== p.id && personData.has(sid));
+}
+
+/**
+ * Top-down descendant chart: the focus person at the top with their spouses
+ * beside them, each generation of children one row lower. Children hang from
+ * the marriage they were born to, or from the parent alone.
+ *
+ * @param {Map<string, Person>} personData
+ * @param {string} rootId
+ * @param {{ generations?: number, overrides?: Map<string, boolean>, clanData?: { clanByPerson: Map<string, number> } }} [options]
+ * @returns {{ nodes: Map<string, NodeData>, edges: Array, parking: null, bounds: Object }}
+ */
+export function layoutDescendants(personData, rootId, options = {}) {
+  const { generations = FOCUS_DEFAULT_GENERATIONS, overrides = new Map(), clanData } = options;
+  const nodes = new Map();
+  const edges = [];
+  if (!personData.has(rootId)) return { nodes, edges, parking: null, bounds: boundsOf(nodes) };
+
+  const childrenOf = new Map();
+  for (const [id, p] of personData) {
+    for (const parentId of new Set([p.fatherId, p.motherId])) {
+      if (!parentId || parentId === id || !personData.has(parentId)) continue;
+      if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+      childrenOf.get(parentId).push(id);
+    }
+  }
+  const sortByBirth = byBirth(personData);
+  for (const kids of childrenOf.values()) kids.sort(sortByBirth);
+
+  // Build the unit tree first: a unit is a descendant with their spouses.
+  const used = new Set();
+  function build(id, depth) {
+    used.add(id);
+    const spouses = spousesOf({ ...personData.get(id), id }, personData).filter((sid) => !used.has(sid));
+    for (const sid of spouses) used.add(sid);
+    const kids = childrenOf.get(id) || [];
+    const open = kids.length > 0 && isBranchOpen(id, depth, generations, overrides);
+    const children = [];
+    if (open) {
+      for (const kid of kids) {
+        if (!used.has(kid)) children.push(build(kid, depth + 1));
+      }
+    }
+    const unitWidth = (spouses.length + 1) * NODE_WIDTH + spouses.length * COUPLE_GAP;
+    const childrenWidth = children.reduce((sum, c, i) => sum + c.width + (i ? NODE_GAP_X : 0), 0);
+    return {
+      id,
+      spouses,
+      children,
+      depth,
+      unitWidth,
+      width: Math.max(unitWidth, childrenWidth),
+      childrenWidth,
+      toggle: kids.length ? (open ? 'collapse' : 'expand') : null
+    };
+  }
+
+  function place(unit, left) {
+    const y = unit.depth * ROW_HEIGHT;
+    const unitLeft = left + (unit.width - unit.unitWidth) / 2;
+    nodes.set(unit.id, nodeData(unitLeft, y, unit.depth, unit.id, clanData, unit.toggle, 'bottom'));
+    const dropX = new Map(); // spouse id -> x of the marriage symbol
+    let previous = nodes.get(unit.id);
+    unit.spouses.forEach((sid, i) => {
+      const x = unitLeft + (i + 1) * (NODE_WIDTH + COUPLE_GAP);
+      const spouseNode = nodeData(x, y, unit.depth, sid, clanData, null, 'bottom');
+      nodes.set(sid, spouseNode);
+      const dotX = (previous.x + previous.width + spouseNode.x) / 2;
+      dropX.set(sid, dotX);
+      edges.push({
+        fromId: unit.id,
+        toId: sid,
+        type: 'spouse',
+        path: spousePath(previous, spouseNode),
+        dotX,
+        dotY: y + NODE_HEIGHT / 2
+      });
+      previous = spouseNode;
+    });
+
+    let childLeft = left + (unit.width - unit.childrenWidth) / 2;
+    for (const child of unit.children) {
+      place(child, childLeft);
+      childLeft += child.width + NODE_GAP_X;
+      const p = personData.get(child.id);
+      const otherParent = p.fatherId === unit.id ? p.motherId : p.fatherId;
+      const childNode = nodes.get(child.id);
+      if (dropX.has(otherParent)) {
+        edges.push({
+          fromId: unit.id,
+          fromId2: otherParent,
+          toId: child.id,
+          type: 'familyDrop',
+          path: coupleDropPath(dropX.get(otherParent), y + NODE_HEIGHT / 2, childNode)
+        });
+      } else {
+        edges.push({ fromId: unit.id, toId: child.id, type: 'parent', path: elbowPath(nodes.get(unit.id), childNode) });
+      }
+    }
+  }
+
+  place(build(rootId, 0), 0);
+  return { nodes, edges, parking: null, bounds: boundsOf(nodes) };
+}
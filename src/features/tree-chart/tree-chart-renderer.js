@@ -31,6 +31,7 @@ export class TreeChartRenderer {
 
   render(layout, personData, clanColors, parkingLabel) {
     this._personData = personData;
+    this.bounds = layout.bounds;
     this._updateViewBox(layout.bounds);
     this._updateNodes(layout.nodes, personData, clanColors);
     this._updateEdges(layout.edges);
@@ -99,6 +100,8 @@ export class TreeChartRenderer {
   _applyNodeAttributes(g, id, n, personData, clanColors) {
     g.setAttribute('transform', `translate(${n.x}, ${n.y})`);
     g.classList.toggle('tc-node--parked', !!n.isParked);
+    g.classList.toggle('tc-node--root', !!n.isRoot);
+    this._applyToggle(g, n);
 
     const ring = g.querySelector('.tc-node-ring');
     const body = g.querySelector('.tc-node-body');
@@ -149,6 +152,34 @@ export class TreeChartRenderer {
     g.setAttribute('aria-label', `${fullName}, ${genStr}, click to highlight lineage, double-click to edit`);
   }
 
+  // Expand/collapse button of a branch in the pedigree, descendant and
+  // hourglass charts: on the right edge or on top towards the parents, or
+  // below towards the children.
+  _applyToggle(g, n) {
+    let toggle = g.querySelector('.tc-node-toggle');
+    if (!n.toggle) {
+      toggle?.remove();
+      return;
+    }
+    if (!toggle) {
+      toggle = document.createElementNS(SVG_NS, 'g');
+      toggle.setAttribute('class', 'tc-node-toggle');
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('r', '9');
+      toggle.appendChild(circle);
+      const sign = document.createElementNS(SVG_NS, 'text');
+      sign.setAttribute('text-anchor', 'middle');
+      sign.setAttribute('dominant-baseline', 'central');
+      toggle.appendChild(sign);
+      g.appendChild(toggle);
+    }
+    const x = n.toggleSide === 'right' ? n.width : n.width / 2;
+    const y = n.toggleSide === 'right' ? n.height / 2 : n.toggleSide === 'top' ? 0 : n.height;
+    toggle.setAttribute('transform', `translate(${x}, ${y})`);
+    toggle.dataset.action = n.toggle;
+    SecurityUtils.setTextContent(toggle.querySelector('text'), n.toggle === 'expand' ? '+' : '−');
+  }
+
   _updateEdges(edges) {
     const seen = new Set();
     for (const e of edges) {
@@ -282,4 +313,23 @@ export class TreeChartRenderer {
       el.classList.toggle('tc-on-line', fromOk && toOk);
     }
   }
+
+  /**
+   * Dim or hide persons outside the active person filter, and every edge
+   * touching one of them.
+   * @param {Set<string>|null} ids - matching person ids; null shows everyone
+   * @param {'dim'|'hide'} [mode]
+   */
+  applyPersonFilter(ids, mode = 'dim') {
+    this.svg.classList.toggle('tc-filter-dim', !!ids && mode !== 'hide');
+    this.svg.classList.toggle('tc-filter-hide', !!ids && mode === 'hide');
+    for (const [id, el] of this._nodeEls) {
+      el.classList.toggle('tc-filtered-out', !!ids && !ids.has(id));
+    }
+    for (const [, el] of this._edgeEls) {
+      const fromOk = ids?.has(el.dataset.fromId) ||
+        !!(el.dataset.fromId2 && ids?.has(el.dataset.fromId2));
+      el.classList.toggle('tc-filtered-out', !!ids && !(fromOk && ids.has(el.dataset.toId)));
+    }
+  }
 }
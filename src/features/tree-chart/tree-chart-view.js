@@ -2,13 +2,20 @@
 
 import { appContext, EVENTS } from '../../utils/event-bus.js';
 import { runLayout } from './tree-chart-layout.js';
+import { layoutPedigree, layoutDescendants } from './tree-chart-focus-layout.js';
+import { serializeChartSVG } from './tree-chart-export.js';
+import { attachViewport } from './tree-chart-viewport.js';
 import { detectClans, assignClanColors } from './tree-chart-clans.js';
 import { computeBloodLine } from './tree-chart-highlight.js';
 import { TreeChartRenderer } from './tree-chart-renderer.js';
-import { DEBOUNCE_MS } from './tree-chart-config.js';
+import { DEBOUNCE_MS, FOCUS_DEFAULT_GENERATIONS, FOCUS_MAX_GENERATIONS } from './tree-chart-config.js';
+import { getActivePersonFilter } from '../filters/person-filter.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
+// 'family' lays out whole clusters; the others focus on one person
+export const CHART_MODES = ['family', 'ancestors', 'descendants'];
+
 export function initTreeChartView(containerEl) {
   if (!containerEl) {
     console.error('[tree-chart] container element missing');
@@ -18,15 +25,18 @@ export function initTreeChartView(containerEl) {
   const svg = document.createElementNS(SVG_NS, 'svg');
   containerEl.appendChild(svg);
   const renderer = new TreeChartRenderer(svg);
+  const { zoom, getZoomPercent, resetZoomBase } = attachViewport(svg);
 
   const state = {
     dirty: true,
     visible: !containerEl.classList.contains('hidden'),
     debounceTimer: null,
     highlightedId: null,
-    isPanning: false,
-    panStart: null,
-    baseVbWidth: null
+    relationPath: null, // Set of person ids from the relationship calculator
+    mode: 'family',
+    focusId: null,
+    generations: FOCUS_DEFAULT_GENERATIONS,
+    branchOverrides: new Map() // personId -> expanded (true) / collapsed (false)
   };
 
   function getPersonData() {
@@ -46,29 +56,61 @@ export function initTreeChartView(containerEl) {
     if (typeof window.t === 'function') {
       try { return window.t(key) || fallback; } catch { /* */ }
     }
+    if (typeof window.i18n?.t === 'function') {
+      const text = window.i18n.t(key);
+      return text && text !== key ? text : fallback;
+    }
     return fallback;
   }
 
-  function rebuild() {
-    state.dirty = false;
-    const personData = getPersonData();
-    const clans = detectClans(personData);
-    const clanColors = assignClanColors(clans.clanSizes);
+  // Focus person when a focused chart opens: the highlighted person, else the
+  // one selected on the canvas, else the first person.
+  function pickFocusPerson(personData) {
+    if (state.highlightedId && personData.has(state.highlightedId)) return state.highlightedId;
+    for (const id of window.treeCore?.renderer?.selectedNodes || []) {
+      if (personData.has(id)) return id;
+    }
+    return personData.keys().next().value ?? null;
+  }
+
+  function computeLayout(personData, clans) {
+    if (state.mode !== 'family') {
+      if (!personData.has(state.focusId)) {
+        state.focusId = pickFocusPerson(personData);
+        state.branchOverrides.clear();
+      }
+      const options = { generations: state.generations, overrides: state.branchOverrides, clanData: clans };
+      if (state.focusId && state.mode === 'ancestors') return layoutPedigree(personData, state.focusId, options);
+      if (state.focusId && state.mode === 'descendants') return layoutDescendants(personData, state.focusId, options);
+    }
     const lineOnlyConnections = getLineOnlyConnections();
-    const layout = runLayout(personData, {
+    return runLayout(personData, {
       hasLineOnly: new Set(lineOnlyConnections.flatMap(c => [c.from, c.to])),
       clanData: clans,
       lineOnlyConnections
     });
+  }
+
+  function rebuild() {
+    state.dirty = false;
+    const personData = getPersonData();
+    const clans = detectClans(personData);
+    const clanColors = assignClanColors(clans.clanSizes);
+    const layout = computeLayout(personData, clans);
     renderer.render(layout, personData, clanColors, getParkingLabel());
-    state.baseVbWidth = svg.viewBox.baseVal.width || null;
+    updateToolbar();
+    resetZoomBase();
 
-    if (state.highlightedId && personData.has(state.highlightedId)) {
+    if (state.relationPath) {
+      renderer.applyHighlight(state.relationPath);
+    } else if (state.highlightedId && personData.has(state.highlightedId)) {
       renderer.applyHighlight(computeBloodLine(state.highlightedId, personData));
     } else {
       state.highlightedId = null;
       renderer.applyHighlight(null);
     }
+    const filter = getActivePersonFilter();
+    renderer.applyPersonFilter(filter?.ids ?? null, filter?.mode);
   }
 
   function scheduleRebuild() {
@@ -92,6 +134,18 @@ export function initTreeChartView(containerEl) {
   ].filter(Boolean);
   for (const e of dataEvents) bus.on(e, scheduleRebuild);
 
+  // Relationship path chosen on the canvas replaces any bloodline highlight
+  bus.on(EVENTS.RELATIONSHIP_PATH_CHANGED, ({ paths } = {}) => {
+    state.relationPath = paths ? new Set(paths.flat()) : null;
+    state.highlightedId = null;
+    renderer.applyHighlight(state.relationPath);
+  });
+
+  // The person filter dims or hides the same people as on the canvas
+  bus.on(EVENTS.PERSON_FILTER_CHANGED, ({ ids, mode } = {}) => {
+    renderer.applyPersonFilter(ids ?? null, mode);
+  });
+
   // Visibility tracking via custom event from setView in builder.astro
   document.addEventListener('view:changed', (ev) => {
     const { name } = ev.detail || {};
@@ -99,6 +153,92 @@ export function initTreeChartView(containerEl) {
     if (state.visible && state.dirty) rebuild();
   });
 
+  // Chart mode toolbar
+  const toolbar = document.createElement('div');
+  toolbar.className = 'tc-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+  const modeGroup = document.createElement('div');
+  modeGroup.className = 'tc-toolbar-modes';
+  const modeLabels = {
+    family: ['builder.tree_chart.mode_family', 'Family'],
+    ancestors: ['builder.tree_chart.mode_ancestors', 'Ancestors'],
+    descendants: ['builder.tree_chart.mode_descendants', 'Descendants']
+  };
+  for (const mode of CHART_MODES) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.mode = mode;
+    button.textContent = getI18nText(...modeLabels[mode]);
+    modeGroup.appendChild(button);
+  }
+  const generationsLabel = document.createElement('label');
+  generationsLabel.className = 'tc-toolbar-generations';
+  generationsLabel.textContent = getI18nText('builder.tree_chart.generations', 'Generations');
+  const generationsInput = document.createElement('input');
+  generationsInput.type = 'number';
+  generationsInput.min = '1';
+  generationsInput.max = String(FOCUS_MAX_GENERATIONS);
+  generationsInput.value = String(state.generations);
+  generationsLabel.appendChild(generationsInput);
+  const focusName = document.createElement('span');
+  focusName.className = 'tc-toolbar-focus';
+  toolbar.append(modeGroup, generationsLabel, focusName);
+  containerEl.appendChild(toolbar);
+
+  function personName(personId) {
+    const p = getPersonData().get(personId);
+    return [p?.name, p?.surname].filter(Boolean).join(' ').trim() || personId || '';
+  }
+
+  function updateToolbar() {
+    for (const button of modeGroup.children) {
+      button.setAttribute('aria-pressed', String(button.dataset.mode === state.mode));
+    }
+    const focused = state.mode !== 'family';
+    generationsLabel.hidden = !focused;
+    focusName.hidden = !focused;
+    focusName.textContent = focused ? personName(state.focusId) : '';
+    focusName.title = getI18nText('builder.tree_chart.reroot_hint', 'Click a person to re-root the chart');
+  }
+
+  modeGroup.addEventListener('click', (ev) => {
+    const button = ev.target.closest('button[data-mode]');
+    if (button) setMode(button.dataset.mode);
+  });
+  generationsInput.addEventListener('change', () => {
+    const value = Number.parseInt(generationsInput.value, 10);
+    state.generations = Math.min(FOCUS_MAX_GENERATIONS, Math.max(1, Number.isFinite(value) ? value : FOCUS_DEFAULT_GENERATIONS));
+    generationsInput.value = String(state.generations);
+    state.branchOverrides.clear();
+    rebuild();
+  });
+
+  /**
+   * Switch between the family layout and the charts focused on one person.
+   * @param {'family'|'ancestors'|'descendants'} mode
+   * @param {string} [personId] — new focus person; keeps the current one otherwise
+   */
+  function setMode(mode, personId) {
+    if (!CHART_MODES.includes(mode)) return;
+    state.mode = mode;
+    if (personId && personId !== state.focusId) {
+      state.focusId = personId;
+      state.branchOverrides.clear();
+    }
+    state.highlightedId = null;
+    state.relationPath = null;
+    if (state.visible) rebuild();
+    else state.dirty = true;
+  }
+
+  function reroot(personId) {
+    if (personId === state.focusId) return;
+    state.focusId = personId;
+    state.branchOverrides.clear();
+    rebuild();
+    liveRegion.textContent = getI18nText('builder.tree_chart.rerooted', 'Chart centered on {name}').replace('{name}', personName(personId));
+  }
+
   // ARIA-live announcer
   const liveRegion = document.createElement('div');
   liveRegion.setAttribute('aria-live', 'polite');
@@ -143,7 +283,19 @@ export function initTreeChartView(containerEl) {
 
   // Click handlers
   svg.addEventListener('click', (ev) => {
+    const toggleEl = ev.target.closest('.tc-node-toggle');
+    if (toggleEl) {
+      const personId = toggleEl.closest('.tc-node').dataset.personId;
+      state.branchOverrides.set(personId, toggleEl.dataset.action === 'expand');
+      rebuild();
+      return;
+    }
     const nodeEl = ev.target.closest('.tc-node');
+    if (state.mode !== 'family') {
+      if (nodeEl) reroot(nodeEl.dataset.personId);
+      return;
+    }
+    state.relationPath = null;
     if (nodeEl) {
       const personId = nodeEl.dataset.personId;
       if (state.highlightedId === personId) {
@@ -159,9 +311,9 @@ export function initTreeChartView(containerEl) {
     } else {
       if (state.highlightedId) {
         state.highlightedId = null;
-        renderer.applyHighlight(null);
         announceHighlight(null);
       }
+      renderer.applyHighlight(null);
     }
   });
 
@@ -187,79 +339,27 @@ export function initTreeChartView(containerEl) {
     }
   });
 
-  // Pan via drag
-  svg.addEventListener('mousedown', (ev) => {
-    if (ev.target.closest('.tc-node')) return;
-    state.isPanning = true;
-    // Copy primitives — svg.viewBox.baseVal is a live SVGRect that mutates on setAttribute
-    const b = svg.viewBox.baseVal;
-    state.panStart = { x: ev.clientX, y: ev.clientY, vbX: b.x, vbY: b.y, vbW: b.width, vbH: b.height };
-  });
-  window.addEventListener('mousemove', (ev) => {
-    if (!state.isPanning) return;
-    const { vbX, vbY, vbW, vbH } = state.panStart;
-    const rect = svg.getBoundingClientRect();
-    // preserveAspectRatio="meet" uses min(rect.w/vbW, rect.h/vbH) as the render scale,
-    // so both axes must use the same SVG-to-screen ratio (the max) to avoid asymmetric panning.
-    const s = Math.max(vbW / rect.width, vbH / rect.height);
-    const dx = (ev.clientX - state.panStart.x) * s;
-    const dy = (ev.clientY - state.panStart.y) * s;
-    svg.setAttribute('viewBox', `${vbX - dx} ${vbY - dy} ${vbW} ${vbH}`);
-  });
-  window.addEventListener('mouseup', () => { state.isPanning = false; });
-
-  // Smooth zoom — accumulate log-scale delta, drain 20% per rAF frame (exponential ease-out)
-  let zoomLogAccum = 0;
-  let zoomOriginX = 0, zoomOriginY = 0; // SVG-space coordinates of zoom focus point
-  let zoomRaf = null;
-
-  function applyZoomFrame() {
-    zoomRaf = null;
-    if (Math.abs(zoomLogAccum) < 0.0005) { zoomLogAccum = 0; return; }
-    const step = zoomLogAccum * 0.25;
-    zoomLogAccum -= step;
-    const factor = Math.exp(step);
-    const vb = svg.viewBox.baseVal;
-    const newW = vb.width * factor;
-    const newH = vb.height * factor;
-    const newX = zoomOriginX - (zoomOriginX - vb.x) * factor;
-    const newY = zoomOriginY - (zoomOriginY - vb.y) * factor;
-    svg.setAttribute('viewBox', `${newX} ${newY} ${newW} ${newH}`);
-    zoomRaf = requestAnimationFrame(applyZoomFrame);
-  }
-
-  svg.addEventListener('wheel', (ev) => {
-    ev.preventDefault();
-    const normalized = ev.deltaMode === 1 ? ev.deltaY * 20 :
-                       ev.deltaMode === 2 ? ev.deltaY * 400 : ev.deltaY;
-    // SVG viewBox: larger = zoomed out, so sign is opposite to canvas scale
-    zoomLogAccum = Math.max(-2, Math.min(2, zoomLogAccum + normalized * 0.005));
-    const rect = svg.getBoundingClientRect();
-    const vb = svg.viewBox.baseVal;
-    zoomOriginX = vb.x + ((ev.clientX - rect.left) / rect.width) * vb.width;
-    zoomOriginY = vb.y + ((ev.clientY - rect.top) / rect.height) * vb.height;
-    if (!zoomRaf) zoomRaf = requestAnimationFrame(applyZoomFrame);
-  }, { passive: false });
-
-  function zoom(direction) {
-    const vb = svg.viewBox.baseVal;
-    if (!vb.width) return;
-    zoomOriginX = vb.x + vb.width / 2;
-    zoomOriginY = vb.y + vb.height / 2;
-    // direction: -1 = zoom in (shrink viewBox), +1 = zoom out (grow viewBox)
-    zoomLogAccum = Math.max(-2, Math.min(2, zoomLogAccum + direction * 0.5));
-    if (!zoomRaf) zoomRaf = requestAnimationFrame(applyZoomFrame);
-  }
+  if (state.visible) rebuild();
 
-  function getZoomPercent() {
-    const currentW = svg.viewBox.baseVal.width;
-    if (!state.baseVbWidth || !currentW) return 100;
-    return Math.round(state.baseVbWidth / currentW * 100);
+  /**
+   * The whole chart as a standalone SVG document, for the chart exports.
+   * @param {{ paper?: string }} [options]
+   * @returns {{ markup: string, width: number, height: number }}
+   */
+  function exportSVG(options) {
+    if (state.dirty) rebuild();
+    return serializeChartSVG(svg, renderer.bounds, options);
   }
 
-  if (state.visible) rebuild();
-
-  const api = { rebuild, zoom, getZoomPercent };
+  const api = {
+    rebuild,
+    zoom,
+    getZoomPercent,
+    setMode,
+    getMode: () => ({ mode: state.mode, focusId: state.focusId, generations: state.generations }),
+    isVisible: () => state.visible,
+    exportSVG
+  };
   window._treeChartView = api;
   return api;
 }
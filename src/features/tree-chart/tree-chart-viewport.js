@@ -0,0 +1,91 @@
+// tree-chart-viewport.js — Drag-to-pan and smooth zoom of an SVG chart by
+// rewriting its viewBox. Shared by the tree chart, fan chart and hourglass views.
+
+/**
+ * @param {SVGSVGElement} svg
+ * @param {{ ignoreSelector?: string }} [options] — drags starting on these
+ *   elements (the persons) do not pan
+ * @returns {{ zoom: (direction: number) => void, getZoomPercent: () => number, resetZoomBase: () => void }}
+ */
+export function attachViewport(svg, { ignoreSelector = '.tc-node' } = {}) {
+  let isPanning = false;
+  let panStart = null;
+  let baseVbWidth = null;
+
+  // Pan via drag
+  svg.addEventListener('mousedown', (ev) => {
+    if (ev.target.closest(ignoreSelector)) return;
+    isPanning = true;
+    // Copy primitives — svg.viewBox.baseVal is a live SVGRect that mutates on setAttribute
+    const b = svg.viewBox.baseVal;
+    panStart = { x: ev.clientX, y: ev.clientY, vbX: b.x, vbY: b.y, vbW: b.width, vbH: b.height };
+  });
+  window.addEventListener('mousemove', (ev) => {
+    if (!isPanning) return;
+    const { vbX, vbY, vbW, vbH } = panStart;
+    const rect = svg.getBoundingClientRect();
+    // preserveAspectRatio="meet" uses min(rect.w/vbW, rect.h/vbH) as the render scale,
+    // so both axes must use the same SVG-to-screen ratio (the max) to avoid asymmetric panning.
+    const s = Math.max(vbW / rect.width, vbH / rect.height);
+    const dx = (ev.clientX - panStart.x) * s;
+    const dy = (ev.clientY - panStart.y) * s;
+    svg.setAttribute('viewBox', `${vbX - dx} ${vbY - dy} ${vbW} ${vbH}`);
+  });
+  window.addEventListener('mouseup', () => { isPanning = false; });
+
+  // Smooth zoom — accumulate log-scale delta, drain 20% per rAF frame (exponential ease-out)
+  let zoomLogAccum = 0;
+  let zoomOriginX = 0, zoomOriginY = 0; // SVG-space coordinates of zoom focus point
+  let zoomRaf = null;
+
+  function applyZoomFrame() {
+    zoomRaf = null;
+    if (Math.abs(zoomLogAccum) < 0.0005) { zoomLogAccum = 0; return; }
+    const step = zoomLogAccum * 0.25;
+    zoomLogAccum -= step;
+    const factor = Math.exp(step);
+    const vb = svg.viewBox.baseVal;
+    const newW = vb.width * factor;
+    const newH = vb.height * factor;
+    const newX = zoomOriginX - (zoomOriginX - vb.x) * factor;
+    const newY = zoomOriginY - (zoomOriginY - vb.y) * factor;
+    svg.setAttribute('viewBox', `${newX} ${newY} ${newW} ${newH}`);
+    zoomRaf = requestAnimationFrame(applyZoomFrame);
+  }
+
+  svg.addEventListener('wheel', (ev) => {
+    ev.preventDefault();
+    const normalized = ev.deltaMode === 1 ? ev.deltaY * 20 :
+                       ev.deltaMode === 2 ? ev.deltaY * 400 : ev.deltaY;
+    // SVG viewBox: larger = zoomed out, so sign is opposite to canvas scale
+    zoomLogAccum = Math.max(-2, Math.min(2, zoomLogAccum + normalized * 0.005));
+    const rect = svg.getBoundingClientRect();
+    const vb = svg.viewBox.baseVal;
+    zoomOriginX = vb.x + ((ev.clientX - rect.left) / rect.width) * vb.width;
+    zoomOriginY = vb.y + ((ev.clientY - rect.top) / rect.height) * vb.height;
+    if (!zoomRaf) zoomRaf = requestAnimationFrame(applyZoomFrame);
+  }, { passive: false });
+
+  function zoom(direction) {
+    const vb = svg.viewBox.baseVal;
+    if (!vb.width) return;
+    zoomOriginX = vb.x + vb.width / 2;
+    zoomOriginY = vb.y + vb.height / 2;
+    // direction: -1 = zoom in (shrink viewBox), +1 = zoom out (grow viewBox)
+    zoomLogAccum = Math.max(-2, Math.min(2, zoomLogAccum + direction * 0.5));
+    if (!zoomRaf) zoomRaf = requestAnimationFrame(applyZoomFrame);
+  }
+
+  function getZoomPercent() {
+    const currentW = svg.viewBox.baseVal.width;
+    if (!baseVbWidth || !currentW) return 100;
+    return Math.round(baseVbWidth / currentW * 100);
+  }
+
+  // Call after each render: the fitted viewBox counts as 100%
+  function resetZoomBase() {
+    baseVbWidth = svg.viewBox.baseVal.width || null;
+  }
+
+  return { zoom, getZoomPercent, resetZoomBase };
+}
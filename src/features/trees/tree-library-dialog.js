@@ -0,0 +1,215 @@
+import { notifications } from '../../ui/components/notifications.js';
+
+let currentTreeCore = null;
+let busy = false;
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+/**
+ * Open the tree library: every tree kept in this browser, with actions to
+ * open, rename, duplicate and delete them and a field to create a new one.
+ * @param {import('../../core/tree-engine.js').TreeEngine} treeCore
+ */
+export async function openTreeLibraryDialog(treeCore) {
+  const modal = document.getElementById('treeLibraryModal');
+  if (!modal || !treeCore) return;
+
+  currentTreeCore = treeCore;
+  wireDialog(modal);
+  modal.classList.remove('hidden');
+  await renderTrees();
+}
+
+function closeDialog() {
+  document.getElementById('treeLibraryModal')?.classList.add('hidden');
+}
+
+async function renderTrees() {
+  const list = document.getElementById('treeLibraryList');
+  if (!list || !currentTreeCore) return;
+  const treeCore = currentTreeCore;
+  const trees = await treeCore.treeLibrary.listTrees();
+  const locale = window.i18n?.currentLocale || 'en';
+
+  list.innerHTML = '';
+  for (const tree of trees) {
+    const isOpen = tree.id === treeCore.activeTreeId;
+    const item = document.createElement('li');
+    item.className = 'tree-library-item';
+    item.dataset.treeId = tree.id;
+    if (isOpen) item.classList.add('tree-library-open');
+
+    const info = document.createElement('div');
+    info.className = 'tree-library-info';
+    const name = document.createElement('span');
+    name.className = 'tree-library-name';
+    name.textContent = tree.name;
+    const meta = document.createElement('span');
+    meta.className = 'tree-library-meta';
+    const count = isOpen ? treeCore.personData.size : (tree.personCount ?? 0);
+    meta.textContent = [
+      t('builder.modals.tree_library.people', '{{count}} people').replace('{{count}}', String(count)),
+      t('builder.modals.tree_library.updated', 'updated {{date}}')
+        .replace('{{date}}', new Date(tree.updatedAt).toLocaleDateString(locale))
+    ].join(' · ');
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'tree-library-actions';
+    if (isOpen) {
+      const badge = document.createElement('span');
+      badge.className = 'tree-library-badge';
+      badge.textContent = t('builder.modals.tree_library.current', 'Open now');
+      actions.appendChild(badge);
+    } else {
+      actions.appendChild(actionButton('open', t('builder.modals.tree_library.open', 'Open'), 'btn-primary'));
+    }
+    actions.appendChild(actionButton('rename', t('builder.modals.tree_library.rename', 'Rename')));
+    actions.appendChild(actionButton('duplicate', t('builder.modals.tree_library.duplicate', 'Duplicate')));
+    const deleteBtn = actionButton('delete', t('builder.modals.tree_library.delete', 'Delete'));
+    // The open tree cannot be deleted; open another one first
+    deleteBtn.disabled = isOpen;
+    actions.appendChild(deleteBtn);
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    list.appendChild(item);
+  }
+}
+
+function actionButton(action, label, className = 'btn-secondary') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Run one library operation at a time and refresh the list afterwards.
+ * @returns {Promise<boolean>} whether the operation succeeded
+ */
+async function runAction(work) {
+  if (busy) return false;
+  busy = true;
+  document.getElementById('treeLibraryModal')?.classList.add('tree-library-busy');
+  try {
+    await work();
+    return true;
+  } catch (error) {
+    console.error('Tree library action failed:', error);
+    notifications.error(
+      t('builder.notifications.tree_library_failed', 'Tree library'),
+      t('builder.notifications.tree_library_failed_message', 'The tree library could not be updated')
+    );
+    return false;
+  } finally {
+    busy = false;
+    document.getElementById('treeLibraryModal')?.classList.remove('tree-library-busy');
+    await renderTrees();
+  }
+}
+
+async function handleListClick(event) {
+  const button = event.target.closest('button[data-action]');
+  const item = button?.closest('.tree-library-item');
+  if (!button || !item || !currentTreeCore) return;
+  const treeCore = currentTreeCore;
+  const treeId = item.dataset.treeId;
+  const tree = await treeCore.treeLibrary.getTree(treeId);
+  if (!tree) return;
+
+  switch (button.dataset.action) {
+    case 'open': {
+      const opened = await runAction(async () => {
+        await treeCore.switchTree(treeId);
+        notifications.success(t('builder.notifications.tree_opened', 'Tree opened'), tree.name);
+      });
+      if (opened) closeDialog();
+      break;
+    }
+    case 'rename':
+      startRename(item, tree);
+      break;
+    case 'duplicate':
+      await runAction(async () => {
+        const copyName = t('builder.modals.tree_library.copy_name', '{{name}} (copy)').replace('{{name}}', tree.name);
+        const copy = await treeCore.duplicateTree(treeId, copyName);
+        notifications.success(t('builder.notifications.tree_duplicated', 'Tree duplicated'), copy.name);
+      });
+      break;
+    case 'delete': {
+      const message = t('builder.modals.tree_library.delete_confirm', 'Delete "{{name}}" and everything in it? This cannot be undone.')
+        .replace('{{name}}', tree.name);
+      if (!window.confirm(message)) return;
+      await runAction(async () => {
+        await treeCore.deleteTree(treeId);
+        notifications.success(t('builder.notifications.tree_deleted', 'Tree deleted'), tree.name);
+      });
+      break;
+    }
+  }
+}
+
+/** Swap the tree name for a text field; Enter or leaving the field saves, Escape cancels. */
+function startRename(item, tree) {
+  const name = item.querySelector('.tree-library-name');
+  if (!name) return;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'tree-library-rename';
+  input.value = tree.name;
+  input.setAttribute('aria-label', t('builder.modals.tree_library.rename', 'Rename'));
+  name.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+    const value = input.value.trim();
+    if (save && value && value !== tree.name) {
+      await runAction(() => currentTreeCore.renameTree(tree.id, value));
+    } else {
+      await renderTrees();
+    }
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+    if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); finish(false); }
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function handleCreate(event) {
+  event.preventDefault();
+  const input = document.getElementById('treeLibraryNewName');
+  if (!currentTreeCore) return;
+  const name = input?.value.trim() || t('builder.modals.tree_library.default_name', 'New family tree');
+  const treeCore = currentTreeCore;
+  const created = await runAction(async () => {
+    const tree = await treeCore.createTree(name);
+    if (input) input.value = '';
+    notifications.success(t('builder.notifications.tree_created', 'Tree created'), tree.name);
+  });
+  if (created) closeDialog();
+}
+
+function wireDialog(modal) {
+  if (modal.dataset.wired) return;
+  modal.dataset.wired = 'true';
+
+  document.getElementById('treeLibraryClose')?.addEventListener('click', closeDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeDialog(); });
+  modal.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeDialog(); });
+  document.getElementById('treeLibraryList')?.addEventListener('click', handleListClick);
+  document.getElementById('treeLibraryCreateForm')?.addEventListener('submit', handleCreate);
+}
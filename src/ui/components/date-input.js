@@ -1,6 +1,6 @@
-import { parseDateValue, isValidDateValue } from '../../utils/date-value.js';
+import { parseDateValue, isValidDateValue, isComplexDateValue, formatDateValue } from '../../utils/date-value.js';
 
-export function createDateInput({ idPrefix, container, placeholder = 'dd.mm.yyyy or yyyy', estLabel = 'est.' }) {
+export function createDateInput({ idPrefix, container, placeholder = 'dd.mm.yyyy, mm.yyyy or yyyy', estLabel = 'est.' }) {
   const wrapper = document.createElement('div');
   wrapper.className = 'date-input';
 
@@ -31,9 +31,23 @@ export function createDateInput({ idPrefix, container, placeholder = 'dd.mm.yyyy
 
   let lastValue = null;
   let invalid = false;
+  // Ranges, qualifiers and calendars from GEDCOM can't be typed here; the
+  // input shows them formatted and hands the original back while untouched.
+  let preserved = null;
 
   function recompute() {
     const raw = text.value.trim();
+    if (preserved && raw === preserved.text) {
+      lastValue = preserved.value;
+      invalid = false;
+      text.removeAttribute('aria-invalid');
+      hint.hidden = true;
+      return;
+    }
+    if (preserved) {
+      preserved = null;
+      checkbox.disabled = false;
+    }
     if (raw === '') {
       lastValue = null;
       invalid = false;
@@ -47,7 +61,7 @@ export function createDateInput({ idPrefix, container, placeholder = 'dd.mm.yyyy
       lastValue = null;
       text.setAttribute('aria-invalid', 'true');
       hint.hidden = false;
-      hint.textContent = 'Use dd.mm.yyyy or yyyy';
+      hint.textContent = 'Use dd.mm.yyyy, mm.yyyy or yyyy';
     } else {
       invalid = false;
       lastValue = parsed;
@@ -77,6 +91,8 @@ export function createDateInput({ idPrefix, container, placeholder = 'dd.mm.yyyy
       return invalid;
     },
     setValue(dv) {
+      preserved = null;
+      checkbox.disabled = false;
       if (!isValidDateValue(dv)) {
         text.value = '';
         checkbox.checked = false;
@@ -86,9 +102,18 @@ export function createDateInput({ idPrefix, container, placeholder = 'dd.mm.yyyy
       if (dv === null) {
         text.value = '';
         checkbox.checked = false;
-      } else if (typeof dv.month === 'number') {
+      } else if (isComplexDateValue(dv)) {
+        const locale = (window.i18n?.currentLocale || 'en').slice(0, 2);
+        text.value = formatDateValue(dv, locale);
+        checkbox.checked = !!dv.estimated;
+        checkbox.disabled = true;
+        preserved = { value: dv, text: text.value };
+      } else if (typeof dv.day === 'number') {
         text.value = `${pad2(dv.day)}.${pad2(dv.month)}.${dv.year}`;
         checkbox.checked = !!dv.estimated;
+      } else if (typeof dv.month === 'number') {
+        text.value = `${pad2(dv.month)}.${dv.year}`;
+        checkbox.checked = !!dv.estimated;
       } else {
         text.value = String(dv.year);
         checkbox.checked = !!dv.estimated;
@@ -0,0 +1,129 @@
+import { createDateInput } from './date-input.js';
+import { setupInlineReveal } from './inline-reveal.js';
+import { attachPlaceAutocomplete } from './place-autocomplete.js';
+import { isValidDateValue } from '../../utils/date-value.js';
+import { LIFE_EVENT_TYPES, LABELLED_EVENT_TYPES, lifeEventLabel } from '../../utils/life-events.js';
+
+export function createLifeEventRow({ event, onRemove, onDateChange, t }) {
+  const row = document.createElement('div');
+  row.className = 'life-event-row';
+  row.dataset.eventId = event.id;
+
+  const header = document.createElement('div');
+  header.className = 'life-event-row-header';
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'life-event-type';
+  typeSelect.setAttribute('aria-label', t('builder.form.event_type', 'Event type'));
+  // Imported events can have types the picker does not offer; keep theirs selectable
+  const types = LIFE_EVENT_TYPES.includes(event.type) ? LIFE_EVENT_TYPES : [event.type, ...LIFE_EVENT_TYPES];
+  for (const type of types) {
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = lifeEventLabel({ type }, t);
+    typeSelect.appendChild(opt);
+  }
+  typeSelect.value = event.type;
+  header.appendChild(typeSelect);
+
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.className = 'life-event-label';
+  labelInput.placeholder = t('builder.form.event_label', 'Name of the event');
+  labelInput.setAttribute('aria-label', t('builder.form.event_label', 'Name of the event'));
+  labelInput.value = event.label || '';
+  header.appendChild(labelInput);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'life-event-row-remove';
+  removeBtn.setAttribute('aria-label', t('builder.form.remove_event', 'Remove event'));
+  removeBtn.textContent = '✕';
+  header.appendChild(removeBtn);
+
+  row.appendChild(header);
+
+  // Only custom events and facts are named by the user
+  const syncLabelInput = () => { labelInput.hidden = !LABELLED_EVENT_TYPES.includes(typeSelect.value); };
+  typeSelect.addEventListener('change', syncLabelInput);
+  syncLabelInput();
+
+  const descriptionLabel = document.createElement('label');
+  descriptionLabel.textContent = t('builder.form.event_description', 'Description');
+  const descriptionInput = document.createElement('input');
+  descriptionInput.type = 'text';
+  descriptionInput.className = 'life-event-description';
+  descriptionInput.value = event.description || '';
+  row.appendChild(descriptionLabel);
+  row.appendChild(descriptionInput);
+
+  const dateLabel = document.createElement('label');
+  dateLabel.textContent = t('builder.form.event_date', 'Date');
+  row.appendChild(dateLabel);
+  const dateHandle = createDateInput({ idPrefix: `event-${event.id}`, container: row });
+  dateHandle.setValue(isValidDateValue(event.date) ? event.date : null);
+  dateHandle.text.addEventListener('change', () => onDateChange?.());
+
+  const placeWrapper = document.createElement('div');
+  placeWrapper.className = 'life-event-place-wrapper';
+  const placeLabel = document.createElement('label');
+  placeLabel.textContent = t('builder.form.event_place', 'Place');
+  const placeInput = document.createElement('input');
+  placeInput.type = 'text';
+  placeInput.className = 'life-event-place';
+  placeInput.value = event.place || '';
+  placeWrapper.appendChild(placeLabel);
+  placeWrapper.appendChild(placeInput);
+
+  const placeReveal = document.createElement('button');
+  placeReveal.type = 'button';
+  placeReveal.className = 'reveal-link';
+  placeReveal.textContent = `+ ${t('builder.form.add_place', 'add place')}`;
+  row.appendChild(placeReveal);
+  row.appendChild(placeWrapper);
+  setupInlineReveal({ trigger: placeReveal, target: placeWrapper });
+  attachPlaceAutocomplete(placeInput, { t });
+
+  const noteWrapper = document.createElement('div');
+  noteWrapper.className = 'life-event-note-wrapper';
+  const noteLabel = document.createElement('label');
+  noteLabel.textContent = t('builder.form.event_note', 'Note');
+  const noteTextarea = document.createElement('textarea');
+  noteTextarea.className = 'life-event-note';
+  noteTextarea.rows = 2;
+  noteTextarea.value = event.note || '';
+  noteWrapper.appendChild(noteLabel);
+  noteWrapper.appendChild(noteTextarea);
+
+  const noteReveal = document.createElement('button');
+  noteReveal.type = 'button';
+  noteReveal.className = 'reveal-link';
+  noteReveal.textContent = `+ ${t('builder.form.add_note', 'add note')}`;
+  row.appendChild(noteReveal);
+  row.appendChild(noteWrapper);
+  setupInlineReveal({ trigger: noteReveal, target: noteWrapper });
+
+  removeBtn.addEventListener('click', () => {
+    if (typeof onRemove === 'function') onRemove({ eventId: event.id });
+  });
+
+  return {
+    element: row,
+    getValue() {
+      const type = typeSelect.value;
+      const value = {
+        id: event.id,
+        type,
+        date: dateHandle.getValue(),
+        place: placeInput.value.trim(),
+        note: noteTextarea.value.trim(),
+        description: descriptionInput.value.trim()
+      };
+      if (LABELLED_EVENT_TYPES.includes(type) && labelInput.value.trim()) value.label = labelInput.value.trim();
+      return value;
+    },
+    isInvalid() {
+      return dateHandle.isInvalid();
+    }
+  };
+}
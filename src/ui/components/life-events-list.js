@@ -0,0 +1,60 @@
+import { createLifeEventRow } from './life-event-row.js';
+import { makeLifeEvent, sortEventsChronologically } from '../../utils/life-events.js';
+
+export function createLifeEventsList({ container, events, t }) {
+  container.innerHTML = '';
+
+  const list = document.createElement('div');
+  list.className = 'life-events-list';
+  container.appendChild(list);
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'reveal-link life-events-add';
+  addBtn.textContent = `+ ${t('builder.form.add_event', 'add life event')}`;
+  container.appendChild(addBtn);
+
+  let handles = [];
+
+  function addRow(event) {
+    const handle = createLifeEventRow({
+      event,
+      t,
+      onDateChange: reorder,
+      onRemove: ({ eventId }) => {
+        const idx = handles.findIndex((h) => h.element.dataset.eventId === eventId);
+        if (idx >= 0) {
+          handles[idx].element.remove();
+          handles.splice(idx, 1);
+        }
+      }
+    });
+    list.appendChild(handle.element);
+    handles.push(handle);
+    return handle;
+  }
+
+  // Keep rows in date order; rows without a date stay where they were added, at the end
+  function reorder() {
+    if (handles.some((h) => h.isInvalid())) return;
+    const byId = new Map(handles.map((h) => [h.element.dataset.eventId, h]));
+    handles = sortEventsChronologically(handles.map((h) => h.getValue())).map((e) => byId.get(e.id));
+    for (const handle of handles) list.appendChild(handle.element);
+  }
+
+  for (const event of sortEventsChronologically(Array.isArray(events) ? events : [])) addRow(event);
+
+  addBtn.addEventListener('click', () => {
+    const handle = addRow(makeLifeEvent());
+    handle.element.querySelector('select')?.focus();
+  });
+
+  return {
+    getValue() {
+      return sortEventsChronologically(handles.map((h) => h.getValue()));
+    },
+    hasInvalidDate() {
+      return handles.some((h) => h.isInvalid());
+    }
+  };
+}
@@ -1,5 +1,6 @@
 import { createDateInput } from './date-input.js';
 import { setupInlineReveal } from './inline-reveal.js';
+import { attachPlaceAutocomplete } from './place-autocomplete.js';
 import { isValidDateValue } from '../../utils/date-value.js';
 
 export function createMarriageRow({ marriage, allPersons, currentPersonId, onSpouseChange, onRemove, t }) {
@@ -173,6 +174,7 @@ export function createMarriageRow({ marriage, allPersons, currentPersonId, onSpo
   row.appendChild(placeReveal);
   row.appendChild(placeWrapper);
   setupInlineReveal({ trigger: placeReveal, target: placeWrapper });
+  attachPlaceAutocomplete(placeInput, { t });
 
   const noteWrapper = document.createElement('div');
   noteWrapper.className = 'marriage-note-wrapper';
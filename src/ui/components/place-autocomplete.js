@@ -0,0 +1,124 @@
+import { suggestPlaces } from '../../features/places/place-model.js';
+import { getLoadedPlaces } from '../../features/places/place-store.js';
+
+let listCounter = 0;
+
+/**
+ * Suggest places from the place registry while the user types into a place
+ * input. Picking a suggestion writes the place's full name, so "Kiev" or
+ * "Київ" become "Kyiv, Kyiv Oblast, Ukraine". Free text stays allowed.
+ * Attaching twice to the same input is a no-op.
+ * @param {HTMLInputElement} input
+ * @param {{getPlaces?: () => import('../../features/places/place-model.js').Place[], t?: Function}} [options]
+ */
+export function attachPlaceAutocomplete(input, { getPlaces = getLoadedPlaces, t = (_, fallback) => fallback } = {}) {
+  if (!input || input.dataset.placeAutocomplete) return;
+  input.dataset.placeAutocomplete = 'true';
+
+  const list = document.createElement('ul');
+  list.className = 'place-suggestions';
+  list.id = `placeSuggestions${++listCounter}`;
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  input.insertAdjacentElement('afterend', list);
+  input.parentElement?.classList.add('place-autocomplete');
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('aria-expanded', 'false');
+  input.autocomplete = 'off';
+
+  let suggestions = [];
+  let active = -1;
+
+  const close = () => {
+    list.hidden = true;
+    list.innerHTML = '';
+    suggestions = [];
+    active = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  };
+
+  const choose = (index) => {
+    const suggestion = suggestions[index];
+    if (!suggestion) return;
+    input.value = suggestion.fullName;
+    close();
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  const highlight = (index) => {
+    active = index;
+    list.querySelectorAll('.place-suggestion').forEach((item, i) => {
+      item.classList.toggle('active', i === index);
+      item.setAttribute('aria-selected', String(i === index));
+    });
+    if (index >= 0) input.setAttribute('aria-activedescendant', `${list.id}-${index}`);
+  };
+
+  const render = () => {
+    suggestions = suggestPlaces(input.value, getPlaces());
+    list.innerHTML = '';
+    if (!suggestions.length || (suggestions.length === 1 && suggestions[0].fullName === input.value.trim())) {
+      close();
+      return;
+    }
+    suggestions.forEach((suggestion, index) => {
+      const item = document.createElement('li');
+      item.className = 'place-suggestion';
+      item.id = `${list.id}-${index}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
+      const name = document.createElement('span');
+      name.className = 'place-suggestion-name';
+      name.textContent = suggestion.fullName;
+      item.appendChild(name);
+      if (suggestion.alias) {
+        const alias = document.createElement('span');
+        alias.className = 'place-suggestion-alias';
+        alias.textContent = aliasText(suggestion.alias, t);
+        item.appendChild(alias);
+      }
+      // mousedown, not click: the input's blur would close the list first
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        choose(index);
+      });
+      list.appendChild(item);
+    });
+    active = -1;
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  };
+
+  input.addEventListener('input', render);
+  input.addEventListener('blur', close);
+  input.addEventListener('keydown', (e) => {
+    if (list.hidden) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      highlight((active + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      highlight(active <= 0 ? suggestions.length - 1 : active - 1);
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      choose(active);
+    } else if (e.key === 'Escape') {
+      // Close the list only, not the modal around the input
+      e.stopPropagation();
+      close();
+    }
+  });
+}
+
+function aliasText(alias, t) {
+  if (alias.lang) return `${alias.name} (${alias.lang})`;
+  if ('from' in alias) {
+    const years = [alias.from ?? '', alias.to ?? ''].join('–');
+    return `${alias.name} (${t('builder.places.historical_short', 'historical')}${years !== '–' ? `, ${years}` : ''})`;
+  }
+  return alias.name;
+}
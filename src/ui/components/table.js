@@ -3,6 +3,45 @@
 // Enhanced with maiden name support
 
 import { formatDateValue } from '../../utils/date-value.js';
+import { summarizeLifeEvents } from '../../utils/life-events.js';
+import { appContext, EVENTS } from '../../utils/event-bus.js';
+import { personFilterState } from '../../features/filters/person-filter.js';
+
+function t(key, fallback) {
+  if (window.i18n && typeof window.i18n.t === 'function') {
+    return window.i18n.t(key);
+  }
+  return fallback;
+}
+
+/**
+ * The values of the table's columns, one row per person on the canvas, in
+ * canvas order. `birthDate` is the DateValue `dob` is formatted from.
+ * @param {Object} treeCore
+ * @returns {Object[]}
+ */
+export function collectTableRows(treeCore) {
+  const rows = [];
+  for (const [id, node] of treeCore.renderer.nodes) {
+    const personData = treeCore.getPersonData(id) || {};
+    const birthDate = node.birth?.date || personData.birth?.date || null;
+    rows.push({
+      id: id,
+      name: node.name || personData.name || '',
+      fatherName: node.fatherName || personData.fatherName || '',
+      surname: node.surname || personData.surname || '',
+      maidenName: node.maidenName || personData.maidenName || '', // Changed from birthName
+      dob: formatDateValue(birthDate),
+      birthDate,
+      gender: node.gender || personData.gender || '',
+      motherId: personData.motherId || '',
+      fatherId: personData.fatherId || '',
+      spouseId: personData.spouseId || '',
+      events: summarizeLifeEvents(personData.events, t, window.i18n?.currentLocale || 'en').join('; ')
+    });
+  }
+  return rows;
+}
 
 export function rebuildTableView(retryCount = 0) {
   const maxRetries = 10; // Maximum 5 seconds of retrying
@@ -51,30 +90,7 @@ export function rebuildTableView(retryCount = 0) {
   console.log('Sort key:', sortKey);
 
   // Gather all persons from canvas nodes
-  let rowsData = [];
-  
-  for (const [id, node] of treeCore.renderer.nodes) {
-    const personData = treeCore.getPersonData(id) || {};
-    
-    // Debug: Log each node being processed
-    console.log(`Processing node ${id}:`, {
-      node: { name: node.name, surname: node.surname, fatherName: node.fatherName },
-      personData: { name: personData.name, surname: personData.surname, fatherName: personData.fatherName }
-    });
-    
-    rowsData.push({
-      id: id,
-      name: node.name || personData.name || '',
-      fatherName: node.fatherName || personData.fatherName || '',
-      surname: node.surname || personData.surname || '',
-      maidenName: node.maidenName || personData.maidenName || '', // Changed from birthName
-      dob: formatDateValue(node.birth?.date || personData.birth?.date || null),
-      gender: node.gender || personData.gender || '',
-      motherId: personData.motherId || '',
-      fatherId: personData.fatherId || '',
-      spouseId: personData.spouseId || ''
-    });
-  }
+  let rowsData = collectTableRows(treeCore);
 
   console.log('Rows data before filtering:', rowsData.length);
   console.log('Sample row data:', rowsData.slice(0, 3));
@@ -87,12 +103,16 @@ export function rebuildTableView(retryCount = 0) {
         r.fatherName.toLowerCase().includes(searchTerm) ||
         r.surname.toLowerCase().includes(searchTerm) ||
         r.maidenName.toLowerCase().includes(searchTerm) || // Changed from birthName
-        r.dob.toLowerCase().includes(searchTerm)
+        r.dob.toLowerCase().includes(searchTerm) ||
+        r.events.toLowerCase().includes(searchTerm)
       );
     });
     console.log('Rows data after filtering:', rowsData.length);
   }
 
+  // Persons hidden by the active person filter get no row
+  rowsData = rowsData.filter(r => personFilterState(r.id) !== 'hidden');
+
   // Sort by selected key
   rowsData.sort((a, b) => {
     let valA = a[sortKey] || '';
@@ -127,6 +147,7 @@ export function rebuildTableView(retryCount = 0) {
   // Build table rows
   rowsData.forEach(r => {
     const tr = document.createElement('tr');
+    if (personFilterState(r.id) === 'dimmed') tr.classList.add('filter-dimmed');
 
     // Name
     const nameTd = document.createElement('td');
@@ -182,6 +203,12 @@ export function rebuildTableView(retryCount = 0) {
     spouseTd.textContent = getNameById(r.spouseId);
     tr.appendChild(spouseTd);
 
+    // Life events
+    const eventsTd = document.createElement('td');
+    eventsTd.className = 'table-events';
+    eventsTd.textContent = r.events;
+    tr.appendChild(eventsTd);
+
     // Actions (Edit/Delete)
     const actionsTd = document.createElement('td');
     
@@ -209,7 +236,7 @@ export function rebuildTableView(retryCount = 0) {
       // After removal, rebuild connections and table
       treeCore.regenerateConnections();
       rebuildTableView();
-      treeCore.undoRedoManager.pushUndoState();
+      treeCore.undoRedoManager.pushUndoState({ label: 'delete_person', labelParams: { name: displayName } });
     });
     actionsTd.appendChild(deleteBtn);
 
@@ -237,6 +264,11 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
+// Follow the person filter shared with the canvas and the tree chart
+appContext.getEventBus().on(EVENTS.PERSON_FILTER_CHANGED, () => {
+  if (document.getElementById('familyTableBody')) rebuildTableView();
+});
+
 // Listen for `editPerson` from this module's buttons and call modal.openModalForEdit
 document.addEventListener('editPerson', (e) => {
   import('../modals/modal.js').then(mod => {
@@ -1,9 +1,13 @@
 // ui-buttons.js
 // Button and UI controls manager for family tree
 
+import { visibleChartView } from '../../features/tree-chart/tree-chart-export.js';
+
 export function setupButtons(treeCore) {
   treeCore.addPersonBtn = document.getElementById('addPersonBtn');
   treeCore.connectBtn = document.getElementById('connectBtn');
+  treeCore.mergeBtn = document.getElementById('mergeBtn');
+  treeCore.relationshipBtn = document.getElementById('relationshipBtn');
   treeCore.editBtn = document.getElementById('editBtn');
   treeCore.styleBtn = document.getElementById('styleBtn');
   treeCore.undoSidebarBtn = document.getElementById('undoSidebarBtn');
@@ -51,6 +55,20 @@ export function setupButtons(treeCore) {
     });
   }
 
+  if (treeCore.mergeBtn) {
+    treeCore.mergeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      treeCore.handleMergeSelected();
+    });
+  }
+
+  if (treeCore.relationshipBtn) {
+    treeCore.relationshipBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      treeCore.handleShowRelationship();
+    });
+  }
+
   if (treeCore.editBtn) {
     treeCore.editBtn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -84,6 +102,12 @@ export function setupButtons(treeCore) {
   }
 }
 
+// The chart view or the timeline when one is on screen; they zoom themselves
+function zoomableView() {
+  if (window._timelineView?.isVisible?.()) return window._timelineView;
+  return visibleChartView();
+}
+
 // Zoom controls functionality
 function setupZoomControls(treeCore) {
   const zoomInBtn = document.getElementById('zoomInControl');
@@ -93,24 +117,21 @@ function setupZoomControls(treeCore) {
   // Update zoom display
   function updateZoomDisplay() {
     if (!zoomDisplay) return;
-    if (isTreeChartActive() && window._treeChartView?.getZoomPercent) {
-      zoomDisplay.textContent = `${window._treeChartView.getZoomPercent()}%`;
+    const chartView = zoomableView();
+    if (chartView?.getZoomPercent) {
+      zoomDisplay.textContent = `${chartView.getZoomPercent()}%`;
     } else if (treeCore.renderer) {
       zoomDisplay.textContent = `${Math.round(treeCore.renderer.camera.scale * 100)}%`;
     }
   }
 
-  function isTreeChartActive() {
-    const el = document.getElementById('treeChartView');
-    return el && !el.classList.contains('hidden');
-  }
-
   // Zoom In (smaller steps)
   if (zoomInBtn) {
     zoomInBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      if (isTreeChartActive() && window._treeChartView) {
-        window._treeChartView.zoom(-1);
+      const chartView = zoomableView();
+      if (chartView) {
+        chartView.zoom(-1);
         setTimeout(updateZoomDisplay, 400);
         return;
       }
@@ -142,8 +163,9 @@ function setupZoomControls(treeCore) {
   if (zoomOutBtn) {
     zoomOutBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      if (isTreeChartActive() && window._treeChartView) {
-        window._treeChartView.zoom(1);
+      const chartView = zoomableView();
+      if (chartView) {
+        chartView.zoom(1);
         setTimeout(updateZoomDisplay, 400);
         return;
       }
@@ -246,28 +268,22 @@ function setupTopToolbar(treeCore) {
 
   function handleExport(treeCore, format) {
     try {
-      // If tree-chart view is active, route image/vector exports to its SVG element
-      const treeChartView = document.getElementById('treeChartView');
-      const isTreeChartActive = treeChartView && !treeChartView.classList.contains('hidden');
-      if (isTreeChartActive) {
-        const svgEl = treeChartView.querySelector('svg');
+      // A chart view on screen (tree, fan or hourglass chart) exports the
+      // whole chart, sized for its print size; GEDCOM falls through — data
+      // export, view-independent
+      if (visibleChartView()) {
         if (format === 'svg') {
-          if (svgEl) exportSvgElement(svgEl, 'family-tree.svg');
-          return;
-        }
-        if (format === 'png' || format === 'png-transparent') {
-          if (svgEl) rasterizeSvgToImage(svgEl, 'png', format === 'png-transparent');
+          exportAsSVG(treeCore);
           return;
         }
-        if (format === 'jpeg') {
-          if (svgEl) rasterizeSvgToImage(svgEl, 'jpeg', false);
+        if (format === 'pdf') {
+          exportAsPDF(treeCore);
           return;
         }
-        if (format === 'pdf') {
-          showNotification('PDF export is not available in tree chart view', 'warning');
+        if (format === 'png' || format === 'png-transparent' || format === 'jpeg') {
+          import('../../features/export/exporter.js').then(({ exportChartImage }) => exportChartImage(format));
           return;
         }
-        // GEDCOM falls through — data export, view-independent
       }
 
       switch (format) {
@@ -289,6 +305,18 @@ function setupTopToolbar(treeCore) {
         case 'gedcom':
           exportAsGEDCOM(treeCore);
           break;
+        case 'gedzip':
+          import('../../features/export/exporter.js').then(({ exportGEDZIP }) => exportGEDZIP());
+          break;
+        case 'csv':
+          import('../../features/export/exporter.js').then(({ exportCSV }) => exportCSV());
+          break;
+        case 'poster':
+          import('../../features/export/poster-dialog.js').then(({ openPosterDialog }) => openPosterDialog(treeCore));
+          break;
+        case 'book':
+          import('../../features/book/family-book.js').then(({ exportFamilyBook }) => exportFamilyBook(treeCore));
+          break;
         default:
           console.warn('Unknown export format:', format);
       }
@@ -343,78 +371,6 @@ function setupTopToolbar(treeCore) {
     }
   }
 
-  function getTreeChartCss() {
-    const rules = [];
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules) {
-          if (rule.selectorText?.includes('tc-')) rules.push(rule.cssText);
-        }
-      } catch (_) { /* cross-origin sheet */ }
-    }
-    return rules.join('\n');
-  }
-
-  function cloneSvgWithStyles(svgEl) {
-    const clone = svgEl.cloneNode(true);
-    const styleEl = document.createElementNS('http://www.w3.org/2000/svg', 'style');
-    styleEl.textContent = getTreeChartCss();
-    clone.insertBefore(styleEl, clone.firstChild);
-    return clone;
-  }
-
-  function exportSvgElement(svgEl, filename) {
-    const clone = cloneSvgWithStyles(svgEl);
-    const serializer = new XMLSerializer();
-    const xml = serializer.serializeToString(clone);
-    const blob = new Blob([xml], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
-    showNotification('Exported as SVG', 'success');
-  }
-
-  function rasterizeSvgToImage(svgEl, format, transparent) {
-    const clone = cloneSvgWithStyles(svgEl);
-    const serializer = new XMLSerializer();
-    const xml = serializer.serializeToString(clone);
-    const svgBlob = new Blob([xml], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
-    const img = new Image();
-    img.onload = () => {
-      const vb = svgEl.viewBox.baseVal;
-      const canvas = document.createElement('canvas');
-      canvas.width = vb.width || 1200;
-      canvas.height = vb.height || 800;
-      const ctx = canvas.getContext('2d');
-      const isJpeg = format === 'jpeg';
-      if ((!transparent || isJpeg) && ctx) {
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-      }
-      ctx?.drawImage(img, 0, 0);
-      URL.revokeObjectURL(url);
-      const mimeType = isJpeg ? 'image/jpeg' : 'image/png';
-      const ext = isJpeg ? 'jpg' : 'png';
-      const suffix = transparent ? '-transparent' : '';
-      canvas.toBlob((blob) => {
-        if (!blob) return;
-        const dlUrl = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = dlUrl;
-        a.download = `family-tree${suffix}.${ext}`;
-        a.click();
-        URL.revokeObjectURL(dlUrl);
-        const label = isJpeg ? 'JPEG' : transparent ? 'PNG (transparent)' : 'PNG';
-        showNotification(`Exported as ${label}`, 'success');
-      }, mimeType, isJpeg ? 0.92 : undefined);
-    };
-    img.src = url;
-  }
-
   function exportAsGEDCOM(treeCore) {
     // Call existing GEDCOM export functionality
     import('../../features/export/exporter.js').then(({ exportGEDCOM }) => {
@@ -137,7 +137,7 @@ export function setupModals(treeCore) {
     treeCore.renderer.removeConnection(index);
     notifications.info('Line Hidden', 'Connection line hidden (relationship data preserved)');
     treeCore.closeLineRemovalModal();
-    treeCore.undoRedoManager.pushUndoState();
+    treeCore.undoRedoManager.pushUndoState({ label: 'hide_line' });
   };
 
   // Initialize modals
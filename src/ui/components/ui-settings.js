@@ -22,7 +22,7 @@ export function setupSettings(treeCore) {
         treeCore.updateRendererSettings();
         treeCore.updateAllExistingNodes();
         notifications.success('Style Applied', 'Node appearance updated');
-        treeCore.undoRedoManager.pushUndoState();
+        treeCore.undoRedoManager.pushUndoState({ label: 'node_appearance' });
       } else {
         notifications.error('Invalid Size', 'Please enter a valid node size');
       }
@@ -36,7 +36,7 @@ export function setupSettings(treeCore) {
       treeCore.updateRendererSettings();
       treeCore.updateAllExistingNodes();
       notifications.success('Font Changed', `Font changed to ${e.target.value}`);
-      treeCore.undoRedoManager.pushUndoState();
+      treeCore.undoRedoManager.pushUndoState({ label: 'font' });
     });
   }
 
@@ -49,7 +49,7 @@ export function setupSettings(treeCore) {
         treeCore.updateRendererSettings();
         treeCore.updateAllExistingNodes();
         notifications.success('Font Size Changed', `Font size changed to ${newSize}px`);
-        treeCore.undoRedoManager.pushUndoState();
+        treeCore.undoRedoManager.pushUndoState({ label: 'font_size' });
       }
     });
   }
@@ -61,7 +61,7 @@ export function setupSettings(treeCore) {
       treeCore.updateRendererSettings();
       treeCore.updateAllExistingNodes();
       notifications.success('Name Color Changed', 'Name color updated');
-      treeCore.undoRedoManager.pushUndoState();
+      treeCore.undoRedoManager.pushUndoState({ label: 'name_color' });
     });
   }
 
@@ -72,7 +72,7 @@ export function setupSettings(treeCore) {
       treeCore.updateRendererSettings();
       treeCore.updateAllExistingNodes();
       notifications.success('Date Color Changed', 'Date color updated');
-      treeCore.undoRedoManager.pushUndoState();
+      treeCore.undoRedoManager.pushUndoState({ label: 'date_color' });
     });
   }
 
@@ -91,7 +91,7 @@ export function setupSettings(treeCore) {
         treeCore.renderer.needsRedraw = true;
       }
       notifications.info('Outline Toggle', `Node outline ${showNodeOutline.checked ? 'enabled' : 'disabled'}`);
-      treeCore.undoRedoManager.pushUndoState();
+      treeCore.undoRedoManager.pushUndoState({ label: 'node_outline' });
     });
   }
 
@@ -124,7 +124,7 @@ export function setupSettings(treeCore) {
           treeCore.renderer.needsRedraw = true;
         }
         notifications.success('Outline Applied', 'Node outline settings updated');
-        treeCore.undoRedoManager.pushUndoState();
+        treeCore.undoRedoManager.pushUndoState({ label: 'node_outline' });
       } else {
         notifications.error('Invalid Thickness', 'Please enter a valid outline thickness');
       }
@@ -213,7 +213,7 @@ export function setupSettings(treeCore) {
         treeCore.renderer.needsRedraw = true;
       }
       notifications.success('Line Styles Applied', 'Connector line styles updated');
-      treeCore.undoRedoManager.pushUndoState();
+      treeCore.undoRedoManager.pushUndoState({ label: 'line_styles' });
     });
   }
 
@@ -254,7 +254,7 @@ export function setupSettings(treeCore) {
         notifications.success('Node Style Changed', `Changed to ${styleName} style`);
         
         // Save state for undo
-        treeCore.undoRedoManager.pushUndoState();
+        treeCore.undoRedoManager.pushUndoState({ label: 'node_shape' });
       });
     });
   }
@@ -274,7 +274,7 @@ export function setupSettings(treeCore) {
         }
         const label = checkbox.parentNode.querySelector('label').textContent;
         notifications.info('Display Updated', `${label} ${newValue ? 'enabled' : 'disabled'}`);
-        treeCore.undoRedoManager.pushUndoState();
+        treeCore.undoRedoManager.pushUndoState({ label: 'display_options' });
       });
     }
   });
@@ -483,8 +483,11 @@ export function setupSettings(treeCore) {
       
       const templateData = await response.json();
       
-      // Process the template data
-      treeCore.processLoadedData(templateData);
+      // Process the template data as an undoable step
+      treeCore.processLoadedData(templateData, {
+        historyLabel: 'load_template',
+        historyLabelParams: { name: templateInfo.name }
+      });
       
       // Update cache indicator if available
       if (treeCore.enhancedCacheIndicator) {
@@ -497,12 +500,6 @@ export function setupSettings(treeCore) {
         treeCore.autoSave();
       }
       
-      // Update undo/redo state
-      if (treeCore.undoRedoManager) {
-        treeCore.undoRedoManager.clearStacks();
-        treeCore.undoRedoManager.pushUndoState();
-      }
-      
       notifications.success('Template Loaded', `${templateInfo.name} loaded successfully`);
       
     } catch (error) {
@@ -584,7 +581,9 @@ export function setupSettings(treeCore) {
         
         // Save state for undo
         if (treeCore.undoRedoManager) {
-          treeCore.undoRedoManager.pushUndoState();
+          treeCore.undoRedoManager.pushUndoState(selectedShape === 'none'
+            ? { label: 'layout_reset' }
+            : { label: 'apply_shape', labelParams: { shape: shapeSelect.selectedOptions[0]?.textContent.trim() || selectedShape } });
         }
         
       } catch (error) {
@@ -605,7 +604,7 @@ export function setupSettings(treeCore) {
       notifications.success('Layout Reset', 'Reset to manual positioning');
       
       if (treeCore.undoRedoManager) {
-        treeCore.undoRedoManager.pushUndoState();
+        treeCore.undoRedoManager.pushUndoState({ label: 'layout_reset' });
       }
     });
   }
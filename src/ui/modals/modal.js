@@ -10,15 +10,20 @@ import { appContext, EVENTS } from '../../utils/event-bus.js';
 import { createDateInput } from '../components/date-input.js';
 import { setupInlineReveal } from '../components/inline-reveal.js';
 import { createMarriagesList } from '../components/marriages-list.js';
+import { createLifeEventsList } from '../components/life-events-list.js';
 import { isValidDateValue } from '../../utils/date-value.js';
 import { mountCropper, DEFAULT_TRANSFORM } from '../../features/photos/avatar-cropper.js';
 import { prepareImageUpload, shouldWarnAboutStorage } from '../../features/photos/photo-utils.js';
 import { mountDocumentList } from '../../features/photos/document-list.js';
+import { mountSourceEditor } from '../../features/sources/source-editor.js';
+import { attachPlaceAutocomplete } from '../components/place-autocomplete.js';
+import { loadPlaces } from '../../features/places/place-store.js';
 
 let isModalOpen = false;
 let currentEditingId = null;
 let cropperHandle = null;
 let documentListHandle = null;
+let sourceEditorHandle = null;
 
 // Helper function to get translated text
 function t(key, fallback = '') {
@@ -197,6 +202,7 @@ function getPersonInitials(name) {
 let birthDateHandle = null;
 let deathDateHandle = null;
 let marriagesListHandle = null;
+let lifeEventsListHandle = null;
 
 // Helper function to populate form fields
 function populateFormFields(node, personData) {
@@ -233,6 +239,15 @@ function populateFormFields(node, personData) {
     });
   }
 
+  const eventsMount = document.getElementById('personEventsMount');
+  if (eventsMount) {
+    lifeEventsListHandle = createLifeEventsList({
+      container: eventsMount,
+      events: Array.isArray(personData?.events) ? personData.events : [],
+      t
+    });
+  }
+
   const notesEl = document.getElementById('personNotes');
   if (notesEl) notesEl.value = personData?.notes || '';
   setupInlineReveal({
@@ -282,6 +297,23 @@ function populateFormFields(node, personData) {
       documentListHandle.refresh();
     }
   }
+
+  const sourcesMount = document.getElementById('sourcesListMount');
+  if (sourcesMount) {
+    if (sourceEditorHandle) sourceEditorHandle.destroy();
+    const repo = window.treeCore?.cacheManager?.getIdbRepo?.();
+    if (repo && personData?.id) {
+      sourceEditorHandle = mountSourceEditor({
+        container: sourcesMount,
+        personId: personData.id,
+        person: personData,
+        repo,
+        t,
+        getPersonName: (id) => window.treeCore?.getPersonDisplayName?.(id) || ''
+      });
+      sourceEditorHandle.refresh();
+    }
+  }
 }
 
 function mountEvent(kind, event, setHandle) {
@@ -294,7 +326,10 @@ function mountEvent(kind, event, setHandle) {
   }
 
   const placeInput = document.getElementById(`person${kind}Place`);
-  if (placeInput) placeInput.value = event.place || '';
+  if (placeInput) {
+    placeInput.value = event.place || '';
+    attachPlaceAutocomplete(placeInput, { t });
+  }
   setupInlineReveal({
     trigger: document.getElementById(`person${kind}PlaceReveal`),
     target: document.getElementById(`person${kind}PlaceWrapper`),
@@ -395,6 +430,10 @@ function showModalWithAnimation(modal) {
   setupTabs();
   activateTab('tab-details-btn');
 
+  // Place inputs autocomplete from the registry; it is usually loaded already
+  loadPlaces(window.treeCore?.cacheManager?.getIdbRepo?.())
+    .catch((err) => devWarn('Loading places failed:', err));
+
   // Ensure modal structure is optimized
   ensureModalStructure(modal);
   
@@ -544,6 +583,9 @@ function clearForm() {
   if (marriagesMount) marriagesMount.innerHTML = '';
   marriagesListHandle = null;
 
+  const eventsMount = document.getElementById('personEventsMount');
+  lifeEventsListHandle = eventsMount ? createLifeEventsList({ container: eventsMount, events: [], t }) : null;
+
   const maleRadio = document.getElementById('genderMale');
   const femaleRadio = document.getElementById('genderFemale');
   if (maleRadio) maleRadio.checked = false;
@@ -565,6 +607,10 @@ function clearForm() {
   if (documentListHandle) { documentListHandle.destroy(); documentListHandle = null; }
   const docMount = document.getElementById('documentsListMount');
   if (docMount) docMount.innerHTML = '';
+
+  if (sourceEditorHandle) { sourceEditorHandle.destroy(); sourceEditorHandle = null; }
+  const sourcesMount = document.getElementById('sourcesListMount');
+  if (sourcesMount) sourcesMount.innerHTML = '';
 }
 
 export function isModalCurrentlyOpen() {
@@ -668,6 +714,8 @@ function confirmDeletePerson() {
       }
       await docRepo.deleteDocumentsForPerson(editingId);
     }).catch(() => {});
+    docRepo.deleteCitationsForPerson(editingId)
+      .catch((err) => console.warn('[modal] deleting citations failed:', err));
   }
 
   treeCore.renderer.removeNode(editingId);
@@ -675,7 +723,7 @@ function confirmDeletePerson() {
   
   // Regenerate connections and save state
   treeCore.regenerateConnections();
-  treeCore.undoRedoManager.pushUndoState();
+  treeCore.undoRedoManager.pushUndoState({ label: 'delete_person', labelParams: { name: personName } });
   
   // Show notification with translated messages
   import('../components/notifications.js').then(({ notifications }) => {
@@ -724,11 +772,12 @@ function validateForm() {
 
   const dateInvalid = (birthDateHandle?.isInvalid?.()) ||
     (deathDateHandle?.isInvalid?.()) ||
-    (marriagesListHandle?.hasInvalidDate?.());
+    (marriagesListHandle?.hasInvalidDate?.()) ||
+    (lifeEventsListHandle?.hasInvalidDate?.());
   if (dateInvalid) {
     errors.push({
       field: document.querySelector('.date-input-text[aria-invalid="true"]') || document.getElementById('personBirthDate'),
-      message: t('builder.validation.invalid_date_format', 'Use dd.mm.yyyy or yyyy.')
+      message: t('builder.validation.invalid_date_format', 'Use dd.mm.yyyy, mm.yyyy or yyyy.')
     });
     isValid = false;
   }
@@ -1110,6 +1159,7 @@ document.addEventListener('DOMContentLoaded', () => {
           note: document.getElementById('personDeathNote')?.value.trim() || ''
         },
         marriages: marriagesListHandle ? marriagesListHandle.getValue() : [],
+        events: lifeEventsListHandle ? lifeEventsListHandle.getValue() : undefined,
         notes: document.getElementById('personNotes')?.value.trim() || '',
         editingId: modal.dataset.editingId || null,
         photo: (() => {
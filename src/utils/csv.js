@@ -0,0 +1,111 @@
+// csv.js - Reading and writing delimited text (CSV, TSV and the semicolon
+// CSV spreadsheets save in locales with a decimal comma), with RFC 4180
+// quoting: a field holding the delimiter, a quote or a line break is quoted
+// and its quotes doubled.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guess the delimiter from the first lines: the candidate that splits them
+ * into the same number of fields, more than one, most often.
+ * @param {string} text
+ * @returns {string}
+ */
+export function sniffDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter((line) => line.trim() !== '').slice(0, 10);
+  let best = ',';
+  let bestScore = 0;
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map((line) => splitLine(line, delimiter).length);
+    if (!counts.length || counts[0] < 2) continue;
+    const score = counts.filter((n) => n === counts[0]).length * counts[0];
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Fields of one line, quotes honoured; enough for sniffing
+function splitLine(line, delimiter) {
+  return parseDelimited(line, delimiter)[0] ?? [];
+}
+
+/**
+ * Parse delimited text into rows of fields. Quoted fields may hold the
+ * delimiter, doubled quotes and line breaks. A blank line is kept as a row
+ * with one empty field, so row n is row n of the spreadsheet (see isBlankRow).
+ * @param {string} text
+ * @param {string} [delimiter] - sniffed when omitted
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter = sniffDelimiter(text)) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      endRow();
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * @param {string[]} cells - a row from parseDelimited
+ * @returns {boolean} true when every field is blank
+ */
+export function isBlankRow(cells) {
+  return cells.every((cell) => String(cell ?? '').trim() === '');
+}
+
+/**
+ * Write rows as delimited text with CRLF line ends, quoting where needed.
+ * @param {Array<Array<string|number|null|undefined>>} rows
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function formatDelimited(rows, delimiter = ',') {
+  const quote = (value) => {
+    const text = value == null ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+      ? `"${text.replaceAll('"', '""')}"`
+      : text;
+  };
+  return rows.map((row) => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -1,6 +1,29 @@
+/**
+ * DateValue — the date shape stored on birth/death/marriage/event records.
+ *
+ *   { year, month?, day?, estimated }            exact date, year/month precision allowed
+ *   qualifier?  'about' | 'estimated' | 'calculated' | 'before' | 'after'
+ *               | 'between' | 'from' | 'to' | 'interpreted'
+ *   end?        second bound for 'between' (BET … AND …) and 'from' (FROM … TO …)
+ *   dualYear?   1700/01 is stored as { year: 1700, dualYear: 1701 }
+ *   bc?         true for B.C. years
+ *   calendar?   'gregorian' | 'julian' | 'hebrew' | 'french_r' | 'roman' | 'unknown'
+ *   phrase?     free text of an interpreted date, INT 1850 (parish record)
+ *
+ * `end` carries the point fields (year, month, day, dualYear, bc, calendar).
+ * `estimated` stays set for every uncertain form so older readers keep working.
+ */
+
 const FULL_DATE_RE = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$|^(\d{1,2})-(\d{1,2})-(\d{4})$/;
+const MONTH_YEAR_RE = /^(\d{1,2})[./-](\d{4})$/;
 const YEAR_ONLY_RE = /^(\d{4})$/;
 
+export const DATE_QUALIFIERS = ['about', 'estimated', 'calculated', 'before', 'after', 'between', 'from', 'to', 'interpreted'];
+export const CALENDARS = ['gregorian', 'julian', 'hebrew', 'french_r', 'roman', 'unknown'];
+
+/** Qualifiers that make a date uncertain (and so set `estimated`). */
+const UNCERTAIN_QUALIFIERS = new Set(['about', 'estimated', 'calculated', 'before', 'after', 'between']);
+
 export function parseDateValue(input, options = {}) {
   if (input == null) return null;
   const trimmed = String(input).trim();
@@ -23,6 +46,14 @@ export function parseDateValue(input, options = {}) {
     return { error: true, raw: trimmed };
   }
 
+  const monthMatch = trimmed.match(MONTH_YEAR_RE);
+  if (monthMatch) {
+    const month = parseInt(monthMatch[1], 10);
+    const year = parseInt(monthMatch[2], 10);
+    if (month >= 1 && month <= 12 && year >= 1) return { year, month, estimated };
+    return { error: true, raw: trimmed };
+  }
+
   const yearMatch = trimmed.match(YEAR_ONLY_RE);
   if (yearMatch) {
     const year = parseInt(yearMatch[1], 10);
@@ -32,19 +63,51 @@ export function parseDateValue(input, options = {}) {
   return { error: true, raw: trimmed };
 }
 
+/**
+ * Build a qualified DateValue from parsed points.
+ * @param {string|undefined} qualifier - one of DATE_QUALIFIERS, or undefined for an exact date
+ * @param {Object} start - point { year, month?, day?, dualYear?, bc?, calendar? }
+ * @param {Object} [end] - second point for 'between' / 'from'
+ * @param {string} [phrase] - text for 'interpreted'
+ */
+export function makeDateValue(qualifier, start, end = null, phrase = '') {
+  const value = { ...start, estimated: UNCERTAIN_QUALIFIERS.has(qualifier) };
+  if (qualifier) value.qualifier = qualifier;
+  if (end) value.end = { ...end };
+  if (phrase) value.phrase = phrase;
+  return value;
+}
+
+function isValidPoint(point) {
+  if (!point || typeof point !== 'object') return false;
+  if (typeof point.year !== 'number') return false;
+  const hasMonth = typeof point.month === 'number';
+  const hasDay = typeof point.day === 'number';
+  if (hasDay && !hasMonth) return false;
+  if (point.calendar !== undefined && !CALENDARS.includes(point.calendar)) return false;
+  return true;
+}
+
 export function isValidDateValue(value) {
   if (value === null) return true;
   if (!value || typeof value !== 'object') return false;
   if (value.error) return false;
-  if (typeof value.year !== 'number') return false;
+  if (!isValidPoint(value)) return false;
 
-  const hasMonth = typeof value.month === 'number';
-  const hasDay = typeof value.day === 'number';
-  if (hasMonth !== hasDay) return false;
+  if (value.qualifier !== undefined && !DATE_QUALIFIERS.includes(value.qualifier)) return false;
+  if (value.qualifier === 'between' && !value.end) return false;
+  if (value.end !== undefined && !isValidPoint(value.end)) return false;
+  if (value.end && value.qualifier !== 'between' && value.qualifier !== 'from') return false;
 
   return true;
 }
 
+/** True when the value uses anything the dd.mm.yyyy text input cannot express. */
+export function isComplexDateValue(value) {
+  if (!value || typeof value !== 'object' || value.error) return false;
+  return Boolean(value.qualifier || value.end || value.dualYear || value.bc || value.calendar || value.phrase);
+}
+
 const MONTH_SHORT = {
   en: ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'],
   de: ['Jan.','Feb.','März','Apr.','Mai','Juni','Juli','Aug.','Sept.','Okt.','Nov.','Dez.'],
@@ -52,6 +115,41 @@ const MONTH_SHORT = {
   ru: ['янв.','февр.','мар.','апр.','мая','июня','июля','авг.','сент.','окт.','нояб.','дек.']
 };
 
+// A bare month without a day reads in the nominative in Russian; after a
+// preposition ("с", "до") the genitive abbreviation stays
+const MONTH_STANDALONE = {
+  ...MONTH_SHORT,
+  ru: ['янв.','февр.','март','апр.','май','июнь','июль','авг.','сент.','окт.','нояб.','дек.']
+};
+
+const HEBREW_MONTHS = {
+  en: ['Tishrei','Cheshvan','Kislev','Tevet','Shevat','Adar I','Adar II','Nisan','Iyar','Sivan','Tammuz','Av','Elul'],
+  de: ['Tischri','Cheschwan','Kislew','Tevet','Schevat','Adar I','Adar II','Nisan','Ijar','Siwan','Tammus','Aw','Elul'],
+  es: ['Tishrei','Jeshván','Kislev','Tevet','Shevat','Adar I','Adar II','Nisán','Iyar','Siván','Tamuz','Av','Elul'],
+  ru: ['тишрей','хешван','кислев','тевет','шват','адар I','адар II','нисан','ияр','сиван','таммуз','ав','элул']
+};
+
+const FRENCH_REPUBLICAN_MONTHS = {
+  en: ['Vendémiaire','Brumaire','Frimaire','Nivôse','Pluviôse','Ventôse','Germinal','Floréal','Prairial','Messidor','Thermidor','Fructidor','jours complémentaires'],
+  de: ['Vendémiaire','Brumaire','Frimaire','Nivôse','Pluviôse','Ventôse','Germinal','Floréal','Prairial','Messidor','Thermidor','Fructidor','Ergänzungstage'],
+  es: ['vendimiario','brumario','frimario','nivoso','pluvioso','ventoso','germinal','floreal','pradial','mesidor','termidor','fructidor','días complementarios'],
+  ru: ['вандемьер','брюмер','фример','нивоз','плювиоз','вантоз','жерминаль','флореаль','прериаль','мессидор','термидор','фрюктидор','санкюлотиды']
+};
+
+const CALENDAR_LABEL = {
+  en: { julian: 'Julian', hebrew: 'Hebrew', french_r: 'French Republican', roman: 'Roman', unknown: 'unknown calendar' },
+  de: { julian: 'julianisch', hebrew: 'hebräisch', french_r: 'republikanisch', roman: 'römisch', unknown: 'unbek. Kalender' },
+  es: { julian: 'juliano', hebrew: 'hebreo', french_r: 'republicano', roman: 'romano', unknown: 'calendario desconocido' },
+  ru: { julian: 'юлиан.', hebrew: 'евр.', french_r: 'респ.', roman: 'рим.', unknown: 'неизв. календарь' }
+};
+
+const BC_SUFFIX = {
+  en: 'BC',
+  de: 'v. Chr.',
+  es: 'a. C.',
+  ru: 'до н. э.'
+};
+
 const ESTIMATED_PREFIX = {
   en: 'est.',
   de: 'ca.',
@@ -59,6 +157,53 @@ const ESTIMATED_PREFIX = {
   ru: 'ок.'
 };
 
+const QUALIFIER_FORMAT = {
+  en: {
+    about: (a) => `abt. ${a}`,
+    estimated: (a) => `est. ${a}`,
+    calculated: (a) => `calc. ${a}`,
+    before: (a) => `bef. ${a}`,
+    after: (a) => `aft. ${a}`,
+    between: (a, b) => `bet. ${a} and ${b}`,
+    from: (a, b) => (b ? `from ${a} to ${b}` : `from ${a}`),
+    to: (a) => `to ${a}`,
+    interpreted: (a) => `int. ${a}`
+  },
+  de: {
+    about: (a) => `um ${a}`,
+    estimated: (a) => `ca. ${a}`,
+    calculated: (a) => `err. ${a}`,
+    before: (a) => `vor ${a}`,
+    after: (a) => `nach ${a}`,
+    between: (a, b) => `zw. ${a} und ${b}`,
+    from: (a, b) => (b ? `von ${a} bis ${b}` : `ab ${a}`),
+    to: (a) => `bis ${a}`,
+    interpreted: (a) => `gedeutet ${a}`
+  },
+  es: {
+    about: (a) => `hacia ${a}`,
+    estimated: (a) => `aprox. ${a}`,
+    calculated: (a) => `calc. ${a}`,
+    before: (a) => `antes de ${a}`,
+    after: (a) => `después de ${a}`,
+    between: (a, b) => `entre ${a} y ${b}`,
+    from: (a, b) => (b ? `de ${a} a ${b}` : `desde ${a}`),
+    to: (a) => `hasta ${a}`,
+    interpreted: (a) => `interpr. ${a}`
+  },
+  ru: {
+    about: (a) => `около ${a}`,
+    estimated: (a) => `ок. ${a}`,
+    calculated: (a) => `расч. ${a}`,
+    before: (a) => `до ${a}`,
+    after: (a) => `после ${a}`,
+    between: (a, b) => `между ${a} и ${b}`,
+    from: (a, b) => (b ? `с ${a} по ${b}` : `с ${a}`),
+    to: (a) => `по ${a}`,
+    interpreted: (a) => `толк. ${a}`
+  }
+};
+
 const FULL_DATE_FORMAT = {
   en: (d, m, y) => `${d} ${m} ${y}`,
   de: (d, m, y) => `${d}. ${m} ${y}`,
@@ -70,17 +215,47 @@ function pickLocale(locale) {
   return MONTH_SHORT[locale] ? locale : 'en';
 }
 
+function monthName(point, loc, standalone) {
+  if (point.calendar === 'hebrew') return (HEBREW_MONTHS[loc] || HEBREW_MONTHS.en)[point.month - 1];
+  if (point.calendar === 'french_r') return (FRENCH_REPUBLICAN_MONTHS[loc] || FRENCH_REPUBLICAN_MONTHS.en)[point.month - 1];
+  return (standalone ? MONTH_STANDALONE : MONTH_SHORT)[loc][point.month - 1];
+}
+
+function formatYear(point, loc) {
+  let year = String(point.year);
+  if (typeof point.dualYear === 'number') year += `/${String(point.dualYear).slice(-2)}`;
+  if (point.bc) year += ` ${BC_SUFFIX[loc]}`;
+  return year;
+}
+
+function formatPoint(point, loc, qualified) {
+  const year = formatYear(point, loc);
+  let text;
+  if (typeof point.month === 'number' && typeof point.day === 'number') {
+    text = FULL_DATE_FORMAT[loc](point.day, monthName(point, loc, false), year);
+  } else if (typeof point.month === 'number') {
+    text = `${monthName(point, loc, !qualified)} ${year}`;
+  } else {
+    text = year;
+  }
+  const calendarLabel = point.calendar && CALENDAR_LABEL[loc][point.calendar];
+  return calendarLabel ? `${text} (${calendarLabel})` : text;
+}
+
 export function formatDateValue(value, locale = 'en') {
   if (!value || value.error) return '';
   const loc = pickLocale(locale);
-  const prefix = value.estimated ? `${ESTIMATED_PREFIX[loc]} ` : '';
 
-  const hasFull = typeof value.month === 'number' && typeof value.day === 'number';
-  if (hasFull) {
-    const monthName = MONTH_SHORT[loc][value.month - 1];
-    return prefix + FULL_DATE_FORMAT[loc](value.day, monthName, value.year);
+  const qualified = Boolean(value.qualifier);
+  const start = formatPoint(value, loc, qualified);
+  let text;
+  if (value.qualifier && QUALIFIER_FORMAT[loc][value.qualifier]) {
+    const end = value.end ? formatPoint(value.end, loc, qualified) : '';
+    text = QUALIFIER_FORMAT[loc][value.qualifier](start, end);
+  } else {
+    text = (value.estimated ? `${ESTIMATED_PREFIX[loc]} ` : '') + start;
   }
-  return prefix + String(value.year);
+  return value.phrase ? `${text} (${value.phrase})` : text;
 }
 
 function yearOnly(value, loc) {
@@ -99,3 +274,17 @@ export function formatLifespanShort(birth, death, locale = 'en') {
   if (!b && d) return `– ${d}`;
   return `${b} – ${d}`;
 }
+
+/**
+ * Number that orders dates chronologically: years, then months, then days.
+ * Missing months and days sort first within their year; B.C. years are
+ * negative. Calendars are not converted, so the order across calendars is
+ * approximate.
+ * @param {Object|null} value - DateValue
+ * @returns {number|null} null when there is no usable date
+ */
+export function dateSortKey(value) {
+  if (!value || value.error || typeof value.year !== 'number') return null;
+  const year = value.bc ? -value.year : value.year;
+  return year * 10000 + (value.month || 0) * 100 + (value.day || 0);
+}
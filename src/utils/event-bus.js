@@ -222,6 +222,8 @@ export const EVENTS = {
 
   // Tree events
   TREE_LOADED: 'tree:loaded',
+  TREE_SWITCHED: 'tree:switched',
+  HISTORY_CHANGED: 'tree:history:changed',
   TREE_SAVED: 'tree:saved',
   TREE_PERSON_ADDED: 'tree:person:added',
   TREE_PERSON_UPDATED: 'tree:person:updated',
@@ -256,6 +258,12 @@ export const EVENTS = {
   // Tree chart UI events
   TREE_NODE_EDIT_REQUESTED: 'tree:node:edit:requested',
 
+  // Relationship calculator — { paths: string[][] } or { paths: null } when cleared
+  RELATIONSHIP_PATH_CHANGED: 'relationship:path:changed',
+
+  // Person filter — { query, mode: 'dim'|'hide', ids: Set<string> }, all null when cleared
+  PERSON_FILTER_CHANGED: 'filter:person:changed',
+
   // Media — photos
   MEDIA_PHOTO_UPLOADED: 'media:photo:uploaded',
   MEDIA_PHOTO_UPLOAD_FAILED: 'media:photo:upload:failed',
@@ -277,6 +285,7 @@ export const EVENTS = {
   SHARE_URL_GENERATED: 'share:url:generated',
   SHARE_URL_TOO_LARGE: 'share:url:too_large',
   SHARE_URL_COPIED: 'share:url:copied',
+  SHARE_PACKAGE_DOWNLOADED: 'share:package:downloaded',
 
   // Marriages
   MARRIAGE_ADDED: 'marriage:added',
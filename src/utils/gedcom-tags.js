@@ -0,0 +1,137 @@
+// gedcom-tags.js - GEDCOM 5.5.1 event/attribute tags and their person-model type keys.
+// Shared by the GEDCOM importer and exporter so a round trip maps tags the same way.
+
+/** Individual events and attributes (BIRT/DEAT live on person.birth / person.death). */
+export const INDIVIDUAL_EVENT_TAGS = {
+  CHR: 'christening',
+  CHRA: 'adult_christening',
+  BAPM: 'baptism',
+  BARM: 'bar_mitzvah',
+  BASM: 'bas_mitzvah',
+  BLES: 'blessing',
+  CONF: 'confirmation',
+  FCOM: 'first_communion',
+  ORDN: 'ordination',
+  BURI: 'burial',
+  CREM: 'cremation',
+  ADOP: 'adoption',
+  NATU: 'naturalization',
+  EMIG: 'emigration',
+  IMMI: 'immigration',
+  CENS: 'census',
+  PROB: 'probate',
+  WILL: 'will',
+  GRAD: 'graduation',
+  RETI: 'retirement',
+  CAST: 'caste',
+  DSCR: 'physical_description',
+  EDUC: 'education',
+  IDNO: 'id_number',
+  NATI: 'nationality',
+  NCHI: 'children_count',
+  NMR: 'marriage_count',
+  OCCU: 'occupation',
+  PROP: 'property',
+  RELI: 'religion',
+  RESI: 'residence',
+  SSN: 'ssn',
+  TITL: 'title',
+  FACT: 'fact',
+  EVEN: 'custom'
+};
+
+/** Family events (MARR lives on the marriage record itself). */
+export const FAMILY_EVENT_TAGS = {
+  ENGA: 'engagement',
+  MARB: 'marriage_bann',
+  MARC: 'marriage_contract',
+  MARL: 'marriage_license',
+  MARS: 'marriage_settlement',
+  DIVF: 'divorce_filed',
+  DIV: 'divorce',
+  ANUL: 'annulment',
+  CENS: 'census',
+  RESI: 'residence',
+  EVEN: 'custom'
+};
+
+/**
+ * Event types that GEDCOM 5.5.1 has no tag for. They travel as `EVEN` with a
+ * fixed `TYPE` so other software still shows a readable label.
+ */
+export const EVEN_TYPE_LABELS = {
+  military: 'Military Service'
+};
+
+/** Non-standard tags written by popular desktop programs that map onto a known type. */
+const VENDOR_EVENT_TAGS = {
+  _MILT: 'military',
+  _MILI: 'military'
+};
+
+/**
+ * Resolve a GEDCOM tag (plus its TYPE, for EVEN) to a person-model event type.
+ * @param {string} tag
+ * @param {'individual'|'family'} scope
+ * @param {string} [typeValue] - value of the EVEN/FACT TYPE substructure
+ * @returns {string|null} event type key, or null when the tag is not an event
+ */
+export function eventTypeForTag(tag, scope, typeValue = '') {
+  const table = scope === 'family' ? FAMILY_EVENT_TAGS : INDIVIDUAL_EVENT_TAGS;
+  if (tag === 'EVEN') {
+    const known = Object.entries(EVEN_TYPE_LABELS)
+      .find(([, label]) => label.toLowerCase() === typeValue.trim().toLowerCase());
+    return known ? known[0] : 'custom';
+  }
+  if (table[tag]) return table[tag];
+  if (scope === 'individual' && VENDOR_EVENT_TAGS[tag]) return VENDOR_EVENT_TAGS[tag];
+  return null;
+}
+
+/**
+ * Resolve a person-model event type back to its GEDCOM tag.
+ * @param {string} type
+ * @param {'individual'|'family'} scope
+ * @returns {string} GEDCOM tag (EVEN for anything without a dedicated tag)
+ */
+export function tagForEventType(type, scope) {
+  const table = scope === 'family' ? FAMILY_EVENT_TAGS : INDIVIDUAL_EVENT_TAGS;
+  const entry = Object.entries(table).find(([, t]) => t === type);
+  return entry ? entry[0] : 'EVEN';
+}
+
+const GREGORIAN_MONTHS = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
+
+/**
+ * Calendar escapes (5.5.1), keywords (7.0) and month codes. DateValue.calendar
+ * holds the key; a date without `calendar` is Gregorian with no escape written.
+ * GEDCOM 7 has no Roman or unknown calendar, so those get extension keywords.
+ */
+export const GEDCOM_CALENDARS = {
+  gregorian: { escape: '@#DGREGORIAN@', keyword: 'GREGORIAN', months: GREGORIAN_MONTHS },
+  julian: { escape: '@#DJULIAN@', keyword: 'JULIAN', months: GREGORIAN_MONTHS },
+  hebrew: { escape: '@#DHEBREW@', keyword: 'HEBREW', months: ['TSH','CSH','KSL','TVT','SHV','ADR','ADS','NSN','IYR','SVN','TMZ','AAV','ELL'] },
+  french_r: { escape: '@#DFRENCH R@', keyword: 'FRENCH_R', months: ['VEND','BRUM','FRIM','NIVO','PLUV','VENT','GERM','FLOR','PRAI','MESS','THER','FRUC','COMP'] },
+  roman: { escape: '@#DROMAN@', keyword: '_ROMAN', months: [] },
+  unknown: { escape: '@#DUNKNOWN@', keyword: '_UNKNOWN', months: [] }
+};
+
+/** GEDCOM date-modifier keyword ↔ DateValue.qualifier */
+export const GEDCOM_DATE_QUALIFIERS = {
+  ABT: 'about',
+  EST: 'estimated',
+  CAL: 'calculated',
+  BEF: 'before',
+  AFT: 'after',
+  INT: 'interpreted'
+};
+
+/** NAME.TYPE values of GEDCOM 7; anything else is written as OTHER with a PHRASE. */
+export const GEDCOM7_NAME_TYPES = ['AKA', 'BIRTH', 'IMMIGRANT', 'MAIDEN', 'MARRIED', 'PROFESSIONAL', 'OTHER'];
+
+/** EXID.TYPE of the person ids this app writes into GEDCOM 7 files. */
+export const APP_EXID_TYPE = 'https://mapmyroots.com';
+
+export function makeEventId() {
+  return `evt_${Math.random().toString(36).slice(2, 10)}`;
+}
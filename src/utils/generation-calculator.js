@@ -292,3 +292,16 @@ export class GenerationCalculator {
     this.generationCache.clear();
   }
 }
+
+/**
+ * Generations of every person in personData. The engine keeps them current,
+ * so its map is used when it covers the same persons; otherwise they are
+ * computed.
+ * @param {Map<string, Object>} personData
+ * @param {Map<string, number>} [known] - e.g. window.treeCore.generationData
+ * @returns {Map<string, number>}
+ */
+export function currentGenerations(personData, known) {
+  if (known instanceof Map && known.size === personData.size) return known;
+  return new GenerationCalculator().calculateGenerations(personData);
+}
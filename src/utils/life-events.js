@@ -0,0 +1,109 @@
+// life-events.js - Life events and facts of a person beyond birth, death and marriage.
+// Events live on person.events as { id, type, date, place, note, description, label? };
+// `type` is a key from gedcom-tags.js and `label` names a custom event.
+
+import { makeEventId } from './gedcom-tags.js';
+import { dateSortKey, formatDateValue } from './date-value.js';
+
+/** Types offered when adding an event. Imported events may carry any other gedcom-tags.js type. */
+export const LIFE_EVENT_TYPES = [
+  'baptism',
+  'burial',
+  'residence',
+  'occupation',
+  'immigration',
+  'military',
+  'education',
+  'religion',
+  'custom'
+];
+
+/** Types whose events carry a user-given name (GEDCOM EVEN/FACT with TYPE). */
+export const LABELLED_EVENT_TYPES = ['custom', 'fact'];
+
+/**
+ * @param {string} [type]
+ * @returns {Object} an empty event of the given type
+ */
+export function makeLifeEvent(type = LIFE_EVENT_TYPES[0]) {
+  return { id: makeEventId(), type, date: null, place: '', note: '', description: '' };
+}
+
+/**
+ * Events in chronological order. Undated events keep their relative order
+ * and go last.
+ * @param {Object[]} events
+ * @returns {Object[]} a new array
+ */
+export function sortEventsChronologically(events) {
+  return (events || [])
+    .map((event, index) => ({ event, index, key: dateSortKey(event.date) }))
+    .sort((a, b) => {
+      if (a.key === null || b.key === null) {
+        if (a.key === b.key) return a.index - b.index;
+        return a.key === null ? 1 : -1;
+      }
+      return a.key - b.key || a.index - b.index;
+    })
+    .map(({ event }) => event);
+}
+
+/**
+ * Display name of an event: the label of a custom event, otherwise the
+ * translated type.
+ * @param {Object} event
+ * @param {(key: string, fallback: string) => string} [t]
+ * @returns {string}
+ */
+export function lifeEventLabel(event, t = (_, fallback) => fallback) {
+  if (event?.label) return event.label;
+  const type = event?.type || 'custom';
+  const fallback = type.charAt(0).toUpperCase() + type.slice(1).replace(/_/g, ' ');
+  return t(`builder.events.types.${type}`, fallback);
+}
+
+/**
+ * One-line summary per event, e.g. "Occupation: Teacher, 1901, Riga".
+ * @param {Object[]} events
+ * @param {(key: string, fallback: string) => string} [t]
+ * @param {string} [locale]
+ * @returns {string[]} in chronological order
+ */
+export function summarizeLifeEvents(events, t, locale = 'en') {
+  return sortEventsChronologically(events).map((event) => {
+    const details = [event.description, formatDateValue(event.date, locale), event.place].filter(Boolean);
+    const label = lifeEventLabel(event, t);
+    return details.length ? `${label}: ${details.join(', ')}` : label;
+  });
+}
+
+/**
+ * Text of a person's events worth matching in a search.
+ * @param {Object} person
+ * @param {(key: string, fallback: string) => string} [t]
+ * @returns {string[]}
+ */
+export function lifeEventSearchFields(person, t) {
+  const fields = [];
+  for (const event of person?.events || []) {
+    fields.push(lifeEventLabel(event, t), event.description || '', event.place || '', event.note || '');
+  }
+  return fields.filter(Boolean);
+}
+
+/** Persons born longer ago than this are presumed dead even without a death record. */
+export const MAX_LIFESPAN_YEARS = 110;
+
+/**
+ * Whether a person may still be alive: no death or burial on record and not
+ * born more than MAX_LIFESPAN_YEARS ago. Persons without dates count as living.
+ * @param {Object} person
+ * @param {number} [currentYear]
+ * @returns {boolean}
+ */
+export function isPresumedLiving(person, currentYear = new Date().getFullYear()) {
+  if (person?.death?.date || person?.death?.place) return false;
+  if ((person?.events || []).some((event) => event.type === 'burial' || event.type === 'death')) return false;
+  const birthYear = person?.birth?.date?.year;
+  return !(Number.isFinite(birthYear) && currentYear - birthYear > MAX_LIFESPAN_YEARS);
+}
@@ -54,6 +54,7 @@ function addOrUpdateMirror(updates, personData, marriage, savingPersonId) {
   const idx = update.marriages.findIndex((m) => m.id === marriage.id);
   if (idx === -1) {
     update.marriages.push({
+      ...marriage,
       id: marriage.id,
       spouseId: savingPersonId,
       date: marriage.date,
@@ -63,6 +64,7 @@ function addOrUpdateMirror(updates, personData, marriage, savingPersonId) {
   } else {
     const existing = update.marriages[idx];
     update.marriages[idx] = {
+      ...existing,
       id: marriage.id,
       spouseId: savingPersonId,
       date: marriage.date !== undefined ? marriage.date : existing.date,
@@ -0,0 +1,13 @@
+// xml.js - Text and attribute values for SVG and XML built as strings.
+
+/**
+ * @param {*} text - null and undefined give ''
+ * @returns {string} text safe inside an element or a double-quoted attribute
+ */
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,107 @@
+// cache-manager-trees.test.js — each tree of the library is saved to and loaded from its own database.
+// @vitest-environment node
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { CacheManager } from '../../src/data/cache/core-cache.js';
+import { IndexedDBRepository } from '../../src/data/repositories/indexed-db-repository.js';
+import { treeDatabaseName } from '../../src/data/repositories/tree-library-repository.js';
+
+function makeTreeCore(state) {
+  return {
+    state,
+    getCurrentState: vi.fn(function () { return this.state; }),
+    getCompressedState: vi.fn(function () { return this.state; }),
+    cleanOldBackups: vi.fn(),
+    processLoadedData: vi.fn(),
+    enhancedCacheIndicator: null
+  };
+}
+
+describe('CacheManager per-tree storage', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    localStorage.clear();
+  });
+
+  it('saves settings and hidden connections with the tree and restores them', async () => {
+    const tc = makeTreeCore({
+      version: '2.6',
+      persons: [{ id: 'p1', name: 'Ann' }],
+      settings: { nodeRadius: 70 },
+      hiddenConnections: ['p1-p2'],
+      gedcomRecords: []
+    });
+    const cm = new CacheManager(tc);
+    cm.markDirty();
+    await cm.flush();
+    localStorage.clear(); // read back from IndexedDB, not the backup blob
+
+    const loaded = await cm.loadCachedState();
+    expect(loaded).toBe(true);
+    expect(tc.processLoadedData).toHaveBeenCalledWith(expect.objectContaining({
+      persons: [{ id: 'p1', name: 'Ann' }],
+      settings: { nodeRadius: 70 },
+      hiddenConnections: ['p1-p2']
+    }));
+  });
+
+  it('does not keep persons deleted since the last save', async () => {
+    const tc = makeTreeCore({ version: '2.6', persons: [{ id: 'p1' }, { id: 'p2' }] });
+    const cm = new CacheManager(tc);
+    cm.markDirty();
+    await cm.flush();
+    tc.state = { version: '2.6', persons: [{ id: 'p2' }] };
+    cm.markDirty();
+    await cm.flush();
+
+    expect((await cm.getIdbRepo().getAllPersons()).map((p) => p.id)).toEqual(['p2']);
+  });
+
+  it('keeps the saved persons when an empty tree is saved, unless the user emptied it', async () => {
+    const tc = makeTreeCore({ version: '2.6', persons: [{ id: 'p1' }] });
+    const cm = new CacheManager(tc);
+    cm.markDirty();
+    await cm.flush();
+
+    tc.state = { version: '2.6', persons: [] };
+    cm.markDirty();
+    await cm.flush();
+    expect((await cm.getIdbRepo().getAllPersons()).map((p) => p.id)).toEqual(['p1']);
+
+    cm.allowEmptySave();
+    cm.markDirty();
+    await cm.flush();
+    expect(await cm.getIdbRepo().getAllPersons()).toEqual([]);
+
+    // The permission is used up by that save
+    tc.state = { version: '2.6', persons: [{ id: 'p2' }] };
+    cm.markDirty();
+    await cm.flush();
+    tc.state = { version: '2.6', persons: [] };
+    cm.markDirty();
+    await cm.flush();
+    expect((await cm.getIdbRepo().getAllPersons()).map((p) => p.id)).toEqual(['p2']);
+  });
+
+  it('switches database and backup key when another tree is opened', async () => {
+    const tc = makeTreeCore({ version: '2.6', persons: [{ id: 'p1', name: 'Ann' }] });
+    const cm = new CacheManager(tc);
+    cm.markDirty();
+
+    await cm.openTree('t_other');
+
+    expect(cm.cacheKey).toBe('familyTreeCanvas_state_t_other');
+    // The first tree was saved before switching
+    const first = new IndexedDBRepository(treeDatabaseName('default'));
+    expect(await first.countPersons()).toBe(1);
+    first.close();
+
+    expect(await cm.loadCachedState()).toBe(false);
+    tc.state = { version: '2.6', persons: [{ id: 'p9', name: 'Zoe' }] };
+    cm.markDirty();
+    await cm.flush();
+    expect((await cm.getIdbRepo().getAllPersons()).map((p) => p.id)).toEqual(['p9']);
+    expect(JSON.parse(localStorage.getItem('familyTreeCanvas_state_t_other')).persons[0].id).toBe('p9');
+  });
+});
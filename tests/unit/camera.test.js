@@ -0,0 +1,34 @@
+// camera.test.js — zoom-around-a-point math shared by the canvas views.
+
+import { describe, it, expect } from 'vitest';
+import { zoomCameraAt, visibleWorldRect, wheelDeltaPixels, fitCamera, MAX_ZOOM, MIN_ZOOM } from '../../src/core/camera.js';
+
+describe('camera', () => {
+  it('keeps the world point under the zoom origin in place', () => {
+    const camera = { x: 100, y: 50, scale: 1 };
+    const before = { x: (300 - camera.x) / camera.scale, y: (200 - camera.y) / camera.scale };
+    expect(zoomCameraAt(camera, 2, 300, 200)).toBe(2);
+    expect((300 - camera.x) / camera.scale).toBeCloseTo(before.x);
+    expect((200 - camera.y) / camera.scale).toBeCloseTo(before.y);
+  });
+
+  it('clamps the scale and reports the factor applied', () => {
+    const camera = { x: 0, y: 0, scale: 4 };
+    expect(zoomCameraAt(camera, 2, 0, 0)).toBeCloseTo(MAX_ZOOM / 4);
+    expect(camera.scale).toBe(MAX_ZOOM);
+    zoomCameraAt(camera, 0.001, 0, 0, { minScale: 0.5 });
+    expect(camera.scale).toBe(0.5);
+  });
+
+  it('computes the visible rect and normalizes wheel units', () => {
+    expect(visibleWorldRect({ x: -100, y: 50, scale: 2 }, 800, 600)).toEqual({ left: 50, top: -25, right: 450, bottom: 275 });
+    expect(wheelDeltaPixels({ deltaMode: 1, deltaY: 3 })).toBe(60);
+    expect(wheelDeltaPixels({ deltaMode: 0, deltaY: 7 })).toBe(7);
+  });
+
+  it('fits a rect into the canvas without zooming in', () => {
+    expect(fitCamera({ x: 0, y: 0, width: 1000, height: 400 }, 600, 400, 50)).toEqual({ x: 50, y: 100, scale: 0.5 });
+    expect(fitCamera({ x: 100, y: 100, width: 100, height: 100 }, 800, 600)).toEqual({ x: 250, y: 150, scale: 1 });
+    expect(fitCamera({ x: 0, y: 0, width: 1e6, height: 10 }, 800, 600).scale).toBe(MIN_ZOOM);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { parseDelimited, formatDelimited, sniffDelimiter } from '../../src/utils/csv.js';
+
+describe('parseDelimited', () => {
+  it('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const text = 'name,note\r\n"Smith, John","said ""hi""\nthen left"\r\nMary,\r\n';
+    expect(parseDelimited(text)).toEqual([
+      ['name', 'note'],
+      ['Smith, John', 'said "hi"\nthen left'],
+      ['Mary', '']
+    ]);
+  });
+
+  it('keeps blank lines as empty rows and drops a byte order mark', () => {
+    expect(parseDelimited('\uFEFFa;b\n\n1;2\n')).toEqual([['a', 'b'], [''], ['1', '2']]);
+  });
+});
+
+describe('sniffDelimiter', () => {
+  it('picks the delimiter that splits every line alike', () => {
+    expect(sniffDelimiter('name\tborn\nAnn\t1900')).toBe('\t');
+    expect(sniffDelimiter('name;born;place\nAnn;1900;Riga, Latvia')).toBe(';');
+    expect(sniffDelimiter('name,born\nAnn,1900')).toBe(',');
+  });
+});
+
+describe('formatDelimited', () => {
+  it('quotes only what needs it and reads back the same', () => {
+    const rows = [['id', 'name'], ['p1', 'Smith, "Jack"'], ['p2', ' padded'], ['p3', null]];
+    const text = formatDelimited(rows);
+    expect(text).toBe('id,name\r\np1,"Smith, ""Jack"""\r\np2," padded"\r\np3,\r\n');
+    expect(parseDelimited(text)).toEqual([['id', 'name'], ['p1', 'Smith, "Jack"'], ['p2', ' padded'], ['p3', '']]);
+  });
+});
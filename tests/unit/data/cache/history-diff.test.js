@@ -0,0 +1,79 @@
+// history-diff.test.js
+// A step holds only the differences between two states and can be applied both ways.
+
+import { describe, it, expect } from 'vitest';
+import {
+  captureState,
+  diffSnapshots,
+  applyChanges,
+  cloneSnapshot,
+  snapshotToState
+} from '../../../../src/data/cache/history-diff.js';
+
+function makeTreeCore() {
+  return {
+    personData: new Map([
+      ['p1', { id: 'p1', name: 'Anna' }],
+      ['p2', { id: 'p2', name: 'Boris' }]
+    ]),
+    hiddenConnections: new Set(['p2-p1-spouse', 'p1-p2-parent']),
+    lineOnlyConnections: new Set(),
+    displayPreferences: { showMaidenName: true },
+    nodeStyle: 'circle',
+    nodeRadius: 50,
+    renderer: {
+      nodes: new Map([['p1', { id: 'p1', x: 0, y: 0 }]]),
+      settings: {},
+      getCamera: () => ({ x: 10, y: 20, scale: 1 })
+    }
+  };
+}
+
+describe('history-diff', () => {
+  it('finds added, changed and removed items and changed tree fields', () => {
+    const tc = makeTreeCore();
+    const before = captureState(tc);
+    tc.personData.get('p1').name = 'Anna Maria';
+    tc.personData.delete('p2');
+    tc.personData.set('p3', { id: 'p3', name: 'Clara' });
+    tc.nodeStyle = 'rectangle';
+    const after = captureState(tc);
+
+    const changes = diffSnapshots(before, after);
+    expect(changes.map((c) => `${c.scope}:${c.key}`).sort())
+      .toEqual(['fields:nodeStyle', 'persons:p1', 'persons:p2', 'persons:p3']);
+    expect(changes.find((c) => c.key === 'p2')).toMatchObject({ after: null });
+    expect(changes.find((c) => c.key === 'p3')).toMatchObject({ before: null });
+  });
+
+  it('ignores the order in which connections were hidden', () => {
+    const tc = makeTreeCore();
+    const before = captureState(tc);
+    tc.hiddenConnections = new Set(['p1-p2-parent', 'p2-p1-spouse']);
+    expect(diffSnapshots(before, captureState(tc))).toEqual([]);
+  });
+
+  it('applies changes forward and backward', () => {
+    const tc = makeTreeCore();
+    const before = captureState(tc);
+    tc.personData.delete('p2');
+    tc.renderer.nodes.get('p1').x = 99;
+    const after = captureState(tc);
+    const changes = diffSnapshots(before, after);
+
+    const head = cloneSnapshot(before);
+    applyChanges(head, changes, 'forward');
+    expect(diffSnapshots(head, after)).toEqual([]);
+    applyChanges(head, changes, 'backward');
+    expect(diffSnapshots(head, before)).toEqual([]);
+  });
+
+  it('turns a snapshot back into live objects for restoreState', () => {
+    const state = snapshotToState(captureState(makeTreeCore()));
+    expect(state.personData.get('p2')).toEqual({ id: 'p2', name: 'Boris' });
+    expect(state.nodes.get('p1')).toEqual({ id: 'p1', x: 0, y: 0 });
+    expect(state.hiddenConnections).toEqual(new Set(['p1-p2-parent', 'p2-p1-spouse']));
+    expect(state.camera).toEqual({ x: 10, y: 20, scale: 1 });
+    expect(state.nodeStyle).toBe('circle');
+  });
+});
@@ -114,4 +114,39 @@ describe('export/import with media', () => {
     const docs = await repo2.getDocumentsForPerson('p1');
     expect(docs).toHaveLength(0);
   });
+
+  it('round-trips sources and drops citations of missing persons', async () => {
+    await repo.savePerson({ id: 'p1', name: 'A' });
+    await repo.saveSourceRecords([
+      { id: 'src1', kind: 'source', title: 'Parish register' },
+      { id: 'cit1', kind: 'citation', sourceId: 'src1', personId: 'p1', fact: 'birth', page: 'f. 12' },
+      { id: 'cit2', kind: 'citation', sourceId: 'src1', personId: 'gone', fact: 'birth', page: '' }
+    ]);
+    const exported = await buildExport(repo);
+    expect(exported.sources.map((r) => r.id).sort()).toEqual(['cit1', 'cit2', 'src1']);
+
+    globalThis.indexedDB = new IDBFactory();
+    const repo2 = new IndexedDBRepository('TestDB', 4);
+    await repo2.initialize();
+    await applyImport(repo2, exported);
+    expect((await repo2.getSourceRecords()).map((r) => r.id).sort()).toEqual(['cit1', 'src1']);
+    expect((await repo2.getCitationsForPerson('p1'))[0].page).toBe('f. 12');
+  });
+
+  it('round-trips the place registry', async () => {
+    await repo.savePerson({ id: 'p1', name: 'A' });
+    await repo.savePlaces([
+      { id: 'ua', name: 'Ukraine', parentId: '' },
+      { id: 'kyiv', name: 'Kyiv', parentId: 'ua', latitude: 50.45, longitude: 30.52 }
+    ]);
+    const exported = await buildExport(repo);
+    expect(exported.places.map((p) => p.id).sort()).toEqual(['kyiv', 'ua']);
+
+    globalThis.indexedDB = new IDBFactory();
+    const repo2 = new IndexedDBRepository('TestDB', 4);
+    await repo2.initialize();
+    await applyImport(repo2, exported);
+    const kyiv = (await repo2.getPlaces()).find((p) => p.id === 'kyiv');
+    expect(kyiv).toMatchObject({ parentId: 'ua', latitude: 50.45 });
+  });
 });
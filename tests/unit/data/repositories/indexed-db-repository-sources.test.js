@@ -0,0 +1,59 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+
+describe('IndexedDBRepository sources store', () => {
+  let repo;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    repo = new IndexedDBRepository('TestSourcesDB');
+    await repo.initialize();
+  });
+
+  afterEach(() => { repo?.close(); });
+
+  const records = [
+    { id: 'repo1', kind: 'repository', name: 'State Archive' },
+    { id: 'src1', kind: 'source', title: 'Parish register', repositoryId: 'repo1' },
+    { id: 'cit1', kind: 'citation', sourceId: 'src1', personId: 'p1', fact: 'birth', page: 'f. 12' },
+    { id: 'cit2', kind: 'citation', sourceId: 'src1', personId: 'p1', fact: 'marriage:m1', page: 'f. 40' },
+    { id: 'cit3', kind: 'citation', sourceId: 'src1', personId: 'p2', fact: 'death', page: '' }
+  ];
+
+  it('creates the sources store with kind, personId and fact indexes', () => {
+    const tx = repo._dbForTest().transaction(['sources'], 'readonly');
+    expect(Array.from(tx.objectStore('sources').indexNames).sort()).toEqual(['fact', 'kind', 'personId']);
+  });
+
+  it('saves a record with timestamps and reads it back', async () => {
+    await repo.saveSourceRecord(records[1]);
+    const saved = await repo.getSourceRecord('src1');
+    expect(saved.title).toBe('Parish register');
+    expect(saved.createdAt).toBeTypeOf('number');
+    expect(saved.updatedAt).toBeTypeOf('number');
+    expect(await repo.getSourceRecord('missing')).toBeNull();
+  });
+
+  it('rejects records without id or kind', async () => {
+    await expect(repo.saveSourceRecord({ id: 'x' })).rejects.toThrow(/id and kind/);
+  });
+
+  it('lists records by kind and citations by person and fact', async () => {
+    await repo.saveSourceRecords(records);
+    expect((await repo.getSourceRecords()).length).toBe(5);
+    expect((await repo.getSourceRecords('repository')).map((r) => r.id)).toEqual(['repo1']);
+    expect((await repo.getCitationsForPerson('p1')).map((c) => c.id).sort()).toEqual(['cit1', 'cit2']);
+    expect((await repo.getCitationsForFact('marriage:m1')).map((c) => c.id)).toEqual(['cit2']);
+  });
+
+  it('deletes the citations of a person and keeps sources', async () => {
+    await repo.saveSourceRecords(records);
+    expect((await repo.deleteCitationsForPerson('p1')).sort()).toEqual(['cit1', 'cit2']);
+    expect(await repo.getCitationsForPerson('p1')).toEqual([]);
+    expect(await repo.getSourceRecord('src1')).not.toBeNull();
+    await repo.deleteSourceRecord('cit3');
+    expect(await repo.getSourceRecords('citation')).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  TreeLibraryRepository,
+  DEFAULT_TREE_ID,
+  treeDatabaseName,
+  treeCacheKey
+} from '../../../../src/data/repositories/tree-library-repository.js';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+
+describe('TreeLibraryRepository', () => {
+  let library;
+
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    localStorage.clear();
+    library = new TreeLibraryRepository();
+  });
+
+  afterEach(() => { library.close(); });
+
+  it('keeps the existing database and cache key for the default tree', () => {
+    expect(treeDatabaseName(DEFAULT_TREE_ID)).toBe('FamilyTreeDB');
+    expect(treeCacheKey(DEFAULT_TREE_ID)).toBe('familyTreeCanvas_state');
+    expect(treeDatabaseName('t_1')).toBe('FamilyTreeDB_t_1');
+    expect(treeCacheKey('t_1')).toBe('familyTreeCanvas_state_t_1');
+  });
+
+  it('registers existing data as the default tree under its saved name', async () => {
+    localStorage.setItem('familyTree_treeName', 'Smith family');
+    const trees = await library.ensureDefaultTree();
+    expect(trees).toHaveLength(1);
+    expect(trees[0]).toMatchObject({ id: DEFAULT_TREE_ID, name: 'Smith family' });
+
+    // Only once
+    await library.createTree('Jones family');
+    expect((await library.ensureDefaultTree()).map((tree) => tree.name)).toEqual(['Smith family', 'Jones family']);
+  });
+
+  it('defaults to the default tree and remembers the open tree and its name', async () => {
+    expect(TreeLibraryRepository.getActiveTreeId()).toBe(DEFAULT_TREE_ID);
+    const tree = await library.createTree('Jones family');
+    TreeLibraryRepository.setActiveTree(tree);
+    expect(TreeLibraryRepository.getActiveTreeId()).toBe(tree.id);
+
+    await library.renameTree(tree.id, '  Jones & Co  ');
+    expect((await library.getTree(tree.id)).name).toBe('Jones & Co');
+    expect(localStorage.getItem('familyTree_treeName')).toBe('Jones & Co');
+  });
+
+  it('duplicates a tree with its persons, media and backup blob', async () => {
+    await library.ensureDefaultTree();
+    const source = new IndexedDBRepository(treeDatabaseName(DEFAULT_TREE_ID));
+    await source.savePersonsBatch([{ id: 'p1', name: 'Ann' }, { id: 'p2', name: 'Bob' }]);
+    await source.saveMedia({ id: 'm1', blob: new Blob(['photo']), mimeType: 'image/png', byteLength: 5 });
+    await source.saveMetadata('treeState', { nodeStyle: 'rectangle' });
+    source.close();
+    localStorage.setItem(treeCacheKey(DEFAULT_TREE_ID), '{"persons":[]}');
+
+    const copy = await library.duplicateTree(DEFAULT_TREE_ID, 'Copy');
+    expect(copy.name).toBe('Copy');
+
+    const copied = new IndexedDBRepository(treeDatabaseName(copy.id));
+    expect((await copied.getAllPersons()).map((p) => p.id).sort()).toEqual(['p1', 'p2']);
+    expect(await copied.getMedia('m1')).not.toBeNull();
+    expect(await copied.getMetadata('treeState')).toEqual({ nodeStyle: 'rectangle' });
+    copied.close();
+    expect(localStorage.getItem(treeCacheKey(copy.id))).toBe('{"persons":[]}');
+  });
+
+  it('deletes a tree with its database and backup blob', async () => {
+    const tree = await library.createTree('Temporary');
+    const repo = new IndexedDBRepository(treeDatabaseName(tree.id));
+    await repo.savePerson({ id: 'p1', name: 'Ann' });
+    repo.close();
+    localStorage.setItem(treeCacheKey(tree.id), '{}');
+
+    await library.deleteTree(tree.id);
+
+    expect(await library.getTree(tree.id)).toBeNull();
+    expect(localStorage.getItem(treeCacheKey(tree.id))).toBeNull();
+    const reopened = new IndexedDBRepository(treeDatabaseName(tree.id));
+    expect(await reopened.countPersons()).toBe(0);
+    reopened.close();
+  });
+});
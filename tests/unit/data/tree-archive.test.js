@@ -0,0 +1,160 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { IndexedDBRepository } from '../../../src/data/repositories/indexed-db-repository.js';
+import { buildArchive, applyImport } from '../../../src/data/core-export.js';
+import { readTreeArchive, sha256Hex, isZipData, ARCHIVE_SCHEMA_VERSION } from '../../../src/data/tree-archive.js';
+
+async function freshRepo() {
+  globalThis.indexedDB = new IDBFactory();
+  const repo = new IndexedDBRepository('TestDB', 4);
+  await repo.initialize();
+  return repo;
+}
+
+async function archiveOf(repo) {
+  const chunks = [];
+  let finals = 0;
+  const tree = await buildArchive(repo, null, { nodeStyle: 'circle' }, async (chunk, final) => {
+    chunks.push(chunk);
+    if (final) finals++;
+  });
+  expect(finals).toBe(1);
+  return { tree, blob: new Blob(chunks, { type: 'application/zip' }) };
+}
+
+// Stores the files uncompressed and flips one byte of `needle` inside `path`, so that entry fails its CRC-32
+function zipWithFlippedByte(files, path, needle) {
+  const bytes = zipSync(files, { level: 0 });
+  const text = strFromU8(bytes, true);
+  const at = text.indexOf(needle, text.indexOf(path) + path.length);
+  expect(at).toBeGreaterThan(0);
+  bytes[at] ^= 0x01;
+  return new Blob([bytes]);
+}
+
+describe('.mmr archive', () => {
+  let repo;
+  beforeEach(async () => {
+    repo = await freshRepo();
+    await repo.saveMedia({ id: 'm1', blob: new Blob(['photo-bytes'], { type: 'image/jpeg' }), mimeType: 'image/jpeg', byteLength: 11, width: 4, height: 4 });
+    await repo.saveMedia({ id: 'm_pdf', blob: new Blob(['%PDF-scan']), mimeType: 'application/pdf', byteLength: 9 });
+    await repo.saveMedia({ id: 'm_thumb', blob: new Blob(['thumb']), mimeType: 'image/jpeg', byteLength: 5 });
+    await repo.savePerson({ id: 'p1', name: 'A', photo: { mediaId: 'm1', transform: { x: 0.5, y: 0.5, scale: 1 } } });
+    await repo.saveDocument({ id: 'd1', personId: 'p1', mediaId: 'm_pdf', thumbnailMediaId: 'm_thumb', kind: 'pdf', title: 'Cert', type: 'certificate', createdAt: 1, updatedAt: 1 });
+  });
+
+  it('stores media as raw files in folders beside tree.json and a manifest of checksums', async () => {
+    const { blob } = await archiveOf(repo);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    expect(isZipData(bytes)).toBe(true);
+
+    const files = unzipSync(bytes);
+    expect(Object.keys(files).sort()).toEqual([
+      'manifest.json', 'media/documents/m_pdf.pdf', 'media/photos/m1.jpg', 'media/thumbnails/m_thumb.jpg', 'tree.json'
+    ]);
+    expect(strFromU8(files['media/photos/m1.jpg'])).toBe('photo-bytes');
+
+    const manifest = JSON.parse(strFromU8(files['manifest.json']));
+    expect(manifest).toMatchObject({ format: 'mmr', schemaVersion: ARCHIVE_SCHEMA_VERSION, exportVersion: '2.2.0' });
+    const photo = manifest.entries.find((entry) => entry.path === 'media/photos/m1.jpg');
+    expect(photo).toEqual({ path: 'media/photos/m1.jpg', size: 11, sha256: await sha256Hex(strToU8('photo-bytes')) });
+
+    const tree = JSON.parse(strFromU8(files['tree.json']));
+    expect(tree.nodeStyle).toBe('circle');
+    expect(tree.media.find((m) => m.id === 'm1')).toMatchObject({ path: 'media/photos/m1.jpg', mimeType: 'image/jpeg', byteLength: 11 });
+    expect(JSON.stringify(tree)).not.toContain('base64');
+  });
+
+  it('round-trips persons, documents and media', async () => {
+    const { blob } = await archiveOf(repo);
+    const { data } = await readTreeArchive(blob);
+    const repo2 = await freshRepo();
+    const report = await applyImport(repo2, data);
+
+    expect(report.corrupt).toEqual([]);
+    expect(await (await repo2.getMedia('m1')).blob.text()).toBe('photo-bytes');
+    expect((await repo2.getMedia('m_pdf')).mimeType).toBe('application/pdf');
+    expect((await repo2.getAllPersons())[0].photo.mediaId).toBe('m1');
+    expect(await repo2.getDocumentsForPerson('p1')).toHaveLength(1);
+  });
+
+  it('reports damaged and missing media and imports the rest', async () => {
+    const { blob } = await archiveOf(repo);
+    const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+    files['media/photos/m1.jpg'] = strToU8('photo-bytez');
+    delete files['media/thumbnails/m_thumb.jpg'];
+    const { data } = await readTreeArchive(new Blob([zipSync(files)]));
+
+    const repo2 = await freshRepo();
+    const report = await applyImport(repo2, data);
+    expect(report.corrupt).toEqual([
+      { id: 'm1', path: 'media/photos/m1.jpg', reason: 'checksum' },
+      { id: 'm_thumb', path: 'media/thumbnails/m_thumb.jpg', reason: 'missing' }
+    ]);
+    expect(await repo2.getMedia('m1')).toBeNull();
+    expect((await repo2.getAllPersons())[0].photo).toBeNull();
+    const [doc] = await repo2.getDocumentsForPerson('p1');
+    expect(doc.thumbnailMediaId).toBeNull();
+  });
+
+  it('reports media whose zip entry fails its CRC as damaged', async () => {
+    const { blob } = await archiveOf(repo);
+    const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+    const { data, damaged } = await readTreeArchive(zipWithFlippedByte(files, 'media/photos/m1.jpg', 'photo-bytes'));
+    expect(damaged).toEqual(['media/photos/m1.jpg']);
+
+    const repo2 = await freshRepo();
+    const report = await applyImport(repo2, data);
+    expect(report.corrupt).toEqual([{ id: 'm1', path: 'media/photos/m1.jpg', reason: 'checksum' }]);
+    expect(await repo2.getMedia('m1')).toBeNull();
+    expect(await repo2.getMedia('m_pdf')).not.toBeNull();
+  });
+
+  it('refuses archives with a damaged tree, a newer schema or no manifest', async () => {
+    const { blob } = await archiveOf(repo);
+    const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+
+    const damaged = { ...files, 'tree.json': strToU8(strFromU8(files['tree.json']).replace('"A"', '"B"')) };
+    await expect(readTreeArchive(new Blob([zipSync(damaged)]))).rejects.toThrow(/tree\.json is damaged/);
+    await expect(readTreeArchive(zipWithFlippedByte(files, 'tree.json', '"name"'))).rejects.toThrow(/tree\.json is damaged/);
+
+    const manifest = JSON.parse(strFromU8(files['manifest.json']));
+    const newer = { ...files, 'manifest.json': strToU8(JSON.stringify({ ...manifest, schemaVersion: ARCHIVE_SCHEMA_VERSION + 1 })) };
+    await expect(readTreeArchive(new Blob([zipSync(newer)]))).rejects.toThrow(/newer version/);
+
+    await expect(readTreeArchive(new Blob([zipSync({ 'tree.json': files['tree.json'] })]))).rejects.toThrow(/manifest\.json is missing/);
+  });
+});
+
+describe('.mmr archive media bytes', () => {
+  // Zip signatures inside a file must not end or split its entry
+  const SIGNATURES = { descriptor: [0x50, 0x4b, 0x07, 0x08], central: [0x50, 0x4b, 0x01, 0x02], local: [0x50, 0x4b, 0x03, 0x04] };
+
+  function binaryWith(signature) {
+    const bytes = new Uint8Array(5000);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = (i * 31 + 7) % 256;
+    bytes.set(signature, 100);
+    bytes.set(signature, 2984);
+    return bytes;
+  }
+
+  for (const [name, signature] of Object.entries(SIGNATURES)) {
+    it(`round-trips a media file containing the ${name} signature`, async () => {
+      const repo = await freshRepo();
+      const bytes = binaryWith(signature);
+      await repo.saveMedia({ id: 'm1', blob: new Blob([bytes], { type: 'image/jpeg' }), mimeType: 'image/jpeg', byteLength: bytes.length });
+      await repo.savePerson({ id: 'p1', name: 'A', photo: { mediaId: 'm1', transform: { x: 0.5, y: 0.5, scale: 1 } } });
+
+      const { blob } = await archiveOf(repo);
+      const { data } = await readTreeArchive(blob);
+      const repo2 = await freshRepo();
+      const report = await applyImport(repo2, data);
+
+      expect(report.corrupt).toEqual([]);
+      const stored = new Uint8Array(await (await repo2.getMedia('m1')).blob.arrayBuffer());
+      expect(stored).toEqual(bytes);
+    });
+  }
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseDateValue, isValidDateValue, formatDateValue, formatLifespanShort } from '../../src/utils/date-value.js';
+import { parseDateValue, isValidDateValue, formatDateValue, formatLifespanShort, makeDateValue, dateSortKey } from '../../src/utils/date-value.js';
 import { createDateInput } from '../../src/ui/components/date-input.js';
 
 describe('parseDateValue', () => {
@@ -13,6 +13,11 @@ describe('parseDateValue', () => {
     expect(parseDateValue('30-10-1906')).toEqual(expected);
   });
 
+  it('parses mm.yyyy into a month-precision DateValue', () => {
+    expect(parseDateValue('03.1850')).toEqual({ year: 1850, month: 3, estimated: false });
+    expect(parseDateValue('13.1850')).toMatchObject({ error: true });
+  });
+
   it('parses yyyy-only into a year-only DateValue', () => {
     expect(parseDateValue('1906')).toEqual({ year: 1906, estimated: false });
   });
@@ -53,10 +58,18 @@ describe('isValidDateValue', () => {
     expect(isValidDateValue({ error: true, raw: 'foo' })).toBe(false);
   });
 
-  it('rejects half-dates (year+month-only or year+day-only)', () => {
-    expect(isValidDateValue({ year: 1906, month: 10, estimated: false })).toBe(false);
+  it('accepts month precision but rejects a day without a month', () => {
+    expect(isValidDateValue({ year: 1906, month: 10, estimated: false })).toBe(true);
     expect(isValidDateValue({ year: 1906, day: 30, estimated: false })).toBe(false);
   });
+
+  it('validates qualifiers and range bounds', () => {
+    expect(isValidDateValue({ year: 1850, estimated: true, qualifier: 'between', end: { year: 1860 } })).toBe(true);
+    expect(isValidDateValue({ year: 1850, estimated: true, qualifier: 'between' })).toBe(false);
+    expect(isValidDateValue({ year: 1850, estimated: false, qualifier: 'someday' })).toBe(false);
+    expect(isValidDateValue({ year: 1850, estimated: false, qualifier: 'from', end: { year: 1860, day: 3 } })).toBe(false);
+    expect(isValidDateValue({ year: 1850, estimated: false, calendar: 'mayan' })).toBe(false);
+  });
 });
 
 describe('formatDateValue', () => {
@@ -159,3 +172,97 @@ describe('createDateInput', () => {
     expect(handle.checkbox.checked).toBe(true);
   });
 });
+
+describe('formatDateValue — qualified dates', () => {
+  const between = makeDateValue('between', { year: 1850 }, { year: 1860 });
+  const period = makeDateValue('from', { year: 1850, month: 3 }, { year: 1860 });
+  const about = makeDateValue('about', { year: 1850, month: 3, day: 12 });
+  const interpreted = makeDateValue('interpreted', { year: 1850 }, null, 'parish record');
+
+  it('formats every qualifier in English', () => {
+    expect(formatDateValue(between, 'en')).toBe('bet. 1850 and 1860');
+    expect(formatDateValue(period, 'en')).toBe('from Mar 1850 to 1860');
+    expect(formatDateValue(makeDateValue('from', { year: 1850 }), 'en')).toBe('from 1850');
+    expect(formatDateValue(makeDateValue('to', { year: 1860 }), 'en')).toBe('to 1860');
+    expect(formatDateValue(about, 'en')).toBe('abt. 12 Mar 1850');
+    expect(formatDateValue(makeDateValue('before', { year: 1850 }), 'en')).toBe('bef. 1850');
+    expect(formatDateValue(makeDateValue('after', { year: 1850 }), 'en')).toBe('aft. 1850');
+    expect(formatDateValue(makeDateValue('calculated', { year: 1850 }), 'en')).toBe('calc. 1850');
+    expect(formatDateValue(interpreted, 'en')).toBe('int. 1850 (parish record)');
+  });
+
+  it('formats ranges in German, Spanish and Russian', () => {
+    expect(formatDateValue(between, 'de')).toBe('zw. 1850 und 1860');
+    expect(formatDateValue(period, 'de')).toBe('von März 1850 bis 1860');
+    expect(formatDateValue(between, 'es')).toBe('entre 1850 y 1860');
+    expect(formatDateValue(period, 'es')).toBe('de mar. 1850 a 1860');
+    expect(formatDateValue(between, 'ru')).toBe('между 1850 и 1860');
+    expect(formatDateValue(period, 'ru')).toBe('с мар. 1850 по 1860');
+  });
+
+  it('uses the standalone month name for month precision in Russian', () => {
+    expect(formatDateValue({ year: 1850, month: 5, estimated: false }, 'ru')).toBe('май 1850');
+    expect(formatDateValue({ year: 1850, month: 5, day: 1, estimated: false }, 'ru')).toBe('1 мая 1850');
+  });
+
+  it('shows dual years, B.C. and non-Gregorian calendars', () => {
+    expect(formatDateValue({ year: 1700, dualYear: 1701, month: 2, day: 11, estimated: false }, 'en')).toBe('11 Feb 1700/01');
+    expect(formatDateValue({ year: 44, bc: true, estimated: false }, 'de')).toBe('44 v. Chr.');
+    expect(formatDateValue({ year: 1700, month: 2, day: 11, calendar: 'julian', estimated: false }, 'en'))
+      .toBe('11 Feb 1700 (Julian)');
+    expect(formatDateValue({ year: 5600, month: 1, day: 1, calendar: 'hebrew', estimated: false }, 'en'))
+      .toBe('1 Tishrei 5600 (Hebrew)');
+  });
+
+  it('names Hebrew and French Republican months in every language', () => {
+    const hebrew = { year: 5600, month: 8, day: 15, calendar: 'hebrew', estimated: false };
+    const republican = { year: 2, month: 11, day: 9, calendar: 'french_r', estimated: false };
+    expect(formatDateValue(hebrew, 'de')).toBe('15. Nisan 5600 (hebräisch)');
+    expect(formatDateValue(hebrew, 'es')).toBe('15 Nisán 5600 (hebreo)');
+    expect(formatDateValue(republican, 'de')).toBe('9. Thermidor 2 (republikanisch)');
+    expect(formatDateValue(republican, 'es')).toBe('9 termidor 2 (republicano)');
+  });
+});
+
+describe('dateSortKey', () => {
+  it('orders by year, month and day with partial dates first in their year', () => {
+    const dates = [
+      { year: 1850, month: 3, day: 2 },
+      { year: 1850 },
+      { year: 1849, month: 12 },
+      { year: 44, bc: true },
+      { year: 1850, month: 3 }
+    ];
+    const sorted = [...dates].sort((a, b) => dateSortKey(a) - dateSortKey(b));
+    expect(sorted).toEqual([dates[3], dates[2], dates[1], dates[4], dates[0]]);
+  });
+
+  it('returns null without a usable date', () => {
+    expect(dateSortKey(null)).toBeNull();
+    expect(dateSortKey({ error: true, raw: 'x' })).toBeNull();
+  });
+});
+
+describe('createDateInput — qualified dates', () => {
+  it('hands a qualified date back unchanged until the text is edited', () => {
+    document.body.innerHTML = '';
+    const handle = createDateInput({ idPrefix: 'birth', container: document.body });
+    const value = makeDateValue('between', { year: 1850 }, { year: 1860 });
+    handle.setValue(value);
+    expect(handle.text.value).toBe('bet. 1850 and 1860');
+    expect(handle.checkbox.disabled).toBe(true);
+    expect(handle.getValue()).toEqual(value);
+
+    handle.text.value = '1855';
+    expect(handle.getValue()).toEqual({ year: 1855, estimated: true });
+    expect(handle.checkbox.disabled).toBe(false);
+  });
+
+  it('shows month precision as mm.yyyy', () => {
+    document.body.innerHTML = '';
+    const handle = createDateInput({ idPrefix: 'birth', container: document.body });
+    handle.setValue({ year: 1850, month: 3, estimated: false });
+    expect(handle.text.value).toBe('03.1850');
+    expect(handle.getValue()).toEqual({ year: 1850, month: 3, estimated: false });
+  });
+});
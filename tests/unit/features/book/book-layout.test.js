@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { layoutBook, wrapText } from '../../../../src/features/book/book-layout.js';
+import { pedigreeChart } from '../../../../src/features/book/book-pedigree.js';
+
+const measure = (text) => text.length * 10;
+
+describe('wrapText', () => {
+  it('breaks at spaces, keeps newlines and cuts words longer than a line', () => {
+    expect(wrapText('one two three four', 90, measure)).toEqual(['one two', 'three', 'four']);
+    expect(wrapText('a\nb', 100, measure)).toEqual(['a', 'b']);
+    expect(wrapText('abcdefghijkl', 50, measure)).toEqual(['abcde', 'fghij', 'kl']);
+  });
+});
+
+describe('layoutBook', () => {
+  const chapter = (title, fields = {}) => ({ title, paragraphs: [`${title} lived.`], ...fields });
+
+  it('starts every chapter on a new page after the title page', () => {
+    const { pages, chapterPages } = layoutBook({ title: 'Smiths', chapters: [chapter('A'), chapter('B')] });
+    expect(pages).toHaveLength(3);
+    expect(chapterPages).toEqual([2, 3]);
+    expect(pages[0]).toContain('>Smiths</text>');
+    expect(pages[1]).toContain('>A lived.</text>');
+    // Page numbers on all but the title page
+    expect(pages[1]).toContain('>2</text>');
+  });
+
+  it('flows long text over pages and indexes surnames and places by the chapter\'s page', () => {
+    const long = Array.from({ length: 1500 }, (_, i) => `word${i}`).join(' ');
+    const { pages, chapterPages, surnameIndex, placeIndex } = layoutBook({
+      title: 'Book',
+      chapters: [
+        chapter('A', { paragraphs: [long], surnames: ['Smith'], places: ['Riga'] }),
+        chapter('B', { surnames: ['smith', 'Brown'], places: ['Riga', 'Kyiv'] })
+      ]
+    });
+    expect(chapterPages[1] - chapterPages[0]).toBeGreaterThan(1);
+    expect(surnameIndex).toEqual([
+      { value: 'Brown', pages: [chapterPages[1]] },
+      { value: 'Smith', pages: chapterPages }
+    ]);
+    expect(placeIndex.map((e) => e.value)).toEqual(['Kyiv', 'Riga']);
+    expect(pages.at(-1)).toContain('Index of places');
+    expect(pages.at(-2)).toContain(`Smith · ${chapterPages.join(', ')}`);
+  });
+
+  it('places photos, figures with numbered captions and charts, escaping all text', () => {
+    const image = { href: 'data:image/jpeg;base64,AAAA', width: 300, height: 400 };
+    const { pages } = layoutBook({
+      title: 'Book',
+      chapters: [chapter('Tom <"&">', {
+        photo: image,
+        figures: [{ ...image, caption: 'Birth record' }],
+        pedigree: { content: '<rect width="10" height="10"/>', width: 10, height: 10 }
+      })]
+    }, { labels: { figure: 'Fig. {{n}}' } });
+    expect(pages[1]).toContain('Tom &lt;&quot;&amp;&quot;&gt;');
+    expect(pages[1].match(/<image /g)).toHaveLength(2);
+    expect(pages[1]).toContain('Fig. 1: Birth record');
+    expect(pages[1]).toContain('<rect width="10" height="10"/>');
+  });
+});
+
+describe('pedigreeChart', () => {
+  const p = (id, fields = {}) => ({ id, name: id, surname: '', birth: { date: null }, death: { date: null }, ...fields });
+
+  it('draws the person, parents and grandparents that are in the tree', () => {
+    const data = new Map([
+      ['me', p('me', { fatherId: 'dad', motherId: 'mum' })],
+      ['dad', p('dad', { fatherId: 'gramps', birth: { date: { year: 1900 } } })],
+      ['mum', p('mum')],
+      ['gramps', p('gramps')]
+    ]);
+    const chart = pedigreeChart('me', data);
+    expect(chart.content.match(/<rect /g)).toHaveLength(4);
+    expect(chart.content).toContain('>1900</text>');
+    expect(chart.width).toBeGreaterThan(chart.height);
+    expect(pedigreeChart('mum', data)).toBeNull();
+  });
+});
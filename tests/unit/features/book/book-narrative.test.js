@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { personChapterText } from '../../../../src/features/book/book-narrative.js';
+import ru from '../../../../public/assets/locales/ru.json';
+import de from '../../../../public/assets/locales/de.json';
+import { person, tree } from '../fixtures.js';
+
+// Looks keys up in a locale file the way window.i18n does
+function translator(locale) {
+  return (key, fallback) => key.split('.').reduce((node, part) => node?.[part], locale) ?? fallback;
+}
+
+const family = () => tree(
+  person('john', {
+    name: 'John', surname: 'Smith', gender: 'male', fatherId: 'will', motherId: 'mary',
+    birth: { date: { year: 1880, month: 5, day: 3 }, place: 'Odessa' },
+    death: { date: { year: 1950 }, place: 'Riga' },
+    marriages: [{ id: 'm1', spouseId: 'anna', date: { year: 1905, month: 6 }, place: 'Kyiv' }],
+    events: [{ id: 'e1', type: 'occupation', description: 'Teacher', date: { year: 1910 }, place: 'Riga' }],
+    notes: 'Kept bees.'
+  }),
+  person('will', { name: 'William', surname: 'Smith', gender: 'male' }),
+  person('mary', { name: 'Mary', surname: 'Smith', maidenName: 'Brown', gender: 'female' }),
+  person('anna', { name: 'Anna', surname: 'Smith', gender: 'female', marriages: [{ id: 'm1', spouseId: 'john' }] }),
+  person('kid', { name: 'Paul', surname: 'Smith', fatherId: 'john', motherId: 'anna', birth: { date: { year: 1907 } } })
+);
+
+describe('personChapterText', () => {
+  it('writes the life of a person as English prose', () => {
+    const data = family();
+    const text = personChapterText(data.get('john'), data);
+    expect(text.title).toBe('John Smith');
+    expect(text.lifespan).toBe('1880 – 1950');
+    expect(text.paragraphs).toEqual([
+      'John Smith was born on 3 May 1880 in Odessa. He was the son of William Smith and Mary Smith.',
+      'John married Anna Smith in Jun 1905 in Kyiv. Child: Paul Smith.',
+      'John died in 1950 in Riga at the age of 69.'
+    ]);
+    expect(text.events).toHaveLength(1);
+    expect(text.notes).toBe('Kept bees.');
+    expect(text.places).toEqual(['Odessa', 'Kyiv', 'Riga']);
+  });
+
+  it('uses the gendered sentences of the reader\'s language', () => {
+    const data = family();
+    const ruText = personChapterText(data.get('john'), data, { t: translator(ru), locale: 'ru' });
+    expect(ruText.paragraphs[0]).toBe('John Smith родился 3 мая 1880 года, место: Odessa. Отец — William Smith, мать — Mary Smith.');
+    const daughter = person('eva', { name: 'Eva', gender: 'female', birth: { date: { year: 1910 } } });
+    expect(personChapterText(daughter, tree(daughter), { t: translator(ru), locale: 'ru' }).paragraphs[0])
+      .toBe('Eva родилась в 1910 году.');
+    const deText = personChapterText(data.get('john'), data, { t: translator(de), locale: 'de' });
+    expect(deText.paragraphs[0]).toBe('John Smith wurde am 3. Mai 1880 in Odessa geboren. Er war der Sohn von William Smith und Mary Smith.');
+  });
+
+  it('indexes a person under their surname and maiden name', () => {
+    const data = family();
+    expect(personChapterText(data.get('mary'), data).surnames).toEqual(['Smith', 'Brown']);
+    expect(personChapterText(data.get('will'), data).paragraphs).toEqual(['Child: John Smith.']);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { sectorColors, dataCompleteness } from '../../../../src/features/charts/fan-chart-colors.js';
+import { makePlace } from '../../../../src/features/places/place-model.js';
+
+const personData = new Map([
+  ['a', {
+    id: 'a', name: 'Ivan', surname: 'Petrov', gender: 'male', fatherId: 'b', motherId: 'c',
+    birth: { date: { year: 1880 }, place: 'Odessa' }, death: { date: { year: 1950 }, place: 'Kyiv' }
+  }],
+  ['b', { id: 'b', name: 'Pyotr', gender: 'male', birth: { date: null, place: 'Lyon, France' } }],
+  ['c', { id: 'c', name: 'Anna', gender: 'female', birth: { date: null, place: '' } }]
+]);
+
+describe('dataCompleteness', () => {
+  it('counts the known main facts', () => {
+    expect(dataCompleteness(personData.get('a'), 2024)).toBe(1);
+    // Living: names, gender, birth and parents only; Pyotr has 3 of 7
+    expect(dataCompleteness(personData.get('b'), 2024)).toBeCloseTo(3 / 7);
+  });
+});
+
+describe('sectorColors', () => {
+  it('colors by birth country through the place registry', () => {
+    const places = [
+      makePlace({ id: 'ua', name: 'Ukraine', type: 'country' }),
+      makePlace({ id: 'od', name: 'Odessa', type: 'city', parentId: 'ua' })
+    ];
+    const { colors, legend } = sectorColors(personData, ['a', 'b', 'c'], 'country', { places });
+
+    expect(colors.get('a').fill).not.toBe(colors.get('b').fill);
+    expect(legend.map((entry) => entry.label)).toEqual(['France', 'Ukraine', 'Unknown']);
+    expect(legend.find((entry) => entry.key === 'unknown').fill).toBe(colors.get('c').fill);
+  });
+
+  it('colors by completeness in five steps', () => {
+    const { colors, legend } = sectorColors(personData, ['a', 'b'], 'completeness', { currentYear: 2024 });
+    expect(legend).toHaveLength(5);
+    expect(colors.get('a').fill).toBe(legend[4].fill);
+    expect(colors.get('b').fill).toBe(legend[2].fill);
+  });
+
+  it('uses the tree chart clan classes by default', () => {
+    const { colors, legend } = sectorColors(personData, ['a', 'c', 'missing'], 'clan');
+    expect(colors.get('a')).toEqual({ className: 'c-purple' });
+    expect(colors.get('c')).toEqual({ className: 'c-teal' });
+    expect(colors.has('missing')).toBe(false);
+    expect(legend).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  layoutFan,
+  ringRadii,
+  sectorPath,
+  sectorLabel,
+  fitLabel,
+  CENTER_RADIUS,
+  INNER_RING_WIDTH,
+  OUTER_RING_WIDTH,
+  FAN_MIN_GENERATIONS
+} from '../../../../src/features/charts/fan-chart-layout.js';
+
+const personData = new Map([
+  ['me', { id: 'me', name: 'Oleg', fatherId: 'dad', motherId: 'mom' }],
+  ['dad', { id: 'dad', name: 'Pyotr', fatherId: 'gf' }],
+  ['mom', { id: 'mom', name: 'Anna' }],
+  ['gf', { id: 'gf', name: 'Ivan' }]
+]);
+
+const bySlot = (layout, generation, slot) => layout.sectors.find((s) => s.generation === generation && s.slot === slot);
+
+describe('layoutFan', () => {
+  it('splits each sector between father (left) and mother (right)', () => {
+    const layout = layoutFan(personData, 'me', { generations: 3, shape: 'half' });
+
+    expect(bySlot(layout, 0, 0)).toMatchObject({ id: 'me', startAngle: -90, endAngle: 90, innerRadius: 0 });
+    expect(bySlot(layout, 1, 0)).toMatchObject({ id: 'dad', childId: 'me', startAngle: -90, endAngle: 0 });
+    expect(bySlot(layout, 1, 1)).toMatchObject({ id: 'mom', startAngle: 0, endAngle: 90 });
+    expect(bySlot(layout, 2, 0)).toMatchObject({ id: 'gf', startAngle: -90, endAngle: -45 });
+  });
+
+  it('keeps empty sectors for unknown parents of known persons only', () => {
+    const layout = layoutFan(personData, 'me', { generations: 4 });
+
+    expect(bySlot(layout, 2, 1)).toMatchObject({ id: null, childId: 'dad' });
+    expect(bySlot(layout, 2, 2)).toMatchObject({ id: null, childId: 'mom' });
+    // Nothing above an unknown person
+    expect(layout.sectors.filter((s) => s.generation === 3).map((s) => s.childId)).toEqual(['gf', 'gf']);
+  });
+
+  it('spans the full circle and sizes the bounds', () => {
+    const full = layoutFan(personData, 'me', { generations: 3, shape: 'full' });
+    expect(bySlot(full, 1, 0)).toMatchObject({ startAngle: -180, endAngle: 0 });
+    expect(full.bounds).toEqual({ minX: -full.radius, minY: -full.radius, maxX: full.radius, maxY: full.radius });
+
+    const half = layoutFan(personData, 'me', { generations: 3, shape: 'half' });
+    expect(half.bounds.maxY).toBe(0);
+    expect(half.radius).toBe(CENTER_RADIUS + 2 * INNER_RING_WIDTH);
+  });
+
+  it('shows at least FAN_MIN_GENERATIONS generations', () => {
+    const layout = layoutFan(personData, 'me', { generations: 1 });
+    expect(Math.max(...layout.sectors.map((s) => s.generation)) + 1).toBe(FAN_MIN_GENERATIONS);
+  });
+
+  it('returns no sectors for an unknown root', () => {
+    expect(layoutFan(personData, 'nobody').sectors).toEqual([]);
+  });
+});
+
+describe('ringRadii', () => {
+  it('widens the rings past the fourth generation', () => {
+    expect(ringRadii(1)).toEqual({ innerRadius: CENTER_RADIUS, outerRadius: CENTER_RADIUS + INNER_RING_WIDTH });
+    const fifth = ringRadii(5);
+    expect(fifth.outerRadius - fifth.innerRadius).toBe(OUTER_RING_WIDTH);
+    expect(fifth.innerRadius).toBe(ringRadii(4).outerRadius);
+  });
+});
+
+describe('sectorPath', () => {
+  it('draws discs, wedges and ring segments', () => {
+    expect(sectorPath({ startAngle: -180, endAngle: 180, innerRadius: 0, outerRadius: 10 }))
+      .toBe('M 0 -10 A 10 10 0 1 1 0 10 A 10 10 0 1 1 0 -10 Z');
+    expect(sectorPath({ startAngle: -90, endAngle: 90, innerRadius: 0, outerRadius: 10 }))
+      .toBe('M 0 0 L -10 0 A 10 10 0 0 1 10 0 Z');
+    expect(sectorPath({ startAngle: 0, endAngle: 90, innerRadius: 10, outerRadius: 20 }))
+      .toBe('M 0 -20 A 20 20 0 0 1 20 0 L 10 0 A 10 10 0 0 0 0 -10 Z');
+  });
+});
+
+describe('sectorLabel', () => {
+  it('writes along wide sectors and outwards in narrow ones, never upside down', () => {
+    const wide = sectorLabel({ generation: 1, startAngle: -90, endAngle: 0, ...ringRadii(1) });
+    expect(wide.rotate).toBe(-45);
+
+    const narrowRight = sectorLabel({ generation: 6, startAngle: 80, endAngle: 85, ...ringRadii(6) });
+    expect(narrowRight.rotate).toBeCloseTo(-7.5);
+    const narrowLeft = sectorLabel({ generation: 6, startAngle: -85, endAngle: -80, ...ringRadii(6) });
+    expect(narrowLeft.rotate).toBeCloseTo(7.5);
+    expect(narrowLeft.maxWidth).toBeLessThan(OUTER_RING_WIDTH);
+
+    const bottom = sectorLabel({ generation: 1, startAngle: 90, endAngle: 180, ...ringRadii(1) });
+    expect(bottom.rotate).toBe(315);
+  });
+});
+
+describe('fitLabel', () => {
+  it('shortens text that does not fit', () => {
+    expect(fitLabel('Anna', 100, 10)).toBe('Anna');
+    expect(fitLabel('Anastasia Petrovna', 40, 10)).toBe('Anast…');
+    expect(fitLabel('Anna', 5, 10)).toBe('');
+  });
+});
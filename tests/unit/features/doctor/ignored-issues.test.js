@@ -0,0 +1,27 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+import { loadIgnoredIssues, setIssueIgnored } from '../../../../src/features/doctor/ignored-issues.js';
+
+describe('ignored issues store', () => {
+  let repo;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    repo = new IndexedDBRepository('TestIgnoredIssuesDB');
+    await repo.initialize();
+  });
+
+  afterEach(() => { repo?.close(); });
+
+  it('keeps ignored issue keys with the tree until restored', async () => {
+    expect(await loadIgnoredIssues(repo)).toEqual(new Set());
+    await setIssueIgnored(repo, 'mother_too_old:c1,m1', true);
+    await setIssueIgnored(repo, 'possible_duplicate:a,b', true);
+    expect(await loadIgnoredIssues(repo)).toEqual(new Set(['mother_too_old:c1,m1', 'possible_duplicate:a,b']));
+
+    expect(await setIssueIgnored(repo, 'possible_duplicate:a,b', false)).toEqual(new Set(['mother_too_old:c1,m1']));
+    expect(await loadIgnoredIssues(null)).toEqual(new Set());
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { diagnoseTree, findAncestryLoops, findLookAlikes } from '../../../../src/features/doctor/tree-doctor.js';
+import { person, tree } from '../fixtures.js';
+
+const born = (year, extra = {}) => ({ date: { year, ...extra }, place: '' });
+const codes = (issues) => issues.map((i) => `${i.code}:${i.personIds.join(',')}`);
+
+describe('diagnoseTree', () => {
+  it('finds nothing wrong in a plausible family', () => {
+    const data = tree(
+      person('Ivan', { gender: 'male', birth: born(1880), death: born(1950), marriages: [{ id: 'm1', spouseId: 'Anna', date: { year: 1905 } }] }),
+      person('Anna', { gender: 'female', birth: born(1885), marriages: [{ id: 'm1', spouseId: 'Ivan', date: { year: 1905 } }] }),
+      person('Pyotr', { gender: 'male', fatherId: 'Ivan', motherId: 'Anna', birth: born(1910) })
+    );
+    expect(diagnoseTree(data)).toEqual([]);
+  });
+
+  it('flags impossible dates as errors, softened to warnings when estimated', () => {
+    const data = tree(
+      person('dad', { gender: 'male', birth: born(1900), death: born(1930) }),
+      person('mum', { gender: 'female', birth: born(1905), death: born(1935) }),
+      person('early', { fatherId: 'dad', birth: born(1899) }),
+      person('late', { motherId: 'mum', birth: born(1936) }),
+      person('ghost', { birth: born(1900), death: born(1890, { estimated: true }) })
+    );
+    const issues = diagnoseTree(data);
+    expect(codes(issues)).toEqual([
+      'child_before_parent:early,dad',
+      'child_after_parent_death:late,mum',
+      'death_before_birth:ghost'
+    ]);
+    expect(issues.map((i) => i.severity)).toEqual(['error', 'error', 'warning']);
+  });
+
+  it('reads a year-only or month-only date as any day it may mean', () => {
+    const data = tree(
+      person('mum', { gender: 'female', birth: born(1820), death: born(1850) }),
+      person('baby', { motherId: 'mum', birth: { date: { year: 1850, month: 11, day: 3 } }, death: born(1850) }),
+      person('twin', { motherId: 'mum', birth: { date: { year: 1850, month: 3, day: 9 } }, death: { date: { year: 1850, month: 3 } } })
+    );
+    const issues = diagnoseTree(data);
+    // Every one of these may be right, so none is an error
+    expect(codes(issues)).toEqual([
+      'death_before_birth:baby', 'child_after_parent_death:baby,mum',
+      'death_before_birth:twin', 'child_after_parent_death:twin,mum'
+    ]);
+    expect(issues.every((i) => i.severity === 'info')).toBe(true);
+  });
+
+  it('still flags year-only and month-only dates that cannot overlap', () => {
+    const data = tree(
+      person('mum', { gender: 'female', birth: born(1820), death: { date: { year: 1850, month: 2 } } }),
+      person('late', { motherId: 'mum', birth: { date: { year: 1850, month: 4 } } }),
+      person('ghost', { birth: born(1851), death: { date: { year: 1850, month: 12, day: 31 } } })
+    );
+    const issues = diagnoseTree(data);
+    expect(codes(issues)).toEqual(['child_after_parent_death:late,mum', 'death_before_birth:ghost']);
+    expect(issues.map((i) => i.severity)).toEqual(['error', 'error']);
+  });
+
+  it('allows a child born within months of the father\'s death', () => {
+    const data = tree(
+      person('dad', { gender: 'male', birth: born(1900), death: { date: { year: 1930, month: 3 } } }),
+      person('child', { fatherId: 'dad', birth: { date: { year: 1930, month: 11 } } })
+    );
+    expect(diagnoseTree(data)).toEqual([]);
+  });
+
+  it('warns about unlikely ages of mothers and at marriage', () => {
+    const data = tree(
+      person('mum', {
+        gender: 'female',
+        birth: born(1900),
+        marriages: [{ id: 'm1', spouseId: '', date: { year: 1912 } }]
+      }),
+      person('young', { motherId: 'mum', birth: born(1911) }),
+      person('old', { motherId: 'mum', birth: born(1962) })
+    );
+    const issues = diagnoseTree(data);
+    expect(codes(issues)).toEqual(['marriage_too_young:mum', 'mother_too_young:young,mum', 'mother_too_old:old,mum']);
+    expect(issues.map((i) => i.params.age)).toEqual([12, 11, 62]);
+    expect(issues.every((i) => i.severity === 'warning')).toBe(true);
+  });
+
+  it('flags parents of the same gender or in the wrong role', () => {
+    const data = tree(
+      person('a', { gender: 'male' }),
+      person('b', { gender: 'male' }),
+      person('c', { gender: 'female' }),
+      person('kid1', { fatherId: 'a', motherId: 'b' }),
+      person('kid2', { fatherId: 'c' })
+    );
+    expect(codes(diagnoseTree(data))).toEqual(['same_gender_parents:kid1,a,b', 'father_not_male:kid2,c']);
+  });
+
+  it('flags marriages missing on the spouse\'s side or naming a missing spouse', () => {
+    const data = tree(
+      person('a', { marriages: [{ id: 'm1', spouseId: 'b' }, { id: 'm2', spouseId: 'gone' }] }),
+      person('b')
+    );
+    const issues = diagnoseTree(data);
+    expect(codes(issues)).toEqual(['marriage_missing_spouse:a', 'marriage_mirror_missing:a,b']);
+    expect(issues.map((i) => i.key)).toEqual(['marriage_missing_spouse:a,m2', 'marriage_mirror_missing:a,m1']);
+  });
+
+  it('gives issues keys that stay the same between runs', () => {
+    const data = tree(person('x', { birth: born(1900), death: born(1800) }));
+    expect(diagnoseTree(data)[0].key).toBe(diagnoseTree(data)[0].key);
+    expect(diagnoseTree(data)[0].key).toBe('death_before_birth:x');
+  });
+});
+
+describe('findAncestryLoops', () => {
+  it('reports each loop in the parent links once', () => {
+    const data = tree(
+      person('a', { fatherId: 'b' }),
+      person('b', { fatherId: 'c' }),
+      person('c', { fatherId: 'a' }),
+      person('d', { fatherId: 'a' }),
+      person('self', { motherId: 'self' })
+    );
+    const issues = findAncestryLoops(data);
+    expect(issues.map((i) => i.key)).toEqual(['own_ancestor:a,b,c', 'own_ancestor:self']);
+    expect(issues[0].personIds).toEqual(['a', 'b', 'c']);
+    expect(issues[0].severity).toBe('error');
+  });
+});
+
+describe('findLookAlikes', () => {
+  it('pairs persons entered twice but not relatives', () => {
+    const data = tree(
+      person('p1', { name: 'Ivan', surname: 'Petrov', gender: 'male', birth: born(1880) }),
+      person('p2', { name: 'Ivan', surname: 'Petrov', gender: 'male', birth: born(1880) }),
+      person('p3', { name: 'Ivan', surname: 'Petrov', gender: 'male', birth: born(1905), fatherId: 'p1' }),
+      person('p4', { name: 'Maria', surname: 'Petrova', gender: 'female', birth: born(1880) })
+    );
+    const issues = findLookAlikes(data);
+    expect(issues.map((i) => i.key)).toEqual(['possible_duplicate:p1,p2']);
+    expect(issues[0].severity).toBe('info');
+  });
+});
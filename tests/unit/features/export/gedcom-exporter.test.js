@@ -1,5 +1,11 @@
 import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
 import { generateGEDCOMText } from '../../../../src/features/export/exporter.js';
+import { importFromGedcom } from '../../../../src/features/import/gedcom-importer.js';
+
+const fixture = (name) =>
+  readFileSync(join(import.meta.dirname, '../../../fixtures/gedcom', name), 'utf-8');
 
 const base = (overrides = {}) => ({
   id: 'p1',
@@ -132,3 +138,282 @@ describe('generateGEDCOMText', () => {
     expect(ged).toContain('1 CHIL');
   });
 });
+
+describe('generateGEDCOMText — full fidelity', () => {
+  it('emits person events with their GEDCOM tags', () => {
+    const ged = generateGEDCOMText([base({
+      events: [
+        { id: 'e1', type: 'burial', date: { year: 1950 }, place: 'Riga', note: '', description: '' },
+        { id: 'e2', type: 'occupation', date: null, place: '', note: '', description: 'Farmer' },
+        { id: 'e3', type: 'military', date: null, place: '', note: '', description: '' },
+      ],
+    })]);
+    expect(ged).toContain('1 BURI\n2 DATE 1950\n2 PLAC Riga');
+    expect(ged).toContain('1 OCCU Farmer');
+    expect(ged).toContain('1 EVEN\n2 TYPE Military Service');
+  });
+
+  it('emits custom events as EVEN with their name as TYPE', () => {
+    const ged = generateGEDCOMText([base({
+      events: [
+        { id: 'e1', type: 'custom', label: 'Confirmation', date: { year: 1935 }, place: '', note: 'By pastor Berg', description: '' },
+      ],
+    })]);
+    expect(ged).toContain('1 EVEN\n2 TYPE Confirmation\n2 DATE 1935\n2 NOTE By pastor Berg');
+  });
+
+  it('writes multi-line notes with CONT lines', () => {
+    const ged = generateGEDCOMText([base({ notes: 'one\ntwo' })]);
+    expect(ged).toContain('1 NOTE one\n2 CONT two');
+  });
+
+  it('nests unmapped nodes under the tag they came from', () => {
+    const ged = generateGEDCOMText([base({
+      birth: {
+        date: { year: 1900 }, place: 'Odessa', note: '',
+        unmapped: [{ tag: 'MAP', within: 'PLAC', children: [{ tag: 'LATI', value: 'N46.48' }] }, { tag: 'AGE', value: '0' }],
+      },
+      unmapped: [{ tag: 'NPFX', value: 'Dr.', within: 'NAME' }, { tag: '_UID', value: 'X1' }],
+    })]);
+    expect(ged).toContain('1 NAME John /Smith/\n2 GIVN John\n2 SURN Smith\n2 NPFX Dr.');
+    expect(ged).toContain('2 PLAC Odessa\n3 MAP\n4 LATI N46.48\n2 AGE 0');
+    expect(ged).toContain('1 _UID X1');
+  });
+
+  it('writes sources and repositories as records and citations under the facts they support', () => {
+    const marriage = { id: 'm1', spouseId: 'p2', date: null, place: '', note: '', events: [] };
+    const persons = [
+      base({ marriages: [marriage], events: [{ id: 'e1', type: 'occupation', description: 'Miner' }] }),
+      base({ id: 'p2', name: 'Mary', gender: 'female', marriages: [{ ...marriage, spouseId: 'p1' }] }),
+    ];
+    const sources = [
+      { id: 'repo_1', kind: 'repository', name: 'The National Archives', address: 'Kew', note: '' },
+      { id: 'src_1', kind: 'source', title: '1881 England Census', author: '', publication: '', abbreviation: '',
+        text: '', repositoryId: 'repo_1', callNumber: 'RG11', note: '' },
+      { id: 'cit_1', kind: 'citation', sourceId: 'src_1', personId: 'p1', fact: 'birth', page: 'RG11/1234, folio 5',
+        quality: 3, text: 'John Smith, son, 2', note: '', documentIds: [] },
+      { id: 'cit_2', kind: 'citation', sourceId: 'src_1', personId: 'p2', fact: 'marriage:m1', page: 'p. 4',
+        quality: null, text: '', note: '', documentIds: [] },
+      { id: 'cit_3', kind: 'citation', sourceId: 'src_1', personId: 'p1', fact: 'event:e1', page: '', quality: 1,
+        text: '', note: 'Occupation as given', documentIds: [] },
+      { id: 'cit_4', kind: 'citation', sourceId: 'src_gone', personId: 'p1', fact: 'name', page: '', quality: null,
+        text: '', note: '', documentIds: [] },
+    ];
+    const ged = generateGEDCOMText(persons, { sources });
+
+    expect(ged).toContain('1 BIRT\n2 SOUR @S1@\n3 PAGE RG11/1234, folio 5\n3 DATA\n4 TEXT John Smith, son, 2\n3 QUAY 3');
+    expect(ged).toContain('1 OCCU Miner\n2 SOUR @S1@\n3 QUAY 1\n3 NOTE Occupation as given');
+    expect(ged).toContain('1 MARR\n2 SOUR @S1@\n3 PAGE p. 4');
+    expect(ged).toContain('0 @R1@ REPO\n1 NAME The National Archives\n1 ADDR Kew');
+    expect(ged).toContain('0 @S1@ SOUR\n1 TITL 1881 England Census\n1 REPO @R1@\n2 CALN RG11');
+    expect(ged.match(/SOUR @S1@/g)).toHaveLength(3);
+    expect(ged).not.toContain('2 SOUR \n');
+  });
+
+  it('writes preserved records with fresh xrefs and resolves references to them', () => {
+    const records = [{ id: 'src_a', tag: 'SOUR', children: [{ tag: 'TITL', value: 'Census' }] }];
+    const ged = generateGEDCOMText([base({ unmapped: [{ tag: 'SOUR', ref: { type: 'record', id: 'src_a' } }] })], { records });
+    expect(ged).toContain('1 SOUR @S1@');
+    expect(ged).toContain('0 @S1@ SOUR\n1 TITL Census');
+  });
+
+  it('drops unmapped pointers whose target left the tree', () => {
+    const ged = generateGEDCOMText([base({ unmapped: [{ tag: 'ASSO', ref: { type: 'person', id: 'gone' } }] })]);
+    expect(ged).not.toContain('ASSO');
+  });
+
+  it('emits FAMS/FAMC links and no duplicate parent-child FAM for married parents', () => {
+    const child = base({ id: 'p3', name: 'Billy', fatherId: 'p1', motherId: 'p2' });
+    const father = base({ id: 'p1', gender: 'male', marriages: [{ id: 'marr_1', spouseId: 'p2', date: null, place: '', note: '' }] });
+    const mother = base({ id: 'p2', name: 'Jane', gender: 'female', marriages: [{ id: 'marr_1', spouseId: 'p1', date: null, place: '', note: '' }] });
+    const ged = generateGEDCOMText([child, father, mother]);
+    expect(ged.split('\n').filter(l => l.endsWith(' FAM'))).toHaveLength(1);
+    expect(ged).toContain('0 @I1@ INDI\n1 NAME Billy /Smith/\n2 GIVN Billy\n2 SURN Smith\n1 SEX M\n1 FAMC @F1@');
+    expect(ged).toMatch(/0 @I2@ INDI[\s\S]*1 FAMS @F1@[\s\S]*0 @I3@ INDI/);
+  });
+});
+
+describe('GEDCOM round trip', () => {
+  const strip = (persons) => {
+    const byId = new Map(persons.map(p => [p.id, p]));
+    const name = (id) => (id ? byId.get(id)?.name : '');
+    const dropIds = (list) => (list || []).map(({ id, ...rest }) => rest);
+    const stripRefs = (nodes) => (nodes || []).map(({ ref, children, ...rest }) => ({
+      ...rest, ...(ref ? { ref: ref.type } : {}), ...(children ? { children: stripRefs(children) } : {}),
+    }));
+    return persons.map(p => ({
+      name: p.name, surname: p.surname, maidenName: p.maidenName, gender: p.gender, notes: p.notes,
+      father: name(p.fatherId), mother: name(p.motherId), spouse: name(p.spouseId),
+      birth: { ...p.birth, unmapped: stripRefs(p.birth.unmapped) },
+      death: { ...p.death, unmapped: stripRefs(p.death.unmapped) },
+      events: dropIds(p.events).map(e => ({ ...e, unmapped: stripRefs(e.unmapped) })),
+      altNames: p.altNames,
+      unmapped: stripRefs(p.unmapped),
+      marriages: p.marriages.map(({ id, spouseId, events, unmapped, ...m }) => ({
+        ...m, spouse: name(spouseId), events: dropIds(events), unmapped: stripRefs(unmapped),
+      })),
+    }));
+  };
+
+  const stripSources = (sources, persons) => {
+    const titles = new Map(sources.map(r => [r.id, r.title || r.name]));
+    const names = new Map(persons.map(p => [p.id, p.name]));
+    // Repositories are written ahead of sources, whatever the order in the imported file
+    const order = ['repository', 'source', 'citation'];
+    return [...sources].sort((x, y) => order.indexOf(x.kind) - order.indexOf(y.kind)).map(({ id, repositoryId, sourceId, personId, fact, ...rest }) => ({
+      ...rest,
+      ...(repositoryId !== undefined ? { repository: titles.get(repositoryId) || '' } : {}),
+      ...(sourceId !== undefined ? { source: titles.get(sourceId), person: names.get(personId), fact: fact.split(':')[0] } : {}),
+    }));
+  };
+
+  it('GEDCOM → MapMyRoots → GEDCOM keeps every record', () => {
+    const first = importFromGedcom(fixture('full-fidelity.ged'));
+    const exported = generateGEDCOMText(first.persons, { records: first.records, sources: first.sources });
+    const second = importFromGedcom(exported);
+
+    expect(strip(second.persons)).toEqual(strip(first.persons));
+    expect(second.records.map(r => r.tag)).toEqual(first.records.map(r => r.tag));
+    expect(stripSources(second.sources, second.persons)).toEqual(stripSources(first.sources, first.persons));
+    expect(second.warnings).toEqual([]);
+  });
+
+  it('keeps one-parent families and a child\'s second family', () => {
+    const ged = [
+      '0 HEAD',
+      '0 @I1@ INDI', '1 NAME Hans /Alt/', '1 SEX M', '0 @I2@ INDI', '1 NAME Greta /Alt/', '1 SEX F',
+      '0 @I3@ INDI', '1 NAME Lise /Neu/', '1 SEX F', '0 @I4@ INDI', '1 NAME Paul /Alt/',
+      '0 @I5@ INDI', '1 NAME Karl /Neu/',
+      '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I4@',
+      '0 @F2@ FAM', '1 WIFE @I3@', '1 CHIL @I4@', '1 CHIL @I5@', '1 NOTE Foster family', '1 _UID abc',
+      '0 TRLR'
+    ].join('\n');
+    const first = importFromGedcom(ged);
+    const exported = generateGEDCOMText(first.persons);
+    const second = importFromGedcom(exported);
+
+    expect(strip(second.persons)).toEqual(strip(first.persons));
+    expect(second.warnings).toEqual([]);
+    const fams = exported.split('\n0 ').filter(r => r.endsWith(' FAM') || / FAM\n/.test(r));
+    expect(fams).toHaveLength(2);
+    expect(fams[1]).toBe(['@F2@ FAM', '1 WIFE @I3@', '1 CHIL @I5@', '1 CHIL @I4@', '1 NOTE Foster family', '1 _UID abc'].join('\n'));
+    expect(exported).toContain(['0 @I4@ INDI', '1 NAME Paul /Alt/', '2 GIVN Paul', '2 SURN Alt', '1 FAMC @F1@', '1 FAMC @F2@'].join('\n'));
+  });
+
+  it('GEDCOM → MapMyRoots → GEDCOM 7 → MapMyRoots keeps every record', () => {
+    const first = importFromGedcom(fixture('full-fidelity.ged'));
+    const exported = generateGEDCOMText(first.persons, { records: first.records, sources: first.sources, version: '7.0' });
+    const second = importFromGedcom(exported);
+
+    expect(strip(second.persons)).toEqual(strip(first.persons));
+    expect(second.records.map(r => r.tag)).toEqual(first.records.map(r => r.tag));
+    expect(stripSources(second.sources, second.persons)).toEqual(stripSources(first.sources, first.persons));
+    expect(second.warnings).toEqual([]);
+  });
+});
+
+describe('GEDCOM date forms', () => {
+  const forms = [
+    '12 MAR 1850',
+    'MAR 1850',
+    '1850',
+    'ABT 1850',
+    'EST 1850',
+    'CAL 1850',
+    'BEF 12 MAR 1850',
+    'AFT 1850',
+    'BET 1850 AND 1860',
+    'FROM MAR 1850 TO 1860',
+    'FROM 1850',
+    'TO 1860',
+    'INT 1850 (parish record)',
+    '11 FEB 1700/01',
+    '44 B.C.',
+    '@#DJULIAN@ 11 FEB 1700',
+    '@#DHEBREW@ 1 TSH 5600',
+    'BET @#DJULIAN@ 1700 AND @#DJULIAN@ 1710',
+  ];
+
+  it.each(forms)('writes %s back exactly', (form) => {
+    const ged = `0 HEAD\n0 @I1@ INDI\n1 NAME A /B/\n1 BIRT\n2 DATE ${form}\n0 TRLR`;
+    const { persons } = importFromGedcom(ged);
+    expect(persons[0].birth.unmapped ?? []).toEqual([]);
+    expect(generateGEDCOMText(persons)).toContain(`2 DATE ${form}\n`);
+  });
+
+  it('writes a legacy estimated date as ABT', () => {
+    const persons = [{ id: 'p1', name: 'A', surname: 'B', gender: 'male', birth: { date: { year: 1850, estimated: true } } }];
+    expect(generateGEDCOMText(persons)).toContain('2 DATE ABT 1850');
+  });
+});
+
+
+describe('GEDCOM 7.0', () => {
+  const v7 = (persons, options = {}) => generateGEDCOMText(persons, { ...options, version: '7.0' });
+  const birthDate = (date) => v7([base({ birth: { date, place: '', note: '' } })]);
+
+  it('writes a 7.0 header with the date in GEDCOM form', () => {
+    const ged = v7([]);
+    expect(ged).toMatch(/^0 HEAD\n1 GEDC\n2 VERS 7\.0\n/);
+    expect(ged).toMatch(/\n1 DATE \d{1,2} [A-Z]{3} \d{4}\n/);
+    expect(ged).not.toContain('CHAR');
+    expect(ged).not.toContain('FORM LINEAGE-LINKED');
+  });
+
+  it('writes the person id as an EXID', () => {
+    expect(v7([base()])).toContain('1 EXID p1\n2 TYPE https://mapmyroots.com\n');
+    expect(generateGEDCOMText([base()])).not.toContain('EXID');
+  });
+
+  it('reads the person ids back from the EXIDs it wrote', () => {
+    const husband = base({ id: 'ivan', gender: 'male', spouseId: 'anna', marriages: [{ id: 'marr_1', spouseId: 'anna', date: null, place: '', note: '' }] });
+    const wife = base({ id: 'anna', name: 'Anna', gender: 'female', spouseId: 'ivan', marriages: [{ id: 'marr_1', spouseId: 'ivan', date: null, place: '', note: '' }] });
+    const child = base({ id: 'pyotr', name: 'Pyotr', fatherId: 'ivan', motherId: 'anna' });
+    const { persons } = importFromGedcom(v7([husband, wife, child]));
+
+    expect(persons.map((p) => p.id)).toEqual(['ivan', 'anna', 'pyotr']);
+    expect(persons[2]).toMatchObject({ fatherId: 'ivan', motherId: 'anna' });
+    expect(persons[0].marriages).toMatchObject([{ spouseId: 'anna' }]);
+    expect(persons[0].unmapped ?? []).toEqual([]);
+  });
+
+  it('writes calendars as keywords, BCE, and dual years and interpretations as a PHRASE', () => {
+    expect(birthDate({ year: 1700, month: 2, day: 11, calendar: 'julian' })).toContain('2 DATE JULIAN 11 FEB 1700\n');
+    expect(birthDate({ year: 44, bc: true })).toContain('2 DATE 44 BCE\n');
+    expect(birthDate({ year: 1700, month: 2, day: 11, dualYear: 1701 })).toContain('2 DATE 11 FEB 1700\n3 PHRASE 11 FEB 1700/01\n');
+    expect(birthDate({ year: 1850, qualifier: 'interpreted', phrase: 'parish record' })).toContain('2 DATE 1850\n3 PHRASE parish record\n');
+  });
+
+  it('writes ages in 7.0 syntax', () => {
+    const death = { date: null, place: 'X', note: '', unmapped: [{ tag: 'AGE', value: 'CHILD' }] };
+    expect(v7([base({ death })])).toContain('2 AGE < 8y\n3 PHRASE Child\n');
+    const aged = { ...death, unmapped: [{ tag: 'AGE', value: '>69y3m' }] };
+    expect(v7([base({ death: aged })])).toContain('2 AGE > 69y 3m\n');
+    const weeks = { ...death, unmapped: [{ tag: 'AGE', value: '2w 3d' }] };
+    expect(generateGEDCOMText([base({ death: weeks })])).toContain('2 AGE 17d\n');
+  });
+
+  it('writes shared notes as SNOTE and name types from the 7.0 enumeration', () => {
+    const records = [{ id: 'n1', tag: 'NOTE', value: 'Shared' }];
+    const person = base({
+      unmapped: [{ tag: 'NOTE', ref: { type: 'record', id: 'n1' } }],
+      altNames: [{ given: 'Jack', surname: 'Smith', type: 'aka' }, { given: 'Johann', surname: 'Schmidt', type: 'church' }],
+    });
+    const ged = v7([person], { records });
+    expect(ged).toContain('1 SNOTE @N1@');
+    expect(ged).toContain('0 @N1@ SNOTE Shared');
+    expect(ged).toContain('1 NAME Jack /Smith/\n2 GIVN Jack\n2 SURN Smith\n2 TYPE AKA\n');
+    expect(ged).toContain('2 TYPE OTHER\n3 PHRASE church\n');
+  });
+
+  it('writes photos and documents as OBJE records linked from their person, photo first', () => {
+    const media = [
+      { id: 'd1', personId: 'p1', path: 'media/documents/m2.pdf', mimeType: 'application/pdf', type: 'certificate', title: 'Birth certificate', note: 'Copy' },
+      { id: 'ph', personId: 'p1', path: 'media/photos/m1.jpg', mimeType: 'image/jpeg', type: 'photo', photo: true },
+    ];
+    const ged = v7([base()], { media });
+    expect(ged).toContain('1 OBJE @O2@\n2 _PRIM Y\n1 OBJE @O1@\n');
+    expect(ged).toContain('0 @O1@ OBJE\n1 FILE media/documents/m2.pdf\n2 FORM application/pdf\n3 MEDI OTHER\n4 PHRASE certificate\n2 TITL Birth certificate\n1 NOTE Copy\n');
+    expect(ged).toContain('0 @O2@ OBJE\n1 FILE media/photos/m1.jpg\n2 FORM image/jpeg\n3 MEDI PHOTO\n');
+  });
+});
@@ -0,0 +1,129 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { writeGedzip, readGedzip, gedzipMediaPath, storeImportedMedia } from '../../../../src/features/export/gedzip.js';
+import { importFromGedcom } from '../../../../src/features/import/gedcom-importer.js';
+
+const text = async (blob) => new TextDecoder().decode(await blob.arrayBuffer());
+
+async function gedzipBlob(ged, files) {
+  const chunks = [];
+  let finals = 0;
+  await writeGedzip(ged, files, async (chunk, final) => {
+    chunks.push(chunk);
+    if (final) finals++;
+  });
+  expect(finals).toBe(1);
+  return new Blob(chunks, { type: 'application/zip' });
+}
+
+describe('GEDZIP', () => {
+  it('carries photos and documents out and back in, linked to the right people', async () => {
+    const photo = new Blob([new Uint8Array([0xff, 0xd8, 1, 2, 3])], { type: 'image/jpeg' });
+    const scan = new Blob(['%PDF-1.4 scan'], { type: 'application/pdf' });
+    const photoPath = gedzipMediaPath('m1', 'image/jpeg', 'photos');
+    const scanPath = gedzipMediaPath('m2', 'application/pdf', 'documents');
+    // As generateGEDCOMText writes it
+    const ged = [
+      '0 HEAD', '1 GEDC', '2 VERS 7.0', '1 SOUR MapMyRoots',
+      '0 @I1@ INDI', '1 NAME John /Smith/', '1 SEX M', '1 OBJE @O1@', '1 EXID p1', '2 TYPE https://mapmyroots.com',
+      '0 @I2@ INDI', '1 NAME Mary /Smith/', '1 SEX F', '1 OBJE @O2@', '2 _PRIM Y', '1 EXID p2', '2 TYPE https://mapmyroots.com',
+      '0 @O1@ OBJE', `1 FILE ${scanPath}`, '2 FORM application/pdf', '3 MEDI OTHER', '4 PHRASE certificate', '2 TITL Birth certificate', '1 NOTE Parish copy',
+      '0 @O2@ OBJE', `1 FILE ${photoPath}`, '2 FORM image/jpeg', '3 MEDI PHOTO',
+      '0 TRLR',
+    ].join('\n');
+    const zip = await gedzipBlob(ged, [{ path: photoPath, blob: photo }, { path: scanPath, blob: scan }]);
+
+    const { text: read, files, damaged } = await readGedzip(zip);
+    expect(read).toBe(ged);
+    expect(damaged).toEqual([]);
+    expect([...files.keys()].sort()).toEqual(['media/documents/m2.pdf', 'media/photos/m1.jpg']);
+
+    const result = importFromGedcom(read, { files });
+    const john = result.persons.find((p) => p.name === 'John');
+    const mary = result.persons.find((p) => p.name === 'Mary');
+    expect(result.records).toEqual([]);
+    expect(result.warnings).toEqual([]);
+    expect(john.photo).toBeUndefined();
+    expect(mary.photo).toEqual({ mediaId: expect.any(String), transform: { x: 0.5, y: 0.5, scale: 1 } });
+    expect(result.documents).toEqual([expect.objectContaining({
+      personId: john.id, kind: 'pdf', type: 'certificate', title: 'Birth certificate', description: 'Parish copy', thumbnailMediaId: null,
+    })]);
+
+    const byId = new Map(result.media.map((m) => [m.id, m]));
+    expect(await text(byId.get(result.documents[0].mediaId).blob)).toBe('%PDF-1.4 scan');
+    expect(byId.get(mary.photo.mediaId)).toMatchObject({ mimeType: 'image/jpeg', byteLength: 5 });
+  });
+
+  it('reads GEDZIPs from other programs: 5.5.1 FORM, first image as the photo, missing files kept as records', async () => {
+    const ged = [
+      '0 HEAD', '1 SOUR OtherApp', '1 GEDC', '2 VERS 5.5.1',
+      '0 @I1@ INDI', '1 NAME Ann /Lee/', '1 OBJE @O1@', '1 OBJE @O2@', '1 OBJE @O3@',
+      '0 @O1@ OBJE', '1 FILE letters/to%20ann.pdf', '2 FORM pdf', '2 TITL Letter',
+      '0 @O2@ OBJE', '1 FILE portrait.png', '2 FORM png',
+      '0 @O3@ OBJE', '1 FILE lost.jpg', '2 FORM jpg',
+      '0 TRLR',
+    ].join('\n');
+    const zip = new Blob([zipSync({
+      'tree.ged': strToU8(ged),
+      'letters/to ann.pdf': strToU8('%PDF'),
+      'portrait.png': new Uint8Array([0x89, 0x50]),
+    })]);
+
+    const { files, text: read } = await readGedzip(zip);
+    const result = importFromGedcom(read, { files });
+    const [ann] = result.persons;
+    expect(result.media.find((m) => m.id === ann.photo.mediaId).mimeType).toBe('image/png');
+    expect(result.documents).toEqual([expect.objectContaining({ personId: ann.id, kind: 'pdf', title: 'Letter', type: 'other' })]);
+    expect(ann.unmapped).toEqual([{ tag: 'OBJE', ref: { type: 'record', id: expect.any(String) } }]);
+    expect(result.records).toMatchObject([{ tag: 'OBJE', children: [{ tag: 'FILE', value: 'lost.jpg' }] }]);
+    expect(result.warnings).toEqual(['Media file lost.jpg is not in the archive']);
+  });
+
+  it('carries binary media holding zip signature bytes whole', async () => {
+    const bytes = new Uint8Array(5000);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = (i * 31 + 7) % 256;
+    bytes.set([0x50, 0x4b, 0x07, 0x08], 100);
+    bytes.set([0x50, 0x4b, 0x01, 0x02], 2000);
+    bytes.set([0x50, 0x4b, 0x03, 0x04], 4000);
+    const zip = await gedzipBlob('0 HEAD\n0 TRLR', [{ path: 'media/photos/m1.jpg', blob: new Blob([bytes]) }]);
+
+    const { files, damaged } = await readGedzip(zip);
+    expect(damaged).toEqual([]);
+    expect(new Uint8Array(await files.get('media/photos/m1.jpg').arrayBuffer())).toEqual(bytes);
+  });
+
+  it('leaves out and lists media that fail their checksum', async () => {
+    const zip = new Uint8Array(await (await gedzipBlob('0 HEAD\n0 TRLR', [
+      { path: 'a.jpg', blob: new Blob(['first-photo']) },
+      { path: 'b.jpg', blob: new Blob(['second-photo']) },
+    ])).arrayBuffer());
+    // Flip one byte of a.jpg's stored data
+    const at = new TextDecoder('latin1').decode(zip).indexOf('first-photo');
+    zip[at] ^= 0xff;
+
+    const { files, damaged } = await readGedzip(new Blob([zip]));
+    expect(damaged).toEqual(['a.jpg']);
+    expect([...files.keys()]).toEqual(['b.jpg']);
+  });
+
+  it('rejects zips without a GEDCOM file', async () => {
+    const zip = new Blob([zipSync({ 'photo.jpg': new Uint8Array([1]) })]);
+    await expect(readGedzip(zip)).rejects.toThrow(/gedcom\.ged is missing/);
+  });
+
+  it('stores imported media before the documents that use them', async () => {
+    const saved = [];
+    const repo = {
+      saveMedia: async (record) => saved.push(['media', record.id]),
+      saveDocument: async (doc) => saved.push(['document', doc.id, doc.thumbnailMediaId]),
+    };
+    const blob = new Blob(['x'], { type: 'image/jpeg' });
+    await storeImportedMedia(repo, {
+      media: [{ id: 'm1', blob, mimeType: 'image/jpeg' }],
+      documents: [{ id: 'd1', personId: 'p1', mediaId: 'm1', kind: 'image' }, { id: 'd2', personId: 'p1', mediaId: 'gone', kind: 'image' }],
+    });
+    // No canvas here, so no thumbnail
+    expect(saved).toEqual([['media', 'm1'], ['document', 'd1', null]]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { planPosterTiles, posterTileSVG, posterMapSVG } from '../../../../src/features/export/poster-tiling.js';
+
+const picture = '<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" width="3000" height="2000"><circle cx="10" cy="10" r="5"/></svg>';
+
+describe('planPosterTiles', () => {
+  it('covers the poster with overlapping sheets turned to need the fewest', () => {
+    const plan = planPosterTiles(3000, 2000, { poster: 'a0', sheet: 'a4', dpi: 300, overlap: 10 });
+    expect(plan.poster).toMatchObject({ key: 'a0', width: 1189, height: 841 });
+    // Landscape A4 sheets: 5 x 5 instead of 7 x 4 portrait
+    expect(plan).toMatchObject({ orientation: 'landscape', columns: 5, rows: 5, dpi: 300, overlap: 10 });
+    expect(plan.print).toEqual({ width: 281, height: 194 });
+    expect(plan.tiles).toHaveLength(25);
+    expect(plan.tiles[0]).toMatchObject({ label: 'A1', x: 0, y: 0 });
+    expect(plan.tiles[6]).toMatchObject({ label: 'B2', row: 1, column: 1, x: 271, y: 184 });
+
+    const last = plan.tiles.at(-1);
+    expect(last.label).toBe('E5');
+    expect(last.x + plan.print.width).toBeGreaterThanOrEqual(plan.poster.width);
+    expect(last.y + plan.print.height).toBeGreaterThanOrEqual(plan.poster.height);
+  });
+
+  it('fits the picture inside the poster margins', () => {
+    const { picture: placed, poster } = planPosterTiles(1000, 3000, { poster: 'a1' });
+    expect(poster).toMatchObject({ width: 594, height: 841 });
+    expect(placed.height).toBe(821);
+    expect(placed.scale).toBeCloseTo(placed.width / 1000, 6);
+    expect(placed.x + placed.width).toBeLessThanOrEqual(poster.width);
+  });
+
+  it('lowers the resolution and the overlap to what the sheets allow', () => {
+    const plan = planPosterTiles(1000, 1000, { poster: 'a2', sheet: 'a3', dpi: 600, overlap: 500 });
+    expect(plan.dpi).toBeLessThan(600);
+    expect((plan.print.width / 25.4) * plan.dpi * (plan.print.height / 25.4) * plan.dpi).toBeLessThanOrEqual(16_000_000);
+    expect(plan.overlap).toBe((297 - 16) / 2);
+  });
+
+  it('goes on past Z with double row letters', () => {
+    const plan = planPosterTiles(100, 10000, { poster: 'a0', sheet: 'a4', overlap: 0, margin: 100 });
+    expect(plan.rows).toBeGreaterThan(26);
+    expect(plan.tiles.find((tile) => tile.row === 26).label).toBe('AA1');
+  });
+});
+
+describe('posterTileSVG', () => {
+  it('shows the sheet\'s part of the poster with the picture placed on it', () => {
+    const plan = planPosterTiles(3000, 2000);
+    const tile = posterTileSVG(picture, plan, plan.tiles[6]);
+    expect(tile.markup).toContain('viewBox="271 184 281 194"');
+    expect(tile.markup).toContain(`translate(${plan.picture.x} ${plan.picture.y}) scale(${plan.picture.scale})`);
+    expect(tile.markup).toContain('<circle cx="10"');
+    expect(tile.markup).not.toContain('<?xml');
+    expect(tile.width).toBeCloseTo(281 / (25.4 / 96), 1);
+  });
+});
+
+describe('posterMapSVG', () => {
+  it('labels every sheet under the escaped title and instructions', () => {
+    const plan = planPosterTiles(3000, 2000, { poster: 'a1' });
+    const map = posterMapSVG(picture, plan, { title: 'Smith & <Jones>', lines: ['Trim'] });
+    expect(map.markup).toContain('Smith &amp; &lt;Jones&gt;');
+    expect(map.markup).toContain('>Trim</text>');
+    for (const tile of plan.tiles) expect(map.markup).toContain(`>${tile.label}</text>`);
+    expect(map.markup).toContain(`viewBox="0 0 ${plan.sheet.width} ${plan.sheet.height}"`);
+  });
+});
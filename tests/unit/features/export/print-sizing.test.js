@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { fitToPaper, printPixelSize, clampPrintDpi, PAPER_SIZES } from '../../../../src/features/export/print-sizing.js';
+
+describe('fitToPaper', () => {
+  it('turns the page to suit the chart and centers it inside the margins', () => {
+    const wide = fitToPaper(2000, 1000, 'a4');
+    expect(wide).toMatchObject({ orientation: 'landscape', pageWidth: 297, pageHeight: 210, drawWidth: 277, drawHeight: 138.5, x: 10 });
+    expect(wide.y).toBeCloseTo(35.8, 1);
+
+    const tall = fitToPaper(500, 1000, 'a3');
+    expect(tall).toMatchObject({ orientation: 'portrait', pageWidth: 297, pageHeight: 420, drawHeight: 400, drawWidth: 200 });
+  });
+
+  it('keeps room for a header and falls back to A4', () => {
+    const fit = fitToPaper(1000, 1000, 'unknown', { header: 20 });
+    expect(fit.pageWidth).toBe(PAPER_SIZES.a4.width);
+    expect(fit.y).toBeGreaterThanOrEqual(30);
+    expect(fit.drawHeight).toBeLessThanOrEqual(297 - 20 - 20);
+  });
+});
+
+describe('printPixelSize', () => {
+  it('renders at the requested dpi for the paper', () => {
+    const size = printPixelSize(1000, 500, 'a4', 300);
+    expect(size.dpi).toBe(300);
+    // 277 mm at 300 dpi
+    expect(size.pixelWidth).toBe(Math.round(277 / 25.4 * 300));
+  });
+
+  it('lowers the resolution for canvases the browser cannot draw', () => {
+    const size = printPixelSize(1000, 1000, 'a1', 300);
+    expect(size.pixelWidth * size.pixelHeight).toBeLessThanOrEqual(16_000_000);
+    expect(size.dpi).toBeLessThan(300);
+  });
+});
+
+describe('clampPrintDpi', () => {
+  it('keeps the dpi while the area fits on a canvas', () => {
+    expect(clampPrintDpi(194, 281, 300)).toBe(300);
+  });
+
+  it('lowers it for areas too large to draw at once', () => {
+    const dpi = clampPrintDpi(841, 1189, 300);
+    expect(dpi).toBeLessThan(300);
+    expect((841 / 25.4) * dpi * (1189 / 25.4) * dpi).toBeLessThanOrEqual(16_000_000);
+  });
+});
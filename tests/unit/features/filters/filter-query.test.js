@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseFilterQuery,
+  matchPersons,
+  filterNeedsDocuments,
+  FilterSyntaxError
+} from '../../../../src/features/filters/filter-query.js';
+
+function person(id, fields = {}) {
+  return {
+    id,
+    name: '',
+    surname: '',
+    gender: '',
+    birth: { date: null, place: '' },
+    death: { date: null, place: '' },
+    marriages: [],
+    events: [],
+    ...fields
+  };
+}
+
+const personData = new Map([
+  ['gp', person('gp', { name: 'Ivan', surname: 'Petrov', gender: 'male', birth: { date: { year: 1880 }, place: 'Odessa' }, death: { date: { year: 1950 }, place: 'Kyiv' } })],
+  ['p1', person('p1', { name: 'Anna', surname: 'Petrova', gender: 'female', fatherId: 'gp', birth: { date: { year: 1910 }, place: 'Одесса' } })],
+  ['p2', person('p2', { name: 'Pyotr', surname: 'Petroff', gender: 'male', fatherId: 'gp', birth: { date: { year: 1925 }, place: 'New York' } })],
+  ['iv', person('iv', { name: 'Maria', surname: 'Иванова', gender: 'female', birth: { date: { year: 1890 }, place: 'Moscow' }, death: { date: { year: 1960 }, place: 'Moscow' } })],
+  ['kid', person('kid', { name: 'Oleg', surname: 'Petrov', fatherId: 'p2', birth: { date: { year: 1950 }, place: '' } })]
+]);
+
+const ids = (query, context) => [...matchPersons(query, personData, { currentYear: 2024, ...context })].sort();
+
+describe('parseFilterQuery', () => {
+  it('returns null for an empty query', () => {
+    expect(parseFilterQuery('')).toBeNull();
+    expect(parseFilterQuery('   ')).toBeNull();
+  });
+
+  it('reads fields, operators and quoted values as an implicit AND', () => {
+    expect(parseFilterQuery('surname:Ivanov born:<1900 place:"Odessa" has:documents')).toEqual({
+      type: 'and',
+      items: [
+        { type: 'term', field: 'surname', op: '', value: 'Ivanov' },
+        { type: 'term', field: 'born', op: '<', number: 1900 },
+        { type: 'term', field: 'place', op: '', value: 'Odessa' },
+        { type: 'term', field: 'has', op: '=', value: 'documents' }
+      ]
+    });
+  });
+
+  it('reads OR, negation, parentheses, ranges and bare words', () => {
+    expect(parseFilterQuery('(surname:Petrov OR Ivanov) -is:living gen:2..4')).toEqual({
+      type: 'and',
+      items: [
+        {
+          type: 'or',
+          items: [
+            { type: 'term', field: 'surname', op: '', value: 'Petrov' },
+            { type: 'term', field: 'name', op: '', value: 'Ivanov' }
+          ]
+        },
+        { type: 'not', item: { type: 'term', field: 'is', op: '=', value: 'living' } },
+        { type: 'term', field: 'gen', op: '=', from: 2, to: 4 }
+      ]
+    });
+  });
+
+  it('accepts field and value aliases', () => {
+    expect(parseFilterQuery('sex:f')).toEqual({ type: 'term', field: 'gender', op: '=', value: 'female' });
+    expect(parseFilterQuery('lastname:Petrov').field).toBe('surname');
+  });
+
+  it.each([
+    ['foo:bar', 'unknown_field', { field: 'foo' }],
+    ['born:abc', 'bad_number', { field: 'born', value: 'abc' }],
+    ['gender:x', 'bad_value', { field: 'gender', value: 'x' }],
+    ['born:~1900', 'bad_operator', { field: 'born', op: '~' }],
+    ['surname:', 'missing_value', { field: 'surname' }],
+    ['(surname:Petrov', 'unbalanced_paren', {}],
+    ['place:"Odessa', 'unclosed_quote', {}]
+  ])('rejects %s with a %s error', (query, code, params) => {
+    let error;
+    try {
+      parseFilterQuery(query);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(FilterSyntaxError);
+    expect(error.code).toBe(code);
+    expect(error.params).toMatchObject(params);
+  });
+
+  it('tells whether documents are needed', () => {
+    expect(filterNeedsDocuments(parseFilterQuery('surname:Petrov -has:docs'))).toBe(true);
+    expect(filterNeedsDocuments(parseFilterQuery('has:photo'))).toBe(false);
+    expect(filterNeedsDocuments(null)).toBe(false);
+  });
+});
+
+describe('matchPersons', () => {
+  it('matches everyone for an empty query', () => {
+    expect(ids('')).toEqual(['gp', 'iv', 'kid', 'p1', 'p2']);
+  });
+
+  it('matches surnames across spellings and scripts', () => {
+    expect(ids('surname:Petrov')).toEqual(['gp', 'kid', 'p1']);
+    expect(ids('surname:Ivanova')).toEqual(['iv']);
+    expect(ids('surname:~Petrov')).toEqual(['gp', 'kid', 'p1', 'p2']);
+  });
+
+  it('compares years and ranges', () => {
+    expect(ids('born:<1900')).toEqual(['gp', 'iv']);
+    expect(ids('born:1900..1930')).toEqual(['p1', 'p2']);
+    expect(ids('died:>=1955')).toEqual(['iv']);
+  });
+
+  it('matches places in any script', () => {
+    expect(ids('place:Odessa')).toEqual(['gp', 'p1']);
+    expect(ids('birthplace:"New York"')).toEqual(['p2']);
+  });
+
+  it('combines conditions with AND, OR and NOT', () => {
+    expect(ids('surname:~Petrov born:<1920')).toEqual(['gp', 'p1']);
+    expect(ids('surname:Petrov OR place:Moscow')).toEqual(['gp', 'iv', 'kid', 'p1']);
+    expect(ids('surname:~Petrov -gender:male')).toEqual(['kid', 'p1']);
+    expect(ids('NOT (gender:male OR gender:female)')).toEqual(['kid']);
+  });
+
+  it('checks living status, relations and generations', () => {
+    expect(ids('is:deceased')).toEqual(['gp', 'iv', 'p1']);
+    expect(ids('is:living')).toEqual(['kid', 'p2']);
+    expect(ids('has:children')).toEqual(['gp', 'p2']);
+    expect(ids('has:parents gen:2', { getGeneration: (id) => (id === 'kid' ? 2 : 1) })).toEqual(['kid']);
+  });
+
+  it('uses the document owners it is given', () => {
+    expect(ids('has:documents', { documentPersonIds: new Set(['p2']) })).toEqual(['p2']);
+  });
+
+  it('follows the bloodline of a person named by id or name', () => {
+    expect(ids('line:p2')).toEqual(['gp', 'kid', 'p2']);
+    expect(ids('line:"Anna Petrova"')).toEqual(['gp', 'p1']);
+    expect(ids('line:Nobody')).toEqual([]);
+  });
+});
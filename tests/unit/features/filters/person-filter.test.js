@@ -0,0 +1,149 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  applyPersonFilter,
+  clearPersonFilter,
+  getActivePersonFilter,
+  personFilterState
+} from '../../../../src/features/filters/person-filter.js';
+import { FilterSyntaxError } from '../../../../src/features/filters/filter-query.js';
+import { CanvasRenderer } from '../../../../src/core/canvas-renderer.js';
+import { TreeChartRenderer } from '../../../../src/features/tree-chart/tree-chart-renderer.js';
+import { appContext, EVENTS } from '../../../../src/utils/event-bus.js';
+
+function makeTreeCore() {
+  const personData = new Map([
+    ['a', { id: 'a', name: 'Ivan', surname: 'Petrov', birth: { date: { year: 1880 } } }],
+    ['b', { id: 'b', name: 'Anna', surname: 'Petrova', fatherId: 'a', birth: { date: { year: 1930 } } }],
+    ['c', { id: 'c', name: 'Maria', surname: 'Ivanova', birth: { date: { year: 1900 } } }]
+  ]);
+  return {
+    personData,
+    getGeneration: () => 1,
+    renderer: { setPersonFilter: vi.fn() },
+    cacheManager: { getIdbRepo: () => ({ getAllDocuments: async () => [{ id: 'd1', personId: 'c' }] }) }
+  };
+}
+
+describe('active person filter', () => {
+  let treeCore;
+  let listener;
+
+  beforeEach(() => {
+    treeCore = makeTreeCore();
+    listener = vi.fn();
+    appContext.getEventBus().on(EVENTS.PERSON_FILTER_CHANGED, listener);
+  });
+
+  afterEach(() => {
+    clearPersonFilter(treeCore);
+    appContext.getEventBus().off(EVENTS.PERSON_FILTER_CHANGED, listener);
+  });
+
+  it('publishes the matching ids to the renderer and the event bus', async () => {
+    const ids = await applyPersonFilter(treeCore, { query: 'surname:Petrov born:<1920', mode: 'hide' });
+    expect([...ids]).toEqual(['a']);
+    expect(treeCore.renderer.setPersonFilter).toHaveBeenCalledWith(ids, 'hide');
+    expect(listener).toHaveBeenCalledWith({ query: 'surname:Petrov born:<1920', mode: 'hide', ids });
+    expect(getActivePersonFilter()).toMatchObject({ query: 'surname:Petrov born:<1920', mode: 'hide' });
+  });
+
+  it('reports how each person shows', async () => {
+    await applyPersonFilter(treeCore, { query: 'surname:Petrov' });
+    expect(personFilterState('a')).toBe('normal');
+    expect(personFilterState('c')).toBe('dimmed');
+    await applyPersonFilter(treeCore, { query: 'surname:Petrov', mode: 'hide' });
+    expect(personFilterState('c')).toBe('hidden');
+  });
+
+  it('loads documents only for queries about them', async () => {
+    const ids = await applyPersonFilter(treeCore, { query: 'has:documents' });
+    expect([...ids]).toEqual(['c']);
+  });
+
+  it('clears on an empty query and on clearPersonFilter', async () => {
+    await applyPersonFilter(treeCore, { query: 'surname:Petrov' });
+    expect(await applyPersonFilter(treeCore, { query: '  ' })).toBeNull();
+    expect(getActivePersonFilter()).toBeNull();
+    expect(treeCore.renderer.setPersonFilter).toHaveBeenLastCalledWith(null, undefined);
+    expect(personFilterState('c')).toBe('normal');
+  });
+
+  it('keeps the previous filter when a query does not parse', async () => {
+    await applyPersonFilter(treeCore, { query: 'surname:Petrov' });
+    await expect(applyPersonFilter(treeCore, { query: 'born:<' })).rejects.toBeInstanceOf(FilterSyntaxError);
+    expect(getActivePersonFilter().query).toBe('surname:Petrov');
+  });
+
+  it('re-evaluates after an edit and drops the filter on a tree switch', async () => {
+    await applyPersonFilter(treeCore, { query: 'surname:Petrov' });
+    treeCore.personData.set('d', { id: 'd', name: 'Oleg', surname: 'Petrov' });
+    appContext.getEventBus().emit(EVENTS.HISTORY_CHANGED, {});
+    await vi.waitFor(() => expect(getActivePersonFilter().ids.has('d')).toBe(true));
+
+    appContext.getEventBus().emit(EVENTS.TREE_SWITCHED, {});
+    expect(getActivePersonFilter()).toBeNull();
+  });
+});
+
+describe('canvas renderer person filter', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new CanvasRenderer(document.createElement('div'));
+    renderer.setNode('a', { x: 0, y: 0 });
+    renderer.setNode('b', { x: 500, y: 0 });
+  });
+
+  afterEach(() => renderer?.destroy());
+
+  it('dims persons outside the filter', () => {
+    renderer.setPersonFilter(new Set(['a']), 'dim');
+    expect(renderer.isFilteredOut('b')).toBe(false);
+    expect(renderer.nodeFilterAlpha('a')).toBe(1);
+    expect(renderer.nodeFilterAlpha('b')).toBe(renderer.settings.pathDimAlpha);
+    expect(renderer.connectionFilterAlpha({ from: 'a', to: 'b' })).toBe(renderer.settings.pathDimAlpha);
+  });
+
+  it('leaves hidden persons out of hit-testing and export bounds', () => {
+    const full = renderer.getContentBounds();
+    renderer.selectedNodes.add('b');
+    renderer.setPersonFilter(new Set(['a']), 'hide');
+    expect(renderer.isFilteredOut('b')).toBe(true);
+    expect(renderer.selectedNodes.has('b')).toBe(false);
+    expect(renderer.getContentBounds().width).toBeLessThan(full.width);
+    expect(renderer.getNodeAt(500, 0)).toBeNull();
+
+    renderer.setPersonFilter(new Set(), 'hide');
+    expect(renderer.getContentBounds()).toBeNull();
+    renderer.setPersonFilter(null);
+    expect(renderer.getContentBounds()).toEqual(full);
+  });
+});
+
+describe('tree chart person filter', () => {
+  it('marks persons and edges outside the filter', () => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const chart = new TreeChartRenderer(svg);
+    for (const id of ['a', 'b']) {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      el.dataset.personId = id;
+      chart._nodeEls.set(id, el);
+    }
+    const edge = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    edge.dataset.fromId = 'a';
+    edge.dataset.toId = 'b';
+    chart._edgeEls.set('a|b|parent', edge);
+
+    chart.applyPersonFilter(new Set(['a']), 'hide');
+    expect(svg.classList.contains('tc-filter-hide')).toBe(true);
+    expect(chart._nodeEls.get('a').classList.contains('tc-filtered-out')).toBe(false);
+    expect(chart._nodeEls.get('b').classList.contains('tc-filtered-out')).toBe(true);
+    expect(edge.classList.contains('tc-filtered-out')).toBe(true);
+
+    chart.applyPersonFilter(null);
+    expect(svg.classList.contains('tc-filter-hide')).toBe(false);
+    expect(chart._nodeEls.get('b').classList.contains('tc-filtered-out')).toBe(false);
+    expect(edge.classList.contains('tc-filtered-out')).toBe(false);
+  });
+});
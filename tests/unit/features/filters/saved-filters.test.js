@@ -0,0 +1,40 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+import { loadSavedFilters, saveFilter, deleteSavedFilter } from '../../../../src/features/filters/saved-filters.js';
+
+describe('saved filters', () => {
+  let repo;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    repo = new IndexedDBRepository('TestSavedFiltersDB');
+    await repo.initialize();
+  });
+
+  afterEach(() => { repo?.close(); });
+
+  it('starts empty and keeps filters sorted by name', async () => {
+    expect(await loadSavedFilters(repo)).toEqual([]);
+    await saveFilter(repo, { name: 'Petrov line', query: 'line:p1 born:<1920', mode: 'hide' });
+    await saveFilter(repo, { name: 'Emigrants', query: 'place:"New York"' });
+    expect(await loadSavedFilters(repo)).toEqual([
+      { name: 'Emigrants', query: 'place:"New York"', mode: 'dim' },
+      { name: 'Petrov line', query: 'line:p1 born:<1920', mode: 'hide' }
+    ]);
+  });
+
+  it('replaces a filter saved under the same name and deletes by name', async () => {
+    await saveFilter(repo, { name: 'Mine', query: 'surname:Petrov' });
+    await saveFilter(repo, { name: ' Mine ', query: 'surname:Ivanov' });
+    expect(await loadSavedFilters(repo)).toEqual([{ name: 'Mine', query: 'surname:Ivanov', mode: 'dim' }]);
+
+    expect(await deleteSavedFilter(repo, 'Mine')).toEqual([]);
+    expect(await loadSavedFilters(repo)).toEqual([]);
+  });
+
+  it('requires a name', async () => {
+    await expect(saveFilter(repo, { name: '  ', query: 'has:photo' })).rejects.toThrow(/name/);
+  });
+});
@@ -0,0 +1,23 @@
+// fixtures.js — Test fixture builders for the feature tests
+
+/**
+ * A person with every field the builder fills in, named after its id.
+ * @param {string} id
+ * @param {Object} [fields] - overrides
+ */
+export const person = (id, fields = {}) => ({
+  id,
+  name: id,
+  fatherName: '',
+  surname: '',
+  maidenName: '',
+  gender: '',
+  birth: { date: null, place: '' },
+  death: { date: null, place: '' },
+  marriages: [],
+  events: [],
+  ...fields
+});
+
+/** Map<id, Person> of the given persons, as the builder keeps them. */
+export const tree = (...persons) => new Map(persons.map((p) => [p.id, p]));
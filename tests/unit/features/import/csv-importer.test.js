@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { parseDelimited } from '../../../../src/utils/csv.js';
+import { guessColumnMapping, importFromCsv, readDate, readGender } from '../../../../src/features/import/csv-importer.js';
+import { generateTableCSV } from '../../../../src/features/export/exporter.js';
+
+const load = (text, options) => {
+  const rows = parseDelimited(text);
+  return importFromCsv(rows, guessColumnMapping(rows[0]), options);
+};
+
+describe('guessColumnMapping', () => {
+  it('maps common and localized headers and leaves the rest unmapped', () => {
+    expect(guessColumnMapping(['First name', 'Last Name', 'DOB', 'Place of birth', 'Sex', 'Mother', 'Hobby', 'Фамилия']))
+      .toEqual(['name', 'surname', 'birthDate', 'birthPlace', 'gender', 'mother', null, null]);
+  });
+
+  it('takes extra aliases such as the translated table headers', () => {
+    expect(guessColumnMapping(['Vorname', 'Zuname'], { surname: ['Zuname'] })).toEqual(['name', 'surname']);
+  });
+});
+
+describe('readGender and readDate', () => {
+  it('reads genders in the supported languages', () => {
+    expect(['M', 'female', 'ж', 'Weiblich', 'mujer', '?'].map(readGender)).toEqual(['male', 'female', 'female', 'female', 'female', '']);
+  });
+
+  it('reads dates the date field takes, with an estimated prefix', () => {
+    expect(readDate('05.03.1890')).toEqual({ year: 1890, month: 3, day: 5, estimated: false });
+    expect(readDate('est. 1850')).toEqual({ year: 1850, estimated: true });
+    expect(readDate('')).toBeNull();
+    expect(readDate('spring 1900')).toEqual({ error: true, raw: 'spring 1900' });
+    expect(readDate('99')).toEqual({ error: true, raw: '99' });
+  });
+
+  it('reads the GEDCOM dates the table export writes for complex dates', () => {
+    expect(readDate('BET 1890 AND 1895')).toEqual({ year: 1890, estimated: true, qualifier: 'between', end: { year: 1895 } });
+    expect(readDate('BEF MAR 1900')).toEqual({ year: 1900, month: 3, estimated: true, qualifier: 'before' });
+  });
+});
+
+describe('importFromCsv', () => {
+  it('builds persons with parents and spouses by row number, id and name', () => {
+    const { persons, rows } = load([
+      'ID,Name,Surname,Gender,Birth date,Birth place,Death date,Mother,Father,Spouse,Notes',
+      'a1,John,Smith,m,1850,York,12.04.1920,,,Mary Brown,Farmer',
+      'a2,Mary,Brown,,~1855,,,,,,',
+      'a3,Ann,Smith,f,03.1880,,,3,a1,,'
+    ].join('\n'));
+
+    expect(rows.every((row) => row.errors.length === 0)).toBe(true);
+    const [john, mary, ann] = persons;
+    expect(john).toMatchObject({
+      name: 'John', surname: 'Smith', gender: 'male', spouseId: mary.id, notes: 'Farmer',
+      birth: { date: { year: 1850, estimated: false }, place: 'York' },
+      death: { date: { year: 1920, month: 4, day: 12, estimated: false } }
+    });
+    // Named as a mother, so female; and married back to John
+    expect(mary).toMatchObject({ gender: 'female', spouseId: john.id, birth: { date: { year: 1855, estimated: true } } });
+    expect(ann).toMatchObject({ motherId: mary.id, fatherId: john.id, birth: { date: { year: 1880, month: 3 } } });
+    expect(rows.map((row) => row.line)).toEqual([2, 3, 4]);
+  });
+
+  it('reports per-row errors from the validator, dates and references and skips those rows', () => {
+    const { persons, rows } = load([
+      'Name,Surname,Gender,Born,Mother,Father',
+      'Ann,Lee,female,1900,,',
+      ',Lee,male,1901,,',
+      'Tom,Lee,male,spring 1902,Ann Lee,',
+      'Sue,Lee,female,,Nobody Here,9',
+      'Ann,Lee,female,,,',
+      'Kim,Lee,female,,Ann Lee,'
+    ].join('\n'));
+
+    expect(persons.map((p) => p.name)).toEqual(['Ann', 'Ann']);
+    const errors = Object.fromEntries(rows.map((row) => [row.line, row.errors.map((e) => e.key ?? e.message)]));
+    expect(errors).toEqual({
+      2: [],
+      3: ['Name is required'],
+      4: ['ambiguous', 'date'],
+      5: ['not_found', 'row_missing'],
+      6: [],
+      7: ['ambiguous']
+    });
+    expect(rows[2].errors[1]).toMatchObject({ column: 'birthDate', message: '"spring 1902" is not a date' });
+    expect(rows[3].person).toBeNull();
+  });
+
+  it('requires a gender it can read', () => {
+    const { rows } = load('Name,Gender\nAlex,x\n');
+    expect(rows[0].errors.map((e) => e.message)).toEqual(['Gender must be "male" or "female"']);
+  });
+
+  it('resolves references into the existing tree and drops links to skipped rows', () => {
+    const existing = [{ id: 'p7', name: 'Olga', surname: 'Ivanova', gender: 'female' }];
+    const { persons } = load([
+      'Name,Surname,Gender,Mother,Father',
+      'Pavel,Ivanov,male,Olga Ivanova,3',
+      ',Ivanov,male,,'
+    ].join('\n'), { existing });
+    expect(persons).toHaveLength(1);
+    expect(persons[0]).toMatchObject({ motherId: 'p7', fatherId: '' });
+  });
+
+  it('reads files without a header row, counting rows from 1', () => {
+    const rows = parseDelimited('Ann;female;\nBob;male;1');
+    const result = importFromCsv(rows, ['name', 'gender', 'mother'], { hasHeader: false });
+    expect(result.rows.map((row) => row.line)).toEqual([1, 2]);
+    expect(result.persons[1].motherId).toBe(result.persons[0].id);
+  });
+
+  it('counts blank lines in row numbers and skips them', () => {
+    const { persons, rows } = load('Name,Gender,Mother\nAnn,female,\n\nBob,male,2\n\nTom,male,4');
+    expect(rows.map((row) => row.line)).toEqual([2, 4, 6]);
+    expect(persons.map((p) => p.name)).toEqual(['Ann', 'Bob', 'Tom']);
+    expect(persons[1].motherId).toBe(persons[0].id);
+    expect(persons[2].motherId).toBe(persons[1].id);
+  });
+});
+
+describe('table CSV export', () => {
+  const row = (overrides) => ({
+    id: 'p1', name: '', fatherName: '', surname: '', maidenName: '', birthDate: null, dob: '',
+    gender: '', motherId: '', fatherId: '', spouseId: '', events: '', ...overrides
+  });
+
+  it('writes the table columns and reads back through the import', () => {
+    const rows = [
+      row({ id: 'p1', name: 'John', surname: 'Smith', gender: 'male', spouseId: 'p2', birthDate: { year: 1850, month: 2, day: 1, estimated: false } }),
+      row({ id: 'p2', name: 'Mary', surname: 'Smith', maidenName: 'Brown', gender: 'female', spouseId: 'p1', birthDate: { year: 1855, estimated: true } }),
+      row({ id: 'p3', name: 'Ann', surname: 'Smith', gender: 'female', motherId: 'p2', fatherId: 'p1', events: 'Baptism 1880' }),
+      row({ id: 'p4', name: 'Ann', surname: 'Smith', gender: 'female', motherId: 'p2', fatherId: 'p1' })
+    ];
+    const csv = generateTableCSV(rows, { generationOf: (id) => (id === 'p3' || id === 'p4' ? 2 : 1) });
+    const lines = parseDelimited(csv);
+    expect(lines[0]).toEqual(['ID', 'Name', "Father's Name", 'Surname', 'Maiden Name', 'Date of Birth', 'Gender', 'Generation', 'Mother', 'Father', 'Spouse', 'Life Events']);
+    expect(lines[1]).toEqual(['p1', 'John', '', 'Smith', '', '01.02.1850', 'male', '1', '', '', 'Mary Smith', '']);
+    expect(lines[2].slice(5)).toEqual(['est. 1855', 'female', '1', '', '', 'John Smith', '']);
+    expect(lines[3].slice(8)).toEqual(['Mary Smith', 'John Smith', '', 'Baptism 1880']);
+
+    const { persons, rows: read } = importFromCsv(lines, guessColumnMapping(lines[0]));
+    expect(read.every((r) => r.errors.length === 0)).toBe(true);
+    const [john, mary, ann] = persons;
+    expect(mary).toMatchObject({ maidenName: 'Brown', spouseId: john.id, birth: { date: { year: 1855, estimated: true } } });
+    expect(ann).toMatchObject({ motherId: mary.id, fatherId: john.id });
+  });
+
+  it('writes complex dates so the import reads them back', () => {
+    const dates = [
+      { year: 1890, estimated: true, qualifier: 'between', end: { year: 1895 } },
+      { year: 1900, month: 3, estimated: true, qualifier: 'before' },
+      { year: 1901, estimated: false, qualifier: 'from', end: { year: 1910, month: 6, day: 2 } },
+      { year: 1700, dualYear: 1701, estimated: false },
+      { year: 1850, estimated: true, qualifier: 'about' }
+    ];
+    const rows = dates.map((birthDate, i) => row({ id: `p${i + 1}`, name: `Ann${i}`, gender: 'female', motherId: i ? 'p1' : '', birthDate }));
+    const lines = parseDelimited(generateTableCSV(rows));
+    expect(lines.slice(1).map((cells) => cells[5])).toEqual([
+      'BET 1890 AND 1895', 'BEF MAR 1900', 'FROM 1901 TO 2 JUN 1910', '1700/01', 'ABT 1850'
+    ]);
+
+    const { persons, rows: read } = importFromCsv(lines, guessColumnMapping(lines[0]));
+    expect(read.every((r) => r.errors.length === 0)).toBe(true);
+    expect(persons.map((p) => p.birth.date)).toEqual(dates);
+    expect(persons.slice(1).every((p) => p.motherId === persons[0].id)).toBe(true);
+  });
+
+  it('writes the id for a parent whose name is not unique', () => {
+    const rows = [
+      row({ id: 'p1', name: 'Ann', surname: 'Lee' }),
+      row({ id: 'p2', name: 'Ann', surname: 'Lee' }),
+      row({ id: 'p3', name: 'Tom', motherId: 'p2' })
+    ];
+    expect(parseDelimited(generateTableCSV(rows))[3][8]).toBe('p2');
+  });
+});
@@ -1,7 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { readFileSync } from 'node:fs';
 import { join } from 'node:path';
-import { importFromGedcom } from '../../../../src/features/import/gedcom-importer.js';
+import { importFromGedcom, parseGedcomDate } from '../../../../src/features/import/gedcom-importer.js';
 
 const fixture = (name) =>
   readFileSync(join(import.meta.dirname, '../../../fixtures/gedcom', name), 'utf-8');
@@ -103,3 +103,305 @@ describe('importFromGedcom', () => {
     expect(francois?.spouseId).toBe(anne?.id);
   });
 });
+
+describe('importFromGedcom — full fidelity', () => {
+  const load = () => importFromGedcom(fixture('full-fidelity.ged'));
+  const ivanOf = (persons) => persons.find(p => p.name === 'Ivan');
+
+  it('maps standard individual events into person.events', () => {
+    const ivan = ivanOf(load().persons);
+    const types = ivan.events.map(e => e.type);
+    expect(types).toEqual(['christening', 'occupation', 'residence', 'education', 'military', 'custom', 'burial']);
+    const chr = ivan.events.find(e => e.type === 'christening');
+    expect(chr.date).toEqual({ year: 1880, month: 5, day: 10, estimated: false });
+    expect(chr.place).toBe('St. Nicholas Church, Odessa');
+    expect(ivan.events.find(e => e.type === 'occupation').description).toBe('Sea captain');
+    expect(ivan.events.find(e => e.type === 'residence').note).toBe('Lived by the harbour');
+  });
+
+  it('keeps the EVEN TYPE as a label for custom events', () => {
+    const ivan = ivanOf(load().persons);
+    const custom = ivan.events.find(e => e.type === 'custom');
+    expect(custom.label).toBe('Adventure');
+    expect(custom.description).toBe('Shipwreck survivor');
+    expect(ivan.events.find(e => e.type === 'military').label).toBeUndefined();
+  });
+
+  it('maps a TYPE maiden NAME to maidenName and other NAMEs to altNames', () => {
+    const { persons } = load();
+    expect(persons.find(p => p.name === 'Maria').maidenName).toBe('Sidorova');
+    expect(ivanOf(persons).altNames).toEqual([{ given: 'Jean', surname: 'Pierre', type: 'aka' }]);
+  });
+
+  it('folds inline and pointer NOTE records into notes', () => {
+    const ivan = ivanOf(load().persons);
+    expect(ivan.notes).toBe('Ivan kept a diary\nthroughout his life.\n\nSecond note line one\nline two');
+  });
+
+  it('keeps place coordinates and custom tags as unmapped nodes', () => {
+    const ivan = ivanOf(load().persons);
+    const tags = ivan.unmapped.map(n => n.tag);
+    expect(tags).toEqual(['NPFX', 'NSFX', 'OBJE', '_UID', 'CHAN']);
+    expect(ivan.unmapped[0].within).toBe('NAME');
+    expect(ivan.unmapped.find(n => n.tag === '_UID').children).toEqual([{ tag: '_SOURCE', value: 'Imported' }]);
+    const birthTags = ivan.birth.unmapped.map(n => `${n.within || ''}:${n.tag}`);
+    expect(birthTags).toEqual(['PLAC:MAP']);
+    expect(ivan.death.unmapped).toEqual([{ tag: 'CAUS', value: 'Pneumonia' }]);
+  });
+
+  it('maps family events and FAM detail onto both marriage mirrors', () => {
+    const { persons } = load();
+    const ivan = ivanOf(persons);
+    const maria = persons.find(p => p.name === 'Maria');
+    expect(ivan.marriages[0].events.map(e => e.type)).toEqual(['divorce']);
+    expect(ivan.marriages[0].unmapped.map(n => `${n.within || ''}:${n.tag}`)).toEqual([':_MARNM', ':NOTE']);
+    expect(maria.marriages[0].events).toEqual(ivan.marriages[0].events);
+    expect(maria.marriages[0].events).not.toBe(ivan.marriages[0].events);
+  });
+
+  it('keeps FAMC links that carry detail such as PEDI', () => {
+    const olga = load().persons.find(p => p.name === 'Olga');
+    expect(olga.unmapped).toEqual([
+      { tag: 'FAMC', ref: { type: 'family', id: olga.unmapped[0].ref.id }, children: [{ tag: 'PEDI', value: 'birth' }] }
+    ]);
+  });
+
+  it('returns other records verbatim and drops NOTE records folded into notes', () => {
+    const { records } = load();
+    expect(records.map(r => r.tag)).toEqual(['OBJE']);
+  });
+
+  it('keeps the detail of a one-parent family as a marriage with no spouse', () => {
+    const ged = [
+      '0 HEAD', '0 @I1@ INDI', '1 NAME Anna /Berg/', '1 SEX F', '0 @I2@ INDI', '1 NAME Karl /Berg/',
+      '0 @F1@ FAM', '1 WIFE @I1@', '1 CHIL @I2@', '1 MARR', '2 DATE 1900', '1 NOTE Father unknown', '1 _UID abc',
+      '0 TRLR'
+    ].join('\n');
+    const { persons, warnings } = importFromGedcom(ged);
+    const [anna, karl] = persons;
+    expect(warnings).toEqual([]);
+    expect(anna.marriages).toHaveLength(1);
+    expect(anna.marriages[0]).toMatchObject({ spouseId: '', date: { year: 1900 } });
+    expect(anna.marriages[0].unmapped.map(n => n.tag)).toEqual(['NOTE', '_UID']);
+    expect(karl.motherId).toBe(anna.id);
+    expect(karl.fatherId).toBe('');
+  });
+
+  it('keeps a child in two families with the first family\'s parents and a link to the second', () => {
+    const ged = [
+      '0 HEAD',
+      '0 @I1@ INDI', '1 NAME Hans /Alt/', '1 SEX M', '0 @I2@ INDI', '1 NAME Greta /Alt/', '1 SEX F',
+      '0 @I3@ INDI', '1 NAME Otto /Neu/', '1 SEX M', '0 @I4@ INDI', '1 NAME Lise /Neu/', '1 SEX F',
+      '0 @I5@ INDI', '1 NAME Paul /Alt/',
+      '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I5@',
+      '0 @F2@ FAM', '1 HUSB @I3@', '1 WIFE @I4@', '1 CHIL @I5@',
+      '0 TRLR'
+    ].join('\n');
+    const { persons } = importFromGedcom(ged);
+    const [hans, greta, otto, , paul] = persons;
+    expect(paul.fatherId).toBe(hans.id);
+    expect(paul.motherId).toBe(greta.id);
+    expect(paul.unmapped).toEqual([{ tag: 'FAMC', ref: { type: 'family', id: otto.marriages[0].id } }]);
+  });
+
+  it('keeps an unparseable DATE verbatim instead of dropping it', () => {
+    const ged = '0 HEAD\n0 @I1@ INDI\n1 NAME A /B/\n1 BIRT\n2 DATE Easter 1850\n0 TRLR';
+    const [person] = importFromGedcom(ged).persons;
+    expect(person.birth.date).toBeNull();
+    expect(person.birth.unmapped).toEqual([{ tag: 'DATE', value: 'Easter 1850' }]);
+  });
+});
+
+describe('importFromGedcom — sources', () => {
+  it('maps SOUR and REPO records and the citations pointing at them', () => {
+    const { persons, sources } = importFromGedcom(fixture('full-fidelity.ged'));
+    const ivan = persons.find(p => p.name === 'Ivan');
+    const repository = sources.find(r => r.kind === 'repository');
+    const source = sources.find(r => r.kind === 'source');
+    expect(repository.name).toBe('State Archive of Odessa Oblast');
+    expect(source).toMatchObject({ title: 'Odessa parish registers', repositoryId: repository.id });
+
+    const citations = sources.filter(r => r.kind === 'citation');
+    expect(citations.map(c => c.fact)).toEqual(['birth', `marriage:${ivan.marriages[0].id}`]);
+    expect(citations[0]).toMatchObject({ sourceId: source.id, personId: ivan.id, page: 'Folio 12', quality: 3 });
+  });
+
+  it('reads page, quality, transcription and notes of citations on any fact', () => {
+    const ged = [
+      '0 HEAD',
+      '0 @I1@ INDI',
+      '1 NAME John /Smith/',
+      '2 SOUR @S1@',
+      '3 PAGE RG11/1234, folio 5',
+      '1 OCCU Miner',
+      '2 SOUR @S1@',
+      '3 DATA',
+      '4 DATE 3 APR 1881',
+      '4 TEXT John Smith, head, 34, coal miner',
+      '5 CONT born Durham',
+      '3 NOTE Enumerator misspelt the street',
+      '1 SOUR @S1@',
+      '2 QUAY 2',
+      '1 DEAT',
+      '2 SOUR Family bible',
+      '0 @S1@ SOUR',
+      '1 TITL 1881 England Census',
+      '1 AUTH General Register Office',
+      '1 REPO @R1@',
+      '2 CALN RG11',
+      '0 @R1@ REPO',
+      '1 NAME The National Archives',
+      '1 ADDR Kew, Richmond',
+      '0 TRLR'
+    ].join('\n');
+    const { persons, sources } = importFromGedcom(ged);
+    const [john] = persons;
+    const source = sources.find(r => r.kind === 'source');
+    expect(source).toMatchObject({ author: 'General Register Office', callNumber: 'RG11' });
+    expect(sources.find(r => r.kind === 'repository').address).toBe('Kew, Richmond');
+
+    const citations = sources.filter(r => r.kind === 'citation');
+    expect(citations.map(c => c.fact)).toEqual(['name', `event:${john.events[0].id}`, 'person']);
+    expect(citations[0].page).toBe('RG11/1234, folio 5');
+    expect(citations[1]).toMatchObject({
+      text: 'John Smith, head, 34, coal miner\nborn Durham',
+      note: 'Enumerator misspelt the street',
+      unmapped: [{ tag: 'DATE', value: '3 APR 1881', within: 'DATA' }]
+    });
+    expect(citations[2].quality).toBe(2);
+    // An inline source description has no SOUR record to point at
+    expect(john.death.unmapped).toEqual([{ tag: 'SOUR', value: 'Family bible' }]);
+  });
+});
+
+describe('parseGedcomDate', () => {
+  it('reads exact dates at day, month and year precision', () => {
+    expect(parseGedcomDate('12 MAR 1850')).toEqual({ year: 1850, month: 3, day: 12, estimated: false });
+    expect(parseGedcomDate('MAR 1850')).toEqual({ year: 1850, month: 3, estimated: false });
+    expect(parseGedcomDate('1850')).toEqual({ year: 1850, estimated: false });
+  });
+
+  it('keeps which approximation was used', () => {
+    expect(parseGedcomDate('ABT 1850')).toEqual({ year: 1850, estimated: true, qualifier: 'about' });
+    expect(parseGedcomDate('EST 1850').qualifier).toBe('estimated');
+    expect(parseGedcomDate('CAL 1850').qualifier).toBe('calculated');
+    expect(parseGedcomDate('BEF 1850').qualifier).toBe('before');
+    expect(parseGedcomDate('AFT 1850').qualifier).toBe('after');
+  });
+
+  it('reads ranges and periods with both bounds', () => {
+    expect(parseGedcomDate('BET 1850 AND MAR 1860')).toEqual({
+      year: 1850, estimated: true, qualifier: 'between', end: { year: 1860, month: 3 },
+    });
+    expect(parseGedcomDate('FROM 1850 TO 1860')).toEqual({
+      year: 1850, estimated: false, qualifier: 'from', end: { year: 1860 },
+    });
+    expect(parseGedcomDate('FROM 1850')).toEqual({ year: 1850, estimated: false, qualifier: 'from' });
+    expect(parseGedcomDate('TO 1860')).toEqual({ year: 1860, estimated: false, qualifier: 'to' });
+  });
+
+  it('reads interpreted dates with their phrase', () => {
+    expect(parseGedcomDate('INT 1850 (parish record)')).toEqual({
+      year: 1850, estimated: false, qualifier: 'interpreted', phrase: 'parish record',
+    });
+  });
+
+  it('reads dual years, B.C. and calendar escapes', () => {
+    expect(parseGedcomDate('11 FEB 1700/01')).toMatchObject({ year: 1700, dualYear: 1701, month: 2, day: 11 });
+    expect(parseGedcomDate('1799/00')).toMatchObject({ year: 1799, dualYear: 1800 });
+    expect(parseGedcomDate('44 B.C.')).toMatchObject({ year: 44, bc: true });
+    expect(parseGedcomDate('@#DJULIAN@ 11 FEB 1700')).toMatchObject({ year: 1700, month: 2, day: 11, calendar: 'julian' });
+    expect(parseGedcomDate('@#DHEBREW@ 1 TSH 5600')).toMatchObject({ year: 5600, month: 1, day: 1, calendar: 'hebrew' });
+    expect(parseGedcomDate('BET @#DJULIAN@ 1700 AND 1710')).toMatchObject({
+      calendar: 'julian', end: { year: 1710 },
+    });
+  });
+
+  it('returns null for values it cannot represent', () => {
+    expect(parseGedcomDate('(sometime in spring)')).toBeNull();
+    expect(parseGedcomDate('12 FOO 1850')).toBeNull();
+    expect(parseGedcomDate('@#DMAYAN@ 1850')).toBeNull();
+  });
+
+  it('rejects days the month does not have', () => {
+    for (const text of ['0 MAR 1850', '32 JAN 1850', '31 APR 1850', '29 FEB 1900', '30 FEB 1904', '99 DEC 1850',
+      '@#DHEBREW@ 31 TSH 5600', '@#DFRENCH R@ 31 VEND 2', '@#DFRENCH R@ 7 COMP 3', 'BET 31 JUN 1850 AND 1860']) {
+      expect(parseGedcomDate(text)).toBeNull();
+    }
+    expect(parseGedcomDate('29 FEB 1904')).toMatchObject({ month: 2, day: 29 });
+    expect(parseGedcomDate('29 FEB 2000')).toMatchObject({ month: 2, day: 29 });
+    expect(parseGedcomDate('@#DJULIAN@ 29 FEB 1700')).toMatchObject({ day: 29, calendar: 'julian' });
+    expect(parseGedcomDate('29 FEB 1703/04')).toMatchObject({ day: 29, dualYear: 1704 });
+    expect(parseGedcomDate('@#DHEBREW@ 30 TSH 5600')).toMatchObject({ day: 30 });
+    expect(parseGedcomDate('@#DFRENCH R@ 6 COMP 3')).toMatchObject({ month: 13, day: 6 });
+  });
+
+  it('survives the GEDCOM parser for escaped calendar dates', () => {
+    const ged = '0 HEAD\n0 @I1@ INDI\n1 NAME A /B/\n1 BIRT\n2 DATE @#DJULIAN@ 11 FEB 1700/01\n0 TRLR';
+    const [person] = importFromGedcom(ged).persons;
+    expect(person.birth.date).toMatchObject({ year: 1700, dualYear: 1701, calendar: 'julian' });
+  });
+});
+
+
+describe('importFromGedcom — GEDCOM 7.0', () => {
+  const ged7 = (body) => `0 HEAD\n1 GEDC\n2 VERS 7.0\n${body}\n0 TRLR`;
+
+  it('reads calendar keywords and BCE', () => {
+    expect(parseGedcomDate('JULIAN 11 FEB 1700')).toMatchObject({ year: 1700, month: 2, day: 11, calendar: 'julian' });
+    expect(parseGedcomDate('FRENCH_R 1 VEND 10')).toMatchObject({ year: 10, month: 1, day: 1, calendar: 'french_r' });
+    expect(parseGedcomDate('BET JULIAN 1700 AND 1710')).toMatchObject({ calendar: 'julian', end: { year: 1710 } });
+    expect(parseGedcomDate('44 BCE')).toMatchObject({ year: 44, bc: true });
+  });
+
+  it('folds a DATE PHRASE into an interpreted date, or back into a dual year', () => {
+    const { persons } = importFromGedcom(ged7([
+      '0 @I1@ INDI', '1 BIRT', '2 DATE 1850', '3 PHRASE parish record',
+      '1 DEAT', '2 DATE 11 FEB 1700', '3 PHRASE 11 FEB 1700/01',
+      '1 BURI', '2 DATE ABT 1760', '3 PHRASE spring',
+    ].join('\n')));
+    const [person] = persons;
+    expect(person.birth.date).toEqual({ year: 1850, estimated: false, qualifier: 'interpreted', phrase: 'parish record' });
+    expect(person.birth.unmapped).toBeUndefined();
+    expect(person.death.date).toMatchObject({ year: 1700, dualYear: 1701 });
+    expect(person.events[0].unmapped).toEqual([{ tag: 'PHRASE', value: 'spring', within: 'DATE' }]);
+  });
+
+  it('reads shared notes and name types, and drops the EXID this app wrote', () => {
+    const { persons, records } = importFromGedcom(ged7([
+      '0 @I1@ INDI', '1 NAME Ann /Lee/', '1 NAME Ann /Li/', '2 TYPE OTHER', '3 PHRASE church', '1 NAME Ann /Moss/', '2 TYPE MAIDEN',
+      '1 SEX F', '1 SNOTE @N1@', '1 EXID p1', '2 TYPE https://mapmyroots.com', '1 EXID 42', '2 TYPE https://example.org',
+      '0 @N1@ SNOTE Shared text', '1 CONT second line',
+    ].join('\n')));
+    const [person] = persons;
+    expect(person.notes).toBe('Shared text\nsecond line');
+    expect(person.maidenName).toBe('Moss');
+    expect(person.altNames).toEqual([{ given: 'Ann', surname: 'Li', type: 'church' }]);
+    expect(person.unmapped).toEqual([{ tag: 'EXID', value: '42', children: [{ tag: 'TYPE', value: 'https://example.org' }] }]);
+    expect(records).toEqual([]);
+  });
+
+  it('takes the person id from the EXID this app wrote, unless two persons claim it', () => {
+    const { persons } = importFromGedcom(ged7([
+      '0 @I1@ INDI', '1 NAME Ann /Lee/', '1 EXID p1', '2 TYPE https://mapmyroots.com',
+      '0 @I2@ INDI', '1 NAME Bob /Lee/', '1 EXID p2', '2 TYPE https://mapmyroots.com',
+      '0 @I3@ INDI', '1 NAME Cid /Lee/', '1 EXID p2', '2 TYPE https://mapmyroots.com',
+      '0 @I4@ INDI', '1 NAME Dan /Lee/', '1 EXID p4', '2 TYPE https://example.org',
+      '0 @F1@ FAM', '1 WIFE @I1@', '1 CHIL @I2@', '1 CHIL @I4@',
+    ].join('\n')));
+    expect(persons[0].id).toBe('p1');
+    expect(persons[1].id).toMatch(/^gedcom_.+_I2$/);
+    expect(persons[2].id).toMatch(/^gedcom_.+_I3$/);
+    expect(persons[3].id).toMatch(/^gedcom_.+_I4$/);
+    expect(persons[1].motherId).toBe('p1');
+    expect(persons[3].motherId).toBe('p1');
+  });
+
+  it('keeps SNOTE pointers it cannot fold as NOTE references', () => {
+    const { persons, records } = importFromGedcom(ged7([
+      '0 @I1@ INDI', '1 BIRT', '2 SNOTE @N1@', '3 _EXT x', '0 @N1@ SNOTE Shared',
+    ].join('\n')));
+    expect(persons[0].birth.unmapped[0]).toMatchObject({ tag: 'NOTE', ref: { type: 'record' } });
+    expect(records).toMatchObject([{ tag: 'NOTE', value: 'Shared' }]);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { makePlace } from '../../../../src/features/places/place-model.js';
+import {
+  placeLocator,
+  collectMapEvents,
+  eventsUntil,
+  groupPins,
+  personPaths,
+  lineageIds,
+  lineagePaths,
+  pathsUntil,
+  eventYearRange
+} from '../../../../src/features/map/map-events.js';
+import { person } from '../fixtures.js';
+
+const places = [
+  makePlace({ id: 'ua', name: 'Ukraine', type: 'country' }),
+  makePlace({ id: 'kyiv', name: 'Kyiv', type: 'city', parentId: 'ua', latitude: 50.45, longitude: 30.52 }),
+  makePlace({ id: 'podil', name: 'Podil', type: 'other', parentId: 'kyiv' }),
+  makePlace({ id: 'lviv', name: 'Lviv', type: 'city', parentId: 'ua', latitude: 49.84, longitude: 24.03 }),
+  makePlace({ id: 'ny', name: 'New York', type: 'city', latitude: 40.71, longitude: -74.01 })
+];
+const gazetteer = new Map([
+  ['france', { lat: 46.6, lon: 2.4, name: 'France' }],
+  ['canada', { lat: 61, lon: -98, name: 'Canada' }]
+]);
+const locate = placeLocator(places, gazetteer);
+
+const personData = new Map([
+  ['gf', person('gf', {
+    birth: { date: { year: 1880 }, place: 'Lviv' },
+    marriages: [{ id: 'm1', spouseId: 'gm', date: { year: 1905 }, place: 'Kyiv' }],
+    events: [
+      { id: 'r1', type: 'residence', date: { year: 1920 }, place: 'New York' },
+      { id: 'r2', type: 'residence', date: null, place: 'Lyon, France' },
+      { id: 'x1', type: 'military', date: { year: 1914 }, place: 'Kyiv' }
+    ],
+    death: { date: { year: 1950 }, place: 'Toronto, Ontario, Canada' }
+  })],
+  ['gm', person('gm', {
+    birth: { date: { year: 1885 }, place: 'Podil' },
+    marriages: [{ id: 'm1', spouseId: 'gf', date: { year: 1905 }, place: 'Kyiv' }]
+  })],
+  ['dad', person('dad', {
+    fatherId: 'gf',
+    motherId: 'gm',
+    birth: { date: { year: 1925 }, place: 'New York' },
+    death: { date: null, place: 'Atlantis' }
+  })]
+]);
+
+describe('placeLocator', () => {
+  it('prefers registry coordinates, then an enclosing place, then the country center', () => {
+    expect(locate('Lviv')).toEqual({ lat: 49.84, lon: 24.03, precision: 'place' });
+    expect(locate('Podil')).toEqual({ lat: 50.45, lon: 30.52, precision: 'region' });
+    expect(locate('Lyon, Rhône, France')).toEqual({ lat: 46.6, lon: 2.4, precision: 'country' });
+    expect(locate('Atlantis')).toBeNull();
+    expect(locate(' ')).toBeNull();
+  });
+});
+
+describe('collectMapEvents', () => {
+  const { events, unlocated } = collectMapEvents(personData, locate);
+
+  it('collects located births, marriages, residences and deaths', () => {
+    const gf = events.filter((e) => e.personId === 'gf');
+    expect(gf.map((e) => e.kind)).toEqual(['birth', 'marriage', 'residence', 'residence', 'death']);
+    expect(gf[0]).toMatchObject({ id: 'gf:birth', year: 1880, place: 'Lviv', precision: 'place' });
+    expect(gf[3]).toMatchObject({ year: null, precision: 'country' });
+  });
+
+  it('counts the records of places that cannot be placed', () => {
+    expect([...unlocated]).toEqual([['Atlantis', 1]]);
+  });
+
+  it('groups events at the same location into one pin', () => {
+    const pins = groupPins(events);
+    const kyiv = pins.find((p) => p.lat === 50.45);
+    expect(kyiv.events.map((e) => e.id)).toEqual(['gf:m1', 'gm:birth', 'gm:m1']);
+    expect(pins).toHaveLength(5);
+  });
+
+  it('keeps the events dated by a slider year', () => {
+    expect(eventsUntil(events, null)).toBe(events);
+    expect(eventsUntil(events, 1905).map((e) => e.id)).toEqual(['gf:birth', 'gf:m1', 'gm:birth', 'gm:m1']);
+  });
+
+  it('spans the dated years', () => {
+    expect(eventYearRange(events)).toEqual({ min: 1880, max: 1950 });
+    expect(eventYearRange([])).toBeNull();
+  });
+});
+
+describe('migration paths', () => {
+  const { events } = collectMapEvents(personData, locate);
+
+  it('follows a person from birth to death, leaving out undated moves', () => {
+    const [path] = personPaths(events, ['gf']);
+    expect(path.points.map((p) => p.place)).toEqual(['Lviv', 'Kyiv', 'New York', 'Toronto, Ontario, Canada']);
+  });
+
+  it('merges repeated places and drops paths that never move', () => {
+    expect(personPaths(events, ['gm'])).toEqual([]);
+    expect(personPaths(events, ['dad'])).toEqual([]);
+  });
+
+  it('links parents to children by birth place within a lineage', () => {
+    const ids = lineageIds(personData, 'dad');
+    expect([...ids]).toEqual(['dad', 'gf', 'gm']);
+    expect(lineageIds(personData, 'dad', 1)).toEqual(new Set(['dad']));
+    const links = lineagePaths(personData, events, ids);
+    expect(links.map((l) => l.points.map((p) => p.place))).toEqual([['Lviv', 'New York'], ['Podil', 'New York']]);
+  });
+
+  it('cuts paths at the slider year', () => {
+    const paths = personPaths(events, ['gf']);
+    expect(pathsUntil(paths, 1910)[0].points.map((p) => p.place)).toEqual(['Lviv', 'Kyiv']);
+    expect(pathsUntil(paths, 1890)).toEqual([]);
+    expect(pathsUntil(paths, null)).toBe(paths);
+  });
+});
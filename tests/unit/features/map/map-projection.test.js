@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  project,
+  ringPath,
+  countryPath,
+  countryCentroid,
+  basemapGazetteer,
+  MAP_WIDTH,
+  MAP_HEIGHT
+} from '../../../../src/features/map/map-projection.js';
+
+const square = (lon, lat, size) => [lon, lat, lon + size, lat, lon + size, lat + size, lon, lat + size];
+
+describe('project', () => {
+  it('maps the world onto the map rectangle', () => {
+    expect(project(-180, 90)).toEqual({ x: 0, y: 0 });
+    expect(project(180, -90)).toEqual({ x: MAP_WIDTH, y: MAP_HEIGHT });
+    expect(project(0, 0)).toEqual({ x: MAP_WIDTH / 2, y: MAP_HEIGHT / 2 });
+  });
+});
+
+describe('countryPath', () => {
+  it('draws each ring as a closed path', () => {
+    expect(ringPath([0, 0, 10, 0, 10, 10])).toBe('M720 360 L760 360 L760 320Z');
+    expect(countryPath({ rings: [square(0, 0, 10), square(20, 0, 5)] }).match(/Z/g)).toHaveLength(2);
+  });
+
+  it('draws rings past the antimeridian again one turn to the west', () => {
+    const path = countryPath({ rings: [square(175, 60, 10)] });
+    expect(path.match(/Z/g)).toHaveLength(2);
+    expect(path).toContain(`M${project(-185, 60).x} `);
+  });
+});
+
+describe('countryCentroid', () => {
+  it('centers on the largest landmass', () => {
+    expect(countryCentroid({ rings: [square(0, 0, 2), square(10, 40, 20)] })).toEqual({ lat: 50, lon: 20 });
+  });
+
+  it('wraps unwrapped longitudes back into range', () => {
+    expect(countryCentroid({ rings: [square(176, 60, 10)] }).lon).toBe(-179);
+  });
+});
+
+describe('basemapGazetteer', () => {
+  it('finds countries by normalized name and common aliases', () => {
+    const gazetteer = basemapGazetteer({
+      countries: [
+        { name: 'France', rings: [square(0, 44, 4)] },
+        { name: 'United States of America', rings: [square(-100, 35, 10)] }
+      ]
+    });
+    expect(gazetteer.get('france')).toMatchObject({ name: 'France', lat: 46, lon: 2 });
+    expect(gazetteer.get('usa').name).toBe('United States of America');
+    expect(gazetteer.get('united states').name).toBe('United States of America');
+    expect(basemapGazetteer(null).size).toBe(0);
+  });
+});
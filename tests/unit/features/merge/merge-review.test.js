@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { mountMergeReview } from '../../../../src/features/merge/merge-review.js';
+
+const anna = (id, overrides = {}) => ({
+  id, name: 'Anna', surname: 'Schmidt', gender: 'female',
+  birth: { date: { year: 1850, estimated: false }, place: 'Berlin' },
+  death: { date: null, place: '' },
+  ...overrides
+});
+
+function mount(score) {
+  document.body.innerHTML = '<div id="root"></div>';
+  const existing = anna('e1');
+  const incoming = anna('i1', { death: { date: { year: 1920, estimated: false }, place: '' } });
+  return mountMergeReview({
+    container: document.getElementById('root'),
+    candidates: [{ incomingId: 'i1', existingId: 'e1', score, reasons: ['name', 'surname'] }],
+    existingById: new Map([['e1', existing]]),
+    incomingById: new Map([['i1', incoming]])
+  });
+}
+
+describe('mountMergeReview', () => {
+  it('pre-selects merge for strong matches with gap-filling field choices', () => {
+    const review = mount(90);
+    const [decision] = review.getDecisions();
+    expect(decision.action).toBe('accept');
+    expect(decision.choices.death).toBe('secondary');
+    expect(decision.choices.name).toBe('primary');
+  });
+
+  it('pre-selects keep-both for weaker matches', () => {
+    const review = mount(60);
+    expect(review.getDecisions()).toEqual([{ incomingId: 'i1', existingId: 'e1', action: 'reject' }]);
+  });
+
+  it('follows the field radios and bulk buttons', () => {
+    const review = mount(60);
+    const [mergeAll] = document.querySelectorAll('.merge-review-bulk button');
+    mergeAll.click();
+    const deathFromTree = document.querySelector('input[name="mergeReviewField-0-death"][value="primary"]');
+    deathFromTree.checked = true;
+    deathFromTree.dispatchEvent(new Event('change'));
+    const [decision] = review.getDecisions();
+    expect(decision.action).toBe('accept');
+    expect(decision.choices.death).toBe('primary');
+  });
+});
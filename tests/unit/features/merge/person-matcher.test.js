@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  scorePersonMatch,
+  findDuplicateCandidates,
+  normalizeName,
+  MATCH_THRESHOLD,
+  STRONG_MATCH_SCORE
+} from '../../../../src/features/merge/person-matcher.js';
+import { importFromGedcom } from '../../../../src/features/import/gedcom-importer.js';
+
+const fixture = (name) =>
+  readFileSync(join(__dirname, '../../../fixtures/gedcom', name), 'utf8');
+
+const person = (overrides) => ({
+  id: overrides.id,
+  name: '',
+  surname: '',
+  gender: '',
+  birth: { date: null, place: '' },
+  death: { date: null, place: '' },
+  ...overrides
+});
+
+describe('normalizeName', () => {
+  it('ignores case, accents and extra whitespace', () => {
+    expect(normalizeName('  José  María ')).toBe('jose maria');
+    expect(normalizeName('Алёна')).toBe('алена');
+  });
+});
+
+describe('scorePersonMatch', () => {
+  const anna = person({
+    id: 'a', name: 'Anna', surname: 'Schmidt', gender: 'female',
+    birth: { date: { year: 1850, month: 3, day: 12, estimated: false }, place: 'Berlin' }
+  });
+
+  it('scores the same person highly', () => {
+    const copy = { ...anna, id: 'b' };
+    const { score, reasons } = scorePersonMatch(anna, copy);
+    expect(score).toBeGreaterThanOrEqual(STRONG_MATCH_SCORE);
+    expect(reasons).toEqual(['name', 'surname', 'birth_date', 'birth_place']);
+  });
+
+  it('matches a married woman by maiden name', () => {
+    const married = person({ id: 'b', name: 'Anna', surname: 'Weber', maidenName: 'Schmidt', gender: 'female',
+      birth: { date: { year: 1850, estimated: false }, place: 'Berlin, Prussia' } });
+    const { score, reasons } = scorePersonMatch(anna, married);
+    expect(reasons).toContain('surname');
+    expect(score).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  });
+
+  it('rules out different genders and different given names', () => {
+    expect(scorePersonMatch(anna, { ...anna, id: 'b', gender: 'male' }).score).toBe(0);
+    expect(scorePersonMatch(anna, { ...anna, id: 'b', name: 'Berta' }).score).toBe(0);
+  });
+
+  it('penalises birth years far apart', () => {
+    const other = { ...anna, id: 'b', birth: { date: { year: 1890, estimated: false }, place: '' } };
+    expect(scorePersonMatch(anna, other).score).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  it('compares parents through the lookups', () => {
+    const fatherA = person({ id: 'fa', name: 'Karl', surname: 'Schmidt' });
+    const fatherB = person({ id: 'fb', name: 'Karl', surname: 'Schmidt' });
+    const a = { ...anna, fatherId: 'fa' };
+    const b = { ...anna, id: 'b', fatherId: 'fb' };
+    const { reasons } = scorePersonMatch(a, b, {
+      lookupA: (id) => (id === 'fa' ? fatherA : undefined),
+      lookupB: (id) => (id === 'fb' ? fatherB : undefined)
+    });
+    expect(reasons).toContain('father');
+  });
+});
+
+describe('findDuplicateCandidates', () => {
+  it('pairs every person when the same file is imported twice', () => {
+    const first = importFromGedcom(fixture('full-fidelity.ged')).persons;
+    const second = importFromGedcom(fixture('full-fidelity.ged')).persons;
+    const pairs = findDuplicateCandidates(second, first);
+
+    const byName = new Map(first.map(p => [p.id, p.name]));
+    expect(pairs.length).toBe(first.length);
+    for (const pair of pairs) {
+      expect(byName.get(pair.existingId)).toBe(second.find(p => p.id === pair.incomingId).name);
+    }
+  });
+
+  it('uses each person at most once, best score first', () => {
+    const existing = [
+      person({ id: 'e1', name: 'John', surname: 'Smith', birth: { date: { year: 1900, estimated: false } } })
+    ];
+    const incoming = [
+      person({ id: 'i1', name: 'John', surname: 'Smith', birth: { date: { year: 1900, estimated: false } } }),
+      person({ id: 'i2', name: 'John', surname: 'Smith', birth: { date: { year: 1900, month: 1, day: 2, estimated: false } } })
+    ];
+    const pairs = findDuplicateCandidates(incoming, existing);
+    expect(pairs).toHaveLength(1);
+  });
+
+  it('skips pairs below the threshold', () => {
+    const existing = [person({ id: 'e1', name: 'John', surname: 'Smith' })];
+    const incoming = [person({ id: 'i1', name: 'John', surname: 'Miller' })];
+    expect(findDuplicateCandidates(incoming, existing)).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergePersonRecords,
+  defaultFieldChoices,
+  applyImportMerge,
+  reconcileMarriages
+} from '../../../../src/features/merge/person-merge.js';
+
+const base = (overrides) => ({
+  name: '', surname: '', fatherName: '', maidenName: '', gender: '',
+  motherId: '', fatherId: '', spouseId: '',
+  birth: { date: null, place: '', note: '' },
+  death: { date: null, place: '', note: '' },
+  marriages: [], notes: '',
+  ...overrides
+});
+
+describe('defaultFieldChoices', () => {
+  it('keeps the primary value and fills gaps from the secondary', () => {
+    const primary = base({ id: 'p', name: 'Anna', surname: '' });
+    const secondary = base({ id: 's', name: 'Anne', surname: 'Schmidt' });
+    const choices = defaultFieldChoices(primary, secondary);
+    expect(choices.name).toBe('primary');
+    expect(choices.surname).toBe('secondary');
+  });
+});
+
+describe('mergePersonRecords', () => {
+  it('applies field choices and keeps the dropped name as an alternate', () => {
+    const primary = base({ id: 'p', name: 'Anna', surname: 'Schmidt' });
+    const secondary = base({ id: 's', name: 'Anne', surname: 'Schmidt', birth: { date: { year: 1850, estimated: false }, place: 'Berlin', note: '' } });
+    const merged = mergePersonRecords(primary, secondary, { ...defaultFieldChoices(primary, secondary), name: 'secondary' });
+    expect(merged.id).toBe('p');
+    expect(merged.name).toBe('Anne');
+    expect(merged.birth.place).toBe('Berlin');
+    expect(merged.altNames).toEqual([{ given: 'Anna', surname: 'Schmidt', type: 'aka' }]);
+  });
+
+  it('combines marriages, events and unmapped data', () => {
+    const primary = base({ id: 'p', marriages: [{ id: 'm1', spouseId: 'x', date: null, place: '' }], events: [{ id: 'e1', type: 'occupation', description: 'Smith' }] });
+    const secondary = base({
+      id: 's',
+      marriages: [{ id: 'm2', spouseId: 'x', date: { year: 1870, estimated: false }, place: 'Köln' }, { id: 'm3', spouseId: 'y' }],
+      events: [{ id: 'e9', type: 'occupation', description: 'Smith' }, { id: 'e2', type: 'burial', place: 'Köln' }],
+      unmapped: [{ tag: '_UID', value: 'abc' }]
+    });
+    const merged = mergePersonRecords(primary, secondary);
+    expect(merged.marriages.map(m => m.id)).toEqual(['m1', 'm3']);
+    expect(merged.marriages[0].place).toBe('Köln');
+    expect(merged.events.map(e => e.id)).toEqual(['e1', 'e2']);
+    expect(merged.unmapped).toEqual([{ tag: '_UID', value: 'abc' }]);
+  });
+
+  it('keeps the secondary\'s marriages with no spouse', () => {
+    const primary = base({ id: 'p', marriages: [{ id: 'm1', spouseId: '' }] });
+    const secondary = base({ id: 's', marriages: [{ id: 'm2', spouseId: '', note: 'Father unknown' }] });
+    const merged = mergePersonRecords(primary, secondary);
+    expect(merged.marriages.map(m => m.id)).toEqual(['m1', 'm2']);
+    expect(merged.spouseId).toBe('');
+  });
+
+  it('keeps unmapped data once when the same record is merged twice', () => {
+    const record = (id) => base({
+      id,
+      marriages: [{ id: `m_${id}`, spouseId: 'x', unmapped: [{ tag: 'NOTE', value: 'Banns read' }, { tag: '_MARNM', value: 'Berg' }] }],
+      unmapped: [{ tag: '_UID', value: 'abc' }, { tag: 'FAMC', ref: { type: 'family', id: 'f1' }, children: [{ tag: 'PEDI', value: 'birth' }] }]
+    });
+    const once = mergePersonRecords(record('p'), record('s'));
+    const twice = mergePersonRecords(once, record('t'));
+    for (const merged of [once, twice]) {
+      expect(merged.unmapped).toEqual(record('p').unmapped);
+      expect(merged.marriages).toHaveLength(1);
+      expect(merged.marriages[0].unmapped).toEqual(record('p').marriages[0].unmapped);
+    }
+  });
+
+  it('drops references the merged person would have to itself', () => {
+    const merged = mergePersonRecords(base({ id: 'p', spouseId: 's' }), base({ id: 's', spouseId: 'p' }));
+    expect(merged.spouseId).toBe('');
+  });
+});
+
+describe('reconcileMarriages', () => {
+  it('adds missing mirrors and aligns marriage ids', () => {
+    const byId = new Map([
+      ['a', base({ id: 'a', marriages: [{ id: 'm1', spouseId: 'b' }] })],
+      ['b', base({ id: 'b', marriages: [{ id: 'm2', spouseId: 'a' }, { id: 'm3', spouseId: 'a' }] })],
+      ['c', base({ id: 'c', marriages: [{ id: 'm4', spouseId: 'a' }] })]
+    ]);
+    reconcileMarriages(byId);
+    expect(byId.get('b').marriages).toEqual([{ id: 'm1', spouseId: 'a' }]);
+    expect(byId.get('a').marriages.map(m => [m.id, m.spouseId])).toEqual([['m1', 'b'], ['m4', 'c']]);
+  });
+});
+
+describe('applyImportMerge', () => {
+  const existing = [
+    base({ id: 'e-father', name: 'Karl', surname: 'Schmidt', gender: 'male' }),
+    base({ id: 'e-anna', name: 'Anna', surname: 'Schmidt', fatherId: 'e-father' })
+  ];
+  const incoming = [
+    base({ id: 'i-father', name: 'Karl', surname: 'Schmidt', gender: 'male', notes: 'Baker' }),
+    base({ id: 'i-anna', name: 'Anna', surname: 'Schmidt', fatherId: 'i-father' }),
+    base({ id: 'i-paul', name: 'Paul', surname: 'Schmidt', fatherId: 'i-father' })
+  ];
+
+  it('folds accepted pairs into the existing persons and re-points references', () => {
+    const persons = applyImportMerge(existing, incoming, [
+      { incomingId: 'i-father', existingId: 'e-father', action: 'accept' },
+      { incomingId: 'i-anna', existingId: 'e-anna', action: 'accept' }
+    ]);
+    expect(persons.map(p => p.id)).toEqual(['e-father', 'e-anna', 'i-paul']);
+    expect(persons[0].notes).toBe('Baker');
+    expect(persons[2].fatherId).toBe('e-father');
+  });
+
+  it('keeps rejected pairs as separate persons', () => {
+    const persons = applyImportMerge(existing, incoming, [
+      { incomingId: 'i-anna', existingId: 'e-anna', action: 'reject' }
+    ]);
+    expect(persons).toHaveLength(5);
+  });
+
+  it('does not modify the existing person objects', () => {
+    const before = JSON.stringify(existing);
+    applyImportMerge(existing, incoming, [{ incomingId: 'i-anna', existingId: 'e-anna', action: 'accept' }]);
+    expect(JSON.stringify(existing)).toBe(before);
+  });
+});
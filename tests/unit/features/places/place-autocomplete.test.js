@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { attachPlaceAutocomplete } from '../../../../src/ui/components/place-autocomplete.js';
+
+const places = [
+  { id: 'ua', name: 'Ukraine', parentId: '', altNames: [], historicalNames: [] },
+  {
+    id: 'kyiv',
+    name: 'Kyiv',
+    parentId: 'ua',
+    altNames: [{ name: 'Київ', lang: 'uk' }],
+    historicalNames: [{ name: 'Kiev', from: null, to: 1991 }]
+  }
+];
+
+function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('input'));
+}
+
+function key(input, name) {
+  input.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true }));
+}
+
+describe('attachPlaceAutocomplete', () => {
+  let input, list;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="event-place"><input type="text" id="place"></div>';
+    input = document.getElementById('place');
+    attachPlaceAutocomplete(input, { getPlaces: () => places });
+    list = document.querySelector('.place-suggestions');
+  });
+
+  it('lists registry places matching any of their names', () => {
+    type(input, 'kie');
+    expect(list.hidden).toBe(false);
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+    const items = list.querySelectorAll('.place-suggestion');
+    expect(items).toHaveLength(1);
+    expect(items[0].querySelector('.place-suggestion-name').textContent).toBe('Kyiv, Ukraine');
+    expect(items[0].querySelector('.place-suggestion-alias').textContent).toBe('Kiev (historical, –1991)');
+  });
+
+  it('writes the full name of the chosen place', () => {
+    let changed = 0;
+    input.addEventListener('change', () => { changed++; });
+    type(input, 'Київ');
+    key(input, 'ArrowDown');
+    key(input, 'Enter');
+    expect(input.value).toBe('Kyiv, Ukraine');
+    expect(changed).toBe(1);
+    expect(list.hidden).toBe(true);
+  });
+
+  it('picks a suggestion with the mouse and closes on Escape', () => {
+    type(input, 'ukr');
+    list.querySelector('.place-suggestion').dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    expect(input.value).toBe('Ukraine');
+
+    type(input, 'ky');
+    expect(list.hidden).toBe(false);
+    key(input, 'Escape');
+    expect(list.hidden).toBe(true);
+  });
+
+  it('stays closed for unknown places and attaches only once', () => {
+    type(input, 'Odesa');
+    expect(list.hidden).toBe(true);
+    attachPlaceAutocomplete(input, { getPlaces: () => places });
+    expect(document.querySelectorAll('.place-suggestions')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import {
+  makePlace,
+  isValidCoordinate,
+  placeFullName,
+  wouldCreateCycle,
+  normalizePlaceText,
+  suggestPlaces,
+  findPlaceForText,
+  placeNameResolver,
+  placeCountryResolver,
+  placeCoordinatesResolver,
+  collectPlaceUsage,
+  clusterPlaces,
+  replacePlaceTexts
+} from '../../../../src/features/places/place-model.js';
+import { person } from '../fixtures.js';
+
+const ukraine = makePlace({ id: 'ua', name: 'Ukraine', type: 'country' });
+const oblast = makePlace({ id: 'ko', name: 'Kyiv Oblast', type: 'region', parentId: 'ua' });
+const kyiv = makePlace({
+  id: 'kyiv',
+  name: 'Kyiv',
+  type: 'city',
+  parentId: 'ko',
+  altNames: [{ name: 'Київ', lang: 'uk' }, { name: 'Киев', lang: 'ru' }],
+  historicalNames: [{ name: 'Kiev', from: '1800', to: 1991 }]
+});
+const places = [ukraine, oblast, kyiv];
+const byId = new Map(places.map((p) => [p.id, p]));
+
+describe('makePlace', () => {
+  it('trims names, drops empty rows and parses years and coordinates', () => {
+    const place = makePlace({
+      name: ' Lviv ',
+      type: 'city',
+      altNames: [{ name: ' Lwów ', lang: 'pl' }, { name: '  ', lang: 'de' }],
+      historicalNames: [{ name: 'Lemberg', from: '1772', to: '' }],
+      latitude: '49,8397',
+      longitude: '24.0297'
+    });
+    expect(place.id).toMatch(/^place_/);
+    expect(place.name).toBe('Lviv');
+    expect(place.altNames).toEqual([{ name: 'Lwów', lang: 'pl' }]);
+    expect(place.historicalNames).toEqual([{ name: 'Lemberg', from: 1772, to: null }]);
+    expect(place.latitude).toBeCloseTo(49.8397);
+    expect(place.longitude).toBeCloseTo(24.0297);
+  });
+
+  it('falls back to "other" for unknown types and drops out-of-range coordinates', () => {
+    const place = makePlace({ name: 'X', type: 'planet', latitude: '95', longitude: 'east' });
+    expect(place.type).toBe('other');
+    expect(place.latitude).toBeNull();
+    expect(place.longitude).toBeNull();
+    expect(isValidCoordinate('95', 'latitude')).toBe(false);
+    expect(isValidCoordinate('-179.5', 'longitude')).toBe(true);
+    expect(isValidCoordinate('', 'latitude')).toBe(true);
+  });
+});
+
+describe('place hierarchy', () => {
+  it('builds the full name from the place up to the country', () => {
+    expect(placeFullName(kyiv, byId)).toBe('Kyiv, Kyiv Oblast, Ukraine');
+  });
+
+  it('stops at loops instead of running forever', () => {
+    const a = { id: 'a', name: 'A', parentId: 'b' };
+    const b = { id: 'b', name: 'B', parentId: 'a' };
+    expect(placeFullName(a, new Map([['a', a], ['b', b]]))).toBe('A, B');
+  });
+
+  it('refuses a parent inside the place itself', () => {
+    expect(wouldCreateCycle('ua', 'kyiv', byId)).toBe(true);
+    expect(wouldCreateCycle('ua', 'ua', byId)).toBe(true);
+    expect(wouldCreateCycle('kyiv', 'ua', byId)).toBe(false);
+    expect(wouldCreateCycle('kyiv', '', byId)).toBe(false);
+  });
+});
+
+describe('normalizePlaceText', () => {
+  it('ignores case, accents and punctuation', () => {
+    expect(normalizePlaceText('St. Petersburg')).toBe(normalizePlaceText('st petersburg'));
+    expect(normalizePlaceText('Köln')).toBe('koln');
+    expect(normalizePlaceText('КИЇВ')).toBe(normalizePlaceText('Київ'));
+  });
+});
+
+describe('suggestPlaces', () => {
+  it('finds places by current, alternate and historical names', () => {
+    expect(suggestPlaces('kyi', places)[0].fullName).toBe('Kyiv, Kyiv Oblast, Ukraine');
+    const byAlt = suggestPlaces('Киї', places);
+    expect(byAlt[0].place.id).toBe('kyiv');
+    expect(byAlt[0].alias).toEqual({ name: 'Київ', lang: 'uk' });
+    expect(suggestPlaces('kiev', places)[0].alias.name).toBe('Kiev');
+  });
+
+  it('ranks exact matches first and returns nothing for an empty query', () => {
+    const ids = suggestPlaces('kyiv', places).map((s) => s.place.id);
+    expect(ids[0]).toBe('kyiv');
+    expect(ids).toContain('ko');
+    expect(suggestPlaces('  ', places)).toEqual([]);
+  });
+});
+
+describe('findPlaceForText', () => {
+  it('matches full names and the first part of a text', () => {
+    expect(findPlaceForText('kyiv, kyiv oblast, ukraine', places)?.id).toBe('kyiv');
+    expect(findPlaceForText('Kiev, Russian Empire', places)?.id).toBe('kyiv');
+    expect(findPlaceForText('Odesa', places)).toBeNull();
+  });
+});
+
+describe('placeNameResolver', () => {
+  it('gives the full registry name of a known place, else the trimmed text', () => {
+    const nameOf = placeNameResolver(places);
+    expect(nameOf('Киев')).toBe('Kyiv, Kyiv Oblast, Ukraine');
+    expect(nameOf(' Lyon, France ')).toBe('Lyon, France');
+  });
+});
+
+describe('placeCountryResolver', () => {
+  it('names the country of a registry place, else the last part of the text', () => {
+    const countryOf = placeCountryResolver(places);
+    expect(countryOf('Киев')).toBe('Ukraine');
+    expect(countryOf('Kyiv Oblast')).toBe('Ukraine');
+    expect(countryOf('Lyon, Rhône, France')).toBe('France');
+    expect(countryOf('  ')).toBe('');
+  });
+});
+
+describe('placeCoordinatesResolver', () => {
+  it('locates a place by its own coordinates, else by the nearest enclosing place that has them', () => {
+    const located = [
+      ukraine,
+      makePlace({ ...oblast, latitude: '50.05', longitude: '30.77' }),
+      kyiv,
+      makePlace({ id: 'lviv', name: 'Lviv', type: 'city', parentId: 'ua', latitude: 49.84, longitude: 24.03 })
+    ];
+    const locate = placeCoordinatesResolver(located);
+    expect(locate('Lviv')).toMatchObject({ latitude: 49.84, longitude: 24.03, exact: true });
+    expect(locate('Kiev')).toMatchObject({ latitude: 50.05, longitude: 30.77, exact: false });
+    expect(locate('Kiev').place.id).toBe('ko');
+    expect(locate('Ukraine')).toBeNull();
+    expect(locate('Nowhere')).toBeNull();
+    expect(locate('')).toBeNull();
+  });
+});
+
+describe('collectPlaceUsage', () => {
+  it('counts every place text once per use and shared marriages once', () => {
+    const usage = collectPlaceUsage([
+      person('a', { birth: { place: 'Kiev' }, marriages: [{ id: 'm1', place: 'Kyiv' }] }),
+      person('b', { death: { place: 'Kiev ' }, marriages: [{ id: 'm1', place: 'Kyiv' }], events: [{ id: 'e1', place: 'Odesa' }] })
+    ]);
+    expect(Object.fromEntries(usage)).toEqual({ Kiev: 2, Kyiv: 1, Odesa: 1 });
+  });
+});
+
+describe('clusterPlaces', () => {
+  it('groups the spellings of a registry place under its full name', () => {
+    const usage = new Map([['Kiev', 3], ['Київ', 1], ['Kyiv, Ukraine', 2], ['Odesa', 1]]);
+    const [cluster, ...rest] = clusterPlaces(usage, places);
+    expect(rest).toEqual([]);
+    expect(cluster.place.id).toBe('kyiv');
+    expect(cluster.target).toBe('Kyiv, Kyiv Oblast, Ukraine');
+    expect(cluster.variants.map((v) => v.text)).toEqual(['Kiev', 'Kyiv, Ukraine', 'Київ']);
+  });
+
+  it('groups texts with the same first part or a one-letter typo', () => {
+    const usage = new Map([['Hamburg', 4], ['Hamberg', 1], ['Riga', 2], ['Riga, Latvia', 1], ['Bonn', 1]]);
+    const clusters = clusterPlaces(usage, []);
+    expect(clusters.map((c) => c.target)).toEqual(['Hamburg', 'Riga']);
+    expect(clusters[1].variants).toEqual([{ text: 'Riga', count: 2 }, { text: 'Riga, Latvia', count: 1 }]);
+    expect(clusters.every((c) => c.place === null)).toBe(true);
+  });
+
+  it('offers a single spelling that differs from the registry name', () => {
+    const [cluster] = clusterPlaces(new Map([['Kiev', 2]]), places);
+    expect(cluster.target).toBe('Kyiv, Kyiv Oblast, Ukraine');
+    expect(clusterPlaces(new Map([['Kyiv, Kyiv Oblast, Ukraine', 2]]), places)).toEqual([]);
+  });
+});
+
+describe('replacePlaceTexts', () => {
+  it('rewrites birth, death, marriage and event places', () => {
+    const original = person('a', {
+      birth: { date: null, place: 'Kiev' },
+      death: { date: null, place: 'Odesa' },
+      marriages: [{ id: 'm1', place: 'Kiev' }],
+      events: [{ id: 'e1', type: 'residence', place: 'Kiev' }]
+    });
+    const updated = replacePlaceTexts(original, new Map([['Kiev', 'Kyiv, Ukraine']]));
+    expect(updated.birth.place).toBe('Kyiv, Ukraine');
+    expect(updated.death.place).toBe('Odesa');
+    expect(updated.marriages[0].place).toBe('Kyiv, Ukraine');
+    expect(updated.events[0].place).toBe('Kyiv, Ukraine');
+    expect(original.birth.place).toBe('Kiev');
+  });
+
+  it('returns the same person when nothing matches', () => {
+    const original = person('a', { birth: { date: null, place: 'Odesa' } });
+    expect(replacePlaceTexts(original, new Map([['Kiev', 'Kyiv']]))).toBe(original);
+  });
+});
@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+import {
+  loadPlaces,
+  getLoadedPlaces,
+  storePlace,
+  removePlace,
+  resetPlaces
+} from '../../../../src/features/places/place-store.js';
+
+describe('place store', () => {
+  let repo;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    resetPlaces();
+    repo = new IndexedDBRepository('TestPlacesDB');
+    await repo.initialize();
+  });
+
+  afterEach(() => { repo?.close(); });
+
+  it('creates the places store and reads places back', async () => {
+    expect(Array.from(repo._dbForTest().objectStoreNames)).toContain('places');
+    await repo.savePlace({ id: 'ua', name: 'Ukraine' });
+    const [saved] = await repo.getPlaces();
+    expect(saved.name).toBe('Ukraine');
+    expect(saved.createdAt).toBeTypeOf('number');
+    await expect(repo.savePlace({ name: 'No id' })).rejects.toThrow(/id is required/);
+  });
+
+  it('keeps the loaded registry in memory until the repository changes', async () => {
+    await repo.savePlace({ id: 'ua', name: 'Ukraine' });
+    expect((await loadPlaces(repo)).map((p) => p.id)).toEqual(['ua']);
+
+    await storePlace(repo, { id: 'pl', name: 'Poland' });
+    expect(getLoadedPlaces().map((p) => p.id).sort()).toEqual(['pl', 'ua']);
+    expect((await repo.getPlaces()).length).toBe(2);
+
+    const other = new IndexedDBRepository('OtherTreeDB');
+    expect(await loadPlaces(other)).toEqual([]);
+    other.close();
+  });
+
+  it('moves the places inside a deleted place up to its parent', async () => {
+    await repo.savePlaces([
+      { id: 'ua', name: 'Ukraine', parentId: '' },
+      { id: 'ko', name: 'Kyiv Oblast', parentId: 'ua' },
+      { id: 'kyiv', name: 'Kyiv', parentId: 'ko' }
+    ]);
+    await loadPlaces(repo);
+    await removePlace(repo, 'ko');
+
+    const stored = await repo.getPlaces();
+    expect(stored.map((p) => p.id).sort()).toEqual(['kyiv', 'ua']);
+    expect(stored.find((p) => p.id === 'kyiv').parentId).toBe('ua');
+    expect(getLoadedPlaces().find((p) => p.id === 'kyiv').parentId).toBe('ua');
+  });
+});
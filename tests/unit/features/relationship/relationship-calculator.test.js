@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { findRelationships, buildKinshipIndex, findBloodRelations } from '../../../../src/features/relationship/relationship-calculator.js';
+
+function person(id, props = {}) {
+  return { id, name: id, surname: '', gender: '', fatherId: '', motherId: '', spouseId: '', marriages: [], ...props };
+}
+
+function family(people) {
+  return new Map(people.map((p) => [p.id, p]));
+}
+
+// Two grandparent couples; dad's sister married mom's brother, so their
+// daughter is a double first cousin. Dad has a second wife with children.
+const tree = family([
+  person('ggf', { gender: 'male' }),
+  person('gf', { gender: 'male', fatherId: 'ggf', spouseId: 'gm' }),
+  person('gm', { gender: 'female', spouseId: 'gf' }),
+  person('gf2', { gender: 'male', spouseId: 'gm2' }),
+  person('gm2', { gender: 'female', spouseId: 'gf2' }),
+  person('granduncle', { gender: 'male', fatherId: 'ggf' }),
+  person('dad', { gender: 'male', fatherId: 'gf', motherId: 'gm', spouseId: 'mom', marriages: [{ spouseId: 'mom' }, { spouseId: 'stepmom' }] }),
+  person('mom', { gender: 'female', fatherId: 'gf2', motherId: 'gm2', spouseId: 'dad' }),
+  person('aunt', { gender: 'female', fatherId: 'gf', motherId: 'gm', spouseId: 'uncle' }),
+  person('uncle', { gender: 'male', fatherId: 'gf2', motherId: 'gm2', spouseId: 'aunt' }),
+  person('stepmom', { gender: 'female', marriages: [{ spouseId: 'dad' }] }),
+  person('other', { gender: 'male' }),
+  person('me', { gender: 'male', fatherId: 'dad', motherId: 'mom', spouseId: 'wife' }),
+  person('sis', { gender: 'female', fatherId: 'dad', motherId: 'mom', spouseId: 'bil' }),
+  person('bil', { gender: 'male', spouseId: 'sis' }),
+  person('halfbro', { gender: 'male', fatherId: 'dad', motherId: 'stepmom' }),
+  person('stepsis', { gender: 'female', fatherId: 'other', motherId: 'stepmom' }),
+  person('cousin', { gender: 'female', fatherId: 'uncle', motherId: 'aunt' }),
+  person('cousinKid', { gender: 'male', motherId: 'cousin' }),
+  person('niece', { gender: 'female', motherId: 'sis' }),
+  person('grandniece', { gender: 'female', motherId: 'niece' }),
+  person('wife', { gender: 'female', fatherId: 'wifeDad', spouseId: 'me' }),
+  person('wifeDad', { gender: 'male' }),
+  person('wifeBro', { gender: 'male', fatherId: 'wifeDad' }),
+  person('stranger', { gender: 'male' })
+]);
+
+const nearest = (a, b) => findRelationships(tree, a, b)[0];
+
+describe('findRelationships', () => {
+  it('finds direct ancestors and descendants', () => {
+    expect(nearest('me', 'dad')).toMatchObject({ type: 'blood', up: 1, down: 0 });
+    expect(nearest('me', 'ggf')).toMatchObject({ type: 'blood', up: 3, down: 0, paths: [['me', 'dad', 'gf', 'ggf']] });
+    expect(nearest('gf', 'me')).toMatchObject({ type: 'blood', up: 0, down: 2 });
+  });
+
+  it('treats siblings sharing both parents as full siblings with a path through each parent', () => {
+    const rel = nearest('me', 'sis');
+    expect(rel).toMatchObject({ type: 'blood', up: 1, down: 1, half: false, double: false });
+    expect(rel.commonAncestors.sort()).toEqual(['dad', 'mom']);
+    expect(rel.paths).toContainEqual(['me', 'dad', 'sis']);
+    expect(rel.paths).toContainEqual(['me', 'mom', 'sis']);
+  });
+
+  it('marks half-siblings when the other parents are known and differ', () => {
+    expect(nearest('me', 'halfbro')).toMatchObject({ half: true, commonAncestors: ['dad'] });
+    expect(nearest('halfbro', 'stepsis')).toMatchObject({ half: true, commonAncestors: ['stepmom'] });
+  });
+
+  it('does not call siblings half when one of them lacks a second parent', () => {
+    const data = family([
+      person('f'),
+      person('a', { fatherId: 'f', motherId: 'm' }),
+      person('m'),
+      person('b', { fatherId: 'f' })
+    ]);
+    expect(findRelationships(data, 'a', 'b')[0]).toMatchObject({ up: 1, down: 1, half: false });
+  });
+
+  it('finds collateral relations at any distance', () => {
+    expect(nearest('me', 'niece')).toMatchObject({ up: 1, down: 2 });
+    expect(nearest('me', 'grandniece')).toMatchObject({ up: 1, down: 3 });
+    expect(nearest('me', 'aunt')).toMatchObject({ up: 2, down: 1 });
+    expect(nearest('me', 'granduncle')).toMatchObject({ up: 3, down: 1, commonAncestors: ['ggf'] });
+  });
+
+  it('recognizes double cousins through two ancestor couples', () => {
+    const rel = nearest('me', 'cousin');
+    expect(rel).toMatchObject({ type: 'blood', up: 2, down: 2, double: true, half: false });
+    expect(rel.commonAncestors.sort()).toEqual(['gf', 'gf2', 'gm', 'gm2']);
+    expect(rel.paths).toHaveLength(4);
+    expect(nearest('me', 'cousinKid')).toMatchObject({ up: 2, down: 3, double: true });
+  });
+
+  it('lists every relation when two families are connected more than once', () => {
+    // A and B are first cousins through R1 and second cousins through R2
+    const data = family([
+      person('R1'),
+      person('R2'),
+      person('m1', { motherId: 'R1' }),
+      person('b1', { motherId: 'R1' }),
+      person('x', { fatherId: 'R2' }),
+      person('b2', { fatherId: 'R2' }),
+      person('f1', { fatherId: 'x' }),
+      person('y', { fatherId: 'b2' }),
+      person('A', { fatherId: 'f1', motherId: 'm1' }),
+      person('B', { fatherId: 'y', motherId: 'b1' })
+    ]);
+    const relations = findRelationships(data, 'A', 'B');
+    expect(relations.map(({ up, down, commonAncestors }) => ({ up, down, commonAncestors }))).toEqual([
+      { up: 2, down: 2, commonAncestors: ['R1'] },
+      { up: 3, down: 3, commonAncestors: ['R2'] }
+    ]);
+    expect(relations[1].paths).toEqual([['A', 'f1', 'x', 'R2', 'b2', 'y', 'B']]);
+  });
+
+  it('reads spouses from spouseId and marriages on either side', () => {
+    expect(nearest('me', 'wife')).toMatchObject({ type: 'spouse', paths: [['me', 'wife']] });
+    expect(nearest('stepmom', 'dad')).toMatchObject({ type: 'spouse' });
+  });
+
+  it('finds step-parents, step-children and step-siblings', () => {
+    expect(nearest('me', 'stepmom')).toMatchObject({ type: 'step', up: 1, down: 0, paths: [['me', 'dad', 'stepmom']] });
+    expect(nearest('stepmom', 'me')).toMatchObject({ type: 'step', up: 0, down: 1 });
+    expect(nearest('me', 'stepsis')).toMatchObject({ type: 'step', up: 1, down: 1, paths: [['me', 'dad', 'stepmom', 'stepsis']] });
+  });
+
+  it('finds in-laws on the spouse side and through a relative', () => {
+    expect(nearest('me', 'wifeDad')).toMatchObject({ type: 'in_law', side: 'spouse', up: 1, down: 0, paths: [['me', 'wife', 'wifeDad']] });
+    expect(nearest('me', 'wifeBro')).toMatchObject({ type: 'in_law', side: 'spouse', up: 1, down: 1 });
+    expect(nearest('me', 'bil')).toMatchObject({ type: 'in_law', side: 'relative', up: 1, down: 1 });
+    expect(nearest('wifeDad', 'me')).toMatchObject({ type: 'in_law', side: 'relative', up: 0, down: 1 });
+  });
+
+  it('returns nothing for unrelated or unknown persons', () => {
+    expect(findRelationships(tree, 'me', 'stranger')).toEqual([]);
+    expect(findRelationships(tree, 'me', 'ghost')).toEqual([]);
+  });
+
+  it('survives a parent cycle in bad data', () => {
+    const data = family([
+      person('a', { fatherId: 'b' }),
+      person('b', { fatherId: 'a' }),
+      person('c', { fatherId: 'a' })
+    ]);
+    expect(() => findBloodRelations(buildKinshipIndex(data), 'b', 'c')).not.toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { describeRelation } from '../../../../src/features/relationship/relationship-names.js';
+import en from '../../../../public/assets/locales/en.json';
+import de from '../../../../public/assets/locales/de.json';
+import es from '../../../../public/assets/locales/es.json';
+import ru from '../../../../public/assets/locales/ru.json';
+
+const locales = { en, de, es, ru };
+
+function lookupFor(locale) {
+  return (key) => key.split('.').reduce((node, part) => node?.[part], locales[locale].builder.relationship);
+}
+
+/**
+ * Relation from "a" to "b" with the given distances; `genders` maps ids to
+ * genders, with the common ancestor called "anc".
+ */
+function name(locale, fields, genders = {}) {
+  const rel = {
+    type: 'blood', up: 0, down: 0, half: false, double: false,
+    commonAncestors: ['anc'], paths: [['a', 'anc', 'b']],
+    ...fields
+  };
+  return describeRelation(rel, { lookup: lookupFor(locale), genderOf: (id) => genders[id] });
+}
+
+const male = { b: 'male' };
+const female = { b: 'female' };
+
+describe('describeRelation — English', () => {
+  it.each([
+    [{ up: 1, down: 0 }, male, 'father'],
+    [{ up: 4, down: 0 }, female, 'great-great-grandmother'],
+    [{ up: 0, down: 3 }, {}, 'great-grandchild'],
+    [{ up: 1, down: 1 }, female, 'sister'],
+    [{ up: 1, down: 1, half: true }, male, 'half-brother'],
+    [{ up: 2, down: 1 }, male, 'uncle'],
+    [{ up: 4, down: 1 }, female, 'great-grand-aunt'],
+    [{ up: 1, down: 3 }, male, 'grand-nephew'],
+    [{ up: 2, down: 2 }, female, 'first cousin'],
+    [{ up: 3, down: 4 }, male, 'second cousin once removed'],
+    [{ up: 2, down: 5 }, male, 'first cousin 3 times removed'],
+    [{ up: 2, down: 2, double: true }, male, 'double first cousin'],
+    [{ up: 2, down: 1, half: true }, male, 'half-uncle']
+  ])('%o → %s', (fields, genders, expected) => {
+    expect(name('en', fields, genders)).toBe(expected);
+  });
+
+  it('names spouses, step and in-law relations', () => {
+    expect(name('en', { type: 'spouse' }, female)).toBe('wife');
+    expect(name('en', { type: 'step', up: 1, down: 0 }, female)).toBe('stepmother');
+    expect(name('en', { type: 'step', up: 1, down: 1 }, male)).toBe('stepbrother');
+    expect(name('en', { type: 'in_law', side: 'spouse', up: 1, down: 0 }, male)).toBe('father-in-law');
+    expect(name('en', { type: 'in_law', side: 'relative', up: 0, down: 1 }, female)).toBe('daughter-in-law');
+    expect(name('en', { type: 'in_law', side: 'relative', up: 2, down: 2 }, male)).toBe('first cousin-in-law');
+  });
+});
+
+describe('describeRelation — other locales', () => {
+  it('builds German compounds with Ur- and capitalizes nouns', () => {
+    expect(name('de', { up: 3, down: 0 }, male)).toBe('Urgroßvater');
+    expect(name('de', { up: 2, down: 0 }, female)).toBe('Großmutter');
+    expect(name('de', { up: 4, down: 1 }, male)).toBe('Urgroßonkel');
+    expect(name('de', { up: 0, down: 4 }, female)).toBe('Ururenkelin');
+    expect(name('de', { up: 3, down: 3 }, female)).toBe('Cousine zweiten Grades');
+    expect(name('de', { type: 'in_law', side: 'spouse', up: 1, down: 1 }, female)).toBe('Schwägerin');
+  });
+
+  it('uses Spanish bis-/tatara- forms and gendered cousin ordinals', () => {
+    expect(name('es', { up: 3, down: 0 }, male)).toBe('bisabuelo');
+    expect(name('es', { up: 4, down: 0 }, female)).toBe('tatarabuela');
+    expect(name('es', { up: 0, down: 4 }, female)).toBe('tataranieta');
+    expect(name('es', { up: 6, down: 0 }, male)).toBe('4× bisabuelo');
+    expect(name('es', { up: 3, down: 1 }, male)).toBe('tío abuelo');
+    expect(name('es', { up: 2, down: 2 }, male)).toBe('primo hermano');
+    expect(name('es', { up: 3, down: 3 }, female)).toBe('prima segunda');
+  });
+
+  it('names Russian half-siblings by the shared parent and in-laws by who asks', () => {
+    expect(name('ru', { up: 1, down: 1, half: true }, { b: 'male', anc: 'male' })).toBe('единокровный брат');
+    expect(name('ru', { up: 1, down: 1, half: true }, { b: 'female', anc: 'female' })).toBe('единоутробная сестра');
+    expect(name('ru', { up: 3, down: 0 }, female)).toBe('прабабушка');
+    expect(name('ru', { up: 1, down: 4 }, male)).toBe('правнучатый племянник');
+    expect(name('ru', { up: 3, down: 3 }, female)).toBe('троюродная сестра');
+
+    const fatherInLaw = { type: 'in_law', side: 'spouse', up: 1, down: 0 };
+    expect(name('ru', fatherInLaw, { a: 'male', b: 'male' })).toBe('тесть');
+    expect(name('ru', fatherInLaw, { a: 'female', b: 'male' })).toBe('свёкор');
+    expect(name('ru', fatherInLaw, { b: 'male' })).toBe('тесть или свёкор');
+    expect(name('ru', { type: 'in_law', side: 'spouse', up: 1, down: 1 }, { a: 'female', b: 'female' })).toBe('золовка');
+  });
+
+  it('has the same kinship vocabulary in every locale', () => {
+    const keys = Object.keys(en.builder.relationship.terms);
+    for (const locale of ['de', 'es', 'ru']) {
+      expect(Object.keys(locales[locale].builder.relationship.terms)).toEqual(expect.arrayContaining(keys));
+    }
+  });
+});
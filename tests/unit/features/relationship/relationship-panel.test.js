@@ -0,0 +1,94 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { showRelationship } from '../../../../src/features/relationship/relationship-panel.js';
+import { appContext, EVENTS } from '../../../../src/utils/event-bus.js';
+import { CanvasRenderer } from '../../../../src/core/canvas-renderer.js';
+import en from '../../../../public/assets/locales/en.json';
+
+function person(id, props = {}) {
+  return { id, name: id, surname: 'Smith', gender: '', fatherId: '', motherId: '', spouseId: '', ...props };
+}
+
+describe('relationship panel', () => {
+  let treeCore;
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="relationshipPanel" class="hidden">
+        <button id="relationshipPanelClose"></button>
+        <div id="relationshipPanelBody"></div>
+      </div>`;
+    window.i18n = {
+      currentLocale: 'en',
+      defaultLocale: 'en',
+      translations: { en },
+      getNestedValue: (obj, path) => path.split('.').reduce((node, key) => node?.[key], obj),
+      t(key) { return this.getNestedValue(en, key) ?? key; }
+    };
+    treeCore = {
+      personData: new Map([
+        person('Ann', { gender: 'female' }),
+        person('Bob', { gender: 'male', fatherId: 'Ann' }),
+        person('Cid', { gender: 'male', fatherId: 'Ann' }),
+        person('Dee', { gender: 'female' })
+      ].map((p) => [p.id, p])),
+      renderer: { setHighlightedPath: vi.fn() },
+      relationshipPair: null
+    };
+    events = [];
+    unsubscribe = appContext.getEventBus().on(EVENTS.RELATIONSHIP_PATH_CHANGED, (payload) => events.push(payload));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    delete window.i18n;
+  });
+
+  it('shows the relationship sentence and highlights the path', () => {
+    showRelationship(treeCore, 'Bob', 'Cid');
+
+    const panel = document.getElementById('relationshipPanel');
+    expect(panel.classList.contains('hidden')).toBe(false);
+    expect(panel.querySelector('.relationship-result').textContent).toBe("Cid Smith is Bob Smith's brother.");
+    expect(panel.querySelector('.relationship-ancestors').textContent).toBe('Nearest common ancestors: Ann Smith');
+    expect(treeCore.renderer.setHighlightedPath).toHaveBeenCalledWith([['Bob', 'Ann', 'Cid']]);
+    expect(events).toEqual([{ paths: [['Bob', 'Ann', 'Cid']] }]);
+    expect(treeCore.relationshipPair).toEqual(['Bob', 'Cid']);
+  });
+
+  it('says so when the two are not related', () => {
+    showRelationship(treeCore, 'Bob', 'Dee');
+    expect(document.querySelector('.relationship-result').textContent)
+      .toBe('Bob Smith and Dee Smith are not related in this tree.');
+    expect(treeCore.renderer.setHighlightedPath).toHaveBeenCalledWith(null);
+  });
+
+  it('clears the panel and highlight from the close button', () => {
+    showRelationship(treeCore, 'Bob', 'Cid');
+    document.getElementById('relationshipPanelClose').click();
+
+    expect(document.getElementById('relationshipPanel').classList.contains('hidden')).toBe(true);
+    expect(treeCore.renderer.setHighlightedPath).toHaveBeenLastCalledWith(null);
+    expect(events.at(-1)).toEqual({ paths: null });
+    expect(treeCore.relationshipPair).toBeNull();
+  });
+});
+
+describe('CanvasRenderer.setHighlightedPath', () => {
+  let renderer;
+  afterEach(() => renderer?.destroy());
+
+  it('collects path nodes and the lines between neighbours in either direction', () => {
+    renderer = new CanvasRenderer(document.createElement('div'));
+    renderer.setHighlightedPath([['a', 'p', 'b'], ['a', 'q', 'b']]);
+    expect([...renderer.highlightedPath.nodes].sort()).toEqual(['a', 'b', 'p', 'q']);
+    expect(renderer.highlightedPath.edges.has(CanvasRenderer.pathEdgeKey('p', 'a'))).toBe(true);
+    expect(renderer.highlightedPath.edges.has(CanvasRenderer.pathEdgeKey('b', 'q'))).toBe(true);
+    expect(renderer.highlightedPath.edges.has(CanvasRenderer.pathEdgeKey('p', 'q'))).toBe(false);
+
+    renderer.setHighlightedPath(null);
+    expect(renderer.highlightedPath).toBeNull();
+  });
+});
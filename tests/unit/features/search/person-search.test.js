@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildSearchIndex,
+  searchPersons,
+  paginate,
+  hasActiveFilters,
+  personDisplayName
+} from '../../../../src/features/search/person-search.js';
+import { isPresumedLiving } from '../../../../src/utils/life-events.js';
+import { person } from '../fixtures.js';
+
+const year = (y) => ({ year: y, estimated: false });
+
+const persons = [
+  person('taras', { name: 'Тарас', fatherName: 'Григорович', surname: 'Шевченко', gender: 'male',
+    birth: { date: year(1814), place: 'Моринці, Київська губернія' }, death: { date: year(1861), place: 'St. Petersburg' } }),
+  person('anna', { name: 'Anna', surname: 'Schewtschenko', gender: 'female', birth: { date: year(1990), place: 'Berlin' },
+    photo: { mediaId: 'm1' } }),
+  person('mark', { name: 'Mark', surname: 'Moskowitz', gender: 'male', birth: { date: year(1880), place: 'Vilna' } }),
+  person('maria', { name: 'Maria', surname: 'Smith', maidenName: 'Moskovitz', gender: 'female',
+    events: [{ id: 'e1', type: 'occupation', description: 'Teacher', place: 'Riga', date: null }] }),
+  person('ivan', { name: 'Ivan', surname: 'Petrov', gender: 'male', birth: { date: year(1950), place: 'Kyiv' },
+    events: [{ id: 'e2', type: 'burial', date: null, place: 'Kyiv' }] })
+];
+
+const generations = { taras: 0, anna: 2, mark: 0, maria: 1, ivan: 1 };
+const index = buildSearchIndex(persons, {
+  getGeneration: (id) => generations[id],
+  documentPersonIds: new Set(['mark']),
+  currentYear: 2026
+});
+const ids = (results) => results.map((r) => r.id);
+
+describe('searchPersons', () => {
+  it('finds Cyrillic names from Latin spellings and back', () => {
+    expect(ids(searchPersons(index, 'shevchenko taras'))).toEqual(['taras']);
+    expect(ids(searchPersons(index, 'Шевченко'))).toEqual(['taras', 'anna']);
+    expect(searchPersons(index, 'Hryhorovych')[0].matches[0]).toEqual({ token: 'hryhorovych', field: 'fatherName', kind: 'spelling' });
+  });
+
+  it('matches surnames that sound alike', () => {
+    const results = searchPersons(index, 'Moskovic');
+    expect(ids(results).sort()).toEqual(['maria', 'mark']);
+    expect(results.every((r) => r.matches[0].kind !== 'text')).toBe(true);
+    expect(searchPersons(index, 'Mos').length).toBe(2);
+  });
+
+  it('ranks exact names first and requires every word to match', () => {
+    expect(ids(searchPersons(index, 'anna'))[0]).toBe('anna');
+    expect(searchPersons(index, 'anna petrov')).toEqual([]);
+  });
+
+  it('searches event text and places', () => {
+    expect(ids(searchPersons(index, 'teacher'))).toEqual(['maria']);
+    expect(ids(searchPersons(index, 'vilna'))).toEqual(['mark']);
+  });
+
+  it('lists everyone passing the filters for an empty query, by surname', () => {
+    expect(ids(searchPersons(index, '', { gender: 'female' }))).toEqual(['anna', 'maria']);
+    expect(ids(searchPersons(index, '')).length).toBe(5);
+  });
+});
+
+describe('search filters', () => {
+  it('filters by birth years and place', () => {
+    expect(ids(searchPersons(index, '', { bornFrom: 1800, bornTo: 1900 })).sort()).toEqual(['mark', 'taras']);
+    expect(ids(searchPersons(index, '', { bornFrom: 1950 })).sort()).toEqual(['anna', 'ivan']);
+    expect(ids(searchPersons(index, '', { place: 'Kiiv' })).sort()).toEqual(['ivan', 'taras']);
+    expect(ids(searchPersons(index, '', { place: 'morintsi' }))).toEqual(['taras']);
+  });
+
+  it('filters by living status, photo, documents and generation', () => {
+    expect(ids(searchPersons(index, '', { status: 'living' })).sort()).toEqual(['anna', 'maria']);
+    expect(ids(searchPersons(index, '', { status: 'deceased' })).sort()).toEqual(['ivan', 'mark', 'taras']);
+    expect(ids(searchPersons(index, '', { hasPhoto: true }))).toEqual(['anna']);
+    expect(ids(searchPersons(index, '', { hasDocuments: true }))).toEqual(['mark']);
+    expect(ids(searchPersons(index, '', { generation: 1 })).sort()).toEqual(['ivan', 'maria']);
+    expect(ids(searchPersons(index, '', { generation: 0, gender: 'male', bornTo: 1850 }))).toEqual(['taras']);
+  });
+
+  it('tells active filters from empty ones', () => {
+    expect(hasActiveFilters({})).toBe(false);
+    expect(hasActiveFilters({ place: '', hasPhoto: false, bornFrom: null })).toBe(false);
+    expect(hasActiveFilters({ generation: 0 })).toBe(true);
+  });
+});
+
+describe('isPresumedLiving', () => {
+  it('counts death, burial and great age as deceased', () => {
+    expect(isPresumedLiving(persons[1], 2026)).toBe(true);
+    expect(isPresumedLiving(persons[0], 2026)).toBe(false);
+    expect(isPresumedLiving(persons[4], 2026)).toBe(false);
+    expect(isPresumedLiving(persons[2], 2026)).toBe(false);
+    expect(isPresumedLiving(person('x'), 2026)).toBe(true);
+  });
+});
+
+describe('paginate', () => {
+  const results = Array.from({ length: 45 }, (_, i) => ({ id: `p${i}` }));
+
+  it('slices pages and clamps the page number', () => {
+    expect(paginate(results, 0)).toMatchObject({ page: 0, pageCount: 3, total: 45 });
+    expect(paginate(results, 2).items.map((r) => r.id)).toEqual(['p40', 'p41', 'p42', 'p43', 'p44']);
+    expect(paginate(results, 9).page).toBe(2);
+    expect(paginate([], 3)).toEqual({ items: [], page: 0, pageCount: 1, total: 0 });
+  });
+});
+
+describe('personDisplayName', () => {
+  it('joins name, patronymic and surname', () => {
+    expect(personDisplayName(persons[0])).toBe('Тарас Григорович Шевченко');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  soundex,
+  daitchMokotoff,
+  beiderMorse,
+  phoneticCodes,
+  phoneticMatch
+} from '../../../../src/features/search/phonetics.js';
+
+describe('soundex', () => {
+  it('codes the reference names', () => {
+    expect(soundex('Robert')).toBe('R163');
+    expect(soundex('Rupert')).toBe('R163');
+    expect(soundex('Ashcraft')).toBe('A261');
+    expect(soundex('Tymczak')).toBe('T522');
+    expect(soundex('Pfister')).toBe('P236');
+    expect(soundex('Honeyman')).toBe('H555');
+  });
+
+  it('transliterates Cyrillic and ignores names without letters', () => {
+    expect(soundex('Иванов')).toBe(soundex('Ivanov'));
+    expect(soundex('  ')).toBe('');
+  });
+});
+
+describe('daitchMokotoff', () => {
+  it('codes the reference names', () => {
+    expect(daitchMokotoff('Moskowitz')).toEqual(['645740']);
+    expect(daitchMokotoff('Moskovitz')).toEqual(['645740']);
+    expect(daitchMokotoff('Levinsky')).toEqual(daitchMokotoff('Lewinsky'));
+  });
+
+  it('branches on ambiguous letters', () => {
+    expect(daitchMokotoff('Peters').sort()).toEqual(['734000', '739400']);
+    expect(daitchMokotoff('Auerbach').sort()).toEqual(['097400', '097500']);
+    expect(daitchMokotoff('Jackson').sort()).toEqual(['145460', '154600', '445460', '454600']);
+  });
+
+  it('matches German, Polish and Cyrillic spellings of one surname', () => {
+    const codes = daitchMokotoff('Шевченко');
+    for (const spelling of ['Shevchenko', 'Schewtschenko', 'Szewczenko']) {
+      expect(daitchMokotoff(spelling).some((code) => codes.includes(code))).toBe(true);
+    }
+  });
+});
+
+describe('beiderMorse', () => {
+  it('reads letters with every sound they may carry', () => {
+    expect(beiderMorse('Gogol')).toContain('hohol');
+    expect(beiderMorse('Гоголь')).toEqual(beiderMorse('Gogol'));
+    expect(beiderMorse('Hohol')).toEqual(['hohol']);
+  });
+
+  it('folds vowels and final devoicing', () => {
+    expect(beiderMorse('Ivanov')).toEqual(beiderMorse('Iwanoff'));
+    expect(beiderMorse('')).toEqual([]);
+  });
+});
+
+describe('phoneticMatch', () => {
+  it('names the first algorithm that matches', () => {
+    expect(phoneticMatch(phoneticCodes('Moskowitz'), phoneticCodes('Moskovitz'))).toBe('dm');
+    expect(phoneticMatch(phoneticCodes('Kagan'), phoneticCodes('Kahan'))).toBe('dm');
+    expect(phoneticMatch(phoneticCodes('Smith'), phoneticCodes('Ivanov'))).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { openSearchPanel, hideSearchPanel, loadSearchIndex } from '../../../../src/features/search/search-panel.js';
+import { appContext, EVENTS } from '../../../../src/utils/event-bus.js';
+
+const PANEL_HTML = `
+  <div id="searchPanel" class="hidden">
+    <button id="searchPanelClose"></button>
+    <form id="searchPanelForm">
+      <input type="search" name="query">
+      <input type="number" name="bornFrom"><input type="number" name="bornTo">
+      <input type="text" name="place">
+      <select name="gender"><option value=""></option><option value="male"></option><option value="female"></option></select>
+      <select name="status"><option value=""></option><option value="living"></option><option value="deceased"></option></select>
+      <input type="number" name="generation">
+      <input type="checkbox" name="hasPhoto"><input type="checkbox" name="hasDocuments">
+      <button type="reset" class="search-filters-reset"></button>
+    </form>
+    <p id="searchPanelSummary"></p>
+    <ul id="searchPanelResults"></ul>
+    <button id="searchPrevPage"></button><span id="searchPageInfo"></span><button id="searchNextPage"></button>
+  </div>`;
+
+function makeTreeCore(count) {
+  const personData = new Map();
+  for (let i = 0; i < count; i++) {
+    const id = `p${String(i).padStart(2, '0')}`;
+    personData.set(id, {
+      id,
+      name: `Person${i}`,
+      surname: i % 2 ? 'Ivanov' : 'Иванов',
+      gender: i % 2 ? 'male' : 'female',
+      birth: { date: { year: 1900 + i }, place: '' },
+      death: { date: null, place: '' },
+      marriages: [],
+      events: []
+    });
+  }
+  return {
+    personData,
+    getGeneration: () => 0,
+    cacheManager: { getIdbRepo: () => ({ getAllDocuments: async () => [{ id: 'd1', personId: 'p03' }] }) }
+  };
+}
+
+const names = () => [...document.querySelectorAll('.search-result-name')].map((el) => el.textContent);
+
+describe('search results panel', () => {
+  let treeCore;
+
+  beforeEach(() => {
+    document.body.innerHTML = PANEL_HTML;
+    treeCore = makeTreeCore(45);
+    window.familyTreeSearchUtils = { centerOnPerson: vi.fn() };
+  });
+
+  afterEach(() => {
+    hideSearchPanel();
+    delete window.familyTreeSearchUtils;
+  });
+
+  it('pages through every result instead of stopping at eight', async () => {
+    await openSearchPanel(treeCore, { query: 'ivanov' });
+    expect(document.getElementById('searchPanel').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('searchPanelSummary').textContent).toBe('45 results found');
+    expect(names()).toHaveLength(20);
+    expect(document.getElementById('searchPageInfo').textContent).toBe('Page 1 of 3');
+    expect(document.getElementById('searchPrevPage').disabled).toBe(true);
+
+    document.getElementById('searchNextPage').click();
+    document.getElementById('searchNextPage').click();
+    expect(names()).toHaveLength(5);
+    expect(document.getElementById('searchNextPage').disabled).toBe(true);
+  });
+
+  it('applies filters given on open and from the form', async () => {
+    await openSearchPanel(treeCore, { filters: { gender: 'male', bornTo: 1905 } });
+    expect(names()).toEqual(['Person1 Ivanov', 'Person3 Ivanov', 'Person5 Ivanov']);
+
+    const form = document.getElementById('searchPanelForm');
+    form.elements.hasDocuments.checked = true;
+    form.elements.hasDocuments.dispatchEvent(new Event('input', { bubbles: true }));
+    await vi.waitFor(() => expect(names()).toEqual(['Person3 Ivanov']));
+    expect(form.querySelector('.search-filters-reset').disabled).toBe(false);
+  });
+
+  it('centres the tree on a clicked result and closes on Escape', async () => {
+    await openSearchPanel(treeCore, { query: 'Person7' });
+    document.querySelector('.search-result-name').click();
+    expect(window.familyTreeSearchUtils.centerOnPerson).toHaveBeenCalledWith('p07');
+
+    document.getElementById('searchPanel').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(document.getElementById('searchPanel').classList.contains('hidden')).toBe(true);
+  });
+
+  it('rebuilds the index after the tree changes', async () => {
+    const first = await loadSearchIndex(treeCore);
+    expect(await loadSearchIndex(treeCore)).toBe(first);
+    appContext.getEventBus().emit(EVENTS.HISTORY_CHANGED, {});
+    expect(await loadSearchIndex(treeCore)).not.toBe(first);
+  });
+});
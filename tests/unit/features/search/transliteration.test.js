@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { transliterate, searchKeys, searchKey } from '../../../../src/features/search/transliteration.js';
+
+describe('transliterate', () => {
+  it('spells Russian, Ukrainian and Belarusian letters in Latin', () => {
+    expect(transliterate('Щукин')).toBe('Shchukin');
+    expect(transliterate('Їжак Євген')).toBe('Yizhak Yevgen');
+    expect(transliterate('Ўладзімір')).toBe('Uladzimir');
+    expect(transliterate('Smith')).toBe('Smith');
+  });
+});
+
+describe('searchKeys', () => {
+  it('gives every spelling of a name the same key', () => {
+    const key = searchKey('Шевченко');
+    expect(searchKey('Shevchenko')).toBe(key);
+    expect(searchKey('Schewtschenko')).toBe(key);
+    expect(searchKey('Szewczenko')).toBe(key);
+    expect(searchKey('Jurij')).toBe(searchKey('Юрий'));
+    expect(searchKey('Müller')).toBe('muler');
+  });
+
+  it('reads Cyrillic г both as g and as h', () => {
+    expect(searchKeys('Григорій')).toEqual(['grigori', 'hrihori']);
+    expect(searchKeys('Hryhorii')).toEqual(['hrihori']);
+  });
+
+  it('returns nothing for blank text', () => {
+    expect(searchKeys('  ')).toEqual([]);
+    expect(searchKey(null)).toBe('');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { deflateSync } from 'fflate';
+import {
+  encodeTreeToFragment,
+  decodeTreeFromFragment,
+  packTree,
+  unpackTree,
+  FRAGMENT_CODEC_VERSION,
+  MAX_INFLATED_BYTES
+} from '../../../../src/features/share/fragment-codec.js';
+import { encodeTreeToParam, toBase64Url } from '../../../../src/features/share/url-codec.js';
+
+function makePerson(i) {
+  return {
+    id: `p${i}`,
+    name: `Name${i}`,
+    fatherName: '',
+    surname: i % 2 ? 'Smith' : 'Jones',
+    maidenName: '',
+    gender: i % 2 ? 'male' : 'female',
+    motherId: i > 1 ? `p${i - 1}` : '',
+    fatherId: '',
+    spouseId: '',
+    generation: 1,
+    x: 100 + i * 37.4,
+    y: -20 - i,
+    color: '#3498db',
+    radius: 50,
+    zIndex: 0,
+    photo: null,
+    birth: { date: { year: 1850 + i, month: 3, day: 12, estimated: false }, place: 'Riga', note: '' },
+    death: { date: null, place: '', note: '' },
+    events: [{ id: `ev_${i}_abc`, type: 'occupation', date: null, place: '', note: '', description: 'Teacher' }],
+    altNames: [],
+    marriages: [],
+    notes: '',
+    unmapped: []
+  };
+}
+
+function makeTree(count) {
+  return {
+    version: '2.2.0',
+    persons: Array.from({ length: count }, (_, i) => makePerson(i + 1)),
+    settings: { nodeRadius: 50, defaultColor: '#3498db', fontSize: 11, outlineThickness: 1.5 },
+    displayPreferences: { showMaidenName: true, showPhotos: false },
+    nodeStyle: 'circle',
+    camera: { x: 10, y: 20, scale: 0.8 },
+    hiddenConnections: ['p1-p2:parent'],
+    lineOnlyConnections: [],
+    legacyRelations: [],
+    nextId: 99
+  };
+}
+
+describe('fragment-codec', () => {
+  it('round-trips persons, settings and connections', async () => {
+    const tree = makeTree(3);
+    const decoded = await decodeTreeFromFragment(await encodeTreeToFragment(tree));
+    expect(decoded.persons).toHaveLength(3);
+    const [first, , third] = decoded.persons;
+    expect(first).toMatchObject({ id: 'p1', name: 'Name1', surname: 'Smith', gender: 'male', x: 137, y: -21, radius: 50, zIndex: 0 });
+    expect(third.motherId).toBe('p2');
+    expect(first.birth).toEqual(tree.persons[0].birth);
+    expect(first.events).toEqual([{ type: 'occupation', date: null, place: '', note: '', description: 'Teacher' }]);
+    expect(decoded.settings).toEqual(tree.settings);
+    expect(decoded.displayPreferences).toEqual(tree.displayPreferences);
+    expect(decoded.hiddenConnections).toEqual(['p1-p2:parent']);
+    expect(decoded.version).toBe('2.2.0');
+  });
+
+  it('leaves out what the viewer does not use', async () => {
+    const decoded = await decodeTreeFromFragment(await encodeTreeToFragment(makeTree(2)));
+    expect(decoded.camera).toBeUndefined();
+    expect(decoded.nextId).toBeUndefined();
+    expect(decoded.persons[0].generation).toBeUndefined();
+    expect(decoded.persons[0].unmapped).toBeUndefined();
+    expect(decoded.persons[0].fatherName).toBeUndefined();
+  });
+
+  it('keeps fields and keys it has no slot for', () => {
+    const tree = { persons: [{ id: 'a', nickname: 'Bo', x: 1.5e10, birth: { date: { year: -44, bc: true } } }], custom: { ratio: 0.25, big: 2 ** 40 } };
+    const decoded = unpackTree(packTree(tree));
+    expect(decoded.persons[0]).toEqual({ id: 'a', nickname: 'Bo', x: 1.5e10, birth: { date: { year: -44, bc: true } } });
+    expect(decoded.custom).toEqual({ ratio: 0.25, big: 2 ** 40 });
+  });
+
+  it('carries thumbnails like the ?d= codec', async () => {
+    const tree = { persons: [{ id: 'p1', name: 'A', photo: { mediaId: 'm1', transform: { x: 0.5, y: 0.5, scale: 1 } } }] };
+    const thumbnails = { m1: 'data:image/jpeg;base64,AAA' };
+    const decoded = await decodeTreeFromFragment(await encodeTreeToFragment(tree, { thumbnails }));
+    expect(decoded.persons[0].photo).toEqual(tree.persons[0].photo);
+    expect(decoded.thumbnails).toEqual(thumbnails);
+  });
+
+  it('is shorter than the gzip JSON codec', async () => {
+    const tree = makeTree(60);
+    const fragment = await encodeTreeToFragment(tree);
+    const param = await encodeTreeToParam(tree);
+    expect(fragment.length).toBeLessThan(param.length * 0.8);
+  });
+
+  it('rejects other versions and damaged data', async () => {
+    const fragment = await encodeTreeToFragment(makeTree(1));
+    await expect(decodeTreeFromFragment(`_${fragment.slice(1)}`)).rejects.toThrow();
+    await expect(decodeTreeFromFragment(fragment.slice(0, 10))).rejects.toThrow();
+  });
+
+  it('refuses data that inflates past the limit', async () => {
+    const packed = deflateSync(new Uint8Array(MAX_INFLATED_BYTES + 1), { level: 9 });
+    const bytes = new Uint8Array(packed.length + 1);
+    bytes[0] = FRAGMENT_CODEC_VERSION;
+    bytes.set(packed, 1);
+    await expect(decodeTreeFromFragment(toBase64Url(bytes))).rejects.toThrow(/too large/);
+  });
+
+  it('decodes a tree larger than one inflate slice', async () => {
+    const tree = makeTree(400);
+    const decoded = await decodeTreeFromFragment(await encodeTreeToFragment(tree));
+    expect(decoded.persons).toHaveLength(400);
+    expect(decoded.persons[399]).toMatchObject({ id: 'p400', motherId: 'p399' });
+  });
+});
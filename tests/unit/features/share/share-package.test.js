@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildSharePackage,
+  collectModules,
+  sharePackageFileName,
+  SHARE_PACKAGE_TREE_ID,
+  SHARE_PACKAGE_LOCALE_ID
+} from '../../../../src/features/share/share-package.js';
+
+const origin = 'https://mapmyroots.com';
+
+const site = {
+  '/view': `<!DOCTYPE html><html lang="en"><head>
+    <link rel="stylesheet" href="/_astro/view.css">
+    <link rel="modulepreload" href="/_astro/chunk.js">
+    <link rel="manifest" href="/manifest.json">
+    <link rel="icon" href="/favicon.svg">
+    <script type="module" src="/_astro/view.js"></script>
+    <script>if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js');</script>
+    </head><body><p id="viewStatus">Loading</p><a href="/builder">Build</a></body></html>`,
+  '/_astro/view.css': 'body{background:url(../assets/bg.png)}.x{background:url("data:image/png;base64,AA")}',
+  '/_astro/view.js': 'import{a}from"./chunk.js";import"./i18n.js";a();\n//# sourceMappingURL=view.js.map',
+  '/_astro/chunk.js': 'import"./view.js";export const a=()=>import("./lazy.js");',
+  '/_astro/i18n.js': 'window.i18n={};',
+  '/_astro/lazy.js': 'export default 1;'
+};
+
+async function fetchText(url) {
+  const { pathname } = new URL(url);
+  if (!(pathname in site)) throw new Error(`404 ${url}`);
+  return site[pathname];
+}
+
+function decodeModule(dataUrl) {
+  const binary = atob(dataUrl.replace('data:text/javascript;base64,', ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+describe('share package', () => {
+  it('collects the module graph once per module, cycles included', async () => {
+    const fetched = [];
+    const modules = await collectModules([`${origin}/_astro/view.js`], (url) => {
+      fetched.push(url);
+      return fetchText(url);
+    });
+    expect([...modules.keys()]).toEqual([
+      'share-package/_astro/view.js',
+      'share-package/_astro/chunk.js',
+      'share-package/_astro/i18n.js',
+      'share-package/_astro/lazy.js'
+    ]);
+    expect(fetched).toHaveLength(4);
+    expect(modules.get('share-package/_astro/view.js'))
+      .toBe('import{a}from"share-package/_astro/chunk.js";import"share-package/_astro/i18n.js";a();');
+    expect(modules.get('share-package/_astro/chunk.js')).toContain('import("share-package/_astro/lazy.js")');
+  });
+
+  it('builds one HTML file with the styles, the scripts and the tree inside', async () => {
+    const tree = {
+      version: '2.2.0',
+      persons: [{ id: 'p1', name: '</script><b>Eve', photoBase64: 'data:x' }],
+      gedcomRecords: [{ tag: 'SUBM' }]
+    };
+    const translations = {
+      de: { builder: { share: { viewer: { born: 'Geboren' } }, settings: { title: 'Einstellungen' } } },
+      en: { builder: { share: { viewer: { born: 'Born' } } } }
+    };
+    const html = await buildSharePackage(tree, { origin, fetchText, locale: 'de', translations });
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(doc.querySelector('link[rel="stylesheet"], link[rel="modulepreload"], link[rel="manifest"]')).toBeNull();
+    expect(doc.querySelector('style').textContent).toContain(`url(${origin}/assets/bg.png)`);
+    expect(doc.querySelector('style').textContent).toContain('url("data:image/png;base64,AA")');
+    expect(doc.querySelector('link[rel="icon"]').getAttribute('href')).toBe(`${origin}/favicon.svg`);
+    expect(doc.querySelector('a').getAttribute('href')).toBe(`${origin}/builder`);
+    expect(html).not.toContain('serviceWorker');
+
+    const importMap = JSON.parse(doc.querySelector('script[type="importmap"]').textContent);
+    expect(Object.keys(importMap.imports)).toHaveLength(4);
+    expect(decodeModule(importMap.imports['share-package/_astro/i18n.js'])).toBe('window.i18n={};');
+    const entry = doc.querySelector('script[type="module"]');
+    expect(entry.hasAttribute('src')).toBe(false);
+    expect(entry.textContent).toBe('import "share-package/_astro/view.js";');
+    // The import map has to come before the first module script
+    const scripts = [...doc.querySelectorAll('script')];
+    expect(scripts.indexOf(doc.querySelector('script[type="importmap"]'))).toBeLessThan(scripts.indexOf(entry));
+
+    expect(html).not.toContain('</script><b>Eve');
+    const shared = JSON.parse(doc.getElementById(SHARE_PACKAGE_TREE_ID).textContent);
+    expect(shared.persons[0].name).toBe('</script><b>Eve');
+    expect(shared.persons[0].photoBase64).toBeUndefined();
+    expect(shared.gedcomRecords).toBeUndefined();
+
+    const strings = JSON.parse(doc.getElementById(SHARE_PACKAGE_LOCALE_ID).textContent);
+    expect(strings.locale).toBe('de');
+    expect(strings.translations.de.builder).toEqual({ share: { viewer: { born: 'Geboren' } } });
+    expect(strings.translations.en.builder.share.viewer.born).toBe('Born');
+  });
+
+  it('names the file after the tree', () => {
+    expect(sharePackageFileName('Smith / Jones')).toBe('Smith Jones.html');
+    expect(sharePackageFileName('')).toBe('family-tree.html');
+  });
+});
@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest';
-import { buildShareUrl, MAX_URL_BYTES } from '../../../../src/features/share/share-utils.js';
+import {
+  buildShareUrl,
+  buildFragmentShareUrls,
+  parseShareFragment,
+  storeFragmentPart,
+  MAX_URL_BYTES,
+  MAX_FRAGMENT_BYTES
+} from '../../../../src/features/share/share-utils.js';
 
 describe('share-utils', () => {
   it('buildShareUrl returns a full URL with ?d= param', () => {
@@ -10,4 +17,63 @@ describe('share-utils', () => {
   it('MAX_URL_BYTES is defined and reasonable (>= 4096)', () => {
     expect(MAX_URL_BYTES).toBeGreaterThanOrEqual(4096);
   });
+
+  it('fragment links hold more than ?d= links', () => {
+    expect(MAX_FRAGMENT_BYTES).toBeGreaterThan(MAX_URL_BYTES);
+  });
+});
+
+describe('fragment share links', () => {
+  const origin = 'https://mapmyroots.com';
+
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+      get size() { return items.size; }
+    };
+  }
+
+  it('puts a short payload in one link', () => {
+    const urls = buildFragmentShareUrls(origin, 'abc123');
+    expect(urls).toEqual(['https://mapmyroots.com/view#v=2&d=abc123']);
+    expect(parseShareFragment(new URL(urls[0]).hash)).toEqual({ data: 'abc123' });
+  });
+
+  it('splits a long payload into links no longer than the limit', () => {
+    const encoded = 'x'.repeat(950) + 'y'.repeat(950);
+    const urls = buildFragmentShareUrls(origin, encoded, { maxBytes: 200 });
+    expect(urls.length).toBeGreaterThan(10);
+    for (const url of urls) expect(url.length).toBeLessThanOrEqual(200);
+
+    const parts = urls.map((url) => parseShareFragment(new URL(url).hash));
+    expect(new Set(parts.map((p) => p.id)).size).toBe(1);
+    expect(parts.map((p) => p.part)).toEqual(urls.map((_, i) => i + 1));
+    expect(parts.every((p) => p.total === urls.length)).toBe(true);
+    expect(parts.map((p) => p.data).join('')).toBe(encoded);
+  });
+
+  it('ignores hashes that are not fragment shares', () => {
+    expect(parseShareFragment('')).toBeNull();
+    expect(parseShareFragment('#section-2')).toBeNull();
+    expect(parseShareFragment('#v=1&d=abc')).toBeNull();
+    expect(parseShareFragment('#v=2&id=a&part=3/2&d=abc')).toBeNull();
+  });
+
+  it('joins the parts once each has arrived, in any order', () => {
+    const encoded = 'abcdefghij'.repeat(60);
+    const parts = buildFragmentShareUrls(origin, encoded, { maxBytes: 150 })
+      .map((url) => parseShareFragment(new URL(url).hash));
+    const storage = memoryStorage();
+
+    const [first, ...rest] = parts.reverse();
+    expect(storeFragmentPart(storage, first)).toEqual({ received: 1, total: parts.length, data: null });
+    expect(storeFragmentPart(storage, first).received).toBe(1);
+    let result;
+    for (const part of rest) result = storeFragmentPart(storage, part);
+    expect(result).toEqual({ received: parts.length, total: parts.length, data: encoded });
+    expect(storage.size).toBe(0);
+  });
 });
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { readSharedPersons, readSharedSettings, readSharedThumbnails, describePerson, VIEW_DEFAULTS } from '../../../../src/features/share/shared-tree.js';
+import { collectShareThumbnails } from '../../../../src/features/share/share-thumbnails.js';
+
+const tree = {
+  version: '2.2.0',
+  persons: [
+    { id: 'f', name: 'John', surname: 'Smith', gender: 'male', spouseId: 'm',
+      birth: { date: { year: 1850, estimated: false }, place: 'York', note: '' },
+      death: { date: { year: 1920, estimated: false }, place: '', note: '' },
+      marriages: [{ id: 'mar1', spouseId: 'm', date: { year: 1875, estimated: false }, place: 'Leeds', note: '' }],
+      photo: { mediaId: 'img1' } },
+    { id: 'm', name: 'Mary', surname: 'Smith', maidenName: 'Brown', gender: 'female', spouseId: 'f' },
+    { id: 'c', name: 'Ann', surname: 'Smith', fatherId: 'f', motherId: 'm', notes: 'Teacher',
+      events: [{ id: 'e1', type: 'occupation', description: 'Teacher', date: { year: 1901, estimated: false }, place: 'Riga' }] }
+  ],
+  settings: { defaultColor: '#123456', familyLineColor: '#ff0000' },
+  nodeStyle: 'rectangle',
+  displayPreferences: { showPhotos: false }
+};
+
+describe('shared tree', () => {
+  it('reads persons with the fields the builder fills in', () => {
+    const personData = readSharedPersons(tree);
+    expect([...personData.keys()]).toEqual(['f', 'm', 'c']);
+    expect(personData.get('m')).toMatchObject({ fatherId: '', birth: { date: null }, events: [], marriages: [], notes: '' });
+  });
+
+  it('migrates links made before birth and death objects', () => {
+    const personData = readSharedPersons({ persons: [{ id: 'a', name: 'Old', dob: '1900', spouseId: 'b' }, { id: 'b', name: 'Wife' }] });
+    expect(personData.get('a').birth.date).toMatchObject({ year: 1900 });
+    expect(personData.get('a').marriages).toMatchObject([{ spouseId: 'b' }]);
+  });
+
+  it('reads the style settings over the builder defaults', () => {
+    const settings = readSharedSettings(tree);
+    expect(settings).toMatchObject({ defaultColor: '#123456', nodeRadius: VIEW_DEFAULTS.nodeRadius, nodeStyle: 'rectangle' });
+    expect(settings.lineStyleSettings.familyLineColor).toBe('#ff0000');
+    expect(settings.displayPreferences).toEqual({ showPhotos: false });
+  });
+
+  it('describes a person with relatives, marriages and events', () => {
+    const personData = readSharedPersons(tree);
+    const john = describePerson(personData, 'f');
+    expect(john).toMatchObject({
+      name: 'John Smith',
+      lifespan: '1850 – 1920',
+      birth: '1850, York',
+      death: '1920',
+      parents: [],
+      spouses: [{ id: 'm', name: 'Mary Smith', details: '1875, Leeds' }],
+      children: [{ id: 'c', name: 'Ann Smith' }],
+      mediaId: 'img1'
+    });
+    const ann = describePerson(personData, 'c');
+    expect(ann.parents.map((p) => p.id)).toEqual(['f', 'm']);
+    expect(ann.events).toEqual(['Occupation: Teacher, 1901, Riga']);
+    expect(ann.notes).toBe('Teacher');
+    expect(describePerson(personData, 'nobody')).toBeNull();
+  });
+
+  it('reads only image data URLs as thumbnails', () => {
+    const thumbnails = readSharedThumbnails({
+      thumbnails: {
+        jpeg: 'data:image/jpeg;base64,AAA=',
+        png: 'data:image/png;base64,iVBO',
+        webp: 'data:image/webp;base64,UklG',
+        svg: 'data:image/svg+xml;base64,PHN2Zz4=',
+        html: 'data:text/html;base64,PHA+',
+        remote: 'https://tracker.example/pixel.png',
+        script: 'javascript:alert(1)',
+        tail: 'data:image/png;base64,AAA" onerror="x',
+        number: 7
+      }
+    });
+    expect(Object.keys(thumbnails)).toEqual(['jpeg', 'png', 'webp']);
+    expect(readSharedThumbnails(tree)).toEqual({});
+  });
+});
+
+describe('collectShareThumbnails', () => {
+  it('makes one thumbnail per stored photo and skips missing ones', async () => {
+    const repo = { getMedia: async (id) => (id === 'a' ? { blob: new Blob(['x']) } : null) };
+    const toDataUrl = async (blob, size) => `data:${size}`;
+    const persons = [{ photo: { mediaId: 'a' } }, { photo: { mediaId: 'a' } }, { photo: { mediaId: 'b' } }, {}];
+    expect(await collectShareThumbnails(persons, repo, { toDataUrl })).toEqual({ a: 'data:64' });
+  });
+});
@@ -47,3 +47,37 @@ describe('url-codec strips media', () => {
     expect(decoded.persons[0].surname).toBe('X');
   });
 });
+
+describe('url-codec thumbnails', () => {
+  const tree = {
+    version: '2.2.0',
+    persons: [
+      { id: 'p1', name: 'A', photo: { mediaId: 'm1', transform: { x: 0.4, y: 0.5, scale: 1.2 } }, unmapped: [{ tag: '_X' }] },
+      { id: 'p2', name: 'B', photo: { mediaId: 'm2', transform: { x: 0.5, y: 0.5, scale: 1 } } }
+    ],
+    gedcomRecords: [{ tag: 'SUBM' }]
+  };
+
+  it('keeps the photos that have a thumbnail and carries the thumbnails', async () => {
+    const thumbnails = { m1: 'data:image/jpeg;base64,AAA', m9: 'data:image/jpeg;base64,BBB' };
+    const decoded = await decodeTreeFromParam(await encodeTreeToParam(tree, { thumbnails }));
+    expect(decoded.persons[0].photo).toEqual(tree.persons[0].photo);
+    expect(decoded.persons[1].photo).toBeUndefined();
+    expect(decoded.thumbnails).toEqual({ m1: 'data:image/jpeg;base64,AAA' });
+  });
+
+  it('drops thumbnails that are not image data URLs', async () => {
+    const thumbnails = { m1: 'https://tracker.example/pixel.png', m2: 'data:image/png;base64,iVBO' };
+    const decoded = await decodeTreeFromParam(await encodeTreeToParam(tree, { thumbnails }));
+    expect(decoded.persons[0].photo).toBeUndefined();
+    expect(decoded.persons[1].photo).toEqual(tree.persons[1].photo);
+    expect(decoded.thumbnails).toEqual({ m2: 'data:image/png;base64,iVBO' });
+  });
+
+  it('leaves out GEDCOM passthrough records', async () => {
+    const decoded = await decodeTreeFromParam(await encodeTreeToParam(tree));
+    expect(decoded.gedcomRecords).toBeUndefined();
+    expect(decoded.persons[0].unmapped).toBeUndefined();
+    expect(decoded.thumbnails).toBeUndefined();
+  });
+});
@@ -0,0 +1,127 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+import { mountSourceEditor } from '../../../../src/features/sources/source-editor.js';
+
+const person = {
+  id: 'p1',
+  name: 'Anna',
+  marriages: [{ id: 'm1', spouseId: 'p2' }],
+  events: [{ id: 'e1', type: 'occupation', description: 'Teacher' }]
+};
+
+function setValue(root, name, value) {
+  const el = root.querySelector(`[name="${name}"]`);
+  el.value = value;
+  el.dispatchEvent(new Event('change'));
+}
+
+function click(root, selector) {
+  root.querySelector(selector).click();
+}
+
+describe('mountSourceEditor', () => {
+  let container;
+  let repo;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    repo = new IndexedDBRepository('TestSourceEditorDB');
+    await repo.initialize();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    repo.close();
+  });
+
+  function mount() {
+    return mountSourceEditor({ container, personId: 'p1', person, repo, getPersonName: () => 'Karl' });
+  }
+
+  it('shows the empty state and an add button', async () => {
+    const handle = mount();
+    await handle.refresh();
+    expect(container.querySelector('.source-editor-empty')).toBeTruthy();
+    expect(container.querySelector('.source-add')).toBeTruthy();
+  });
+
+  it('creates a repository, a source and a citation from one form', async () => {
+    const handle = mount();
+    await handle.refresh();
+    click(container, '.source-add');
+    setValue(container, 'fact', 'birth');
+    setValue(container, 'title', '1881 England Census');
+    setValue(container, 'repositoryId', '__new');
+    setValue(container, 'repositoryName', 'The National Archives');
+    setValue(container, 'callNumber', 'RG11');
+    setValue(container, 'page', 'RG11/1234, folio 5');
+    setValue(container, 'quality', '3');
+    setValue(container, 'text', 'Anna, dau, 4');
+    click(container, '.source-save');
+
+    await vi.waitFor(async () => expect(await repo.getCitationsForPerson('p1')).toHaveLength(1));
+    const [citation] = await repo.getCitationsForPerson('p1');
+    const source = await repo.getSourceRecord(citation.sourceId);
+    const repository = await repo.getSourceRecord(source.repositoryId);
+    expect(citation).toMatchObject({ fact: 'birth', page: 'RG11/1234, folio 5', quality: 3, text: 'Anna, dau, 4' });
+    expect(source).toMatchObject({ title: '1881 England Census', callNumber: 'RG11' });
+    expect(repository.name).toBe('The National Archives');
+
+    await vi.waitFor(() => expect(container.querySelector('.source-fact-group[data-fact="birth"]')).toBeTruthy());
+    expect(container.querySelector('.source-citation-title').textContent).toBe('1881 England Census, RG11/1234, folio 5');
+  });
+
+  it('asks for a title before creating a new source', async () => {
+    const handle = mount();
+    await handle.refresh();
+    click(container, '.source-add');
+    click(container, '.source-save');
+    const error = container.querySelector('.source-form-error');
+    expect(error.hidden).toBe(false);
+    expect(await repo.getSourceRecords()).toEqual([]);
+  });
+
+  it('lists marriage citations added on the spouse and links documents', async () => {
+    await repo.saveDocument({ id: 'd1', personId: 'p1', title: 'Certificate', createdAt: 1, updatedAt: 1 });
+    await repo.saveSourceRecords([
+      { id: 'src1', kind: 'source', title: 'Parish register', repositoryId: '' },
+      { id: 'cit1', kind: 'citation', sourceId: 'src1', personId: 'p2', fact: 'marriage:m1', page: 'f. 40',
+        quality: null, text: '', note: '', documentIds: [] }
+    ]);
+    const handle = mount();
+    await handle.refresh();
+    const group = container.querySelector('.source-fact-group[data-fact="marriage:m1"]');
+    expect(group.querySelector('h4').textContent).toBe('marriage: Karl');
+
+    click(container, '.source-edit');
+    expect(container.querySelector('[name="sourceId"]').value).toBe('src1');
+    expect(container.querySelector('[name="title"]').value).toBe('Parish register');
+    container.querySelector('.source-documents input[value="d1"]').checked = true;
+    click(container, '.source-save');
+
+    await vi.waitFor(async () => expect((await repo.getSourceRecord('cit1')).documentIds).toEqual(['d1']));
+    expect((await repo.getSourceRecord('cit1')).personId).toBe('p2');
+  });
+
+  it('deletes a citation after confirmation', async () => {
+    await repo.saveSourceRecords([
+      { id: 'src1', kind: 'source', title: 'Parish register', repositoryId: '' },
+      { id: 'cit1', kind: 'citation', sourceId: 'src1', personId: 'p1', fact: 'event:e1', page: '',
+        quality: 1, text: '', note: '', documentIds: [] }
+    ]);
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const handle = mount();
+    await handle.refresh();
+    expect(container.querySelector('.source-fact-group h4').textContent).toBe('Occupation: Teacher');
+    click(container, '.source-edit');
+    click(container, '.source-delete');
+
+    await vi.waitFor(async () => expect(await repo.getSourceRecord('cit1')).toBeNull());
+    expect(await repo.getSourceRecord('src1')).not.toBeNull();
+    confirm.mockRestore();
+  });
+});
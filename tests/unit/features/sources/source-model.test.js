@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  makeCitation, makeSource, makeRepository, personFacts, formatCitation, remapCitationPersons
+} from '../../../../src/features/sources/source-model.js';
+
+describe('source model', () => {
+  it('builds records with prefixed ids and trimmed fields', () => {
+    expect(makeRepository({ name: ' Archive ' })).toMatchObject({ kind: 'repository', name: 'Archive' });
+    expect(makeRepository().id).toMatch(/^repo_\d+_[a-z0-9]+$/);
+    expect(makeSource({ title: ' Census ' })).toMatchObject({ kind: 'source', title: 'Census', repositoryId: '' });
+    expect(makeSource().id).toMatch(/^src_/);
+    expect(makeCitation().id).toMatch(/^cit_/);
+  });
+
+  it('keeps quality within 0-3 and defaults the fact to the whole person', () => {
+    expect(makeCitation({ quality: '2' }).quality).toBe(2);
+    expect(makeCitation({ quality: 7 }).quality).toBeNull();
+    expect(makeCitation({ quality: '' }).quality).toBeNull();
+    expect(makeCitation().fact).toBe('person');
+  });
+
+  it('keeps unmapped GEDCOM detail only when there is some', () => {
+    expect(makeSource({ unmapped: [] })).not.toHaveProperty('unmapped');
+    expect(makeSource({ unmapped: [{ tag: '_UID' }] }).unmapped).toEqual([{ tag: '_UID' }]);
+  });
+
+  it('lists the facts of a person, marriages and events included', () => {
+    const facts = personFacts({
+      marriages: [{ id: 'm1', spouseId: 'p2' }],
+      events: [{ id: 'e1', type: 'occupation' }]
+    });
+    expect(facts.map((f) => f.fact)).toEqual(['person', 'name', 'birth', 'death', 'marriage:m1', 'event:e1']);
+    expect(facts[4].spouseId).toBe('p2');
+    expect(facts[5].eventType).toBe('occupation');
+  });
+
+  it('formats a citation from the source title and page', () => {
+    expect(formatCitation({ page: 'f. 12' }, { title: 'Census' })).toBe('Census, f. 12');
+    expect(formatCitation({ page: '' }, { title: '', abbreviation: 'PR' })).toBe('PR');
+    expect(formatCitation({ page: 'f. 3' }, null)).toBe('f. 3');
+  });
+
+  it('re-points citations of merged imports at the existing person', () => {
+    const records = [
+      { id: 's', kind: 'source', personId: 'in1' },
+      { id: 'c1', kind: 'citation', personId: 'in1' },
+      { id: 'c2', kind: 'citation', personId: 'in2' }
+    ];
+    const remapped = remapCitationPersons(records, new Map([['in1', 'ex1']]));
+    expect(remapped.map((r) => r.personId)).toEqual(['in1', 'ex1', 'in2']);
+    expect(records[1].personId).toBe('in1');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeFamilyStats,
+  countGenerations,
+  lifespanByDecade,
+  ageAtMarriage,
+  ageAtFirstChild,
+  childrenPerCouple,
+  genderRatio,
+  dataCompleteness,
+  earliestAncestors
+} from '../../../../src/features/stats/family-stats.js';
+import { person, tree } from '../fixtures.js';
+
+const on = (year, place = '') => ({ date: { year }, place });
+
+// Ivan and Anna with two children; their son Pyotr married Olga and had one child
+const family = () => tree(
+  person('ivan', { name: 'Ivan', surname: 'Petrov', gender: 'male', birth: on(1850, 'Kyiv'), death: on(1920),
+    marriages: [{ id: 'm1', spouseId: 'anna', date: { year: 1875 } }] }),
+  person('anna', { name: 'Anna', surname: 'Petrova', maidenName: 'Sidorova', gender: 'female', birth: on(1855, 'kyiv'),
+    death: on(1915), marriages: [{ id: 'm1', spouseId: 'ivan', date: { year: 1875 } }] }),
+  person('pyotr', { name: 'Pyotr', surname: 'Petrov', gender: 'male', fatherId: 'ivan', motherId: 'anna', birth: on(1878, 'Kyiv'),
+    death: on(1940), marriages: [{ id: 'm2', spouseId: 'olga', date: { year: 1903 } }] }),
+  person('maria', { name: 'Maria', surname: 'Petrova', gender: 'female', fatherId: 'ivan', motherId: 'anna', birth: on(1880, 'Odesa') }),
+  person('olga', { name: 'Olga', surname: 'Petrova', gender: 'female', birth: on(1882),
+    marriages: [{ id: 'm2', spouseId: 'pyotr', date: { year: 1903 } }] }),
+  person('ivan2', { name: 'Ivan Petrovich', surname: 'Petrov', gender: 'male', fatherId: 'pyotr', motherId: 'olga', birth: on(1905) })
+);
+
+describe('family statistics', () => {
+  it('counts people per generation, oldest first', () => {
+    expect(countGenerations(new Map([['a', 1], ['b', 0], ['c', 1]]))).toEqual([
+      { generation: 0, count: 1 },
+      { generation: 1, count: 2 }
+    ]);
+  });
+
+  it('averages lifespans by birth decade, leaving out impossible ones', () => {
+    const data = family();
+    data.set('bad', person('bad', { birth: on(1850), death: on(1840) }));
+    expect(lifespanByDecade(data)).toEqual([
+      { decade: 1850, average: 65, count: 2 },
+      { decade: 1870, average: 62, count: 1 }
+    ]);
+  });
+
+  it('averages ages at the first marriage and the first child by gender', () => {
+    const data = family();
+    expect(ageAtMarriage(data)).toEqual({
+      male: { average: 25, count: 2 },
+      female: { average: 20.5, count: 2 },
+      all: { average: 22.8, count: 4 }
+    });
+    expect(ageAtFirstChild(data)).toEqual({
+      father: { average: 27.5, count: 2 },
+      mother: { average: 23, count: 2 }
+    });
+  });
+
+  it('counts children per couple, including childless marriages', () => {
+    const data = family();
+    data.set('solo', person('solo', { marriages: [{ id: 'm3', spouseId: 'maria' }] }));
+    expect(childrenPerCouple(data)).toEqual({
+      average: 1,
+      couples: 3,
+      distribution: [{ children: 0, couples: 1 }, { children: 1, couples: 1 }, { children: 2, couples: 1 }]
+    });
+  });
+
+  it('counts genders and field completeness', () => {
+    const data = family();
+    data.set('x', person('x', { name: '' }));
+    expect(genderRatio(data)).toEqual({ male: 3, female: 3, unknown: 1 });
+    const completeness = Object.fromEntries(dataCompleteness(data, 2025).map((c) => [c.field, c]));
+    expect(completeness.name).toMatchObject({ filled: 6, total: 7, percent: 86 });
+    // Maria, Olga and Ivan Petrovich were born over 110 years ago, so they are expected to have died
+    expect(completeness.death_date).toMatchObject({ filled: 3, total: 6, percent: 50 });
+    expect(completeness.parents).toMatchObject({ filled: 3, total: 7 });
+  });
+
+  it('finds the earliest ancestor of each paternal and maternal line', () => {
+    expect(earliestAncestors(family())).toEqual([
+      { personId: 'ivan', line: 'paternal', birthYear: 1850, generations: 3 },
+      { personId: 'anna', line: 'maternal', birthYear: 1855, generations: 2 },
+      { personId: 'olga', line: 'maternal', birthYear: 1882, generations: 2 }
+    ]);
+  });
+
+  it('ranks names and places case-insensitively, by birth surname and through the place resolver', () => {
+    const stats = computeFamilyStats(family(), {
+      generations: new Map([['ivan', 0], ['anna', 0], ['pyotr', 1]]),
+      placeName: (text) => (text.toLowerCase() === 'kyiv' ? 'Kyiv, Ukraine' : text)
+    });
+    expect(stats.total).toBe(6);
+    expect(stats.surnames).toEqual([
+      { value: 'Petrov', count: 3 },
+      { value: 'Petrova', count: 2 },
+      { value: 'Sidorova', count: 1 }
+    ]);
+    expect(stats.givenNames[0]).toEqual({ value: 'Ivan', count: 2 });
+    expect(stats.birthPlaces).toEqual([{ value: 'Kyiv, Ukraine', count: 3 }, { value: 'Odesa', count: 1 }]);
+    expect(stats.generations).toEqual([{ generation: 0, count: 2 }, { generation: 1, count: 1 }]);
+  });
+});
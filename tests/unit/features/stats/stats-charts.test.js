@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { barChart, donutChart } from '../../../../src/features/stats/stats-charts.js';
+
+describe('stats charts', () => {
+  it('draws one bar per item, scaled to the largest value or the given maximum', () => {
+    const svg = barChart([{ label: 'Petrov', value: 4 }, { label: 'Sidorov', value: 2, personId: 'p2' }], { width: 400 });
+    const bars = [...svg.querySelectorAll('.stats-bar')];
+    expect(bars).toHaveLength(2);
+    expect(Number(bars[1].getAttribute('width'))).toBeCloseTo(Number(bars[0].getAttribute('width')) / 2);
+    expect(bars[1].dataset.personId).toBe('p2');
+    expect(svg.getAttribute('width')).toBe('400');
+
+    const percent = barChart([{ label: 'Photo', value: 50, valueLabel: '50%' }], { max: 100 });
+    expect(percent.textContent).toContain('50%');
+    expect(Number(percent.querySelector('.stats-bar').getAttribute('width'))).toBeLessThan(200);
+  });
+
+  it('draws columns with inline colors so the chart serializes as shown', () => {
+    const svg = barChart([{ label: '1880s', value: 60 }, { label: '1890s', value: 70, color: '#ff0000' }], { orientation: 'vertical' });
+    const bars = svg.querySelectorAll('.stats-bar');
+    expect(Number(bars[1].getAttribute('height'))).toBeGreaterThan(Number(bars[0].getAttribute('height')));
+    expect(bars[1].getAttribute('fill')).toBe('#ff0000');
+    expect(svg.querySelector('text').getAttribute('font-family')).toBeTruthy();
+  });
+
+  it('shows a note instead of an empty chart', () => {
+    expect(barChart([], { emptyLabel: 'Not enough data' }).textContent).toBe('Not enough data');
+    expect(donutChart([{ label: 'Male', value: 0 }], { emptyLabel: 'None' }).textContent).toBe('None');
+  });
+
+  it('draws a donut slice per non-empty item with shares in the legend', () => {
+    const svg = donutChart([{ label: 'Male', value: 3 }, { label: 'Female', value: 1 }, { label: 'Unknown', value: 0 }]);
+    expect(svg.querySelectorAll('.stats-slice')).toHaveLength(2);
+    expect(svg.textContent).toContain('Male: 3 (75%)');
+    expect(donutChart([{ label: 'Male', value: 2 }]).querySelector('circle.stats-slice')).not.toBeNull();
+  });
+});
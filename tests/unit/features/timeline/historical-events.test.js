@@ -0,0 +1,47 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBRepository } from '../../../../src/data/repositories/indexed-db-repository.js';
+import {
+  loadHistoricalEvents,
+  saveHistoricalEvent,
+  deleteHistoricalEvent,
+  normalizeHistoricalEvent
+} from '../../../../src/features/timeline/historical-events.js';
+
+describe('normalizeHistoricalEvent', () => {
+  it('trims the label, orders the years and defaults the end to the start', () => {
+    expect(normalizeHistoricalEvent({ id: 'h1', label: ' Famine ', startYear: '1933', endYear: '1932' }))
+      .toEqual({ id: 'h1', label: 'Famine', startYear: 1932, endYear: 1933 });
+    expect(normalizeHistoricalEvent({ label: 'Census', startYear: 1897 })).toMatchObject({ startYear: 1897, endYear: 1897 });
+  });
+
+  it('requires a label and a start year', () => {
+    expect(() => normalizeHistoricalEvent({ label: ' ', startYear: 1900 })).toThrow(/label/);
+    expect(() => normalizeHistoricalEvent({ label: 'War', startYear: '' })).toThrow(/start year/);
+  });
+});
+
+describe('historical events store', () => {
+  let repo;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    repo = new IndexedDBRepository('TestHistoricalEventsDB');
+    await repo.initialize();
+  });
+
+  afterEach(() => { repo?.close(); });
+
+  it('keeps events in date order, replaces by id and deletes by id', async () => {
+    expect(await loadHistoricalEvents(repo)).toEqual([]);
+    await saveHistoricalEvent(repo, { id: 'ww2', label: 'Second World War', startYear: 1939, endYear: 1945 });
+    await saveHistoricalEvent(repo, { id: 'ww1', label: 'First World War', startYear: 1914, endYear: 1918 });
+    expect((await loadHistoricalEvents(repo)).map((e) => e.id)).toEqual(['ww1', 'ww2']);
+
+    await saveHistoricalEvent(repo, { id: 'ww1', label: 'Great War', startYear: 1914, endYear: 1918 });
+    expect((await loadHistoricalEvents(repo))[0].label).toBe('Great War');
+
+    expect((await deleteHistoricalEvent(repo, 'ww2')).map((e) => e.id)).toEqual(['ww1']);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  layoutTimeline,
+  lifespanOf,
+  personMarkers,
+  dateToYear,
+  ROW_HEIGHT,
+  GROUP_HEADER_HEIGHT,
+  UNKNOWN_END_YEARS
+} from '../../../../src/features/timeline/timeline-layout.js';
+
+const NOW = 2024.5;
+
+const personData = new Map([
+  ['gf', {
+    id: 'gf', name: 'Ivan', surname: 'Petrov',
+    birth: { date: { year: 1880, estimated: true } }, death: { date: { year: 1950 } },
+    marriages: [{ id: 'm1', spouseId: 'gm', date: { year: 1905 } }],
+    events: [{ id: 'e1', type: 'military', date: { year: 1914, estimated: true } }]
+  }],
+  ['gm', { id: 'gm', name: 'Anna', surname: 'Petrova', birth: { date: { year: 1885 } }, death: { date: null } }],
+  ['dad', { id: 'dad', name: 'Pyotr', surname: 'Petrov', fatherId: 'gf', motherId: 'gm', birth: { date: { year: 1950, month: 7 } } }],
+  ['unknown', { id: 'unknown', name: 'Maria', birth: { date: null } }]
+]);
+
+describe('dateToYear', () => {
+  it('turns months and days into a fraction of the year', () => {
+    expect(dateToYear({ year: 1900 })).toBe(1900);
+    expect(dateToYear({ year: 1900, month: 7, day: 1 })).toBe(1900.5);
+    expect(dateToYear({ year: 44, bc: true })).toBe(-44);
+    expect(dateToYear({ error: true, raw: 'x' })).toBeNull();
+  });
+});
+
+describe('lifespanOf', () => {
+  it('runs from birth to death with estimated ends fuzzy', () => {
+    expect(lifespanOf(personData.get('gf'), NOW)).toEqual({ start: 1880, end: 1950, startFuzzy: true, endFuzzy: false, living: false });
+  });
+
+  it('runs to today for the living and fades out a missing death', () => {
+    expect(lifespanOf(personData.get('dad'), NOW)).toMatchObject({ start: 1950.5, end: NOW, endFuzzy: false, living: true });
+    expect(lifespanOf(personData.get('gm'), NOW)).toMatchObject({ start: 1885, end: 1885 + UNKNOWN_END_YEARS, endFuzzy: true, living: false });
+  });
+
+  it('fades in a missing birth and skips people without dates', () => {
+    const deathOnly = { death: { date: { year: 1900 } } };
+    expect(lifespanOf(deathOnly, NOW)).toMatchObject({ start: 1900 - UNKNOWN_END_YEARS, end: 1900, startFuzzy: true });
+    expect(lifespanOf(personData.get('unknown'), NOW)).toBeNull();
+  });
+});
+
+describe('personMarkers', () => {
+  it('collects dated marriages and events in order', () => {
+    expect(personMarkers(personData.get('gf'))).toEqual([
+      { year: 1905, kind: 'marriage', fuzzy: false, spouseId: 'gm' },
+      expect.objectContaining({ year: 1914, kind: 'event', fuzzy: true })
+    ]);
+  });
+});
+
+describe('layoutTimeline', () => {
+  it('groups rows by generation, ordered by birth', () => {
+    const generations = new Map([['gf', 0], ['gm', 0], ['dad', 1], ['unknown', 0]]);
+    const layout = layoutTimeline(personData, { generations, now: NOW });
+
+    expect(layout.groups.map((g) => g.value)).toEqual([0, 1]);
+    expect(layout.rows.map((r) => r.id)).toEqual(['gf', 'gm', 'dad']);
+    expect(layout.rows[0].y).toBe(GROUP_HEADER_HEIGHT);
+    expect(layout.rows[2].y).toBe(2 * GROUP_HEADER_HEIGHT + 2 * ROW_HEIGHT);
+    expect(layout.undated).toEqual(['unknown']);
+    expect(layout).toMatchObject({ minYear: 1880, maxYear: NOW, now: NOW });
+  });
+
+  it('names clan groups after their most common surname', () => {
+    const clans = { clanByPerson: new Map([['gf', 0], ['gm', 0], ['dad', 0]]) };
+    const layout = layoutTimeline(personData, { groupBy: 'clan', clans, now: NOW });
+
+    expect(layout.groups).toEqual([expect.objectContaining({ kind: 'clan', value: 0, surname: 'Petrov' })]);
+  });
+
+  it('puts people without a group last', () => {
+    const layout = layoutTimeline(personData, { generations: new Map([['dad', 1]]), now: NOW });
+    expect(layout.groups.map((g) => g.value)).toEqual([1, -1]);
+  });
+});
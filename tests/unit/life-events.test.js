@@ -0,0 +1,151 @@
+// life-events.test.js
+// Life events: ordering, labels and summaries, the person-modal list and how saving keeps them.
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/core/canvas-renderer.js', () => ({ CanvasRenderer: vi.fn() }));
+vi.mock('../../src/ui/modals/modal.js', () => ({
+  openModalForEdit: vi.fn(), closeModal: vi.fn(), getSelectedGender: vi.fn()
+}));
+vi.mock('../../src/data/migrations/v2.2-rich-events.js', () => ({ migrateToV22: vi.fn() }));
+vi.mock('../../src/ui/components/table.js', () => ({ rebuildTableView: vi.fn() }));
+vi.mock('../../src/features/export/exporter.js', () => ({
+  exportTree: vi.fn(), exportGEDCOM: vi.fn(), exportCanvasPDF: vi.fn()
+}));
+vi.mock('../../src/ui/components/notifications.js', () => ({ notifications: { info: vi.fn(), error: vi.fn() } }));
+vi.mock('../../src/data/cache/core-undoRedo.js', () => ({ UndoRedoManager: vi.fn() }));
+vi.mock('../../src/data/cache/core-cache.js', () => ({ CacheManager: vi.fn() }));
+vi.mock('../../src/ui/components/ui-buttons.js', () => ({ setupButtons: vi.fn() }));
+vi.mock('../../src/ui/components/ui-settings.js', () => ({ setupSettings: vi.fn() }));
+vi.mock('../../src/ui/components/ui-modals.js', () => ({ setupModals: vi.fn() }));
+vi.mock('../../src/data/core-export.js', () => ({ setupExport: vi.fn() }));
+vi.mock('../../src/utils/event-bus.js', () => ({ appContext: { getEventBus: vi.fn(() => ({ on: vi.fn(), emit: vi.fn() })) } }));
+vi.mock('../../src/utils/generation-calculator.js', () => ({ GenerationCalculator: vi.fn() }));
+
+import { TreeEngine } from '../../src/core/tree-engine.js';
+import {
+  sortEventsChronologically, lifeEventLabel, summarizeLifeEvents, lifeEventSearchFields, makeLifeEvent
+} from '../../src/utils/life-events.js';
+import { createLifeEventsList } from '../../src/ui/components/life-events-list.js';
+
+const t = (_, fallback) => fallback;
+const event = (id, type, date, extra = {}) => ({ id, type, date, place: '', note: '', description: '', ...extra });
+
+describe('life event helpers', () => {
+  it('sorts by date and keeps undated events last in their order', () => {
+    const events = [
+      event('a', 'residence', null),
+      event('b', 'burial', { year: 1920 }),
+      event('c', 'occupation', null),
+      event('d', 'baptism', { year: 1850, month: 4 })
+    ];
+    expect(sortEventsChronologically(events).map((e) => e.id)).toEqual(['d', 'b', 'a', 'c']);
+  });
+
+  it('names custom events by their label and others by type', () => {
+    expect(lifeEventLabel({ type: 'custom', label: 'Emigrated to Canada' })).toBe('Emigrated to Canada');
+    expect(lifeEventLabel({ type: 'military' }, (key, fallback) => (key === 'builder.events.types.military' ? 'Military service' : fallback)))
+      .toBe('Military service');
+    expect(lifeEventLabel({ type: 'first_communion' })).toBe('First communion');
+  });
+
+  it('summarizes and indexes events for the table and search', () => {
+    const person = {
+      events: [
+        event('b', 'residence', null, { place: 'Riga' }),
+        event('a', 'occupation', { year: 1901, estimated: false }, { description: 'Teacher' })
+      ]
+    };
+    expect(summarizeLifeEvents(person.events, t)).toEqual(['Occupation: Teacher, 1901', 'Residence: Riga']);
+    expect(lifeEventSearchFields(person, t)).toEqual(['Residence', 'Riga', 'Occupation', 'Teacher']);
+  });
+
+  it('makes empty events with fresh ids', () => {
+    const a = makeLifeEvent('education');
+    expect(a).toMatchObject({ type: 'education', date: null, place: '', description: '' });
+    expect(makeLifeEvent().id).not.toBe(a.id);
+  });
+});
+
+describe('createLifeEventsList', () => {
+  beforeEach(() => { document.body.innerHTML = ''; });
+
+  it('shows events in date order and returns edits', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const handle = createLifeEventsList({
+      container,
+      events: [event('late', 'burial', { year: 1920, estimated: false }), event('early', 'baptism', { year: 1850, estimated: false })],
+      t
+    });
+    const rows = container.querySelectorAll('.life-event-row');
+    expect([...rows].map((r) => r.dataset.eventId)).toEqual(['early', 'late']);
+
+    rows[0].querySelector('.life-event-description').value = 'St. Peter';
+    expect(handle.getValue()[0]).toMatchObject({ id: 'early', type: 'baptism', description: 'St. Peter' });
+  });
+
+  it('adds a row, names custom events and removes rows', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const handle = createLifeEventsList({ container, events: [], t });
+    container.querySelector('.life-events-add').click();
+    const row = container.querySelector('.life-event-row');
+    const select = row.querySelector('.life-event-type');
+    const label = row.querySelector('.life-event-label');
+    expect(label.hidden).toBe(true);
+    select.value = 'custom';
+    select.dispatchEvent(new Event('change'));
+    expect(label.hidden).toBe(false);
+    label.value = 'Emigrated';
+    expect(handle.getValue()).toMatchObject([{ type: 'custom', label: 'Emigrated' }]);
+
+    row.querySelector('.life-event-row-remove').click();
+    expect(handle.getValue()).toEqual([]);
+  });
+
+  it('keeps an imported type the picker does not offer', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const handle = createLifeEventsList({ container, events: [event('e', 'census', null)], t });
+    expect(container.querySelector('.life-event-type').value).toBe('census');
+    expect(handle.getValue()[0].type).toBe('census');
+  });
+});
+
+describe('TreeEngine.handleSavePersonFromModal — life events', () => {
+  let engine;
+  const form = (events) => ({
+    editingId: 'p1', name: 'Anna', gender: 'female', birth: {}, death: {}, marriages: [], events
+  });
+
+  beforeEach(() => {
+    engine = new TreeEngine();
+    engine.undoRedoManager = { pushUndoState: vi.fn() };
+    engine.personData = new Map([['p1', {
+      id: 'p1', name: 'Anna', gender: 'female', marriages: [],
+      events: [event('imp', 'custom', null, { label: 'Confirmation class', unmapped: [{ tag: '_UID' }] })]
+    }]]);
+  });
+
+  it('saves events from the form, keeping imported detail and dropping empty new rows', () => {
+    engine.handleSavePersonFromModal(form([
+      event('imp', 'custom', null, { label: 'Confirmation class' }),
+      event('new', 'occupation', { year: 1901, estimated: false }, { description: 'Teacher' }),
+      event('blank', 'baptism', null)
+    ]));
+    const events = engine.personData.get('p1').events;
+    expect(events.map((e) => e.id)).toEqual(['imp', 'new']);
+    expect(events[0].unmapped).toEqual([{ tag: '_UID' }]);
+  });
+
+  it('drops the label when an event stops being custom', () => {
+    engine.handleSavePersonFromModal(form([event('imp', 'religion', null)]));
+    expect(engine.personData.get('p1').events[0]).not.toHaveProperty('label');
+  });
+
+  it('keeps stored events when the form has no event list', () => {
+    engine.handleSavePersonFromModal(form(undefined));
+    expect(engine.personData.get('p1').events.map((e) => e.id)).toEqual(['imp']);
+  });
+});
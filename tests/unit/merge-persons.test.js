@@ -0,0 +1,120 @@
+// merge-persons.test.js
+// TreeEngine.mergePersons folds one person into another as a single undo step.
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/core/canvas-renderer.js', () => ({ CanvasRenderer: vi.fn() }));
+vi.mock('../../src/ui/modals/modal.js', () => ({
+  openModalForEdit: vi.fn(), closeModal: vi.fn(), getSelectedGender: vi.fn()
+}));
+vi.mock('../../src/data/migrations/v2.2-rich-events.js', () => ({ migrateToV22: vi.fn() }));
+vi.mock('../../src/ui/components/table.js', () => ({ rebuildTableView: vi.fn() }));
+vi.mock('../../src/features/export/exporter.js', () => ({
+  exportTree: vi.fn(), exportGEDCOM: vi.fn(), exportCanvasPDF: vi.fn()
+}));
+vi.mock('../../src/ui/components/notifications.js', () => ({ notifications: { info: vi.fn(), error: vi.fn() } }));
+vi.mock('../../src/data/cache/core-undoRedo.js', () => ({ UndoRedoManager: vi.fn() }));
+vi.mock('../../src/data/cache/core-cache.js', () => ({ CacheManager: vi.fn() }));
+vi.mock('../../src/ui/components/ui-buttons.js', () => ({ setupButtons: vi.fn() }));
+vi.mock('../../src/ui/components/ui-settings.js', () => ({ setupSettings: vi.fn() }));
+vi.mock('../../src/ui/components/ui-modals.js', () => ({ setupModals: vi.fn() }));
+vi.mock('../../src/data/core-export.js', () => ({ setupExport: vi.fn() }));
+vi.mock('../../src/utils/event-bus.js', () => ({ appContext: { getEventBus: vi.fn(() => ({ on: vi.fn(), emit: vi.fn() })) } }));
+vi.mock('../../src/utils/generation-calculator.js', () => ({ GenerationCalculator: vi.fn() }));
+
+import { TreeEngine } from '../../src/core/tree-engine.js';
+
+const person = (id, overrides = {}) => ({
+  id, name: '', surname: '', gender: '', motherId: '', fatherId: '', spouseId: '',
+  birth: { date: null, place: '' }, death: { date: null, place: '' }, marriages: [], notes: '',
+  ...overrides
+});
+
+describe('TreeEngine.mergePersons', () => {
+  let engine, repo;
+
+  beforeEach(() => {
+    engine = new TreeEngine();
+    engine.personData = new Map([
+      ['anna', person('anna', { name: 'Anna', surname: 'Schmidt', gender: 'female',
+        marriages: [{ id: 'm1', spouseId: 'karl' }], spouseId: 'karl' })],
+      ['anna2', person('anna2', { name: 'Anna', surname: 'Schmidt', gender: 'female', notes: 'From import',
+        birth: { date: { year: 1850, estimated: false }, place: 'Berlin' },
+        marriages: [{ id: 'm2', spouseId: 'karl', place: 'Berlin' }, { id: 'm3', spouseId: 'otto' }], spouseId: 'karl' })],
+      ['karl', person('karl', { name: 'Karl', gender: 'male',
+        marriages: [{ id: 'm1', spouseId: 'anna' }, { id: 'm2', spouseId: 'anna2' }], spouseId: 'anna' })],
+      ['otto', person('otto', { name: 'Otto', gender: 'male', marriages: [{ id: 'm3', spouseId: 'anna2' }], spouseId: 'anna2' })],
+      ['child', person('child', { name: 'Paul', motherId: 'anna2', fatherId: 'karl' })]
+    ]);
+    const nodes = new Map([...engine.personData.keys()].map((id) => [id, { id, x: 0, y: 0 }]));
+    engine.renderer = {
+      nodes,
+      needsRedraw: false,
+      removeNode: vi.fn((id) => nodes.delete(id)),
+      getSelectedNodes: () => new Set(),
+      selectedNodes: new Set(),
+      clearSelection: vi.fn(),
+      connections: []
+    };
+    engine.hiddenConnections = new Set(['anna2-child:parent']);
+    engine.lineOnlyConnections = new Set(['otto-anna2']);
+    engine.regenerateConnections = vi.fn();
+    engine.undoRedoManager = { pushUndoState: vi.fn(), updateButtonStates: vi.fn() };
+    repo = {
+      getDocumentsForPerson: vi.fn(async (id) => (id === 'anna2' ? [{ id: 'doc1', personId: 'anna2' }] : [])),
+      saveDocument: vi.fn(async () => {}),
+      getCitationsForPerson: vi.fn(async (id) => (id === 'anna2' ? [{ id: 'cit1', kind: 'citation', personId: 'anna2', fact: 'birth' }] : [])),
+      saveSourceRecords: vi.fn(async () => {})
+    };
+    engine.cacheManager = { getIdbRepo: () => repo };
+  });
+
+  it('keeps the survivor, fills its gaps and removes the merged person', async () => {
+    expect(await engine.mergePersons('anna', 'anna2')).toBe(true);
+    expect(engine.personData.has('anna2')).toBe(false);
+    expect(engine.renderer.nodes.has('anna2')).toBe(false);
+    const anna = engine.personData.get('anna');
+    expect(anna.birth.place).toBe('Berlin');
+    expect(anna.notes).toBe('From import');
+  });
+
+  it('re-points parents, spouses and marriages on both sides', async () => {
+    await engine.mergePersons('anna', 'anna2');
+    expect(engine.personData.get('child').motherId).toBe('anna');
+    expect(engine.personData.get('anna').marriages.map((m) => [m.id, m.spouseId])).toEqual([['m1', 'karl'], ['m3', 'otto']]);
+    expect(engine.personData.get('karl').marriages).toMatchObject([{ id: 'm1', spouseId: 'anna', place: 'Berlin' }]);
+    expect(engine.personData.get('otto').marriages.map((m) => m.spouseId)).toEqual(['anna']);
+    expect(engine.personData.get('otto').spouseId).toBe('anna');
+  });
+
+  it('carries hidden and line-only connections over to the survivor', async () => {
+    await engine.mergePersons('anna', 'anna2');
+    expect([...engine.hiddenConnections]).toEqual([engine.getConnectionKey('anna', 'child', 'parent')]);
+    expect([...engine.lineOnlyConnections]).toEqual(['otto-anna']);
+  });
+
+  it('moves documents and records the move on a single undo step', async () => {
+    await engine.mergePersons('anna', 'anna2');
+    expect(repo.saveDocument).toHaveBeenCalledWith({ id: 'doc1', personId: 'anna' });
+    expect(engine.undoRedoManager.pushUndoState).toHaveBeenCalledTimes(1);
+    expect(engine.undoRedoManager.pushUndoState).toHaveBeenCalledWith({
+      label: 'merge_persons',
+      labelParams: { name: 'Anna Schmidt' },
+      documentMoves: [
+        { id: 'doc1', from: 'anna2', to: 'anna' },
+        { type: 'citation', id: 'cit1', from: 'anna2', to: 'anna' }
+      ]
+    });
+  });
+
+  it('moves citations to the survivor', async () => {
+    await engine.mergePersons('anna', 'anna2');
+    expect(repo.saveSourceRecords).toHaveBeenCalledWith([{ id: 'cit1', kind: 'citation', personId: 'anna', fact: 'birth' }]);
+  });
+
+  it('honours per-field choices', async () => {
+    await engine.mergePersons('anna', 'anna2', { notes: 'primary', birth: 'primary' });
+    expect(engine.personData.get('anna').notes).toBe('');
+    expect(engine.personData.get('anna').birth.place).toBe('');
+  });
+});
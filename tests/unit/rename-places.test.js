@@ -0,0 +1,69 @@
+// rename-places.test.js
+// TreeEngine.renamePlaces rewrites place texts across the tree as a single undo step.
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/core/canvas-renderer.js', () => ({ CanvasRenderer: vi.fn() }));
+vi.mock('../../src/ui/modals/modal.js', () => ({
+  openModalForEdit: vi.fn(), closeModal: vi.fn(), getSelectedGender: vi.fn()
+}));
+vi.mock('../../src/data/migrations/v2.2-rich-events.js', () => ({ migrateToV22: vi.fn() }));
+vi.mock('../../src/ui/components/table.js', () => ({ rebuildTableView: vi.fn() }));
+vi.mock('../../src/features/export/exporter.js', () => ({
+  exportTree: vi.fn(), exportGEDCOM: vi.fn(), exportCanvasPDF: vi.fn()
+}));
+vi.mock('../../src/ui/components/notifications.js', () => ({ notifications: { info: vi.fn(), error: vi.fn() } }));
+vi.mock('../../src/data/cache/core-undoRedo.js', () => ({ UndoRedoManager: vi.fn() }));
+vi.mock('../../src/data/cache/core-cache.js', () => ({ CacheManager: vi.fn() }));
+vi.mock('../../src/ui/components/ui-buttons.js', () => ({ setupButtons: vi.fn() }));
+vi.mock('../../src/ui/components/ui-settings.js', () => ({ setupSettings: vi.fn() }));
+vi.mock('../../src/ui/components/ui-modals.js', () => ({ setupModals: vi.fn() }));
+vi.mock('../../src/data/core-export.js', () => ({ setupExport: vi.fn() }));
+vi.mock('../../src/utils/event-bus.js', () => ({ appContext: { getEventBus: vi.fn(() => ({ on: vi.fn(), emit: vi.fn() })) } }));
+vi.mock('../../src/utils/generation-calculator.js', () => ({ GenerationCalculator: vi.fn() }));
+
+import { TreeEngine } from '../../src/core/tree-engine.js';
+
+const person = (id, overrides = {}) => ({
+  id, name: '', surname: '', gender: '', motherId: '', fatherId: '', spouseId: '',
+  birth: { date: null, place: '' }, death: { date: null, place: '' }, marriages: [], events: [], notes: '',
+  ...overrides
+});
+
+describe('TreeEngine.renamePlaces', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TreeEngine();
+    engine.personData = new Map([
+      ['anna', person('anna', { birth: { date: null, place: 'Kiev' }, marriages: [{ id: 'm1', spouseId: 'karl', place: 'Kiev' }] })],
+      ['karl', person('karl', { marriages: [{ id: 'm1', spouseId: 'anna', place: 'Kiev' }], events: [{ id: 'e1', type: 'residence', place: 'Odesa' }] })],
+      ['paul', person('paul', { birth: { date: null, place: 'Riga' } })]
+    ]);
+    const nodes = new Map([...engine.personData.keys()].map((id) => [id, { id, x: 0, y: 0 }]));
+    engine.renderer = { nodes, needsRedraw: false };
+    engine.undoRedoManager = { pushUndoState: vi.fn() };
+  });
+
+  it('rewrites the places of every person and records one undo step', () => {
+    const count = engine.renamePlaces(new Map([['Kiev', 'Kyiv, Ukraine'], ['Odesa', 'Odesa, Ukraine']]));
+    expect(count).toBe(2);
+    expect(engine.personData.get('anna').birth.place).toBe('Kyiv, Ukraine');
+    expect(engine.personData.get('anna').marriages[0].place).toBe('Kyiv, Ukraine');
+    expect(engine.personData.get('karl').marriages[0].place).toBe('Kyiv, Ukraine');
+    expect(engine.personData.get('karl').events[0].place).toBe('Odesa, Ukraine');
+    expect(engine.personData.get('paul').birth.place).toBe('Riga');
+    expect(engine.renderer.nodes.get('anna').birth.place).toBe('Kyiv, Ukraine');
+    expect(engine.renderer.needsRedraw).toBe(true);
+    expect(engine.undoRedoManager.pushUndoState).toHaveBeenCalledTimes(1);
+    expect(engine.undoRedoManager.pushUndoState).toHaveBeenCalledWith({
+      label: 'normalize_places',
+      labelParams: { count: '2' }
+    });
+  });
+
+  it('records nothing when no place matches', () => {
+    expect(engine.renamePlaces(new Map([['Berlin', 'Berlin, Germany']]))).toBe(0);
+    expect(engine.undoRedoManager.pushUndoState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,45 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { serializeChartSVG } from '../../../src/features/tree-chart/tree-chart-export.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function chartSvg() {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.setAttribute('class', 'tc-svg');
+  svg.setAttribute('viewBox', '300 300 50 50');
+  const node = document.createElementNS(SVG_NS, 'g');
+  node.setAttribute('class', 'tc-node');
+  const rect = document.createElementNS(SVG_NS, 'rect');
+  rect.setAttribute('style', 'fill: rgb(1, 2, 3)');
+  const toggle = document.createElementNS(SVG_NS, 'g');
+  toggle.setAttribute('class', 'tc-node-toggle');
+  const hidden = document.createElementNS(SVG_NS, 'g');
+  hidden.setAttribute('class', 'tc-node');
+  hidden.style.display = 'none';
+  node.append(rect, toggle);
+  svg.append(node, hidden);
+  document.body.appendChild(svg);
+  return svg;
+}
+
+describe('serializeChartSVG', () => {
+  it('frames the whole layout and drops controls and hidden persons', () => {
+    const svg = chartSvg();
+    const { markup, width, height } = serializeChartSVG(svg, { minX: 0, minY: 0, maxX: 200, maxY: 100 });
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    const root = doc.documentElement;
+
+    expect(width).toBe(240);
+    expect(height).toBe(140);
+    expect(root.getAttribute('viewBox')).toBe('-20 -20 240 140');
+    expect(root.querySelectorAll('.tc-node')).toHaveLength(1);
+    expect(root.querySelector('.tc-node-toggle')).toBeNull();
+    expect(root.querySelector('.tc-node rect').getAttribute('style')).toContain('fill');
+    // The page itself is untouched
+    expect(svg.getAttribute('viewBox')).toBe('300 300 50 50');
+    expect(svg.querySelector('.tc-node-toggle')).not.toBeNull();
+    svg.remove();
+  });
+});
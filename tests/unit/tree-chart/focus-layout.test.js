@@ -0,0 +1,159 @@
+// tests/unit/tree-chart/focus-layout.test.js
+import { describe, it, expect } from 'vitest';
+import { layoutPedigree, layoutDescendants, layoutHourglass, isBranchOpen } from '../../../src/features/tree-chart/tree-chart-focus-layout.js';
+import { NODE_WIDTH, NODE_HEIGHT, ROW_HEIGHT, PEDIGREE_COLUMN_GAP } from '../../../src/features/tree-chart/tree-chart-config.js';
+import { person, buildPersonMap } from './fixtures.js';
+
+// Four generations: me <- dad, mom <- four grandparents <- one great-grandfather
+function pedigreeTree() {
+  return buildPersonMap([
+    person({ id: 'me', fatherId: 'dad', motherId: 'mom' }),
+    person({ id: 'dad', fatherId: 'gf1', motherId: 'gm1' }),
+    person({ id: 'mom', fatherId: 'gf2', motherId: 'gm2' }),
+    person({ id: 'gf1', fatherId: 'ggf' }),
+    person({ id: 'gm1' }),
+    person({ id: 'gf2' }),
+    person({ id: 'gm2' }),
+    person({ id: 'ggf' })
+  ]);
+}
+
+const center = (n) => n.y + n.height / 2;
+
+describe('isBranchOpen', () => {
+  it('opens branches up to the generation limit unless overridden', () => {
+    expect(isBranchOpen('a', 0, 3, new Map())).toBe(true);
+    expect(isBranchOpen('a', 2, 3, new Map())).toBe(false);
+    expect(isBranchOpen('a', 2, 3, new Map([['a', true]]))).toBe(true);
+    expect(isBranchOpen('a', 0, 3, new Map([['a', false]]))).toBe(false);
+  });
+});
+
+describe('layoutPedigree', () => {
+  it('puts each generation one column to the right, fathers above mothers', () => {
+    const { nodes, edges } = layoutPedigree(pedigreeTree(), 'me', { generations: 4 });
+
+    expect(nodes.size).toBe(8);
+    expect(nodes.get('me').x).toBe(0);
+    expect(nodes.get('dad').x).toBe(NODE_WIDTH + PEDIGREE_COLUMN_GAP);
+    expect(nodes.get('ggf').x).toBe(3 * (NODE_WIDTH + PEDIGREE_COLUMN_GAP));
+    expect(nodes.get('dad').y).toBeLessThan(nodes.get('mom').y);
+    expect(center(nodes.get('me'))).toBe((center(nodes.get('dad')) + center(nodes.get('mom'))) / 2);
+    expect(nodes.get('me').isRoot).toBe(true);
+    expect(edges).toContainEqual(expect.objectContaining({ fromId: 'dad', toId: 'me', type: 'parent' }));
+  });
+
+  it('stops at the generation limit and marks the cut branches expandable', () => {
+    const { nodes } = layoutPedigree(pedigreeTree(), 'me', { generations: 2 });
+
+    expect([...nodes.keys()].sort()).toEqual(['dad', 'me', 'mom']);
+    expect(nodes.get('me').toggle).toBe('collapse');
+    expect(nodes.get('dad').toggle).toBe('expand');
+    expect(nodes.get('dad').toggleSide).toBe('right');
+  });
+
+  it('follows expand and collapse overrides per branch', () => {
+    const overrides = new Map([['dad', true], ['mom', false]]);
+    const { nodes } = layoutPedigree(pedigreeTree(), 'me', { generations: 2, overrides });
+
+    expect(nodes.has('gf1')).toBe(true);
+    expect(nodes.has('gf2')).toBe(false);
+    expect(nodes.get('gf1').toggle).toBe('expand');
+    expect(nodes.get('gm1').toggle).toBeNull();
+  });
+
+  it('draws a repeated ancestor once and survives cyclic data', () => {
+    const map = buildPersonMap([
+      person({ id: 'child', fatherId: 'a', motherId: 'b' }),
+      person({ id: 'a', fatherId: 'shared' }),
+      person({ id: 'b', fatherId: 'shared' }),
+      person({ id: 'shared', fatherId: 'child' })
+    ]);
+    const { nodes, edges } = layoutPedigree(map, 'child', { generations: 6 });
+
+    expect(nodes.size).toBe(4);
+    expect(edges.filter((e) => e.fromId === 'shared').map((e) => e.toId).sort()).toEqual(['a', 'b']);
+  });
+
+  it('returns an empty chart for an unknown root', () => {
+    const layout = layoutPedigree(pedigreeTree(), 'nobody');
+    expect(layout.nodes.size).toBe(0);
+    expect(layout.bounds).toEqual({ minX: 0, minY: 0, maxX: 0, maxY: 0 });
+  });
+});
+
+describe('layoutDescendants', () => {
+  function family() {
+    return buildPersonMap([
+      person({ id: 'root', spouseId: 'wife' }),
+      person({ id: 'wife' }),
+      person({ id: 'kid1', fatherId: 'root', motherId: 'wife' }),
+      person({ id: 'kid2', fatherId: 'root' }),
+      person({ id: 'grandkid', fatherId: 'kid1' })
+    ]);
+  }
+
+  it('places spouses beside the person and children one row lower', () => {
+    const { nodes, edges } = layoutDescendants(family(), 'root', { generations: 3 });
+
+    expect(nodes.get('wife').y).toBe(nodes.get('root').y);
+    expect(nodes.get('wife').x).toBeGreaterThan(nodes.get('root').x);
+    expect(nodes.get('kid1').y).toBe(ROW_HEIGHT);
+    expect(nodes.get('grandkid').y).toBe(2 * ROW_HEIGHT);
+    expect(edges).toContainEqual(expect.objectContaining({ fromId: 'root', toId: 'wife', type: 'spouse' }));
+    expect(edges).toContainEqual(expect.objectContaining({ fromId: 'root', fromId2: 'wife', toId: 'kid1', type: 'familyDrop' }));
+    expect(edges).toContainEqual(expect.objectContaining({ fromId: 'root', toId: 'kid2', type: 'parent' }));
+  });
+
+  it('keeps children under their parents without overlaps', () => {
+    const { nodes } = layoutDescendants(family(), 'root', { generations: 3 });
+    const row = [nodes.get('kid1'), nodes.get('kid2')].sort((a, b) => a.x - b.x);
+
+    expect(row[1].x - row[0].x).toBeGreaterThanOrEqual(NODE_WIDTH);
+    expect(nodes.get('grandkid').y - nodes.get('kid1').y).toBeGreaterThan(NODE_HEIGHT);
+  });
+
+  it('collapses and expands branches', () => {
+    const collapsed = layoutDescendants(family(), 'root', { generations: 3, overrides: new Map([['root', false]]) });
+    expect([...collapsed.nodes.keys()].sort()).toEqual(['root', 'wife']);
+    expect(collapsed.nodes.get('root').toggle).toBe('expand');
+    expect(collapsed.nodes.get('root').toggleSide).toBe('bottom');
+
+    const limited = layoutDescendants(family(), 'root', { generations: 2 });
+    expect(limited.nodes.has('grandkid')).toBe(false);
+    expect(limited.nodes.get('kid1').toggle).toBe('expand');
+    expect(limited.nodes.get('kid2').toggle).toBeNull();
+  });
+});
+
+describe('layoutHourglass', () => {
+  function hourglassTree() {
+    return buildPersonMap([
+      person({ id: 'gf' }),
+      person({ id: 'gm' }),
+      person({ id: 'dad', fatherId: 'gf', motherId: 'gm' }),
+      person({ id: 'me', fatherId: 'dad', spouseId: 'wife' }),
+      person({ id: 'wife' }),
+      person({ id: 'kid', fatherId: 'me', motherId: 'wife' })
+    ]);
+  }
+
+  it('stacks ancestors above the focus person and descendants below', () => {
+    const { nodes, edges } = layoutHourglass(hourglassTree(), 'me', { generations: 3 });
+
+    expect(nodes.get('me').y).toBe(0);
+    expect(nodes.get('dad').y).toBe(-ROW_HEIGHT);
+    expect(nodes.get('gf').y).toBe(-2 * ROW_HEIGHT);
+    expect(nodes.get('kid').y).toBe(ROW_HEIGHT);
+    expect(center({ y: nodes.get('dad').x, height: NODE_WIDTH })).toBe(center({ y: nodes.get('me').x, height: NODE_WIDTH }));
+    expect(nodes.get('dad').toggleSide).toBe('top');
+    expect(edges).toContainEqual(expect.objectContaining({ fromId: 'dad', toId: 'me', type: 'parent' }));
+    expect(edges).toContainEqual(expect.objectContaining({ fromId: 'me', fromId2: 'wife', toId: 'kid', type: 'familyDrop' }));
+  });
+
+  it('collapses an ancestor branch', () => {
+    const { nodes } = layoutHourglass(hourglassTree(), 'me', { generations: 3, overrides: new Map([['dad', false]]) });
+    expect(nodes.has('gf')).toBe(false);
+    expect(nodes.get('dad').toggle).toBe('expand');
+  });
+});
@@ -37,7 +37,9 @@ vi.mock('../../../src/features/tree-chart/tree-chart-highlight.js', () => ({
   computeBloodLine: vi.fn().mockReturnValue(new Set())
 }));
 vi.mock('../../../src/features/tree-chart/tree-chart-config.js', () => ({
-  DEBOUNCE_MS: 0
+  DEBOUNCE_MS: 0,
+  FOCUS_DEFAULT_GENERATIONS: 4,
+  FOCUS_MAX_GENERATIONS: 12
 }));
 
 import { initTreeChartView } from '../../../src/features/tree-chart/tree-chart-view.js';
@@ -0,0 +1,91 @@
+// tree-library-switch.test.js
+// TreeEngine.switchTree saves the open tree, loads another and loads that tree's own history.
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/core/canvas-renderer.js', () => ({ CanvasRenderer: vi.fn() }));
+vi.mock('../../src/ui/modals/modal.js', () => ({
+  openModalForEdit: vi.fn(), closeModal: vi.fn(), getSelectedGender: vi.fn()
+}));
+vi.mock('../../src/ui/components/table.js', () => ({ rebuildTableView: vi.fn() }));
+vi.mock('../../src/features/export/exporter.js', () => ({
+  exportTree: vi.fn(), exportGEDCOM: vi.fn(), exportCanvasPDF: vi.fn()
+}));
+vi.mock('../../src/ui/components/notifications.js', () => ({ notifications: { info: vi.fn(), error: vi.fn() } }));
+vi.mock('../../src/data/cache/core-undoRedo.js', () => ({ UndoRedoManager: vi.fn() }));
+vi.mock('../../src/data/cache/core-cache.js', () => ({ CacheManager: vi.fn() }));
+vi.mock('../../src/ui/components/ui-buttons.js', () => ({ setupButtons: vi.fn() }));
+vi.mock('../../src/ui/components/ui-settings.js', () => ({ setupSettings: vi.fn() }));
+vi.mock('../../src/ui/components/ui-modals.js', () => ({ setupModals: vi.fn() }));
+vi.mock('../../src/data/core-export.js', () => ({ setupExport: vi.fn() }));
+vi.mock('../../src/ui/components/empty-state.js', () => ({ syncEmptyState: vi.fn() }));
+vi.mock('../../src/features/relationship/relationship-panel.js', () => ({ showRelationship: vi.fn(), hideRelationship: vi.fn() }));
+vi.mock('../../src/utils/generation-calculator.js', () => ({ GenerationCalculator: vi.fn() }));
+
+import { TreeEngine } from '../../src/core/tree-engine.js';
+
+const trees = {
+  default: { id: 'default', name: 'Smith family' },
+  t_jones: { id: 't_jones', name: 'Jones family' }
+};
+
+describe('TreeEngine.switchTree', () => {
+  let engine;
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<input id="treeNameInput" value="Smith family">';
+    engine = new TreeEngine();
+    engine.activeTreeId = 'default';
+    engine.personData = new Map([['p1', { id: 'p1' }]]);
+    engine.renderer = { clearSelection: vi.fn(), getSelectedNodes: () => new Set() };
+    engine.undoRedoManager = { loadHistory: vi.fn(async () => {}) };
+    engine.cacheManager = {
+      cacheKey: 'familyTreeCanvas_state',
+      flush: vi.fn(async () => {}),
+      openTree: vi.fn(async function (id) { this.cacheKey = `familyTreeCanvas_state_${id}`; }),
+      loadCachedState: vi.fn(async () => false)
+    };
+    engine.treeLibrary = {
+      getTree: vi.fn(async (id) => trees[id] ?? null),
+      touchTree: vi.fn(async () => {})
+    };
+    engine.processLoadedData = vi.fn(() => {
+      engine.personData = new Map();
+    });
+    engine.updateRendererSettings = vi.fn();
+    engine.updateUIControls = vi.fn();
+    engine.updateActionButtons = vi.fn();
+  });
+
+  it('saves the open tree and opens the other one empty', async () => {
+    expect(await engine.switchTree('t_jones')).toBe(true);
+
+    expect(engine.cacheManager.flush).toHaveBeenCalled();
+    expect(engine.treeLibrary.touchTree).toHaveBeenCalledWith('default', { personCount: 1 });
+    expect(engine.cacheManager.openTree).toHaveBeenCalledWith('t_jones');
+    expect(engine.processLoadedData).toHaveBeenCalledWith({ persons: [], hiddenConnections: [], lineOnlyConnections: [] });
+    expect(engine.activeTreeId).toBe('t_jones');
+    expect(engine.cacheKey).toBe('familyTreeCanvas_state_t_jones');
+    expect(localStorage.getItem('familyTree_activeTreeId')).toBe('t_jones');
+    expect(localStorage.getItem('familyTree_treeName')).toBe('Jones family');
+    expect(document.getElementById('treeNameInput').value).toBe('Jones family');
+  });
+
+  it('loads the saved history of the opened tree once its data is loaded', async () => {
+    await engine.switchTree('t_jones');
+
+    const { loadHistory } = engine.undoRedoManager;
+    expect(loadHistory).toHaveBeenCalledTimes(1);
+    expect(engine.cacheManager.openTree.mock.invocationCallOrder[0])
+      .toBeLessThan(loadHistory.mock.invocationCallOrder[0]);
+    expect(engine.processLoadedData.mock.invocationCallOrder[0])
+      .toBeLessThan(loadHistory.mock.invocationCallOrder[0]);
+  });
+
+  it('ignores unknown trees and the tree that is already open', async () => {
+    expect(await engine.switchTree('missing')).toBe(false);
+    expect(await engine.switchTree('default')).toBe(true);
+    expect(engine.cacheManager.openTree).not.toHaveBeenCalled();
+  });
+});
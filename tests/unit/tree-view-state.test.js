@@ -0,0 +1,59 @@
+// tree-view-state.test.js — connections and renderer settings shared by the builder and the viewer.
+
+import { describe, it, expect } from 'vitest';
+import { buildConnections, connectionKey, applyRendererSettings, lineStyleSettingsFrom } from '../../src/core/tree-view-state.js';
+
+const persons = (list) => new Map(list.map((p) => [p.id, p]));
+
+describe('buildConnections', () => {
+  const personData = persons([
+    { id: 'a', spouseId: 'b' },
+    { id: 'b', spouseId: 'a' },
+    { id: 'c', fatherId: 'a', motherId: 'b' },
+    { id: 'd', fatherId: 'x' }
+  ]);
+
+  it('draws parent lines and one spouse line, skipping absent persons', () => {
+    expect(buildConnections(personData)).toEqual([
+      { from: 'a', to: 'b', type: 'spouse' },
+      { from: 'a', to: 'c', type: 'parent' },
+      { from: 'b', to: 'c', type: 'parent' }
+    ]);
+  });
+
+  it('leaves out hidden connections and adds line-only and legacy ones', () => {
+    const connections = buildConnections(personData, {
+      hiddenConnections: new Set([connectionKey('c', 'b', 'parent')]),
+      lineOnlyConnections: new Set(['a-c', 'c-d']),
+      legacyRelations: [{ source: 'a', target: 'd' }, { source: 'a', target: 'c' }]
+    });
+    expect(connections).toEqual([
+      { from: 'a', to: 'b', type: 'spouse' },
+      { from: 'a', to: 'c', type: 'parent' },
+      { from: 'a', to: 'c', type: 'line-only' },
+      { from: 'c', to: 'd', type: 'line-only' },
+      { from: 'a', to: 'd', type: 'parent' }
+    ]);
+  });
+});
+
+describe('applyRendererSettings', () => {
+  it('maps tree settings onto the renderer and keeps unset line styles', () => {
+    const renderer = {
+      settings: { familyLineColor: '#7f8c8d', spouseLineColor: '#e74c3c' },
+      updateDisplayPreferences(prefs) { this.displayPreferences = prefs; }
+    };
+    applyRendererSettings(renderer, {
+      nodeRadius: 40, defaultColor: '#111111', fontFamily: 'Inter', fontSize: 12,
+      nameColor: '#fff', dateColor: '#eee', nodeStyle: 'rectangle',
+      lineStyleSettings: lineStyleSettingsFrom({ familyLineColor: '#000000' }),
+      displayPreferences: { showPhotos: false }
+    });
+    expect(renderer.settings).toMatchObject({
+      nodeRadius: 40, nodeColor: '#111111', nameFontSize: 12, nodeStyle: 'rectangle',
+      familyLineColor: '#000000', spouseLineColor: '#e74c3c'
+    });
+    expect(renderer.displayPreferences).toEqual({ showPhotos: false });
+    expect(renderer.needsRedraw).toBe(true);
+  });
+});
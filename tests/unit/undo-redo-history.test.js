@@ -0,0 +1,158 @@
+// undo-redo-history.test.js
+// History steps and named snapshots are kept in the tree's IndexedDB and survive a reload.
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { UndoRedoManager } from '../../src/data/cache/core-undoRedo.js';
+import { IndexedDBRepository } from '../../src/data/repositories/indexed-db-repository.js';
+
+function makeTreeCore(repo) {
+  const nodes = new Map([['p1', { id: 'p1', x: 100, y: 100 }]]);
+  return {
+    personData: new Map([['p1', { id: 'p1', name: 'Anna' }]]),
+    hiddenConnections: new Set(),
+    lineOnlyConnections: new Set(),
+    displayPreferences: {},
+    nodeStyle: 'circle',
+    enhancedCacheIndicator: null,
+    cacheManager: { getIdbRepo: () => repo },
+    autoSave: vi.fn(),
+    updateRendererSettings: vi.fn(),
+    regenerateConnections: vi.fn(),
+    clearSelection: vi.fn(),
+    renderer: {
+      nodes,
+      settings: {},
+      getCamera: () => ({ x: 0, y: 0, scale: 1 }),
+      setCamera: vi.fn(),
+      setNode(id, data) { nodes.set(id, data); }
+    }
+  };
+}
+
+// The tree as it was saved by autosave, loaded into a fresh session
+function reload(tc, repo) {
+  const next = makeTreeCore(repo);
+  next.personData = structuredClone(tc.personData);
+  next.renderer.nodes.clear();
+  for (const [id, node] of tc.renderer.nodes) next.renderer.nodes.set(id, structuredClone(node));
+  return next;
+}
+
+describe('UndoRedoManager persistent history', () => {
+  let repo, tc, mgr;
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    document.body.textContent = '';
+    for (const id of ['nodeColorPicker', 'nodeSizeInput', 'fontSelect',
+                      'fontSizeInput', 'nameColorPicker', 'dateColorPicker']) {
+      const el = document.createElement(id === 'fontSelect' ? 'select' : 'input');
+      el.id = id;
+      document.body.appendChild(el);
+    }
+    repo = new IndexedDBRepository('HistoryTestDB');
+    await repo.initialize();
+    tc = makeTreeCore(repo);
+    mgr = new UndoRedoManager(tc, { info: vi.fn() });
+    mgr.resetHistory();
+  });
+
+  afterEach(() => repo.close());
+
+  async function edit(name, label = 'edit_person') {
+    tc.personData.get('p1').name = name;
+    mgr.pushUndoState({ label, labelParams: { name } });
+    await vi.waitFor(async () => {
+      expect((await repo.getHistoryEntries()).length).toBe(mgr.undoStack.length + mgr.redoStack.length);
+    });
+  }
+
+  it('brings the steps back after a reload and undoes them', async () => {
+    await edit('Anna B');
+    await edit('Anna C');
+
+    const next = reload(tc, repo);
+    const restored = new UndoRedoManager(next, { info: vi.fn() });
+    restored.resetHistory();
+    await restored.loadHistory();
+
+    expect(restored.undoStack.map((e) => e.labelParams.name)).toEqual(['Anna B', 'Anna C']);
+    restored.undo();
+    restored.undo();
+    expect(next.personData.get('p1').name).toBe('Anna');
+    expect(restored.canUndo()).toBe(false);
+  });
+
+  it('keeps undone steps redoable across a reload', async () => {
+    await edit('Anna B');
+    mgr.undo();
+    await vi.waitFor(async () => {
+      expect((await repo.getHistoryEntries())[0].undone).toBe(true);
+    });
+
+    const next = reload(tc, repo);
+    const restored = new UndoRedoManager(next, { info: vi.fn() });
+    restored.resetHistory();
+    await restored.loadHistory();
+
+    expect(restored.canUndo()).toBe(false);
+    restored.redo();
+    expect(next.personData.get('p1').name).toBe('Anna B');
+  });
+
+  it('goes back to any point of the timeline and forward again', async () => {
+    await edit('Anna B');
+    await edit('Anna C');
+    await edit('Anna D');
+    const [first, , third] = mgr.undoStack;
+
+    mgr.goTo(first.seq);
+    expect(tc.personData.get('p1').name).toBe('Anna B');
+    expect(mgr.redoStack).toHaveLength(2);
+
+    mgr.goTo(0);
+    expect(tc.personData.get('p1').name).toBe('Anna');
+
+    mgr.goTo(third.seq);
+    expect(tc.personData.get('p1').name).toBe('Anna D');
+    expect(mgr.canRedo()).toBe(false);
+  });
+
+  it('restores a named snapshot as a step that can be undone', async () => {
+    const saved = await mgr.createSnapshot("Before merging Grandma's GEDCOM");
+    await edit('Anna B');
+    tc.personData.set('p2', { id: 'p2', name: 'Boris' });
+    mgr.pushUndoState({ label: 'add_person' });
+
+    expect((await mgr.listSnapshots()).map((s) => s.name)).toEqual(["Before merging Grandma's GEDCOM"]);
+    expect(await mgr.restoreSnapshot(saved.id)).toBe(true);
+    expect([...tc.personData.keys()]).toEqual(['p1']);
+    expect(tc.personData.get('p1').name).toBe('Anna');
+    expect(mgr.undoStack.at(-1)).toMatchObject({ label: 'restore_snapshot', labelParams: { name: "Before merging Grandma's GEDCOM" } });
+
+    mgr.undo();
+    expect(tc.personData.get('p2').name).toBe('Boris');
+
+    await mgr.deleteSnapshot(saved.id);
+    expect(await mgr.listSnapshots()).toEqual([]);
+  });
+
+  it('lets a step that deletes everyone save the empty tree', () => {
+    tc.cacheManager.allowEmptySave = vi.fn();
+    tc.personData.get('p1').name = 'Anne';
+    mgr.pushUndoState({ label: 'edit_person' });
+    expect(tc.cacheManager.allowEmptySave).not.toHaveBeenCalled();
+
+    tc.personData.clear();
+    tc.renderer.nodes.clear();
+    mgr.pushUndoState({ label: 'delete_person' });
+    expect(tc.cacheManager.allowEmptySave).toHaveBeenCalledTimes(1);
+  });
+
+  it('clearStacks forgets the saved steps too', async () => {
+    await edit('Anna B');
+    mgr.clearStacks();
+    await vi.waitFor(async () => expect(await repo.getHistoryEntries()).toEqual([]));
+  });
+});
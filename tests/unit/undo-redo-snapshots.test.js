@@ -1,8 +1,9 @@
 // undo-redo-snapshots.test.js
-// Snapshots must be isolated from in-place mutation of live data (both directions).
+// Recorded history must be isolated from in-place mutation of live data (both directions).
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { UndoRedoManager } from '../../src/data/cache/core-undoRedo.js';
+import { UndoRedoManager, historyLabelText } from '../../src/data/cache/core-undoRedo.js';
+import en from '../../public/assets/locales/en.json';
 
 function makeTreeCore() {
   const personData = new Map([
@@ -56,39 +57,125 @@ describe('UndoRedoManager snapshot isolation', () => {
     mgr = new UndoRedoManager(tc, { info: vi.fn() });
   });
 
-  it('in-place mutation of a person after push does not alter the snapshot', () => {
+  it('in-place mutation of a person after push does not alter what undo restores', () => {
     mgr.pushUndoState();
     const spouse = tc.personData.get('p2');
     spouse.marriages = [{ id: 'm9', spouseId: 'p3' }]; // the marriage-sync mutation path
-    const snap = mgr.undoStack[0];
-    expect(snap.personData.get('p2').marriages).toEqual([{ id: 'm1', spouseId: 'p1' }]);
+    tc.personData.get('p1').name = 'Anna Edited';
+    mgr.pushUndoState({ label: 'edit_person' });
+    mgr.undo();
+    expect(tc.personData.get('p2').marriages).toEqual([{ id: 'm1', spouseId: 'p1' }]);
   });
 
-  it('mutating live data after restore does not alter the stored snapshot', () => {
+  it('mutating live data after restore does not alter the recorded steps', () => {
     mgr.pushUndoState();               // state A
     tc.personData.get('p1').name = 'Anna Edited';
     mgr.pushUndoState();               // state B
     mgr.undo();                        // live data now restored from state A
     tc.personData.get('p1').name = 'Corrupted';
-    const stateA = mgr.undoStack[0];
-    expect(stateA.personData.get('p1').name).toBe('Anna');
+    mgr.redo();
+    expect(tc.personData.get('p1').name).toBe('Anna Edited');
+    mgr.undo();
+    expect(tc.personData.get('p1').name).toBe('Anna');
   });
 
-  it('renderer node snapshots are isolated from nested mutation', () => {
+  it('renderer nodes restored by undo are isolated from nested mutation', () => {
     mgr.pushUndoState();
+    tc.renderer.nodes.get('p1').x = 500;
+    mgr.pushUndoState({ label: 'move_person' });
+    mgr.undo();
     tc.renderer.nodes.get('p1').marriages[0].spouseId = 'p9';
-    expect(mgr.undoStack[0].nodes.get('p1').marriages[0].spouseId).toBe('p2');
+    mgr.redo();
+    expect(tc.renderer.nodes.get('p1')).toMatchObject({ x: 500, marriages: [{ id: 'm1', spouseId: 'p2' }] });
+  });
+
+  it('records only what changed, under the given label', () => {
+    mgr.pushUndoState();
+    tc.personData.get('p1').name = 'Anna Edited';
+    mgr.pushUndoState({ label: 'edit_person', labelParams: { name: 'Anna Edited' } });
+
+    expect(mgr.undoStack).toHaveLength(1);
+    expect(mgr.undoStack[0]).toMatchObject({ label: 'edit_person', labelParams: { name: 'Anna Edited' } });
+    expect(mgr.undoStack[0].changes.map((c) => `${c.scope}:${c.key}`)).toEqual(['persons:p1']);
+
+    window.i18n = { t: (key) => key.split('.').reduce((node, part) => node?.[part], en) ?? key };
+    try {
+      expect(historyLabelText(mgr.undoStack[0])).toBe('Edited Anna Edited');
+    } finally {
+      delete window.i18n;
+    }
+  });
+
+  it('does not record a step when nothing changed', () => {
+    mgr.pushUndoState();
+    mgr.pushUndoState({ label: 'font' });
+    expect(mgr.canUndo()).toBe(false);
   });
 
   it('successful undo/redo is silent; empty stacks still notify', () => {
     const notifications = { info: vi.fn() };
     mgr = new UndoRedoManager(tc, notifications);
     mgr.pushUndoState();
+    tc.nodeStyle = 'rectangle';
     mgr.pushUndoState();
     mgr.undo();
+    expect(tc.nodeStyle).toBe('circle');
     mgr.redo();
+    expect(tc.nodeStyle).toBe('rectangle');
     expect(notifications.info).not.toHaveBeenCalled();
     mgr.redo(); // redo stack now empty
     expect(notifications.info).toHaveBeenCalledWith('Redo', 'Nothing to redo');
   });
+
+  it('a new step after undo drops the steps that could have been redone', () => {
+    mgr.pushUndoState();
+    tc.personData.get('p1').name = 'One';
+    mgr.pushUndoState();
+    tc.personData.get('p1').name = 'Two';
+    mgr.pushUndoState();
+    mgr.undo();
+    tc.personData.get('p2').name = 'Branch';
+    mgr.pushUndoState();
+
+    expect(mgr.canRedo()).toBe(false);
+    expect(mgr.undoStack).toHaveLength(2);
+  });
+
+  it('moves documents back on undo and forward again on redo', async () => {
+    const docs = new Map([['doc1', { id: 'doc1', personId: 'p1' }]]);
+    const repo = {
+      getDocumentsForPerson: vi.fn(async (id) => [...docs.values()].filter((d) => d.personId === id)),
+      saveDocument: vi.fn(async (doc) => { docs.set(doc.id, doc); }),
+      saveHistoryEntry: vi.fn(async () => {}),
+      deleteHistoryEntries: vi.fn(async () => {})
+    };
+    tc.cacheManager = { getIdbRepo: () => repo };
+
+    mgr.pushUndoState();
+    mgr.pushUndoState({ documentMoves: [{ id: 'doc1', from: 'p2', to: 'p1' }] });
+
+    mgr.undo();
+    await vi.waitFor(() => expect(docs.get('doc1').personId).toBe('p2'));
+    mgr.redo();
+    await vi.waitFor(() => expect(docs.get('doc1').personId).toBe('p1'));
+  });
+
+  it('moves citations back on undo and forward again on redo', async () => {
+    const records = new Map([['cit1', { id: 'cit1', kind: 'citation', personId: 'p1' }]]);
+    const repo = {
+      getSourceRecord: vi.fn(async (id) => records.get(id) ?? null),
+      saveSourceRecord: vi.fn(async (record) => { records.set(record.id, record); }),
+      saveHistoryEntry: vi.fn(async () => {}),
+      deleteHistoryEntries: vi.fn(async () => {})
+    };
+    tc.cacheManager = { getIdbRepo: () => repo };
+
+    mgr.pushUndoState();
+    mgr.pushUndoState({ documentMoves: [{ type: 'citation', id: 'cit1', from: 'p2', to: 'p1' }] });
+
+    mgr.undo();
+    await vi.waitFor(() => expect(records.get('cit1').personId).toBe('p2'));
+    mgr.redo();
+    await vi.waitFor(() => expect(records.get('cit1').personId).toBe('p1'));
+  });
 });
@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { escapeXml } from '../../src/utils/xml.js';
+
+describe('escapeXml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeXml('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+
+  it('reads null and undefined as empty text', () => {
+    expect(escapeXml(null)).toBe('');
+    expect(escapeXml(undefined)).toBe('');
+    expect(escapeXml(42)).toBe('42');
+  });
+});